@@ -4,13 +4,17 @@
  * Built with Express.js for production-ready deployment
  */
 
+// Load .env before anything reads process.env (server/auth.js needs the Supabase URL and key)
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const { requireAuth } = require('./server/auth');
+const { createSpreadsheetStore } = require('./server/stores');
 
 // Initialize Express app
 const app = express();
@@ -46,6 +50,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Every spreadsheet route acts on behalf of a verified Supabase user
+app.use('/api/spreadsheet', requireAuth);
+
 // Body parsing middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -73,12 +80,11 @@ const upload = multer({
   },
 });
 
-// In-memory storage for demonstration (replace with database in production)
-const spreadsheetStore = new Map();
-let nextId = 1;
+// Durable storage for imported spreadsheets (see server/stores)
+const spreadsheetStore = createSpreadsheetStore();
 
 // Utility functions
-const generateId = () => (nextId++).toString();
+const generateId = () => crypto.randomUUID();
 
 const validateSpreadsheetData = (data) => {
   const errors = [];
@@ -106,19 +112,30 @@ const validateSpreadsheetData = (data) => {
   };
 };
 
-const createSpreadsheetRecord = (data, headers, metadata, userId) => ({
+const createSpreadsheetRecord = (data, headers, metadata, ownerId) => ({
   id: generateId(),
+  ownerId,
   data,
   headers,
   metadata: {
     ...metadata,
     uploadedAt: new Date().toISOString(),
-    userId: userId || 'anonymous',
+    userId: ownerId,
   },
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
 });
 
+/**
+ * Load a spreadsheet owned by the authenticated user.
+ * Spreadsheets belonging to other users are reported as not found.
+ */
+const findOwnedSpreadsheet = async (id, userId) => {
+  const spreadsheet = await spreadsheetStore.findById(id);
+  if (!spreadsheet || spreadsheet.ownerId !== userId) return null;
+  return spreadsheet;
+};
+
 // API Routes
 
 /**
@@ -136,9 +153,9 @@ app.get('/api/health', (req, res) => {
 /**
  * Import spreadsheet data
  */
-app.post('/api/spreadsheet/import', (req, res) => {
+app.post('/api/spreadsheet/import', async (req, res) => {
   try {
-    const { data, headers, metadata, userId } = req.body;
+    const { data, headers, metadata } = req.body;
     
     // Validate input
     if (!data || !headers) {
@@ -157,10 +174,9 @@ app.post('/api/spreadsheet/import', (req, res) => {
     }
     
     // Create spreadsheet record
-    const record = createSpreadsheetRecord(data, headers, metadata, userId);
+    const record = createSpreadsheetRecord(data, headers, metadata, req.user.id);
     
-    // Store in memory (replace with database in production)
-    spreadsheetStore.set(record.id, record);
+    await spreadsheetStore.create(record);
     
     res.status(201).json({
       message: 'Spreadsheet imported successfully',
@@ -186,38 +202,27 @@ app.post('/api/spreadsheet/import', (req, res) => {
 /**
  * Get all spreadsheets for a user
  */
-app.get('/api/spreadsheet/list', (req, res) => {
+app.get('/api/spreadsheet/list', async (req, res) => {
   try {
-    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-    const userId = req.query.userId || 'anonymous';
-    
-    // Filter spreadsheets by user
-    const userSpreadsheets = Array.from(spreadsheetStore.values())
-      .filter(spreadsheet => spreadsheet.metadata.userId === userId);
-    
-    // Sort spreadsheets
-    userSpreadsheets.sort((a, b) => {
-      const aValue = a[sortBy];
-      const bValue = b[sortBy];
-      const order = sortOrder === 'desc' ? -1 : 1;
-      
-      if (aValue < bValue) return -1 * order;
-      if (aValue > bValue) return 1 * order;
-      return 0;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    
+    // Only the caller's own spreadsheets are ever listed
+    const { items, total } = await spreadsheetStore.listByOwner(req.user.id, {
+      page,
+      limit,
+      sortBy,
+      sortOrder,
     });
     
-    // Paginate
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedSpreadsheets = userSpreadsheets.slice(startIndex, endIndex);
-    
     // Return summary data (not full data for list view)
-    const summaryData = paginatedSpreadsheets.map(spreadsheet => ({
+    const summaryData = items.map(spreadsheet => ({
       id: spreadsheet.id,
-      fileName: spreadsheet.metadata.fileName,
-      fileType: spreadsheet.metadata.fileType,
-      rowCount: spreadsheet.data.length,
-      columnCount: spreadsheet.headers.length,
+      fileName: spreadsheet.metadata?.fileName,
+      fileType: spreadsheet.metadata?.fileType,
+      rowCount: spreadsheet.rowCount ?? spreadsheet.data?.length ?? 0,
+      columnCount: spreadsheet.headers?.length || 0,
       createdAt: spreadsheet.createdAt,
       updatedAt: spreadsheet.updatedAt,
     }));
@@ -225,10 +230,10 @@ app.get('/api/spreadsheet/list', (req, res) => {
     res.json({
       spreadsheets: summaryData,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: userSpreadsheets.length,
-        pages: Math.ceil(userSpreadsheets.length / limit),
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
       },
     });
     
@@ -244,10 +249,10 @@ app.get('/api/spreadsheet/list', (req, res) => {
 /**
  * Get specific spreadsheet by ID
  */
-app.get('/api/spreadsheet/:id', (req, res) => {
+app.get('/api/spreadsheet/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const spreadsheet = spreadsheetStore.get(id);
+    const spreadsheet = await findOwnedSpreadsheet(id, req.user.id);
     
     if (!spreadsheet) {
       return res.status(404).json({
@@ -269,26 +274,42 @@ app.get('/api/spreadsheet/:id', (req, res) => {
 /**
  * Update spreadsheet
  */
-app.put('/api/spreadsheet/:id', (req, res) => {
+app.put('/api/spreadsheet/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { data, headers, metadata } = req.body;
     
-    const spreadsheet = spreadsheetStore.get(id);
+    const spreadsheet = await findOwnedSpreadsheet(id, req.user.id);
     if (!spreadsheet) {
       return res.status(404).json({
         error: 'Spreadsheet not found',
       });
     }
     
-    // Update spreadsheet
-    const updatedSpreadsheet = {
-      ...spreadsheet,
-      ...updateData,
-      updatedAt: new Date().toISOString(),
-    };
+    if (data !== undefined) {
+      const validation = validateSpreadsheetData(data);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid data format',
+          details: validation.errors,
+        });
+      }
+    }
+    
+    // Only content fields are updatable; id, owner and timestamps are server-managed
+    const changes = { updatedAt: new Date().toISOString() };
+    if (data !== undefined) changes.data = data;
+    if (headers !== undefined) changes.headers = headers;
+    if (metadata !== undefined) {
+      changes.metadata = {
+        ...spreadsheet.metadata,
+        ...metadata,
+        uploadedAt: spreadsheet.metadata?.uploadedAt,
+        userId: spreadsheet.ownerId,
+      };
+    }
     
-    spreadsheetStore.set(id, updatedSpreadsheet);
+    const updatedSpreadsheet = await spreadsheetStore.update(id, changes);
     
     res.json({
       message: 'Spreadsheet updated successfully',
@@ -307,10 +328,10 @@ app.put('/api/spreadsheet/:id', (req, res) => {
 /**
  * Delete spreadsheet
  */
-app.delete('/api/spreadsheet/:id', (req, res) => {
+app.delete('/api/spreadsheet/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const spreadsheet = spreadsheetStore.get(id);
+    const spreadsheet = await findOwnedSpreadsheet(id, req.user.id);
     
     if (!spreadsheet) {
       return res.status(404).json({
@@ -318,7 +339,7 @@ app.delete('/api/spreadsheet/:id', (req, res) => {
       });
     }
     
-    spreadsheetStore.delete(id);
+    await spreadsheetStore.remove(id);
     
     res.json({
       message: 'Spreadsheet deleted successfully',
@@ -336,12 +357,12 @@ app.delete('/api/spreadsheet/:id', (req, res) => {
 /**
  * Export spreadsheet in multiple formats
  */
-app.get('/api/spreadsheet/:id/export', (req, res) => {
+app.get('/api/spreadsheet/:id/export', async (req, res) => {
   try {
     const { id } = req.params;
     const { format = 'json' } = req.query;
     
-    const spreadsheet = spreadsheetStore.get(id);
+    const spreadsheet = await findOwnedSpreadsheet(id, req.user.id);
     if (!spreadsheet) {
       return res.status(404).json({
         error: 'Spreadsheet not found',
@@ -582,18 +603,26 @@ app.use((error, req, res, next) => {
 });
 
 // 404 handler
-app.use('*', (req, res) => {
+app.use((req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
     path: req.originalUrl,
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Spreadsheet API Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
-});
+// Start server once the store is ready
+spreadsheetStore.init()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Spreadsheet API Server running on port ${PORT}`);
+      console.log(`💾 Spreadsheet store: ${spreadsheetStore.name}`);
+      console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+      console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to initialise spreadsheet store:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
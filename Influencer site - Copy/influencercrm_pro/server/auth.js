@@ -0,0 +1,82 @@
+/**
+ * Authentication middleware for the spreadsheet API
+ * Verifies the Supabase access token sent in the Authorization header
+ * and exposes the verified user on req.user
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseAnonKey) {
+  console.error('❌ Missing Supabase configuration for API authentication!');
+  console.error('Please set SUPABASE_URL and SUPABASE_ANON_KEY (or the VITE_ equivalents)');
+}
+
+// Server-side client: no session persistence, tokens are verified per request
+const supabase = supabaseUrl && supabaseAnonKey
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false,
+    },
+  })
+  : null;
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+};
+
+/**
+ * Require a valid Supabase JWT. Responds 401 when the token is missing,
+ * expired or rejected by Supabase Auth.
+ */
+const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+    });
+  }
+
+  if (!supabase) {
+    return res.status(503).json({
+      error: 'Authentication service is not configured',
+    });
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data?.user) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+      });
+    }
+
+    req.user = {
+      id: data.user.id,
+      email: data.user.email,
+    };
+    next();
+  } catch (error) {
+    console.error('Token verification error:', error);
+    res.status(401).json({
+      error: 'Invalid or expired token',
+    });
+  }
+};
+
+module.exports = {
+  requireAuth,
+  getBearerToken,
+};
@@ -0,0 +1,106 @@
+/**
+ * File-backed spreadsheet store
+ * Persists each spreadsheet as a JSON document on local disk so uploads
+ * survive server restarts. Intended for local and single-instance use.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { sortAndPaginate } = require('./storeUtils');
+
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+// Summary kept in memory for list queries; row data stays on disk
+const toSummary = ({ data, ...rest }) => ({
+  ...rest,
+  rowCount: Array.isArray(data) ? data.length : 0,
+});
+
+const createFileStore = ({ directory }) => {
+  const summaries = new Map();
+
+  const recordPath = (id) => {
+    // Never let an id escape the storage directory
+    if (!ID_PATTERN.test(id)) return null;
+    return path.join(directory, `${id}.json`);
+  };
+
+  // Write to a temp file first so a crash never leaves a half-written record
+  const writeRecord = async (record) => {
+    const target = recordPath(record.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record));
+    await fs.rename(temp, target);
+  };
+
+  return {
+    name: 'file',
+
+    async init() {
+      await fs.mkdir(directory, { recursive: true });
+      const files = await fs.readdir(directory);
+
+      for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const content = await fs.readFile(path.join(directory, file), 'utf8');
+          const record = JSON.parse(content);
+          summaries.set(record.id, toSummary(record));
+        } catch (error) {
+          console.error(`Skipping unreadable spreadsheet file ${file}:`, error.message);
+        }
+      }
+
+      console.log(`📁 Loaded ${summaries.size} spreadsheets from ${directory}`);
+    },
+
+    async create(record) {
+      await writeRecord(record);
+      summaries.set(record.id, toSummary(record));
+      return record;
+    },
+
+    async findById(id) {
+      const file = recordPath(id);
+      if (!file || !summaries.has(id)) return null;
+
+      try {
+        const content = await fs.readFile(file, 'utf8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          summaries.delete(id);
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async listByOwner(ownerId, options = {}) {
+      const owned = Array.from(summaries.values())
+        .filter(summary => summary.ownerId === ownerId);
+      return sortAndPaginate(owned, options);
+    },
+
+    async update(id, changes) {
+      const existing = await this.findById(id);
+      if (!existing) return null;
+
+      const updated = { ...existing, ...changes };
+      await writeRecord(updated);
+      summaries.set(id, toSummary(updated));
+      return updated;
+    },
+
+    async remove(id) {
+      const file = recordPath(id);
+      if (!file || !summaries.has(id)) return false;
+
+      await fs.rm(file, { force: true });
+      summaries.delete(id);
+      return true;
+    },
+  };
+};
+
+module.exports = { createFileStore };
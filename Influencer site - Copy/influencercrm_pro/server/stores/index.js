@@ -0,0 +1,29 @@
+/**
+ * Spreadsheet store factory
+ * Selects the storage adapter from SPREADSHEET_STORE ("file" or "memory").
+ *
+ * Every adapter implements the same async interface:
+ *   init(), create(record), findById(id), listByOwner(ownerId, options),
+ *   update(id, changes), remove(id)
+ */
+
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+
+const adapters = {
+  file: () => createFileStore({
+    directory: process.env.SPREADSHEET_STORE_DIR || path.join(__dirname, '..', '..', '.data', 'spreadsheets'),
+  }),
+  memory: () => createMemoryStore(),
+};
+
+const createSpreadsheetStore = (type = process.env.SPREADSHEET_STORE || 'file') => {
+  const factory = adapters[type];
+  if (!factory) {
+    throw new Error(`Unknown spreadsheet store "${type}". Supported stores: ${Object.keys(adapters).join(', ')}`);
+  }
+  return factory();
+};
+
+module.exports = { createSpreadsheetStore };
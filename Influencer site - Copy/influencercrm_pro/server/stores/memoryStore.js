@@ -0,0 +1,46 @@
+/**
+ * In-memory spreadsheet store
+ * Non-durable adapter, useful for tests and throwaway local sessions
+ */
+
+const { sortAndPaginate } = require('./storeUtils');
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async create(record) {
+      records.set(record.id, record);
+      return record;
+    },
+
+    async findById(id) {
+      return records.get(id) || null;
+    },
+
+    async listByOwner(ownerId, options = {}) {
+      const owned = Array.from(records.values())
+        .filter(record => record.ownerId === ownerId);
+      return sortAndPaginate(owned, options);
+    },
+
+    async update(id, changes) {
+      const existing = records.get(id);
+      if (!existing) return null;
+
+      const updated = { ...existing, ...changes };
+      records.set(id, updated);
+      return updated;
+    },
+
+    async remove(id) {
+      return records.delete(id);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,45 @@
+/**
+ * Helpers shared by the spreadsheet store adapters
+ */
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'fileName', 'rowCount'];
+
+const getSortValue = (record, sortBy) => {
+  switch (sortBy) {
+    case 'fileName':
+      return (record.metadata?.fileName || '').toLowerCase();
+    case 'rowCount':
+      return record.rowCount ?? record.data?.length ?? 0;
+    default:
+      return record[sortBy];
+  }
+};
+
+/**
+ * Sort records and return one page of them along with the total count
+ */
+const sortAndPaginate = (records, options = {}) => {
+  const { sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 20 } = options;
+  const field = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+  const order = sortOrder === 'asc' ? 1 : -1;
+
+  const sorted = [...records].sort((a, b) => {
+    const aValue = getSortValue(a, field);
+    const bValue = getSortValue(b, field);
+
+    if (aValue < bValue) return -1 * order;
+    if (aValue > bValue) return 1 * order;
+    return 0;
+  });
+
+  const startIndex = (page - 1) * limit;
+  return {
+    items: sorted.slice(startIndex, startIndex + limit),
+    total: sorted.length,
+  };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  sortAndPaginate,
+};
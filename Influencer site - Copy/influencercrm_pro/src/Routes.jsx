@@ -6,11 +6,14 @@ import ErrorBoundary from "./components/ErrorBoundary";
 import { useAuth } from './contexts/AuthContext';
 import NotFound from "./pages/NotFound";
 import PaymentProcessingCenter from './pages/payment-processing-center';
+import BankReconciliation from './pages/bank-reconciliation';
 import ExecutiveDashboard from './pages/executive-dashboard';
 import LoginAndAuthentication from './pages/login-and-authentication';
 import CreatorDatabaseManagement from './pages/creator-database-management';
 import CreatorProfileDetails from './pages/creator-profile-details';
 import CampaignManagementCenter from './pages/campaign-management-center';
+import CampaignCastingBoard from './pages/campaign-casting-board';
+import SharedShortlist from './pages/shared-shortlist';
 import BrandContactManagement from './pages/brand-contact-management';
 import BulkInstagramProcessor from './pages/bulk-instagram-processor';
 import SystemSettingsUserManagement from './pages/system-settings-user-management';
@@ -81,11 +84,14 @@ const Routes = () => {
             }
           />
           <Route path="/payment-processing-center" element={<RequireAuth><PageWrapper><PaymentProcessingCenter /></PageWrapper></RequireAuth>} />
+          <Route path="/bank-reconciliation" element={<RequireAuth><PageWrapper><BankReconciliation /></PageWrapper></RequireAuth>} />
           <Route path="/login-and-authentication" element={<PageWrapper><LoginAndAuthentication /></PageWrapper>} />
           <Route path="/login" element={<PageWrapper><LoginAndAuthentication /></PageWrapper>} />
           <Route path="/creator-database-management" element={<RequireAuth><PageWrapper><CreatorDatabaseManagement /></PageWrapper></RequireAuth>} />
           <Route path="/creator-profile-details/:id" element={<RequireAuth><PageWrapper><CreatorProfileDetails /></PageWrapper></RequireAuth>} />
           <Route path="/campaign-management-center" element={<RequireAuth><PageWrapper><CampaignManagementCenter /></PageWrapper></RequireAuth>} />
+          <Route path="/campaign-casting-board/:campaignId" element={<RequireAuth><PageWrapper><CampaignCastingBoard /></PageWrapper></RequireAuth>} />
+          <Route path="/shortlist/:token" element={<PageWrapper><SharedShortlist /></PageWrapper>} />
           <Route path="/brand-contact-management" element={<RequireAuth><PageWrapper><BrandContactManagement /></PageWrapper></RequireAuth>} />
           <Route path="/bulk-instagram-processor" element={<RequireAuth><PageWrapper><BulkInstagramProcessor /></PageWrapper></RequireAuth>} />
           <Route path="/system-settings-user-management" element={<RequireAuth><PageWrapper><SystemSettingsUserManagement /></PageWrapper></RequireAuth>} />
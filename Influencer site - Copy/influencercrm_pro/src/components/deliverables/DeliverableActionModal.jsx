@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../AppIcon';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { deliverableService } from '../../services/deliverableService';
+import { DELIVERABLE_TYPES, RATE_PLATFORMS } from '../../utils/rateCard';
+import { deliverableLabel } from '../../utils/deliverables';
+
+const MODES = {
+  add: { title: 'Add Deliverable', icon: 'Plus', action: 'Add' },
+  live: { title: 'Mark Live', icon: 'Radio', action: 'Mark Live' },
+  metrics: { title: 'Capture Metrics', icon: 'BarChart3', action: 'Save Metrics' }
+};
+
+const METRICS = [
+  { key: 'views', label: 'Views' },
+  { key: 'reach', label: 'Reach' },
+  { key: 'likes', label: 'Likes' },
+  { key: 'comments', label: 'Comments' },
+  { key: 'shares', label: 'Shares' },
+  { key: 'saves', label: 'Saves' }
+];
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(String(value || '').trim());
+
+const initialForm = (mode, deliverable, defaultDueDate) => ({
+  campaignCreatorId: '',
+  platform: 'instagram',
+  deliverableType: 'reel',
+  title: '',
+  brief: '',
+  dueDate: defaultDueDate || '',
+  postLink: deliverable?.post_link || '',
+  postedDate: deliverable?.posted_date || new Date().toISOString().slice(0, 10),
+  ...Object.fromEntries(METRICS.map(({ key }) => [key, deliverable?.[key] ?? '']))
+});
+
+/**
+ * Add a deliverable, mark it live or capture its metrics. Drafts and
+ * brand decisions go through DeliverableDraftModal.
+ * @param {string} mode - add | live | metrics
+ * @param {Object} deliverable - campaign_deliverables row (all modes except add)
+ * @param {Array} assignments - [{ value: campaign_creators id, label }] for add
+ * @param {string} defaultDueDate - Prefilled due date for add
+ * @param {Function} onSaved - (row) => void
+ */
+const DeliverableActionModal = ({ mode, deliverable, assignments = [], defaultDueDate, onClose, onSaved }) => {
+  const [form, setForm] = useState(() => initialForm(mode, deliverable, defaultDueDate));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setForm({
+      ...initialForm(mode, deliverable, defaultDueDate),
+      campaignCreatorId: assignments?.length === 1 ? assignments[0].value : ''
+    });
+    setError(null);
+  }, [mode, deliverable?.id]);
+
+  if (!mode || !MODES[mode]) return null;
+  const config = MODES[mode];
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const validate = () => {
+    if (mode === 'add' && !form.campaignCreatorId) return 'Choose the creator this deliverable is for';
+    if (mode === 'live' && !isUrl(form.postLink)) return 'Enter the live post link, starting with http(s)://';
+    return null;
+  };
+
+  const handleSave = async () => {
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setSaving(true);
+    try {
+      let row;
+      if (mode === 'add') row = await deliverableService.create(form);
+      if (mode === 'live') row = await deliverableService.markLive(deliverable.id, { postLink: form.postLink.trim(), postedDate: form.postedDate });
+      if (mode === 'metrics') row = await deliverableService.captureMetrics(deliverable.id, form);
+      onSaved(row);
+    } catch (err) {
+      setError(err?.message || 'Failed to save deliverable');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name={config.icon} size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">{config.title}</h2>
+              {deliverable && (
+                <p className="text-xs text-muted-foreground">
+                  {deliverableLabel(deliverable)} • {deliverable?.creator?.name || 'Unknown creator'}
+                </p>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {mode === 'add' && (
+            <>
+              <Select
+                label="Creator"
+                options={assignments}
+                value={form.campaignCreatorId}
+                onChange={(value) => updateField('campaignCreatorId', value)}
+                placeholder="Select a creator on this campaign"
+              />
+              <div className="grid grid-cols-2 gap-4">
+                <Select
+                  label="Platform"
+                  options={RATE_PLATFORMS}
+                  value={form.platform}
+                  onChange={(value) => updateField('platform', value)}
+                />
+                <Select
+                  label="Type"
+                  options={DELIVERABLE_TYPES}
+                  value={form.deliverableType}
+                  onChange={(value) => updateField('deliverableType', value)}
+                />
+              </div>
+              <Input
+                label="Title"
+                value={form.title}
+                onChange={(e) => updateField('title', e?.target?.value)}
+                description="Optional, e.g. Launch day reel"
+              />
+              <Input
+                label="Due date"
+                type="date"
+                value={form.dueDate}
+                onChange={(e) => updateField('dueDate', e?.target?.value)}
+              />
+              <div>
+                <label className="block text-sm font-medium text-foreground mb-2">Brief (optional)</label>
+                <textarea
+                  value={form.brief}
+                  onChange={(e) => updateField('brief', e?.target?.value)}
+                  rows={3}
+                  className="w-full px-3 py-2 text-sm bg-background border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+                  placeholder="Key messages, hashtags, mandatory mentions"
+                />
+              </div>
+            </>
+          )}
+
+          {mode === 'live' && (
+            <>
+              <Input
+                label="Live post link"
+                value={form.postLink}
+                onChange={(e) => updateField('postLink', e?.target?.value)}
+                placeholder="https://www.instagram.com/reel/..."
+              />
+              <Input
+                label="Posted on"
+                type="date"
+                value={form.postedDate}
+                onChange={(e) => updateField('postedDate', e?.target?.value)}
+              />
+            </>
+          )}
+
+          {mode === 'metrics' && (
+            <div className="grid grid-cols-2 gap-4">
+              {METRICS.map(({ key, label }) => (
+                <Input
+                  key={key}
+                  label={label}
+                  type="number"
+                  min="0"
+                  value={form[key]}
+                  onChange={(e) => updateField(key, e?.target?.value)}
+                />
+              ))}
+            </div>
+          )}
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" onClick={handleSave} loading={saving} disabled={saving} fullWidth>
+              {config.action}
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliverableActionModal;
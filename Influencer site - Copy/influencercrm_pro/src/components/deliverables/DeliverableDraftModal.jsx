@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../AppIcon';
+import Button from '../ui/Button';
+import Select from '../ui/Select';
+import { deliverableService } from '../../services/deliverableService';
+import {
+  deliverableLabel,
+  draftStatusLabel,
+  draftStatusClass,
+  draftReviewMessage,
+  whatsappLink,
+  mailtoLink
+} from '../../utils/deliverables';
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+/**
+ * Submit a new draft version to a brand contact, or record the contact's
+ * decision on the version under review. Every version and its outcome is
+ * listed underneath.
+ * @param {string} mode - draft | review
+ * @param {Object} deliverable - campaign_deliverables row with creator and campaign
+ * @param {Function} onSaved - (deliverable) => void, with the refreshed row
+ */
+const DeliverableDraftModal = ({ mode, deliverable, onClose, onSaved }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [reviewers, setReviewers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [caption, setCaption] = useState('');
+  const [mediaLinks, setMediaLinks] = useState('');
+  const [reviewerId, setReviewerId] = useState('');
+  const [decision, setDecision] = useState('approved');
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!deliverable?.id) return;
+    setLoading(true);
+    setError(null);
+    Promise.all([
+      deliverableService.getDrafts(deliverable.id),
+      mode === 'draft' ? deliverableService.getReviewers(deliverable?.campaign) : Promise.resolve([])
+    ])
+      .then(([versions, contacts]) => {
+        setDrafts(versions);
+        setReviewers(contacts);
+        // A new version starts from the last one and goes to the same contact
+        const last = versions?.[0];
+        setCaption(last?.caption || '');
+        setMediaLinks((last?.media_urls || []).join('\n'));
+        setReviewerId(last?.reviewer_contact_id || contacts.find(contact => contact.matchesCampaign)?.id || '');
+      })
+      .catch(err => setError(err?.message || 'Failed to load drafts'))
+      .finally(() => setLoading(false));
+  }, [mode, deliverable?.id]);
+
+  const underReview = drafts.find(draft => draft?.status === 'pending_review');
+  const lastFeedback = drafts.find(draft => draft?.status === 'changes_requested');
+
+  const reviewerOptions = reviewers.map(contact => ({
+    value: contact.id,
+    label: `${contact.full_name}${contact?.brand?.name ? ` — ${contact.brand.name}` : ''}`,
+    description: [contact?.designation, contact.matchesCampaign ? 'Campaign brand' : null].filter(Boolean).join(' • ')
+  }));
+
+  const finish = async () => {
+    onSaved(await deliverableService.getById(deliverable.id));
+  };
+
+  const handleSubmitDraft = async () => {
+    const mediaUrls = mediaLinks.split('\n').map(line => line.trim()).filter(Boolean);
+    if (!caption.trim() && mediaUrls.length === 0) {
+      setError('Add the caption or at least one media link');
+      return;
+    }
+    if (mediaUrls.some(url => !isUrl(url))) {
+      setError('Media links must start with http(s)://, one per line');
+      return;
+    }
+    if (!reviewerId) {
+      setError('Choose the brand contact who will approve this draft');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await deliverableService.submitDraft(deliverable.id, { caption, mediaUrls, reviewerContactId: reviewerId });
+      await finish();
+    } catch (err) {
+      setError(err?.message || 'Failed to submit draft');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecision = async () => {
+    if (decision === 'changes' && !comment.trim()) {
+      setError('Describe the changes the brand asked for');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await deliverableService.decideDraft(underReview.id, decision === 'approved', comment);
+      await finish();
+    } catch (err) {
+      setError(err?.message || 'Failed to record decision');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const reviewMessage = underReview ? draftReviewMessage(deliverable, underReview) : '';
+  const reviewSubject = `Draft approval: ${deliverableLabel(deliverable)} • ${deliverable?.campaign?.name || ''}`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-2xl w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name={mode === 'draft' ? 'Upload' : 'ClipboardCheck'} size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">
+                {mode === 'draft' ? `Submit Draft v${(drafts?.[0]?.version || 0) + 1}` : 'Brand Review'}
+              </h2>
+              <p className="text-xs text-muted-foreground">
+                {deliverableLabel(deliverable)} • {deliverable?.creator?.name || 'Unknown creator'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-5">
+          {loading ? (
+            <p className="text-sm text-muted-foreground text-center py-8">Loading drafts...</p>
+          ) : (
+            <>
+              {mode === 'draft' && (
+                <div className="space-y-4">
+                  {lastFeedback?.decision_comment && deliverable?.status === 'changes_requested' && (
+                    <div className="flex items-start gap-2 p-3 rounded-md bg-error/10 text-sm text-error">
+                      <Icon name="MessageSquare" size={16} className="mt-0.5 flex-shrink-0" />
+                      <span>
+                        {lastFeedback?.reviewer_name || 'Brand'} on v{lastFeedback?.version}: {lastFeedback.decision_comment}
+                      </span>
+                    </div>
+                  )}
+                  <Select
+                    label="Send to"
+                    options={reviewerOptions}
+                    value={reviewerId}
+                    onChange={(value) => {
+                      setReviewerId(value);
+                      setError(null);
+                    }}
+                    placeholder={reviewers.length ? 'Select a brand contact' : 'No brand contacts yet'}
+                    searchable
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-foreground mb-2">Caption</label>
+                    <textarea
+                      value={caption}
+                      onChange={(e) => {
+                        setCaption(e?.target?.value);
+                        setError(null);
+                      }}
+                      rows={5}
+                      className="w-full px-3 py-2 text-sm bg-background border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+                      placeholder="Caption with hashtags and mentions as it will be posted"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-foreground mb-2">Media links</label>
+                    <textarea
+                      value={mediaLinks}
+                      onChange={(e) => {
+                        setMediaLinks(e?.target?.value);
+                        setError(null);
+                      }}
+                      rows={3}
+                      className="w-full px-3 py-2 text-sm bg-background border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring font-mono"
+                      placeholder="One Drive, Dropbox or Frame.io link per line"
+                    />
+                  </div>
+                </div>
+              )}
+
+              {mode === 'review' && !underReview && (
+                <p className="text-sm text-muted-foreground text-center py-6">No draft is waiting for the brand.</p>
+              )}
+
+              {mode === 'review' && underReview && (
+                <div className="space-y-4">
+                  <div className="p-4 rounded-lg border border-border space-y-3">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium text-foreground">Version {underReview.version}</span>
+                      <span className="text-xs text-muted-foreground">
+                        Sent to {underReview?.reviewer?.full_name || underReview?.reviewer_name || 'no contact'} • {formatDateTime(underReview.submitted_at)}
+                      </span>
+                    </div>
+                    {underReview?.caption && (
+                      <p className="text-sm text-foreground whitespace-pre-wrap">{underReview.caption}</p>
+                    )}
+                    {underReview?.media_urls?.map(url => (
+                      <a
+                        key={url}
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-2 text-sm text-primary hover:underline break-all"
+                      >
+                        <Icon name="ExternalLink" size={14} className="flex-shrink-0" />
+                        {url}
+                      </a>
+                    ))}
+                    <div className="flex flex-wrap gap-2 pt-1">
+                      {(underReview?.reviewer?.whatsapp || underReview?.reviewer?.phone) && (
+                        <a
+                          href={whatsappLink(underReview.reviewer.whatsapp || underReview.reviewer.phone, reviewMessage)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center gap-1 px-3 py-1 text-xs font-medium rounded-md border border-border hover:bg-muted"
+                        >
+                          <Icon name="MessageCircle" size={14} />
+                          Send on WhatsApp
+                        </a>
+                      )}
+                      {underReview?.reviewer?.email && (
+                        <a
+                          href={mailtoLink(underReview.reviewer.email, reviewSubject, reviewMessage)}
+                          className="inline-flex items-center gap-1 px-3 py-1 text-xs font-medium rounded-md border border-border hover:bg-muted"
+                        >
+                          <Icon name="Mail" size={14} />
+                          Send by Email
+                        </a>
+                      )}
+                    </div>
+                  </div>
+                  <Select
+                    label={`Decision from ${underReview?.reviewer?.full_name || underReview?.reviewer_name || 'the brand'}`}
+                    options={[
+                      { value: 'approved', label: 'Approved' },
+                      { value: 'changes', label: 'Changes requested' }
+                    ]}
+                    value={decision}
+                    onChange={(value) => {
+                      setDecision(value);
+                      setError(null);
+                    }}
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-foreground mb-2">
+                      Comments{decision === 'approved' ? ' (optional)' : ''}
+                    </label>
+                    <textarea
+                      value={comment}
+                      onChange={(e) => {
+                        setComment(e?.target?.value);
+                        setError(null);
+                      }}
+                      rows={3}
+                      className="w-full px-3 py-2 text-sm bg-background border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+                      placeholder={decision === 'approved' ? 'e.g. Approved on WhatsApp' : 'e.g. Show the product in the first 3 seconds'}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {error && <p className="text-sm text-error">{error}</p>}
+
+              {(mode === 'draft' || underReview) && (
+                <div className="flex gap-3">
+                  <Button
+                    variant="default"
+                    size="sm"
+                    onClick={mode === 'draft' ? handleSubmitDraft : handleDecision}
+                    loading={saving}
+                    disabled={saving}
+                    fullWidth
+                  >
+                    {mode === 'draft' ? 'Submit for Approval' : 'Record Decision'}
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+                    Cancel
+                  </Button>
+                </div>
+              )}
+
+              {drafts.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-foreground mb-3">Version History</h3>
+                  <div className="space-y-2">
+                    {drafts.map(draft => (
+                      <div key={draft.id} className="p-3 rounded-md bg-muted/50 text-xs space-y-1">
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="font-medium text-foreground">
+                            v{draft.version} • {formatDateTime(draft.submitted_at)}
+                            {draft?.submitted_by_email && ` • ${draft.submitted_by_email}`}
+                          </span>
+                          <span className={`px-2 py-0.5 rounded-full border ${draftStatusClass(draft.status)}`}>
+                            {draftStatusLabel(draft.status)}
+                          </span>
+                        </div>
+                        {draft?.caption && <p className="text-muted-foreground line-clamp-2">{draft.caption}</p>}
+                        {draft?.decided_at && (
+                          <p className="text-foreground">
+                            {draft?.reviewer_name || 'Brand'}, {formatDateTime(draft.decided_at)}
+                            {draft?.decision_comment && `: ${draft.decision_comment}`}
+                            {draft?.decided_by_email && <span className="text-muted-foreground"> (recorded by {draft.decided_by_email})</span>}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliverableDraftModal;
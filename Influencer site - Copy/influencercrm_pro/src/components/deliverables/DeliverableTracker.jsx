@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import Icon from '../AppIcon';
+import Button from '../ui/Button';
+import DeliverableActionModal from './DeliverableActionModal';
+import DeliverableDraftModal from './DeliverableDraftModal';
+import {
+  summarizeDeliverables,
+  daysOverdue,
+  deliverableLabel,
+  deliverableStatusLabel,
+  deliverableStatusClass,
+  engagementOf
+} from '../../utils/deliverables';
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'approval', label: 'Approval Queue' },
+  { id: 'live', label: 'Live' }
+];
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '—');
+
+const latestDraft = (deliverable) => [...(deliverable?.drafts || [])].sort((a, b) => b.version - a.version)[0];
+
+const formatCount = (value) => new Intl.NumberFormat('en-IN', { notation: 'compact', maximumFractionDigits: 1 }).format(value || 0);
+
+// Next step offered for each status; going live needs an approved draft
+const ACTIONS = {
+  pending: [{ mode: 'draft', label: 'Submit Draft', icon: 'Upload' }],
+  draft_submitted: [{ mode: 'review', label: 'Record Decision', icon: 'ClipboardCheck' }, { mode: 'draft', label: 'New Version', icon: 'Upload' }],
+  changes_requested: [{ mode: 'draft', label: 'Resubmit Draft', icon: 'Upload' }],
+  approved: [{ mode: 'live', label: 'Mark Live', icon: 'Radio' }, { mode: 'review', label: 'Drafts', icon: 'History' }],
+  live: [{ mode: 'metrics', label: 'Metrics', icon: 'BarChart3' }, { mode: 'review', label: 'Drafts', icon: 'History' }],
+  cancelled: []
+};
+
+const DRAFT_MODES = ['draft', 'review'];
+
+/**
+ * Progress, overdue deliverables and the brand approval queue for a
+ * campaign or a creator, with each deliverable's next step
+ * @param {Array} deliverables - campaign_deliverables rows with creator and campaign
+ * @param {boolean} loading
+ * @param {string} groupBy - 'creator' on a campaign, 'campaign' on a creator
+ * @param {Array} assignments - [{ value, label }] to enable adding deliverables
+ * @param {string} defaultDueDate - Prefilled due date for new deliverables
+ * @param {Function} onChange - (row) => void, called with each saved row
+ */
+const DeliverableTracker = ({ deliverables = [], loading = false, groupBy = 'creator', assignments, defaultDueDate, onChange }) => {
+  const [filter, setFilter] = useState('all');
+  const [action, setAction] = useState(null);
+
+  const summary = summarizeDeliverables(deliverables);
+  const visible = deliverables.filter(d => {
+    if (filter === 'overdue') return daysOverdue(d) > 0;
+    if (filter === 'approval') return d?.status === 'draft_submitted' || d?.status === 'changes_requested';
+    if (filter === 'live') return d?.status === 'live';
+    return true;
+  });
+
+  const handleSaved = (row) => {
+    setAction(null);
+    onChange?.(row);
+  };
+
+  if (loading) {
+    return <p className="text-sm text-muted-foreground text-center py-8">Loading deliverables...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 rounded-lg bg-muted space-y-3">
+        <div className="flex items-center justify-between text-sm">
+          <span className="font-medium text-foreground">{summary.live} of {summary.total} live</span>
+          <span className="text-muted-foreground">{summary.percent}%</span>
+        </div>
+        <div className="h-2 rounded-full bg-background overflow-hidden">
+          <div className="h-full bg-success transition-all" style={{ width: `${summary.percent}%` }} />
+        </div>
+        <div className="grid grid-cols-4 gap-2 text-center">
+          <div>
+            <div className={`text-lg font-semibold ${summary.overdue ? 'text-error' : 'text-foreground'}`}>{summary.overdue}</div>
+            <div className="text-xs text-muted-foreground">Overdue</div>
+          </div>
+          <div>
+            <div className={`text-lg font-semibold ${summary.awaitingApproval ? 'text-warning' : 'text-foreground'}`}>{summary.awaitingApproval}</div>
+            <div className="text-xs text-muted-foreground">Awaiting brand</div>
+          </div>
+          <div>
+            <div className="text-lg font-semibold text-foreground">{formatCount(summary.views)}</div>
+            <div className="text-xs text-muted-foreground">Views</div>
+          </div>
+          <div>
+            <div className="text-lg font-semibold text-foreground">{formatCount(summary.engagement)}</div>
+            <div className="text-xs text-muted-foreground">Engagement</div>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex flex-wrap gap-1">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                filter === option.id ? 'bg-primary text-primary-foreground border-primary' : 'border-border text-muted-foreground hover:text-foreground'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {assignments?.length > 0 && (
+          <Button variant="outline" size="xs" iconName="Plus" iconPosition="left" onClick={() => setAction({ mode: 'add' })}>
+            Add
+          </Button>
+        )}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-muted-foreground text-center py-6">
+          {deliverables.length === 0 ? 'No deliverables yet.' : 'Nothing here.'}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {visible.map(deliverable => {
+            const overdueDays = daysOverdue(deliverable);
+            return (
+              <div
+                key={deliverable?.id}
+                className={`p-4 rounded-lg border ${overdueDays ? 'border-error/40' : 'border-border'}`}
+              >
+                <div className="flex items-start justify-between gap-2 mb-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-semibold text-foreground">{deliverableLabel(deliverable)}</div>
+                    <div className="text-xs text-muted-foreground truncate">
+                      {groupBy === 'campaign'
+                        ? deliverable?.campaign?.name || 'Unnamed campaign'
+                        : deliverable?.creator?.name || 'Unknown creator'}
+                    </div>
+                  </div>
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full border whitespace-nowrap ${deliverableStatusClass(deliverable?.status)}`}>
+                    {deliverableStatusLabel(deliverable?.status)}
+                  </span>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-muted-foreground">
+                  <span className={`flex items-center gap-1 ${overdueDays ? 'text-error font-medium' : ''}`}>
+                    <Icon name="Calendar" size={12} />
+                    Due {formatDate(deliverable?.due_date)}
+                    {overdueDays > 0 && ` • ${overdueDays}d overdue`}
+                  </span>
+                  {deliverable?.draft_url && (
+                    <a href={deliverable.draft_url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 text-primary hover:underline">
+                      <Icon name="FileVideo" size={12} />
+                      Draft
+                    </a>
+                  )}
+                  {deliverable?.post_link && (
+                    <a href={deliverable.post_link} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 text-primary hover:underline">
+                      <Icon name="ExternalLink" size={12} />
+                      Live {formatDate(deliverable?.posted_date)}
+                    </a>
+                  )}
+                  {deliverable?.metrics_captured_at && (
+                    <span className="flex items-center gap-1">
+                      <Icon name="Eye" size={12} />
+                      {formatCount(deliverable?.views)} views • {formatCount(engagementOf(deliverable))} engagement
+                    </span>
+                  )}
+                </div>
+
+                {deliverable?.status === 'draft_submitted' && latestDraft(deliverable)?.reviewer_name && (
+                  <p className="mt-2 text-xs text-muted-foreground">
+                    v{latestDraft(deliverable).version} with {latestDraft(deliverable).reviewer_name}
+                  </p>
+                )}
+
+                {deliverable?.approval_note && (
+                  <p className={`mt-2 text-xs ${deliverable?.status === 'changes_requested' ? 'text-error' : 'text-muted-foreground'}`}>
+                    Brand: {deliverable.approval_note}
+                  </p>
+                )}
+
+                {ACTIONS[deliverable?.status]?.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {ACTIONS[deliverable.status].map(step => (
+                      <Button
+                        key={step.mode}
+                        variant="outline"
+                        size="xs"
+                        iconName={step.icon}
+                        iconPosition="left"
+                        onClick={() => setAction({ mode: step.mode, deliverable })}
+                      >
+                        {step.label}
+                      </Button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {action && DRAFT_MODES.includes(action.mode) && (
+        <DeliverableDraftModal
+          mode={action.mode}
+          deliverable={action.deliverable}
+          onClose={() => setAction(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {action && !DRAFT_MODES.includes(action.mode) && (
+        <DeliverableActionModal
+          mode={action.mode}
+          deliverable={action.deliverable}
+          assignments={assignments}
+          defaultDueDate={defaultDueDate}
+          onClose={() => setAction(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DeliverableTracker;
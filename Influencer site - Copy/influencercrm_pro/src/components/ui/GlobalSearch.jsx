@@ -19,7 +19,9 @@ import {
 import { calculateSimilarity } from '../../utils/fuzzyMatching';
 import { useToast } from './ToastContainer';
 import Button from './Button';
+import SearchSnippet from './SearchSnippet';
 import { supabase } from '../../lib/supabase';
+import { creatorService } from '../../services/creatorService';
 
 // Search result types
 const RESULT_TYPES = {
@@ -86,41 +88,35 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
       const results = [];
       const queryLower = query.toLowerCase();
 
-      // Search creators from Supabase with better error handling
+      // Search creators through the ranked full-text index
       let creators = [];
       try {
-        const { data, error } = await supabase
-          .from('creators')
-          .select('id, name, email, instagram_handle, follower_count, niche, category, profile_image_url')
-          .or(`name.ilike.%${query}%,email.ilike.%${query}%,instagram_handle.ilike.%${query}%,niche.ilike.%${query}%,category.ilike.%${query}%`)
-          .limit(10);
-        
-        if (error) throw error;
-        creators = data || [];
+        creators = await creatorService.search(query, { limit: 8 });
       } catch (creatorError) {
         console.error('Creator search error:', creatorError);
       }
 
       creators?.forEach(creator => {
         try {
-          const nameScore = calculateSimilarity(queryLower, creator.name?.toLowerCase() || '');
-          const emailScore = calculateSimilarity(queryLower, creator.email?.toLowerCase() || '');
-          const handleScore = calculateSimilarity(queryLower, creator.instagram_handle?.toLowerCase() || '');
-          const nicheScore = calculateSimilarity(queryLower, creator.niche?.toLowerCase() || '');
-          const categoryScore = calculateSimilarity(queryLower, creator.category?.toLowerCase() || '');
-          
-          const maxScore = Math.max(nameScore, emailScore, handleScore, nicheScore, categoryScore);
-          
-          if (maxScore >= 60) {
-            results.push({
-              ...creator,
-              type: RESULT_TYPES.CREATOR,
-              score: maxScore,
-              displayName: creator.name || 'Unknown Creator',
-              subtitle: creator.instagram_handle || creator.email || 'No contact info',
-              description: `${creator.niche || creator.category || 'General'} • ${creator.follower_count ? formatNumber(creator.follower_count) + ' followers' : ''}`
-            });
-          }
+          // search_rank is ts_rank + trigram word similarity; fall back to
+          // client-side similarity when the search RPC is unavailable
+          const score = creator.search_rank !== null && creator.search_rank !== undefined
+            ? Math.min(1, creator.search_rank) * 100
+            : Math.max(
+              calculateSimilarity(queryLower, creator.name?.toLowerCase() || ''),
+              calculateSimilarity(queryLower, creator.username?.toLowerCase() || ''),
+              calculateSimilarity(queryLower, creator.email?.toLowerCase() || '')
+            );
+
+          results.push({
+            ...creator,
+            type: RESULT_TYPES.CREATOR,
+            score,
+            displayName: creator.name || 'Unknown Creator',
+            subtitle: creator.username ? `@${creator.username}` : (creator.email || 'No contact info'),
+            description: [creator.city, creator.state, creator.followers_tier?.trim()].filter(Boolean).join(' • '),
+            snippet: creator.search_snippet
+          });
         } catch (processingError) {
           console.error('Error processing creator:', creator, processingError);
         }
@@ -131,8 +127,8 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
       try {
         const { data, error } = await supabase
           .from('campaigns')
-          .select('id, name, brand, status, budget, creator_id')
-          .or(`name.ilike.%${query}%,brand.ilike.%${query}%,status.ilike.%${query}%`)
+          .select('id, name, status, budget, legacy_brand_name, linked_brand:brands!campaigns_brand_id_fkey(name)')
+          .or(`name.ilike.%${query}%,legacy_brand_name.ilike.%${query}%,status.ilike.%${query}%`)
           .limit(10);
         
         if (error) throw error;
@@ -143,8 +139,9 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
 
       campaigns?.forEach(campaign => {
         try {
+          const brandName = campaign.linked_brand?.name || campaign.legacy_brand_name;
           const nameScore = calculateSimilarity(queryLower, campaign.name?.toLowerCase() || '');
-          const brandScore = calculateSimilarity(queryLower, campaign.brand?.toLowerCase() || '');
+          const brandScore = calculateSimilarity(queryLower, brandName?.toLowerCase() || '');
           const statusScore = calculateSimilarity(queryLower, campaign.status?.toLowerCase() || '');
           
           const maxScore = Math.max(nameScore, brandScore, statusScore);
@@ -155,7 +152,7 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
               type: RESULT_TYPES.CAMPAIGN,
               score: maxScore,
               displayName: campaign.name || 'Unknown Campaign',
-              subtitle: campaign.brand || 'Unknown Brand',
+              subtitle: brandName || 'Unknown Brand',
               description: `${campaign.status || 'Unknown Status'} • ${campaign.budget ? formatCurrency(campaign.budget) : ''}`
             });
           }
@@ -178,13 +175,6 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
     }
   }, [addToast]);
 
-  // Helper function to format numbers
-  const formatNumber = (num) => {
-    if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
-    if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
-    return num?.toString();
-  };
-
   // Helper function to format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(amount);
@@ -282,7 +272,7 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
   const getResultSubtitle = (result) => {
     switch (result.type) {
       case RESULT_TYPES.CREATOR:
-        return `${result.instagram_handle} • ${result.follower_count?.toLocaleString()} followers`;
+        return `@${result.username} • ${result.followers_tier?.trim() || 'N/A'}`;
       case RESULT_TYPES.BRAND:
         return `${result.industry} • ${result.status}`;
       case RESULT_TYPES.CAMPAIGN:
@@ -449,7 +439,9 @@ const GlobalSearch = ({ isOpen, onClose, onNavigate }) => {
                         <span className="text-gray-500 truncate">{result.subtitle}</span>
                       </div>
                       
-                      {result.description && (
+                      {result.snippet ? (
+                        <SearchSnippet snippet={result.snippet} className="block text-gray-500 mt-1 truncate" />
+                      ) : result.description && (
                         <div className="text-xs text-gray-400 mt-1 truncate">{result.description}</div>
                       )}
                     </div>
@@ -0,0 +1,243 @@
+/**
+ * Import History Component
+ * Lists committed creator imports with their counts and lets a user roll
+ * an import back (restore updated creators, delete inserted ones)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RotateCcw, Loader2, ChevronDown, ChevronRight, RefreshCw } from 'lucide-react';
+import Button from './Button';
+import { useToast } from './ToastContainer';
+import { importJobService } from '../../services/importJobService';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  rolled_back: 'bg-gray-100 text-gray-700',
+  partially_rolled_back: 'bg-yellow-100 text-yellow-800'
+};
+
+const STATUS_LABELS = {
+  completed: 'Completed',
+  rolled_back: 'Rolled back',
+  partially_rolled_back: 'Partially rolled back'
+};
+
+const PAGE_SIZE = 20;
+
+const ImportHistory = ({ refreshKey = 0, className = '' }) => {
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [expandedJobId, setExpandedJobId] = useState(null);
+  const [jobItems, setJobItems] = useState({});
+  const [rollingBackId, setRollingBackId] = useState(null);
+  const { addToast } = useToast();
+
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await importJobService.getJobs({ page, limit: PAGE_SIZE });
+      setJobs(result.jobs);
+      setTotal(result.total);
+    } catch (error) {
+      addToast('Failed to load import history: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, addToast]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs, refreshKey]);
+
+  const toggleJob = useCallback(async (jobId) => {
+    if (expandedJobId === jobId) {
+      setExpandedJobId(null);
+      return;
+    }
+
+    setExpandedJobId(jobId);
+    if (jobItems[jobId]) return;
+
+    try {
+      const items = await importJobService.getJobItems(jobId);
+      setJobItems(prev => ({ ...prev, [jobId]: items }));
+    } catch (error) {
+      addToast('Failed to load import details: ' + error.message, 'error');
+    }
+  }, [expandedJobId, jobItems, addToast]);
+
+  const handleRollback = useCallback(async (job) => {
+    const message = `Roll back this import?\n\n` +
+      `${job.inserted_count} inserted creator(s) will be deleted and ` +
+      `${job.updated_count} updated creator(s) will be restored to their previous values.`;
+    if (!window.confirm(message)) return;
+
+    setRollingBackId(job.id);
+    try {
+      const result = await importJobService.rollbackJob(job.id);
+      addToast(
+        `Rollback finished: ${result.deleted} deleted, ${result.restored} restored` +
+        (result.kept.length ? `, ${result.kept.length} left as-is` : ''),
+        result.kept.length ? 'warning' : 'success'
+      );
+      setJobItems(prev => {
+        const next = { ...prev };
+        delete next[job.id];
+        return next;
+      });
+      setExpandedJobId(null);
+      await loadJobs();
+    } catch (error) {
+      addToast('Rollback failed: ' + error.message, 'error');
+    } finally {
+      setRollingBackId(null);
+    }
+  }, [addToast, loadJobs]);
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <History className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Import History</h3>
+          <span className="text-sm text-gray-500">({total})</span>
+        </div>
+        <Button onClick={loadJobs} variant="outline" size="sm" disabled={loading} className="flex items-center space-x-2">
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </Button>
+      </div>
+
+      {loading && jobs.length === 0 ? (
+        <div className="flex items-center justify-center h-32">
+          <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+        </div>
+      ) : jobs.length === 0 ? (
+        <div className="text-center text-gray-500 py-12">No creator imports yet.</div>
+      ) : (
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {jobs.map(job => {
+            const isExpanded = expandedJobId === job.id;
+            const items = jobItems[job.id];
+
+            return (
+              <div key={job.id}>
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4">
+                  <button
+                    onClick={() => toggleJob(job.id)}
+                    className="flex items-start space-x-2 text-left flex-1 min-w-0"
+                  >
+                    {isExpanded
+                      ? <ChevronDown className="w-4 h-4 mt-1 text-gray-400 flex-shrink-0" />
+                      : <ChevronRight className="w-4 h-4 mt-1 text-gray-400 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-gray-900 truncate">
+                          {job.source_name || (job.source_type === 'googlesheets' ? 'Google Sheets' : 'File upload')}
+                        </span>
+                        <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[job.status] || STATUS_STYLES.completed}`}>
+                          {STATUS_LABELS[job.status] || job.status}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        {new Date(job.created_at).toLocaleString()}
+                        {job.created_by_email ? ` · ${job.created_by_email}` : ''}
+                        {job.sheet_name ? ` · Sheet: ${job.sheet_name}` : ''}
+                        {job.sheet_source ? ` · Source: ${job.sheet_source}` : ''}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {job.total_rows} rows: {job.inserted_count} inserted, {job.updated_count} updated,
+                        {' '}{job.skipped_count} skipped, {job.failed_count} failed
+                      </p>
+                    </div>
+                  </button>
+
+                  {job.status === 'completed' && (job.inserted_count > 0 || job.updated_count > 0) && (
+                    <Button
+                      onClick={() => handleRollback(job)}
+                      variant="outline"
+                      size="sm"
+                      disabled={!!rollingBackId}
+                      className="flex items-center space-x-2 text-red-600 border-red-200 hover:bg-red-50"
+                    >
+                      {rollingBackId === job.id
+                        ? <Loader2 className="w-4 h-4 animate-spin" />
+                        : <RotateCcw className="w-4 h-4" />}
+                      <span>Roll back</span>
+                    </Button>
+                  )}
+                </div>
+
+                {isExpanded && (
+                  <div className="px-4 pb-4 space-y-3">
+                    {Object.keys(job.column_mapping || {}).length > 0 && (
+                      <div className="text-sm text-gray-600">
+                        <span className="font-medium text-gray-700">Mapping: </span>
+                        {Object.entries(job.column_mapping).map(([field, header]) => `${header} → ${field}`).join(', ')}
+                      </div>
+                    )}
+
+                    {!items ? (
+                      <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+                    ) : items.length === 0 ? (
+                      <p className="text-sm text-gray-500">This import did not change any creators.</p>
+                    ) : (
+                      <div className="overflow-x-auto max-h-64 border border-gray-100 rounded">
+                        <table className="w-full text-sm">
+                          <thead className="bg-gray-50 sticky top-0">
+                            <tr>
+                              <th className="text-left py-2 px-3 font-medium text-gray-700">Row</th>
+                              <th className="text-left py-2 px-3 font-medium text-gray-700">Creator</th>
+                              <th className="text-left py-2 px-3 font-medium text-gray-700">Action</th>
+                              <th className="text-left py-2 px-3 font-medium text-gray-700">Changed fields</th>
+                              <th className="text-left py-2 px-3 font-medium text-gray-700">Rollback</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {items.map(item => (
+                              <tr key={item.id} className="border-t border-gray-100">
+                                <td className="py-2 px-3 text-gray-500">{item.row_number}</td>
+                                <td className="py-2 px-3 text-gray-900">
+                                  {item.new_values?.name || item.new_values?.username || item.creator_id}
+                                </td>
+                                <td className="py-2 px-3 text-gray-600 capitalize">{item.action}</td>
+                                <td className="py-2 px-3 text-gray-600">
+                                  {item.action === 'updated'
+                                    ? Object.keys(item.previous_values || {}).join(', ')
+                                    : '—'}
+                                </td>
+                                <td className="py-2 px-3 text-gray-500">{item.rollback_note || '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end space-x-2">
+          <Button onClick={() => setPage(p => p - 1)} variant="outline" size="sm" disabled={page === 1 || loading}>
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <Button onClick={() => setPage(p => p + 1)} variant="outline" size="sm" disabled={page >= totalPages || loading}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportHistory;
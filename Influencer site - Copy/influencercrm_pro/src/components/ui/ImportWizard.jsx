@@ -4,7 +4,7 @@
  * Mobile-first responsive design with drag & drop functionality
  */
 
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { 
   Upload, 
   FileSpreadsheet, 
@@ -20,6 +20,12 @@ import {
 } from 'lucide-react';
 import Button from './Button';
 import { useToast } from './ToastContainer';
+import { useSettings } from '../../contexts/SettingsContext';
+import { spreadsheetService } from '../../services/spreadsheetService';
+import { creatorImportService, DUPLICATE_STRATEGIES } from '../../services/creatorImportService';
+import { importJobService } from '../../services/importJobService';
+import { mappingProfileService } from '../../services/mappingProfileService';
+import { VALUE_TRANSFORMS } from '../../utils/importTransforms';
 
 // Import wizard steps
 const STEPS = {
@@ -30,25 +36,36 @@ const STEPS = {
   VALIDATION: 'validation'
 };
 
-// Auto-mapping patterns for intelligent column detection
+// Auto-mapping patterns for intelligent column detection, keyed by creators column.
+// Order matters for partial matches: "Instagram Username" should land on username, not name.
 const COLUMN_PATTERNS = {
-  email: ['email', 'e-mail', 'mail', 'email_address', 'contact_email'],
-  name: ['name', 'full_name', 'creator_name', 'influencer_name', 'display_name'],
-  instagram_handle: ['instagram', 'instagram_handle', 'ig', 'ig_handle', 'insta', 'handle', 'username'],
-  follower_count: ['followers', 'follower_count', 'follower', 'subscribers', 'audience'],
-  niche: ['niche', 'category', 'industry', 'vertical', 'specialization'],
-  location: ['location', 'city', 'country', 'based_in', 'region'],
-  youtube_channel: ['youtube', 'youtube_channel', 'yt', 'channel', 'youtube_name']
+  username: ['username', 'user name', 'handle', 'ig handle', 'ig_handle', 'instagram handle', 'instagram_handle'],
+  instagram_link: ['instagram link', 'instagram_link', 'profile link', 'instagram', 'insta', 'link', 'url'],
+  name: ['name', 'full name', 'full_name', 'creator name', 'creator_name', 'influencer name', 'influencer_name'],
+  followers_tier: ['followers tier', 'followers_tier', 'follower tier', 'tier'],
+  followers_count: ['followers count', 'followers_count', 'follower count', 'no of followers', 'followers', 'follower'],
+  state: ['state', 'region'],
+  city: ['city', 'location', 'based in'],
+  whatsapp: ['whatsapp', 'whatsapp number', 'phone', 'mobile', 'contact number', 'contact'],
+  email: ['email', 'e-mail', 'mail', 'email address', 'email_address'],
+  gender: ['gender', 'sex'],
+  sheet_source: ['sheet source', 'sheet_source', 'source']
+};
+
+const DUPLICATE_STRATEGY_LABELS = {
+  [DUPLICATE_STRATEGIES.SKIP]: 'Skip',
+  [DUPLICATE_STRATEGIES.OVERWRITE]: 'Overwrite',
+  [DUPLICATE_STRATEGIES.MERGE]: 'Merge (fill blanks)'
 };
 
 // Sample data templates
 const SAMPLE_TEMPLATES = {
   creators: {
     filename: 'creator_template.csv',
-    headers: ['name', 'email', 'instagram_handle', 'youtube_channel', 'follower_count', 'niche', 'location'],
+    headers: ['name', 'username', 'instagram_link', 'followers_count', 'state', 'city', 'whatsapp', 'email', 'gender', 'sheet_source'],
     sampleData: [
-      ['John Creator', 'john@example.com', '@johncreator', 'JohnCreator', 50000, 'Technology', 'Mumbai'],
-      ['Sarah Influencer', 'sarah@example.com', '@sarahinfluencer', 'SarahVlogs', 120000, 'Fashion', 'Delhi']
+      ['John Creator', 'johncreator', 'https://www.instagram.com/johncreator/', '52000', 'Maharashtra', 'Mumbai', '9876543210', 'john@example.com', 'Male', 'Tech Creators'],
+      ['Sarah Influencer', 'sarahinfluencer', 'https://www.instagram.com/sarahinfluencer/', '1.2M', 'Delhi', 'New Delhi', '9123456780', 'sarah@example.com', 'Female', 'Fashion Creators']
     ]
   },
   campaigns: {
@@ -61,26 +78,74 @@ const SAMPLE_TEMPLATES = {
   }
 };
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Followers tier table <-> "raw = normalized" lines for the mapping step editor
+const tierMapToText = (tierMap = {}) =>
+  Object.entries(tierMap).map(([raw, normalized]) => `${raw} = ${normalized}`).join('\n');
+
+const textToTierMap = (text = '') => Object.fromEntries(
+  text.split('\n')
+    .map(line => line.split('='))
+    .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+    .map(([raw, normalized]) => [raw.trim(), normalized.trim()])
+);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Display value for a parsed cell (XLSX returns Date objects for date cells)
+const formatCell = (value) => {
+  if (isBlank(value)) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+// Short label for a raw sheet row, used by the header row picker
+const describeRow = (row = []) => {
+  const cells = row.filter(cell => !isBlank(cell)).slice(0, 4).map(formatCell);
+  return cells.length ? cells.join(' | ') : '(empty row)';
+};
+
 const ImportWizard = ({ 
   isOpen, 
   onClose, 
   onDataImported,
   importType = 'creators',
+  initialSource = '',
   className = ''
 }) => {
   const [currentStep, setCurrentStep] = useState(STEPS.SOURCE);
   const [importSource, setImportSource] = useState('');
   const [uploadedFile, setUploadedFile] = useState(null);
   const [googleSheetsUrl, setGoogleSheetsUrl] = useState('');
+  const [workbook, setWorkbook] = useState(null);
+  const [sheetNames, setSheetNames] = useState([]);
+  const [selectedSheet, setSelectedSheet] = useState('');
+  const [rawRows, setRawRows] = useState([]);
+  const [headerRow, setHeaderRow] = useState(0);
+  const [detectedHeaderRow, setDetectedHeaderRow] = useState(0);
+  const [sourceMetadata, setSourceMetadata] = useState({});
   const [columnMapping, setColumnMapping] = useState({});
   const [previewData, setPreviewData] = useState(null);
   const [editablePreview, setEditablePreview] = useState(null);
   const [autoMappedColumns, setAutoMappedColumns] = useState({});
   const [duplicates, setDuplicates] = useState([]);
+  const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false);
+  const [duplicateStrategy, setDuplicateStrategy] = useState(DUPLICATE_STRATEGIES.SKIP);
+  const [duplicateResolutions, setDuplicateResolutions] = useState({});
+  const [importProgress, setImportProgress] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState('');
+  const [profileMatchScore, setProfileMatchScore] = useState(null);
+  const [valueTransforms, setValueTransforms] = useState({});
+  const [defaultSheetSource, setDefaultSheetSource] = useState('');
+  const [tierMapText, setTierMapText] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [dragActive, setDragActive] = useState(false);
   const fileInputRef = useRef(null);
   const { addToast } = useToast();
+  const { maxImportLimit } = useSettings();
 
   // Step navigation
   const nextStep = useCallback(() => {
@@ -99,27 +164,95 @@ const ImportWizard = ({
     }
   }, [currentStep]);
 
-  // File handling
-  const handleDrag = useCallback((e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    if (e.type === 'dragenter' || e.type === 'dragover') {
-      setDragActive(true);
-    } else if (e.type === 'dragleave') {
-      setDragActive(false);
+  // Open straight on the upload step when the caller already chose a source
+  useEffect(() => {
+    if (isOpen && initialSource) {
+      setImportSource(initialSource);
+      setCurrentStep(STEPS.UPLOAD);
     }
+  }, [isOpen, initialSource]);
+
+  // Saved mapping profiles for recurring sheet formats
+  useEffect(() => {
+    if (!isOpen || importType !== 'creators') return;
+
+    mappingProfileService.getProfiles()
+      .then(setMappingProfiles)
+      .catch(error => addToast('Failed to load mapping profiles: ' + error.message, 'error'));
+  }, [isOpen, importType, addToast]);
+
+  // Helper for auto-mapping: exact header matches win over partial ones,
+  // so "Username" maps to username rather than name
+  const generateAutoMapping = useCallback((headers) => {
+    const mapping = {};
+    const normalizedHeaders = headers.map(header => header.toLowerCase().replace(/[_\s]+/g, ' ').trim());
+    const usedHeaders = new Set();
+
+    const assign = (matches) => {
+      Object.entries(COLUMN_PATTERNS).forEach(([field, patterns]) => {
+        if (mapping[field]) return;
+        const index = normalizedHeaders.findIndex((header, i) =>
+          !usedHeaders.has(i) && patterns.some(pattern => matches(header, pattern.replace(/_/g, ' ')))
+        );
+        if (index !== -1) {
+          mapping[field] = headers[index];
+          usedHeaders.add(index);
+        }
+      });
+    };
+
+    assign((header, pattern) => header === pattern);
+    assign((header, pattern) => header.includes(pattern));
+    return mapping;
   }, []);
 
-  const handleDrop = useCallback((e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setDragActive(false);
-    
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileUpload(e.dataTransfer.files[0]);
-    }
+  const applyProfile = useCallback((profile, headers) => {
+    setActiveProfileId(profile.id);
+    setColumnMapping(mappingProfileService.toColumnMapping(profile, headers));
+    setValueTransforms(profile.value_transforms || {});
+    setDefaultSheetSource(profile.default_sheet_source || '');
+    setTierMapText(tierMapToText(profile.followers_tier_map));
   }, []);
 
+  /**
+   * Load a parsed sheet into the wizard: headers, rows and auto-mapping
+   * all come from the user's real data
+   */
+  const applyParsedSheet = useCallback(async (sheet) => {
+    const rows = sheet.data.map(row => sheet.headers.map(header => row[header]));
+
+    setRawRows(sheet.rawRows || []);
+    setHeaderRow(sheet.headerRow || 0);
+    setDetectedHeaderRow(sheet.detectedHeaderRow || 0);
+    setSelectedSheet(sheet.sheetName || '');
+    setEditablePreview(null);
+    setPreviewData({
+      headers: sheet.headers,
+      data: rows,
+      totalRows: rows.length
+    });
+
+    const autoMapping = generateAutoMapping(sheet.headers);
+    setAutoMappedColumns(autoMapping);
+    setDuplicates([]);
+    setDuplicateResolutions({});
+
+    // A saved profile for this sheet format beats the pattern guess
+    const bestProfile = mappingProfileService.findBestProfile(sheet.headers, mappingProfiles);
+    if (bestProfile) {
+      applyProfile(bestProfile.profile, sheet.headers);
+      setProfileMatchScore(bestProfile.score);
+    } else {
+      setColumnMapping(autoMapping);
+      setActiveProfileId('');
+      setProfileMatchScore(null);
+      setValueTransforms({});
+      setDefaultSheetSource('');
+      setTierMapText('');
+    }
+  }, [generateAutoMapping, mappingProfiles, applyProfile]);
+
+  // File handling
   const handleFileUpload = useCallback(async (file) => {
     if (!file) return;
 
@@ -146,37 +279,45 @@ const ImportWizard = ({
     setIsProcessing(true);
 
     try {
-      // Process file (simplified for demo)
-      const formData = new FormData();
-      formData.append('file', file);
-      
-      // Simulate file processing
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Generate mock preview data with auto-mapping
-      const mockPreview = {
-        headers: SAMPLE_TEMPLATES[importType].headers,
-        data: SAMPLE_TEMPLATES[importType].sampleData,
-        totalRows: 150
-      };
-      
-      setPreviewData(mockPreview);
-      
-      // Auto-map columns
-      const autoMapping = generateAutoMapping(mockPreview.headers);
-      setAutoMappedColumns(autoMapping);
-      setColumnMapping(autoMapping);
-      
-      // Check for duplicates
-      await checkForDuplicates(mockPreview.data, autoMapping);
-      addToast('File uploaded successfully', 'success');
-      nextStep();
+      const result = await spreadsheetService.parseExcelFile(file);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setWorkbook(result.workbook);
+      setSheetNames(result.sheetNames || []);
+      setSourceMetadata(result.metadata);
+      await applyParsedSheet({ ...result, sheetName: result.metadata.sheetName });
+
+      addToast(`Read ${result.data.length} rows from ${file.name}`, 'success');
     } catch (error) {
+      setUploadedFile(null);
+      setPreviewData(null);
       addToast('Failed to process file: ' + error.message, 'error');
     } finally {
       setIsProcessing(false);
     }
-  }, [importType, addToast, nextStep]);
+  }, [addToast, applyParsedSheet]);
+
+  const handleDrag = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true);
+    } else if (e.type === 'dragleave') {
+      setDragActive(false);
+    }
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    
+    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+      handleFileUpload(e.dataTransfer.files[0]);
+    }
+  }, [handleFileUpload]);
 
   // Google Sheets handling
   const handleGoogleSheetsConnect = useCallback(async () => {
@@ -195,95 +336,227 @@ const ImportWizard = ({
     setIsProcessing(true);
 
     try {
-      // Simulate Google Sheets connection
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      const mockPreview = {
-        headers: SAMPLE_TEMPLATES[importType].headers,
-        data: SAMPLE_TEMPLATES[importType].sampleData,
-        totalRows: 250
-      };
-      
-      setPreviewData(mockPreview);
-      
-      // Auto-map columns
-      const autoMapping = generateAutoMapping(mockPreview.headers);
-      setAutoMappedColumns(autoMapping);
-      setColumnMapping(autoMapping);
-      
-      // Check for duplicates
-      await checkForDuplicates(mockPreview.data, autoMapping);
-      addToast('Google Sheets connected successfully', 'success');
-      nextStep();
+      const result = await spreadsheetService.fetchGoogleSheet(googleSheetsUrl);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setWorkbook(result.workbook);
+      setSheetNames(result.sheetNames || []);
+      setSourceMetadata(result.metadata);
+      await applyParsedSheet({ ...result, sheetName: result.metadata.sheetName });
+
+      addToast(`Read ${result.data.length} rows from Google Sheets`, 'success');
     } catch (error) {
+      setPreviewData(null);
       addToast('Failed to connect to Google Sheets: ' + error.message, 'error');
     } finally {
       setIsProcessing(false);
     }
-  }, [googleSheetsUrl, importType, addToast, nextStep]);
+  }, [googleSheetsUrl, addToast, applyParsedSheet]);
 
-  // Helper functions for auto-mapping and duplicate detection
-  const generateAutoMapping = useCallback((headers) => {
-    const mapping = {};
-    headers.forEach(header => {
-      const normalizedHeader = header.toLowerCase().trim();
-      
-      // Try to match header with known patterns
-      for (const [field, patterns] of Object.entries(COLUMN_PATTERNS)) {
-        if (patterns.some(pattern => normalizedHeader.includes(pattern))) {
-          mapping[field] = header;
-          break;
-        }
+  // Re-read the loaded workbook with a different sheet or header row
+  const reparseSheet = useCallback(async (options) => {
+    if (!workbook) return;
+
+    try {
+      const sheet = spreadsheetService.parseWorksheet(workbook, options);
+      setSourceMetadata(prev => ({
+        ...prev,
+        sheetName: sheet.sheetName,
+        headerRow: sheet.headerRow,
+        rowCount: sheet.data.length,
+        columnCount: sheet.headers.length
+      }));
+      await applyParsedSheet(sheet);
+    } catch (error) {
+      addToast('Failed to read sheet: ' + error.message, 'error');
+    }
+  }, [workbook, applyParsedSheet, addToast]);
+
+  const handleSheetChange = useCallback((sheetName) => {
+    // Each sheet gets its own header row detection
+    reparseSheet({ sheetName });
+  }, [reparseSheet]);
+
+  const handleHeaderRowChange = useCallback((rowIndex) => {
+    reparseSheet({ sheetName: selectedSheet, headerRow: rowIndex });
+  }, [reparseSheet, selectedSheet]);
+
+  const handleMappingChange = useCallback((field, header) => {
+    setColumnMapping(prev => {
+      const next = { ...prev };
+      if (header) {
+        next[field] = header;
+      } else {
+        delete next[field];
       }
+      return next;
     });
-    return mapping;
   }, []);
 
-  const checkForDuplicates = useCallback(async (data, mapping) => {
-    // Simulate checking for existing creators
-    const mockExistingCreators = [
-      { instagram_handle: '@johncreator', email: 'john@example.com' },
-      { instagram_handle: '@sarahinfluencer', email: 'sarah@example.com' }
-    ];
-    
-    const duplicateEntries = [];
-    
-    data.forEach((row, index) => {
-      const handleIndex = Object.keys(mapping).find(key => mapping[key] === 'instagram_handle');
-      const emailIndex = Object.keys(mapping).find(key => mapping[key] === 'email');
-      
-      if (handleIndex !== undefined && emailIndex !== undefined) {
-        const handle = row[handleIndex];
-        const email = row[emailIndex];
-        
-        const isDuplicate = mockExistingCreators.some(creator => 
-          creator.instagram_handle === handle || creator.email === email
-        );
-        
-        if (isDuplicate) {
-          duplicateEntries.push({ index, handle, email });
-        }
-      }
-    });
-    
-    setDuplicates(duplicateEntries);
+  const handleTransformChange = useCallback((field, transformId) => {
+    setValueTransforms(prev => ({ ...prev, [field]: transformId ? [transformId] : [] }));
   }, []);
 
+  const handleProfileSelect = useCallback((profileId) => {
+    const profile = mappingProfiles.find(item => item.id === profileId);
+    setProfileMatchScore(null);
+    if (profile) {
+      applyProfile(profile, previewData?.headers || []);
+    } else {
+      setActiveProfileId('');
+      setColumnMapping(autoMappedColumns);
+      setValueTransforms({});
+      setDefaultSheetSource('');
+      setTierMapText('');
+    }
+  }, [mappingProfiles, applyProfile, previewData, autoMappedColumns]);
+
+  const currentProfileFields = useCallback(() => mappingProfileService.fromWizardState({
+    headers: previewData?.headers || [],
+    columnMapping,
+    valueTransforms,
+    defaultSheetSource,
+    followersTierMap: textToTierMap(tierMapText)
+  }), [previewData, columnMapping, valueTransforms, defaultSheetSource, tierMapText]);
+
+  const handleSaveProfile = useCallback(async () => {
+    const name = window.prompt('Name this mapping profile (e.g. the vendor or sheet name):', selectedSheet || '');
+    if (!name?.trim()) return;
+
+    try {
+      const profile = await mappingProfileService.createProfile({ name: name.trim(), ...currentProfileFields() });
+      setMappingProfiles(prev => [profile, ...prev]);
+      setActiveProfileId(profile.id);
+      setProfileMatchScore(null);
+      addToast(`Saved mapping profile "${profile.name}"`, 'success');
+    } catch (error) {
+      addToast('Failed to save mapping profile: ' + error.message, 'error');
+    }
+  }, [selectedSheet, currentProfileFields, addToast]);
+
+  const handleUpdateProfile = useCallback(async () => {
+    if (!activeProfileId) return;
+
+    try {
+      const profile = await mappingProfileService.updateProfile(activeProfileId, currentProfileFields());
+      setMappingProfiles(prev => prev.map(item => (item.id === profile.id ? profile : item)));
+      addToast(`Updated mapping profile "${profile.name}"`, 'success');
+    } catch (error) {
+      addToast('Failed to update mapping profile: ' + error.message, 'error');
+    }
+  }, [activeProfileId, currentProfileFields, addToast]);
+
+  const handleDeleteProfile = useCallback(async () => {
+    const profile = mappingProfiles.find(item => item.id === activeProfileId);
+    if (!profile || !window.confirm(`Delete mapping profile "${profile.name}"?`)) return;
+
+    try {
+      await mappingProfileService.deleteProfile(profile.id);
+      setMappingProfiles(prev => prev.filter(item => item.id !== profile.id));
+      setActiveProfileId('');
+      setProfileMatchScore(null);
+      addToast(`Deleted mapping profile "${profile.name}"`, 'success');
+    } catch (error) {
+      addToast('Failed to delete mapping profile: ' + error.message, 'error');
+    }
+  }, [mappingProfiles, activeProfileId, addToast]);
+
+  // Creator records built from the current rows and mapping, validated the
+  // same way AddCreatorModal validates manual entry
+  const creatorRecords = useMemo(() => {
+    if (!previewData || importType !== 'creators') return [];
+    return creatorImportService.buildRecords(previewData.headers, editablePreview || previewData.data, columnMapping, {
+      valueTransforms,
+      defaultSheetSource,
+      followersTierMap: textToTierMap(tierMapText),
+      headerRow
+    });
+  }, [previewData, editablePreview, columnMapping, importType, valueTransforms, defaultSheetSource, tierMapText, headerRow]);
+
+  // Distinct followers_tier values in the sheet, as a hint for the tier table
+  const sheetTierValues = useMemo(() => {
+    const tierIndex = previewData?.headers.indexOf(columnMapping.followers_tier) ?? -1;
+    if (tierIndex === -1) return [];
+    const values = new Set((editablePreview || previewData.data).map(row => formatCell(row[tierIndex])).filter(Boolean));
+    return [...values].slice(0, 30);
+  }, [previewData, editablePreview, columnMapping]);
+
+  // Row-level validation against the current mapping
+  const validationSummary = useMemo(() => {
+    if (!previewData) return null;
+
+    const rows = editablePreview || previewData.data;
+    const issues = [];
+
+    if (importType === 'creators') {
+      creatorRecords.forEach(record => {
+        if (record.errors.length > 0) {
+          issues.push({ rowNumber: record.rowNumber, messages: record.errors });
+        }
+      });
+    } else {
+      const emailIndex = previewData.headers.indexOf(columnMapping.email);
+      rows.forEach((row, rowIndex) => {
+        if (emailIndex !== -1 && !isBlank(row[emailIndex]) && !EMAIL_PATTERN.test(String(row[emailIndex]).trim())) {
+          issues.push({ rowNumber: headerRow + rowIndex + 2, messages: [`Invalid email "${row[emailIndex]}"`] });
+        }
+      });
+    }
+
+    const missingRequired = importType === 'creators' &&
+      (!columnMapping.name || (!columnMapping.username && !columnMapping.instagram_link));
+
+    return {
+      totalRows: rows.length,
+      validRows: rows.length - issues.length,
+      validPercent: rows.length ? Math.round(((rows.length - issues.length) / rows.length) * 100) : 0,
+      missingRequired,
+      overLimit: importType === 'creators' && rows.length > maxImportLimit,
+      issues
+    };
+  }, [previewData, editablePreview, columnMapping, importType, creatorRecords, maxImportLimit, headerRow]);
+
+  // Look up existing creators once the user reaches the final step
+  useEffect(() => {
+    if (currentStep !== STEPS.VALIDATION || importType !== 'creators' || creatorRecords.length === 0) return;
+
+    let cancelled = false;
+    setIsCheckingDuplicates(true);
+
+    creatorImportService.findDuplicates(creatorRecords)
+      .then(found => {
+        if (!cancelled) setDuplicates(found);
+      })
+      .catch(error => {
+        if (!cancelled) addToast('Failed to check for existing creators: ' + error.message, 'error');
+      })
+      .finally(() => {
+        if (!cancelled) setIsCheckingDuplicates(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentStep, importType, creatorRecords, addToast]);
+
   const handleCellEdit = useCallback((rowIndex, colIndex, value) => {
     const newEditablePreview = [...(editablePreview || previewData.data)];
+    newEditablePreview[rowIndex] = [...newEditablePreview[rowIndex]];
     newEditablePreview[rowIndex][colIndex] = value;
     setEditablePreview(newEditablePreview);
   }, [editablePreview, previewData]);
 
-  const handleDuplicateAction = useCallback((duplicateIndex, action) => {
-    if (action === 'skip') {
-      // Remove from preview
-      const newData = previewData.data.filter((_, index) => index !== duplicates[duplicateIndex].index);
-      setPreviewData({ ...previewData, data: newData });
-    }
-    // Remove from duplicates list
-    setDuplicates(prev => prev.filter((_, index) => index !== duplicateIndex));
-  }, [previewData, duplicates]);
+  const handleDuplicateResolution = useCallback((rowNumber, strategy) => {
+    setDuplicateResolutions(prev => ({ ...prev, [rowNumber]: strategy }));
+  }, []);
+
+  // Changing the global strategy clears per-row overrides
+  const handleDuplicateStrategyChange = useCallback((strategy) => {
+    setDuplicateStrategy(strategy);
+    setDuplicateResolutions({});
+  }, []);
 
   // Download template
   const downloadTemplate = useCallback(() => {
@@ -306,53 +579,129 @@ const ImportWizard = ({
     addToast('Template downloaded successfully', 'success');
   }, [importType, addToast]);
 
+  // Reset wizard
+  const resetWizard = useCallback(() => {
+    setCurrentStep(STEPS.SOURCE);
+    setImportSource('');
+    setUploadedFile(null);
+    setGoogleSheetsUrl('');
+    setWorkbook(null);
+    setSheetNames([]);
+    setSelectedSheet('');
+    setRawRows([]);
+    setHeaderRow(0);
+    setDetectedHeaderRow(0);
+    setSourceMetadata({});
+    setColumnMapping({});
+    setPreviewData(null);
+    setEditablePreview(null);
+    setAutoMappedColumns({});
+    setDuplicates([]);
+    setIsCheckingDuplicates(false);
+    setDuplicateStrategy(DUPLICATE_STRATEGIES.SKIP);
+    setDuplicateResolutions({});
+    setImportProgress(null);
+    setImportReport(null);
+    setActiveProfileId('');
+    setProfileMatchScore(null);
+    setValueTransforms({});
+    setDefaultSheetSource('');
+    setTierMapText('');
+    setIsProcessing(false);
+  }, []);
+
+  const handleClose = useCallback(() => {
+    resetWizard();
+    onClose();
+  }, [resetWizard, onClose]);
+
   // Final import
   const handleFinalImport = useCallback(async () => {
     setIsProcessing(true);
 
     try {
-      // Simulate final import
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
+      const headers = previewData?.headers || [];
+      const rows = editablePreview || previewData?.data || [];
+
+      // Hand rows back keyed by header, the same shape spreadsheetService produces
       const importResult = {
         success: true,
-        data: editablePreview || previewData?.data || [],
-        headers: previewData?.headers || [],
+        data: rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? null]))),
+        headers,
         metadata: {
+          ...sourceMetadata,
           source: importSource,
-          totalRows: (editablePreview || previewData?.data || []).length,
+          columnMapping,
+          totalRows: rows.length,
           importedAt: new Date().toISOString(),
           duplicatesHandled: duplicates.length
         }
       };
 
+      if (importType === 'creators') {
+        setImportProgress({ processed: 0, total: creatorRecords.length });
+        const report = await creatorImportService.commit(creatorRecords, {
+          duplicates,
+          defaultStrategy: duplicateStrategy,
+          resolutions: duplicateResolutions,
+          onProgress: (processed, total) => setImportProgress({ processed, total })
+        });
+
+        importResult.report = report;
+        importResult.metadata.mappingProfileId = activeProfileId || null;
+        setImportReport(report);
+
+        if (activeProfileId) {
+          mappingProfileService.markUsed(activeProfileId);
+        }
+
+        // Record the job so it shows in Import History and can be rolled back
+        try {
+          const job = await importJobService.recordJob({
+            report,
+            sourceType: importSource,
+            sourceName: importSource === 'file' ? uploadedFile?.name : googleSheetsUrl,
+            sheetName: selectedSheet,
+            columnMapping,
+            duplicateStrategy
+          });
+          importResult.metadata.importJobId = job.id;
+        } catch (error) {
+          addToast('Import saved, but it could not be added to Import History: ' + error.message, 'warning');
+        }
+        addToast(
+          `Import finished: ${report.summary.inserted} added, ${report.summary.updated} updated, ` +
+          `${report.summary.skipped} skipped, ${report.summary.failed} failed`,
+          report.summary.failed > 0 ? 'warning' : 'success'
+        );
+
+        if (onDataImported) {
+          onDataImported(importResult);
+        }
+        // Stay open on the result panel so the report can be downloaded
+        return;
+      }
+
       addToast(`Successfully imported ${importResult.metadata.totalRows} records`, 'success');
       
       if (onDataImported) {
         onDataImported(importResult);
       }
       
-      onClose();
+      handleClose();
     } catch (error) {
       addToast('Import failed: ' + error.message, 'error');
     } finally {
+      setImportProgress(null);
       setIsProcessing(false);
     }
-  }, [importSource, previewData, onDataImported, onClose, addToast]);
+  }, [importSource, importType, uploadedFile, googleSheetsUrl, selectedSheet, previewData, editablePreview, sourceMetadata, columnMapping, creatorRecords, duplicates, duplicateStrategy, duplicateResolutions, activeProfileId, onDataImported, handleClose, addToast]);
 
-  // Reset wizard
-  const resetWizard = useCallback(() => {
-    setCurrentStep(STEPS.SOURCE);
-    setImportSource('');
-    setUploadedFile(null);
-    setGoogleSheetsUrl('');
-    setColumnMapping({});
-    setPreviewData(null);
-    setEditablePreview(null);
-    setAutoMappedColumns({});
-    setDuplicates([]);
-    setIsProcessing(false);
-  }, []);
+  const handleDownloadReport = useCallback(async () => {
+    if (!importReport) return;
+    const baseName = (uploadedFile?.name || selectedSheet || 'creator_import').replace(/\.[^.]+$/, '');
+    await creatorImportService.downloadReport(importReport, baseName);
+  }, [importReport, uploadedFile, selectedSheet]);
 
   if (!isOpen) return null;
 
@@ -483,6 +832,79 @@ const ImportWizard = ({
                 </Button>
               </div>
             )}
+
+            {previewData && (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {sheetNames.length > 1 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Sheet</label>
+                      <select
+                        value={selectedSheet}
+                        onChange={(e) => handleSheetChange(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {sheetNames.map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Header row</label>
+                    <select
+                      value={headerRow}
+                      onChange={(e) => handleHeaderRowChange(Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {rawRows.slice(0, spreadsheetService.headerScanLimit).map((row, index) => (
+                        <option key={index} value={index}>
+                          Row {index + 1}{index === detectedHeaderRow ? ' (detected)' : ''}: {describeRow(row)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {headerRow > 0 && (
+                  <p className="text-sm text-gray-600">
+                    Skipping {headerRow} row{headerRow > 1 ? 's' : ''} above the header.
+                  </p>
+                )}
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <tbody>
+                      {rawRows.slice(0, Math.max(headerRow + 4, 6)).map((row, rowIndex) => (
+                        <tr
+                          key={rowIndex}
+                          className={`border-b ${
+                            rowIndex === headerRow
+                              ? 'bg-blue-50 font-semibold text-blue-900'
+                              : rowIndex < headerRow
+                              ? 'text-gray-400 line-through'
+                              : 'text-gray-600'
+                          }`}
+                        >
+                          <td className="py-1 px-2 text-gray-400">{rowIndex + 1}</td>
+                          {row.slice(0, 8).map((cell, cellIndex) => (
+                            <td key={cellIndex} className="py-1 px-2 whitespace-nowrap">
+                              {formatCell(cell)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <p className="text-sm text-gray-700">
+                  {previewData.totalRows} rows · {previewData.headers.length} columns
+                  {selectedSheet ? ` · ${selectedSheet}` : ''}
+                </p>
+              </div>
+            )}
           </div>
         );
 
@@ -490,54 +912,111 @@ const ImportWizard = ({
         return (
           <div className="space-y-6">
             <div className="text-center">
-              <h3 className="text-xl font-semibold text-gray-900 mb-2">Auto-Mapped Columns</h3>
-              <p className="text-gray-600">We've automatically detected your column mappings</p>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">Map Columns</h3>
+              <p className="text-gray-600">We've matched what we could; adjust any column below</p>
             </div>
 
             {previewData && (
               <div className="space-y-4">
+                {importType === 'creators' && (
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                    <div className="flex flex-col md:flex-row md:items-center gap-2">
+                      <label className="text-sm font-medium text-blue-900">Mapping profile</label>
+                      <select
+                        value={activeProfileId}
+                        onChange={(e) => handleProfileSelect(e.target.value)}
+                        className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">None (auto-detect columns)</option>
+                        {mappingProfiles.map(profile => (
+                          <option key={profile.id} value={profile.id}>{profile.name}</option>
+                        ))}
+                      </select>
+                      <div className="flex space-x-2">
+                        {activeProfileId && (
+                          <>
+                            <Button onClick={handleUpdateProfile} variant="outline" size="sm">Update</Button>
+                            <Button onClick={handleDeleteProfile} variant="outline" size="sm">Delete</Button>
+                          </>
+                        )}
+                        <Button onClick={handleSaveProfile} variant="outline" size="sm">Save as new</Button>
+                      </div>
+                    </div>
+                    {activeProfileId && profileMatchScore !== null && (
+                      <p className="text-xs text-blue-700 mt-2">
+                        Selected automatically: {Math.round(profileMatchScore * 100)}% of headers match this profile.
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-                  <h4 className="font-medium text-green-900 mb-3">✨ Auto-Mapping Results</h4>
+                  <h4 className="font-medium text-green-900 mb-3">✨ Column Mapping</h4>
                   <div className="space-y-2">
-                    {Object.entries(autoMappedColumns).map(([field, header]) => (
-                      <div key={field} className="flex items-center justify-between bg-white rounded-lg p-2">
+                    {Object.keys(COLUMN_PATTERNS).map(field => (
+                      <div key={field} className="flex items-center justify-between gap-2 bg-white rounded-lg p-2">
                         <span className="text-sm font-medium text-gray-700 capitalize">
                           {field.replace('_', ' ')}
+                          {autoMappedColumns[field] && autoMappedColumns[field] === columnMapping[field] && !activeProfileId && (
+                            <span className="ml-2 text-xs bg-green-100 text-green-800 px-1 rounded normal-case">Auto</span>
+                          )}
                         </span>
-                        <span className="text-sm text-green-600 font-medium">{header}</span>
+                        <div className="flex w-2/3 gap-2">
+                          <select
+                            value={columnMapping[field] || ''}
+                            onChange={(e) => handleMappingChange(field, e.target.value)}
+                            className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="">Not mapped</option>
+                            {previewData.headers.map(header => (
+                              <option key={header} value={header}>{header}</option>
+                            ))}
+                          </select>
+                          {importType === 'creators' && (
+                            <select
+                              value={valueTransforms[field]?.[0] || ''}
+                              onChange={(e) => handleTransformChange(field, e.target.value)}
+                              disabled={!columnMapping[field]}
+                              className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                            >
+                              <option value="">No transform</option>
+                              {Object.entries(VALUE_TRANSFORMS).map(([id, transform]) => (
+                                <option key={id} value={id}>{transform.label}</option>
+                              ))}
+                            </select>
+                          )}
+                        </div>
                       </div>
                     ))}
                   </div>
                 </div>
 
-                {duplicates.length > 0 && (
-                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
-                    <h4 className="font-medium text-yellow-900 mb-3">⚠️ Potential Duplicates Found</h4>
-                    <div className="space-y-2">
-                      {duplicates.map((dup, index) => (
-                        <div key={index} className="flex items-center justify-between bg-white rounded-lg p-2">
-                          <div className="text-sm">
-                            <span className="font-medium text-gray-700">{dup.handle}</span>
-                            <span className="text-gray-500 ml-2">({dup.email})</span>
-                          </div>
-                          <div className="flex space-x-2">
-                            <Button
-                              size="sm"
-                              variant="outline"
-                              onClick={() => handleDuplicateAction(index, 'update')}
-                            >
-                              Update
-                            </Button>
-                            <Button
-                              size="sm"
-                              variant="outline"
-                              onClick={() => handleDuplicateAction(index, 'skip')}
-                            >
-                              Skip
-                            </Button>
-                          </div>
-                        </div>
-                      ))}
+                {importType === 'creators' && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="bg-white border border-gray-200 rounded-lg p-4">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Default sheet source</label>
+                      <input
+                        type="text"
+                        value={defaultSheetSource}
+                        onChange={(e) => setDefaultSheetSource(e.target.value)}
+                        placeholder="e.g. UGC CREATORS"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Used for rows without a sheet source value.</p>
+                    </div>
+                    <div className="bg-white border border-gray-200 rounded-lg p-4">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Followers tier normalization</label>
+                      <textarea
+                        value={tierMapText}
+                        onChange={(e) => setTierMapText(e.target.value)}
+                        rows={3}
+                        placeholder={'10-50k = 10K-50K\nmicro = 10K-50K'}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        One "sheet value = stored tier" per line.
+                        {sheetTierValues.length > 0 && ` In this sheet: ${sheetTierValues.join(', ')}`}
+                      </p>
                     </div>
                   </div>
                 )}
@@ -551,8 +1030,8 @@ const ImportWizard = ({
                           {previewData.headers.map((header, index) => (
                             <th key={index} className="text-left py-2 px-2 font-medium text-gray-700">
                               {header}
-                              {Object.values(autoMappedColumns).includes(header) && (
-                                <span className="ml-1 text-xs bg-green-100 text-green-800 px-1 rounded">Auto</span>
+                              {Object.values(columnMapping).includes(header) && (
+                                <span className="ml-1 text-xs bg-green-100 text-green-800 px-1 rounded">Mapped</span>
                               )}
                             </th>
                           ))}
@@ -563,7 +1042,7 @@ const ImportWizard = ({
                           <tr key={rowIndex} className="border-b">
                             {row.map((cell, cellIndex) => (
                               <td key={cellIndex} className="py-2 px-2 text-gray-600">
-                                {cell}
+                                {formatCell(cell)}
                               </td>
                             ))}
                           </tr>
@@ -634,7 +1113,7 @@ const ImportWizard = ({
                                 style={{ cursor: 'pointer' }}
                               >
                                 <div className="min-w-[100px] p-1 rounded hover:bg-blue-50 transition-colors">
-                                  {cell}
+                                  {formatCell(cell)}
                                 </div>
                               </td>
                             ))}
@@ -669,6 +1148,54 @@ const ImportWizard = ({
         );
 
       case STEPS.VALIDATION:
+        if (importReport) {
+          return (
+            <div className="space-y-6">
+              <div className="text-center">
+                <h3 className="text-xl font-semibold text-gray-900 mb-2">Import Complete</h3>
+                <p className="text-gray-600">Every row is listed in the downloadable report</p>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-green-900">{importReport.summary.inserted}</div>
+                  <div className="text-sm text-green-700">Inserted</div>
+                </div>
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-blue-900">{importReport.summary.updated}</div>
+                  <div className="text-sm text-blue-700">Updated</div>
+                </div>
+                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-gray-900">{importReport.summary.skipped}</div>
+                  <div className="text-sm text-gray-700">Skipped</div>
+                </div>
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-red-900">{importReport.summary.failed}</div>
+                  <div className="text-sm text-red-700">Failed</div>
+                </div>
+              </div>
+
+              {importReport.summary.failed > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <h4 className="font-medium text-red-900 mb-2">Failed rows</h4>
+                  <ul className="space-y-1 text-sm text-red-800 max-h-40 overflow-y-auto">
+                    {importReport.rows.filter(row => row.status === 'failed').slice(0, 20).map(row => (
+                      <li key={row.rowNumber}>• Row {row.rowNumber}: {row.reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex justify-center">
+                <Button onClick={handleDownloadReport} variant="outline" className="flex items-center space-x-2">
+                  <Download className="w-4 h-4" />
+                  <span>Download Report</span>
+                </Button>
+              </div>
+            </div>
+          );
+        }
+
         return (
           <div className="space-y-6">
             <div className="text-center">
@@ -676,30 +1203,129 @@ const ImportWizard = ({
               <p className="text-gray-600">Review your data before final import</p>
             </div>
 
-            {previewData && (
+            {previewData && validationSummary && (
               <div className="space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-center">
-                    <div className="text-2xl font-bold text-green-900">{previewData.totalRows}</div>
+                    <div className="text-2xl font-bold text-green-900">{validationSummary.totalRows}</div>
                     <div className="text-sm text-green-700">Total Rows</div>
                   </div>
                   <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-center">
-                    <div className="text-2xl font-bold text-blue-900">{previewData.headers.length}</div>
-                    <div className="text-sm text-blue-700">Columns</div>
+                    <div className="text-2xl font-bold text-blue-900">{Object.keys(columnMapping).length}</div>
+                    <div className="text-sm text-blue-700">Mapped Columns</div>
                   </div>
                   <div className="bg-purple-50 border border-purple-200 rounded-lg p-4 text-center">
-                    <div className="text-2xl font-bold text-purple-900">100%</div>
+                    <div className="text-2xl font-bold text-purple-900">{validationSummary.validPercent}%</div>
                     <div className="text-sm text-purple-700">Valid Data</div>
                   </div>
                 </div>
 
+                {validationSummary.missingRequired && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start space-x-2">
+                    <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+                    <p className="text-sm text-red-700">
+                      Map a Name column and either a Username or Instagram Link column before importing creators.
+                    </p>
+                  </div>
+                )}
+
+                {validationSummary.overLimit && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start space-x-2">
+                    <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+                    <p className="text-sm text-red-700">
+                      This sheet has {validationSummary.totalRows} rows but imports are limited to {maxImportLimit} rows.
+                      Split the file or ask an admin to raise the Max Import Limit in system settings.
+                    </p>
+                  </div>
+                )}
+
+                {importType === 'creators' && isCheckingDuplicates && (
+                  <div className="flex items-center space-x-2 text-sm text-gray-600">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    <span>Checking for existing creators...</span>
+                  </div>
+                )}
+
+                {duplicates.length > 0 && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-3">
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                      <h4 className="font-medium text-yellow-900">
+                        ⚠️ {duplicates.length} row{duplicates.length > 1 ? 's' : ''} match existing creators or earlier rows
+                      </h4>
+                      <div className="flex items-center space-x-2">
+                        <label className="text-sm text-yellow-900">For all matches:</label>
+                        <select
+                          value={duplicateStrategy}
+                          onChange={(e) => handleDuplicateStrategyChange(e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {Object.entries(DUPLICATE_STRATEGY_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <div className="space-y-2 max-h-64 overflow-y-auto">
+                      {duplicates.map(dup => {
+                        const record = creatorRecords.find(item => item.rowNumber === dup.rowNumber);
+                        return (
+                          <div key={dup.rowNumber} className="flex items-center justify-between bg-white rounded-lg p-2">
+                            <div className="text-sm">
+                              <span className="text-gray-400 mr-2">Row {dup.rowNumber}</span>
+                              <span className="font-medium text-gray-700">{record?.data.name || record?.data.username}</span>
+                              <span className="text-gray-500 ml-2">
+                                {dup.existing
+                                  ? `matches ${dup.existing.name || dup.existing.username} on ${dup.matchLabel}`
+                                  : `repeats row ${dup.duplicateOfRow}`}
+                              </span>
+                            </div>
+                            {dup.existing ? (
+                              <select
+                                value={duplicateResolutions[dup.rowNumber] || duplicateStrategy}
+                                onChange={(e) => handleDuplicateResolution(dup.rowNumber, e.target.value)}
+                                className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              >
+                                {Object.entries(DUPLICATE_STRATEGY_LABELS).map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className="text-xs text-gray-500">Skipped</span>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                {validationSummary.issues.length > 0 && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                    <h4 className="font-medium text-yellow-900 mb-2">
+                      ⚠️ {validationSummary.issues.length} row{validationSummary.issues.length > 1 ? 's' : ''} with problems
+                    </h4>
+                    <ul className="space-y-1 text-sm text-yellow-800 max-h-40 overflow-y-auto">
+                      {validationSummary.issues.slice(0, 20).map(issue => (
+                        <li key={issue.rowNumber}>
+                          • Row {issue.rowNumber}: {issue.messages.join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 <div className="bg-gray-50 rounded-lg p-4">
                   <h4 className="font-medium text-gray-900 mb-2">Import Summary</h4>
                   <ul className="space-y-1 text-sm text-gray-600">
                     <li>• Source: {importSource === 'file' ? uploadedFile?.name : 'Google Sheets'}</li>
+                    {selectedSheet && <li>• Sheet: {selectedSheet} (header on row {headerRow + 1})</li>}
                     <li>• Import Type: {importType}</li>
-                    <li>• Expected records: {previewData.totalRows}</li>
-                    <li>• Validation: All records passed</li>
+                    <li>• Expected records: {validationSummary.totalRows}</li>
+                    <li>
+                      • Validation: {validationSummary.issues.length === 0
+                        ? 'All records passed'
+                        : `${validationSummary.validRows} of ${validationSummary.totalRows} records passed`}
+                    </li>
                   </ul>
                 </div>
               </div>
@@ -720,7 +1346,7 @@ const ImportWizard = ({
       {/* Backdrop */}
       <div 
         className="absolute inset-0 bg-black bg-opacity-50 transition-opacity"
-        onClick={onClose}
+        onClick={handleClose}
       />
       
       {/* Panel */}
@@ -738,7 +1364,7 @@ const ImportWizard = ({
           </div>
           
           <Button
-            onClick={onClose}
+            onClick={handleClose}
             variant="ghost"
             size="sm"
             className="p-2"
@@ -788,7 +1414,11 @@ const ImportWizard = ({
             <div className="flex items-center justify-center h-64">
               <div className="text-center">
                 <Loader2 className="w-12 h-12 animate-spin text-blue-600 mx-auto mb-4" />
-                <p className="text-gray-600">Processing...</p>
+                <p className="text-gray-600">
+                  {importProgress
+                    ? `Importing ${importProgress.processed} of ${importProgress.total} rows...`
+                    : 'Processing...'}
+                </p>
               </div>
             </div>
           ) : (
@@ -802,17 +1432,28 @@ const ImportWizard = ({
             <Button
               onClick={prevStep}
               variant="outline"
-              disabled={currentStep === STEPS.SOURCE || isProcessing}
+              disabled={currentStep === STEPS.SOURCE || isProcessing || !!importReport}
             >
               <ArrowLeft className="w-4 h-4 mr-2" />
               Previous
             </Button>
 
             <div className="flex space-x-2">
-              {currentStep === STEPS.VALIDATION ? (
+              {importReport ? (
+                <Button onClick={handleClose} className="bg-green-600 hover:bg-green-700">
+                  Done
+                  <Check className="w-4 h-4 ml-2" />
+                </Button>
+              ) : currentStep === STEPS.VALIDATION ? (
                 <Button
                   onClick={handleFinalImport}
-                  disabled={isProcessing}
+                  disabled={
+                    isProcessing ||
+                    isCheckingDuplicates ||
+                    !validationSummary ||
+                    validationSummary.missingRequired ||
+                    validationSummary.overLimit
+                  }
                   className="bg-green-600 hover:bg-green-700"
                 >
                   {isProcessing && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
@@ -824,8 +1465,7 @@ const ImportWizard = ({
                   onClick={nextStep}
                   disabled={
                     (currentStep === STEPS.SOURCE && !importSource) ||
-                    (currentStep === STEPS.UPLOAD && !uploadedFile && !googleSheetsUrl) ||
-                    (currentStep === STEPS.PREVIEW && duplicates.length > 0) ||
+                    (currentStep === STEPS.UPLOAD && !previewData) ||
                     isProcessing
                   }
                 >
@@ -1,60 +1,61 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Icon from '../AppIcon';
+import { useAuth } from '../../contexts/AuthContext';
+import { notificationService } from '../../services/notificationService';
+
+const NOTIFICATION_STYLES = {
+  mention: { icon: 'AtSign', color: 'primary' },
+  reply: { icon: 'MessageSquare', color: 'secondary' },
+  payment_approved: { icon: 'CheckCircle', color: 'success' },
+  payment_rejected: { icon: 'XCircle', color: 'error' }
+};
+
+const formatTimeAgo = (dateString) => {
+  const seconds = Math.floor((Date.now() - new Date(dateString)) / 1000);
+  if (seconds < 60) return 'just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// Database row → the shape this component renders
+const toNotification = (row) => ({
+  id: row?.id,
+  type: row?.type,
+  title: row?.title,
+  message: row?.message,
+  link: row?.link,
+  time: formatTimeAgo(row?.created_at),
+  read: row?.is_read,
+  icon: NOTIFICATION_STYLES[row?.type]?.icon || 'Info',
+  color: NOTIFICATION_STYLES[row?.type]?.color || 'secondary'
+});
 
 const NotificationCenter = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
-  const [notifications, setNotifications] = useState([
-    {
-      id: 1,
-      type: 'payment',
-      title: 'Payment Overdue',
-      message: 'Payment for Campaign #2847 is 3 days overdue',
-      time: '5 minutes ago',
-      read: false,
-      icon: 'AlertCircle',
-      color: 'error'
-    },
-    {
-      id: 2,
-      type: 'campaign',
-      title: 'Campaign Deadline',
-      message: 'Summer Fashion Campaign ends in 2 days',
-      time: '1 hour ago',
-      read: false,
-      icon: 'Clock',
-      color: 'warning'
-    },
-    {
-      id: 3,
-      type: 'creator',
-      title: 'New Creator Application',
-      message: 'Sarah Johnson applied to join your network',
-      time: '3 hours ago',
-      read: false,
-      icon: 'UserPlus',
-      color: 'primary'
-    },
-    {
-      id: 4,
-      type: 'payment',
-      title: 'Payment Processed',
-      message: 'Payment of $2,500 completed successfully',
-      time: '5 hours ago',
-      read: true,
-      icon: 'CheckCircle',
-      color: 'success'
-    },
-    {
-      id: 5,
-      type: 'system',
-      title: 'System Update',
-      message: 'Instagram API integration updated',
-      time: '1 day ago',
-      read: true,
-      icon: 'Info',
-      color: 'secondary'
-    }
-  ]);
+  const [notifications, setNotifications] = useState([]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    notificationService.getNotifications()
+      .then(rows => setNotifications(rows.map(toNotification)))
+      .catch(() => setNotifications([]));
+
+    const subscription = notificationService.subscribe(user.id, (row) => {
+      setNotifications(prev => [toNotification(row), ...prev.filter(n => n?.id !== row?.id)]);
+    });
+
+    return () => {
+      subscription?.unsubscribe();
+    };
+  }, [user?.id]);
 
   const dropdownRef = useRef(null);
   const unreadCount = notifications?.filter(n => !n?.read)?.length;
@@ -83,15 +84,26 @@ const NotificationCenter = () => {
     setNotifications(notifications?.map(n =>
       n?.id === id ? { ...n, read: true } : n
     ));
+    notificationService.markAsRead(id).catch(() => {});
+  };
+
+  const handleOpenNotification = (notification) => {
+    handleMarkAsRead(notification?.id);
+    if (notification?.link) {
+      setIsOpen(false);
+      navigate(notification.link);
+    }
   };
 
   const handleMarkAllAsRead = () => {
     setNotifications(notifications?.map(n => ({ ...n, read: true })));
+    notificationService.markAllAsRead().catch(() => {});
   };
 
   const handleClearAll = () => {
     setNotifications([]);
     setIsOpen(false);
+    notificationService.clearAll().catch(() => {});
   };
 
   return (
@@ -141,7 +153,7 @@ const NotificationCenter = () => {
                 {notifications?.map((notification) => (
                   <button
                     key={notification?.id}
-                    onClick={() => handleMarkAsRead(notification?.id)}
+                    onClick={() => handleOpenNotification(notification)}
                     className={`w-full px-4 py-3 hover:bg-muted transition-colors duration-200 border-l-2 ${
                       notification?.read
                         ? 'border-transparent'
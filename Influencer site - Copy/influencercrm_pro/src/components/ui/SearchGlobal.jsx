@@ -1,7 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Icon from '../AppIcon';
+import SearchSnippet from './SearchSnippet';
 import { supabase } from '../../lib/supabase';
+import { creatorService } from '../../services/creatorService';
 
 const SearchGlobal = () => {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -39,25 +41,22 @@ const SearchGlobal = () => {
         try {
           const q = searchQuery.trim();
 
-          // Search creators
-          const { data: creators } = await supabase
-            .from('creators')
-            .select('id,name,username,instagram_link,followers_count')
-            .or(`name.ilike.%${q}%,username.ilike.%${q}%,email.ilike.%${q}%,instagram_link.ilike.%${q}%`)
-            .limit(6);
+          // Search creators (ranked full-text index)
+          const creators = await creatorService.search(q, { limit: 6 });
 
           // Search campaigns
           const { data: campaigns } = await supabase
             .from('campaigns')
-            .select('id,name,brand')
+            .select('id,name,legacy_brand_name,linked_brand:brands!campaigns_brand_id_fkey(name)')
             .ilike('name', `%${q}%`)
             .limit(4);
 
-          // Search payments by id (basic)
+          // Search payments by ledger reference or bank UTR
+          const paymentTerm = q.replace(/[,()]/g, ' ');
           const { data: payments } = await supabase
             .from('payments')
-            .select('id,amount,creator_id')
-            .ilike('id', `%${q}%`)
+            .select('id,reference_number,utr_number,net_amount,creator:creators(name)')
+            .or(`reference_number.ilike.%${paymentTerm}%,utr_number.ilike.%${paymentTerm}%`)
             .limit(4);
 
           const results = [];
@@ -67,7 +66,8 @@ const SearchGlobal = () => {
               type: 'creator',
               id: c.id,
               title: c.name,
-              subtitle: `${c.username || ''} • ${c.followers_count ? `${c.followers_count} followers` : 'N/A'}`,
+              subtitle: `${c.username ? `@${c.username}` : ''} • ${c.followers_tier?.trim() || 'N/A'}`,
+              snippet: c.search_snippet,
               path: `/creator-profile-details/${c.id}`,
               icon: 'User'
             }));
@@ -78,7 +78,7 @@ const SearchGlobal = () => {
               type: 'campaign',
               id: c.id,
               title: c.name,
-              subtitle: `${c.brand || ''}`,
+              subtitle: c.linked_brand?.name || c.legacy_brand_name || '',
               path: `/campaign-management-center`,
               icon: 'Megaphone'
             }));
@@ -88,8 +88,8 @@ const SearchGlobal = () => {
             payments.forEach(p => results.push({
               type: 'payment',
               id: p.id,
-              title: `Payment #${p.id}`,
-              subtitle: `₹${p.amount} • ${p.creator_id || ''}`,
+              title: `Payment ${p.reference_number}`,
+              subtitle: `₹${Number(p.net_amount || 0).toLocaleString('en-IN')} • ${p.creator?.name || ''}${p.utr_number ? ` • UTR ${p.utr_number}` : ''}`,
               path: `/payment-processing-center`,
               icon: 'CreditCard'
             }));
@@ -190,6 +190,9 @@ const SearchGlobal = () => {
                         <p className="text-xs text-muted-foreground truncate">
                           {result?.subtitle}
                         </p>
+                        {result?.snippet && (
+                          <SearchSnippet snippet={result?.snippet} className="block truncate" />
+                        )}
                       </div>
                       <Icon name="ArrowRight" size={16} className="text-muted-foreground" />
                     </div>
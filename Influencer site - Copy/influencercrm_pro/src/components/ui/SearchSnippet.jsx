@@ -0,0 +1,37 @@
+import React from 'react';
+import { cn } from '../../utils/cn';
+
+// Highlight markers emitted by the search_creator_snippets RPC
+const HIGHLIGHT_PATTERN = /⟦([^⟧]*)⟧/g;
+
+/**
+ * Renders a search snippet with matched terms highlighted. Snippets are
+ * plain text with ⟦ ⟧ around matches, so creator data is never rendered
+ * as HTML.
+ */
+const SearchSnippet = ({ snippet, className }) => {
+  if (!snippet) return null;
+
+  const parts = [];
+  let lastIndex = 0;
+
+  snippet.replace(HIGHLIGHT_PATTERN, (match, text, index) => {
+    if (index > lastIndex) parts.push(snippet.slice(lastIndex, index));
+    parts.push(
+      <mark key={index} className="bg-warning/20 text-foreground rounded-sm px-0.5">
+        {text}
+      </mark>
+    );
+    lastIndex = index + match.length;
+    return match;
+  });
+  if (lastIndex < snippet.length) parts.push(snippet.slice(lastIndex));
+
+  return (
+    <span className={cn('text-xs text-muted-foreground', className)} title={snippet.replace(/[⟦⟧]/g, '')}>
+      {parts}
+    </span>
+  );
+};
+
+export default SearchSnippet;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import Icon from '../AppIcon';
-import { Home, Users, FolderKanban, DollarSign, Database, Link as LinkIcon, Settings, ChevronLeft, ChevronRight, MapPin, FileSpreadsheet, Building } from 'lucide-react';
+import { Home, Users, FolderKanban, DollarSign, Database, Link as LinkIcon, Settings, ChevronLeft, ChevronRight, MapPin, FileSpreadsheet, Building, Landmark } from 'lucide-react';
 import { stateManagementService } from '../../services/stateManagementService';
 import { cityManagementService } from '../../services/cityManagementService';
 import SpreadsheetImportPanel from './SpreadsheetImportPanel';
@@ -86,6 +86,7 @@ const Sidebar = ({ isCollapsed = false, onToggleCollapse }) => {
     { name: 'Creator Database', href: '/creator-database-management', icon: Database },
     { name: 'Campaign Management', href: '/campaign-management-center', icon: FolderKanban },
     { name: 'Payment Processing', href: '/payment-processing-center', icon: DollarSign },
+    { name: 'Bank Reconciliation', href: '/bank-reconciliation', icon: Landmark },
     { name: 'Brand & Contact', href: '/brand-contact-management', icon: Users },
     { name: 'Bulk Instagram Processor', href: '/bulk-instagram-processor', icon: LinkIcon },
     // Admin-only navigation items
@@ -5,8 +5,10 @@
  */
 
 import React, { useState, useCallback } from 'react';
-import { X, FileSpreadsheet, Database, AlertCircle } from 'lucide-react';
+import { X, FileSpreadsheet, Database, AlertCircle, Upload, Link } from 'lucide-react';
 import SpreadsheetDataTable from './SpreadsheetDataTable';
+import ImportWizard from './ImportWizard';
+import ImportHistory from './ImportHistory';
 import Button from './Button';
 
 const SpreadsheetImportPanel = ({ 
@@ -17,9 +19,11 @@ const SpreadsheetImportPanel = ({
   title = 'Spreadsheet Import Center'
 }) => {
   const [importedData, setImportedData] = useState(null);
-  const [activeTab, setActiveTab] = useState('excel'); // excel, google, preview
+  const [activeTab, setActiveTab] = useState('excel'); // excel, google, preview, history
   const [importError, setImportError] = useState(null);
   const [isImporting, setIsImporting] = useState(false);
+  const [wizardSource, setWizardSource] = useState('');
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
 
   /**
    * Handle successful data import
@@ -32,6 +36,7 @@ const SpreadsheetImportPanel = ({
     
     setImportedData(result);
     setActiveTab('preview');
+    setHistoryRefreshKey(key => key + 1);
     setImportError(null);
     setIsImporting(false);
     
@@ -71,37 +76,17 @@ const SpreadsheetImportPanel = ({
 
   if (!isOpen) return null;
 
-  // Fallback component for missing ExcelImportButton
-  const ExcelImportFallback = () => (
-    <div className="text-center p-6 border-2 border-dashed border-gray-300 rounded-lg">
-      <AlertCircle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
-      <h3 className="text-lg font-medium text-gray-900 mb-2">Excel Import Coming Soon</h3>
-      <p className="text-gray-600 mb-4">Excel import functionality is currently under development.</p>
-      <Button 
-        onClick={() => setImportError('Excel import not yet implemented')}
-        variant="outline"
-        disabled
-      >
-        Import Excel File
-      </Button>
-    </div>
-  );
+  // Both tabs hand off to the import wizard, opened on the matching source
+  const openWizard = (source) => {
+    setImportError(null);
+    setIsImporting(true);
+    setWizardSource(source);
+  };
 
-  // Fallback component for missing GoogleSheetsImportButton
-  const GoogleSheetsImportFallback = () => (
-    <div className="text-center p-6 border-2 border-dashed border-gray-300 rounded-lg">
-      <AlertCircle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
-      <h3 className="text-lg font-medium text-gray-900 mb-2">Google Sheets Import Coming Soon</h3>
-      <p className="text-gray-600 mb-4">Google Sheets import functionality is currently under development.</p>
-      <Button 
-        onClick={() => setImportError('Google Sheets import not yet implemented')}
-        variant="outline"
-        disabled
-      >
-        Connect to Google Sheets
-      </Button>
-    </div>
-  );
+  const closeWizard = () => {
+    setWizardSource('');
+    setIsImporting(false);
+  };
 
   return (
     <div className="fixed inset-0 z-50 overflow-hidden">
@@ -158,6 +143,17 @@ const SpreadsheetImportPanel = ({
           >
             Google Sheets Import
           </button>
+
+          <button
+            onClick={() => setActiveTab('history')}
+            className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors ${
+              activeTab === 'history'
+                ? 'border-blue-500 text-blue-600 bg-blue-50'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Import History
+          </button>
           
           {importedData?.data && (
             <button
@@ -220,14 +216,22 @@ const SpreadsheetImportPanel = ({
                   <ul className="text-sm text-blue-800 space-y-1">
                     <li>• Excel files (.xlsx, .xls) and CSV files</li>
                     <li>• Automatic data type detection and formatting</li>
-                    <li>• First row used as column headers</li>
+                    <li>• Sheet picker for multi-sheet workbooks</li>
+                    <li>• Header row detected automatically (title rows are skipped)</li>
                     <li>• Large file support (up to 50MB)</li>
                     <li>• Automatic system Excel opening attempt</li>
                   </ul>
                 </div>
 
                 <div className="flex justify-center">
-                  <ExcelImportFallback />
+                  <Button
+                    onClick={() => openWizard('file')}
+                    disabled={isImporting}
+                    className="flex items-center space-x-2"
+                  >
+                    <Upload className="w-4 h-4" />
+                    <span>Import Excel File</span>
+                  </Button>
                 </div>
 
                 <div className="text-xs text-gray-500 text-center">
@@ -265,7 +269,14 @@ const SpreadsheetImportPanel = ({
                 </div>
 
                 <div className="flex justify-center">
-                  <GoogleSheetsImportFallback />
+                  <Button
+                    onClick={() => openWizard('googlesheets')}
+                    disabled={isImporting}
+                    className="flex items-center space-x-2"
+                  >
+                    <Link className="w-4 h-4" />
+                    <span>Connect to Google Sheets</span>
+                  </Button>
                 </div>
 
                 <div className="text-xs text-gray-500 text-center">
@@ -275,6 +286,13 @@ const SpreadsheetImportPanel = ({
             </div>
           )}
 
+          {/* Import History Tab */}
+          {activeTab === 'history' && (
+            <div className="p-6 h-full overflow-y-auto">
+              <ImportHistory refreshKey={historyRefreshKey} className="max-w-5xl mx-auto" />
+            </div>
+          )}
+
           {/* Data Preview Tab */}
           {activeTab === 'preview' && importedData?.data && (
             <div className="h-full flex flex-col">
@@ -320,6 +338,13 @@ const SpreadsheetImportPanel = ({
           )}
         </div>
       </div>
+
+      <ImportWizard
+        isOpen={!!wizardSource}
+        initialSource={wizardSource}
+        onClose={closeWizard}
+        onDataImported={handleDataImported}
+      />
     </div>
   );
 };
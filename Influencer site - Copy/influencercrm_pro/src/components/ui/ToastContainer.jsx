@@ -45,6 +45,12 @@ export const ToastProvider = ({ children }) => {
     setToasts([]);
   }, []);
 
+  // (message, type) form used by ImportWizard, GlobalSearch and the dashboard;
+  // stable so it can sit in effect dependency lists
+  const addToast = useCallback((message, type = 'info', options = {}) => {
+    return toast(message, { ...options, type });
+  }, [toast]);
+
   const value = {
     toast,
     removeToast,
@@ -54,7 +60,8 @@ export const ToastProvider = ({ children }) => {
     success: (message, options = {}) => toast(message, { ...options, type: 'success' }),
     error: (message, options = {}) => toast(message, { ...options, type: 'error' }),
     warning: (message, options = {}) => toast(message, { ...options, type: 'warning' }),
-    info: (message, options = {}) => toast(message, { ...options, type: 'info' })
+    info: (message, options = {}) => toast(message, { ...options, type: 'info' }),
+    addToast
   };
 
   return (
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Select from '../../../components/ui/Select';
+import { scoreMatch } from '../../../utils/bankStatement';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 2
+})?.format(amount || 0);
+
+/**
+ * Clear an exception: match the line to a payment by hand, or close it
+ * with a note when it isn't a creator payout
+ * @param {Object} line - bank_statement_lines row
+ * @param {Array} payments - Outstanding payments to choose from
+ * @param {Function} onMatch - async (paymentId) => void
+ * @param {Function} onResolve - async (note) => void
+ */
+const ResolveLineModal = ({ line, payments = [], onClose, onMatch, onResolve }) => {
+  const [mode, setMode] = useState('match');
+  const [paymentId, setPaymentId] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setMode('match');
+    setPaymentId('');
+    setNote('');
+    setError(null);
+  }, [line?.id]);
+
+  // Closest candidates first; amounts that don't match sort to the bottom
+  const paymentOptions = useMemo(() => {
+    if (!line) return [];
+    const candidate = {
+      amount: Number(line?.amount),
+      txnDate: line?.txn_date,
+      utr: line?.utr,
+      reference: line?.reference,
+      description: line?.description,
+      payeeName: line?.payee_name
+    };
+    return payments
+      ?.map(payment => ({ payment, ...scoreMatch(candidate, payment) }))
+      ?.sort((a, b) => b.score - a.score)
+      ?.map(({ payment, score }) => ({
+        value: payment?.id,
+        label: `${payment?.creator?.name || 'N/A'} • ${formatAmount(payment?.net_amount)}`,
+        description: `${payment?.reference_number}${payment?.campaign?.name ? ` • ${payment?.campaign?.name}` : ''}${score > 0 ? ` • ${score}% match` : ''}`
+      }));
+  }, [line, payments]);
+
+  if (!line) return null;
+
+  const handleSave = async () => {
+    if (mode === 'match' && !paymentId) {
+      setError('Choose the payment this line settles');
+      return;
+    }
+    if (mode === 'resolve' && !note?.trim()) {
+      setError('Add a note explaining why no payment matches');
+      return;
+    }
+    setSaving(true);
+    try {
+      if (mode === 'match') await onMatch(paymentId);
+      else await onResolve(note);
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Failed to update line');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-warning/10 flex items-center justify-center">
+              <Icon name="AlertTriangle" size={20} color="var(--color-warning)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">{formatAmount(line?.amount)} debit</h2>
+              <p className="text-xs text-muted-foreground truncate max-w-xs" title={line?.description}>
+                {line?.description}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex gap-2">
+            {[
+              { value: 'match', label: 'Match to payment', icon: 'Link' },
+              { value: 'resolve', label: 'Not a payout', icon: 'Ban' }
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => {
+                  setMode(option.value);
+                  setError(null);
+                }}
+                className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-md text-sm border transition-colors duration-200 ${
+                  mode === option.value ? 'border-primary bg-primary/10 text-primary' : 'border-border text-muted-foreground hover:bg-muted'
+                }`}
+              >
+                <Icon name={option.icon} size={16} />
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'match' ? (
+            <Select
+              label="Payment"
+              options={paymentOptions}
+              value={paymentId}
+              onChange={(value) => {
+                setPaymentId(value);
+                setError(null);
+              }}
+              placeholder={payments?.length ? 'Select payment' : 'No outstanding payments'}
+              disabled={!payments?.length}
+              searchable
+            />
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Note</label>
+              <textarea
+                value={note}
+                onChange={(e) => {
+                  setNote(e?.target?.value);
+                  setError(null);
+                }}
+                rows={3}
+                className="w-full px-3 py-2 text-sm bg-background border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+                placeholder="e.g. Bank charges, vendor payment, refund"
+              />
+            </div>
+          )}
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" onClick={handleSave} loading={saving} disabled={saving} fullWidth>
+              {mode === 'match' ? 'Reconcile' : 'Resolve'}
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResolveLineModal;
@@ -0,0 +1,137 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 2
+})?.format(amount || 0);
+
+const formatDate = (value) => value
+  ? new Date(value)?.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '—';
+
+const LINE_STATUS_STYLES = {
+  proposed: { label: 'Proposed', className: 'bg-warning/10 text-warning' },
+  reconciled: { label: 'Reconciled', className: 'bg-success/10 text-success' },
+  exception: { label: 'Exception', className: 'bg-error/10 text-error' },
+  ignored: { label: 'Resolved', className: 'bg-muted text-muted-foreground' }
+};
+
+const scoreColor = (score) => {
+  if (score >= 90) return 'text-success';
+  if (score >= 70) return 'text-warning';
+  return 'text-error';
+};
+
+/**
+ * Bank statement lines with their proposed or confirmed payment
+ * @param {Array} lines - bank_statement_lines rows with payment join
+ * @param {boolean} showStatement - Show the source file (exceptions queue spans statements)
+ * @param {Function} onConfirm - (line) => void
+ * @param {Function} onReject - (line) => void
+ * @param {Function} onResolve - (line) => void; opens manual match / resolve
+ */
+const StatementLinesTable = ({ lines = [], showStatement = false, busyLineId, onConfirm, onReject, onResolve }) => {
+  if (lines?.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Icon name="CheckCircle" size={40} className="mx-auto mb-3 text-muted-foreground" />
+        <p className="text-sm text-muted-foreground">Nothing to show here</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto custom-scrollbar">
+      <table className="w-full">
+        <thead className="bg-muted/50 border-b border-border sticky top-0 z-10">
+          <tr>
+            {['Date', 'Narration', 'Amount', 'Matched Payment', 'Status', 'Actions'].map(label => (
+              <th key={label} className="px-4 py-3 text-left text-xs font-semibold text-foreground uppercase tracking-wider">
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-border">
+          {lines?.map(line => {
+            const status = LINE_STATUS_STYLES?.[line?.status] || LINE_STATUS_STYLES.exception;
+            const busy = busyLineId === line?.id;
+
+            return (
+              <tr key={line?.id} className="hover:bg-muted/30 transition-colors duration-200">
+                <td className="px-4 py-3 text-sm text-foreground whitespace-nowrap">
+                  {formatDate(line?.txn_date)}
+                  {showStatement && (
+                    <div className="text-xs text-muted-foreground truncate max-w-[140px]" title={line?.statement?.file_name}>
+                      {line?.statement?.file_name}
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 max-w-xs">
+                  <div className="text-sm text-foreground truncate" title={line?.description}>{line?.description}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {line?.utr ? `UTR ${line?.utr}` : line?.reference ? `Ref ${line?.reference}` : 'No reference'}
+                    {line?.payee_name && ` • ${line?.payee_name}`}
+                  </div>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <span className={`text-sm font-medium ${line?.direction === 'debit' ? 'text-foreground' : 'text-success'}`}>
+                    {line?.direction === 'debit' ? '−' : '+'}{formatAmount(line?.amount)}
+                  </span>
+                </td>
+                <td className="px-4 py-3">
+                  {line?.payment ? (
+                    <div className="flex flex-col">
+                      <span className="text-sm text-foreground">
+                        {line?.payment?.creator?.name || 'N/A'} • {formatAmount(line?.payment?.net_amount)}
+                      </span>
+                      <span className="text-xs text-muted-foreground">
+                        {line?.payment?.reference_number}
+                        {line?.status === 'proposed' && line?.match_score !== null && (
+                          <span className={`ml-1 font-medium ${scoreColor(line?.match_score)}`}>
+                            {line?.match_score}% • {line?.match_reasons?.join(', ')}
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                  ) : (
+                    <span className="text-sm text-muted-foreground">{line?.resolution_note || '—'}</span>
+                  )}
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${status?.className}`}>
+                    {status?.label}
+                  </span>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <div className="flex items-center gap-2">
+                    {line?.status === 'proposed' && (
+                      <>
+                        <Button size="xs" variant="default" iconName="Check" onClick={() => onConfirm(line)} disabled={busy}>
+                          Confirm
+                        </Button>
+                        <Button size="xs" variant="ghost" iconName="X" onClick={() => onReject(line)} disabled={busy}>
+                          Reject
+                        </Button>
+                      </>
+                    )}
+                    {line?.status === 'exception' && (
+                      <Button size="xs" variant="outline" iconName="Link" onClick={() => onResolve(line)} disabled={busy}>
+                        Match / Resolve
+                      </Button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default StatementLinesTable;
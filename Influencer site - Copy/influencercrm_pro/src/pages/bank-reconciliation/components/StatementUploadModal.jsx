@@ -0,0 +1,257 @@
+import React, { useState, useRef } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { bankReconciliationService } from '../../../services/bankReconciliationService';
+import { BANK_FORMAT_LABELS, proposeMatches } from '../../../utils/bankStatement';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+})?.format(amount || 0);
+
+const formatDate = (value) => value
+  ? new Date(value)?.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '—';
+
+/**
+ * Pick a statement file, preview what was read and how many lines match,
+ * then import it
+ * @param {Function} onImported - (statement, summary) => void
+ */
+const StatementUploadModal = ({ isOpen, onClose, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [conflicts, setConflicts] = useState(null);
+  const [payments, setPayments] = useState([]);
+  const [positiveAmounts, setPositiveAmounts] = useState(null);
+  const [parsing, setParsing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setFile(null);
+    setParsed(null);
+    setConflicts(null);
+    setPayments([]);
+    setPositiveAmounts(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e?.target?.files?.[0];
+    if (e?.target) e.target.value = '';
+    if (!selected) return;
+
+    reset();
+    setFile(selected);
+    setParsing(true);
+    try {
+      const [statement, outstanding] = await Promise.all([
+        bankReconciliationService?.parseStatement(selected),
+        bankReconciliationService?.getReconcilablePayments()
+      ]);
+      setParsed(statement);
+      setPayments(outstanding);
+      setConflicts(await bankReconciliationService?.findImportConflicts({ ...statement, fileName: selected?.name }));
+    } catch (err) {
+      setError(err?.message || 'Failed to read statement');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  // Single amount column without Dr/Cr: the user says which way positives go
+  const handlePositiveAmountsChange = async (value) => {
+    setPositiveAmounts(value);
+    setError(null);
+    try {
+      const statement = await bankReconciliationService?.parseStatement(file, { positiveAmounts: value });
+      setParsed(statement);
+      setConflicts(await bankReconciliationService?.findImportConflicts({ ...statement, fileName: file?.name }));
+    } catch (err) {
+      setError(err?.message || 'Failed to read statement');
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    try {
+      const summary = await bankReconciliationService?.importStatement({
+        fileName: file?.name,
+        bankFormat: parsed?.bankFormat,
+        periodFrom: parsed?.periodFrom,
+        periodTo: parsed?.periodTo,
+        lines: parsed?.lines
+      }, payments);
+      reset();
+      onImported(summary?.statement, summary);
+    } catch (err) {
+      setError(err?.message || 'Failed to import statement');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Preview only what the import will save
+  const duplicateCount = conflicts?.duplicateLineNumbers?.length || 0;
+  const duplicates = new Set(conflicts?.duplicateLineNumbers || []);
+  const newLines = parsed?.lines?.filter(line => !duplicates.has(line?.lineNumber)) || [];
+  const debits = newLines.filter(line => line?.direction === 'debit');
+  const credits = newLines.filter(line => line?.direction === 'credit')?.length;
+  const needsSignConvention = parsed?.unknownDirectionCount > 0 || Boolean(positiveAmounts);
+  const proposedCount = parsed ? proposeMatches(newLines, payments)?.size : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="Upload" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Import Bank Statement</h2>
+              <p className="text-xs text-muted-foreground">CSV or Excel export from net banking</p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef?.current?.click()}
+            disabled={parsing || importing}
+            className="w-full border-2 border-dashed border-border rounded-lg p-6 text-center hover:border-primary transition-colors duration-200"
+          >
+            <Icon name="FileSpreadsheet" size={32} className="mx-auto mb-2 text-muted-foreground" />
+            <p className="text-sm font-medium text-foreground">
+              {file ? file?.name : 'Choose a statement file'}
+            </p>
+            <p className="text-xs text-muted-foreground mt-1">
+              HDFC, ICICI, SBI, Axis, Kotak or any export with date, narration and withdrawal columns
+            </p>
+          </button>
+
+          {parsing && <p className="text-sm text-muted-foreground text-center">Reading statement...</p>}
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          {parsed && needsSignConvention && (
+            <div className="bg-warning/10 border border-warning/20 rounded-lg p-4 space-y-2 text-sm">
+              <p className="text-foreground">
+                This statement has one amount column with no Dr/Cr marker. Are positive amounts withdrawals or deposits?
+                {parsed?.unknownDirectionCount > 0 && ` ${parsed.unknownDirectionCount} lines can't be placed until you choose.`}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant={positiveAmounts === 'debit' ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => handlePositiveAmountsChange('debit')}
+                  fullWidth
+                >
+                  Withdrawals
+                </Button>
+                <Button
+                  variant={positiveAmounts === 'credit' ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => handlePositiveAmountsChange('credit')}
+                  fullWidth
+                >
+                  Deposits
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {parsed && (conflicts?.previousImport || duplicateCount > 0) && (
+            <div className="bg-warning/10 border border-warning/20 rounded-lg p-4 space-y-1 text-sm">
+              {conflicts?.previousImport && (
+                <p className="text-foreground">
+                  A statement named {conflicts.previousImport.fileName} was already imported on {formatDate(conflicts.previousImport.importedAt)}.
+                </p>
+              )}
+              {duplicateCount > 0 && (
+                <p className="text-foreground">
+                  {duplicateCount === parsed?.lines?.length
+                    ? 'Every line in this statement has already been imported.'
+                    : `${duplicateCount} of ${parsed?.lines?.length} lines were already imported and will be skipped.`}
+                </p>
+              )}
+            </div>
+          )}
+
+          {parsed && (
+            <div className="bg-muted/50 rounded-lg p-4 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Format</span>
+                <span className="text-foreground font-medium">{BANK_FORMAT_LABELS?.[parsed?.bankFormat]}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Period</span>
+                <span className="text-foreground">{formatDate(parsed?.periodFrom)} – {formatDate(parsed?.periodTo)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Debits</span>
+                <span className="text-foreground">
+                  {debits?.length} • {formatAmount(debits?.reduce((sum, line) => sum + line?.amount, 0))}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Credits (not matched)</span>
+                <span className="text-foreground">{credits}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Proposed matches</span>
+                <span className="text-success font-medium">
+                  {proposedCount} of {debits?.length} against {payments?.length} outstanding payments
+                </span>
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <Button
+              variant="default"
+              size="sm"
+              iconName="Check"
+              iconPosition="left"
+              onClick={handleImport}
+              loading={importing}
+              disabled={!parsed || importing || parsed?.unknownDirectionCount > 0 || !newLines.length}
+              fullWidth
+            >
+              Import & Review
+            </Button>
+            <Button variant="outline" size="sm" onClick={handleClose} disabled={importing} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatementUploadModal;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import Sidebar from '../../components/ui/Sidebar';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { useToast } from '../../components/ui/ToastContainer';
+import StatementUploadModal from './components/StatementUploadModal';
+import StatementLinesTable from './components/StatementLinesTable';
+import ResolveLineModal from './components/ResolveLineModal';
+import { bankReconciliationService } from '../../services/bankReconciliationService';
+import { BANK_FORMAT_LABELS } from '../../utils/bankStatement';
+
+const formatDate = (value) => value
+  ? new Date(value)?.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '—';
+
+const BankReconciliation = () => {
+  const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
+  const [statements, setStatements] = useState([]);
+  const [selectedStatementId, setSelectedStatementId] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [exceptions, setExceptions] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [view, setView] = useState('statement');
+  const [showUploadModal, setShowUploadModal] = useState(false);
+  const [resolveLine, setResolveLine] = useState(null);
+  const [busyLineId, setBusyLineId] = useState(null);
+  const [confirmingAll, setConfirmingAll] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { toast } = useToast();
+
+  const loadOverview = async () => {
+    const [statementList, exceptionLines, outstanding] = await Promise.all([
+      bankReconciliationService?.getStatements(),
+      bankReconciliationService?.getExceptions(),
+      bankReconciliationService?.getReconcilablePayments()
+    ]);
+    setStatements(statementList);
+    setExceptions(exceptionLines);
+    setPayments(outstanding);
+    return statementList;
+  };
+
+  const loadLines = async (statementId) => {
+    if (!statementId) {
+      setLines([]);
+      return;
+    }
+    setLines(await bankReconciliationService?.getLines(statementId));
+  };
+
+  const refresh = async (statementId = selectedStatementId) => {
+    try {
+      await Promise.all([loadOverview(), loadLines(statementId)]);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to refresh reconciliation');
+    }
+  };
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setLoading(true);
+        const statementList = await loadOverview();
+        const latest = statementList?.[0]?.id || null;
+        setSelectedStatementId(latest);
+        await loadLines(latest);
+      } catch (err) {
+        console.error('Error loading reconciliation:', err);
+        setError(err?.message || 'Failed to load bank statements');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  const handleSelectStatement = async (statementId) => {
+    setSelectedStatementId(statementId);
+    setView('statement');
+    try {
+      await loadLines(statementId);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to load statement lines');
+    }
+  };
+
+  const handleImported = async (statement, summary) => {
+    setShowUploadModal(false);
+    setSelectedStatementId(statement?.id);
+    setView('statement');
+    toast.success(`Imported ${statement?.line_count} lines: ${summary?.proposed} proposed matches, ${summary?.exceptions} exceptions${summary?.skipped ? `, ${summary.skipped} already imported lines skipped` : ''}`);
+    await refresh(statement?.id);
+  };
+
+  const runLineAction = async (line, action, successMessage) => {
+    setBusyLineId(line?.id);
+    try {
+      await action();
+      toast.success(successMessage);
+      await refresh();
+    } catch (err) {
+      toast.error(err?.message || 'Failed to update line');
+    } finally {
+      setBusyLineId(null);
+    }
+  };
+
+  const handleConfirm = (line) => runLineAction(
+    line,
+    () => bankReconciliationService?.confirmMatch(line?.id, line?.payment_id),
+    `${line?.payment?.reference_number} reconciled`
+  );
+
+  const handleReject = (line) => runLineAction(
+    line,
+    () => bankReconciliationService?.rejectMatch(line?.id),
+    'Match rejected; line moved to exceptions'
+  );
+
+  const handleConfirmAll = async () => {
+    const proposed = lines?.filter(line => line?.status === 'proposed');
+    if (!proposed?.length) return;
+    setConfirmingAll(true);
+    try {
+      const { updated, failed } = await bankReconciliationService?.confirmMatches(proposed);
+      if (updated?.length) toast.success(`${updated?.length} payment${updated?.length !== 1 ? 's' : ''} reconciled`);
+      if (failed?.length) toast.error(`${failed?.length} could not be reconciled: ${failed?.[0]?.message}`);
+      await refresh();
+    } finally {
+      setConfirmingAll(false);
+    }
+  };
+
+  // Called from the modal, which shows the error itself, so let failures propagate
+  const handleManualMatch = async (paymentId) => {
+    await bankReconciliationService?.confirmMatch(resolveLine?.id, paymentId);
+    toast.success('Line reconciled');
+    await refresh();
+  };
+
+  const handleResolve = async (note) => {
+    await bankReconciliationService?.resolveException(resolveLine?.id, note);
+    toast.success('Exception resolved');
+    await refresh();
+  };
+
+  const selectedStatement = statements?.find(statement => statement?.id === selectedStatementId);
+  const proposedCount = lines?.filter(line => line?.status === 'proposed')?.length;
+  const visibleLines = view === 'exceptions' ? exceptions : lines;
+
+  const layout = (content) => (
+    <div className="min-h-screen bg-background">
+      <Sidebar
+        isCollapsed={isSidebarCollapsed}
+        onToggleCollapse={() => setIsSidebarCollapsed(!isSidebarCollapsed)}
+      />
+      <Header isCollapsed={isSidebarCollapsed} />
+      <main className={`main-content ${isSidebarCollapsed ? 'sidebar-collapsed' : ''}`}>
+        {content}
+      </main>
+    </div>
+  );
+
+  if (loading) {
+    return layout(
+      <div className="flex items-center justify-center h-[calc(100vh-4rem)]">
+        <div className="text-center">
+          <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-muted-foreground">Loading bank statements...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return layout(
+      <div className="flex items-center justify-center h-[calc(100vh-4rem)]">
+        <div className="text-center max-w-md">
+          <div className="w-16 h-16 bg-destructive/10 rounded-full flex items-center justify-center mx-auto mb-4">
+            <Icon name="AlertTriangle" size={32} color="var(--color-destructive)" />
+          </div>
+          <h2 className="text-xl font-semibold text-foreground mb-2">Failed to Load Reconciliation</h2>
+          <p className="text-muted-foreground mb-4">{error}</p>
+          <Button onClick={() => window.location.reload()} variant="default">
+            Try Again
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return layout(
+    <>
+      <div className="flex h-[calc(100vh-4rem)]">
+        <aside className="w-72 bg-card border-r border-border flex flex-col">
+          <div className="px-4 py-4 border-b border-border">
+            <h2 className="text-sm font-semibold text-foreground">Statements</h2>
+            <p className="text-xs text-muted-foreground">{payments?.length} payments awaiting reconciliation</p>
+          </div>
+          <div className="flex-1 overflow-y-auto custom-scrollbar p-2 space-y-1">
+            {statements?.length === 0 ? (
+              <p className="text-sm text-muted-foreground text-center py-6">No statements imported yet</p>
+            ) : statements?.map(statement => (
+              <button
+                key={statement?.id}
+                onClick={() => handleSelectStatement(statement?.id)}
+                className={`w-full text-left px-3 py-2 rounded-md transition-colors duration-200 ${
+                  view === 'statement' && statement?.id === selectedStatementId ? 'bg-primary/10' : 'hover:bg-muted'
+                }`}
+              >
+                <div className="text-sm font-medium text-foreground truncate">{statement?.file_name}</div>
+                <div className="text-xs text-muted-foreground">
+                  {BANK_FORMAT_LABELS?.[statement?.bank_format] || statement?.bank_format} • {formatDate(statement?.period_from)} – {formatDate(statement?.period_to)}
+                </div>
+                <div className="flex gap-2 mt-1 text-xs">
+                  <span className="text-success">{statement?.counts?.reconciled || 0} reconciled</span>
+                  {statement?.counts?.proposed > 0 && <span className="text-warning">{statement?.counts?.proposed} proposed</span>}
+                  {statement?.counts?.exception > 0 && <span className="text-error">{statement?.counts?.exception} exceptions</span>}
+                </div>
+              </button>
+            ))}
+          </div>
+        </aside>
+
+        <div className="flex-1 flex flex-col overflow-hidden">
+          <div className="bg-card border-b border-border px-6 py-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-bold text-foreground">Bank Reconciliation</h1>
+                <p className="text-sm text-muted-foreground mt-1">
+                  Match bank statement debits to creator payments by UTR, amount, date and payee
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                {view === 'statement' && proposedCount > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    iconName="CheckCheck"
+                    iconPosition="left"
+                    onClick={handleConfirmAll}
+                    loading={confirmingAll}
+                    disabled={confirmingAll}
+                  >
+                    Confirm {proposedCount} Proposed
+                  </Button>
+                )}
+                <Button
+                  variant="default"
+                  size="sm"
+                  iconName="Upload"
+                  iconPosition="left"
+                  onClick={() => setShowUploadModal(true)}
+                >
+                  Import Statement
+                </Button>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-card border-b border-border px-6">
+            <div className="flex gap-6">
+              {[
+                { value: 'statement', label: selectedStatement?.file_name || 'Statement', count: lines?.length },
+                { value: 'exceptions', label: 'Exceptions', count: exceptions?.length }
+              ].map(tab => (
+                <button
+                  key={tab.value}
+                  onClick={() => setView(tab.value)}
+                  className={`py-3 text-sm font-medium border-b-2 transition-colors duration-200 ${
+                    view === tab.value ? 'border-primary text-primary' : 'border-transparent text-muted-foreground hover:text-foreground'
+                  }`}
+                >
+                  {tab.label}
+                  <span className="ml-2 px-2 py-0.5 rounded-full bg-muted text-xs">{tab.count}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-auto">
+            <StatementLinesTable
+              lines={visibleLines}
+              showStatement={view === 'exceptions'}
+              busyLineId={busyLineId}
+              onConfirm={handleConfirm}
+              onReject={handleReject}
+              onResolve={setResolveLine}
+            />
+          </div>
+        </div>
+      </div>
+
+      <StatementUploadModal
+        isOpen={showUploadModal}
+        onClose={() => setShowUploadModal(false)}
+        onImported={handleImported}
+      />
+
+      <ResolveLineModal
+        line={resolveLine}
+        payments={payments}
+        onClose={() => setResolveLine(null)}
+        onMatch={handleManualMatch}
+        onResolve={handleResolve}
+      />
+    </>
+  );
+};
+
+export default BankReconciliation;
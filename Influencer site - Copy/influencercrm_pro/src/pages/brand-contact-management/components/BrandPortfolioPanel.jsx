@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Briefcase, IndianRupee, Users, AlertCircle } from 'lucide-react';
+import { brandService } from '../../../services/brandService';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+}).format(value || 0);
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '—');
+
+const STATUS_CLASSES = {
+  active: 'bg-green-100 text-green-700',
+  planning: 'bg-gray-100 text-gray-700',
+  paused: 'bg-yellow-100 text-yellow-700',
+  completed: 'bg-blue-100 text-blue-700'
+};
+
+/**
+ * A brand's campaigns with spend, active creators and outstanding payables
+ * @param {string} brandId
+ * @param {number} refreshKey - Bump to reload, e.g. after campaigns are linked
+ */
+export default function BrandPortfolioPanel({ brandId, refreshKey = 0 }) {
+  const navigate = useNavigate();
+  const [portfolio, setPortfolio] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!brandId) return;
+    setLoading(true);
+    setError('');
+    brandService?.getPortfolio(brandId)
+      ?.then(setPortfolio)
+      ?.catch((err) => setError(err?.message || 'Failed to load portfolio'))
+      ?.finally(() => setLoading(false));
+  }, [brandId, refreshKey]);
+
+  if (loading) {
+    return <div className="text-sm text-gray-500 py-6">Loading portfolio...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+        {error}
+      </div>
+    );
+  }
+
+  const stats = [
+    {
+      label: 'Campaigns',
+      value: portfolio?.campaignCount,
+      hint: `${portfolio?.activeCampaignCount} active`,
+      icon: Briefcase
+    },
+    {
+      label: 'Total Spend',
+      value: formatCurrency(portfolio?.totalSpend),
+      hint: `${formatCurrency(portfolio?.committedAmount)} committed`,
+      icon: IndianRupee
+    },
+    {
+      label: 'Active Creators',
+      value: portfolio?.activeCreatorCount,
+      hint: 'On active campaigns',
+      icon: Users
+    },
+    {
+      label: 'Outstanding Payables',
+      value: formatCurrency(portfolio?.outstandingPayables),
+      hint: 'Contracted, not yet paid',
+      icon: AlertCircle,
+      highlight: portfolio?.outstandingPayables > 0
+    }
+  ];
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-xl font-semibold flex items-center gap-2 mb-4">
+        <Briefcase className="w-5 h-5" />
+        Campaign Portfolio
+      </h2>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {stats?.map(({ label, value, hint, icon: StatIcon, highlight }) => (
+          <div key={label} className="bg-white rounded-lg border border-gray-200 p-4">
+            <div className="flex items-center gap-2 text-sm text-gray-600 mb-1">
+              <StatIcon className="w-4 h-4 text-gray-400" />
+              {label}
+            </div>
+            <div className={`text-2xl font-bold ${highlight ? 'text-orange-600' : 'text-gray-900'}`}>{value}</div>
+            <div className="text-xs text-gray-500 mt-1">{hint}</div>
+          </div>
+        ))}
+      </div>
+
+      {portfolio?.campaigns?.length === 0 ? (
+        <div className="text-center py-8 text-gray-500 bg-white rounded-lg border border-gray-200">
+          <p>No campaigns linked to this brand yet</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="text-left font-medium px-4 py-2">Campaign</th>
+                <th className="text-left font-medium px-4 py-2">Status</th>
+                <th className="text-left font-medium px-4 py-2">Dates</th>
+                <th className="text-right font-medium px-4 py-2">Creators</th>
+                <th className="text-right font-medium px-4 py-2">Budget</th>
+                <th className="text-right font-medium px-4 py-2">Paid</th>
+                <th className="text-right font-medium px-4 py-2">Outstanding</th>
+              </tr>
+            </thead>
+            <tbody>
+              {portfolio?.campaigns?.map((campaign) => (
+                <tr
+                  key={campaign?.id}
+                  onClick={() => navigate('/campaign-management-center')}
+                  className="border-t border-gray-100 hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-4 py-2 font-medium text-gray-900">{campaign?.name}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_CLASSES?.[campaign?.status] || 'bg-gray-100 text-gray-700'}`}>
+                      {campaign?.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                    {formatDate(campaign?.startDate)} – {formatDate(campaign?.endDate)}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">
+                    {campaign?.activeCreatorCount}/{campaign?.creatorCount}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">{formatCurrency(campaign?.budget)}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{formatCurrency(campaign?.paidAmount)}</td>
+                  <td className={`px-4 py-2 text-right ${campaign?.outstandingAmount > 0 ? 'text-orange-600 font-medium' : 'text-gray-700'}`}>
+                    {formatCurrency(campaign?.outstandingAmount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
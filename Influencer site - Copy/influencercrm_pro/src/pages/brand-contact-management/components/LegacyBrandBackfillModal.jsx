@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { X, Link2, Wand2 } from 'lucide-react';
+import { brandService } from '../../../services/brandService';
+import { campaignService } from '../../../services/campaignService';
+import { calculateSimilarity } from '../../../utils/fuzzyMatching';
+
+const NEW_BRAND = '__new__';
+// Below this a suggestion is more likely wrong than right
+const MIN_CONFIDENCE = 70;
+
+const normalize = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// One row per distinct legacy name, with the closest brand suggested
+const groupByLegacyName = (campaigns, brands) => {
+  const groups = new Map();
+  campaigns?.forEach((campaign) => {
+    const key = normalize(campaign?.legacy_brand_name);
+    if (!groups.has(key)) groups.set(key, { key, name: campaign?.legacy_brand_name?.trim(), campaigns: [] });
+    groups.get(key).campaigns.push(campaign);
+  });
+
+  return Array.from(groups.values()).map((group) => {
+    const best = brands
+      ?.map(brand => ({ brand, confidence: calculateSimilarity(group.name, brand?.name) }))
+      ?.sort((a, b) => b.confidence - a.confidence)?.[0];
+    const suggested = best?.confidence >= MIN_CONFIDENCE ? best : null;
+    return {
+      ...group,
+      confidence: suggested?.confidence || 0,
+      suggestedId: suggested?.brand?.id || null,
+      choice: suggested?.brand?.id || NEW_BRAND
+    };
+  });
+};
+
+/**
+ * Match campaigns' free-text brand names to brands and link them
+ * @param {boolean} isOpen
+ * @param {Function} onLinked - Called after campaigns are linked or brands created
+ */
+export default function LegacyBrandBackfillModal({ isOpen, onClose, onLinked }) {
+  const [groups, setGroups] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingKey, setSavingKey] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    setError('');
+    Promise.all([campaignService?.getUnlinkedBrands(), brandService?.getAll()])
+      ?.then(([campaigns, allBrands]) => {
+        const sorted = (allBrands || [])?.sort((a, b) => a?.name?.localeCompare(b?.name));
+        setBrands(sorted);
+        setGroups(groupByLegacyName(campaigns, sorted));
+      })
+      ?.catch((err) => setError(err?.message))
+      ?.finally(() => setLoading(false));
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const setChoice = (key, choice) => {
+    setGroups(prev => prev?.map(group => (group.key === key ? { ...group, choice } : group)));
+  };
+
+  const linkGroup = async (group) => {
+    let brandId = group.choice;
+    if (brandId === NEW_BRAND) {
+      const created = await brandService?.create({ name: group.name });
+      brandId = created?.id;
+      setBrands(prev => [...prev, created]?.sort((a, b) => a?.name?.localeCompare(b?.name)));
+    }
+    await campaignService?.linkBrand(group.campaigns.map(campaign => campaign.id), brandId);
+    setGroups(prev => prev?.filter(g => g.key !== group.key));
+  };
+
+  const handleLink = async (group) => {
+    setSavingKey(group.key);
+    setError('');
+    try {
+      await linkGroup(group);
+      onLinked?.();
+    } catch (err) {
+      setError(err?.message);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  // Rows matched to an existing brand; new brands are confirmed one at a time
+  const handleLinkSuggested = async () => {
+    setSavingKey('all');
+    setError('');
+    try {
+      for (const group of groups.filter(g => g.choice !== NEW_BRAND)) {
+        await linkGroup(group);
+      }
+      onLinked?.();
+    } catch (err) {
+      setError(err?.message);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const matchedCount = groups.filter(g => g.choice !== NEW_BRAND).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-gray-200 p-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-semibold">Link Legacy Brand Names</h2>
+            <p className="text-sm text-gray-600">Campaigns created with a typed brand name, matched to your brands</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-8 text-gray-500">Looking for unlinked campaigns...</div>
+          ) : groups?.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <Link2 className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              <p>Every campaign is linked to a brand</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600">
+                  {groups.length} brand name{groups.length === 1 ? '' : 's'} across{' '}
+                  {groups.reduce((sum, g) => sum + g.campaigns.length, 0)} campaigns
+                </p>
+                <button
+                  onClick={handleLinkSuggested}
+                  disabled={!matchedCount || !!savingKey}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Wand2 className="w-4 h-4" />
+                  {savingKey === 'all' ? 'Linking...' : `Link ${matchedCount} matched`}
+                </button>
+              </div>
+
+              <div className="space-y-3">
+                {groups?.map((group) => (
+                  <div key={group.key} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="flex-1 min-w-0">
+                        <h3 className="font-semibold text-gray-900">“{group.name}”</h3>
+                        <p className="text-xs text-gray-500 truncate">
+                          {group.campaigns.map(campaign => campaign?.name).join(', ')}
+                        </p>
+                      </div>
+                      {group.suggestedId && group.choice === group.suggestedId && (
+                        <span className="px-2 py-0.5 bg-blue-100 text-blue-700 text-xs rounded-full whitespace-nowrap">
+                          {group.confidence}% match
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2 mt-3">
+                      <select
+                        value={group.choice}
+                        onChange={(e) => setChoice(group.key, e?.target?.value)}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        disabled={!!savingKey}
+                      >
+                        <option value={NEW_BRAND}>Create brand “{group.name}”</option>
+                        {brands?.map(brand => (
+                          <option key={brand?.id} value={brand?.id}>{brand?.name}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleLink(group)}
+                        disabled={!!savingKey}
+                        className="flex items-center gap-2 px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        <Link2 className="w-4 h-4" />
+                        {savingKey === group.key ? 'Linking...' : 'Link'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Search, Building2, Users, Phone, Mail, Globe, Edit, Trash2, UserPlus } from 'lucide-react';
+import { Plus, Search, Building2, Users, Phone, Mail, Globe, Edit, Trash2, UserPlus, Link2 } from 'lucide-react';
 import { brandService, contactService } from '../../services/brandService';
+import BrandPortfolioPanel from './components/BrandPortfolioPanel';
+import LegacyBrandBackfillModal from './components/LegacyBrandBackfillModal';
 
 export default function BrandContactManagement() {
   const [brands, setBrands] = useState([]);
@@ -11,6 +13,8 @@ export default function BrandContactManagement() {
   const [searchQuery, setSearchQuery] = useState('');
   const [showAddBrandModal, setShowAddBrandModal] = useState(false);
   const [showAddContactModal, setShowAddContactModal] = useState(false);
+  const [showBackfillModal, setShowBackfillModal] = useState(false);
+  const [portfolioVersion, setPortfolioVersion] = useState(0);
 
   useEffect(() => {
     loadBrands();
@@ -113,12 +117,21 @@ export default function BrandContactManagement() {
               <Building2 className="w-5 h-5" />
               Brands
             </h2>
-            <button
-              onClick={() => setShowAddBrandModal(true)}
-              className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-            >
-              <Plus className="w-4 h-4" />
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowBackfillModal(true)}
+                className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                title="Link legacy brand names on campaigns"
+              >
+                <Link2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setShowAddBrandModal(true)}
+                className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
           </div>
           
           <div className="relative">
@@ -232,8 +245,10 @@ export default function BrandContactManagement() {
               )}
             </div>
 
-            {/* Contacts Section */}
+            {/* Portfolio & Contacts */}
             <div className="flex-1 overflow-y-auto p-6">
+              <BrandPortfolioPanel brandId={selectedBrand?.id} refreshKey={portfolioVersion} />
+
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-xl font-semibold flex items-center gap-2">
                   <Users className="w-5 h-5" />
@@ -341,6 +356,14 @@ export default function BrandContactManagement() {
           </>
         )}
       </div>
+      <LegacyBrandBackfillModal
+        isOpen={showBackfillModal}
+        onClose={() => setShowBackfillModal(false)}
+        onLinked={() => {
+          loadBrands();
+          setPortfolioVersion(version => version + 1);
+        }}
+      />
       {error && (
         <div className="fixed bottom-4 right-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
           {error}
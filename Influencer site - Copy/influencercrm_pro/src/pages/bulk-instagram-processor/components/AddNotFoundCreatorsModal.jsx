@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import { creatorService } from '../../../services/creatorService';
+import { getActiveUsers } from '../../../services/userManagementService';
+
+const AddNotFoundCreatorsModal = ({ isOpen, onClose, handles = [], onCreatorsAdded }) => {
+  const [sheetSource, setSheetSource] = useState('');
+  const [tags, setTags] = useState('');
+  const [ownerId, setOwnerId] = useState('');
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    getActiveUsers().then(({ data }) => {
+      setOwners((data || []).map(user => ({
+        value: user.id,
+        label: user.fullName ? `${user.fullName} (${user.email})` : user.email
+      })));
+    });
+  }, [isOpen]);
+
+  const handleSubmit = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const tagsArray = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+      const result = await creatorService.createStubsFromHandles(handles, {
+        sheetSource,
+        tags: tagsArray,
+        ownerId
+      });
+
+      onCreatorsAdded?.(result);
+
+      if (result.failed.length === 0) {
+        setSheetSource('');
+        setTags('');
+        setOwnerId('');
+        onClose();
+      } else {
+        setError(
+          `${result.created.length} created, ${result.failed.length} not created: ` +
+          result.failed.slice(0, 5).map(item => `${item.query} (${item.reason})`).join(', ') +
+          (result.failed.length > 5 ? '…' : '')
+        );
+      }
+    } catch (err) {
+      console.error('Error adding creators:', err);
+      setError(err?.message || 'Failed to add creators');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-card border border-border rounded-lg shadow-lg-custom w-full max-w-md">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="UserPlus" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Add as New Creators</h2>
+              <p className="text-sm text-muted-foreground">
+                Create {handles.length} creator record{handles.length !== 1 ? 's' : ''} from the selected handles
+              </p>
+            </div>
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onClose}
+            iconName="X"
+            iconSize={16}
+          />
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          <Input
+            label="Sheet Source"
+            value={sheetSource}
+            onChange={(e) => setSheetSource(e.target.value)}
+            placeholder="e.g. UGC CREATORS"
+          />
+
+          <div>
+            <Input
+              label="Tags"
+              value={tags}
+              onChange={(e) => setTags(e.target.value)}
+              placeholder="e.g. fashion, lifestyle"
+            />
+            <p className="text-xs text-muted-foreground mt-1">Separate multiple tags with commas</p>
+          </div>
+
+          <Select
+            label="Owner"
+            options={owners}
+            value={ownerId}
+            onChange={setOwnerId}
+            placeholder="Select a team member"
+            searchable
+            clearable
+          />
+
+          <p className="text-xs text-muted-foreground">
+            The handle is used as the name and username; add the remaining details from the creator profile.
+          </p>
+
+          {error && (
+            <div className="flex items-start gap-2 p-3 bg-destructive/10 border border-destructive/20 rounded-md">
+              <Icon name="AlertCircle" size={16} color="var(--color-destructive)" className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm text-destructive">{error}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 p-6 border-t border-border">
+          <Button
+            variant="outline"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="default"
+            onClick={handleSubmit}
+            loading={loading}
+            disabled={handles.length === 0 || loading}
+          >
+            Create Creators
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AddNotFoundCreatorsModal;
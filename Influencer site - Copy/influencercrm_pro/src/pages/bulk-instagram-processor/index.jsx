@@ -1,8 +1,14 @@
 import React, { useState } from 'react';
-import { Link2, Search, AlertCircle, CheckCircle2, Copy, Download } from 'lucide-react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Link2, Search, AlertCircle, CheckCircle2, Copy, Download, HelpCircle, UserPlus } from 'lucide-react';
 import Sidebar from '../../components/ui/Sidebar';
 import Header from '../../components/ui/Header';
+import AddNotFoundCreatorsModal from './components/AddNotFoundCreatorsModal';
 import { creatorService } from '../../services/creatorService';
+import { instagramKey, isInstagramHandle } from '../../utils/creatorIdentity';
+
+// Only entries that canonicalize to a real handle can become creators
+const isCreatableHandle = (input) => isInstagramHandle(instagramKey(input));
 
 const BulkInstagramProcessor = () => {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
@@ -11,6 +17,8 @@ const BulkInstagramProcessor = () => {
   const [searchResults, setSearchResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [selectedNotFound, setSelectedNotFound] = useState([]);
+  const [showAddModal, setShowAddModal] = useState(false);
 
   const handleSearch = async () => {
     if (!inputText?.trim()) {
@@ -21,6 +29,7 @@ const BulkInstagramProcessor = () => {
     setLoading(true);
     setError('');
     setSearchResults(null);
+    setSelectedNotFound([]);
 
     try {
       // Split by new lines and filter out empty lines
@@ -81,6 +90,35 @@ const BulkInstagramProcessor = () => {
     setInputText('');
     setSearchResults(null);
     setError('');
+    setSelectedNotFound([]);
+  };
+
+  const creatableNotFound = searchResults?.notFound?.filter(isCreatableHandle) || [];
+
+  const toggleNotFound = (input) => {
+    setSelectedNotFound(prev => (
+      prev?.includes(input) ? prev?.filter(item => item !== input) : [...prev, input]
+    ));
+  };
+
+  const toggleAllNotFound = () => {
+    setSelectedNotFound(prev => (prev?.length === creatableNotFound?.length ? [] : creatableNotFound));
+  };
+
+  // Move newly created creators from "Not Found" into the results table
+  const handleCreatorsAdded = ({ created }) => {
+    if (!created?.length) return;
+
+    const createdQueries = new Set(created?.map(item => item?.query));
+    setSearchResults(prev => ({
+      ...prev,
+      found: [
+        ...(prev?.found || []),
+        ...created?.map(({ query, creator }) => ({ ...creator, query, isNew: true }))
+      ],
+      notFound: prev?.notFound?.filter(input => !createdQueries?.has(input))
+    }));
+    setSelectedNotFound(prev => prev?.filter(input => !createdQueries?.has(input)));
   };
 
   return (
@@ -182,14 +220,17 @@ const BulkInstagramProcessor = () => {
           {searchResults && (
             <div className="space-y-6">
               {/* Results Summary */}
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
                   <div className="flex items-center justify-between">
                     <div>
                       <p className="text-sm text-gray-600">Total Searched</p>
                       <p className="text-2xl font-bold text-gray-900 mt-1">
-                        {(searchResults?.found?.length || 0) + (searchResults?.notFound?.length || 0)}
+                        {(searchResults?.found?.length || 0) + (searchResults?.notFound?.length || 0) + (searchResults?.ambiguous?.length || 0) + (searchResults?.duplicates?.length || 0)}
                       </p>
+                      {searchResults?.duplicates?.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">incl. {searchResults?.duplicates?.length} repeated</p>
+                      )}
                     </div>
                     <Search className="w-8 h-8 text-gray-400" />
                   </div>
@@ -207,6 +248,18 @@ const BulkInstagramProcessor = () => {
                   </div>
                 </div>
 
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm text-gray-600">Ambiguous</p>
+                      <p className="text-2xl font-bold text-yellow-600 mt-1">
+                        {searchResults?.ambiguous?.length || 0}
+                      </p>
+                    </div>
+                    <HelpCircle className="w-8 h-8 text-yellow-400" />
+                  </div>
+                </div>
+
                 <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
                   <div className="flex items-center justify-between">
                     <div>
@@ -266,7 +319,17 @@ const BulkInstagramProcessor = () => {
                         {searchResults?.found?.map((creator, index) => (
                           <tr key={creator?.id || index} className="hover:bg-gray-50">
                             <td className="px-4 py-3 text-sm text-gray-900">{creator?.sr_no || '-'}</td>
-                            <td className="px-4 py-3 text-sm text-gray-900">{creator?.name || '-'}</td>
+                            <td className="px-4 py-3 text-sm">
+                              <RouterLink
+                                to={`/creator-profile-details/${creator?.id}`}
+                                className="text-gray-900 hover:text-blue-600 hover:underline"
+                              >
+                                {creator?.name || '-'}
+                              </RouterLink>
+                              {creator?.isNew && (
+                                <span className="ml-2 px-1.5 py-0.5 text-xs bg-green-100 text-green-700 rounded">New</span>
+                              )}
+                            </td>
                             <td className="px-4 py-3 text-sm">
                               <a 
                                 href={creator?.instagram_link} 
@@ -293,20 +356,107 @@ const BulkInstagramProcessor = () => {
                 </div>
               )}
 
+              {/* Ambiguous Inputs */}
+              {searchResults?.ambiguous?.length > 0 && (
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                  <div className="p-4 border-b border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-900">
+                      Ambiguous ({searchResults?.ambiguous?.length})
+                    </h3>
+                    <p className="text-sm text-gray-600 mt-1">These entries match more than one creator record.</p>
+                  </div>
+                  <div className="divide-y divide-gray-200">
+                    {searchResults?.ambiguous?.map(entry => (
+                      <div key={entry?.matchKey} className="p-4">
+                        <p className="text-sm font-medium text-gray-900 mb-2">{entry?.query}</p>
+                        <div className="space-y-1">
+                          {entry?.creators?.map(creator => (
+                            <div key={creator?.id} className="flex items-center gap-3 text-sm">
+                              <RouterLink
+                                to={`/creator-profile-details/${creator?.id}`}
+                                className="text-blue-600 hover:text-blue-800 hover:underline"
+                              >
+                                {creator?.name || creator?.username || creator?.id}
+                              </RouterLink>
+                              <span className="text-gray-500 truncate">{creator?.instagram_link || creator?.username || '-'}</span>
+                              <span className="text-gray-400">{creator?.sheet_source || ''}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Repeated Inputs */}
+              {searchResults?.duplicates?.length > 0 && (
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                  <div className="p-4 border-b border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-900">
+                      Repeated ({searchResults?.duplicates?.length})
+                    </h3>
+                    <p className="text-sm text-gray-600 mt-1">These entries are the same creator as an earlier line and are counted there.</p>
+                  </div>
+                  <div className="p-4 space-y-2">
+                    {searchResults?.duplicates?.map((entry, index) => (
+                      <div key={index} className="flex items-center gap-2 text-sm">
+                        <Copy className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                        <span className="text-gray-700 truncate">{entry?.query}</span>
+                        <span className="text-xs text-gray-400 truncate">same as {entry?.duplicateOf}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Not Found Links */}
               {searchResults?.notFound?.length > 0 && (
                 <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-                  <div className="p-4 border-b border-gray-200">
+                  <div className="p-4 border-b border-gray-200 flex items-center justify-between">
                     <h3 className="text-lg font-semibold text-gray-900">
                       Not Found ({searchResults?.notFound?.length})
                     </h3>
+                    {creatableNotFound?.length > 0 && (
+                      <div className="flex items-center gap-3">
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={selectedNotFound?.length === creatableNotFound?.length}
+                            onChange={toggleAllNotFound}
+                            className="rounded border-gray-300"
+                          />
+                          Select all
+                        </label>
+                        <button
+                          onClick={() => setShowAddModal(true)}
+                          disabled={selectedNotFound?.length === 0}
+                          className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          <UserPlus className="w-4 h-4" />
+                          Add as new creators{selectedNotFound?.length > 0 ? ` (${selectedNotFound?.length})` : ''}
+                        </button>
+                      </div>
+                    )}
                   </div>
                   <div className="p-4">
                     <div className="space-y-2">
                       {searchResults?.notFound?.map((link, index) => (
                         <div key={index} className="flex items-center gap-2 text-sm">
-                          <AlertCircle className="w-4 h-4 text-orange-500 flex-shrink-0" />
+                          {isCreatableHandle(link) ? (
+                            <input
+                              type="checkbox"
+                              checked={selectedNotFound?.includes(link)}
+                              onChange={() => toggleNotFound(link)}
+                              className="rounded border-gray-300 flex-shrink-0"
+                            />
+                          ) : (
+                            <AlertCircle className="w-4 h-4 text-orange-500 flex-shrink-0" />
+                          )}
                           <span className="text-gray-700 truncate">{link}</span>
+                          {!isCreatableHandle(link) && (
+                            <span className="text-xs text-gray-400">not a valid Instagram handle</span>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -317,6 +467,13 @@ const BulkInstagramProcessor = () => {
           )}
         </main>
       </div>
+
+      <AddNotFoundCreatorsModal
+        isOpen={showAddModal}
+        onClose={() => setShowAddModal(false)}
+        handles={selectedNotFound}
+        onCreatorsAdded={handleCreatorsAdded}
+      />
     </div>
   );
 };
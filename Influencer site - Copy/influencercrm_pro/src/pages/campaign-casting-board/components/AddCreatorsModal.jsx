@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Select from '../../../components/ui/Select';
+import { savedFilterService } from '../../../services/savedFilterService';
+import { castingService, SAVED_FILTER_ADD_LIMIT } from '../../../services/castingService';
+import { CASTING_STAGES } from '../../../utils/castingBoard';
+
+const ENTRY_STAGES = CASTING_STAGES.filter(stage => ['longlist', 'shortlisted'].includes(stage.value))
+  .map(stage => ({ value: stage.value, label: stage.label }));
+
+/**
+ * Put the creators matched by a saved filter on the board
+ * @param {string} campaignId
+ * @param {Function} onAdded - ({ added, skipped, matched, total }) => void
+ */
+const AddCreatorsModal = ({ campaignId, onClose, onAdded }) => {
+  const [filters, setFilters] = useState([]);
+  const [filterId, setFilterId] = useState('');
+  const [stage, setStage] = useState('longlist');
+  const [matchCount, setMatchCount] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    savedFilterService.getFilters()
+      .then(setFilters)
+      .catch(err => setError(err?.message || 'Failed to load saved filters'));
+  }, []);
+
+  const selectedFilter = filters.find(filter => filter.id === filterId);
+
+  useEffect(() => {
+    setMatchCount(null);
+    if (!selectedFilter) return;
+    let cancelled = false;
+    savedFilterService.getMatchCount(selectedFilter)
+      .then(count => { if (!cancelled) setMatchCount(count); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [filterId]);
+
+  const handleAdd = async () => {
+    if (!selectedFilter) {
+      setError('Choose a saved filter');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await castingService.addFromSavedFilter(campaignId, selectedFilter, { stage });
+      savedFilterService.markUsed(selectedFilter.id).catch(() => {});
+      onAdded?.(result);
+    } catch (err) {
+      setError(err?.message || 'Failed to add creators');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="UserPlus" size={20} color="var(--color-primary)" />
+            </div>
+            <h2 className="text-lg font-semibold text-foreground">Add Creators</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <Select
+            label="Saved filter"
+            options={filters.map(filter => ({
+              value: filter.id,
+              label: filter.name,
+              description: filter.is_shared ? 'Shared' : undefined
+            }))}
+            value={filterId}
+            onChange={(value) => {
+              setFilterId(value);
+              setError(null);
+            }}
+            placeholder={filters.length ? 'Choose a saved filter...' : 'No saved filters yet'}
+            searchable={filters.length > 8}
+          />
+          {matchCount !== null && (
+            <p className="text-sm text-muted-foreground">
+              {matchCount} creator{matchCount === 1 ? '' : 's'} match
+              {matchCount > SAVED_FILTER_ADD_LIMIT ? `; the ${SAVED_FILTER_ADD_LIMIT} with the most followers will be added` : ''}.
+              Creators already on this campaign are skipped.
+            </p>
+          )}
+          <Select
+            label="Stage"
+            options={ENTRY_STAGES}
+            value={stage}
+            onChange={setStage}
+          />
+          <p className="text-xs text-muted-foreground">
+            To hand-pick creators, select them in the{' '}
+            <Link to="/creator-database-management" className="text-primary hover:underline">creator database</Link>
+            {' '}and choose Add to Casting Board.
+          </p>
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" onClick={handleAdd} loading={saving} disabled={saving || !filterId} fullWidth>
+              Add to Board
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AddCreatorsModal;
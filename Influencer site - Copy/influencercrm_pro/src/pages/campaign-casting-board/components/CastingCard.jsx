@@ -0,0 +1,132 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Icon from '../../../components/AppIcon';
+import { formatFollowersCount } from '../../../utils/followersTiers';
+import { formatRateCard, isContractedStatus } from '../../../utils/castingBoard';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+}).format(amount || 0);
+
+const daysSince = (value) => (value ? Math.floor((Date.now() - new Date(value).getTime()) / 86400000) : null);
+
+/**
+ * One creator on the casting board
+ * @param {Object} entry - campaign_creators row with creator
+ * @param {Array} rates - creator_current_rates rows
+ * @param {Object} past - summarizePastPerformance result
+ * @param {Object} brandDecision - Latest shortlist_decisions row, if the brand decided through a share link
+ * @param {Function} onRemove - (entry) => void
+ * @param {Function} onDragStart - (entry) => void
+ */
+const CastingCard = ({ entry, rates = [], past = null, brandDecision = null, onRemove, onDragStart, onDragEnd, isDragging = false }) => {
+  const creator = entry?.creator || {};
+  const rateLines = formatRateCard(rates);
+  const days = daysSince(entry?.stage_changed_at);
+  const contracted = isContractedStatus(entry?.status);
+
+  return (
+    <div
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', entry?.id);
+        onDragStart?.(entry);
+      }}
+      onDragEnd={onDragEnd}
+      className={`p-3 bg-card border border-border rounded-lg cursor-grab active:cursor-grabbing hover:border-primary/50 transition-colors ${isDragging ? 'opacity-50' : ''}`}
+    >
+      <div className="flex items-start gap-2">
+        {creator.profile_image_url ? (
+          <img src={creator.profile_image_url} alt={creator.name} className="w-9 h-9 rounded-full object-cover flex-shrink-0" />
+        ) : (
+          <div className="w-9 h-9 rounded-full bg-primary/10 flex items-center justify-center flex-shrink-0 text-sm font-semibold text-primary">
+            {(creator.name || '?').charAt(0).toUpperCase()}
+          </div>
+        )}
+        <div className="flex-1 min-w-0">
+          <Link
+            to={`/creator-profile-details/${creator.id}`}
+            className="block text-sm font-medium text-foreground truncate hover:text-primary"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {creator.name || 'Unknown Creator'}
+          </Link>
+          <div className="text-xs text-muted-foreground truncate">
+            {[creator.username && `@${String(creator.username).replace(/^@/, '')}`, [creator.city, creator.state].filter(Boolean).join(', ')].filter(Boolean).join(' • ')}
+          </div>
+        </div>
+        <button
+          onClick={() => onRemove?.(entry)}
+          className="p-1 rounded hover:bg-muted text-muted-foreground hover:text-error"
+          aria-label="Drop creator"
+          title={contracted ? 'Cancel assignment' : 'Drop from casting'}
+        >
+          <Icon name="UserX" size={14} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-1 mt-3 text-center">
+        <div>
+          <div className="text-xs font-semibold text-foreground">{formatFollowersCount(creator.followers_count) || creator.followers_tier || '—'}</div>
+          <div className="text-[10px] text-muted-foreground">Followers</div>
+        </div>
+        <div>
+          <div className="text-xs font-semibold text-foreground">
+            {creator.engagement_rate !== null && creator.engagement_rate !== undefined ? `${Number(creator.engagement_rate).toFixed(1)}%` : '—'}
+          </div>
+          <div className="text-[10px] text-muted-foreground">Engagement</div>
+        </div>
+        <div>
+          <div className="text-xs font-semibold text-foreground">{creator.performance_score ?? '—'}</div>
+          <div className="text-[10px] text-muted-foreground">Score</div>
+        </div>
+      </div>
+
+      <div className="mt-3 text-xs space-y-0.5">
+        {rateLines.length === 0 ? (
+          <div className="text-muted-foreground">No rate card</div>
+        ) : (
+          <>
+            {rateLines.slice(0, 2).map(line => (
+              <div key={line} className="text-foreground truncate">{line}</div>
+            ))}
+            {rateLines.length > 2 && <div className="text-muted-foreground">+{rateLines.length - 2} more rates</div>}
+          </>
+        )}
+      </div>
+
+      <div className="mt-2 pt-2 border-t border-border text-xs text-muted-foreground">
+        {past?.campaigns ? (
+          <span>
+            {past.campaigns} past campaign{past.campaigns === 1 ? '' : 's'}
+            {past.roi !== null && (
+              <span className={past.roi >= 0 ? 'text-success' : 'text-error'}> • ROI {past.roi > 0 ? '+' : ''}{Math.round(past.roi)}%</span>
+            )}
+            {past.engagementsPerCampaign > 0 && ` • ~${new Intl.NumberFormat('en-IN').format(past.engagementsPerCampaign)} eng/campaign`}
+          </span>
+        ) : (
+          <span>No past campaigns with us</span>
+        )}
+      </div>
+
+      {brandDecision && (
+        <div className={`mt-2 p-2 rounded-md text-xs ${brandDecision.decision === 'approved' ? 'bg-success/10' : 'bg-error/10'}`}>
+          <div className="font-medium text-foreground">
+            {brandDecision.decision === 'approved' ? 'Approved' : 'Rejected'} by {brandDecision.decided_by_name || 'brand'}
+          </div>
+          {brandDecision.comment && <div className="text-muted-foreground mt-0.5">“{brandDecision.comment}”</div>}
+        </div>
+      )}
+
+      <div className="mt-1 flex items-center justify-between text-[10px] text-muted-foreground">
+        <span>{contracted && entry?.fixed_amount ? `${formatCurrency(entry.total_value || entry.fixed_amount)} agreed` : ''}</span>
+        {days !== null && <span>{days === 0 ? 'Moved today' : `${days}d in stage`}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default CastingCard;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { calculateFixedAmount } from '../../../utils/rateCard';
+import { castingStageLabel, formatRateCard } from '../../../utils/castingBoard';
+
+/**
+ * Agreed fee for a creator moving from a proposal to contracted or live
+ * @param {Object} entry - campaign_creators row with creator
+ * @param {string} stage - contracted | live
+ * @param {Array} rates - creator_current_rates rows
+ * @param {Function} onConfirm - (fixedAmount) => Promise
+ */
+const ContractTermsModal = ({ entry, stage, rates = [], onClose, onConfirm }) => {
+  const suggested = entry?.fixed_amount ?? calculateFixedAmount(rates, entry?.deliverables || []);
+  const [fee, setFee] = useState(suggested ?? '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleConfirm = async () => {
+    if (fee === '' || Number(fee) < 0) {
+      setError('Enter the agreed fee');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await onConfirm?.(Number(fee));
+    } catch (err) {
+      setError(err?.message || 'Failed to move creator');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-md w-full">
+        <div className="border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="Handshake" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Move to {castingStageLabel(stage)}</h2>
+              <p className="text-sm text-muted-foreground">{entry?.creator?.name}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <Input
+            label="Agreed fee (₹)"
+            type="number"
+            min="0"
+            value={fee}
+            onChange={(e) => {
+              setFee(e?.target?.value);
+              setError(null);
+            }}
+            description="Counts against the campaign's creator fee budget from now on"
+          />
+          {rates.length > 0 && (
+            <div className="text-xs text-muted-foreground space-y-0.5">
+              <div className="font-medium text-foreground">Rate card</div>
+              {formatRateCard(rates).map(line => <div key={line}>{line}</div>)}
+            </div>
+          )}
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" onClick={handleConfirm} loading={saving} disabled={saving} fullWidth>
+              Confirm
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContractTermsModal;
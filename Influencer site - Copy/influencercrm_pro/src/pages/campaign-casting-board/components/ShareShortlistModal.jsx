@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Select from '../../../components/ui/Select';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { contactService } from '../../../services/brandService';
+import { shortlistShareService, shareLinkState, SHARE_LINK_EXPIRY_OPTIONS } from '../../../services/shortlistShareService';
+import { CASTING_STAGES, stageForStatus } from '../../../utils/castingBoard';
+
+const SHARE_STAGES = CASTING_STAGES.filter(stage => ['longlist', 'shortlisted', 'brand_approved'].includes(stage.value));
+
+const STATE_STYLES = {
+  active: 'bg-success/10 text-success',
+  expired: 'bg-muted text-muted-foreground',
+  revoked: 'bg-error/10 text-error'
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * Send the brand a read-only link to approve or reject proposed creators
+ * @param {Object} campaign - campaigns row with brand_id and brand_contact_id
+ * @param {Array} entries - campaign_creators rows on the board
+ * @param {Function} onNotify - (message, type) => void
+ */
+const ShareShortlistModal = ({ campaign, entries = [], onClose, onNotify }) => {
+  const [links, setLinks] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [contactId, setContactId] = useState(campaign?.brand_contact_id || '');
+  const [stages, setStages] = useState(['shortlisted']);
+  const [includeContact, setIncludeContact] = useState(false);
+  const [includePrices, setIncludePrices] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState('7');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    shortlistShareService.getLinks(campaign?.id)
+      .then(setLinks)
+      .catch(err => setError(err?.message || 'Failed to load links'));
+    if (campaign?.brand_id) {
+      contactService.getByBrandId(campaign.brand_id)
+        .then(setContacts)
+        .catch(() => {});
+    }
+  }, [campaign?.id]);
+
+  const toggleStage = (value) => {
+    setStages(prev => (prev.includes(value) ? prev.filter(s => s !== value) : [...prev, value]));
+    setError(null);
+  };
+
+  const sharedCount = entries.filter(entry => stages.includes(stageForStatus(entry?.status))).length;
+
+  const copyLink = async (link) => {
+    const url = shortlistShareService.getShareUrl(link.token);
+    try {
+      await navigator.clipboard.writeText(url);
+      onNotify?.('Link copied', 'success');
+    } catch (err) {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!stages.length) {
+      setError('Choose at least one stage');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      const contact = contacts.find(c => c.id === contactId);
+      const link = await shortlistShareService.createLink({
+        campaignId: campaign?.id,
+        contactId: contact?.id || null,
+        contactName: contact?.fullName || null,
+        stages,
+        includeContact,
+        includePrices,
+        expiresInDays
+      });
+      setLinks(prev => [link, ...prev]);
+      await copyLink(link);
+    } catch (err) {
+      setError(err?.message || 'Failed to create link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    try {
+      const updated = await shortlistShareService.revokeLink(link.id);
+      setLinks(prev => prev.map(l => (l.id === updated.id ? updated : l)));
+    } catch (err) {
+      onNotify?.(err?.message || 'Failed to revoke link', 'error');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="Share2" size={20} color="var(--color-primary)" />
+            </div>
+            <h2 className="text-lg font-semibold text-foreground">Share with Brand</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {contacts.length > 0 && (
+            <Select
+              label="Brand contact"
+              options={contacts.map(contact => ({
+                value: contact.id,
+                label: contact.fullName,
+                description: [contact.designation, contact.email].filter(Boolean).join(' • ')
+              }))}
+              value={contactId}
+              onChange={setContactId}
+              placeholder="Who is reviewing?"
+            />
+          )}
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">Creators from</div>
+            {SHARE_STAGES.map(stage => (
+              <Checkbox
+                key={stage.value}
+                label={`${stage.label} (${entries.filter(entry => stageForStatus(entry?.status) === stage.value).length})`}
+                checked={stages.includes(stage.value)}
+                onChange={() => toggleStage(stage.value)}
+              />
+            ))}
+          </div>
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">Brand sees</div>
+            <Checkbox
+              label="Rate card prices"
+              checked={includePrices}
+              onChange={(e) => setIncludePrices(e?.target?.checked)}
+            />
+            <Checkbox
+              label="Email and WhatsApp"
+              checked={includeContact}
+              onChange={(e) => setIncludeContact(e?.target?.checked)}
+            />
+          </div>
+          <Select
+            label="Link expires after"
+            options={SHARE_LINK_EXPIRY_OPTIONS}
+            value={expiresInDays}
+            onChange={setExpiresInDays}
+          />
+          <p className="text-xs text-muted-foreground">
+            The brand can approve or reject each creator and leave a comment; their decisions move creators to Brand Approved or off the board.
+          </p>
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <Button variant="default" size="sm" iconName="Link" iconPosition="left" onClick={handleCreate} loading={saving} disabled={saving} fullWidth>
+            Create Link for {sharedCount} Creator{sharedCount === 1 ? '' : 's'}
+          </Button>
+
+          {links.length > 0 && (
+            <div className="pt-4 border-t border-border space-y-2">
+              <div className="text-sm font-medium text-foreground">Links</div>
+              {links.map(link => {
+                const state = shareLinkState(link);
+                return (
+                  <div key={link.id} className="flex items-center justify-between gap-2 text-sm">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-foreground truncate">{link.contact_name || 'Brand'}</span>
+                        <span className={`px-2 py-0.5 text-xs rounded-full ${STATE_STYLES[state]}`}>{state}</span>
+                      </div>
+                      <div className="text-xs text-muted-foreground">
+                        {state === 'active' ? `Expires ${formatDate(link.expires_at)}` : `Created ${formatDate(link.created_at)}`}
+                        {` • ${link.view_count} view${link.view_count === 1 ? '' : 's'}`}
+                        {link.include_prices ? ' • prices' : ''}
+                        {link.include_contact ? ' • contact details' : ''}
+                      </div>
+                    </div>
+                    {state === 'active' && (
+                      <>
+                        <button
+                          onClick={() => copyLink(link)}
+                          className="p-1 rounded hover:bg-muted text-muted-foreground hover:text-foreground"
+                          aria-label="Copy link"
+                        >
+                          <Icon name="Copy" size={14} />
+                        </button>
+                        <button
+                          onClick={() => handleRevoke(link)}
+                          className="p-1 rounded hover:bg-muted text-muted-foreground hover:text-error"
+                          aria-label="Revoke link"
+                        >
+                          <Icon name="Ban" size={14} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareShortlistModal;
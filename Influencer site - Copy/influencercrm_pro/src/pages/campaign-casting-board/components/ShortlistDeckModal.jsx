@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { CASTING_STAGES, brandFacingProfile, stageForStatus } from '../../../utils/castingBoard';
+import { buildShortlistDeckPdf, shortlistDeckFileName } from '../../../utils/shortlistDeck';
+import { loadImageAsDataUrl, downloadDocumentBlob } from '../../../utils/paymentDocument';
+
+const DECK_STAGES = CASTING_STAGES.filter(stage => ['longlist', 'shortlisted', 'brand_approved'].includes(stage.value));
+
+/**
+ * Export proposed creators as a PDF deck to send to the brand
+ * @param {Object} campaign - campaigns row with linked_brand
+ * @param {Array} entries - campaign_creators rows with creator
+ * @param {Object} ratesByCreator - { [creatorId]: creator_current_rates rows }
+ * @param {Object} pastByCreator - { [creatorId]: summarizePastPerformance result }
+ */
+const ShortlistDeckModal = ({ campaign, entries = [], ratesByCreator = {}, pastByCreator = {}, onClose }) => {
+  const [stages, setStages] = useState(['shortlisted', 'brand_approved']);
+  const [includePrices, setIncludePrices] = useState(false);
+  const [includeContact, setIncludeContact] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selected = entries.filter(entry => stages.includes(stageForStatus(entry?.status)));
+
+  const toggleStage = (value) => {
+    setStages(prev => (prev.includes(value) ? prev.filter(s => s !== value) : [...prev, value]));
+    setError(null);
+  };
+
+  const handleExport = async () => {
+    if (!selected.length) {
+      setError('No creators in the chosen stages');
+      return;
+    }
+    setExporting(true);
+    setError(null);
+    try {
+      const profiles = await Promise.all(selected.map(async entry => ({
+        ...brandFacingProfile(
+          entry.creator,
+          { rates: ratesByCreator[entry.creator_id] || [], past: pastByCreator[entry.creator_id] },
+          { includeContact, includePrices }
+        ),
+        avatarDataUrl: await loadImageAsDataUrl(entry.creator?.profile_image_url)
+      })));
+      const blob = buildShortlistDeckPdf({
+        campaign: { name: campaign?.name, brandName: campaign?.linked_brand?.name || campaign?.legacy_brand_name },
+        profiles,
+        options: { includePrices, includeContact }
+      });
+      downloadDocumentBlob(blob, shortlistDeckFileName(campaign?.name));
+      onClose?.();
+    } catch (err) {
+      console.error('Error exporting shortlist deck:', err);
+      setError(err?.message || 'Failed to export deck');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-md w-full">
+        <div className="border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="Presentation" size={20} color="var(--color-primary)" />
+            </div>
+            <h2 className="text-lg font-semibold text-foreground">Export Shortlist Deck</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">Creators from</div>
+            {DECK_STAGES.map(stage => (
+              <Checkbox
+                key={stage.value}
+                label={`${stage.label} (${entries.filter(entry => stageForStatus(entry?.status) === stage.value).length})`}
+                checked={stages.includes(stage.value)}
+                onChange={() => toggleStage(stage.value)}
+              />
+            ))}
+          </div>
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">Brand sees</div>
+            <Checkbox
+              label="Rate card prices"
+              checked={includePrices}
+              onChange={(e) => setIncludePrices(e?.target?.checked)}
+            />
+            <Checkbox
+              label="Email and WhatsApp"
+              checked={includeContact}
+              onChange={(e) => setIncludeContact(e?.target?.checked)}
+            />
+            <p className="text-xs text-muted-foreground">
+              Followers, engagement, location, category and track record are always included; fees and notes never are.
+            </p>
+          </div>
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" iconName="Download" iconPosition="left" onClick={handleExport} loading={exporting} disabled={exporting} fullWidth>
+              Export {selected.length} Creator{selected.length === 1 ? '' : 's'}
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={exporting} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortlistDeckModal;
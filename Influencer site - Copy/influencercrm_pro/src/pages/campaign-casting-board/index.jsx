@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/ui/Sidebar';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { useToast } from '../../components/ui/ToastContainer';
+import CastingCard from './components/CastingCard';
+import AddCreatorsModal from './components/AddCreatorsModal';
+import ContractTermsModal from './components/ContractTermsModal';
+import ShortlistDeckModal from './components/ShortlistDeckModal';
+import ShareShortlistModal from './components/ShareShortlistModal';
+import { campaignService } from '../../services/campaignService';
+import { castingService } from '../../services/castingService';
+import { shortlistShareService } from '../../services/shortlistShareService';
+import {
+  CASTING_STAGES,
+  DROPPED_STATUSES,
+  castingStageLabel,
+  isContractedStatus,
+  needsContractTerms,
+  stageForStatus,
+  summarizePastPerformance
+} from '../../utils/castingBoard';
+
+const DROPPED_LABELS = {
+  brand_rejected: 'Rejected by brand',
+  dropped: 'Dropped',
+  cancelled: 'Cancelled'
+};
+
+const CampaignCastingBoard = () => {
+  const { campaignId } = useParams();
+  const navigate = useNavigate();
+  const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
+  const [campaign, setCampaign] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [ratesByCreator, setRatesByCreator] = useState({});
+  const [pastByCreator, setPastByCreator] = useState({});
+  const [decisions, setDecisions] = useState({});
+  const [draggingId, setDraggingId] = useState(null);
+  const [dragOverStage, setDragOverStage] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [showDeckModal, setShowDeckModal] = useState(false);
+  const [showShareModal, setShowShareModal] = useState(false);
+  const [showDropped, setShowDropped] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { toast, addToast } = useToast();
+
+  const loadBoard = async () => {
+    const board = await castingService?.getBoard(campaignId);
+    const creatorIds = [...new Set(board.map(entry => entry?.creator_id))];
+    const [rates, past, latestDecisions] = await Promise.all([
+      castingService?.getRateCards(creatorIds),
+      castingService?.getPastPerformance(creatorIds, campaignId),
+      shortlistShareService?.getLatestDecisions(board.map(entry => entry?.id))
+    ]);
+    setEntries(board);
+    setRatesByCreator(rates);
+    setDecisions(latestDecisions);
+    setPastByCreator(Object.fromEntries(Object.entries(past).map(([creatorId, rows]) => [creatorId, summarizePastPerformance(rows)])));
+  };
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setLoading(true);
+        setCampaign(await campaignService?.getById(campaignId));
+        await loadBoard();
+      } catch (err) {
+        console.error('Error loading casting board:', err);
+        setError(err?.message || 'Failed to load casting board');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [campaignId]);
+
+  const replaceEntry = (updated) => {
+    setEntries(prev => prev.map(entry => (entry?.id === updated?.id ? updated : entry)));
+  };
+
+  const moveEntry = async (entry, stage, terms = {}) => {
+    const updated = await castingService?.moveToStage(entry, stage, terms);
+    replaceEntry(updated);
+    toast.success(`${entry?.creator?.name || 'Creator'} moved to ${castingStageLabel(stage)}`);
+  };
+
+  const handleDropOnStage = async (stage) => {
+    const entry = entries.find(e => e?.id === draggingId);
+    setDraggingId(null);
+    setDragOverStage(null);
+    if (!entry || stageForStatus(entry?.status) === stage) return;
+
+    if (needsContractTerms(entry?.status, stage)) {
+      setPendingMove({ entry, stage });
+      return;
+    }
+    try {
+      await moveEntry(entry, stage);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to move creator');
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    if (isContractedStatus(entry?.status)
+      && !window.confirm(`${entry?.creator?.name || 'This creator'} is contracted. Cancel their assignment?`)) {
+      return;
+    }
+    try {
+      replaceEntry(await castingService?.drop(entry));
+    } catch (err) {
+      toast.error(err?.message || 'Failed to drop creator');
+    }
+  };
+
+  const handleAdded = async ({ added, skipped, matched, total }) => {
+    setShowAddModal(false);
+    toast.success(`${added.length} creator${added.length === 1 ? '' : 's'} added${skipped ? `, ${skipped} already on the board` : ''}`);
+    if (total > matched) toast.info(`${total - matched} more creators match the filter; narrow it to add them`);
+    try {
+      await loadBoard();
+    } catch (err) {
+      toast.error(err?.message || 'Failed to refresh board');
+    }
+  };
+
+  const layout = (content) => (
+    <div className="min-h-screen bg-background">
+      <Sidebar
+        isCollapsed={isSidebarCollapsed}
+        onToggleCollapse={() => setIsSidebarCollapsed(!isSidebarCollapsed)}
+      />
+      <Header isCollapsed={isSidebarCollapsed} />
+      <main className={`main-content ${isSidebarCollapsed ? 'sidebar-collapsed' : ''}`}>
+        {content}
+      </main>
+    </div>
+  );
+
+  if (loading) {
+    return layout(
+      <div className="flex items-center justify-center h-[calc(100vh-4rem)]">
+        <div className="text-center">
+          <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-muted-foreground">Loading casting board...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return layout(
+      <div className="flex items-center justify-center h-[calc(100vh-4rem)]">
+        <div className="text-center max-w-md">
+          <div className="w-16 h-16 bg-destructive/10 rounded-full flex items-center justify-center mx-auto mb-4">
+            <Icon name="AlertTriangle" size={32} color="var(--color-destructive)" />
+          </div>
+          <h2 className="text-xl font-semibold text-foreground mb-2">Failed to Load Casting Board</h2>
+          <p className="text-muted-foreground mb-4">{error}</p>
+          <Button onClick={() => window.location.reload()} variant="default">
+            Try Again
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  const dropped = entries.filter(entry => DROPPED_STATUSES.includes(entry?.status));
+  const brandName = campaign?.linked_brand?.name || campaign?.legacy_brand_name;
+
+  return layout(
+    <div className="p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate('/campaign-management-center')}
+            className="p-2 rounded-md hover:bg-muted transition-colors"
+            aria-label="Back to campaigns"
+          >
+            <Icon name="ArrowLeft" size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-foreground">{campaign?.name} — Casting</h1>
+            <p className="text-sm text-muted-foreground">
+              {[brandName, `${entries.length - dropped.length} creators on the board`].filter(Boolean).join(' • ')}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="sm" iconName="Presentation" iconPosition="left" onClick={() => setShowDeckModal(true)}>
+            Export Deck
+          </Button>
+          <Button variant="outline" size="sm" iconName="Share2" iconPosition="left" onClick={() => setShowShareModal(true)}>
+            Share with Brand
+          </Button>
+          <Button variant="default" size="sm" iconName="UserPlus" iconPosition="left" onClick={() => setShowAddModal(true)}>
+            Add Creators
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex gap-4 overflow-x-auto pb-4 custom-scrollbar">
+        {CASTING_STAGES.map(stage => {
+          const cards = entries.filter(entry => stageForStatus(entry?.status) === stage.value);
+          return (
+            <div
+              key={stage.value}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                if (dragOverStage !== stage.value) setDragOverStage(stage.value);
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDragOverStage(null);
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                handleDropOnStage(stage.value);
+              }}
+              className={`w-72 flex-shrink-0 rounded-lg border bg-muted/40 flex flex-col max-h-[calc(100vh-12rem)] ${dragOverStage === stage.value ? 'border-primary' : 'border-border'}`}
+            >
+              <div className="px-3 py-2 border-b border-border flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <div className={`w-2 h-2 rounded-full ${stage.color}`} />
+                  <span className="text-sm font-semibold text-foreground">{stage.label}</span>
+                </div>
+                <span className="text-xs text-muted-foreground">{cards.length}</span>
+              </div>
+              <div className="p-2 space-y-2 overflow-y-auto custom-scrollbar flex-1 min-h-[8rem]">
+                {cards.map(entry => (
+                  <CastingCard
+                    key={entry.id}
+                    entry={entry}
+                    rates={ratesByCreator[entry.creator_id]}
+                    past={pastByCreator[entry.creator_id]}
+                    brandDecision={decisions[entry.id]}
+                    isDragging={draggingId === entry.id}
+                    onDragStart={(e) => setDraggingId(e?.id)}
+                    onDragEnd={() => {
+                      setDraggingId(null);
+                      setDragOverStage(null);
+                    }}
+                    onRemove={handleRemove}
+                  />
+                ))}
+                {cards.length === 0 && (
+                  <p className="text-xs text-muted-foreground text-center py-6">Drag creators here</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {dropped.length > 0 && (
+        <div className="bg-card border border-border rounded-lg">
+          <button
+            onClick={() => setShowDropped(!showDropped)}
+            className="w-full px-4 py-3 flex items-center justify-between text-sm font-medium text-foreground"
+          >
+            <span>Off the board ({dropped.length})</span>
+            <Icon name={showDropped ? 'ChevronUp' : 'ChevronDown'} size={16} />
+          </button>
+          {showDropped && (
+            <div className="px-4 pb-4 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+              {dropped.map(entry => (
+                <div
+                  key={entry.id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', entry.id);
+                    setDraggingId(entry.id);
+                  }}
+                  onDragEnd={() => {
+                    setDraggingId(null);
+                    setDragOverStage(null);
+                  }}
+                  className="p-2 rounded-md border border-border flex items-center justify-between text-sm cursor-grab"
+                >
+                  <div className="min-w-0">
+                    <div className="truncate text-foreground">{entry.creator?.name || 'Unknown Creator'}</div>
+                    {entry.status === 'brand_rejected' && decisions[entry.id]?.comment && (
+                      <div className="text-xs text-muted-foreground truncate" title={decisions[entry.id].comment}>“{decisions[entry.id].comment}”</div>
+                    )}
+                  </div>
+                  <span className="text-xs text-muted-foreground whitespace-nowrap">{DROPPED_LABELS[entry.status]}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {showAddModal && (
+        <AddCreatorsModal
+          campaignId={campaignId}
+          onClose={() => setShowAddModal(false)}
+          onAdded={handleAdded}
+        />
+      )}
+
+      {pendingMove && (
+        <ContractTermsModal
+          entry={pendingMove.entry}
+          stage={pendingMove.stage}
+          rates={ratesByCreator[pendingMove.entry?.creator_id]}
+          onClose={() => setPendingMove(null)}
+          onConfirm={async (fixedAmount) => {
+            await moveEntry(pendingMove.entry, pendingMove.stage, { fixedAmount });
+            setPendingMove(null);
+          }}
+        />
+      )}
+
+      {showShareModal && (
+        <ShareShortlistModal
+          campaign={campaign}
+          entries={entries}
+          onClose={() => setShowShareModal(false)}
+          onNotify={addToast}
+        />
+      )}
+
+      {showDeckModal && (
+        <ShortlistDeckModal
+          campaign={campaign}
+          entries={entries}
+          ratesByCreator={ratesByCreator}
+          pastByCreator={pastByCreator}
+          onClose={() => setShowDeckModal(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CampaignCastingBoard;
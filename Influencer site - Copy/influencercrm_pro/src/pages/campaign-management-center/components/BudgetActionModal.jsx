@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { campaignBudgetService } from '../../../services/campaignBudgetService';
+import { BUDGET_CATEGORIES, EXPENSE_CATEGORIES } from '../../../utils/campaignBudget';
+
+const MODES = {
+  allocate: { title: 'Budget Allocation', icon: 'PieChart', action: 'Save Allocation' },
+  expense: { title: 'Add Expense', icon: 'Receipt', action: 'Add Expense' }
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+}).format(amount || 0);
+
+// Campaigns without lines start with their whole budget under creator fees
+const initialAllocation = (lines, fallbackBudget) => {
+  const hasLines = lines.some(line => Number(line?.allocated_amount) > 0);
+  return Object.fromEntries(BUDGET_CATEGORIES.map(({ value }) => {
+    const line = lines.find(l => l?.category === value);
+    if (hasLines) return [value, line?.allocated_amount ?? ''];
+    return [value, value === 'creator_fees' && fallbackBudget ? fallbackBudget : ''];
+  }));
+};
+
+/**
+ * Allocate a campaign's budget across categories, or record production,
+ * ads or agency margin spend
+ * @param {string} mode - allocate | expense
+ * @param {string} campaignId
+ * @param {Array} lines - campaign_budget_summary rows
+ * @param {number} fallbackBudget - campaigns.budget, prefilled when nothing is allocated yet
+ * @param {Function} onSaved - () => void
+ */
+const BudgetActionModal = ({ mode, campaignId, lines = [], fallbackBudget, onClose, onSaved }) => {
+  const [allocation, setAllocation] = useState(() => initialAllocation(lines, fallbackBudget));
+  const [expense, setExpense] = useState({ category: 'production', description: '', vendor: '', amount: '', committedOn: today(), paid: false, paidOn: today() });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setAllocation(initialAllocation(lines, fallbackBudget));
+    setError(null);
+  }, [mode, campaignId]);
+
+  if (!mode || !MODES[mode]) return null;
+  const config = MODES[mode];
+
+  const allocatedTotal = Object.values(allocation).reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+  const updateExpense = (field, value) => {
+    setExpense(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const validate = () => {
+    if (mode === 'allocate' && allocatedTotal <= 0) return 'Allocate an amount to at least one category';
+    if (mode === 'allocate' && Object.values(allocation).some(value => Number(value) < 0)) return 'Amounts cannot be negative';
+    if (mode === 'expense' && !expense.description.trim()) return 'Describe the expense';
+    if (mode === 'expense' && !(Number(expense.amount) > 0)) return 'Enter an amount greater than zero';
+    return null;
+  };
+
+  const handleSave = async () => {
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setSaving(true);
+    try {
+      if (mode === 'allocate') await campaignBudgetService.saveAllocations(campaignId, allocation);
+      if (mode === 'expense') {
+        await campaignBudgetService.addExpense(campaignId, {
+          ...expense,
+          paidOn: expense.paid ? expense.paidOn : null
+        });
+      }
+      onSaved?.();
+    } catch (err) {
+      setError(err?.message || 'Failed to save budget');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name={config.icon} size={20} color="var(--color-primary)" />
+            </div>
+            <h2 className="text-lg font-semibold text-foreground">{config.title}</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {mode === 'allocate' && (
+            <>
+              {BUDGET_CATEGORIES.map(({ value, label }) => (
+                <Input
+                  key={value}
+                  label={label}
+                  type="number"
+                  min="0"
+                  step="1000"
+                  value={allocation[value]}
+                  onChange={(e) => {
+                    setAllocation(prev => ({ ...prev, [value]: e?.target?.value }));
+                    setError(null);
+                  }}
+                  description={value === 'creator_fees' ? 'Commitments roll up from creator assignments' : undefined}
+                />
+              ))}
+              <div className="flex items-center justify-between p-3 rounded-lg bg-muted text-sm">
+                <span className="text-muted-foreground">Campaign budget</span>
+                <span className="font-semibold text-foreground">{formatCurrency(allocatedTotal)}</span>
+              </div>
+            </>
+          )}
+
+          {mode === 'expense' && (
+            <>
+              <Select
+                label="Category"
+                options={EXPENSE_CATEGORIES.map(({ value, label }) => ({ value, label }))}
+                value={expense.category}
+                onChange={(value) => updateExpense('category', value)}
+              />
+              <Input
+                label="Description"
+                value={expense.description}
+                onChange={(e) => updateExpense('description', e?.target?.value)}
+                placeholder="e.g. Studio shoot, Meta boost"
+              />
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label="Amount"
+                  type="number"
+                  min="0"
+                  value={expense.amount}
+                  onChange={(e) => updateExpense('amount', e?.target?.value)}
+                />
+                <Input
+                  label="Vendor (optional)"
+                  value={expense.vendor}
+                  onChange={(e) => updateExpense('vendor', e?.target?.value)}
+                />
+              </div>
+              <Input
+                label="Committed on"
+                type="date"
+                value={expense.committedOn}
+                onChange={(e) => updateExpense('committedOn', e?.target?.value)}
+              />
+              <label className="flex items-center gap-2 text-sm text-foreground">
+                <input
+                  type="checkbox"
+                  checked={expense.paid}
+                  onChange={(e) => updateExpense('paid', e?.target?.checked)}
+                />
+                Already paid
+              </label>
+              {expense.paid && (
+                <Input
+                  label="Paid on"
+                  type="date"
+                  value={expense.paidOn}
+                  onChange={(e) => updateExpense('paidOn', e?.target?.value)}
+                />
+              )}
+            </>
+          )}
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" onClick={handleSave} loading={saving} disabled={saving} fullWidth>
+              {config.action}
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BudgetActionModal;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { toast } from 'react-hot-toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import BudgetActionModal from './BudgetActionModal';
+import { campaignBudgetService } from '../../../services/campaignBudgetService';
+import {
+  summarizeBudget,
+  overCommittedLines,
+  buildBurnDown,
+  budgetCategoryLabel
+} from '../../../utils/campaignBudget';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+}).format(amount || 0);
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '—');
+
+const EXPENSE_STATUS_CLASSES = {
+  committed: 'bg-warning/10 text-warning border-warning/20',
+  paid: 'bg-success/10 text-success border-success/20',
+  cancelled: 'bg-muted text-muted-foreground border-border line-through'
+};
+
+/**
+ * Budget lines with commitments and actuals, a burn-down of the remaining
+ * budget, and production, ads and agency margin expenses
+ * @param {Object} campaign - Campaign as shaped by the campaign management center
+ * @param {boolean} canManage - Allocation is limited to managers and admins
+ * @param {Function} onBudgetChange - Called after anything that moves budget or spend
+ */
+const CampaignBudgetTab = ({ campaign, canManage = false, onBudgetChange }) => {
+  const [lines, setLines] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [modal, setModal] = useState(null);
+
+  const load = async () => {
+    if (!campaign?.id) return;
+    setLoading(true);
+    try {
+      const [summary, spend, expenseRows] = await Promise.all([
+        campaignBudgetService.getSummary(campaign.id),
+        campaignBudgetService.getSpendEvents(campaign.id),
+        campaignBudgetService.getExpenses(campaign.id)
+      ]);
+      setLines(summary);
+      setEvents(spend);
+      setExpenses(expenseRows);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to load budget');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [campaign?.id]);
+
+  const handleSaved = async () => {
+    setModal(null);
+    toast.success('Budget updated');
+    await load();
+    onBudgetChange?.();
+  };
+
+  const handleExpense = async (expense, action) => {
+    try {
+      if (action === 'paid') await campaignBudgetService.markExpensePaid(expense.id);
+      if (action === 'cancel') await campaignBudgetService.cancelExpense(expense.id);
+      await load();
+      onBudgetChange?.();
+    } catch (err) {
+      toast.error(err?.message || 'Failed to update expense');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-muted-foreground text-center py-8">Loading budget...</p>;
+  }
+
+  const summary = summarizeBudget(lines, campaign?.totalBudget);
+  const overLines = overCommittedLines(lines);
+  const burnDown = buildBurnDown({
+    budget: summary.budget,
+    startDate: campaign?.startDate,
+    endDate: campaign?.endDate,
+    events
+  });
+
+  return (
+    <div className="space-y-4">
+      {(summary.overCommitted || overLines.length > 0) && (
+        <div className="p-3 rounded-lg border border-error/30 bg-error/10 flex items-start gap-2">
+          <Icon name="AlertTriangle" size={16} color="var(--color-error)" className="mt-0.5 flex-shrink-0" />
+          <div className="text-sm text-error space-y-1">
+            {summary.overCommitted && (
+              <p className="font-medium">
+                Commitments of {formatCurrency(summary.committed)} exceed the budget by {formatCurrency(summary.overCommittedBy)}
+              </p>
+            )}
+            {overLines.map(line => (
+              <p key={line.category} className="text-xs">
+                {budgetCategoryLabel(line.category)}: {formatCurrency(line.committed_amount)} committed against {formatCurrency(line.allocated_amount)} allocated
+              </p>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {[
+          { label: 'Budget', value: summary.budget, className: 'text-foreground' },
+          { label: 'Committed', value: summary.committed, className: summary.overCommitted ? 'text-error' : 'text-foreground' },
+          { label: 'Spent', value: summary.actual, className: 'text-success' },
+          { label: 'Remaining', value: summary.remaining, className: summary.remaining < 0 ? 'text-error' : 'text-primary' }
+        ].map(stat => (
+          <div key={stat.label} className="p-3 rounded-lg bg-muted">
+            <div className="text-xs text-muted-foreground">{stat.label}</div>
+            <div className={`text-lg font-semibold ${stat.className}`}>{formatCurrency(stat.value)}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="p-4 rounded-lg border border-border">
+        <div className="flex items-center justify-between mb-3">
+          <span className="text-sm font-medium text-foreground">Burn-down</span>
+          <span className="text-xs text-muted-foreground">{summary.burnPercent}% spent</span>
+        </div>
+        {burnDown.length > 1 ? (
+          <div className="w-full h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={burnDown}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+                <XAxis dataKey="label" stroke="var(--color-muted-foreground)" style={{ fontSize: '11px' }} minTickGap={16} />
+                <YAxis
+                  stroke="var(--color-muted-foreground)"
+                  style={{ fontSize: '11px' }}
+                  tickFormatter={(value) => `${Math.round(value / 1000)}k`}
+                  width={40}
+                />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: 'var(--color-popover)',
+                    border: '1px solid var(--color-border)',
+                    borderRadius: '6px'
+                  }}
+                  formatter={(value) => formatCurrency(value)}
+                />
+                <Legend wrapperStyle={{ fontSize: '12px' }} />
+                <ReferenceLine y={0} stroke="var(--color-error)" />
+                <Line type="linear" dataKey="ideal" name="Even burn" stroke="var(--color-muted-foreground)" strokeDasharray="4 4" dot={false} />
+                <Line type="stepAfter" dataKey="remaining" name="Remaining" stroke="var(--color-primary)" strokeWidth={2} dot={false} connectNulls={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <p className="text-xs text-muted-foreground py-4 text-center">
+            Set a budget and campaign dates to see the burn-down.
+          </p>
+        )}
+      </div>
+
+      <div className="p-4 rounded-lg border border-border">
+        <div className="flex items-center justify-between mb-3">
+          <span className="text-sm font-medium text-foreground">Budget Lines</span>
+          {canManage && (
+            <Button variant="outline" size="xs" iconName="PieChart" iconPosition="left" onClick={() => setModal('allocate')}>
+              Allocate
+            </Button>
+          )}
+        </div>
+        <div className="space-y-3">
+          {lines.map(line => {
+            const allocated = Number(line.allocated_amount || 0);
+            const committed = Number(line.committed_amount || 0);
+            const actual = Number(line.actual_amount || 0);
+            const scale = Math.max(allocated, committed, 1);
+            return (
+              <div key={line.category}>
+                <div className="flex items-center justify-between text-xs mb-1">
+                  <span className="font-medium text-foreground">{budgetCategoryLabel(line.category)}</span>
+                  <span className={committed > allocated && allocated > 0 ? 'text-error' : 'text-muted-foreground'}>
+                    {formatCurrency(actual)} spent • {formatCurrency(committed)} committed / {formatCurrency(allocated)}
+                  </span>
+                </div>
+                <div className="relative h-2 rounded-full bg-muted overflow-hidden">
+                  <div className="absolute inset-y-0 left-0 bg-primary/30" style={{ width: `${Math.min((committed / scale) * 100, 100)}%` }} />
+                  <div className="absolute inset-y-0 left-0 bg-primary" style={{ width: `${Math.min((actual / scale) * 100, 100)}%` }} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        {summary.allocated === 0 && (
+          <p className="text-xs text-muted-foreground mt-3">
+            No allocation yet; the campaign budget is not broken down by category.
+          </p>
+        )}
+      </div>
+
+      <div className="p-4 rounded-lg border border-border">
+        <div className="flex items-center justify-between mb-3">
+          <span className="text-sm font-medium text-foreground">Other Expenses</span>
+          <Button variant="outline" size="xs" iconName="Plus" iconPosition="left" onClick={() => setModal('expense')}>
+            Add
+          </Button>
+        </div>
+        {expenses.length === 0 ? (
+          <p className="text-xs text-muted-foreground text-center py-2">No production, ads or agency expenses yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {expenses.map(expense => (
+              <div key={expense.id} className="flex items-start justify-between gap-2 text-sm">
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-foreground truncate">{expense.description}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {budgetCategoryLabel(expense.category)}
+                    {expense.vendor ? ` • ${expense.vendor}` : ''}
+                    {' • '}
+                    {expense.status === 'paid' ? `Paid ${formatDate(expense.paid_on)}` : `Committed ${formatDate(expense.committed_on)}`}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="font-semibold text-foreground">{formatCurrency(expense.amount)}</div>
+                  <span className={`px-2 py-0.5 text-xs rounded-full border ${EXPENSE_STATUS_CLASSES[expense.status] || EXPENSE_STATUS_CLASSES.committed}`}>
+                    {expense.status}
+                  </span>
+                </div>
+                {expense.status === 'committed' && (
+                  <div className="flex flex-col gap-1">
+                    <Button variant="ghost" size="xs" onClick={() => handleExpense(expense, 'paid')}>Paid</Button>
+                    <Button variant="ghost" size="xs" onClick={() => handleExpense(expense, 'cancel')}>Cancel</Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {modal && (
+        <BudgetActionModal
+          mode={modal}
+          campaignId={campaign?.id}
+          lines={lines}
+          fallbackBudget={campaign?.totalBudget}
+          onClose={() => setModal(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CampaignBudgetTab;
@@ -37,6 +37,7 @@ const CampaignCard = ({ campaign, isSelected, onClick }) => {
   };
 
   const calculateProgress = () => {
+    if (!campaign?.totalBudget) return 0;
     return Math.round((campaign?.budgetUsed / campaign?.totalBudget) * 100);
   };
 
@@ -66,7 +67,12 @@ const CampaignCard = ({ campaign, isSelected, onClick }) => {
           </h3>
           <div className="flex items-center gap-2 text-sm text-muted-foreground">
             <Icon name="Building2" size={14} />
-            <span className="truncate">{campaign?.brandName}</span>
+            <span className="truncate">{campaign?.brandName || 'No brand'}</span>
+            {!campaign?.brandId && campaign?.brandName && (
+              <span className="text-xs text-warning whitespace-nowrap" title="Free-text brand name; link it from Brands & Contacts">
+                unlinked
+              </span>
+            )}
           </div>
         </div>
         <span className={`px-2 py-1 text-xs font-medium rounded-full border flex items-center gap-1 ${getStatusColor(campaign?.status)}`}>
@@ -90,7 +96,9 @@ const CampaignCard = ({ campaign, isSelected, onClick }) => {
           </div>
           <div>
             <div className="text-xs text-muted-foreground">Deliverables</div>
-            <div className="text-sm font-semibold text-foreground">{campaign?.deliverableCount}</div>
+            <div className="text-sm font-semibold text-foreground">
+              {campaign?.completedDeliverables}/{campaign?.deliverableCount} live
+            </div>
           </div>
         </div>
       </div>
@@ -112,6 +120,28 @@ const CampaignCard = ({ campaign, isSelected, onClick }) => {
           <span>{formatCurrency(campaign?.totalBudget)}</span>
         </div>
       </div>
+      {(campaign?.overdueDeliverables > 0 || campaign?.awaitingApproval > 0 || campaign?.overCommitted) && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {campaign?.overCommitted && (
+            <span className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-error/10 text-error">
+              <Icon name="AlertTriangle" size={12} />
+              Over-committed
+            </span>
+          )}
+          {campaign?.overdueDeliverables > 0 && (
+            <span className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-error/10 text-error">
+              <Icon name="AlertCircle" size={12} />
+              {campaign.overdueDeliverables} overdue
+            </span>
+          )}
+          {campaign?.awaitingApproval > 0 && (
+            <span className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-warning/10 text-warning">
+              <Icon name="ClipboardCheck" size={12} />
+              {campaign.awaitingApproval} awaiting brand
+            </span>
+          )}
+        </div>
+      )}
       <div className="flex items-center justify-between pt-3 border-t border-border">
         <div className="flex items-center gap-1 text-xs text-muted-foreground">
           <Icon name="Calendar" size={12} />
@@ -1,10 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Image from '../../../components/AppImage';
 import Button from '../../../components/ui/Button';
+import DeliverableTracker from '../../../components/deliverables/DeliverableTracker';
+import CampaignBudgetTab from './CampaignBudgetTab';
+import CampaignOutcomesTab from './CampaignOutcomesTab';
+import { deliverableService } from '../../../services/deliverableService';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../../contexts/AuthContext';
 
-const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreator }) => {
+const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreator, onBudgetChange }) => {
+  const { isSuperAdmin, isAdmin, isManager } = useAuth();
   const [activeTab, setActiveTab] = useState('overview');
+  const [deliverables, setDeliverables] = useState([]);
+  const [deliverablesLoading, setDeliverablesLoading] = useState(false);
+
+  useEffect(() => {
+    if (!campaign?.id) return;
+    setDeliverablesLoading(true);
+    deliverableService.getByCampaign(campaign.id)
+      .then(setDeliverables)
+      .catch(err => {
+        setDeliverables([]);
+        toast.error(err?.message || 'Failed to load deliverables');
+      })
+      .finally(() => setDeliverablesLoading(false));
+  }, [campaign?.id]);
+
+  const handleDeliverableSaved = (row) => {
+    setDeliverables(prev => (prev.some(d => d?.id === row?.id)
+      ? prev.map(d => (d?.id === row?.id ? row : d))
+      : [...prev, row]));
+    toast.success('Deliverable updated');
+  };
+
+  const deliverableAssignments = (campaign?.assignedCreators || [])
+    .filter(creator => creator?.campaignCreatorId)
+    .map(creator => ({ value: creator.campaignCreatorId, label: creator?.name }));
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
@@ -36,6 +68,8 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
     { id: 'overview', label: 'Overview', icon: 'LayoutDashboard' },
     { id: 'creators', label: 'Creators', icon: 'Users' },
     { id: 'deliverables', label: 'Deliverables', icon: 'Package' },
+    { id: 'budget', label: 'Budget', icon: 'Wallet' },
+    { id: 'outcomes', label: 'Outcomes', icon: 'Target' },
     { id: 'payments', label: 'Payments', icon: 'CreditCard' }
   ];
 
@@ -58,7 +92,12 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
               <h3 className="text-xl font-bold text-foreground mb-2">{campaign?.name}</h3>
               <div className="flex items-center gap-2 text-sm text-muted-foreground mb-3">
                 <Icon name="Building2" size={16} />
-                <span>{campaign?.brandName}</span>
+                <span>{campaign?.brandName || 'No brand linked'}</span>
+                {campaign?.brandContact?.full_name && (
+                  <span className="flex items-center gap-1">
+                    • <Icon name="UserRound" size={14} /> {campaign.brandContact.full_name}
+                  </span>
+                )}
               </div>
               <span className={`inline-flex items-center gap-1 px-3 py-1 text-sm font-medium rounded-full border ${getStatusColor(campaign?.status)}`}>
                 <Icon name="Circle" size={8} />
@@ -89,21 +128,21 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
             <Button
               variant="default"
               size="sm"
-              iconName="UserPlus"
+              iconName="Kanban"
               iconPosition="left"
               onClick={onAssignCreator}
             >
-              Assign Creator
+              Casting Board
             </Button>
           </div>
 
           <div className="border-b border-border">
-            <div className="flex gap-1">
+            <div className="flex gap-1 overflow-x-auto">
               {tabs?.map((tab) => (
                 <button
                   key={tab?.id}
                   onClick={() => setActiveTab(tab?.id)}
-                  className={`flex items-center gap-2 px-4 py-2 text-sm font-medium transition-colors border-b-2 ${
+                  className={`flex items-center gap-2 px-4 py-2 text-sm font-medium whitespace-nowrap transition-colors border-b-2 ${
                     activeTab === tab?.id
                       ? 'border-primary text-primary' :'border-transparent text-muted-foreground hover:text-foreground'
                   }`}
@@ -138,7 +177,7 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
                 <div className="flex items-center justify-between mb-3">
                   <span className="text-sm font-medium text-foreground">Budget Overview</span>
                   <span className="text-xs text-muted-foreground">
-                    {Math.round((campaign?.budgetUsed / campaign?.totalBudget) * 100)}% utilized
+                    {campaign?.totalBudget ? Math.round((campaign?.budgetUsed / campaign?.totalBudget) * 100) : 0}% spent
                   </span>
                 </div>
                 <div className="space-y-2">
@@ -147,7 +186,11 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
                     <span className="font-semibold text-foreground">{formatCurrency(campaign?.totalBudget)}</span>
                   </div>
                   <div className="flex items-center justify-between text-sm">
-                    <span className="text-muted-foreground">Used</span>
+                    <span className="text-muted-foreground">Committed</span>
+                    <span className={`font-semibold ${campaign?.overCommitted ? 'text-error' : 'text-foreground'}`}>{formatCurrency(campaign?.committedAmount || 0)}</span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-muted-foreground">Spent</span>
                     <span className="font-semibold text-success">{formatCurrency(campaign?.budgetUsed)}</span>
                   </div>
                   <div className="flex items-center justify-between text-sm">
@@ -155,6 +198,15 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
                     <span className="font-semibold text-primary">{formatCurrency(campaign?.totalBudget - campaign?.budgetUsed)}</span>
                   </div>
                 </div>
+                {campaign?.overCommitted && (
+                  <button
+                    onClick={() => setActiveTab('budget')}
+                    className="mt-3 w-full flex items-center gap-2 text-xs text-error text-left"
+                  >
+                    <Icon name="AlertTriangle" size={14} color="var(--color-error)" />
+                    Commitments exceed the budget by {formatCurrency(campaign.committedAmount - campaign.totalBudget)}
+                  </button>
+                )}
               </div>
 
               <div className="p-4 rounded-lg bg-muted">
@@ -167,6 +219,9 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
                   <Icon name="Users" size={24} color="var(--color-primary)" className="mx-auto mb-2" />
                   <div className="text-2xl font-bold text-foreground">{campaign?.creatorCount}</div>
                   <div className="text-xs text-muted-foreground">Creators</div>
+                  {campaign?.castingCount > 0 && (
+                    <div className="text-xs text-muted-foreground mt-1">+{campaign.castingCount} in casting</div>
+                  )}
                 </div>
                 <div className="p-4 rounded-lg bg-muted text-center">
                   <Icon name="Package" size={24} color="var(--color-success)" className="mx-auto mb-2" />
@@ -176,7 +231,7 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
                 <div className="p-4 rounded-lg bg-muted text-center">
                   <Icon name="CheckCircle" size={24} color="var(--color-warning)" className="mx-auto mb-2" />
                   <div className="text-2xl font-bold text-foreground">{campaign?.completedDeliverables}</div>
-                  <div className="text-xs text-muted-foreground">Completed</div>
+                  <div className="text-xs text-muted-foreground">Live</div>
                 </div>
               </div>
             </div>
@@ -184,6 +239,14 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
 
           {activeTab === 'creators' && (
             <div className="space-y-3">
+              {campaign?.castingCount > 0 && (
+                <button
+                  onClick={onAssignCreator}
+                  className="w-full p-3 rounded-lg bg-muted text-left text-xs text-muted-foreground hover:text-foreground transition-colors"
+                >
+                  {campaign.castingCount} more creator{campaign.castingCount === 1 ? ' is' : 's are'} still being cast. Open the casting board to contract them.
+                </button>
+              )}
               {campaign?.assignedCreators?.map((creator) => (
                 <div key={creator?.id} className="p-4 rounded-lg border border-border hover:border-primary/50 transition-colors">
                   <div className="flex items-center gap-3 mb-3">
@@ -222,33 +285,29 @@ const CampaignDetails = ({ campaign, onClose, onEdit, onDuplicate, onAssignCreat
           )}
 
           {activeTab === 'deliverables' && (
-            <div className="space-y-3">
-              {campaign?.deliverables?.map((deliverable) => (
-                <div key={deliverable?.id} className="p-4 rounded-lg border border-border">
-                  <div className="flex items-start justify-between mb-2">
-                    <div className="flex-1">
-                      <div className="text-sm font-semibold text-foreground mb-1">{deliverable?.type}</div>
-                      <div className="text-xs text-muted-foreground">{deliverable?.creatorName}</div>
-                    </div>
-                    <span className={`px-2 py-1 text-xs font-medium rounded-full border ${getStatusColor(deliverable?.status)}`}>
-                      {deliverable?.status}
-                    </span>
-                  </div>
-                  <div className="flex items-center gap-4 text-xs text-muted-foreground">
-                    <div className="flex items-center gap-1">
-                      <Icon name="Calendar" size={12} />
-                      <span>Due: {formatDate(deliverable?.dueDate)}</span>
-                    </div>
-                    {deliverable?.submittedDate && (
-                      <div className="flex items-center gap-1">
-                        <Icon name="CheckCircle" size={12} />
-                        <span>Submitted: {formatDate(deliverable?.submittedDate)}</span>
-                      </div>
-                    )}
-                  </div>
-                </div>
-              ))}
-            </div>
+            <DeliverableTracker
+              deliverables={deliverables}
+              loading={deliverablesLoading}
+              groupBy="creator"
+              assignments={deliverableAssignments}
+              defaultDueDate={campaign?.endDate}
+              onChange={handleDeliverableSaved}
+            />
+          )}
+
+          {activeTab === 'budget' && (
+            <CampaignBudgetTab
+              campaign={campaign}
+              canManage={isSuperAdmin() || isAdmin() || isManager()}
+              onBudgetChange={onBudgetChange}
+            />
+          )}
+
+          {activeTab === 'outcomes' && (
+            <CampaignOutcomesTab
+              campaign={campaign}
+              canDelete={isSuperAdmin() || isAdmin() || isManager()}
+            />
           )}
 
           {activeTab === 'payments' && (
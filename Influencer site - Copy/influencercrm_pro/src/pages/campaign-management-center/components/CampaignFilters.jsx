@@ -5,7 +5,7 @@ import Input from '../../../components/ui/Input';
 import Button from '../../../components/ui/Button';
 import { Checkbox } from '../../../components/ui/Checkbox';
 
-const CampaignFilters = ({ onFilterChange, activeCounts }) => {
+const CampaignFilters = ({ onFilterChange, activeCounts, brands = [] }) => {
   const [filters, setFilters] = useState({
     status: [],
     brand: '',
@@ -31,11 +31,7 @@ const CampaignFilters = ({ onFilterChange, activeCounts }) => {
 
   const brandOptions = [
     { value: '', label: 'All Brands' },
-    { value: 'fashion-nova', label: 'Fashion Nova' },
-    { value: 'myntra', label: 'Myntra' },
-    { value: 'nykaa', label: 'Nykaa' },
-    { value: 'boat', label: 'boAt Lifestyle' },
-    { value: 'mamaearth', label: 'Mamaearth' }
+    ...brands.map(brand => ({ value: brand.id, label: brand.name }))
   ];
 
   const toggleSection = (section) => {
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import OutcomeActionModal from './OutcomeActionModal';
+import { campaignOutcomeService } from '../../../services/campaignOutcomeService';
+import { computeOutcomeMetrics } from '../../../utils/campaignOutcomes';
+
+const formatCurrency = (amount, digits = 0) => (amount === null || amount === undefined
+  ? '—'
+  : new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(amount));
+
+const formatNumber = (value) => new Intl.NumberFormat('en-IN').format(value || 0);
+
+const formatRoi = (roi) => (roi === null ? '—' : `${roi > 0 ? '+' : ''}${Math.round(roi)}%`);
+
+const roiClass = (roi) => {
+  if (roi === null) return 'text-muted-foreground';
+  return roi >= 0 ? 'text-success' : 'text-error';
+};
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short' })
+  : null);
+
+/**
+ * Revenue, conversions and clicks a campaign drove, with ROI, CPE, CPM and
+ * CPA for the campaign and for each creator
+ * @param {Object} campaign - Campaign as shaped by the campaign management center
+ * @param {boolean} canDelete - Removing recorded outcomes is limited to managers and admins
+ */
+const CampaignOutcomesTab = ({ campaign, canDelete = false }) => {
+  const [totals, setTotals] = useState(null);
+  const [creators, setCreators] = useState([]);
+  const [outcomes, setOutcomes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [modal, setModal] = useState(null);
+
+  const assignments = (campaign?.assignedCreators || [])
+    .filter(creator => creator?.campaignCreatorId)
+    .map(creator => ({ campaignCreatorId: creator.campaignCreatorId, name: creator.name, instagram: creator.instagram }));
+
+  const load = async () => {
+    if (!campaign?.id) return;
+    setLoading(true);
+    try {
+      const [performance, creatorRows, outcomeRows] = await Promise.all([
+        campaignOutcomeService.getCampaignPerformance([campaign.id]),
+        campaignOutcomeService.getCreatorPerformance(campaign.id),
+        campaignOutcomeService.getOutcomes(campaign.id)
+      ]);
+      setTotals(performance?.[0] || null);
+      setCreators(creatorRows);
+      setOutcomes(outcomeRows);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to load outcomes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [campaign?.id]);
+
+  const handleSaved = async (count, skipped = 0) => {
+    setModal(null);
+    toast.success(`${count} outcome ${count === 1 ? 'entry' : 'entries'} saved${skipped ? `, ${skipped} already imported skipped` : ''}`);
+    await load();
+  };
+
+  const handleDelete = async (outcome) => {
+    try {
+      await campaignOutcomeService.deleteOutcome(outcome.id);
+      await load();
+    } catch (err) {
+      toast.error(err?.message || 'Failed to delete outcome');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-muted-foreground text-center py-8">Loading outcomes...</p>;
+  }
+
+  const metrics = computeOutcomeMetrics(totals || {});
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-end gap-2">
+        <Button variant="outline" size="xs" iconName="Upload" iconPosition="left" onClick={() => setModal('import')}>
+          Import CSV
+        </Button>
+        <Button variant="default" size="xs" iconName="Plus" iconPosition="left" onClick={() => setModal('record')}>
+          Record
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        {[
+          { label: 'Revenue', value: formatCurrency(metrics.revenue), className: 'text-foreground' },
+          { label: 'ROI', value: formatRoi(metrics.roi), className: roiClass(metrics.roi) },
+          { label: 'Cost per Acquisition', value: formatCurrency(metrics.cpa), className: 'text-foreground' },
+          { label: 'Cost per Engagement', value: formatCurrency(metrics.cpe, 2), className: 'text-foreground' },
+          { label: 'CPM', value: formatCurrency(metrics.cpm), className: 'text-foreground' },
+          { label: 'Cost', value: formatCurrency(metrics.cost), className: 'text-foreground' }
+        ].map(stat => (
+          <div key={stat.label} className="p-3 rounded-lg bg-muted">
+            <div className="text-xs text-muted-foreground">{stat.label}</div>
+            <div className={`text-lg font-semibold ${stat.className}`}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-4 gap-2 text-center">
+        {[
+          { label: 'Leads', value: totals?.leads },
+          { label: 'Installs', value: totals?.installs },
+          { label: 'Redemptions', value: totals?.promo_redemptions },
+          { label: 'Clicks', value: totals?.link_clicks }
+        ].map(stat => (
+          <div key={stat.label} className="p-2 rounded-lg border border-border">
+            <div className="text-sm font-semibold text-foreground">{formatNumber(stat.value)}</div>
+            <div className="text-xs text-muted-foreground">{stat.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="p-4 rounded-lg border border-border">
+        <div className="text-sm font-medium text-foreground mb-3">By Creator</div>
+        {creators.length === 0 ? (
+          <p className="text-xs text-muted-foreground text-center py-2">No creators assigned yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-2 font-medium">Creator</th>
+                  <th className="py-2 px-2 font-medium text-right">Revenue</th>
+                  <th className="py-2 px-2 font-medium text-right">ROI</th>
+                  <th className="py-2 px-2 font-medium text-right">CPE</th>
+                  <th className="py-2 px-2 font-medium text-right">CPM</th>
+                  <th className="py-2 pl-2 font-medium text-right">CPA</th>
+                </tr>
+              </thead>
+              <tbody>
+                {creators.map(row => {
+                  const creatorMetrics = computeOutcomeMetrics(row);
+                  return (
+                    <tr key={row.campaign_creator_id} className="border-b border-border last:border-0">
+                      <td className="py-2 pr-2">
+                        <div className="font-medium text-foreground truncate max-w-[140px]">{row.creator_name || 'Unknown Creator'}</div>
+                        <div className="text-muted-foreground">{formatCurrency(creatorMetrics.cost)} fee</div>
+                      </td>
+                      <td className="py-2 px-2 text-right text-foreground">{formatCurrency(creatorMetrics.revenue)}</td>
+                      <td className={`py-2 px-2 text-right font-medium ${roiClass(creatorMetrics.roi)}`}>{formatRoi(creatorMetrics.roi)}</td>
+                      <td className="py-2 px-2 text-right text-foreground">{formatCurrency(creatorMetrics.cpe, 2)}</td>
+                      <td className="py-2 px-2 text-right text-foreground">{formatCurrency(creatorMetrics.cpm)}</td>
+                      <td className="py-2 pl-2 text-right text-foreground">{formatCurrency(creatorMetrics.cpa)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-muted-foreground mt-3">
+          CPE and CPM use views and engagement captured on live deliverables; CPA counts leads, installs and redemptions.
+        </p>
+      </div>
+
+      <div className="p-4 rounded-lg border border-border">
+        <div className="text-sm font-medium text-foreground mb-3">Recorded Outcomes</div>
+        {outcomes.length === 0 ? (
+          <p className="text-xs text-muted-foreground text-center py-2">Nothing recorded yet. Enter the brand's numbers or import their report.</p>
+        ) : (
+          <div className="space-y-2">
+            {outcomes.map(outcome => {
+              const period = [formatDate(outcome.period_start), formatDate(outcome.period_end)].filter(Boolean).join(' – ');
+              return (
+                <div key={outcome.id} className="flex items-start justify-between gap-2 text-sm">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-foreground truncate">
+                      {outcome.campaign_creator?.creator?.name || 'Whole campaign'}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {formatCurrency(outcome.revenue)} • {outcome.leads} leads • {outcome.installs} installs • {outcome.promo_redemptions} redemptions • {outcome.link_clicks} clicks
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {outcome.source === 'csv' ? `Imported${outcome.source_file ? ` from ${outcome.source_file}` : ''}` : 'Entered manually'}
+                      {period ? ` • ${period}` : ''}
+                      {outcome.promo_code ? ` • ${outcome.promo_code}` : ''}
+                      {outcome.notes ? ` • ${outcome.notes}` : ''}
+                    </div>
+                  </div>
+                  {canDelete && (
+                    <button
+                      onClick={() => handleDelete(outcome)}
+                      className="p-1 rounded hover:bg-muted text-muted-foreground hover:text-error"
+                      aria-label="Delete outcome"
+                    >
+                      <Icon name="Trash2" size={14} />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {modal && (
+        <OutcomeActionModal
+          mode={modal}
+          campaignId={campaign?.id}
+          assignments={assignments}
+          onClose={() => setModal(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CampaignOutcomesTab;
@@ -2,14 +2,16 @@ import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
 import { creatorService } from '../../../services/creatorService';
 import { campaignService } from '../../../services/campaignService';
+import { brandService, contactService } from '../../../services/brandService';
 
 const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
   const [formData, setFormData] = useState({
     name: '',
-    brand: '',
-    campaign_name: '',
+    brand_id: '',
+    brand_contact_id: '',
     creator_id: '',
     start_date: '',
     end_date: '',
@@ -20,15 +22,45 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
   });
   
   const [creators, setCreators] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingCreators, setLoadingCreators] = useState(true);
+  const [loadingBrands, setLoadingBrands] = useState(true);
   const [error, setError] = useState(null);
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     loadCreators();
+    loadBrands();
   }, []);
 
+  useEffect(() => {
+    setContacts([]);
+    if (!formData?.brand_id) return;
+    contactService?.getByBrandId(formData.brand_id)
+      ?.then((data) => {
+        setContacts(data || []);
+        // Default to the brand's primary contact
+        const primary = data?.find(contact => contact?.isPrimary);
+        if (primary) setFormData(prev => ({ ...prev, brand_contact_id: prev?.brand_contact_id || primary.id }));
+      })
+      ?.catch((err) => console.error('Error loading brand contacts:', err));
+  }, [formData?.brand_id]);
+
+  const loadBrands = async () => {
+    try {
+      setLoadingBrands(true);
+      const data = await brandService?.getAll();
+      setBrands((data || [])?.sort((a, b) => a?.name?.localeCompare(b?.name)));
+    } catch (err) {
+      console.error('Error loading brands:', err);
+      setError('Failed to load brands');
+    } finally {
+      setLoadingBrands(false);
+    }
+  };
+
   const loadCreators = async () => {
     try {
       setLoadingCreators(true);
@@ -49,8 +81,8 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
       newErrors.name = 'Campaign name is required';
     }
 
-    if (!formData?.brand?.trim()) {
-      newErrors.brand = 'Brand name is required';
+    if (!formData?.brand_id) {
+      newErrors.brand_id = 'Please select a brand';
     }
 
     if (!formData?.creator_id) {
@@ -88,19 +120,19 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
 
       const campaignData = {
         name: formData?.name,
-        brand: formData?.brand,
-        brand_name: formData?.brand,
-        campaign_name: formData?.name,
-        creator_id: formData?.creator_id,
+        brand_id: formData?.brand_id,
+        brand_contact_id: formData?.brand_contact_id || null,
         start_date: formData?.start_date,
         end_date: formData?.end_date,
-        amount: formData?.amount ? parseFloat(formData?.amount) : null,
-        agreed_amount: formData?.agreed_amount ? parseFloat(formData?.agreed_amount) : null,
-        deliverables: formData?.deliverables || null,
+        budget: formData?.amount ? parseFloat(formData?.amount) : null,
+        description: formData?.deliverables || null,
         payment_status: formData?.payment_status
       };
 
-      await campaignService?.create(campaignData);
+      const campaign = await campaignService?.create(campaignData);
+      await campaignService?.addCreator(campaign?.id, formData?.creator_id, {
+        fixedAmount: formData?.agreed_amount ? parseFloat(formData?.agreed_amount) : null
+      });
       onCampaignCreated?.();
       onClose?.();
     } catch (err) {
@@ -112,7 +144,12 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
   };
 
   const handleChange = (field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+      // A contact belongs to one brand
+      ...(field === 'brand_id' ? { brand_contact_id: '' } : {})
+    }));
     if (errors?.[field]) {
       setErrors(prev => ({ ...prev, [field]: null }));
     }
@@ -158,21 +195,28 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
             )}
           </div>
 
-          {/* Brand Name */}
-          <div>
-            <label className="block text-sm font-medium text-foreground mb-1">
-              Brand Name *
-            </label>
-            <Input
-              value={formData?.brand}
-              onChange={(e) => handleChange('brand', e?.target?.value)}
-              placeholder="Enter brand name"
-              error={errors?.brand}
+          {/* Brand & Contact */}
+          <div className="grid grid-cols-2 gap-4">
+            <Select
+              label="Brand *"
+              options={brands?.map(brand => ({ value: brand?.id, label: brand?.name, description: brand?.industry }))}
+              value={formData?.brand_id}
+              onChange={(value) => handleChange('brand_id', value)}
+              placeholder={loadingBrands ? 'Loading brands...' : 'Select a brand'}
+              error={errors?.brand_id}
+              loading={loadingBrands}
               disabled={loading}
+              searchable
+            />
+            <Select
+              label="Brand Contact"
+              options={contacts?.map(contact => ({ value: contact?.id, label: contact?.fullName, description: contact?.designation }))}
+              value={formData?.brand_contact_id}
+              onChange={(value) => handleChange('brand_contact_id', value)}
+              placeholder={formData?.brand_id ? (contacts?.length ? 'Select a contact' : 'No contacts for this brand') : 'Select a brand first'}
+              disabled={loading || !formData?.brand_id || contacts?.length === 0}
+              clearable
             />
-            {errors?.brand && (
-              <p className="text-red-500 text-xs mt-1">{errors?.brand}</p>
-            )}
           </div>
 
           {/* Creator Selection */}
@@ -245,7 +289,7 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
           <div className="grid grid-cols-2 gap-4">
             <div>
               <label className="block text-sm font-medium text-foreground mb-1">
-                Amount
+                Budget
               </label>
               <Input
                 type="number"
@@ -260,7 +304,7 @@ const CreateCampaignModal = ({ onClose, onCampaignCreated }) => {
 
             <div>
               <label className="block text-sm font-medium text-foreground mb-1">
-                Agreed Amount
+                Agreed Creator Fee
               </label>
               <Input
                 type="number"
@@ -0,0 +1,263 @@
+import React, { useState, useRef } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { campaignOutcomeService } from '../../../services/campaignOutcomeService';
+import { OUTCOME_FIELDS } from '../../../utils/campaignOutcomes';
+
+const MODES = {
+  record: { title: 'Record Outcomes', icon: 'Target', action: 'Save Outcomes' },
+  import: { title: 'Import Outcomes', icon: 'Upload', action: 'Import' }
+};
+
+const CAMPAIGN_LEVEL = 'campaign';
+
+const emptyOutcome = () => ({
+  campaignCreatorId: CAMPAIGN_LEVEL,
+  ...Object.fromEntries(OUTCOME_FIELDS.map(({ value }) => [value, ''])),
+  periodStart: '',
+  periodEnd: '',
+  promoCode: '',
+  notes: ''
+});
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+}).format(amount || 0);
+
+/**
+ * Record a campaign's results by hand, or import the CSV a brand sends
+ * @param {string} mode - record | import
+ * @param {string} campaignId
+ * @param {Array} assignments - [{ campaignCreatorId, name, instagram }]
+ * @param {Function} onSaved - (count, skipped) => void
+ */
+const OutcomeActionModal = ({ mode, campaignId, assignments = [], onClose, onSaved }) => {
+  const fileInputRef = useRef(null);
+  const [outcome, setOutcome] = useState(emptyOutcome);
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [parsing, setParsing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!mode || !MODES[mode]) return null;
+  const config = MODES[mode];
+
+  const levelOptions = [
+    { value: CAMPAIGN_LEVEL, label: 'Whole campaign', description: 'Not attributed to one creator' },
+    ...assignments.map(a => ({ value: a.campaignCreatorId, label: a.name, description: a.instagram }))
+  ];
+
+  const updateOutcome = (field, value) => {
+    setOutcome(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e?.target?.files?.[0];
+    if (e?.target) e.target.value = '';
+    if (!selected) return;
+
+    setFile(selected);
+    setParsed(null);
+    setError(null);
+    setParsing(true);
+    try {
+      const result = await campaignOutcomeService.parseOutcomeFile(selected, assignments);
+      const conflicts = await campaignOutcomeService.findImportConflicts(campaignId, result.rows, selected.name);
+      setParsed({ ...result, ...conflicts });
+    } catch (err) {
+      setError(err?.message || 'Failed to read file');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const validate = () => {
+    if (mode === 'record') {
+      if (!OUTCOME_FIELDS.some(({ value }) => Number(outcome[value]) > 0)) return 'Enter at least one outcome';
+      if (OUTCOME_FIELDS.some(({ value }) => Number(outcome[value]) < 0)) return 'Outcomes cannot be negative';
+      if (outcome.periodStart && outcome.periodEnd && outcome.periodEnd < outcome.periodStart) return 'Period ends before it starts';
+    }
+    if (mode === 'import' && !parsed?.rows?.length) return 'Choose a file with outcomes to import';
+    return null;
+  };
+
+  const handleSave = async () => {
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setSaving(true);
+    try {
+      if (mode === 'record') {
+        await campaignOutcomeService.addOutcome(campaignId, {
+          ...outcome,
+          campaignCreatorId: outcome.campaignCreatorId === CAMPAIGN_LEVEL ? null : outcome.campaignCreatorId
+        });
+        onSaved?.(1);
+      }
+      if (mode === 'import') {
+        const { saved, skipped } = await campaignOutcomeService.importOutcomes(campaignId, parsed.rows, file?.name);
+        onSaved?.(saved.length, skipped);
+      }
+    } catch (err) {
+      setError(err?.message || 'Failed to save outcomes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unmatchedCount = parsed?.rows?.filter(row => row.unmatched).length || 0;
+  const duplicateRows = new Set(parsed?.duplicateRowNumbers || []);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name={config.icon} size={20} color="var(--color-primary)" />
+            </div>
+            <h2 className="text-lg font-semibold text-foreground">{config.title}</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {mode === 'record' && (
+            <>
+              <Select
+                label="Attributed to"
+                options={levelOptions}
+                value={outcome.campaignCreatorId}
+                onChange={(value) => updateOutcome('campaignCreatorId', value)}
+                searchable={assignments.length > 8}
+              />
+              <div className="grid grid-cols-2 gap-4">
+                {OUTCOME_FIELDS.map(({ value, label }) => (
+                  <Input
+                    key={value}
+                    label={label}
+                    type="number"
+                    min="0"
+                    value={outcome[value]}
+                    onChange={(e) => updateOutcome(value, e?.target?.value)}
+                  />
+                ))}
+                <Input
+                  label="Promo code (optional)"
+                  value={outcome.promoCode}
+                  onChange={(e) => updateOutcome('promoCode', e?.target?.value)}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label="Period from"
+                  type="date"
+                  value={outcome.periodStart}
+                  onChange={(e) => updateOutcome('periodStart', e?.target?.value)}
+                />
+                <Input
+                  label="Period to"
+                  type="date"
+                  value={outcome.periodEnd}
+                  onChange={(e) => updateOutcome('periodEnd', e?.target?.value)}
+                />
+              </div>
+              <Input
+                label="Notes (optional)"
+                value={outcome.notes}
+                onChange={(e) => updateOutcome('notes', e?.target?.value)}
+                placeholder="e.g. Brand's week 2 report"
+              />
+            </>
+          )}
+
+          {mode === 'import' && (
+            <>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.xlsx,.xls"
+                className="hidden"
+                onChange={handleFileChange}
+              />
+              <button
+                onClick={() => fileInputRef?.current?.click()}
+                className="w-full p-6 border-2 border-dashed border-border rounded-lg hover:border-primary/50 transition-colors text-center"
+              >
+                <Icon name="FileSpreadsheet" size={28} className="mx-auto mb-2 text-muted-foreground" />
+                <div className="text-sm font-medium text-foreground">{file ? file.name : 'Choose a CSV or Excel file'}</div>
+                <div className="text-xs text-muted-foreground mt-1">
+                  One row per creator or per period, with revenue, leads, installs, redemptions or clicks
+                </div>
+              </button>
+              {parsing && <p className="text-sm text-muted-foreground">Reading file...</p>}
+              {parsed && (
+                <div className="space-y-2">
+                  <div className="text-sm text-foreground">
+                    {parsed.rows.length} rows to import
+                    {unmatchedCount > 0 && (
+                      <span className="text-warning"> • {unmatchedCount} creators not on this campaign will be recorded at campaign level</span>
+                    )}
+                  </div>
+                  {(parsed.previousImport || duplicateRows.size > 0) && (
+                    <div className="p-3 bg-warning/10 border border-warning/20 rounded-lg text-xs text-foreground">
+                      {parsed.previousImport && (
+                        <div>
+                          {file?.name} was already imported on {new Date(parsed.previousImport.importedAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })} ({parsed.previousImport.count} rows).
+                        </div>
+                      )}
+                      {duplicateRows.size > 0 && (
+                        <div>
+                          {duplicateRows.size} row{duplicateRows.size === 1 ? '' : 's'} match outcomes already recorded for the same creator, period and promo code and will be skipped.
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  <div className="max-h-48 overflow-y-auto custom-scrollbar border border-border rounded-lg divide-y divide-border">
+                    {parsed.rows.map(row => (
+                      <div key={row.rowNumber} className="px-3 py-2 text-xs flex items-center justify-between gap-2">
+                        <span className={`truncate ${duplicateRows.has(row.rowNumber) ? 'text-muted-foreground line-through' : row.unmatched ? 'text-warning' : 'text-foreground'}`}>
+                          {row.creatorLabel || 'Whole campaign'}
+                        </span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {formatCurrency(row.revenue)} • {row.leads + row.installs + row.promo_redemptions} conv. • {row.link_clicks} clicks
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button variant="default" size="sm" onClick={handleSave} loading={saving} disabled={saving || parsing} fullWidth>
+              {config.action}
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutcomeActionModal;
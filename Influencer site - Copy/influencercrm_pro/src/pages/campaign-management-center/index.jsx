@@ -10,6 +10,10 @@ import CampaignToolbar from './components/CampaignToolbar';
 import CreateCampaignModal from './components/CreateCampaignModal';
 import { realtimeService } from '../../services/realtimeService';
 import { campaignService } from '../../services/campaignService';
+import { campaignBudgetService } from '../../services/campaignBudgetService';
+import { summarizeDeliverables } from '../../utils/deliverables';
+import { summarizeBudget } from '../../utils/campaignBudget';
+import { isContractedStatus, stageForStatus } from '../../utils/castingBoard';
 import { exportUtils } from '../../utils/exportUtils';
 import { exportLogService } from '../../services/exportLogService';
 import { useAuth } from '../../contexts/AuthContext';
@@ -396,49 +400,67 @@ const CampaignManagementCenter = () => {
     paused: campaigns?.filter((c) => c?.status === 'paused')?.length
   };
 
+  const campaignBrands = Array.from(
+    new Map(campaigns?.filter((c) => c?.brandId)?.map((c) => [c.brandId, { id: c.brandId, name: c.brandName }])).values()
+  )?.sort((a, b) => a?.name?.localeCompare(b?.name));
+
   const loadCampaigns = async () => {
     try {
       setLoading(true);
       setError(null);
       const data = await campaignService?.getAll();
+      // Budget lines are optional; campaigns still load without them
+      const budgetLines = await campaignBudgetService?.getSummaries(data?.map(c => c?.id))?.catch(() => ({}));
       
       // Transform data to match expected format with fallback for missing relationships
       const transformedData = data?.map(campaign => {
         // Check if campaign_creators relationship exists
         const hasCreators = campaign?.campaign_creators && Array.isArray(campaign.campaign_creators);
+        // Creators still being cast are proposals, not assignments
+        const contracted = hasCreators ? campaign.campaign_creators.filter(cc => isContractedStatus(cc?.status)) : [];
+        const tracked = hasCreators ? summarizeDeliverables(campaign?.campaign_creators?.flatMap(cc => cc?.campaign_deliverables || [])) : null;
+        const budget = summarizeBudget(budgetLines?.[campaign?.id] || [], campaign?.budget);
         
         return {
           id: campaign?.id,
           name: campaign?.name || campaign?.campaign_name,
-          brandName: campaign?.brand || campaign?.brand_name,
+          brandId: campaign?.brand_id,
+          brandName: campaign?.linked_brand?.name || campaign?.legacy_brand_name,
+          brandContact: campaign?.brand_contact,
           status: campaign?.status || 'planning',
-          creatorCount: hasCreators ? campaign?.campaign_creators?.length || 0 : 0,
-          deliverableCount: hasCreators ? campaign?.campaign_creators?.reduce((sum, cc) => sum + (cc?.deliverables?.length || 0), 0) : 0,
-          completedDeliverables: hasCreators ? campaign?.campaign_creators?.reduce((sum, cc) => sum + (cc?.completed_deliverables?.length || 0), 0) : 0,
+          creatorCount: contracted.length,
+          castingCount: hasCreators ? campaign.campaign_creators.filter(cc => stageForStatus(cc?.status) && !isContractedStatus(cc?.status)).length : 0,
+          deliverableCount: tracked?.total || 0,
+          completedDeliverables: tracked?.live || 0,
+          overdueDeliverables: tracked?.overdue || 0,
+          awaitingApproval: tracked?.awaitingApproval || 0,
           totalBudget: campaign?.budget || 0,
           budgetUsed: campaign?.actual_spend || 0,
+          committedAmount: budget.committed,
+          overCommitted: budget.overCommitted,
           startDate: campaign?.start_date,
           endDate: campaign?.end_date,
           description: campaign?.description || campaign?.campaign_name,
-          assignedCreators: hasCreators ? campaign?.campaign_creators?.map(cc => ({
+          assignedCreators: contracted.map(cc => ({
             id: cc?.creators?.id,
+            campaignCreatorId: cc?.id,
             name: cc?.creators?.name || 'Unknown Creator',
             instagram: cc?.creators?.instagram_handle || '@unknown',
             avatar: cc?.creators?.profile_image_url,
-            deliverables: cc?.deliverables?.length || 0,
+            deliverables: (cc?.campaign_deliverables || []).filter(d => d?.status !== 'cancelled').length,
             amount: cc?.total_value || cc?.fixed_amount || 0,
             status: cc?.status || 'assigned',
             paymentStatus: cc?.payment_status === 'paid' ? 'Paid' : 'Pending',
             engagementRate: cc?.creators?.engagement_rate || 0,
             followersCount: cc?.creators?.followers_count || 0,
             performanceScore: cc?.creators?.performance_score || 0
-          })) : [],
-          deliverables: hasCreators ? campaign?.campaign_creators?.flatMap(cc => cc?.deliverables || []) : [],
+          })),
           payments: []
         };
       });
 
       setCampaigns(transformedData);
+      setSelectedCampaign(prev => (prev ? transformedData?.find(c => c?.id === prev?.id) || prev : prev));
     } catch (err) {
       console.error('Error loading campaigns:', err);
       setError(err?.message || 'Failed to load campaigns');
@@ -460,8 +482,16 @@ const CampaignManagementCenter = () => {
       () => loadCampaigns()  // Refresh on DELETE
     );
 
+    // Deliverable progress and overdue counts on the cards
+    const deliverableSubscription = realtimeService?.subscribeToDeliverables(
+      () => loadCampaigns(),
+      () => loadCampaigns(),
+      () => loadCampaigns()
+    );
+
     return () => {
       campaignSubscription?.unsubscribe();
+      deliverableSubscription?.unsubscribe();
     };
   }, []);
 
@@ -534,7 +564,7 @@ const CampaignManagementCenter = () => {
 
   const handleAssignCreator = () => {
     if (!selectedCampaign) return;
-    alert(`Assign Creator (Shortcut): ${selectedCampaign?.name}\n\nThis would quickly open the creator assignment modal.`);
+    navigate(`/campaign-casting-board/${selectedCampaign?.id}`);
   };
 
   const applyFiltersAndSort = () => {
@@ -545,7 +575,7 @@ const CampaignManagementCenter = () => {
     }
 
     if (filters?.brand) {
-      filtered = filtered?.filter((c) => c?.brandName?.toLowerCase()?.includes(filters?.brand?.toLowerCase()));
+      filtered = filtered?.filter((c) => c?.brandId === filters?.brand);
     }
 
     if (filters?.dateRange?.start) {
@@ -727,7 +757,7 @@ const CampaignManagementCenter = () => {
       alert('No campaign selected for creator assignment');
       return;
     }
-    alert(`Assign Creator to: ${selectedCampaign?.name}\n\nThis would open a modal to search and select creators from the database.`);
+    navigate(`/campaign-casting-board/${selectedCampaign?.id}`);
   };
 
   // Add loading state
@@ -788,7 +818,8 @@ const CampaignManagementCenter = () => {
           <div className="w-1/5 border-r border-border overflow-hidden">
             <CampaignFilters
               onFilterChange={handleFilterChange}
-              activeCounts={activeCounts} />
+              activeCounts={activeCounts}
+              brands={campaignBrands} />
 
           </div>
 
@@ -835,7 +866,8 @@ const CampaignManagementCenter = () => {
               onClose={() => setSelectedCampaign(null)}
               onEdit={handleEditCampaign}
               onDuplicate={handleDuplicateCampaign}
-              onAssignCreator={handleAssignCreatorToCampaign} /> :
+              onAssignCreator={handleAssignCreatorToCampaign}
+              onBudgetChange={loadCampaigns} /> :
 
 
             <div className="h-full flex flex-col items-center justify-center p-8 text-center">
@@ -3,13 +3,17 @@ import Icon from '../../../components/AppIcon';
 import Input from '../../../components/ui/Input';
 import Button from '../../../components/ui/Button';
 import { creatorService } from '../../../services/creatorService';
+import { validateEmail, validatePhone, validateCreator } from '../../../utils/creatorValidation';
+import { parseCount } from '../../../utils/importTransforms';
+import { tierForCount } from '../../../utils/followersTiers';
+import { useFollowersTiers } from '../../../hooks/useFollowersTiers';
 
 const AddCreatorModal = ({ isOpen, onClose, onCreatorAdded }) => {
   const [formData, setFormData] = useState({
     name: '',
     username: '',
     instagram_link: '',
-    followers_tier: '',
+    followers_count: '',
     state: '',
     city: '',
     whatsapp: '',
@@ -19,30 +23,12 @@ const AddCreatorModal = ({ isOpen, onClose, onCreatorAdded }) => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const { tiers } = useFollowersTiers();
 
   const handleChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
-  const validateEmail = (email) => {
-    if (!email || email.toLowerCase() === 'n/a') return true; // Email is optional or N/A
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  };
-
-  const validatePhone = (phone) => {
-    if (!phone) return true; // Phone is optional
-    // Allow multiple numbers separated by slash or comma
-    const phoneNumbers = phone.split(/[/,]/).map(p => p.trim());
-    const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-    
-    // Check each phone number
-    return phoneNumbers.every(p => {
-      if (!p) return true; // Allow empty segments
-      return phoneRegex.test(p) && p.replace(/\D/g, '').length >= 10;
-    });
-  };
-
   const handleSubmit = async (e) => {
     e?.preventDefault();
     
@@ -50,23 +36,22 @@ const AddCreatorModal = ({ isOpen, onClose, onCreatorAdded }) => {
       setLoading(true);
       setError(null);
 
-      // Validate required fields
-      if (!formData?.name || !formData?.username) {
-        throw new Error('Name and username are required');
-      }
-
-      // Validate email format if provided
-      if (formData?.email && !validateEmail(formData?.email)) {
-        throw new Error('Please enter a valid email address or N/A');
-      }
-
-      // Validate phone format if provided
-      if (formData?.whatsapp && !validatePhone(formData?.whatsapp)) {
-        throw new Error('Please enter valid phone number(s) (minimum 10 digits each)');
+      const creatorData = {
+        ...formData,
+        // Unparseable input is passed through so validateCreator reports it
+        followers_count: String(formData?.followers_count).trim()
+          ? (parseCount(formData?.followers_count) ?? formData?.followers_count)
+          : null
+      };
+
+      // Validate required fields, email/phone formats and follower count
+      const validationErrors = validateCreator(creatorData);
+      if (validationErrors.length > 0) {
+        throw new Error(validationErrors[0]);
       }
 
-      // Create creator
-      const newCreator = await creatorService?.create(formData);
+      // Create creator; followers_tier is derived from followers_count in the database
+      const newCreator = await creatorService?.create(creatorData);
       
       // Notify parent component
       onCreatorAdded?.(newCreator);
@@ -76,7 +61,7 @@ const AddCreatorModal = ({ isOpen, onClose, onCreatorAdded }) => {
         name: '',
         username: '',
         instagram_link: '',
-        followers_tier: '',
+        followers_count: '',
         state: '',
         city: '',
         whatsapp: '',
@@ -154,10 +139,15 @@ const AddCreatorModal = ({ isOpen, onClose, onCreatorAdded }) => {
 
           <div className="grid grid-cols-2 gap-4">
             <Input
-              label="Followers Tier"
-              value={formData?.followers_tier}
-              onChange={(e) => handleChange('followers_tier', e?.target?.value)}
-              placeholder="e.g., 10K, 50K, 100K+"
+              label="Followers"
+              value={formData?.followers_count}
+              onChange={(e) => handleChange('followers_count', e?.target?.value)}
+              placeholder="e.g., 25000, 25k, 1.2M"
+              description={
+                tierForCount(parseCount(formData?.followers_count), tiers)
+                  ? `Tier: ${tierForCount(parseCount(formData?.followers_count), tiers)}`
+                  : undefined
+              }
             />
             <Input
               label="Gender"
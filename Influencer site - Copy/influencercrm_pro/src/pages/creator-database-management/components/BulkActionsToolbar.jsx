@@ -12,7 +12,7 @@ const BulkActionsToolbar = ({ selectedCount, onBulkAction, onClearSelection }) =
     { value: 'categorize', label: 'Change Category', icon: 'Tag' },
     { value: 'addTags', label: 'Add Tags', icon: 'Bookmark' },
     { value: 'changeStatus', label: 'Change Status', icon: 'Activity' },
-    { value: 'assignCampaign', label: 'Assign to Campaign', icon: 'Megaphone' },
+    { value: 'assignCampaign', label: 'Add to Casting Board', icon: 'Megaphone' },
     { value: 'delete', label: 'Delete Selected', icon: 'Trash2' }
   ];
 
@@ -1,32 +1,42 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Select from '../../../components/ui/Select';
-import { creatorService } from '../../../services/creatorService';
+import { castingService } from '../../../services/castingService';
+import { CASTING_STAGES } from '../../../utils/castingBoard';
+
+// Creators picked from the database start as proposals; contracting happens on the board
+const ENTRY_STAGES = CASTING_STAGES.filter(stage => ['longlist', 'shortlisted'].includes(stage.value))
+  .map(stage => ({ value: stage.value, label: stage.label }));
 
 const BulkCampaignModal = ({ isOpen, onClose, selectedCreatorIds, onBulkUpdate }) => {
+  const navigate = useNavigate();
+  const [campaigns, setCampaigns] = useState([]);
   const [selectedCampaign, setSelectedCampaign] = useState('');
+  const [stage, setStage] = useState('longlist');
+  const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Mock campaigns data - in real app, this would come from API
-  const campaigns = [
-    { value: 'campaign_1', label: 'Summer Fashion 2024' },
-    { value: 'campaign_2', label: 'Tech Product Launch' },
-    { value: 'campaign_3', label: 'Food & Beverage Festival' },
-    { value: 'campaign_4', label: 'Travel & Tourism' },
-    { value: 'campaign_5', label: 'Beauty & Skincare' },
-    { value: 'none', label: 'Remove from Campaign' }
-  ];
-
-  // Reset form when modal opens/closes
+  // Reset form and load campaigns still casting when the modal opens
   useEffect(() => {
-    if (isOpen) {
-      setSelectedCampaign('');
-      setError(null);
-    }
+    if (!isOpen) return;
+    setSelectedCampaign('');
+    setStage('longlist');
+    setResult(null);
+    setError(null);
+    castingService.getCastingCampaigns()
+      .then(setCampaigns)
+      .catch(err => setError(err?.message || 'Failed to load campaigns'));
   }, [isOpen]);
 
+  const campaignOptions = campaigns.map(campaign => ({
+    value: campaign.id,
+    label: campaign.name,
+    description: [campaign.linked_brand?.name, campaign.status].filter(Boolean).join(' • ')
+  }));
+
   const handleSubmit = async () => {
     if (!selectedCampaign) {
       setError('Please select a campaign');
@@ -41,20 +51,11 @@ const BulkCampaignModal = ({ isOpen, onClose, selectedCreatorIds, onBulkUpdate }
     try {
       setLoading(true);
       setError(null);
-
-      // Update all selected creators using bulk update for better performance
-      await creatorService.bulkUpdate(selectedCreatorIds, { 
-        campaign_id: selectedCampaign === 'none' ? null : selectedCampaign 
-      });
-
-      // Notify parent component
-      onBulkUpdate?.();
-      
-      // Close modal
-      onClose();
+      const { added, skipped } = await castingService.addCreators(selectedCampaign, selectedCreatorIds, stage);
+      setResult({ added: added.length, skipped });
     } catch (err) {
-      console.error('Error updating campaigns:', err);
-      setError(err?.message || 'Failed to update campaigns');
+      console.error('Error adding creators to casting board:', err);
+      setError(err?.message || 'Failed to add creators');
     } finally {
       setLoading(false);
     }
@@ -72,9 +73,9 @@ const BulkCampaignModal = ({ isOpen, onClose, selectedCreatorIds, onBulkUpdate }
               <Icon name="Megaphone" size={20} color="var(--color-primary)" />
             </div>
             <div>
-              <h2 className="text-lg font-semibold text-foreground">Assign to Campaign</h2>
+              <h2 className="text-lg font-semibold text-foreground">Add to Casting Board</h2>
               <p className="text-sm text-muted-foreground">
-                Assign {selectedCreatorIds?.length} creator{selectedCreatorIds?.length > 1 ? 's' : ''} to campaign
+                Propose {selectedCreatorIds?.length} creator{selectedCreatorIds?.length > 1 ? 's' : ''} for a campaign
               </p>
             </div>
           </div>
@@ -89,17 +90,32 @@ const BulkCampaignModal = ({ isOpen, onClose, selectedCreatorIds, onBulkUpdate }
 
         {/* Content */}
         <div className="p-6 space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-foreground mb-2">
-              Select Campaign
-            </label>
-            <Select
-              options={campaigns}
-              value={selectedCampaign}
-              onChange={setSelectedCampaign}
-              placeholder="Choose a campaign..."
-            />
-          </div>
+          {result ? (
+            <div className="flex items-start gap-2 p-3 bg-success/10 border border-success/20 rounded-md">
+              <Icon name="CheckCircle" size={16} color="var(--color-success)" />
+              <span className="text-sm text-foreground">
+                {result.added} creator{result.added === 1 ? '' : 's'} added
+                {result.skipped > 0 ? `; ${result.skipped} already on this campaign` : ''}
+              </span>
+            </div>
+          ) : (
+            <>
+              <Select
+                label="Campaign"
+                options={campaignOptions}
+                value={selectedCampaign}
+                onChange={setSelectedCampaign}
+                placeholder="Choose a campaign..."
+                searchable={campaignOptions.length > 8}
+              />
+              <Select
+                label="Stage"
+                options={ENTRY_STAGES}
+                value={stage}
+                onChange={setStage}
+              />
+            </>
+          )}
 
           {error && (
             <div className="flex items-center gap-2 p-3 bg-destructive/10 border border-destructive/20 rounded-md">
@@ -111,21 +127,45 @@ const BulkCampaignModal = ({ isOpen, onClose, selectedCreatorIds, onBulkUpdate }
 
         {/* Footer */}
         <div className="flex items-center justify-end gap-3 p-6 border-t border-border">
-          <Button
-            variant="outline"
-            onClick={onClose}
-            disabled={loading}
-          >
-            Cancel
-          </Button>
-          <Button
-            variant="default"
-            onClick={handleSubmit}
-            loading={loading}
-            disabled={!selectedCampaign || loading}
-          >
-            Assign to Campaign
-          </Button>
+          {result ? (
+            <>
+              <Button
+                variant="outline"
+                onClick={() => {
+                  onBulkUpdate?.();
+                  onClose();
+                }}
+              >
+                Done
+              </Button>
+              <Button
+                variant="default"
+                iconName="ArrowRight"
+                iconPosition="right"
+                onClick={() => navigate(`/campaign-casting-board/${selectedCampaign}`)}
+              >
+                Open Board
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button
+                variant="outline"
+                onClick={onClose}
+                disabled={loading}
+              >
+                Cancel
+              </Button>
+              <Button
+                variant="default"
+                onClick={handleSubmit}
+                loading={loading}
+                disabled={!selectedCampaign || loading}
+              >
+                Add to Board
+              </Button>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -5,6 +5,8 @@ import Button from '../../../components/ui/Button';
 import EditCreatorModal from './EditCreatorModal';
 import EditableCell from './EditableCell';
 import { TableSkeleton } from '../../../components/ui/SkeletonLoader';
+import SearchSnippet from '../../../components/ui/SearchSnippet';
+import { formatFollowersCount } from '../../../utils/followersTiers';
 
 const CreatorTable = ({ creators, selectedCreators, onSelectionChange, onSort, sortConfig, userRole, onCreatorUpdated, loading = false }) => {
   const navigate = useNavigate();
@@ -553,6 +555,9 @@ const CreatorTable = ({ creators, selectedCreators, onSelectionChange, onSort, s
                     onUpdate={handleCreatorUpdated}
                     className="text-sm font-medium text-foreground truncate"
                   />
+                  {creator?.search_snippet && (
+                    <SearchSnippet snippet={creator?.search_snippet} className="block truncate mt-0.5" />
+                  )}
                 </td>
                 <td className="px-4 py-3 relative" style={{ position: 'relative' }}>
                   <EditableCell
@@ -565,10 +570,17 @@ const CreatorTable = ({ creators, selectedCreators, onSelectionChange, onSort, s
                   />
                 </td>
                 <td className="px-4 py-3 relative" style={{ position: 'relative' }}>
+                  {/* The tier is derived from followers_count, so the count is what gets edited */}
                   <EditableCell
-                    value={creator?.followers_tier}
+                    value={creator?.followers_count}
+                    displayValue={
+                      creator?.followers_count !== null && creator?.followers_count !== undefined
+                        ? `${creator?.followers_tier} · ${formatFollowersCount(creator?.followers_count)}`
+                        : creator?.followers_tier
+                    }
                     creatorId={creator?.id}
-                    field="followers_tier"
+                    field="followers_count"
+                    type="count"
                     onUpdate={handleCreatorUpdated}
                     className="text-sm text-foreground truncate"
                   />
@@ -5,13 +5,15 @@ import Select from '../../../components/ui/Select';
 import Button from '../../../components/ui/Button';
 import { creatorService } from '../../../services/creatorService';
 import { useFollowersTiers } from '../../../hooks/useFollowersTiers';
+import { parseCount } from '../../../utils/importTransforms';
+import { tierForCount } from '../../../utils/followersTiers';
 
 const EditCreatorModal = ({ isOpen, onClose, creator, onCreatorUpdated }) => {
   const [formData, setFormData] = useState({
     name: '',
     username: '',
     instagram_link: '',
-    followers_tier: '',
+    followers_count: '',
     state: '',
     city: '',
     whatsapp: '',
@@ -22,8 +24,8 @@ const EditCreatorModal = ({ isOpen, onClose, creator, onCreatorUpdated }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   
-  // Fetch followers tiers dynamically
-  const { followersTiers, loading: followersLoading } = useFollowersTiers();
+  // Tier table, to preview the tier the count will be filed under
+  const { tiers } = useFollowersTiers();
   
   // Static gender options
   const genderOptions = [
@@ -40,7 +42,7 @@ const EditCreatorModal = ({ isOpen, onClose, creator, onCreatorUpdated }) => {
         name: creator?.name || '',
         username: creator?.username || '',
         instagram_link: creator?.instagram_link || '',
-        followers_tier: creator?.followers_tier || '',
+        followers_count: creator?.followers_count ?? '',
         state: creator?.state || '',
         city: creator?.city || '',
         whatsapp: creator?.whatsapp || '',
@@ -103,8 +105,16 @@ const EditCreatorModal = ({ isOpen, onClose, creator, onCreatorUpdated }) => {
         throw new Error('Please enter a valid phone number (minimum 10 digits)');
       }
 
-      // Update creator
-      const updatedCreator = await creatorService?.update(creator?.id, formData);
+      const followersCount = parseCount(formData?.followers_count);
+      if (String(formData?.followers_count).trim() && followersCount === null) {
+        throw new Error('Please enter a follower count such as 25000, 25k or 1.2M');
+      }
+
+      // Update creator; followers_tier is derived from followers_count in the database
+      const updatedCreator = await creatorService?.update(creator?.id, {
+        ...formData,
+        followers_count: followersCount
+      });
       
       // Notify parent component
       onCreatorUpdated?.(updatedCreator);
@@ -181,16 +191,17 @@ const EditCreatorModal = ({ isOpen, onClose, creator, onCreatorUpdated }) => {
           />
 
           <div className="grid grid-cols-2 gap-4">
-            <Select
-              label="Followers Tier"
-              value={formData?.followers_tier}
-              onChange={(value) => handleChange('followers_tier', value)}
-              options={followersTiers}
-              placeholder="Select followers tier"
-              disabled={loading || followersLoading}
-              loading={followersLoading}
-              searchable={true}
-              clearable={true}
+            <Input
+              label="Followers"
+              value={formData?.followers_count}
+              onChange={(e) => handleChange('followers_count', e?.target?.value)}
+              placeholder="e.g., 25000, 25k, 1.2M"
+              description={
+                tierForCount(parseCount(formData?.followers_count), tiers)
+                  ? `Tier: ${tierForCount(parseCount(formData?.followers_count), tiers)}`
+                  : `Current tier: ${creator?.followers_tier?.trim() || 'N/A'}`
+              }
+              disabled={loading}
             />
             <Select
               label="Gender"
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Edit2, Check, X, Loader2 } from 'lucide-react';
 import { creatorService } from '../../../services/creatorService';
+import { parseCount } from '../../../utils/importTransforms';
 
 // Text-heavy columns that need expansion
 const TEXT_HEAVY_COLUMNS = ['name', 'city', 'state', 'sheet_source'];
@@ -13,10 +14,13 @@ const EditableCell = ({
   options = [], 
   onUpdate,
   className = '',
-  placeholder = 'N/A'
+  placeholder = 'N/A',
+  displayValue: displayOverride
 }) => {
+  // Counts can legitimately be 0, so only null/undefined mean "empty"
+  const initialValue = type === 'count' ? (value ?? '').toString() : (value || '');
   const [isEditing, setIsEditing] = useState(false);
-  const [editValue, setEditValue] = useState(value || '');
+  const [editValue, setEditValue] = useState(initialValue);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const inputRef = useRef(null);
@@ -26,7 +30,7 @@ const EditableCell = ({
   const shouldExpand = isEditing && isTextHeavy;
 
   useEffect(() => {
-    setEditValue(value || '');
+    setEditValue(initialValue);
   }, [value]);
 
   useEffect(() => {
@@ -77,6 +81,11 @@ const EditableCell = ({
           return 'Please enter a valid URL starting with http:// or https://';
         }
         break;
+      case 'count':
+        if (fieldValue?.trim() && parseCount(fieldValue) === null) {
+          return 'Please enter a number such as 25000, 25k or 1.2M';
+        }
+        break;
       default:
         break;
     }
@@ -91,7 +100,8 @@ const EditableCell = ({
     }
 
     // Check if value actually changed
-    if (editValue === (value || '')) {
+    const newValue = type === 'count' ? parseCount(editValue) : (editValue || null);
+    if (type === 'count' ? newValue === (value ?? null) : editValue === (value || '')) {
       setIsEditing(false);
       resetCellWidth();
       return;
@@ -101,7 +111,7 @@ const EditableCell = ({
     setError(null);
 
     try {
-      const updateData = { [field]: editValue || null };
+      const updateData = { [field]: newValue };
       const updatedCreator = await creatorService.updateCreator(creatorId, updateData);
       
       if (updatedCreator) {
@@ -118,7 +128,7 @@ const EditableCell = ({
   };
 
   const handleCancel = () => {
-    setEditValue(value || '');
+    setEditValue(initialValue);
     setIsEditing(false);
     setError(null);
     resetCellWidth();
@@ -207,6 +217,21 @@ const EditableCell = ({
             />
           );
         
+        case 'count':
+          return (
+            <input
+              ref={inputRef}
+              type="text"
+              inputMode="decimal"
+              value={editValue}
+              onChange={(e) => setEditValue(e.target.value)}
+              onKeyDown={handleKeyDown}
+              className={baseInputClasses}
+              disabled={isLoading}
+              placeholder="Followers, e.g. 25k"
+            />
+          );
+        
         default:
           return (
             <input
@@ -241,10 +266,10 @@ const EditableCell = ({
       );
     }
     
-    const displayValue = value || placeholder;
+    const displayValue = displayOverride || value || placeholder;
     return (
       <span 
-        className={`truncate block ${value === 'N/A' || !value ? 'text-gray-400' : ''}`}
+        className={`truncate block ${displayValue === 'N/A' || displayValue === placeholder ? 'text-gray-400' : ''}`}
         title={displayValue}
       >
         {displayValue}
@@ -29,7 +29,7 @@ const ExportDialog = ({ isOpen, onClose, selectedCount, totalCount, creators = [
 
       // Prepare data for export
       const headers = [
-        'id', 'sr_no', 'name', 'instagram_link', 'followers_tier', 
+        'id', 'sr_no', 'name', 'instagram_link', 'followers_tier', 'followers_count',
         'state', 'city', 'whatsapp', 'email', 'gender', 'username', 'sheet_source'
       ];
       
@@ -179,6 +179,7 @@ const ExportDialog = ({ isOpen, onClose, selectedCount, totalCount, creators = [
               <Icon name="Info" size={20} color="var(--color-primary)" className="flex-shrink-0 mt-0.5" />
               <p className="text-sm text-muted-foreground">
                 The export will include all creator details including Instagram links, followers, location, and contact information.
+                {' '}Sending creators to a brand? Add them to the campaign's casting board and use Share with Brand instead; the link expires and hides contact details and prices unless you include them.
               </p>
             </div>
           </div>
@@ -2,6 +2,8 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import Icon from '../../../components/AppIcon';
 import { Checkbox } from '../../../components/ui/Checkbox';
 import { creatorService } from '../../../services/creatorService';
+import { useFollowersTiers } from '../../../hooks/useFollowersTiers';
+import { parseCount } from '../../../utils/importTransforms';
 
 // Move FilterSection outside and memoize to prevent re-creation on every render
 const FilterSection = React.memo(({ 
@@ -115,6 +117,53 @@ const FilterSection = React.memo(({
   );
 });
 
+// Exact follower count range; accepts "10k", "1.5M", "2 lakh". Applied on
+// blur or Enter so each keystroke does not refetch the table.
+const FollowersRangeFilter = ({ min = '', max = '', onChange }) => {
+  const [draft, setDraft] = useState({ min, max });
+
+  useEffect(() => {
+    setDraft({ min, max });
+  }, [min, max]);
+
+  const commit = (key) => {
+    const value = draft[key].trim();
+    const current = key === 'min' ? min : max;
+    if (value === (current || '')) return;
+    onChange(key === 'min' ? 'followersMin' : 'followersMax', value);
+  };
+
+  const invalid = (value) => value?.trim() && parseCount(value) === null;
+
+  return (
+    <div className="border-b border-border px-4 py-3">
+      <div className="flex items-center gap-2 mb-2">
+        <Icon name="SlidersHorizontal" size={18} color="var(--color-primary)" />
+        <span className="text-sm font-medium text-foreground">Follower Count</span>
+      </div>
+      <div className="flex items-center gap-2">
+        {['min', 'max'].map((key) => (
+          <input
+            key={key}
+            type="text"
+            placeholder={key === 'min' ? 'Min (e.g. 10k)' : 'Max (e.g. 1M)'}
+            value={draft[key]}
+            onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+            onBlur={() => commit(key)}
+            onKeyDown={(e) => { if (e.key === 'Enter') commit(key); }}
+            className={`w-full px-3 py-2 text-sm border rounded-md bg-background focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent ${
+              invalid(draft[key]) ? 'border-destructive' : 'border-border'
+            }`}
+          />
+        ))}
+      </div>
+      {(invalid(draft.min) || invalid(draft.max)) && (
+        <p className="text-xs text-destructive mt-1">Use a number such as 25000, 25k or 1.2M</p>
+      )}
+    </div>
+  );
+};
+
 const FilterSidebar = ({ filters, onFilterChange, creatorCounts }) => {
   const [expandedSections, setExpandedSections] = useState({
     category: false,
@@ -149,8 +198,8 @@ const FilterSidebar = ({ filters, onFilterChange, creatorCounts }) => {
   const [statesLoading, setStatesLoading] = useState(true);
   const [stateSearchQuery, setStateSearchQuery] = useState('');
 
-  const [followers, setFollowers] = useState([]);
-  const [followersLoading, setFollowersLoading] = useState(true);
+  // Follower tiers come from the configurable tier table (System Settings)
+  const { followersTiers: followers, loading: followersLoading } = useFollowersTiers();
   const [followersSearchQuery, setFollowersSearchQuery] = useState('');
 
   useEffect(() => {
@@ -229,96 +278,6 @@ const FilterSidebar = ({ filters, onFilterChange, creatorCounts }) => {
     fetchStates();
   }, []);
 
-  useEffect(() => {
-    const fetchFollowers = async () => {
-      try {
-        console.log('Fetching followers tiers from database...');
-        const uniqueFollowers = await creatorService.getUniqueValues('followers_tier');
-        console.log('Raw followers tiers from database:', uniqueFollowers);
-        console.log('Number of followers tiers found:', uniqueFollowers.length);
-        
-        // Debug: Check distribution
-        try {
-          const distribution = await creatorService.getFollowersTierDistribution();
-          console.log('Complete followers tier distribution:', distribution);
-        } catch (distError) {
-          console.log('Could not fetch distribution:', distError);
-        }
-        
-        // Define the desired order for followers tiers
-        const desiredOrder = [
-          '0-10k',
-          '10K-50K', 
-          '50K-100K',
-          '100K-250K',
-          '250K-500K',
-          '500K-1M',
-          '1M+',
-          'Not Found'
-        ];
-        
-        const followerOptions = uniqueFollowers
-          .filter(follower => follower && follower.trim() !== '')
-          .map(follower => {
-            const normalizedValue = follower.trim();
-            return {
-              value: normalizedValue, // Use normalized value for API filtering
-              label: normalizedValue,
-              count: null
-            };
-          })
-          .filter((option, index, self) => 
-            index === self.findIndex((opt) => opt.value.toLowerCase() === option.value.toLowerCase())
-          ) // Remove duplicates (case-insensitive)
-          .sort((a, b) => {
-            // Custom sorting based on desired order
-            const aIndex = desiredOrder.findIndex(order => 
-              order.toLowerCase() === a.value.toLowerCase()
-            );
-            const bIndex = desiredOrder.findIndex(order => 
-              order.toLowerCase() === b.value.toLowerCase()
-            );
-            
-            // If both items are in desired order, sort by their position
-            if (aIndex !== -1 && bIndex !== -1) {
-              return aIndex - bIndex;
-            }
-            
-            // If only one item is in desired order, prioritize it
-            if (aIndex !== -1) return -1;
-            if (bIndex !== -1) return 1;
-            
-            // If neither is in desired order, sort alphabetically
-            return a.label.localeCompare(b.label);
-          });
-        
-        // Add "Not Found" option for NULL values only if it doesn't already exist
-        const hasNotFound = followerOptions.some(option => 
-          option.value.toLowerCase() === 'not found'
-        );
-        if (!hasNotFound) {
-          followerOptions.push({
-            value: 'Not Found',
-            label: 'Not Found',
-            count: null
-          });
-        }
-        
-        console.log('Processed follower options:', followerOptions);
-        console.log('Number of processed followers:', followerOptions.length);
-        
-        setFollowers(followerOptions);
-      } catch (error) {
-        console.error('Error fetching followers:', error);
-        setFollowers([]);
-      } finally {
-        setFollowersLoading(false);
-      }
-    };
-
-    fetchFollowers();
-  }, []);
-
   const engagementRates = [
     { value: '0-2', label: '0% - 2%', count: 67 },
     { value: '2-5', label: '2% - 5%', count: 189 },
@@ -370,7 +329,7 @@ const FilterSidebar = ({ filters, onFilterChange, creatorCounts }) => {
 
   const activeFilterCount = Object.values(filters)?.reduce((acc, curr) => {
     return acc + (Array.isArray(curr) ? curr?.length : 0);
-  }, 0);
+  }, 0) + (filters?.followersMin || filters?.followersMax ? 1 : 0);
 
   const toggleSection = (section) => {
     setExpandedSections(prev => ({
@@ -543,6 +502,11 @@ const FilterSidebar = ({ filters, onFilterChange, creatorCounts }) => {
           handleCheckboxChange={handleCheckboxChange}
           handleSelectAll={handleSelectAll}
         />
+        <FollowersRangeFilter
+          min={filters?.followersMin}
+          max={filters?.followersMax}
+          onChange={onFilterChange}
+        />
         <FilterSection
           title="Engagement Rate"
           items={engagementRates}
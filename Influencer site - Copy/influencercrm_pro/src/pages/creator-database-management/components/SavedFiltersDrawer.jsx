@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import SavedFiltersPanel from './SavedFiltersPanel';
 
-const SavedFiltersDrawer = ({ onApplyFilter, currentFilters }) => {
+const SavedFiltersDrawer = ({ onApplyFilter, currentFilters, currentSearchQuery, activeFilterId }) => {
   const [isOpen, setIsOpen] = useState(() => {
     // Restore state from localStorage
     const saved = localStorage.getItem('saved_filters_drawer_open');
@@ -103,7 +103,12 @@ const SavedFiltersDrawer = ({ onApplyFilter, currentFilters }) => {
 
           {/* Drawer Content */}
           <div className="flex-1 overflow-y-auto custom-scrollbar p-4">
-            <SavedFiltersPanel onApplyFilter={onApplyFilter} currentFilters={currentFilters} />
+            <SavedFiltersPanel
+              onApplyFilter={onApplyFilter}
+              currentFilters={currentFilters}
+              currentSearchQuery={currentSearchQuery}
+              activeFilterId={activeFilterId}
+            />
           </div>
         </div>
       </div>
@@ -1,55 +1,115 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { useAuth } from '../../../contexts/AuthContext';
+import { useToast } from '../../../components/ui/ToastContainer';
+import { savedFilterService } from '../../../services/savedFilterService';
+import { describeCreatorFilters } from '../../../utils/creatorFilters';
 
-const SavedFiltersPanel = ({ onApplyFilter, currentFilters }) => {
+const SavedFiltersPanel = ({ onApplyFilter, currentFilters, currentSearchQuery = '', activeFilterId = null }) => {
+  const { user } = useAuth();
+  const { addToast } = useToast();
   const [showSaveDialog, setShowSaveDialog] = useState(false);
   const [filterName, setFilterName] = useState('');
-  const [savedFilters, setSavedFilters] = useState([
-    {
-      id: 1,
-      name: 'Top Fashion Influencers',
-      filters: { category: ['fashion'], followers: ['100k-500k'], engagement: ['5-10'] },
-      count: 45,
-      lastUsed: '2025-12-15'
-    },
-    {
-      id: 2,
-      name: 'Mumbai Beauty Creators',
-      filters: { category: ['beauty'], city: ['mumbai'], status: ['active'] },
-      count: 32,
-      lastUsed: '2025-12-14'
-    },
-    {
-      id: 3,
-      name: 'High Engagement All Cities',
-      filters: { engagement: ['10+'], status: ['active'] },
-      count: 56,
-      lastUsed: '2025-12-12'
+  const [shareWithTeam, setShareWithTeam] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // id → live match count; undefined while loading, null when it failed
+  const [counts, setCounts] = useState({});
+
+  const loadCount = useCallback(async (savedFilter) => {
+    try {
+      const count = await savedFilterService.getMatchCount(savedFilter);
+      setCounts(prev => ({ ...prev, [savedFilter.id]: count }));
+    } catch (error) {
+      setCounts(prev => ({ ...prev, [savedFilter.id]: null }));
+    }
+  }, []);
+
+  const loadFilters = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await savedFilterService.getFilters();
+      setSavedFilters(data);
+      setCounts({});
+      data.forEach(loadCount);
+    } catch (error) {
+      addToast('Failed to load saved filters', 'error');
+    } finally {
+      setLoading(false);
     }
-  ]);
+  }, [addToast, loadCount]);
+
+  useEffect(() => {
+    loadFilters();
+  }, [loadFilters]);
 
-  const handleSaveFilter = () => {
-    if (filterName?.trim()) {
-      const newFilter = {
-        id: Date.now(),
+  const handleSaveFilter = async () => {
+    if (!filterName?.trim()) return;
+
+    try {
+      setSaving(true);
+      const created = await savedFilterService.createFilter({
         name: filterName,
         filters: currentFilters,
-        count: 0,
-        lastUsed: new Date()?.toISOString()?.split('T')?.[0]
-      };
-      setSavedFilters([newFilter, ...savedFilters]);
+        searchQuery: currentSearchQuery,
+        isShared: shareWithTeam
+      });
+      setSavedFilters(prev => [created, ...prev]);
+      loadCount(created);
       setFilterName('');
+      setShareWithTeam(false);
       setShowSaveDialog(false);
+    } catch (error) {
+      addToast(error?.message || 'Failed to save filter', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApply = (filter) => {
+    setSavedFilters(prev => prev.map(f => (
+      f.id === filter.id ? { ...f, last_used_at: new Date().toISOString() } : f
+    )));
+    onApplyFilter(filter);
+  };
+
+  const handleDeleteFilter = async (filter) => {
+    if (!window.confirm(`Delete saved filter "${filter.name}"?`)) return;
+
+    try {
+      await savedFilterService.deleteFilter(filter.id);
+      setSavedFilters(prev => prev.filter(f => f?.id !== filter.id));
+    } catch (error) {
+      addToast(error?.message || 'Failed to delete filter', 'error');
+    }
+  };
+
+  const handleToggleShared = async (filter) => {
+    try {
+      const updated = await savedFilterService.updateFilter(filter.id, { is_shared: !filter.is_shared });
+      setSavedFilters(prev => prev.map(f => (f.id === filter.id ? updated : f)));
+      addToast(updated.is_shared ? 'Filter shared with the team' : 'Filter is now private', 'success');
+    } catch (error) {
+      addToast(error?.message || 'Failed to update filter', 'error');
     }
   };
 
-  const handleDeleteFilter = (filterId) => {
-    setSavedFilters(savedFilters?.filter(f => f?.id !== filterId));
+  const handleCopyLink = async (filter) => {
+    const url = savedFilterService.getShareUrl(filter.id);
+    try {
+      await navigator.clipboard.writeText(url);
+      addToast(filter.is_shared ? 'Link copied' : 'Link copied; share the filter so teammates can open it', 'success');
+    } catch (error) {
+      window.prompt('Copy this link:', url);
+    }
   };
 
   const formatDate = (dateString) => {
+    if (!dateString) return 'never';
     const date = new Date(dateString);
     const day = date?.getDate()?.toString()?.padStart(2, '0');
     const month = (date?.getMonth() + 1)?.toString()?.padStart(2, '0');
@@ -57,6 +117,13 @@ const SavedFiltersPanel = ({ onApplyFilter, currentFilters }) => {
     return `${day}/${month}/${year}`;
   };
 
+  const formatCount = (filter) => {
+    const count = counts[filter.id];
+    if (count === undefined) return '… creators';
+    if (count === null) return '— creators';
+    return `${count.toLocaleString()} creator${count === 1 ? '' : 's'}`;
+  };
+
   return (
     <div className="bg-card border border-border rounded-lg p-4">
       <div className="flex items-center justify-between mb-4">
@@ -85,11 +152,21 @@ const SavedFiltersPanel = ({ onApplyFilter, currentFilters }) => {
             onChange={(e) => setFilterName(e?.target?.value)}
             className="mb-3"
           />
+          <Checkbox
+            label="Share with team"
+            description="Teammates can see and apply this filter"
+            checked={shareWithTeam}
+            onChange={(e) => setShareWithTeam(e?.target?.checked)}
+            size="sm"
+            className="mb-3"
+          />
           <div className="flex items-center gap-2">
             <Button
               variant="default"
               size="sm"
               onClick={handleSaveFilter}
+              loading={saving}
+              disabled={!filterName?.trim() || saving}
               iconName="Save"
               iconPosition="left"
               iconSize={14}
@@ -107,56 +184,99 @@ const SavedFiltersPanel = ({ onApplyFilter, currentFilters }) => {
         </div>
       )}
       <div className="space-y-2">
-        {savedFilters?.length === 0 ? (
+        {loading ? (
+          <div className="flex items-center justify-center py-6">
+            <div className="w-4 h-4 border-2 border-primary border-t-transparent rounded-full animate-spin mr-2"></div>
+            <span className="text-xs text-muted-foreground">Loading...</span>
+          </div>
+        ) : savedFilters?.length === 0 ? (
           <div className="text-center py-6">
             <Icon name="Inbox" size={32} color="var(--color-muted-foreground)" className="mx-auto mb-2" />
             <p className="text-sm text-muted-foreground">No saved filters yet</p>
           </div>
         ) : (
-          savedFilters?.map((filter) => (
-            <div
-              key={filter?.id}
-              className="p-3 bg-muted/30 rounded-md border border-border hover:border-primary transition-colors duration-200 cursor-pointer"
-              onClick={() => onApplyFilter(filter?.filters)}
-            >
-              <div className="flex items-start justify-between mb-2">
-                <div className="flex-1 min-w-0">
-                  <div className="text-sm font-medium text-foreground truncate">
-                    {filter?.name}
+          savedFilters?.map((filter) => {
+            const isOwner = filter?.created_by === user?.id;
+            const chips = describeCreatorFilters(filter?.filters);
+
+            return (
+              <div
+                key={filter?.id}
+                className={`p-3 bg-muted/30 rounded-md border hover:border-primary transition-colors duration-200 cursor-pointer ${
+                  filter?.id === activeFilterId ? 'border-primary' : 'border-border'
+                }`}
+                onClick={() => handleApply(filter)}
+              >
+                <div className="flex items-start justify-between mb-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-foreground truncate">
+                        {filter?.name}
+                      </span>
+                      {filter?.is_shared && (
+                        <Icon name="Users" size={12} color="var(--color-muted-foreground)" className="flex-shrink-0" />
+                      )}
+                    </div>
+                    <div className="text-xs text-muted-foreground mt-1">
+                      {formatCount(filter)} • Last used {formatDate(filter?.last_used_at)}
+                    </div>
+                    {!isOwner && filter?.created_by_email && (
+                      <div className="text-xs text-muted-foreground truncate">Shared by {filter?.created_by_email}</div>
+                    )}
                   </div>
-                  <div className="text-xs text-muted-foreground mt-1">
-                    {filter?.count} creators • Last used {formatDate(filter?.lastUsed)}
+                  <div className="flex items-center flex-shrink-0" onClick={(e) => e?.stopPropagation()}>
+                    <button
+                      onClick={() => handleCopyLink(filter)}
+                      className="p-1 hover:bg-muted rounded transition-colors duration-200"
+                      aria-label="Copy link to filter"
+                      title="Copy link"
+                    >
+                      <Icon name="Link" size={14} color="var(--color-muted-foreground)" />
+                    </button>
+                    {isOwner && (
+                      <>
+                        <button
+                          onClick={() => handleToggleShared(filter)}
+                          className="p-1 hover:bg-muted rounded transition-colors duration-200"
+                          aria-label={filter?.is_shared ? 'Make filter private' : 'Share filter with team'}
+                          title={filter?.is_shared ? 'Make private' : 'Share with team'}
+                        >
+                          <Icon name={filter?.is_shared ? 'Lock' : 'Share2'} size={14} color="var(--color-muted-foreground)" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteFilter(filter)}
+                          className="p-1 hover:bg-error/10 rounded transition-colors duration-200"
+                          aria-label="Delete filter"
+                        >
+                          <Icon name="Trash2" size={14} color="var(--color-error)" />
+                        </button>
+                      </>
+                    )}
                   </div>
                 </div>
-                <button
-                  onClick={(e) => {
-                    e?.stopPropagation();
-                    handleDeleteFilter(filter?.id);
-                  }}
-                  className="flex-shrink-0 p-1 hover:bg-error/10 rounded transition-colors duration-200"
-                  aria-label="Delete filter"
-                >
-                  <Icon name="Trash2" size={14} color="var(--color-error)" />
-                </button>
-              </div>
-              <div className="flex flex-wrap gap-1">
-                {Object.entries(filter?.filters)?.map(([key, values]) =>
-                  values?.map((value, idx) => (
+                <div className="flex flex-wrap gap-1">
+                  {filter?.search_query && (
+                    <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md text-xs font-medium bg-muted text-foreground border border-border">
+                      <Icon name="Search" size={10} />
+                      {filter?.search_query}
+                    </span>
+                  )}
+                  {chips.map((chip, idx) => (
                     <span
-                      key={`${key}-${idx}`}
+                      key={`${chip}-${idx}`}
                       className="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium bg-primary/10 text-primary border border-primary/20"
                     >
-                      {value}
+                      {chip}
                     </span>
-                  ))
-                )}
+                  ))}
+                </div>
               </div>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
     </div>
   );
 };
 
-export default SavedFiltersPanel;
\ No newline at end of file
+export default SavedFiltersPanel;
@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useToast } from '../../components/ui/ToastContainer';
 import Sidebar from '../../components/ui/Sidebar';
 import Header from '../../components/ui/Header';
 import Icon from '../../components/AppIcon';
@@ -20,20 +22,23 @@ import BulkCampaignModal from './components/BulkCampaignModal';
 import BulkDeleteModal from './components/BulkDeleteModal';
 import { creatorService } from '../../services/creatorService';
 import { realtimeService } from '../../services/realtimeService';
+import { savedFilterService, SAVED_FILTER_URL_PARAM } from '../../services/savedFilterService';
+import {
+  EMPTY_CREATOR_FILTERS,
+  normalizeCreatorFilters,
+  toCreatorQueryFilters
+} from '../../utils/creatorFilters';
 
 export default function CreatorDatabaseManagement() {
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
   const [isFilterSidebarVisible, setIsFilterSidebarVisible] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({
-    category: [],
-    city: [],
-    state: [],
-    followers: [],
-    engagement: [],
-    tags: [],
-    status: []
-  });
+  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_CREATOR_FILTERS);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeSavedFilterId = searchParams.get(SAVED_FILTER_URL_PARAM);
+  const [sharedSavedFilterId] = useState(() => searchParams.get(SAVED_FILTER_URL_PARAM));
+  const sharedSavedFilterLoadedRef = useRef(false);
   const [selectedCreators, setSelectedCreators] = useState([]);
   const [sortConfig, setSortConfig] = useState({ column: 'created_at', direction: 'desc' });
   const [showExportDialog, setShowExportDialog] = useState(false);
@@ -46,6 +51,7 @@ export default function CreatorDatabaseManagement() {
   const [showBulkCampaignModal, setShowBulkCampaignModal] = useState(false);
   const [showBulkDeleteModal, setShowBulkDeleteModal] = useState(false);
   const { userProfile } = useAuth();
+  const { addToast } = useToast();
   const userRole = userProfile?.role || 'Super Admin';
 
   // State to track filtered count
@@ -66,19 +72,18 @@ export default function CreatorDatabaseManagement() {
       setError(null);
       
       // Convert filters to match API format
-      const apiFilters = {
-        city: filters?.city || [],
-        state: filters?.state || [],
-        followers_tier: filters?.followers || [],
-        sheet_source: filters?.category || [] // Map category filter to sheet_source
-      };
+      const apiFilters = toCreatorQueryFilters(filters);
+
+      // created_at is only the default sort; while searching, rank by relevance instead
+      const isSearching = Boolean(debouncedSearchQuery?.trim());
+      const sortColumn = sortConfig?.column || 'created_at';
 
       const result = await creatorService?.getPaginated({
         page: currentPage,
         pageSize: itemsPerPage,
-        searchQuery: searchQuery || '',
+        searchQuery: debouncedSearchQuery || '',
         filters: apiFilters,
-        sortColumn: sortConfig?.column || 'created_at',
+        sortColumn: isSearching && sortColumn === 'created_at' ? 'relevance' : sortColumn,
         sortDirection: sortConfig?.direction || 'desc'
       });
 
@@ -88,14 +93,16 @@ export default function CreatorDatabaseManagement() {
         sr_no: creator?.sr_no || 'N/A',
         name: creator?.name || 'N/A',
         instagram_link: creator?.instagram_link || 'N/A',
-        followers_tier: creator?.followers_tier || 'N/A',
+        followers_tier: creator?.followers_tier?.trim() || 'N/A',
+        followers_count: creator?.followers_count ?? null,
         state: creator?.state || 'N/A',
         city: creator?.city || 'N/A',
         whatsapp: creator?.whatsapp || 'N/A',
         email: creator?.email || 'N/A',
         gender: creator?.gender || 'N/A',
         username: creator?.username || 'N/A',
-        sheet_source: creator?.sheet_source || 'N/A'
+        sheet_source: creator?.sheet_source || 'N/A',
+        search_snippet: creator?.search_snippet || null
       }));
 
       // Only update state if data is valid
@@ -123,6 +130,15 @@ export default function CreatorDatabaseManagement() {
     }
   };
 
+  // Debounce search input so the search RPC runs once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearchQuery(searchQuery);
+    }, 300); // 300ms debounce
+
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
   // Load initial data
   useEffect(() => {
     // Fetch total count immediately (fast)
@@ -136,11 +152,11 @@ export default function CreatorDatabaseManagement() {
     if (!isInitialLoad) {
       setCurrentPage(1); // Reset to first page when filters change
     }
-  }, [filters, searchQuery, sortConfig, itemsPerPage]);
+  }, [filters, debouncedSearchQuery, sortConfig, itemsPerPage]);
 
   useEffect(() => {
     fetchCreators();
-  }, [currentPage, itemsPerPage, filters, searchQuery, sortConfig]);
+  }, [currentPage, itemsPerPage, filters, debouncedSearchQuery, sortConfig]);
 
   // Real-time subscription for updates (only for current page)
   useEffect(() => {
@@ -177,17 +193,20 @@ export default function CreatorDatabaseManagement() {
   // Remove client-side filtering - now handled server-side
   // Remove applyFilters function
 
+  // Drop ?filter= once the filters no longer match the saved filter
+  const clearSavedFilterParam = () => {
+    if (!activeSavedFilterId) return;
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.delete(SAVED_FILTER_URL_PARAM);
+      return next;
+    }, { replace: true });
+  };
+
   const handleFilterChange = (filterType, values) => {
+    clearSavedFilterParam();
     if (filterType === 'clearAll') {
-      setFilters({
-        category: [],
-        city: [],
-        state: [],
-        followers: [],
-        engagement: [],
-        tags: [],
-        status: []
-      });
+      setFilters(EMPTY_CREATOR_FILTERS);
     } else {
       setFilters((prev) => ({
         ...prev,
@@ -235,10 +254,41 @@ export default function CreatorDatabaseManagement() {
     }
   };
 
-  const handleApplySavedFilter = (savedFilters) => {
-    setFilters(savedFilters);
+  const applySavedFilter = (savedFilter) => {
+    const query = savedFilter?.search_query || '';
+    setFilters(normalizeCreatorFilters(savedFilter?.filters));
+    setSearchQuery(query);
+    setDebouncedSearchQuery(query);
+    savedFilterService.markUsed(savedFilter?.id);
   };
 
+  const handleApplySavedFilter = (savedFilter) => {
+    applySavedFilter(savedFilter);
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.set(SAVED_FILTER_URL_PARAM, savedFilter?.id);
+      return next;
+    });
+  };
+
+  // Open a saved filter from a shared link (?filter=<id>). Only the id the
+  // page was opened with is loaded; applying from the drawer sets the filters itself
+  useEffect(() => {
+    if (!sharedSavedFilterId || sharedSavedFilterLoadedRef.current) return;
+    sharedSavedFilterLoadedRef.current = true;
+
+    savedFilterService.getFilter(sharedSavedFilterId)
+      .then((savedFilter) => {
+        if (savedFilter) {
+          applySavedFilter(savedFilter);
+        } else {
+          addToast('That saved filter does not exist or has not been shared with you', 'error');
+          clearSavedFilterParam();
+        }
+      })
+      .catch(() => addToast('Failed to load saved filter', 'error'));
+  }, [sharedSavedFilterId, applySavedFilter, addToast, clearSavedFilterParam]);
+
   const handleCreatorAdded = (newCreator) => {
     // Refresh first page
     setCurrentPage(1);
@@ -258,25 +308,9 @@ export default function CreatorDatabaseManagement() {
     console.log('Creator updated successfully:', updatedCreator);
   };
 
-  // Debounced search handler
-  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
-  
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setDebouncedSearchQuery(searchQuery);
-    }, 300); // 300ms debounce
-
-    return () => clearTimeout(timer);
-  }, [searchQuery]);
-
-  useEffect(() => {
-    if (debouncedSearchQuery !== searchQuery) {
-      // This will trigger fetchCreators via the useEffect above
-    }
-  }, [debouncedSearchQuery]);
-
   // Update search handler
   const handleSearchChange = (e) => {
+    clearSavedFilterParam();
     setSearchQuery(e?.target?.value);
   };
 
@@ -382,7 +416,12 @@ export default function CreatorDatabaseManagement() {
                   </div>
                 </div>
                 <div className="flex items-center gap-3">
-                  <SavedFiltersDrawer onApplyFilter={handleApplySavedFilter} currentFilters={filters} />
+                  <SavedFiltersDrawer
+                    onApplyFilter={handleApplySavedFilter}
+                    currentFilters={filters}
+                    currentSearchQuery={searchQuery}
+                    activeFilterId={activeSavedFilterId}
+                  />
                   <Button
                     variant="outline"
                     onClick={() => setShowExportDialog(true)}
@@ -407,7 +446,7 @@ export default function CreatorDatabaseManagement() {
                 <div className="flex-1">
                   <Input
                     type="search"
-                    placeholder="Universal search: Search any field - name, city, @username, phone, email, ID..."
+                    placeholder="Search name, @username, city, state, phone, email, tags, bio..."
                     value={searchQuery}
                     onChange={handleSearchChange}
                   />
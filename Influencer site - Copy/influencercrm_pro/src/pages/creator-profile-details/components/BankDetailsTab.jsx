@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { creatorBankAccountService } from '../../../services/creatorBankAccountService';
+import { ACCOUNT_TYPES, maskAccountNumber, validateBankDetails } from '../../../utils/bankDetails';
+import { toast } from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  beneficiaryName: '',
+  accountNumber: '',
+  confirmAccountNumber: '',
+  ifscCode: '',
+  bankName: '',
+  branchName: '',
+  accountType: 'savings',
+  beneficiaryEmail: ''
+};
+
+const toForm = (account) => ({
+  beneficiaryName: account?.beneficiary_name || '',
+  accountNumber: account?.account_number || '',
+  confirmAccountNumber: account?.account_number || '',
+  ifscCode: account?.ifsc_code || '',
+  bankName: account?.bank_name || '',
+  branchName: account?.branch_name || '',
+  accountType: account?.account_type || 'savings',
+  beneficiaryEmail: account?.beneficiary_email || ''
+});
+
+/**
+ * Payout bank account for a creator, used by bulk payout files
+ * @param {string} creatorId
+ * @param {string} creatorName - Suggested beneficiary name for new details
+ */
+const BankDetailsTab = ({ creatorId, creatorName }) => {
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
+  const [showAccountNumber, setShowAccountNumber] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!creatorId) return;
+    setLoading(true);
+    creatorBankAccountService.getByCreator(creatorId)
+      .then(setAccount)
+      .catch(err => toast.error(err?.message || 'Failed to load bank details'))
+      .finally(() => setLoading(false));
+  }, [creatorId]);
+
+  const startEditing = () => {
+    setForm(account ? toForm(account) : { ...EMPTY_FORM, beneficiaryName: creatorName || '' });
+    setErrors({});
+    setIsEditing(true);
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validateBankDetails(form);
+    if (Object.keys(validationErrors).length) {
+      setErrors(validationErrors);
+      return;
+    }
+    setSaving(true);
+    try {
+      setAccount(await creatorBankAccountService.save(creatorId, form));
+      setIsEditing(false);
+      setShowAccountNumber(false);
+      toast.success('Bank details saved');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save bank details');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove this creator\'s bank details? Payout files cannot include them until new details are added.')) return;
+    try {
+      await creatorBankAccountService.remove(creatorId);
+      setAccount(null);
+      toast.success('Bank details removed');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to remove bank details');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-6 text-center text-sm text-muted-foreground">
+        Loading bank details...
+      </div>
+    );
+  }
+
+  if (isEditing) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-foreground">{account ? 'Edit Bank Details' : 'Add Bank Details'}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input
+            label="Beneficiary name"
+            description="As on the bank account"
+            value={form.beneficiaryName}
+            onChange={(e) => updateField('beneficiaryName', e?.target?.value)}
+            error={errors.beneficiaryName}
+            required
+          />
+          <Select
+            label="Account type"
+            options={ACCOUNT_TYPES}
+            value={form.accountType}
+            onChange={(value) => updateField('accountType', value)}
+          />
+          <Input
+            label="Account number"
+            value={form.accountNumber}
+            onChange={(e) => updateField('accountNumber', e?.target?.value)}
+            error={errors.accountNumber}
+            inputMode="numeric"
+            autoComplete="off"
+            required
+          />
+          <Input
+            label="Confirm account number"
+            value={form.confirmAccountNumber}
+            onChange={(e) => updateField('confirmAccountNumber', e?.target?.value)}
+            error={errors.confirmAccountNumber}
+            onPaste={(e) => e.preventDefault()}
+            inputMode="numeric"
+            autoComplete="off"
+            required
+          />
+          <Input
+            label="IFSC"
+            value={form.ifscCode}
+            onChange={(e) => updateField('ifscCode', e?.target?.value?.toUpperCase())}
+            error={errors.ifscCode}
+            placeholder="HDFC0001234"
+            maxLength={11}
+            required
+          />
+          <Input
+            label="Bank name"
+            value={form.bankName}
+            onChange={(e) => updateField('bankName', e?.target?.value)}
+          />
+          <Input
+            label="Branch"
+            value={form.branchName}
+            onChange={(e) => updateField('branchName', e?.target?.value)}
+          />
+          <Input
+            label="Payout advice email"
+            type="email"
+            value={form.beneficiaryEmail}
+            onChange={(e) => updateField('beneficiaryEmail', e?.target?.value)}
+          />
+        </div>
+        <div className="flex gap-3">
+          <Button variant="default" size="sm" onClick={handleSave} loading={saving} disabled={saving}>
+            Save
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setIsEditing(false)} disabled={saving}>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!account) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-8 text-center">
+        <Icon name="Landmark" size={40} className="mx-auto mb-3 text-muted-foreground" />
+        <p className="text-sm text-muted-foreground mb-4">
+          No bank details yet. Add them to include this creator in bulk payout files.
+        </p>
+        <Button variant="default" size="sm" iconName="Plus" iconPosition="left" onClick={startEditing}>
+          Add Bank Details
+        </Button>
+      </div>
+    );
+  }
+
+  const rows = [
+    { label: 'Beneficiary', value: account?.beneficiary_name },
+    {
+      label: 'Account number',
+      value: (
+        <span className="flex items-center gap-2">
+          {showAccountNumber ? account?.account_number : maskAccountNumber(account?.account_number)}
+          <button
+            onClick={() => setShowAccountNumber(!showAccountNumber)}
+            className="text-muted-foreground hover:text-foreground"
+            aria-label={showAccountNumber ? 'Hide account number' : 'Show account number'}
+          >
+            <Icon name={showAccountNumber ? 'EyeOff' : 'Eye'} size={14} />
+          </button>
+        </span>
+      )
+    },
+    { label: 'IFSC', value: account?.ifsc_code },
+    { label: 'Bank', value: [account?.bank_name, account?.branch_name].filter(Boolean).join(', ') || '—' },
+    { label: 'Account type', value: ACCOUNT_TYPES.find(type => type.value === account?.account_type)?.label },
+    { label: 'Payout advice email', value: account?.beneficiary_email || '—' }
+  ];
+
+  return (
+    <div className="bg-card rounded-lg border border-border p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-foreground">Bank Details</h3>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" iconName="Pencil" iconPosition="left" onClick={startEditing}>
+            Edit
+          </Button>
+          <Button variant="ghost" size="sm" iconName="Trash2" onClick={handleRemove} aria-label="Remove bank details" />
+        </div>
+      </div>
+      <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+        {rows.map(row => (
+          <div key={row.label}>
+            <dt className="text-xs text-muted-foreground">{row.label}</dt>
+            <dd className="text-sm text-foreground">{row.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <p className="text-xs text-muted-foreground mt-4">
+        Last changed {new Date(account?.updated_at).toLocaleString('en-IN')} by {account?.updated_by_email || 'Unknown'}
+      </p>
+    </div>
+  );
+};
+
+export default BankDetailsTab;
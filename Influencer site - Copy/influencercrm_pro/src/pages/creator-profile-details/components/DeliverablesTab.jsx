@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import DeliverableTracker from '../../../components/deliverables/DeliverableTracker';
+import { deliverableService } from '../../../services/deliverableService';
+import { toast } from 'react-hot-toast';
+
+/**
+ * The creator's deliverables across all campaigns
+ * @param {string} creatorId
+ */
+const DeliverablesTab = ({ creatorId }) => {
+  const [deliverables, setDeliverables] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!creatorId) return;
+    setLoading(true);
+    deliverableService.getByCreator(creatorId)
+      .then(setDeliverables)
+      .catch(err => toast.error(err?.message || 'Failed to load deliverables'))
+      .finally(() => setLoading(false));
+  }, [creatorId]);
+
+  const handleSaved = (row) => {
+    setDeliverables(prev => prev.map(d => (d?.id === row?.id ? row : d)));
+    toast.success('Deliverable updated');
+  };
+
+  return (
+    <div className="bg-card rounded-lg border border-border p-6">
+      <h3 className="text-lg font-semibold text-foreground mb-4">Deliverables</h3>
+      <DeliverableTracker
+        deliverables={deliverables}
+        loading={loading}
+        groupBy="campaign"
+        onChange={handleSaved}
+      />
+    </div>
+  );
+};
+
+export default DeliverablesTab;
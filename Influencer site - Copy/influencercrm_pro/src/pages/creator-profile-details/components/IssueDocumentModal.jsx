@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Select from '../../../components/ui/Select';
+import { paymentDocumentService } from '../../../services/paymentDocumentService';
+import { DOCUMENT_TYPES, DOCUMENT_SCOPES, documentFileName, downloadDocumentBlob } from '../../../utils/paymentDocument';
+
+/**
+ * Issue an invoice or payment advice for one payment, or for all of the
+ * creator's payments on the same campaign
+ * @param {Object} payment - Payment history row ({ id, reference, campaignId, campaignName, paymentStatus })
+ * @param {string} creatorId
+ * @param {Function} onIssued - (document) => void
+ */
+const IssueDocumentModal = ({ payment, creatorId, onClose, onIssued }) => {
+  const [documentType, setDocumentType] = useState('invoice');
+  const [scope, setScope] = useState('payment');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDocumentType(payment?.paymentStatus === 'paid' ? 'payment_advice' : 'invoice');
+    setScope('payment');
+    setError(null);
+  }, [payment?.id]);
+
+  if (!payment) return null;
+
+  const scopeOptions = payment?.campaignId ? DOCUMENT_SCOPES : DOCUMENT_SCOPES.filter(option => option.value === 'payment');
+  const adviceBlocked = documentType === 'payment_advice' && scope === 'payment' && payment?.paymentStatus !== 'paid';
+
+  const handleIssue = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const { document, blob } = await paymentDocumentService.issue({
+        documentType,
+        scope,
+        payment: { id: payment.id, creator_id: creatorId, campaign_id: payment.campaignId }
+      });
+      downloadDocumentBlob(blob, documentFileName(document));
+      onIssued(document);
+    } catch (err) {
+      setError(err?.message || 'Failed to issue document');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-md w-full">
+        <div className="border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="FileText" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Issue Document</h2>
+              <p className="text-xs text-muted-foreground">{payment?.reference} • {payment?.campaignName}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <Select
+            label="Document"
+            options={DOCUMENT_TYPES}
+            value={documentType}
+            onChange={setDocumentType}
+          />
+          <Select
+            label="Covers"
+            options={scopeOptions}
+            value={scope}
+            onChange={setScope}
+            description={scope === 'campaign' && documentType === 'payment_advice' ? 'Only paid payments are included' : undefined}
+          />
+
+          {adviceBlocked && (
+            <p className="text-sm text-warning">A payment advice can only be issued once the payment is paid.</p>
+          )}
+          <p className="text-xs text-muted-foreground">
+            The next number for this financial year is assigned when the document is issued, and the PDF is
+            archived against the payment.
+          </p>
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button
+              variant="default"
+              size="sm"
+              iconName="Download"
+              iconPosition="left"
+              onClick={handleIssue}
+              loading={saving}
+              disabled={saving || adviceBlocked}
+              fullWidth
+            >
+              Issue & Download
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IssueDocumentModal;
@@ -0,0 +1,179 @@
+import React, { useState, useRef, useEffect } from 'react';
+import Button from '../../../components/ui/Button';
+
+// "@que" immediately before the cursor, at the start or after whitespace
+const MENTION_QUERY = /(^|\s)@([^\s@]*)$/;
+
+/**
+ * Teammates whose "@Name" still appears in the text; a mention removed
+ * while editing should not notify anyone
+ * @param {string} content
+ * @param {Array} users - [{ id, name }]
+ * @returns {Array<string>} - auth user ids
+ */
+export const extractMentionIds = (content, users = []) => {
+  return users
+    .filter(user => user?.name && content.includes(`@${user.name}`))
+    .map(user => user.id);
+};
+
+const NoteComposer = ({
+  users = [],
+  initialValue = '',
+  placeholder = 'Write your note here... Use @ to mention a teammate',
+  submitLabel = 'Save Note',
+  compact = false,
+  autoFocus = false,
+  onSubmit,
+  onCancel
+}) => {
+  const [value, setValue] = useState(initialValue);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const textareaRef = useRef(null);
+
+  useEffect(() => {
+    if (autoFocus) textareaRef?.current?.focus();
+  }, [autoFocus]);
+
+  const suggestions = mentionQuery === null ? [] : users
+    .filter(user => {
+      const query = mentionQuery.toLowerCase();
+      return user?.name?.toLowerCase()?.includes(query) || user?.email?.toLowerCase()?.includes(query);
+    })
+    .slice(0, 6);
+
+  const updateMentionQuery = (text, cursor) => {
+    const match = text.slice(0, cursor).match(MENTION_QUERY);
+    setMentionQuery(match ? match[2] : null);
+    setHighlighted(0);
+  };
+
+  const handleChange = (e) => {
+    setValue(e?.target?.value);
+    updateMentionQuery(e?.target?.value, e?.target?.selectionStart);
+  };
+
+  const insertMention = (user) => {
+    const textarea = textareaRef?.current;
+    const cursor = textarea?.selectionStart ?? value.length;
+    const before = value.slice(0, cursor).replace(/@([^\s@]*)$/, `@${user.name} `);
+    const next = before + value.slice(cursor);
+
+    setValue(next);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleSubmit = async () => {
+    if (!value?.trim() || submitting) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit({ content: value, mentions: extractMentionIds(value, users) });
+      setValue('');
+    } catch (error) {
+      // The parent reports the error; keep the text so nothing is lost
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setHighlighted(prev => (prev + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      handleSubmit();
+    }
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onClick={(e) => updateMentionQuery(value, e?.target?.selectionStart)}
+          onBlur={() => setTimeout(() => setMentionQuery(null), 150)}
+          placeholder={placeholder}
+          className={`w-full ${compact ? 'min-h-20' : 'min-h-32'} px-3 py-2 bg-background border border-input rounded-md text-sm text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring resize-none`}
+        />
+        {suggestions.length > 0 && (
+          <ul className="absolute left-0 right-0 top-full mt-1 z-20 bg-popover border border-border rounded-md shadow-lg py-1 max-h-56 overflow-y-auto">
+            {suggestions.map((user, index) => (
+              <li key={user.id}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    insertMention(user);
+                  }}
+                  className={`w-full px-3 py-2 text-left text-sm ${
+                    index === highlighted ? 'bg-muted' : 'hover:bg-muted'
+                  }`}
+                >
+                  <span className="font-medium text-foreground">{user.name}</span>
+                  {user.email && user.email !== user.name && (
+                    <span className="ml-2 text-xs text-muted-foreground">{user.email}</span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="flex items-center gap-2 mt-3">
+        <Button
+          variant="default"
+          size="sm"
+          onClick={handleSubmit}
+          loading={submitting}
+          disabled={!value?.trim() || submitting}
+        >
+          {submitLabel}
+        </Button>
+        {onCancel && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={onCancel}
+            disabled={submitting}
+          >
+            Cancel
+          </Button>
+        )}
+        <span className="ml-auto text-xs text-muted-foreground">Ctrl+Enter to save</span>
+      </div>
+    </div>
+  );
+};
+
+export default NoteComposer;
@@ -1,20 +1,199 @@
 import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import NoteComposer from './NoteComposer';
 
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-IN');
+const formatTime = (dateString) => new Date(dateString).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
 
-const NotesTab = ({ notes, onAddNote }) => {
-  const [newNote, setNewNote] = useState('');
-  const [isAdding, setIsAdding] = useState(false);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highlight "@Name" for the teammates the note actually mentions
+const NoteContent = ({ content, mentions = [], users = [] }) => {
+  const names = users
+    .filter(user => mentions.includes(user.id) && user?.name)
+    .map(user => `@${user.name}`)
+    .sort((a, b) => b.length - a.length);
+
+  if (names.length === 0) {
+    return <p className="text-sm text-foreground whitespace-pre-wrap">{content}</p>;
+  }
+
+  const parts = content.split(new RegExp(`(${names.map(escapeRegExp).join('|')})`, 'g'));
+  return (
+    <p className="text-sm text-foreground whitespace-pre-wrap">
+      {parts.map((part, index) => (
+        names.includes(part)
+          ? <span key={index} className="text-primary font-medium">{part}</span>
+          : <React.Fragment key={index}>{part}</React.Fragment>
+      ))}
+    </p>
+  );
+};
+
+const NoteItem = ({
+  note,
+  isReply = false,
+  users,
+  currentUserId,
+  canModerate,
+  onReply,
+  onEditNote,
+  onTogglePin,
+  onDeleteNote,
+  onLoadHistory
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  const isAuthor = note?.created_by === currentUserId;
+  const canDelete = isAuthor || canModerate;
 
-  const handleAddNote = () => {
-    if (newNote?.trim()) {
-      onAddNote(newNote);
-      setNewNote('');
-      setIsAdding(false);
+  const toggleHistory = async () => {
+    if (history) {
+      setHistory(null);
+      return;
+    }
+    setHistoryLoading(true);
+    try {
+      setHistory(await onLoadHistory(note.id));
+    } catch (error) {
+      setHistory(null);
+    } finally {
+      setHistoryLoading(false);
     }
   };
 
+  return (
+    <div className={isReply ? 'pl-4 border-l-2 border-border' : ''}>
+      <div className="flex items-start justify-between mb-2">
+        <div className="flex items-center gap-3">
+          <div className={`${isReply ? 'w-8 h-8' : 'w-10 h-10'} rounded-full bg-primary/10 flex items-center justify-center`}>
+            <Icon name="User" size={isReply ? 14 : 18} color="var(--color-primary)" />
+          </div>
+          <div>
+            <div className="text-sm font-medium text-foreground">{note?.author_name || 'Unknown'}</div>
+            {note?.author_email && note?.author_email !== note?.author_name && (
+              <div className="text-xs text-muted-foreground">{note?.author_email}</div>
+            )}
+          </div>
+        </div>
+        <div className="flex items-start gap-3">
+          <div className="text-right">
+            <div className="text-xs text-muted-foreground">{formatDate(note?.created_at)}</div>
+            <div className="text-xs text-muted-foreground">{formatTime(note?.created_at)}</div>
+          </div>
+          <div className="flex items-center">
+            {!isReply && (
+              <button
+                onClick={() => onTogglePin(note)}
+                className="p-1 hover:bg-muted rounded transition-colors duration-200"
+                aria-label={note?.is_pinned ? 'Unpin note' : 'Pin note'}
+                title={note?.is_pinned ? 'Unpin' : 'Pin'}
+              >
+                <Icon name={note?.is_pinned ? 'PinOff' : 'Pin'} size={14} color="var(--color-muted-foreground)" />
+              </button>
+            )}
+            {isAuthor && !isEditing && (
+              <button
+                onClick={() => setIsEditing(true)}
+                className="p-1 hover:bg-muted rounded transition-colors duration-200"
+                aria-label="Edit note"
+                title="Edit"
+              >
+                <Icon name="Pencil" size={14} color="var(--color-muted-foreground)" />
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={() => onDeleteNote(note)}
+                className="p-1 hover:bg-error/10 rounded transition-colors duration-200"
+                aria-label="Delete note"
+                title="Delete"
+              >
+                <Icon name="Trash2" size={14} color="var(--color-error)" />
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {isEditing ? (
+        <NoteComposer
+          users={users}
+          initialValue={note?.content}
+          submitLabel="Save Changes"
+          compact
+          autoFocus
+          onSubmit={async (values) => {
+            await onEditNote(note.id, values);
+            setIsEditing(false);
+            setHistory(null);
+          }}
+          onCancel={() => setIsEditing(false)}
+        />
+      ) : (
+        <NoteContent content={note?.content} mentions={note?.mentions} users={users} />
+      )}
+
+      <div className="flex items-center gap-3 mt-2 text-xs text-muted-foreground">
+        {note?.is_pinned && (
+          <span className="inline-flex items-center gap-1 text-primary">
+            <Icon name="Pin" size={12} />
+            Pinned
+          </span>
+        )}
+        {note?.edited_at && (
+          <button onClick={toggleHistory} className="hover:text-foreground hover:underline">
+            {historyLoading ? 'Loading...' : history ? 'Hide edit history' : `Edited ${formatDate(note.edited_at)}`}
+          </button>
+        )}
+        {!isReply && onReply && (
+          <button onClick={onReply} className="inline-flex items-center gap-1 hover:text-foreground">
+            <Icon name="Reply" size={12} />
+            Reply
+          </button>
+        )}
+      </div>
+
+      {history && (
+        <div className="mt-2 space-y-2">
+          {history.length === 0 ? (
+            <p className="text-xs text-muted-foreground">No earlier versions</p>
+          ) : (
+            history.map(edit => (
+              <div key={edit.id} className="p-2 bg-muted/40 rounded-md">
+                <div className="text-xs text-muted-foreground mb-1">
+                  Before {formatDate(edit.edited_at)} {formatTime(edit.edited_at)}
+                </div>
+                <p className="text-xs text-foreground whitespace-pre-wrap">{edit.previous_content}</p>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const NotesTab = ({
+  notes,
+  loading = false,
+  users = [],
+  currentUserId,
+  canModerate = false,
+  onAddNote,
+  onEditNote,
+  onTogglePin,
+  onDeleteNote,
+  onLoadHistory
+}) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const itemProps = { users, currentUserId, canModerate, onEditNote, onTogglePin, onDeleteNote, onLoadHistory };
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -38,36 +217,23 @@ const NotesTab = ({ notes, onAddNote }) => {
       </div>
       {isAdding && (
         <div className="bg-card border border-border rounded-lg p-4">
-          <textarea
-            value={newNote}
-            onChange={(e) => setNewNote(e?.target?.value)}
-            placeholder="Write your note here..."
-            className="w-full min-h-32 px-3 py-2 bg-background border border-input rounded-md text-sm text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring resize-none"
+          <NoteComposer
+            users={users}
+            autoFocus
+            onSubmit={async (values) => {
+              await onAddNote(values);
+              setIsAdding(false);
+            }}
+            onCancel={() => setIsAdding(false)}
           />
-          <div className="flex items-center gap-2 mt-3">
-            <Button
-              variant="default"
-              size="sm"
-              onClick={handleAddNote}
-              disabled={!newNote?.trim()}
-            >
-              Save Note
-            </Button>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={() => {
-                setIsAdding(false);
-                setNewNote('');
-              }}
-            >
-              Cancel
-            </Button>
-          </div>
         </div>
       )}
       <div className="space-y-4">
-        {notes?.length === 0 ? (
+        {loading ? (
+          <div className="bg-card border border-border rounded-lg p-12 text-center">
+            <p className="text-sm text-muted-foreground">Loading notes...</p>
+          </div>
+        ) : notes?.length === 0 ? (
           <div className="bg-card border border-border rounded-lg p-12 text-center">
             <Icon name="MessageSquare" size={48} color="var(--color-muted-foreground)" className="mx-auto mb-3" />
             <p className="text-sm text-muted-foreground">No notes yet</p>
@@ -77,33 +243,34 @@ const NotesTab = ({ notes, onAddNote }) => {
           </div>
         ) : (
           notes?.map((note) => (
-            <div key={note?.id} className="bg-card border border-border rounded-lg p-4">
-              <div className="flex items-start justify-between mb-3">
-                <div className="flex items-center gap-3">
-                  <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
-                    <Icon name="User" size={18} color="var(--color-primary)" />
-                  </div>
-                  <div>
-                    <div className="text-sm font-medium text-foreground">{note?.author}</div>
-                    <div className="text-xs text-muted-foreground">{note?.role}</div>
-                  </div>
-                </div>
-                <div className="text-right">
-                  <div className="text-xs text-muted-foreground">{note?.date}</div>
-                  <div className="text-xs text-muted-foreground">{note?.time}</div>
-                </div>
-              </div>
-              <p className="text-sm text-foreground whitespace-pre-wrap">{note?.content}</p>
-              {note?.tags && note?.tags?.length > 0 && (
-                <div className="flex flex-wrap gap-2 mt-3">
-                  {note?.tags?.map((tag, index) => (
-                    <span
-                      key={index}
-                      className="px-2 py-0.5 bg-primary/10 text-primary text-xs rounded-md"
-                    >
-                      {tag}
-                    </span>
+            <div
+              key={note?.id}
+              className={`bg-card border rounded-lg p-4 ${note?.is_pinned ? 'border-primary/40' : 'border-border'}`}
+            >
+              <NoteItem
+                note={note}
+                onReply={() => setReplyingTo(replyingTo === note.id ? null : note.id)}
+                {...itemProps}
+              />
+              {(note?.replies?.length > 0 || replyingTo === note?.id) && (
+                <div className="mt-4 ml-6 space-y-4">
+                  {note?.replies?.map(reply => (
+                    <NoteItem key={reply.id} note={reply} isReply {...itemProps} />
                   ))}
+                  {replyingTo === note?.id && (
+                    <NoteComposer
+                      users={users}
+                      placeholder="Write a reply..."
+                      submitLabel="Reply"
+                      compact
+                      autoFocus
+                      onSubmit={async (values) => {
+                        await onAddNote({ ...values, parentId: note.id });
+                        setReplyingTo(null);
+                      }}
+                      onCancel={() => setReplyingTo(null)}
+                    />
+                  )}
                 </div>
               )}
             </div>
@@ -114,4 +281,4 @@ const NotesTab = ({ notes, onAddNote }) => {
   );
 };
 
-export default NotesTab;
\ No newline at end of file
+export default NotesTab;
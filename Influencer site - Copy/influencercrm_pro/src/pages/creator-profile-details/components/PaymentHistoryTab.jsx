@@ -1,14 +1,63 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import IssueDocumentModal from './IssueDocumentModal';
+import { paymentDocumentService } from '../../../services/paymentDocumentService';
+import { documentTypeLabel } from '../../../utils/paymentDocument';
+import { toast } from 'react-hot-toast';
+
+/**
+ * @param {Array} payments - Mapped payment rows
+ * @param {string} creatorId
+ * @param {boolean} canManageDocuments - Finance roles can issue and download invoices and advices
+ */
+const PaymentHistoryTab = ({ payments, creatorId, canManageDocuments = false }) => {
+  const [documents, setDocuments] = useState([]);
+  const [documentPayment, setDocumentPayment] = useState(null);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  useEffect(() => {
+    if (!canManageDocuments || !creatorId) return;
+    paymentDocumentService.getByCreator(creatorId)
+      .then(setDocuments)
+      .catch(err => toast.error(err?.message || 'Failed to load invoices'));
+  }, [creatorId, canManageDocuments]);
+
+  const documentsFor = (paymentId) => documents.filter(doc => doc?.payment_ids?.includes(paymentId));
+
+  const replaceDocument = (updated) => {
+    setDocuments(prev => prev.map(doc => (doc.id === updated?.id ? { ...doc, ...updated } : doc)));
+  };
+
+  const handleIssued = (document) => {
+    setDocuments(prev => [document, ...prev]);
+    setDocumentPayment(null);
+    toast.success(`${documentTypeLabel(document?.document_type)} ${document?.document_number} issued`);
+    if (!document?.storage_path) toast.error('The PDF could not be archived; it will be archived on next download');
+  };
+
+  const handleDownload = async (document) => {
+    setDownloadingId(document?.id);
+    try {
+      replaceDocument(await paymentDocumentService.download(document));
+    } catch (err) {
+      toast.error(err?.message || 'Failed to download document');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
 
-const PaymentHistoryTab = ({ payments }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'Paid':
         return 'bg-success/10 text-success border-success/20';
       case 'Pending':
         return 'bg-warning/10 text-warning border-warning/20';
+      case 'Awaiting Approval':
+        return 'bg-warning/10 text-warning border-warning/20';
+      case 'Approved':
+      case 'Processing':
+        return 'bg-primary/10 text-primary border-primary/20';
       case 'Overdue':
         return 'bg-error/10 text-error border-error/20';
       default:
@@ -18,7 +67,7 @@ const PaymentHistoryTab = ({ payments }) => {
 
   const totalPaid = payments?.filter(p => p?.status === 'Paid')?.reduce((sum, p) => sum + p?.amount, 0);
 
-  const totalPending = payments?.filter(p => p?.status === 'Pending' || p?.status === 'Overdue')?.reduce((sum, p) => sum + p?.amount, 0);
+  const totalPending = payments?.filter(p => ['Pending', 'Awaiting Approval', 'Approved', 'Processing', 'Overdue'].includes(p?.status))?.reduce((sum, p) => sum + p?.amount, 0);
 
   return (
     <div className="space-y-6">
@@ -76,6 +125,9 @@ const PaymentHistoryTab = ({ payments }) => {
                 <th className="text-left py-3 px-4 text-sm font-medium text-muted-foreground">Reference</th>
                 <th className="text-center py-3 px-4 text-sm font-medium text-muted-foreground">Status</th>
                 <th className="text-center py-3 px-4 text-sm font-medium text-muted-foreground">Delay</th>
+                {canManageDocuments && (
+                  <th className="text-left py-3 px-4 text-sm font-medium text-muted-foreground">Documents</th>
+                )}
               </tr>
             </thead>
             <tbody>
@@ -89,8 +141,15 @@ const PaymentHistoryTab = ({ payments }) => {
                     <div className="text-sm font-medium text-foreground">{payment?.campaignName}</div>
                     <div className="text-xs text-muted-foreground">{payment?.brandName}</div>
                   </td>
-                  <td className="py-3 px-4 text-right text-sm font-medium text-foreground">
-                    ₹{payment?.amount?.toLocaleString('en-IN')}
+                  <td className="py-3 px-4 text-right">
+                    <div className="text-sm font-medium text-foreground">₹{payment?.amount?.toLocaleString('en-IN')}</div>
+                    {(payment?.tdsAmount > 0 || payment?.gstAmount > 0) && (
+                      <div className="text-xs text-muted-foreground">
+                        Gross ₹{payment?.grossAmount?.toLocaleString('en-IN')}
+                        {payment?.tdsAmount > 0 && ` • TDS ₹${payment?.tdsAmount?.toLocaleString('en-IN')}`}
+                        {payment?.gstAmount > 0 && ` • GST ₹${payment?.gstAmount?.toLocaleString('en-IN')}`}
+                      </div>
+                    )}
                   </td>
                   <td className="py-3 px-4">
                     <div className="flex items-center gap-2">
@@ -110,7 +169,9 @@ const PaymentHistoryTab = ({ payments }) => {
                     </span>
                   </td>
                   <td className="py-3 px-4 text-center">
-                    {payment?.delayDays > 0 ? (
+                    {payment?.status === 'Cancelled' ? (
+                      <span className="text-xs text-muted-foreground">—</span>
+                    ) : payment?.delayDays > 0 ? (
                       <span className="text-xs text-error font-medium">
                         {payment?.delayDays} days
                       </span>
@@ -118,12 +179,74 @@ const PaymentHistoryTab = ({ payments }) => {
                       <span className="text-xs text-success">On Time</span>
                     )}
                   </td>
+                  {canManageDocuments && (
+                    <td className="py-3 px-4">
+                      <div className="flex flex-col items-start gap-1">
+                        {documentsFor(payment?.id).map(doc => (
+                          <button
+                            key={doc.id}
+                            onClick={() => handleDownload(doc)}
+                            disabled={downloadingId === doc.id}
+                            className="flex items-center gap-1 text-xs text-primary hover:underline disabled:opacity-50"
+                            title={`Download ${documentTypeLabel(doc.document_type).toLowerCase()}`}
+                          >
+                            <Icon name="FileDown" size={12} />
+                            {doc.document_number}
+                          </button>
+                        ))}
+                        {payment?.status !== 'Cancelled' && (
+                          <Button variant="ghost" size="xs" iconName="FilePlus" iconPosition="left" onClick={() => setDocumentPayment(payment)}>
+                            Issue
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
       </div>
+      {canManageDocuments && documents.length > 0 && (
+        <div className="bg-card border border-border rounded-lg p-6">
+          <h3 className="text-lg font-semibold text-foreground mb-4">Invoices & Payment Advices</h3>
+          <div className="divide-y divide-border">
+            {documents.map(doc => (
+              <div key={doc.id} className="flex items-center justify-between py-3">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-foreground">
+                    {doc.document_number} • {documentTypeLabel(doc.document_type)}
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    {new Date(doc.issue_date).toLocaleDateString('en-IN')}
+                    {doc.campaign?.name && ` • ${doc.campaign.name}`}
+                    {` • ${doc.payment_ids?.length} payment${doc.payment_ids?.length === 1 ? '' : 's'}`}
+                    {` • Net ₹${Number(doc.net_amount || 0).toLocaleString('en-IN')}`}
+                  </div>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  iconName="Download"
+                  iconPosition="left"
+                  onClick={() => handleDownload(doc)}
+                  loading={downloadingId === doc.id}
+                  disabled={downloadingId === doc.id}
+                >
+                  PDF
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      <IssueDocumentModal
+        payment={documentPayment}
+        creatorId={creatorId}
+        onClose={() => setDocumentPayment(null)}
+        onIssued={handleIssued}
+      />
     </div>
   );
 };
@@ -1,154 +1,343 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  DELIVERABLE_TYPES,
+  RATE_PLATFORMS,
+  RATE_SOURCES,
+  RATE_CURRENCIES,
+  rateKey,
+  rateLabel,
+  rateSourceLabel,
+  formatPrice
+} from '../../../utils/rateCard';
 
-const PriceHistoryTab = ({ priceHistory }) => {
-  const chartData = priceHistory?.map(item => ({
-    date: item?.date,
-    'Instagram Post': item?.instagramPost,
-    'Instagram Reel': item?.instagramReel,
-    'Instagram Story': item?.instagramStory
-  }));
+const LINE_COLORS = ['#2563EB', '#F59E0B', '#059669', '#DC2626', '#7C3AED', '#0891B2', '#DB2777', '#65A30D'];
 
-  const latestPrices = priceHistory?.[priceHistory?.length - 1];
-  const oldestPrices = priceHistory?.[0];
+const DELIVERABLE_ICONS = {
+  post: 'Image',
+  reel: 'Video',
+  story: 'Sparkles',
+  carousel: 'GalleryHorizontal',
+  video: 'Youtube',
+  short: 'Smartphone',
+  live: 'Radio'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const EMPTY_FORM = {
+  deliverableType: 'reel',
+  platform: 'instagram',
+  price: '',
+  currency: 'INR',
+  effectiveDate: today(),
+  source: 'negotiated',
+  notes: ''
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-IN');
+
+/**
+ * @param {Array} priceHistory - creator_rates rows, oldest first
+ * @param {Array} currentRates - creator_current_rates rows
+ * @param {Function} onAddRate - async (formValues) => void
+ */
+const PriceHistoryTab = ({ priceHistory = [], currentRates = [], loading = false, onAddRate }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // First recorded price per rate line, for the "from initial" comparison
+  const initialPrices = useMemo(() => {
+    const initial = {};
+    priceHistory.forEach(entry => {
+      const key = rateKey(entry);
+      if (!(key in initial)) initial[key] = Number(entry.price);
+    });
+    return initial;
+  }, [priceHistory]);
+
+  // One series per rate line, carried forward between that line's changes
+  const { chartData, series } = useMemo(() => {
+    const keys = [...new Set(priceHistory.map(rateKey))];
+    const labels = Object.fromEntries(priceHistory.map(entry => [rateKey(entry), rateLabel(entry)]));
+    const latest = {};
+    const byDate = new Map();
+
+    priceHistory.forEach(entry => {
+      latest[labels[rateKey(entry)]] = Number(entry.price);
+      byDate.set(entry.effective_date, { date: formatDate(entry.effective_date), ...latest });
+    });
+
+    return {
+      chartData: [...byDate.values()],
+      series: keys.map(key => labels[key])
+    };
+  }, [priceHistory]);
+
+  // Newest first, with the change against the previous entry for the same line
+  const timeline = useMemo(() => {
+    const previous = {};
+    return priceHistory
+      .map(entry => {
+        const key = rateKey(entry);
+        const prior = previous[key];
+        previous[key] = Number(entry.price);
+        return { ...entry, previousPrice: prior };
+      })
+      .reverse();
+  }, [priceHistory]);
 
   const calculateChange = (current, old) => {
-    const change = ((current - old) / old) * 100;
-    return change?.toFixed(1);
+    if (!old) return null;
+    return (((current - old) / old) * 100)?.toFixed(1);
   };
 
+  const handleFieldChange = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    setFormError(null);
+  };
+
+  const handleSubmit = async () => {
+    const price = Number(form.price);
+    if (form.price === '' || isNaN(price) || price < 0) {
+      setFormError('Enter a price of 0 or more');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onAddRate({ ...form, price });
+      setForm({ ...EMPTY_FORM, effectiveDate: today() });
+      setIsAdding(false);
+    } catch (error) {
+      setFormError(error?.message || 'Failed to save rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-card border border-border rounded-lg p-12 text-center">
+        <p className="text-sm text-muted-foreground">Loading rate card...</p>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        <div className="bg-card border border-border rounded-lg p-6">
-          <div className="flex items-center justify-between mb-2">
-            <span className="text-sm text-muted-foreground">Instagram Post</span>
-            <Icon name="Image" size={18} color="var(--color-primary)" />
-          </div>
-          <div className="text-2xl font-semibold text-foreground mb-1">
-            ₹{latestPrices?.instagramPost?.toLocaleString('en-IN')}
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Rate Card</h3>
+          <p className="text-sm text-muted-foreground mt-1">
+            Current price per deliverable; every change is kept in the history below
+          </p>
+        </div>
+        {!isAdding && onAddRate && (
+          <Button
+            variant="default"
+            size="sm"
+            iconName="Plus"
+            iconPosition="left"
+            onClick={() => setIsAdding(true)}
+          >
+            Update Rate
+          </Button>
+        )}
+      </div>
+
+      {isAdding && (
+        <div className="bg-card border border-border rounded-lg p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Select
+              label="Platform"
+              options={RATE_PLATFORMS}
+              value={form.platform}
+              onChange={(value) => handleFieldChange('platform', value)}
+            />
+            <Select
+              label="Deliverable"
+              options={DELIVERABLE_TYPES}
+              value={form.deliverableType}
+              onChange={(value) => handleFieldChange('deliverableType', value)}
+            />
+            <Select
+              label="Source"
+              options={RATE_SOURCES}
+              value={form.source}
+              onChange={(value) => handleFieldChange('source', value)}
+            />
+            <Input
+              label="Price"
+              type="number"
+              min="0"
+              value={form.price}
+              onChange={(e) => handleFieldChange('price', e?.target?.value)}
+              error={formError}
+            />
+            <Select
+              label="Currency"
+              options={RATE_CURRENCIES.map(code => ({ value: code, label: code }))}
+              value={form.currency}
+              onChange={(value) => handleFieldChange('currency', value)}
+            />
+            <Input
+              label="Effective Date"
+              type="date"
+              value={form.effectiveDate}
+              onChange={(e) => handleFieldChange('effectiveDate', e?.target?.value)}
+            />
           </div>
-          <div className={`text-xs font-medium ${
-            calculateChange(latestPrices?.instagramPost, oldestPrices?.instagramPost) >= 0
-              ? 'text-success' :'text-error'
-          }`}>
-            {calculateChange(latestPrices?.instagramPost, oldestPrices?.instagramPost) >= 0 ? '+' : ''}
-            {calculateChange(latestPrices?.instagramPost, oldestPrices?.instagramPost)}% from initial
+          <Input
+            label="Notes"
+            type="text"
+            placeholder="e.g. Agreed after 3 campaigns, includes usage rights"
+            value={form.notes}
+            onChange={(e) => handleFieldChange('notes', e?.target?.value)}
+          />
+          <div className="flex items-center gap-2">
+            <Button variant="default" size="sm" onClick={handleSubmit} loading={saving} disabled={saving}>
+              Save Rate
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => {
+                setIsAdding(false);
+                setFormError(null);
+              }}
+              disabled={saving}
+            >
+              Cancel
+            </Button>
           </div>
         </div>
+      )}
+
+      {currentRates.length === 0 ? (
+        <div className="bg-card border border-border rounded-lg p-12 text-center">
+          <Icon name="Tag" size={48} color="var(--color-muted-foreground)" className="mx-auto mb-3" />
+          <p className="text-sm text-muted-foreground">No rates recorded yet</p>
+          <p className="text-xs text-muted-foreground mt-1">
+            Add a rate to start tracking this creator's pricing
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {currentRates.map(rate => {
+            const change = calculateChange(Number(rate.price), initialPrices[rateKey(rate)]);
+            return (
+              <div key={rateKey(rate)} className="bg-card border border-border rounded-lg p-6">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm text-muted-foreground">{rateLabel(rate)}</span>
+                  <Icon name={DELIVERABLE_ICONS[rate.deliverable_type] || 'Tag'} size={18} color="var(--color-primary)" />
+                </div>
+                <div className="text-2xl font-semibold text-foreground mb-1">
+                  {formatPrice(rate.price, rate.currency)}
+                </div>
+                <div className="flex items-center justify-between text-xs">
+                  {change !== null ? (
+                    <span className={`font-medium ${change >= 0 ? 'text-success' : 'text-error'}`}>
+                      {change >= 0 ? '+' : ''}{change}% from initial
+                    </span>
+                  ) : (
+                    <span className="text-muted-foreground">Since {formatDate(rate.effective_date)}</span>
+                  )}
+                  <span className="text-muted-foreground">{rateSourceLabel(rate.source)}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
 
+      {chartData.length > 1 && (
         <div className="bg-card border border-border rounded-lg p-6">
-          <div className="flex items-center justify-between mb-2">
-            <span className="text-sm text-muted-foreground">Instagram Reel</span>
-            <Icon name="Video" size={18} color="var(--color-primary)" />
-          </div>
-          <div className="text-2xl font-semibold text-foreground mb-1">
-            ₹{latestPrices?.instagramReel?.toLocaleString('en-IN')}
+          <div className="flex items-center gap-2 mb-6">
+            <Icon name="TrendingUp" size={20} color="var(--color-primary)" />
+            <h3 className="text-lg font-semibold text-foreground">Price Evolution Chart</h3>
           </div>
-          <div className={`text-xs font-medium ${
-            calculateChange(latestPrices?.instagramReel, oldestPrices?.instagramReel) >= 0
-              ? 'text-success' :'text-error'
-          }`}>
-            {calculateChange(latestPrices?.instagramReel, oldestPrices?.instagramReel) >= 0 ? '+' : ''}
-            {calculateChange(latestPrices?.instagramReel, oldestPrices?.instagramReel)}% from initial
+          <div className="w-full h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+                <XAxis
+                  dataKey="date"
+                  stroke="var(--color-muted-foreground)"
+                  style={{ fontSize: '12px' }}
+                />
+                <YAxis
+                  stroke="var(--color-muted-foreground)"
+                  style={{ fontSize: '12px' }}
+                  tickFormatter={(value) => `${value / 1000}k`}
+                />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: 'var(--color-popover)',
+                    border: '1px solid var(--color-border)',
+                    borderRadius: '6px'
+                  }}
+                  formatter={(value) => value?.toLocaleString('en-IN')}
+                />
+                <Legend />
+                {series.map((name, index) => (
+                  <Line
+                    key={name}
+                    type="stepAfter"
+                    dataKey={name}
+                    stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                    strokeWidth={2}
+                    dot={{ fill: LINE_COLORS[index % LINE_COLORS.length], r: 4 }}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
           </div>
         </div>
+      )}
 
+      {timeline.length > 0 && (
         <div className="bg-card border border-border rounded-lg p-6">
-          <div className="flex items-center justify-between mb-2">
-            <span className="text-sm text-muted-foreground">Instagram Story</span>
-            <Icon name="Sparkles" size={18} color="var(--color-primary)" />
+          <div className="flex items-center gap-2 mb-4">
+            <Icon name="FileText" size={20} color="var(--color-primary)" />
+            <h3 className="text-lg font-semibold text-foreground">Negotiation History</h3>
           </div>
-          <div className="text-2xl font-semibold text-foreground mb-1">
-            ₹{latestPrices?.instagramStory?.toLocaleString('en-IN')}
-          </div>
-          <div className={`text-xs font-medium ${
-            calculateChange(latestPrices?.instagramStory, oldestPrices?.instagramStory) >= 0
-              ? 'text-success' :'text-error'
-          }`}>
-            {calculateChange(latestPrices?.instagramStory, oldestPrices?.instagramStory) >= 0 ? '+' : ''}
-            {calculateChange(latestPrices?.instagramStory, oldestPrices?.instagramStory)}% from initial
-          </div>
-        </div>
-      </div>
-      <div className="bg-card border border-border rounded-lg p-6">
-        <div className="flex items-center gap-2 mb-6">
-          <Icon name="TrendingUp" size={20} color="var(--color-primary)" />
-          <h3 className="text-lg font-semibold text-foreground">Price Evolution Chart</h3>
-        </div>
-        <div className="w-full h-80">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={chartData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
-              <XAxis 
-                dataKey="date" 
-                stroke="var(--color-muted-foreground)"
-                style={{ fontSize: '12px' }}
-              />
-              <YAxis 
-                stroke="var(--color-muted-foreground)"
-                style={{ fontSize: '12px' }}
-                tickFormatter={(value) => `₹${value/1000}k`}
-              />
-              <Tooltip 
-                contentStyle={{
-                  backgroundColor: 'var(--color-popover)',
-                  border: '1px solid var(--color-border)',
-                  borderRadius: '6px'
-                }}
-                formatter={(value) => `₹${value?.toLocaleString('en-IN')}`}
-              />
-              <Legend />
-              <Line 
-                type="monotone" 
-                dataKey="Instagram Post" 
-                stroke="#2563EB" 
-                strokeWidth={2}
-                dot={{ fill: '#2563EB', r: 4 }}
-              />
-              <Line 
-                type="monotone" 
-                dataKey="Instagram Reel" 
-                stroke="#F59E0B" 
-                strokeWidth={2}
-                dot={{ fill: '#F59E0B', r: 4 }}
-              />
-              <Line 
-                type="monotone" 
-                dataKey="Instagram Story" 
-                stroke="#059669" 
-                strokeWidth={2}
-                dot={{ fill: '#059669', r: 4 }}
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
-      <div className="bg-card border border-border rounded-lg p-6">
-        <div className="flex items-center gap-2 mb-4">
-          <Icon name="FileText" size={20} color="var(--color-primary)" />
-          <h3 className="text-lg font-semibold text-foreground">Negotiation History</h3>
-        </div>
-        <div className="space-y-4">
-          {priceHistory?.map((item, index) => (
-            <div key={index} className="border-l-2 border-primary pl-4 pb-4 last:pb-0">
-              <div className="flex items-start justify-between mb-2">
-                <div>
-                  <div className="text-sm font-medium text-foreground">{item?.date}</div>
-                  <div className="text-xs text-muted-foreground">{item?.updatedBy}</div>
+          <div className="space-y-4">
+            {timeline.map(entry => (
+              <div key={entry.id} className="border-l-2 border-primary pl-4 pb-4 last:pb-0">
+                <div className="flex items-start justify-between mb-2">
+                  <div>
+                    <div className="text-sm font-medium text-foreground">
+                      {rateLabel(entry)}: {entry.previousPrice !== undefined && (
+                        <span className="text-muted-foreground line-through mr-1">
+                          {formatPrice(entry.previousPrice, entry.currency)}
+                        </span>
+                      )}
+                      {formatPrice(entry.price, entry.currency)}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {formatDate(entry.effective_date)}{entry.created_by_email ? ` • ${entry.created_by_email}` : ''}
+                    </div>
+                  </div>
+                  <span className="px-2 py-1 bg-primary/10 text-primary text-xs font-medium rounded-md">
+                    {rateSourceLabel(entry.source)}
+                  </span>
                 </div>
-                <span className="px-2 py-1 bg-primary/10 text-primary text-xs font-medium rounded-md">
-                  {item?.reason}
-                </span>
+                {entry.notes && <p className="text-sm text-muted-foreground">{entry.notes}</p>}
               </div>
-              <p className="text-sm text-muted-foreground">{item?.notes}</p>
-            </div>
-          ))}
+            ))}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-export default PriceHistoryTab;
\ No newline at end of file
+export default PriceHistoryTab;
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { taxService } from '../../../services/taxService';
+import { ENTITY_TYPES, tdsSectionOptions, gstStateName, validateTaxProfile } from '../../../utils/taxEngine';
+import { toast } from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  legalName: '',
+  panNumber: '',
+  entityType: 'individual',
+  gstin: '',
+  tdsSection: '194J',
+  lowerTdsRate: '',
+  lowerTdsCertificate: '',
+  lowerTdsValidUntil: ''
+};
+
+const toForm = (profile) => ({
+  legalName: profile?.legal_name || '',
+  panNumber: profile?.pan_number || '',
+  entityType: profile?.entity_type || 'individual',
+  gstin: profile?.gstin || '',
+  tdsSection: profile?.tds_section || '194J',
+  lowerTdsRate: profile?.lower_tds_rate ?? '',
+  lowerTdsCertificate: profile?.lower_tds_certificate || '',
+  lowerTdsValidUntil: profile?.lower_tds_valid_until || ''
+});
+
+/**
+ * PAN, GSTIN, entity type and TDS section used to compute tax on the
+ * creator's payments
+ * @param {string} creatorId
+ * @param {string} creatorName - Suggested legal name for a new profile
+ */
+const TaxProfileTab = ({ creatorId, creatorName }) => {
+  const [profile, setProfile] = useState(null);
+  const [rates, setRates] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!creatorId) return;
+    setLoading(true);
+    Promise.all([taxService.getProfile(creatorId), taxService.getRates()])
+      .then(([taxProfile, taxRates]) => {
+        setProfile(taxProfile);
+        setRates(taxRates);
+      })
+      .catch(err => toast.error(err?.message || 'Failed to load tax profile'))
+      .finally(() => setLoading(false));
+  }, [creatorId]);
+
+  const sectionOptions = tdsSectionOptions(rates || undefined);
+
+  const startEditing = () => {
+    setForm(profile ? toForm(profile) : { ...EMPTY_FORM, legalName: creatorName || '' });
+    setErrors({});
+    setIsEditing(true);
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validateTaxProfile(form);
+    if (Object.keys(validationErrors).length) {
+      setErrors(validationErrors);
+      return;
+    }
+    setSaving(true);
+    try {
+      setProfile(await taxService.saveProfile(creatorId, form));
+      setIsEditing(false);
+      toast.success('Tax profile saved');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save tax profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-6 text-center text-sm text-muted-foreground">
+        Loading tax profile...
+      </div>
+    );
+  }
+
+  if (isEditing) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-foreground">{profile ? 'Edit Tax Profile' : 'Add Tax Profile'}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input
+            label="Name as per PAN"
+            value={form.legalName}
+            onChange={(e) => updateField('legalName', e?.target?.value)}
+          />
+          <Input
+            label="PAN"
+            value={form.panNumber}
+            onChange={(e) => updateField('panNumber', e?.target?.value?.toUpperCase())}
+            error={errors.panNumber}
+            description="Without a PAN, TDS is deducted at the higher no-PAN rate"
+            placeholder="ABCDE1234F"
+            maxLength={10}
+          />
+          <Select
+            label="Entity type"
+            options={ENTITY_TYPES}
+            value={form.entityType}
+            onChange={(value) => updateField('entityType', value)}
+          />
+          <Input
+            label="GSTIN"
+            value={form.gstin}
+            onChange={(e) => updateField('gstin', e?.target?.value?.toUpperCase())}
+            error={errors.gstin}
+            description="Leave empty if the creator is not registered for GST"
+            placeholder="27ABCDE1234F1Z5"
+            maxLength={15}
+          />
+          <Select
+            label="TDS section"
+            options={sectionOptions}
+            value={form.tdsSection}
+            onChange={(value) => updateField('tdsSection', value)}
+          />
+        </div>
+        <div>
+          <p className="text-sm font-medium text-foreground mb-2">Lower deduction certificate (section 197)</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              label="Rate (%)"
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={form.lowerTdsRate}
+              onChange={(e) => updateField('lowerTdsRate', e?.target?.value)}
+              error={errors.lowerTdsRate}
+            />
+            <Input
+              label="Certificate number"
+              value={form.lowerTdsCertificate}
+              onChange={(e) => updateField('lowerTdsCertificate', e?.target?.value)}
+              disabled={form.lowerTdsRate === ''}
+            />
+            <Input
+              label="Valid until"
+              type="date"
+              value={form.lowerTdsValidUntil}
+              onChange={(e) => updateField('lowerTdsValidUntil', e?.target?.value)}
+              disabled={form.lowerTdsRate === ''}
+            />
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <Button variant="default" size="sm" onClick={handleSave} loading={saving} disabled={saving}>
+            Save
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setIsEditing(false)} disabled={saving}>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-8 text-center">
+        <Icon name="Percent" size={40} className="mx-auto mb-3 text-muted-foreground" />
+        <p className="text-sm text-muted-foreground mb-4">
+          No tax profile yet. Payments are treated as having no PAN and no GST registration until one is added.
+        </p>
+        <Button variant="default" size="sm" iconName="Plus" iconPosition="left" onClick={startEditing}>
+          Add Tax Profile
+        </Button>
+      </div>
+    );
+  }
+
+  const hasLowerRate = profile?.lower_tds_rate != null;
+  const rows = [
+    { label: 'Name as per PAN', value: profile?.legal_name || '—' },
+    { label: 'PAN', value: profile?.pan_number || 'Not provided' },
+    { label: 'Entity type', value: ENTITY_TYPES.find(type => type.value === profile?.entity_type)?.label },
+    {
+      label: 'GSTIN',
+      value: profile?.gstin
+        ? `${profile.gstin}${gstStateName(profile.gstin) ? ` (${gstStateName(profile.gstin)})` : ''}`
+        : 'Not registered'
+    },
+    { label: 'TDS section', value: sectionOptions.find(option => option.value === profile?.tds_section)?.label || profile?.tds_section },
+    {
+      label: 'Lower deduction',
+      value: hasLowerRate
+        ? `${profile.lower_tds_rate}%${profile?.lower_tds_certificate ? ` • ${profile.lower_tds_certificate}` : ''}${profile?.lower_tds_valid_until ? ` • until ${new Date(profile.lower_tds_valid_until).toLocaleDateString('en-IN')}` : ''}`
+        : '—'
+    }
+  ];
+
+  return (
+    <div className="bg-card rounded-lg border border-border p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-foreground">Tax Profile</h3>
+        <Button variant="outline" size="sm" iconName="Pencil" iconPosition="left" onClick={startEditing}>
+          Edit
+        </Button>
+      </div>
+      <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+        {rows.map(row => (
+          <div key={row.label}>
+            <dt className="text-xs text-muted-foreground">{row.label}</dt>
+            <dd className="text-sm text-foreground">{row.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <p className="text-xs text-muted-foreground mt-4">
+        Last changed {new Date(profile?.updated_at).toLocaleString('en-IN')} by {profile?.updated_by_email || 'Unknown'}
+      </p>
+    </div>
+  );
+};
+
+export default TaxProfileTab;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLocation, useParams, useNavigate } from 'react-router-dom';
 import Sidebar from '../../components/ui/Sidebar';
 import Header from '../../components/ui/Header';
@@ -6,31 +6,48 @@ import ProfileHeader from './components/ProfileHeader';
 import TabNavigation from './components/TabNavigation';
 import OverviewTab from './components/OverviewTab';
 import CampaignHistoryTab from './components/CampaignHistoryTab';
+import DeliverablesTab from './components/DeliverablesTab';
 import PaymentHistoryTab from './components/PaymentHistoryTab';
 import PriceHistoryTab from './components/PriceHistoryTab';
 import NotesTab from './components/NotesTab';
+import BankDetailsTab from './components/BankDetailsTab';
+import TaxProfileTab from './components/TaxProfileTab';
 import QuickStatsWidget from './components/QuickStatsWidget';
 import RecentActivityFeed from './components/RecentActivityFeed';
 import RelatedCreatorsWidget from './components/RelatedCreatorsWidget';
 import EditCreatorModal from './components/EditCreatorModal';
+import { useAuth } from '../../contexts/AuthContext';
 import { realtimeService } from '../../services/realtimeService';
+import { creatorNoteService, buildNoteThreads } from '../../services/creatorNoteService';
+import { rateCardService } from '../../services/rateCardService';
+import { rateKey, rateLabel, formatPrice, calculateFixedAmount } from '../../utils/rateCard';
 import { creatorService } from '../../services/creatorService';
 import { campaignService } from '../../services/campaignService';
+import { paymentService } from '../../services/paymentService';
+import { paymentMethodLabel, paymentMethodIcon, paymentStatusLabel, daysOverdue } from '../../utils/paymentLedger';
 import { calculatePerformanceScore } from '../../utils/performanceUtils';
 import Icon from '../../components/AppIcon';
 import { toast } from 'react-hot-toast';
 
+// Deliverable quantities expand into one tracked row each, so only whole units make sense
+const isWholeQuantity = (value) => /^\s*\d+\s*$/.test(String(value ?? '')) && Number(value) >= 1;
+
 const CreatorProfileDetails = () => {
   const location = useLocation();
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user, isSuperAdmin, isAdmin, isManager } = useAuth();
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState('overview');
   const [creator, setCreator] = useState(null);
   const [campaigns, setCampaigns] = useState([]);
   const [payments, setPayments] = useState([]);
   const [priceHistory, setPriceHistory] = useState([]);
+  const [currentRates, setCurrentRates] = useState([]);
+  const [ratesLoading, setRatesLoading] = useState(false);
   const [notes, setNotes] = useState([]);
+  const [notesLoading, setNotesLoading] = useState(false);
+  const [mentionableUsers, setMentionableUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
@@ -40,14 +57,20 @@ const CreatorProfileDetails = () => {
   const [isAddingToCampaign, setIsAddingToCampaign] = useState(false);
   const [availableCampaigns, setAvailableCampaigns] = useState([]);
   const [selectedCampaign, setSelectedCampaign] = useState('');
+  const [campaignRateKey, setCampaignRateKey] = useState('');
+  const [campaignQuantity, setCampaignQuantity] = useState('1');
+  const [campaignAmount, setCampaignAmount] = useState('');
 
   // Tab configuration
   const tabs = [
     { id: 'overview', label: 'Overview', icon: 'User' },
     { id: 'campaigns', label: 'Campaigns', icon: 'FolderKanban' },
+    { id: 'deliverables', label: 'Deliverables', icon: 'Package' },
     { id: 'payments', label: 'Payments', icon: 'DollarSign' },
     { id: 'pricing', label: 'Pricing', icon: 'TrendingUp' },
-    { id: 'notes', label: 'Notes', icon: 'FileText' }
+    { id: 'notes', label: 'Notes', icon: 'FileText' },
+    // Bank details are only readable by finance roles (see can_manage_payouts)
+    ...(isSuperAdmin() || isAdmin() || isManager() ? [{ id: 'bank', label: 'Bank & Tax', icon: 'Landmark' }] : [])
   ];
 
   // Helper function to determine if data is junk/placeholder
@@ -199,36 +222,44 @@ const CreatorProfileDetails = () => {
           
           console.log('✅ Campaigns fetched:', creatorCampaigns.length);
           setCampaigns(creatorCampaigns);
-          
-          // Extract payments from campaigns
-          const campaignPayments = creatorCampaigns
-            ?.filter(c => c?.amount || c?.agreed_amount)
-            ?.map((campaign, index) => ({
-              id: campaign?.id || `payment-${index}`,
-              date: campaign?.created_at ? new Date(campaign.created_at).toLocaleDateString('en-IN') : 'N/A',
-              time: campaign?.created_at ? new Date(campaign.created_at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : 'N/A',
-              campaignName: campaign?.name || 'Unnamed Campaign',
-              brandName: campaign?.brand_name || campaign?.brand || 'N/A',
-              amount: campaign?.amount || campaign?.agreed_amount || 0,
-              mode: campaign?.payment_method || 'Bank Transfer',
-              modeIcon: 'Building2',
-              reference: campaign?.id ? `TXN-${campaign.id.slice(0, 8)}` : 'N/A',
-              utrNumber: campaign?.utr_number || null,
-              status: campaign?.payment_status || 'Pending',
-              delayDays: campaign?.end_date ? Math.max(0, Math.floor((new Date() - new Date(campaign.end_date)) / (1000 * 60 * 60 * 24))) : 0
-            })) || [];
-          
-          setPayments(campaignPayments);
         } catch (campaignError) {
           console.error('Error fetching campaigns:', campaignError);
           setCampaigns([]);
-          setPayments([]);
         }
 
-        // Price history and notes would come from separate tables if they exist
-        // For now, set empty arrays
-        setPriceHistory([]);
-        setNotes([]);
+        // Fetch this creator's payments from the ledger
+        try {
+          const ledger = await paymentService?.getByCreator(creatorId);
+          setPayments(ledger?.map(payment => {
+            const timestamp = payment?.paid_at || payment?.created_at;
+            // Paid rows count the days they were late; unpaid rows count days overdue so far
+            const delayDays = payment?.status === 'paid' && payment?.due_date
+              ? Math.max(0, Math.floor((new Date(payment.paid_at) - new Date(`${payment.due_date}T23:59:59`)) / (1000 * 60 * 60 * 24)) + 1)
+              : daysOverdue(payment);
+            return {
+              id: payment?.id,
+              date: timestamp ? new Date(timestamp).toLocaleDateString('en-IN') : 'N/A',
+              time: timestamp ? new Date(timestamp).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : 'N/A',
+              campaignId: payment?.campaign_id || null,
+              campaignName: payment?.campaign?.name || 'Unnamed Campaign',
+              brandName: payment?.campaign?.linked_brand?.name || payment?.campaign?.legacy_brand_name || 'N/A',
+              amount: Number(payment?.net_amount || 0),
+              grossAmount: Number(payment?.amount || 0),
+              tdsAmount: Number(payment?.tds_amount || 0),
+              gstAmount: Number(payment?.gst_amount || 0),
+              mode: paymentMethodLabel(payment?.payment_method),
+              modeIcon: paymentMethodIcon(payment?.payment_method),
+              reference: payment?.reference_number,
+              utrNumber: payment?.utr_number || null,
+              status: paymentStatusLabel(payment?.status),
+              paymentStatus: payment?.status,
+              delayDays
+            };
+          }) || []);
+        } catch (paymentError) {
+          console.error('Error fetching payments:', paymentError);
+          setPayments([]);
+        }
 
       } catch (err) {
         console.error('❌ Error fetching creator:', err);
@@ -241,6 +272,85 @@ const CreatorProfileDetails = () => {
     fetchCreatorData();
   }, [id, location?.state?.creatorId]);
 
+  // Load notes once the creator is known
+  useEffect(() => {
+    if (!creator?.id) return;
+
+    const fetchNotes = async () => {
+      setNotesLoading(true);
+      try {
+        setNotes(await creatorNoteService.getByCreator(creator.id));
+      } catch (error) {
+        setNotes([]);
+        toast.error('Failed to load notes');
+      } finally {
+        setNotesLoading(false);
+      }
+    };
+
+    fetchNotes();
+  }, [creator?.id]);
+
+  // Rate card and its history
+  const fetchRates = async (creatorId) => {
+    setRatesLoading(true);
+    try {
+      const [history, rates] = await Promise.all([
+        rateCardService.getHistory(creatorId),
+        rateCardService.getCurrentRates(creatorId)
+      ]);
+      setPriceHistory(history);
+      setCurrentRates(rates);
+    } catch (error) {
+      setPriceHistory([]);
+      setCurrentRates([]);
+      toast.error('Failed to load rate card');
+    } finally {
+      setRatesLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (creator?.id) fetchRates(creator.id);
+  }, [creator?.id]);
+
+  // Teammates available for @mentions
+  useEffect(() => {
+    creatorNoteService.getMentionableUsers()
+      .then(setMentionableUsers)
+      .catch(() => setMentionableUsers([]));
+  }, []);
+
+  const noteThreads = useMemo(() => buildNoteThreads(notes), [notes]);
+
+  // Notes and campaigns, newest first
+  const recentActivities = useMemo(() => {
+    const noteActivities = notes.map(note => ({
+      id: `note-${note.id}`,
+      type: 'note',
+      description: `${note.parent_id ? 'Replied' : 'Added a note'}: ${note.content.length > 80 ? `${note.content.slice(0, 80)}…` : note.content}`,
+      date: note.created_at,
+      author: note.author_name || 'Unknown'
+    }));
+    const campaignActivities = campaigns
+      .filter(campaign => campaign?.created_at)
+      .map(campaign => ({
+        id: `campaign-${campaign.id}`,
+        type: 'campaign',
+        description: `Added to campaign ${campaign?.name || 'Unnamed Campaign'}`,
+        date: campaign.created_at,
+        author: campaign?.linked_brand?.name || campaign?.legacy_brand_name || 'Campaign'
+      }));
+
+    return [...noteActivities, ...campaignActivities]
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, 8)
+      .map(activity => ({
+        ...activity,
+        timestamp: new Date(activity.date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+      }));
+  }, [notes, campaigns]);
+
   // Fetch campaign statistics for quick stats
   useEffect(() => {
     const fetchCampaignStats = async () => {
@@ -342,10 +452,44 @@ const CreatorProfileDetails = () => {
     setIsArchiveConfirmOpen(true);
   };
 
+  // Fixed amount for a rate card line and quantity; '' when nothing is priced
+  const priceCampaignAssignment = (key, quantity) => {
+    const rate = currentRates.find(r => rateKey(r) === key);
+    const amount = rate ? calculateFixedAmount(currentRates, [{ ...rate, quantity }]) : null;
+    return amount === null ? '' : String(amount);
+  };
+
   const handleAddToCampaign = () => {
+    // Pre-fill from the current rate card, preferring an Instagram reel
+    const defaultRate = currentRates.find(r => rateKey(r) === 'instagram_reel') || currentRates[0];
+    const key = defaultRate ? rateKey(defaultRate) : '';
+    setCampaignRateKey(key);
+    setCampaignQuantity('1');
+    setCampaignAmount(priceCampaignAssignment(key, 1));
     setIsAddToCampaignModalOpen(true);
   };
 
+  const handleCampaignRateChange = (key) => {
+    setCampaignRateKey(key);
+    setCampaignAmount(priceCampaignAssignment(key, campaignQuantity));
+  };
+
+  const handleCampaignQuantityChange = (quantity) => {
+    setCampaignQuantity(quantity);
+    setCampaignAmount(priceCampaignAssignment(campaignRateKey, quantity));
+  };
+
+  const handleAddRate = async (values) => {
+    try {
+      await rateCardService.addRate(creator.id, values);
+      await fetchRates(creator.id);
+      toast.success('Rate saved');
+    } catch (error) {
+      toast.error(error?.message || 'Failed to save rate');
+      throw error;
+    }
+  };
+
   const handleBack = () => {
     navigate('/creator-database-management');
   };
@@ -391,9 +535,50 @@ const CreatorProfileDetails = () => {
     }
   };
 
-  const handleAddNote = (note) => {
-    // Add note logic here
-    console.log('Adding note:', note);
+  const handleAddNote = async ({ content, mentions, parentId }) => {
+    try {
+      const note = await creatorNoteService.create({ creatorId: creator.id, content, mentions, parentId });
+      setNotes(prev => [note, ...prev]);
+      toast.success(parentId ? 'Reply added' : 'Note added');
+    } catch (error) {
+      toast.error(error?.message || 'Failed to save note');
+      throw error;
+    }
+  };
+
+  const handleEditNote = async (noteId, { content, mentions }) => {
+    try {
+      const updated = await creatorNoteService.update(noteId, { content, mentions });
+      setNotes(prev => prev.map(note => (note.id === noteId ? updated : note)));
+    } catch (error) {
+      toast.error(error?.message || 'Failed to update note');
+      throw error;
+    }
+  };
+
+  const handleTogglePin = async (note) => {
+    try {
+      const updated = await creatorNoteService.setPinned(note.id, !note.is_pinned);
+      setNotes(prev => prev.map(n => (n.id === note.id ? updated : n)));
+    } catch (error) {
+      toast.error(error?.message || 'Failed to pin note');
+    }
+  };
+
+  const handleDeleteNote = async (note) => {
+    const replyCount = notes.filter(n => n.parent_id === note.id).length;
+    const message = replyCount > 0
+      ? `Delete this note and its ${replyCount} repl${replyCount === 1 ? 'y' : 'ies'}?`
+      : 'Delete this note?';
+    if (!window.confirm(message)) return;
+
+    try {
+      await creatorNoteService.delete(note.id);
+      setNotes(prev => prev.filter(n => n.id !== note.id && n.parent_id !== note.id));
+      toast.success('Note deleted');
+    } catch (error) {
+      toast.error(error?.message || 'Failed to delete note');
+    }
   };
 
   const handleSyncInstagram = async () => {
@@ -415,18 +600,33 @@ const CreatorProfileDetails = () => {
 
   const handleAddToCampaignConfirm = async () => {
     if (!creator?.id || !selectedCampaign) return;
+    if (campaignRateKey && !isWholeQuantity(campaignQuantity)) {
+      toast.error('Quantity must be a whole number of 1 or more');
+      return;
+    }
     
     setIsAddingToCampaign(true);
     try {
-      console.log('🔵 Adding creator to campaign:', creator.id, selectedCampaign);
-      
-      // This is a dummy function - in production, this would add the creator to the campaign
+      const rate = currentRates.find(r => rateKey(r) === campaignRateKey);
+      const deliverables = rate ? [{
+        platform: rate.platform,
+        deliverable_type: rate.deliverable_type,
+        quantity: Number(campaignQuantity),
+        rate: Number(rate.price),
+        currency: rate.currency
+      }] : [];
+
+      await campaignService.addCreator(selectedCampaign, creator.id, {
+        fixedAmount: campaignAmount === '' ? null : Number(campaignAmount),
+        deliverables
+      });
+
       toast.success('Creator added to campaign successfully!');
       setIsAddToCampaignModalOpen(false);
       setSelectedCampaign('');
     } catch (error) {
       console.error('❌ Error adding creator to campaign:', error);
-      toast.error('Failed to add creator to campaign');
+      toast.error(error?.message || 'Failed to add creator to campaign');
     } finally {
       setIsAddingToCampaign(false);
     }
@@ -507,9 +707,42 @@ const CreatorProfileDetails = () => {
             <div className="lg:col-span-2">
               {activeTab === 'overview' && <OverviewTab creator={creator} />}
               {activeTab === 'campaigns' && <CampaignHistoryTab campaigns={campaigns} />}
-              {activeTab === 'payments' && <PaymentHistoryTab payments={payments} />}
-              {activeTab === 'pricing' && <PriceHistoryTab priceHistory={priceHistory} />}
-              {activeTab === 'notes' && <NotesTab notes={notes} onAddNote={handleAddNote} />}
+              {activeTab === 'deliverables' && <DeliverablesTab creatorId={creator?.id} />}
+              {activeTab === 'payments' && (
+                <PaymentHistoryTab
+                  payments={payments}
+                  creatorId={creator?.id}
+                  canManageDocuments={isSuperAdmin() || isAdmin() || isManager()}
+                />
+              )}
+              {activeTab === 'pricing' && (
+                <PriceHistoryTab
+                  priceHistory={priceHistory}
+                  currentRates={currentRates}
+                  loading={ratesLoading}
+                  onAddRate={handleAddRate}
+                />
+              )}
+              {activeTab === 'notes' && (
+                <NotesTab
+                  notes={noteThreads}
+                  loading={notesLoading}
+                  users={mentionableUsers}
+                  currentUserId={user?.id}
+                  canModerate={isSuperAdmin() || isAdmin()}
+                  onAddNote={handleAddNote}
+                  onEditNote={handleEditNote}
+                  onTogglePin={handleTogglePin}
+                  onDeleteNote={handleDeleteNote}
+                  onLoadHistory={creatorNoteService.getEditHistory}
+                />
+              )}
+              {activeTab === 'bank' && (
+                <div className="space-y-6">
+                  <BankDetailsTab creatorId={creator?.id} creatorName={creator?.name !== 'Unknown Creator' ? creator?.name : ''} />
+                  <TaxProfileTab creatorId={creator?.id} creatorName={creator?.name !== 'Unknown Creator' ? creator?.name : ''} />
+                </div>
+              )}
             </div>
 
             <div className="space-y-6">
@@ -532,7 +765,8 @@ const CreatorProfileDetails = () => {
             fetchCreatorData();
           }}
         />
-              {/* RecentActivityFeed and RelatedCreatorsWidget can be added later with real data */}
+              <RecentActivityFeed activities={recentActivities} />
+              {/* RelatedCreatorsWidget can be added later with real data */}
             </div>
           </div>
         </div>
@@ -610,11 +844,57 @@ const CreatorProfileDetails = () => {
                   <option value="">Choose a campaign...</option>
                   {availableCampaigns?.map(campaign => (
                     <option key={campaign.id} value={campaign.id}>
-                      {campaign.name} - {campaign.brand_name || campaign.brand}
+                      {campaign.name}{(campaign.linked_brand?.name || campaign.legacy_brand_name) ? ` - ${campaign.linked_brand?.name || campaign.legacy_brand_name}` : ''}
                     </option>
                   ))}
                 </select>
               </div>
+              <div className="grid grid-cols-3 gap-3 mb-4">
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Deliverable</label>
+                  <select
+                    value={campaignRateKey}
+                    onChange={(e) => handleCampaignRateChange(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">{currentRates.length ? 'Not from rate card' : 'No rate card yet'}</option>
+                    {currentRates.map(rate => (
+                      <option key={rateKey(rate)} value={rateKey(rate)}>
+                        {rateLabel(rate)} - {formatPrice(rate.price, rate.currency)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Quantity</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={campaignQuantity}
+                    onChange={(e) => handleCampaignQuantityChange(e.target.value)}
+                    disabled={!campaignRateKey}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                  />
+                  {campaignRateKey && !isWholeQuantity(campaignQuantity) && (
+                    <p className="mt-1 text-xs text-red-600">Enter a whole number</p>
+                  )}
+                </div>
+              </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Fixed Amount</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={campaignAmount}
+                  onChange={(e) => setCampaignAmount(e.target.value)}
+                  placeholder="Agreed amount"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                {campaignRateKey && (
+                  <p className="mt-1 text-xs text-gray-500">Pre-filled from the current rate card; adjust if the deal differs</p>
+                )}
+              </div>
               <div className="flex justify-end gap-3">
                 <button
                   onClick={() => setIsAddToCampaignModalOpen(false)}
@@ -625,7 +905,7 @@ const CreatorProfileDetails = () => {
                 </button>
                 <button
                   onClick={handleAddToCampaignConfirm}
-                  disabled={isAddingToCampaign || !selectedCampaign}
+                  disabled={isAddingToCampaign || !selectedCampaign || (campaignRateKey && !isWholeQuantity(campaignQuantity))}
                   className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center gap-2"
                 >
                   {isAddingToCampaign && (
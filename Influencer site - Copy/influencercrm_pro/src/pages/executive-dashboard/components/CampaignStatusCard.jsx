@@ -1,7 +1,7 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
 
-const CampaignStatusCard = ({ campaign }) => {
+const CampaignStatusCard = ({ campaign, isOverBudget = false, isLowPerformance = false }) => {
   const getStatusColor = () => {
     switch (campaign?.status) {
       case 'Active':
@@ -27,12 +27,28 @@ const CampaignStatusCard = ({ campaign }) => {
       <div className="flex items-start justify-between mb-3">
         <div className="flex-1 min-w-0">
           <h4 className="text-sm font-semibold text-foreground truncate">{campaign?.name}</h4>
-          <p className="text-xs text-muted-foreground mt-0.5">{campaign?.brand}</p>
+          <p className="text-xs text-muted-foreground mt-0.5">{campaign?.linked_brand?.name || campaign?.legacy_brand_name}</p>
         </div>
         <span className={`px-2 py-1 rounded-full text-xs font-medium border ${getStatusColor()}`}>
           {campaign?.status}
         </span>
       </div>
+      {(isOverBudget || isLowPerformance) && (
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-xs font-medium text-error">
+          {isOverBudget && (
+            <span className="flex items-center gap-1">
+              <Icon name="AlertTriangle" size={14} />
+              Over budget
+            </span>
+          )}
+          {isLowPerformance && (
+            <span className="flex items-center gap-1">
+              <Icon name="TrendingDown" size={14} />
+              ROI {Math.round(campaign?.roi)}%
+            </span>
+          )}
+        </div>
+      )}
       <div className="space-y-2">
         <div className="flex items-center justify-between text-xs">
           <span className="text-muted-foreground">Progress</span>
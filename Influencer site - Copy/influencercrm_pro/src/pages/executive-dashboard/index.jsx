@@ -20,6 +20,10 @@ import { campaignService } from '../../services/campaignService';
 import { creatorService } from '../../services/creatorService';
 import { exportUtils } from '../../utils/exportUtils';
 import { dashboardService } from '../../services/dashboardService';
+import { campaignBudgetService } from '../../services/campaignBudgetService';
+import { summarizeBudget } from '../../utils/campaignBudget';
+import { campaignOutcomeService } from '../../services/campaignOutcomeService';
+import { computeOutcomeMetrics } from '../../utils/campaignOutcomes';
 import { supabase } from '../../lib/supabase';
 
 const ExecutiveDashboard = () => {
@@ -47,7 +51,7 @@ const ExecutiveDashboard = () => {
         monthlyCampaignData,
         creatorAcquisitionData,
         creatorCategories,
-        campaignROIData
+        campaignPerformanceData
       ] = await Promise.all([
         // Total creators count
         supabase.from('creators').select('*', { count: 'exact', head: true }),
@@ -59,17 +63,17 @@ const ExecutiveDashboard = () => {
           .order('created_at', { ascending: false })
           .limit(5),
         
-        // Active campaigns with ROI data
+        // Active campaigns with budget data
         supabase
           .from('campaigns')
-          .select('*')
+          .select('*, linked_brand:brands!campaigns_brand_id_fkey(name)')
           .eq('status', 'active'),
         
-        // Pending payments
+        // Pending payments (unpaid ledger entries, net of deductions)
         supabase
           .from('payments')
-          .select('amount')
-          .in('status', ['pending', 'overdue']),
+          .select('net_amount')
+          .in('status', ['pending', 'awaiting_approval', 'approved', 'processing', 'overdue']),
         
         // Top performers (based on performance_score if available)
         supabase
@@ -95,10 +99,10 @@ const ExecutiveDashboard = () => {
           .from('creators')
           .select('category, niche'),
 
-        // Campaign ROI trends
+        // Campaign ROI and budget utilisation trends, from recorded outcomes
         supabase
-          .from('campaigns')
-          .select('name, budget, actual_spend, created_at, status')
+          .from('campaign_performance')
+          .select('*')
           .in('status', ['active', 'completed'])
           .order('created_at', { ascending: false })
           .limit(50)
@@ -116,11 +120,28 @@ const ExecutiveDashboard = () => {
         user: 'System'
       })) || [];
 
-      // Process campaigns
+      // Process campaigns, flagging those over budget or returning less than they cost
       const activeCampaigns = campaigns.data?.length || 0;
+      const activeIds = (campaigns.data || []).map(c => c.id);
+      const [budgetLines, performance] = await Promise.all([
+        campaignBudgetService.getSummaries(activeIds).catch(() => ({})),
+        campaignOutcomeService.getCampaignPerformance(activeIds).catch(() => [])
+      ]);
+      const campaignsWithBudget = (campaigns.data || []).map(campaign => {
+        const budget = summarizeBudget(budgetLines[campaign.id] || [], campaign.budget);
+        const outcome = computeOutcomeMetrics(performance.find(p => p.campaign_id === campaign.id));
+        return {
+          ...campaign,
+          committed_amount: budget.committed,
+          is_over_budget: budget.overCommitted || (budget.budget > 0 && Number(campaign.actual_spend || 0) > budget.budget),
+          roi: outcome.roi,
+          cpa: outcome.cpa,
+          is_low_performance: outcome.roi !== null && outcome.roi < 0
+        };
+      });
       
       // Process pending payments
-      const pendingPayments = payments.data?.reduce((sum, payment) => sum + (payment.amount || 0), 0) || 0;
+      const pendingPayments = payments.data?.reduce((sum, payment) => sum + Number(payment.net_amount || 0), 0) || 0;
       
       // Process top performers
       const topPerformersCount = topPerformers.data?.length || 0;
@@ -134,8 +155,10 @@ const ExecutiveDashboard = () => {
       // Process creator category distribution
       const creatorCategoryDistribution = processCategoryDistribution(creatorCategories.data || []);
 
-      // Process ROI trends
-      const roiTrends = processROIData(campaignROIData.data || []);
+      // Process ROI, CPA and budget utilisation trends
+      setRoiTrendsData(processROIData(campaignPerformanceData.data || []));
+      setCpaTrendsData(processCPAData(campaignPerformanceData.data || []));
+      setBudgetUseData(processBudgetUseData(campaignPerformanceData.data || []));
 
       // Calculate trends (simplified version)
       const trends = calculateTrends({
@@ -153,7 +176,7 @@ const ExecutiveDashboard = () => {
           topPerformers: topPerformersCount
         },
         trends,
-        campaigns: campaigns.data || [],
+        campaigns: campaignsWithBudget,
         creators: topPerformers.data || [],
         recentActivities,
         paymentAlerts: [], // Will be fetched separately
@@ -225,39 +248,39 @@ const ExecutiveDashboard = () => {
     }));
   };
 
-  // Helper function to process ROI data with conditional formatting
-  const processROIData = (data) => {
-    const monthlyROI = {};
+  // Helper function to average a per-campaign metric by month; campaigns
+  // where the metric can't be computed yet are left out
+  const processMonthlyMetric = (data, metricOf) => {
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    
-    // Initialize all months with 0
-    months.forEach(month => {
-      monthlyROI[month] = { totalROI: 0, count: 0, lowPerformanceCount: 0 };
-    });
-    
-    // Calculate ROI by month and track low performance
+    const monthly = Object.fromEntries(months.map(month => [month, { total: 0, count: 0 }]));
+
     data.forEach(campaign => {
-      if (campaign.budget && campaign.actual_spend) {
-        const roi = ((campaign.budget - campaign.actual_spend) / campaign.actual_spend) * 100;
-        const date = new Date(campaign.created_at);
-        const monthName = months[date.getMonth()];
-        monthlyROI[monthName].totalROI += roi;
-        monthlyROI[monthName].count++;
-        if (roi < 1) {
-          monthlyROI[monthName].lowPerformanceCount++;
-        }
+      const value = metricOf(campaign);
+      if (value !== null && value !== undefined) {
+        const monthName = months[new Date(campaign.created_at).getMonth()];
+        monthly[monthName].total += value;
+        monthly[monthName].count++;
       }
     });
-    
-    // Convert to array format for charts and calculate average
+
     return months.map(month => ({
       name: month,
-      value: Math.round(monthlyROI[month].totalROI / Math.max(1, monthlyROI[month].count)),
-      lowPerformance: monthlyROI[month].lowPerformanceCount,
-      totalCampaigns: monthlyROI[month].count
+      value: Math.round(monthly[month].total / Math.max(1, monthly[month].count)),
+      totalCampaigns: monthly[month].count
     }));
   };
 
+  // ROI is (attributed revenue - cost) / cost
+  const processROIData = (data) => processMonthlyMetric(data, campaign => computeOutcomeMetrics(campaign).roi);
+
+  // Cost per lead, install or promo redemption
+  const processCPAData = (data) => processMonthlyMetric(data, campaign => computeOutcomeMetrics(campaign).cpa);
+
+  // Spend as a % of budget; campaigns without a budget have nothing to measure against
+  const processBudgetUseData = (data) => processMonthlyMetric(data, campaign => (
+    Number(campaign.budget || 0) > 0 ? (Number(campaign.actual_spend || 0) / Number(campaign.budget)) * 100 : null
+  ));
+
   // Helper function to calculate trends (simplified)
   const calculateTrends = (metrics) => {
     return {
@@ -370,20 +393,9 @@ const ExecutiveDashboard = () => {
     { name: 'Other', value: 27 }
   ]);
 
-  const [roiTrendsData, setRoiTrendsData] = useState([
-    { name: 'Jan', value: 12.5 },
-    { name: 'Feb', value: 15.2 },
-    { name: 'Mar', value: 18.7 },
-    { name: 'Apr', value: 14.3 },
-    { name: 'May', value: 22.1 },
-    { name: 'Jun', value: 25.8 },
-    { name: 'Jul', value: 28.4 },
-    { name: 'Aug', value: 24.6 },
-    { name: 'Sep', value: 30.2 },
-    { name: 'Oct', value: 27.9 },
-    { name: 'Nov', value: 32.5 },
-    { name: 'Dec', value: 29.1 }
-  ]);
+  const [roiTrendsData, setRoiTrendsData] = useState([]);
+  const [cpaTrendsData, setCpaTrendsData] = useState([]);
+  const [budgetUseData, setBudgetUseData] = useState([]);
 
   const integrationStatus = [
     {
@@ -444,7 +456,7 @@ const ExecutiveDashboard = () => {
             .from('payments')
             .select(`
               *,
-              creator:creators(name, instagram_handle),
+              creator:creators(name, username),
               campaign:campaigns(name)
             `)
             .eq('status', 'overdue')
@@ -453,9 +465,9 @@ const ExecutiveDashboard = () => {
 
           const paymentAlerts = overduePayments?.map(payment => ({
             id: payment.id,
-            creator: payment.creator?.name || payment.creator?.instagram_handle || 'Unknown',
+            creator: payment.creator?.name || payment.creator?.username || 'Unknown',
             campaign: payment.campaign?.name || 'Unknown Campaign',
-            amount: payment.amount,
+            amount: Number(payment.net_amount ?? payment.amount),
             dueDate: payment.due_date,
             severity: 'high'
           })) || [];
@@ -572,21 +584,29 @@ const ExecutiveDashboard = () => {
     navigate('/creator-database-management?action=import');
   };
 
+  const lowPerformanceCampaigns = () => dashboardData?.campaigns?.filter(c => c.is_low_performance) || [];
+
   const handleViewLowPerformance = () => {
-    const lowPerfCampaigns = dashboardData?.campaigns?.filter(c => {
-      if (c.budget && c.actual_spend) {
-        const roi = ((c.budget - c.actual_spend) / c.actual_spend) * 100;
-        return roi < 1;
-      }
-      return false;
-    }) || [];
-    
-    if (lowPerfCampaigns.length > 0) {
-      addToast(`Found ${lowPerfCampaigns.length} low performance campaigns`, 'warning');
-      console.log(lowPerfCampaigns);
+    const lowPerformance = lowPerformanceCampaigns();
+    if (lowPerformance.length > 0) {
+      addToast(`${lowPerformance.length} campaigns returning less than they cost: ${lowPerformance.map(c => `${c.name} (${Math.round(c.roi)}%)`).join(', ')}`, 'warning');
+    } else {
+      addToast('No active campaigns have a negative ROI', 'success');
+    }
+  };
+
+  const overBudgetCampaigns = () => dashboardData?.campaigns?.filter(c => c.is_over_budget) || [];
+
+  const handleViewOverBudget = () => {
+    const overBudget = overBudgetCampaigns();
+    if (overBudget.length > 0) {
+      addToast(`${overBudget.length} campaigns over budget: ${overBudget.map(c => c.name).join(', ')}`, 'warning');
+    } else {
+      addToast('No active campaigns are over budget', 'success');
     }
   };
 
+
   const formatLastUpdated = () => {
     const now = new Date();
     const diff = Math.floor((now - lastUpdated) / 1000);
@@ -711,6 +731,16 @@ const ExecutiveDashboard = () => {
                 >
                   Import Creators
                 </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  iconName="AlertTriangle"
+                  iconPosition="left"
+                  onClick={handleViewOverBudget}
+                  className="w-full justify-start text-red-600 border-red-200 hover:bg-red-50"
+                >
+                  Over Budget ({overBudgetCampaigns().length})
+                </Button>
                 <Button
                   variant="outline"
                   size="sm"
@@ -719,13 +749,7 @@ const ExecutiveDashboard = () => {
                   onClick={handleViewLowPerformance}
                   className="w-full justify-start text-red-600 border-red-200 hover:bg-red-50"
                 >
-                  Low Performance ({dashboardData?.campaigns?.filter(c => {
-                    if (c.budget && c.actual_spend) {
-                      const roi = ((c.budget - c.actual_spend) / c.actual_spend) * 100;
-                      return roi < 1;
-                    }
-                    return false;
-                  })?.length || 0})
+                  Low Performance ({lowPerformanceCampaigns().length})
                 </Button>
               </div>
               
@@ -738,16 +762,12 @@ const ExecutiveDashboard = () => {
                     <span className="font-medium">{dashboardData?.metrics?.activeCampaigns || 0}</span>
                   </div>
                   <div className="flex items-center justify-between text-sm">
-                    <span className="text-muted-foreground">Low ROI (&lt;1%)</span>
-                    <span className="font-medium text-red-600">
-                      {dashboardData?.campaigns?.filter(c => {
-                        if (c.budget && c.actual_spend) {
-                          const roi = ((c.budget - c.actual_spend) / c.actual_spend) * 100;
-                          return roi < 1;
-                        }
-                        return false;
-                      })?.length || 0}
-                    </span>
+                    <span className="text-muted-foreground">Over Budget</span>
+                    <span className="font-medium text-red-600">{overBudgetCampaigns().length}</span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-muted-foreground">Negative ROI</span>
+                    <span className="font-medium text-red-600">{lowPerformanceCampaigns().length}</span>
                   </div>
                   <div className="flex items-center justify-between text-sm">
                     <span className="text-muted-foreground">Pending Payments</span>
@@ -771,20 +791,14 @@ const ExecutiveDashboard = () => {
                 </Button>
               </div>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {(dashboardData?.campaigns || []).filter(c => c?.status === 'active').map((campaign, index) => {
-                  const roi = campaign.budget && campaign.actual_spend 
-                    ? ((campaign.budget - campaign.actual_spend) / campaign.actual_spend) * 100 
-                    : 0;
-                  const isLowPerformance = roi < 1;
-                  
-                  return (
-                    <CampaignStatusCard 
-                      key={campaign?.id ?? index} 
-                      campaign={campaign}
-                      isLowPerformance={isLowPerformance}
-                    />
-                  );
-                })}
+                {(dashboardData?.campaigns || []).filter(c => c?.status === 'active').map((campaign, index) => (
+                  <CampaignStatusCard 
+                    key={campaign?.id ?? index} 
+                    campaign={campaign}
+                    isOverBudget={campaign?.is_over_budget}
+                    isLowPerformance={campaign?.is_low_performance}
+                  />
+                ))}
               </div>
             </div>
 
@@ -838,6 +852,21 @@ const ExecutiveDashboard = () => {
             />
           </div>
 
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <ChartSection
+              type="line"
+              title="Cost per Acquisition (₹)"
+              data={cpaTrendsData}
+              loading={isRefreshing}
+            />
+            <ChartSection
+              type="area"
+              title="Campaign Budget Utilisation (%)"
+              data={budgetUseData}
+              loading={isRefreshing}
+            />
+          </div>
+
           <div className="bg-card border border-border rounded-lg p-6 mb-6">
             <h2 className="text-lg font-semibold text-foreground mb-4">Integration Status</h2>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -3,28 +3,38 @@ import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Select from '../../../components/ui/Select';
 
-const BulkOperationsToolbar = ({ selectedCount, onBulkAction, userRole }) => {
+// Approve/reject collect a comment and payout files collect a bank layout in
+// the page's own modals instead of the confirmation dialog
+const MODAL_ACTIONS = ['approve', 'reject', 'payout_file'];
+
+const BulkOperationsToolbar = ({ selectedCount, onBulkAction, canApprove = false, canCreatePayouts = false, isSuperAdmin = false }) => {
   const [bulkAction, setBulkAction] = useState('');
   const [showConfirmation, setShowConfirmation] = useState(false);
 
-  const bulkActions = userRole === 'Super Admin' ? [
+  const bulkActions = [
     { value: '', label: 'Select Action' },
-    { value: 'mark_processing', label: 'Mark as Processing' },
-    { value: 'mark_paid', label: 'Mark as Paid' },
-    { value: 'change_method', label: 'Change Payment Method' },
+    { value: 'request_approval', label: 'Send for Approval' },
+    ...(canApprove ? [
+      { value: 'approve', label: 'Approve' },
+      { value: 'reject', label: 'Reject' }
+    ] : []),
+    // Sending to the bank and marking paid are approver actions too
+    ...(canCreatePayouts && canApprove ? [{ value: 'payout_file', label: 'Generate Payout File' }] : []),
+    ...(canApprove ? [
+      { value: 'mark_processing', label: 'Mark as Processing' },
+      { value: 'mark_paid', label: 'Mark as Paid' }
+    ] : []),
+    ...(isSuperAdmin ? [{ value: 'change_method', label: 'Change Payment Method' }] : []),
     { value: 'send_reminder', label: 'Send Payment Reminder' },
     { value: 'export_selected', label: 'Export Selected' },
-    { value: 'delete', label: 'Delete Selected' }
-  ] : [
-    { value: '', label: 'Select Action' },
-    { value: 'mark_processing', label: 'Mark as Processing' },
-    { value: 'mark_paid', label: 'Mark as Paid' },
-    { value: 'send_reminder', label: 'Send Payment Reminder' },
-    { value: 'export_selected', label: 'Export Selected' }
+    ...(isSuperAdmin ? [{ value: 'delete', label: 'Delete Selected' }] : [])
   ];
 
   const handleApplyAction = () => {
-    if (bulkAction) {
+    if (MODAL_ACTIONS.includes(bulkAction)) {
+      onBulkAction(bulkAction);
+      setBulkAction('');
+    } else if (bulkAction) {
       setShowConfirmation(true);
     }
   };
@@ -39,7 +39,7 @@ const ExportReportModal = ({ isOpen, onClose, onExport, payments = [] }) => {
     { value: 'status', label: 'Payment Status' },
     { value: 'reference', label: 'Reference Number' },
     { value: 'method', label: 'Payment Method' },
-    { value: 'integration', label: 'Integration Status' }
+    { value: 'deductions', label: 'TDS / GST Deductions' }
   ];
 
   const handleStatusToggle = (status) => {
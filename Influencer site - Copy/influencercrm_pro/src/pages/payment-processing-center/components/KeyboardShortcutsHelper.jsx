@@ -5,7 +5,8 @@ const KeyboardShortcutsHelper = () => {
   const [isVisible, setIsVisible] = useState(false);
 
   const shortcuts = [
-    { key: 'P', description: 'Mark selected as Processing' },
+    { key: 'R', description: 'Send selected for approval' },
+    { key: 'P', description: 'Mark approved selection as Processing' },
     { key: 'M', description: 'Mark selected as Paid' },
     { key: 'N', description: 'Add note to selected' },
     { key: 'E', description: 'Export current view' },
@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { paymentService } from '../../../services/paymentService';
+import { taxService } from '../../../services/taxService';
+import { creatorBankAccountService } from '../../../services/creatorBankAccountService';
+import { PAYMENT_METHODS } from '../../../utils/paymentLedger';
+import { tdsSectionOptions } from '../../../utils/taxEngine';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+})?.format(amount || 0);
+
+const EMPTY_FORM = {
+  campaignCreatorId: '',
+  amount: '',
+  dueDate: '',
+  paymentMethod: 'bank_transfer',
+  tdsSection: '',
+  tdsAmount: '',
+  gstAmount: '',
+  notes: ''
+};
+
+/**
+ * Schedule a full or partial payment against a campaign assignment. TDS
+ * and GST are filled in from the creator's tax profile until edited by hand.
+ * @param {Function} onCreated - async (paymentRow) => void
+ */
+const NewPaymentModal = ({ isOpen, onClose, onCreated }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [canComputeTax, setCanComputeTax] = useState(false);
+  const [taxContext, setTaxContext] = useState(null);
+  const [taxEdited, setTaxEdited] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(EMPTY_FORM);
+    setError(null);
+    setTaxContext(null);
+    setTaxEdited(false);
+    setLoading(true);
+    creatorBankAccountService?.canManage()?.then(setCanComputeTax);
+    paymentService?.getPayableAssignments()
+      ?.then(setAssignments)
+      ?.catch(err => setError(err?.message || 'Failed to load campaign assignments'))
+      ?.finally(() => setLoading(false));
+  }, [isOpen]);
+
+  const selected = assignments?.find(a => a?.id === form?.campaignCreatorId);
+  const creatorId = selected?.creator?.id;
+
+  // Tax profiles are finance-only; others enter TDS and GST by hand
+  useEffect(() => {
+    setTaxContext(null);
+    if (!isOpen || !canComputeTax || !creatorId) return;
+    taxService?.getTaxContext(creatorId)
+      ?.then(setTaxContext)
+      ?.catch(err => console.error('Error loading tax context:', err));
+  }, [isOpen, canComputeTax, creatorId]);
+
+  const tax = useMemo(
+    () => (taxContext ? taxService?.compute(taxContext, Number(form?.amount) || 0, form?.tdsSection) : null),
+    [taxContext, form?.amount, form?.tdsSection]
+  );
+
+  useEffect(() => {
+    if (!tax || taxEdited) return;
+    setForm(prev => ({
+      ...prev,
+      tdsSection: tax?.section,
+      tdsAmount: tax?.tdsAmount ? String(tax?.tdsAmount) : '',
+      gstAmount: tax?.gstAmount ? String(tax?.gstAmount) : ''
+    }));
+  }, [tax, taxEdited]);
+
+  const assignmentOptions = useMemo(() => assignments?.map(a => ({
+    value: a?.id,
+    label: `${a?.creator?.name || 'Unknown creator'} — ${a?.campaign?.name || 'Unknown campaign'}`,
+    description: a?.fixed_amount
+      ? `Contract ${formatAmount(a?.fixed_amount)} • ${formatAmount(a?.unscheduled_amount)} not yet scheduled`
+      : 'No contract amount set'
+  })), [assignments]);
+
+  const netAmount = (Number(form?.amount) || 0) + (Number(form?.gstAmount) || 0) - (Number(form?.tdsAmount) || 0);
+
+  const handleChange = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    setError(null);
+  };
+
+  const handleTaxAmountChange = (key, value) => {
+    setTaxEdited(true);
+    handleChange(key, value);
+  };
+
+  const handleRecalculate = () => {
+    setTaxEdited(false);
+    setError(null);
+  };
+
+  const handleSelectAssignment = (id) => {
+    const assignment = assignments?.find(a => a?.id === id);
+    // Default to whatever is left on the contract
+    setForm(prev => ({
+      ...prev,
+      campaignCreatorId: id,
+      amount: assignment?.unscheduled_amount > 0 ? String(assignment?.unscheduled_amount) : prev?.amount
+    }));
+    setError(null);
+  };
+
+  const handleSubmit = async () => {
+    const amount = Number(form?.amount);
+    if (!form?.campaignCreatorId) {
+      setError('Select a campaign assignment');
+      return;
+    }
+    if (!amount || amount <= 0) {
+      setError('Enter an amount greater than 0');
+      return;
+    }
+    if (netAmount < 0) {
+      setError('TDS cannot exceed the amount plus GST');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const payment = await paymentService?.create({
+        campaignCreatorId: form?.campaignCreatorId,
+        amount,
+        tdsAmount: Number(form?.tdsAmount) || 0,
+        gstAmount: Number(form?.gstAmount) || 0,
+        tdsSection: form?.tdsSection || null,
+        // Rates are only recorded when the amounts are the computed ones
+        tdsRate: tax && !taxEdited ? tax?.tdsRate : null,
+        gstRate: tax && !taxEdited ? tax?.gstRate : null,
+        dueDate: form?.dueDate,
+        paymentMethod: form?.paymentMethod,
+        notes: form?.notes
+      });
+      await onCreated?.(payment);
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Failed to create payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-2xl w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="Plus" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">New Payment</h2>
+              <p className="text-xs text-muted-foreground">Schedule a full or partial payment for a campaign creator</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <Select
+            label="Creator & Campaign"
+            options={assignmentOptions}
+            value={form?.campaignCreatorId}
+            onChange={handleSelectAssignment}
+            placeholder={loading ? 'Loading assignments...' : 'Select assignment'}
+            disabled={loading}
+            searchable
+          />
+
+          {selected && (
+            <div className="grid grid-cols-3 gap-3 p-3 bg-muted/50 rounded-md text-sm">
+              <div>
+                <p className="text-xs text-muted-foreground">Contract</p>
+                <p className="font-medium text-foreground">{formatAmount(selected?.fixed_amount)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Paid</p>
+                <p className="font-medium text-success">{formatAmount(selected?.paid_amount)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Scheduled, unpaid</p>
+                <p className="font-medium text-warning">{formatAmount(selected?.scheduled_amount)}</p>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Amount (₹)"
+              type="number"
+              min="0"
+              value={form?.amount}
+              onChange={(e) => handleChange('amount', e?.target?.value)}
+              description={selected?.unscheduled_amount > 0 && Number(form?.amount) < selected?.unscheduled_amount ? 'Partial payment' : undefined}
+            />
+            <Input
+              label="Due Date"
+              type="date"
+              value={form?.dueDate}
+              onChange={(e) => handleChange('dueDate', e?.target?.value)}
+            />
+            <Select
+              label="Payment Method"
+              options={PAYMENT_METHODS?.map(({ value, label }) => ({ value, label }))}
+              value={form?.paymentMethod}
+              onChange={(value) => handleChange('paymentMethod', value)}
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <Input
+                label="TDS (₹)"
+                type="number"
+                min="0"
+                value={form?.tdsAmount}
+                onChange={(e) => handleTaxAmountChange('tdsAmount', e?.target?.value)}
+              />
+              <Input
+                label="GST (₹)"
+                type="number"
+                min="0"
+                value={form?.gstAmount}
+                onChange={(e) => handleTaxAmountChange('gstAmount', e?.target?.value)}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-start">
+            <Select
+              label="TDS Section"
+              options={tdsSectionOptions(taxContext?.rates)}
+              value={form?.tdsSection}
+              onChange={(value) => handleChange('tdsSection', value)}
+              placeholder="Select section"
+            />
+            <div className="text-xs text-muted-foreground pt-6 space-y-1">
+              {!canComputeTax ? (
+                <p>Enter TDS and GST manually; tax profiles are visible to finance roles only.</p>
+              ) : !creatorId ? (
+                <p>TDS and GST are calculated from the creator's tax profile.</p>
+              ) : !taxContext ? (
+                <p>Loading tax profile...</p>
+              ) : (
+                <>
+                  <p>
+                    {taxContext?.profile ? '' : 'No tax profile • '}
+                    TDS {tax?.tdsRate}% • GST {tax?.gstRate ? `${tax?.gstRate}%` : 'not registered'}
+                  </p>
+                  {tax?.notes?.map(note => <p key={note}>{note}</p>)}
+                  {taxEdited && (
+                    <button type="button" onClick={handleRecalculate} className="text-primary hover:underline">
+                      Edited by hand • Recalculate
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+
+          <Input
+            label="Notes"
+            type="text"
+            placeholder="e.g. 50% advance on contract signing"
+            value={form?.notes}
+            onChange={(e) => handleChange('notes', e?.target?.value)}
+          />
+
+          <div className="flex items-center justify-between p-3 border border-border rounded-md">
+            <span className="text-sm text-muted-foreground">Net payable (amount + GST − TDS)</span>
+            <span className="text-lg font-semibold text-foreground">{formatAmount(netAmount)}</span>
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-sm text-error">
+              <Icon name="AlertCircle" size={16} />
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-card border-t border-border px-6 py-4 flex items-center justify-end gap-3">
+          <Button variant="outline" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            variant="default"
+            iconName="Check"
+            iconPosition="left"
+            onClick={handleSubmit}
+            loading={saving}
+            disabled={saving || loading}
+          >
+            Create Payment
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewPaymentModal;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+})?.format(amount || 0);
+
+/**
+ * Approve or reject one or more payments with a comment
+ * @param {string} decision - approved | rejected
+ * @param {Array} payments - Table rows being decided
+ * @param {Function} onConfirm - async (comment) => void
+ */
+const PaymentDecisionModal = ({ decision, payments = [], onClose, onConfirm }) => {
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setComment('');
+    setError(null);
+  }, [decision]);
+
+  if (!decision) return null;
+
+  const isReject = decision === 'rejected';
+  const total = payments?.reduce((sum, p) => sum + (p?.netAmount || 0), 0);
+
+  const handleConfirm = async () => {
+    if (isReject && !comment?.trim()) {
+      setError('Add a comment explaining why the payment is rejected');
+      return;
+    }
+    setSaving(true);
+    try {
+      await onConfirm(comment);
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Failed to record decision');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-md w-full p-6">
+        <div className="flex items-start gap-4">
+          <div className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center ${isReject ? 'bg-error/10' : 'bg-success/10'}`}>
+            <Icon
+              name={isReject ? 'XCircle' : 'CheckCircle'}
+              size={24}
+              color={isReject ? 'var(--color-error)' : 'var(--color-success)'}
+            />
+          </div>
+          <div className="flex-1">
+            <h3 className="text-lg font-semibold text-foreground mb-1">
+              {isReject ? 'Reject' : 'Approve'} {payments?.length} payment{payments?.length !== 1 ? 's' : ''}
+            </h3>
+            <p className="text-sm text-muted-foreground mb-4">
+              {formatAmount(total)} net
+              {payments?.length === 1 && ` • ${payments?.[0]?.referenceNumber} • ${payments?.[0]?.creatorName}`}
+            </p>
+
+            <label className="block text-sm font-medium text-foreground mb-2">
+              Comment{isReject ? '' : ' (optional)'}
+            </label>
+            <textarea
+              value={comment}
+              onChange={(e) => {
+                setComment(e?.target?.value);
+                setError(null);
+              }}
+              rows={3}
+              className="w-full px-3 py-2 text-sm bg-background border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+              placeholder={isReject ? 'e.g. Deliverables not yet verified' : 'e.g. Matches signed contract'}
+            />
+            {error && <p className="text-sm text-error mt-2">{error}</p>}
+
+            <div className="flex gap-3 mt-4">
+              <Button
+                variant={isReject ? 'destructive' : 'default'}
+                size="sm"
+                onClick={handleConfirm}
+                loading={saving}
+                disabled={saving}
+                fullWidth
+              >
+                {isReject ? 'Reject' : 'Approve'}
+              </Button>
+              <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentDecisionModal;
@@ -3,8 +3,9 @@ import Icon from '../../../components/AppIcon';
 import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
 import Button from '../../../components/ui/Button';
+import { PAYMENT_METHODS } from '../../../utils/paymentLedger';
 
-const PaymentFilterSidebar = ({ filters, onFilterChange, onClearFilters, savedPresets, onSavePreset }) => {
+const PaymentFilterSidebar = ({ filters, onFilterChange, onClearFilters, savedPresets, onSavePreset, creatorOptions = [] }) => {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [presetName, setPresetName] = useState('');
   const [showPresetInput, setShowPresetInput] = useState(false);
@@ -20,20 +21,12 @@ const PaymentFilterSidebar = ({ filters, onFilterChange, onClearFilters, savedPr
 
   const paymentMethods = [
     { value: 'all', label: 'All Methods' },
-    { value: 'bank_transfer', label: 'Bank Transfer' },
-    { value: 'upi', label: 'UPI' },
-    { value: 'cheque', label: 'Cheque' },
-    { value: 'cash', label: 'Cash' },
-    { value: 'wallet', label: 'Digital Wallet' }
+    ...PAYMENT_METHODS.map(({ value, label }) => ({ value, label }))
   ];
 
   const creators = [
     { value: 'all', label: 'All Creators' },
-    { value: 'sarah_johnson', label: 'Sarah Johnson' },
-    { value: 'priya_sharma', label: 'Priya Sharma' },
-    { value: 'rahul_verma', label: 'Rahul Verma' },
-    { value: 'ananya_patel', label: 'Ananya Patel' },
-    { value: 'vikram_singh', label: 'Vikram Singh' }
+    ...creatorOptions
   ];
 
   const handleSavePreset = () => {
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import { paymentService } from '../../../services/paymentService';
+import { paymentStatusLabel } from '../../../utils/paymentLedger';
+
+const formatDateTime = (value) => new Date(value)?.toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Audit trail of status transitions and approver decisions for one payment
+ * @param {Object} payment - Row as shown in the payment table
+ */
+const PaymentHistoryModal = ({ payment, onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!payment?.id) return;
+    setLoading(true);
+    setError(null);
+    Promise.all([
+      paymentService?.getStatusHistory(payment?.id),
+      paymentService?.getApprovals(payment?.id)
+    ])
+      ?.then(([statusHistory, decisions]) => {
+        setHistory(statusHistory);
+        setApprovals(decisions);
+      })
+      ?.catch(err => setError(err?.message || 'Failed to load history'))
+      ?.finally(() => setLoading(false));
+  }, [payment?.id]);
+
+  if (!payment) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-lg w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="History" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">{payment?.referenceNumber}</h2>
+              <p className="text-xs text-muted-foreground">
+                {payment?.creatorName} • {payment?.campaignName}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {loading ? (
+            <p className="text-sm text-muted-foreground text-center py-6">Loading history...</p>
+          ) : error ? (
+            <p className="text-sm text-error text-center py-6">{error}</p>
+          ) : history?.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No status changes recorded</p>
+          ) : (
+            <div className="space-y-4">
+              {history?.map(entry => (
+                <div key={entry?.id} className="border-l-2 border-primary pl-4 pb-2 last:pb-0">
+                  <div className="text-sm font-medium text-foreground">
+                    {entry?.from_status
+                      ? `${paymentStatusLabel(entry?.from_status)} → ${paymentStatusLabel(entry?.to_status)}`
+                      : `Created as ${paymentStatusLabel(entry?.to_status)}`}
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    {formatDateTime(entry?.changed_at)} • {entry?.changed_by_email || 'System'}
+                  </div>
+                  {entry?.note && <p className="text-sm text-muted-foreground mt-1">{entry?.note}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {!loading && !error && approvals?.length > 0 && (
+            <div className="mt-6 pt-4 border-t border-border">
+              <h3 className="text-sm font-semibold text-foreground mb-3">Approver Decisions</h3>
+              <div className="space-y-3">
+                {approvals?.map(approval => (
+                  <div key={approval?.id} className="flex items-start gap-3">
+                    <Icon
+                      name={approval?.decision === 'approved' ? 'CheckCircle' : 'XCircle'}
+                      size={16}
+                      color={approval?.decision === 'approved' ? 'var(--color-success)' : 'var(--color-error)'}
+                      className="mt-0.5"
+                    />
+                    <div>
+                      <div className="text-sm text-foreground">
+                        {approval?.decision === 'approved' ? 'Approved' : 'Rejected'} by {approval?.approver_email || 'Unknown'}
+                        <span className="text-xs text-muted-foreground"> • round {approval?.approval_round}</span>
+                      </div>
+                      <div className="text-xs text-muted-foreground">{formatDateTime(approval?.created_at)}</div>
+                      {approval?.comment && <p className="text-sm text-muted-foreground mt-1">{approval?.comment}</p>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentHistoryModal;
@@ -11,6 +11,22 @@ const PaymentStatusTabs = ({ activeTab, onTabChange, statusCounts, statusTotals
       count: statusCounts?.pending,
       total: statusTotals?.pending
     },
+    {
+      id: 'awaiting_approval',
+      label: 'Awaiting Approval',
+      icon: 'UserCheck',
+      color: 'warning',
+      count: statusCounts?.awaiting_approval,
+      total: statusTotals?.awaiting_approval
+    },
+    {
+      id: 'approved',
+      label: 'Approved',
+      icon: 'BadgeCheck',
+      color: 'success',
+      count: statusCounts?.approved,
+      total: statusTotals?.approved
+    },
     {
       id: 'processing',
       label: 'Processing',
@@ -34,6 +50,14 @@ const PaymentStatusTabs = ({ activeTab, onTabChange, statusCounts, statusTotals
       color: 'error',
       count: statusCounts?.overdue,
       total: statusTotals?.overdue
+    },
+    {
+      id: 'cancelled',
+      label: 'Cancelled',
+      icon: 'XCircle',
+      color: 'secondary',
+      count: statusCounts?.cancelled,
+      total: statusTotals?.cancelled
     }
   ];
 
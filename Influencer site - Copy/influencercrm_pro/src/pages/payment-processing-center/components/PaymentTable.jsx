@@ -9,9 +9,13 @@ const PaymentTable = ({
   onSelectAll, 
   onSelectPayment, 
   onUpdatePayment,
+  onViewHistory,
+  onDecide,
   sortConfig,
   onSort,
-  userRole 
+  canEdit,
+  canApprove,
+  currentUserId
 }) => {
   const columns = [
     { key: 'select', label: '', sortable: false, width: '50px' },
@@ -22,7 +26,7 @@ const PaymentTable = ({
     { key: 'paymentMethod', label: 'Method', sortable: true },
     { key: 'status', label: 'Status', sortable: true },
     { key: 'reference', label: 'Reference', sortable: false },
-    { key: 'integration', label: 'Integration', sortable: false },
+    { key: 'netAmount', label: 'Net Payable', sortable: true },
     { key: 'actions', label: 'Actions', sortable: false, width: '150px' }
   ];
 
@@ -99,7 +103,11 @@ const PaymentTable = ({
                 isSelected={selectedPayments?.includes(payment?.id)}
                 onSelect={onSelectPayment}
                 onUpdate={onUpdatePayment}
-                userRole={userRole}
+                onViewHistory={onViewHistory}
+                onDecide={onDecide}
+                canEdit={canEdit}
+                canApprove={canApprove}
+                currentUserId={currentUserId}
               />
             ))
           )}
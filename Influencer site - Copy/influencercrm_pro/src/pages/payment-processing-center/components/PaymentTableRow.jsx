@@ -4,25 +4,35 @@ import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
 import Button from '../../../components/ui/Button';
 import { Checkbox } from '../../../components/ui/Checkbox';
+import { PAYMENT_STATUSES, RELEASE_STATUSES, allowedNextStatuses, requiresUtr, paymentStatusLabel } from '../../../utils/paymentLedger';
 
-const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole }) => {
+const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, onViewHistory, onDecide, canEdit, canApprove, currentUserId }) => {
   const [isEditing, setIsEditing] = useState(false);
-  const [editedReference, setEditedReference] = useState(payment?.referenceNumber);
+  const [editedUtr, setEditedUtr] = useState(payment?.utrNumber || '');
   const [editedStatus, setEditedStatus] = useState(payment?.status);
+  const [editError, setEditError] = useState(null);
 
-  const statusOptions = [
-    { value: 'pending', label: 'Pending' },
-    { value: 'processing', label: 'Processing' },
-    { value: 'paid', label: 'Paid' },
-    { value: 'overdue', label: 'Overdue' }
-  ];
+  const isLocked = payment?.status === 'paid' || payment?.status === 'cancelled';
+  // Maker-checker: requesters cannot decide on or release their own payments
+  const canDecide = canApprove && payment?.status === 'awaiting_approval' && payment?.requestedBy !== currentUserId;
+  const canRelease = canApprove && payment?.requestedBy !== currentUserId;
+  // Only the requester can pull a payment back out of approval
+  const canWithdraw = payment?.status === 'awaiting_approval' && payment?.requestedBy === currentUserId;
+  // Only transitions the ledger allows from the current status
+  const statusOptions = PAYMENT_STATUSES?.filter(option =>
+    allowedNextStatuses(payment?.status)?.includes(option?.value) &&
+    (canRelease || option?.value === payment?.status || !RELEASE_STATUSES.includes(option?.value)) &&
+    (canWithdraw || payment?.status !== 'awaiting_approval' || option?.value !== 'pending'));
 
   const getStatusColor = (status) => {
     const colors = {
       pending: 'warning',
+      awaiting_approval: 'warning',
+      approved: 'success',
       processing: 'primary',
       paid: 'success',
-      overdue: 'error'
+      overdue: 'error',
+      cancelled: 'secondary'
     };
     return colors?.[status] || 'secondary';
   };
@@ -39,10 +49,11 @@ const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole })
       style: 'currency',
       currency: 'INR',
       maximumFractionDigits: 0
-    })?.format(amount);
+    })?.format(amount || 0);
   };
 
   const formatDate = (dateString) => {
+    if (!dateString) return 'No due date';
     const date = new Date(dateString);
     return date?.toLocaleDateString('en-IN', {
       day: '2-digit',
@@ -51,17 +62,22 @@ const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole })
     });
   };
 
-  const handleSave = () => {
-    onUpdate(payment?.id, {
-      referenceNumber: editedReference,
-      status: editedStatus
+  const handleSave = async () => {
+    if (editedStatus === 'paid' && requiresUtr(payment?.paymentMethodValue) && !editedUtr?.trim()) {
+      setEditError('UTR required');
+      return;
+    }
+    const saved = await onUpdate(payment?.id, {
+      status: editedStatus,
+      utrNumber: editedUtr
     });
-    setIsEditing(false);
+    if (saved !== false) setIsEditing(false);
   };
 
   const handleCancel = () => {
-    setEditedReference(payment?.referenceNumber);
+    setEditedUtr(payment?.utrNumber || '');
     setEditedStatus(payment?.status);
+    setEditError(null);
     setIsEditing(false);
   };
 
@@ -82,11 +98,18 @@ const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole })
       <td className="px-4 py-3">
         <div className="flex flex-col">
           <span className="text-sm text-foreground">{payment?.campaignName}</span>
-          <span className="text-xs text-muted-foreground">#{payment?.campaignId}</span>
+          {payment?.contractAmount > 0 && (
+            <span className="text-xs text-muted-foreground">
+              {formatAmount(payment?.contractPaid)} of {formatAmount(payment?.contractAmount)} paid
+            </span>
+          )}
         </div>
       </td>
       <td className="px-4 py-3">
-        <span className="text-sm font-semibold text-foreground">{formatAmount(payment?.amount)}</span>
+        <div className="flex flex-col">
+          <span className="text-sm font-semibold text-foreground">{formatAmount(payment?.amount)}</span>
+          {payment?.isPartial && <span className="text-xs text-muted-foreground">Partial</span>}
+        </div>
       </td>
       <td className="px-4 py-3">
         <div className="flex flex-col">
@@ -107,38 +130,69 @@ const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole })
             <Select
               options={statusOptions}
               value={editedStatus}
-              onChange={setEditedStatus}
+              onChange={(value) => {
+                setEditedStatus(value);
+                setEditError(null);
+              }}
             />
           </div>
         ) : (
           <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-${getStatusColor(payment?.status)}/10 text-${getStatusColor(payment?.status)} border border-${getStatusColor(payment?.status)}/20`}>
-            {payment?.status?.charAt(0)?.toUpperCase() + payment?.status?.slice(1)}
+            {paymentStatusLabel(payment?.status)}
           </span>
         )}
+        {!isEditing && payment?.status === 'awaiting_approval' && (
+          <p className="text-xs text-muted-foreground mt-1">
+            {payment?.approvalCount} of {payment?.requiredApprovals} approval{payment?.requiredApprovals !== 1 ? 's' : ''}
+            {payment?.requestedByEmail && ` • by ${payment?.requestedByEmail}`}
+          </p>
+        )}
+        {!isEditing && payment?.statusNote && (
+          <p className="text-xs text-muted-foreground mt-1">{payment?.statusNote}</p>
+        )}
       </td>
       <td className="px-4 py-3">
         {isEditing ? (
           <Input
             type="text"
-            value={editedReference}
-            onChange={(e) => setEditedReference(e?.target?.value)}
-            placeholder="Enter reference"
+            value={editedUtr}
+            onChange={(e) => {
+              setEditedUtr(e?.target?.value);
+              setEditError(null);
+            }}
+            placeholder="UTR / transaction ID"
+            error={editError}
           />
         ) : (
-          <span className="text-sm text-foreground">{payment?.referenceNumber || '-'}</span>
+          <div className="flex flex-col">
+            <span className="text-sm text-foreground">{payment?.referenceNumber}</span>
+            <span className="text-xs text-muted-foreground">
+              {payment?.utrNumber ? `UTR ${payment?.utrNumber}` : 'No UTR yet'}
+            </span>
+            {payment?.payoutBatchNumber && (
+              <span className="text-xs text-muted-foreground">Batch {payment?.payoutBatchNumber}</span>
+            )}
+            {payment?.reconciledAt && (
+              <span
+                className="inline-flex items-center gap-1 text-xs text-success"
+                title={`Matched to bank statement on ${new Date(payment?.reconciledAt)?.toLocaleDateString('en-IN')}`}
+              >
+                <Icon name="Landmark" size={12} />
+                Reconciled
+              </span>
+            )}
+          </div>
         )}
       </td>
       <td className="px-4 py-3">
-        <div className="flex items-center gap-2">
-          {payment?.gatewaySync && (
-            <div className="flex items-center gap-1" title="Payment gateway synced">
-              <Icon name="CheckCircle" size={16} color="var(--color-success)" />
-            </div>
-          )}
-          {payment?.bankReconciled && (
-            <div className="flex items-center gap-1" title="Bank reconciled">
-              <Icon name="Building" size={16} color="var(--color-primary)" />
-            </div>
+        <div className="flex flex-col">
+          <span className="text-sm font-medium text-foreground">{formatAmount(payment?.netAmount)}</span>
+          {(payment?.tdsAmount > 0 || payment?.gstAmount > 0) && (
+            <span className="text-xs text-muted-foreground">
+              {payment?.tdsAmount > 0 && `TDS${payment?.tdsSection ? ` ${payment?.tdsSection}` : ''} −${formatAmount(payment?.tdsAmount)}`}
+              {payment?.tdsAmount > 0 && payment?.gstAmount > 0 && ' • '}
+              {payment?.gstAmount > 0 && `GST +${formatAmount(payment?.gstAmount)}`}
+            </span>
           )}
         </div>
       </td>
@@ -163,7 +217,35 @@ const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole })
             </>
           ) : (
             <>
-              {(userRole === 'Super Admin' || userRole === 'Manager') && (
+              {canDecide && (
+                <>
+                  <Button
+                    variant="ghost"
+                    size="xs"
+                    iconName="CheckCircle"
+                    onClick={() => onDecide?.(payment, 'approved')}
+                    aria-label="Approve payment"
+                  />
+                  <Button
+                    variant="ghost"
+                    size="xs"
+                    iconName="XCircle"
+                    onClick={() => onDecide?.(payment, 'rejected')}
+                    aria-label="Reject payment"
+                  />
+                </>
+              )}
+              {canWithdraw && (
+                <Button
+                  variant="ghost"
+                  size="xs"
+                  iconName="Undo2"
+                  onClick={() => onUpdate(payment?.id, { status: 'pending', note: 'Approval request withdrawn' })}
+                  aria-label="Withdraw request"
+                  title="Withdraw request"
+                />
+              )}
+              {canEdit && !isLocked && (
                 <Button
                   variant="ghost"
                   size="xs"
@@ -175,9 +257,9 @@ const PaymentTableRow = ({ payment, isSelected, onSelect, onUpdate, userRole })
               <Button
                 variant="ghost"
                 size="xs"
-                iconName="Upload"
-                onClick={() => onUpdate(payment?.id, { action: 'upload_receipt' })}
-                aria-label="Upload receipt"
+                iconName="History"
+                onClick={() => onViewHistory?.(payment)}
+                aria-label="View status history"
               />
               <Button
                 variant="ghost"
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { payoutBatchService } from '../../../services/payoutBatchService';
+import { TRANSFER_MODES, layoutVariants, resolveTransferMode, validatePayoutEntries, downloadPayoutFile } from '../../../utils/payoutFile';
+import { maskAccountNumber } from '../../../utils/bankDetails';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+})?.format(amount || 0);
+
+const today = () => new Date()?.toISOString()?.split('T')?.[0];
+
+/**
+ * Build a bulk NEFT/RTGS upload file from selected payments. Payments that
+ * aren't ready (not approved, no bank details, ...) are listed and left out.
+ * @param {Array<string>} paymentIds - Selected payment ids
+ * @param {Function} onCreated - (batch) => void
+ */
+const PayoutFileModal = ({ paymentIds = [], onClose, onCreated }) => {
+  const [layouts, setLayouts] = useState({});
+  const [entries, setEntries] = useState([]);
+  const [bank, setBank] = useState('generic');
+  const [variant, setVariant] = useState('csv');
+  const [transferMode, setTransferMode] = useState('auto');
+  const [valueDate, setValueDate] = useState(today());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOpen = paymentIds?.length > 0;
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    setError(null);
+    Promise.all([payoutBatchService?.getLayouts(), payoutBatchService?.getEntries(paymentIds)])
+      ?.then(([availableLayouts, payoutEntries]) => {
+        setLayouts(availableLayouts);
+        setEntries(payoutEntries);
+      })
+      ?.catch(err => setError(err?.message || 'Failed to load payments'))
+      ?.finally(() => setLoading(false));
+  }, [paymentIds?.join(',')]);
+
+  const layout = layouts?.[bank];
+  const variantOptions = layoutVariants(layout);
+
+  // Keep the variant valid when switching to a bank with a single layout
+  useEffect(() => {
+    if (variantOptions?.length && !variantOptions?.some(option => option?.value === variant)) {
+      setVariant(variantOptions?.[0]?.value);
+    }
+  }, [bank, layouts]);
+
+  const problems = useMemo(
+    () => validatePayoutEntries(entries, transferMode, { layout, variant, valueDate }),
+    [entries, transferMode, layout, variant, valueDate]
+  );
+  const readyEntries = entries?.filter(entry => !problems?.has(entry?.payment?.id));
+  const total = readyEntries?.reduce((sum, entry) => sum + Number(entry?.payment?.net_amount || 0), 0);
+  const needsDebitAccount = [layout?.csv, layout?.fixedWidth]
+    ?.some(spec => spec?.fields?.some(field => field?.key === 'debitAccount')) && !layout?.debitAccountNumber;
+
+  if (!isOpen) return null;
+
+  const handleGenerate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const { batch, file } = await payoutBatchService?.createBatch({
+        bank,
+        layout,
+        variant,
+        transferMode,
+        valueDate,
+        entries: readyEntries
+      });
+      downloadPayoutFile(file);
+      onCreated(batch);
+    } catch (err) {
+      setError(err?.message || 'Failed to create payout file');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-2xl w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="FileOutput" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Bulk Payout File</h2>
+              <p className="text-xs text-muted-foreground">NEFT/RTGS upload for the bank portal</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-muted-foreground text-center py-10">Loading payments...</p>
+        ) : (
+          <div className="p-6 space-y-5">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Select
+                label="Bank layout"
+                options={Object.entries(layouts || {})?.map(([value, option]) => ({ value, label: option?.label }))}
+                value={bank}
+                onChange={setBank}
+              />
+              <Select
+                label="File format"
+                options={variantOptions}
+                value={variant}
+                onChange={setVariant}
+              />
+              <Select
+                label="Transfer mode"
+                options={TRANSFER_MODES}
+                value={transferMode}
+                onChange={setTransferMode}
+              />
+              <Input
+                label="Value date"
+                type="date"
+                value={valueDate}
+                min={today()}
+                onChange={(e) => setValueDate(e?.target?.value)}
+              />
+            </div>
+
+            {needsDebitAccount && (
+              <div className="flex items-start gap-2 p-3 rounded-md bg-warning/10 text-sm text-warning">
+                <Icon name="AlertTriangle" size={16} className="mt-0.5 flex-shrink-0" />
+                <span>
+                  No debit account is configured for {layout?.label}. Set debitAccountNumber in the
+                  payout_file_layouts system setting, or fill it in before uploading.
+                </span>
+              </div>
+            )}
+
+            <div className="border border-border rounded-lg divide-y divide-border max-h-72 overflow-y-auto custom-scrollbar">
+              {entries?.map(({ payment, bankAccount }) => {
+                const problem = problems?.get(payment?.id);
+                return (
+                  <div key={payment?.id} className={`flex items-center justify-between px-4 py-2 ${problem ? 'opacity-60' : ''}`}>
+                    <div className="min-w-0">
+                      <div className="text-sm text-foreground truncate">
+                        {payment?.creator?.name || 'N/A'} • {payment?.reference_number}
+                      </div>
+                      <div className={`text-xs ${problem ? 'text-error' : 'text-muted-foreground'}`}>
+                        {problem || `${bankAccount?.beneficiary_name} • ${maskAccountNumber(bankAccount?.account_number)} • ${bankAccount?.ifsc_code}`}
+                      </div>
+                    </div>
+                    <div className="text-right flex-shrink-0 ml-4">
+                      <div className="text-sm font-medium text-foreground">{formatAmount(payment?.net_amount)}</div>
+                      {!problem && (
+                        <div className="text-xs text-muted-foreground">{resolveTransferMode(payment?.net_amount, transferMode)}</div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-muted-foreground">
+                {readyEntries?.length} of {entries?.length} payments ready
+                {problems?.size > 0 && ` • ${problems?.size} left out`}
+              </span>
+              <span className="font-semibold text-foreground">{formatAmount(total)}</span>
+            </div>
+
+            {error && <p className="text-sm text-error">{error}</p>}
+
+            <div className="flex gap-3">
+              <Button
+                variant="default"
+                size="sm"
+                iconName="Download"
+                iconPosition="left"
+                onClick={handleGenerate}
+                loading={saving}
+                disabled={saving || readyEntries?.length === 0 || !valueDate}
+                fullWidth
+              >
+                Generate & Mark Processing
+              </Button>
+              <Button variant="outline" size="sm" onClick={onClose} disabled={saving} fullWidth>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PayoutFileModal;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Select from '../../../components/ui/Select';
+import { taxService } from '../../../services/taxService';
+import { exportLogService } from '../../../services/exportLogService';
+import { useAuth } from '../../../contexts/AuthContext';
+import { TDS_QUARTERS, financialYearOf } from '../../../utils/taxEngine';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+})?.format(amount || 0);
+
+// Quarter a date falls in, Q1 being April-June
+const quarterOf = (date) => `Q${Math.floor(((date.getMonth() + 9) % 12) / 3) + 1}`;
+
+// The current and the four previous financial years
+const financialYearOptions = () => {
+  const start = Number(financialYearOf().slice(0, 4));
+  return Array.from({ length: 5 }, (_, i) => {
+    const year = start - i;
+    const value = `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+    return { value, label: `FY ${value}` };
+  });
+};
+
+/**
+ * TDS deducted per creator and section in a quarter, exported for the
+ * quarterly TDS return
+ */
+const TdsSummaryModal = ({ isOpen, onClose }) => {
+  const { user } = useAuth();
+  const [financialYear, setFinancialYear] = useState(financialYearOf());
+  const [quarter, setQuarter] = useState(quarterOf(new Date()));
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    setError(null);
+    taxService?.getQuarterlySummary(financialYear, quarter)
+      ?.then(setRows)
+      ?.catch(err => setError(err?.message || 'Failed to load TDS summary'))
+      ?.finally(() => setLoading(false));
+  }, [isOpen, financialYear, quarter]);
+
+  if (!isOpen) return null;
+
+  const totals = rows?.reduce((acc, row) => ({
+    gross: acc.gross + Number(row?.gross_amount || 0),
+    tds: acc.tds + Number(row?.tds_amount || 0)
+  }), { gross: 0, tds: 0 });
+  const missingPan = rows?.filter(row => !row?.pan_number)?.length;
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const result = await taxService?.exportQuarterlySummary(rows, financialYear, quarter);
+      if (!result?.success) throw new Error(result?.error || 'Export failed');
+      await exportLogService?.logExport({
+        username: user?.email || 'Unknown User',
+        exportType: 'excel',
+        exportScope: 'filtered',
+        recordCount: rows?.length,
+        fileName: result?.filename,
+        additionalDetails: `TDS summary ${quarter} FY ${financialYear}`
+      });
+    } catch (err) {
+      setError(err?.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[400] p-4">
+      <div className="bg-card rounded-lg shadow-lg-custom max-w-3xl w-full max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="sticky top-0 bg-card border-b border-border px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center">
+              <Icon name="Percent" size={20} color="var(--color-primary)" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-foreground">Quarterly TDS Summary</h2>
+              <p className="text-xs text-muted-foreground">TDS deducted on paid payments, per creator and section</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-colors duration-200"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-5">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Select
+              label="Financial year"
+              options={financialYearOptions()}
+              value={financialYear}
+              onChange={setFinancialYear}
+            />
+            <Select
+              label="Quarter"
+              options={TDS_QUARTERS}
+              value={quarter}
+              onChange={setQuarter}
+            />
+          </div>
+
+          {missingPan > 0 && (
+            <div className="flex items-start gap-2 p-3 rounded-md bg-warning/10 text-sm text-warning">
+              <Icon name="AlertTriangle" size={16} className="mt-0.5 flex-shrink-0" />
+              <span>{missingPan} deductee{missingPan === 1 ? ' has' : 's have'} no PAN in their tax profile.</span>
+            </div>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-muted-foreground text-center py-10">Loading TDS summary...</p>
+          ) : rows?.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-10">No TDS was deducted in {quarter} of FY {financialYear}.</p>
+          ) : (
+            <div className="border border-border rounded-lg overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="text-left py-2 px-3 text-xs font-medium text-muted-foreground">Deductee</th>
+                    <th className="text-left py-2 px-3 text-xs font-medium text-muted-foreground">PAN</th>
+                    <th className="text-left py-2 px-3 text-xs font-medium text-muted-foreground">Section</th>
+                    <th className="text-right py-2 px-3 text-xs font-medium text-muted-foreground">Payments</th>
+                    <th className="text-right py-2 px-3 text-xs font-medium text-muted-foreground">Amount Paid</th>
+                    <th className="text-right py-2 px-3 text-xs font-medium text-muted-foreground">TDS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows?.map(row => (
+                    <tr key={`${row?.creator_id}-${row?.tds_section}`} className="border-t border-border">
+                      <td className="py-2 px-3">
+                        <div className="text-sm text-foreground">{row?.creator_name || 'Unknown creator'}</div>
+                        {row?.legal_name && row?.legal_name !== row?.creator_name && (
+                          <div className="text-xs text-muted-foreground">{row?.legal_name}</div>
+                        )}
+                      </td>
+                      <td className={`py-2 px-3 text-sm ${row?.pan_number ? 'text-foreground' : 'text-error'}`}>
+                        {row?.pan_number || 'Missing'}
+                      </td>
+                      <td className="py-2 px-3 text-sm text-foreground">{row?.tds_section || '—'}</td>
+                      <td className="py-2 px-3 text-sm text-right text-foreground">{row?.payment_count}</td>
+                      <td className="py-2 px-3 text-sm text-right text-foreground">{formatAmount(row?.gross_amount)}</td>
+                      <td className="py-2 px-3 text-sm text-right font-medium text-foreground">{formatAmount(row?.tds_amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-muted/30">
+                  <tr className="border-t border-border">
+                    <td colSpan={4} className="py-2 px-3 text-sm font-medium text-foreground">Total</td>
+                    <td className="py-2 px-3 text-sm text-right font-medium text-foreground">{formatAmount(totals?.gross)}</td>
+                    <td className="py-2 px-3 text-sm text-right font-semibold text-foreground">{formatAmount(totals?.tds)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+
+          {error && <p className="text-sm text-error">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button
+              variant="default"
+              size="sm"
+              iconName="Download"
+              iconPosition="left"
+              onClick={handleExport}
+              loading={exporting}
+              disabled={exporting || loading || rows?.length === 0}
+              fullWidth
+            >
+              Export for TDS Return
+            </Button>
+            <Button variant="outline" size="sm" onClick={onClose} fullWidth>
+              Close
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TdsSummaryModal;
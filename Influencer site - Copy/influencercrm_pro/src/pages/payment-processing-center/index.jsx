@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Sidebar from '../../components/ui/Sidebar';
 import Header from '../../components/ui/Header';
@@ -10,9 +10,16 @@ import BulkOperationsToolbar from './components/BulkOperationsToolbar';
 import PaymentTable from './components/PaymentTable';
 import ExportReportModal from './components/ExportReportModal';
 import KeyboardShortcutsHelper from './components/KeyboardShortcutsHelper';
+import NewPaymentModal from './components/NewPaymentModal';
+import PaymentHistoryModal from './components/PaymentHistoryModal';
+import PaymentDecisionModal from './components/PaymentDecisionModal';
+import PayoutFileModal from './components/PayoutFileModal';
+import TdsSummaryModal from './components/TdsSummaryModal';
 
-import { campaignService } from '../../services/campaignService';
+import { paymentService } from '../../services/paymentService';
 import { realtimeService } from '../../services/realtimeService';
+import { useAuth } from '../../contexts/AuthContext';
+import { paymentMethodLabel, daysOverdue } from '../../utils/paymentLedger';
 import Icon from '../../components/AppIcon';
 
 // Mock exportUtils for demonstration
@@ -37,12 +44,53 @@ const exportUtils = {
   }
 };
 
+// Shape a payments row (with creator/campaign/assignment joins) for the table
+const toPaymentRow = (payment) => ({
+  id: payment?.id,
+  creatorId: payment?.creator_id,
+  creatorName: payment?.creator?.name || 'N/A',
+  instagramHandle: payment?.creator?.username ? `@${payment?.creator?.username}` : 'N/A',
+  campaignName: payment?.campaign?.name || 'N/A',
+  campaignId: payment?.campaign_id,
+  campaignCreatorId: payment?.campaign_creator_id,
+  amount: Number(payment?.amount || 0),
+  tdsAmount: Number(payment?.tds_amount || 0),
+  tdsSection: payment?.tds_section && payment?.tds_section !== 'none' ? payment?.tds_section : null,
+  gstAmount: Number(payment?.gst_amount || 0),
+  netAmount: Number(payment?.net_amount || 0),
+  contractAmount: Number(payment?.assignment?.fixed_amount || 0),
+  contractPaid: Number(payment?.assignment?.paid_amount || 0),
+  isPartial: Number(payment?.assignment?.fixed_amount || 0) > Number(payment?.amount || 0),
+  dueDate: payment?.due_date,
+  delayDays: daysOverdue(payment),
+  paymentMethod: paymentMethodLabel(payment?.payment_method),
+  paymentMethodValue: payment?.payment_method,
+  status: payment?.status,
+  statusNote: payment?.status_note,
+  requestedBy: payment?.requested_by,
+  requestedByEmail: payment?.requested_by_email,
+  approvalCount: payment?.approval_count || 0,
+  requiredApprovals: payment?.required_approvals || 1,
+  referenceNumber: payment?.reference_number,
+  utrNumber: payment?.utr_number,
+  paidAt: payment?.paid_at,
+  reconciledAt: payment?.reconciled_at,
+  payoutBatchNumber: payment?.payout_batch?.batch_number,
+  notes: payment?.notes
+});
+
 const PaymentProcessingCenter = () => {
-  const navigate = useNavigate();
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState('pending');
   const [selectedPayments, setSelectedPayments] = useState([]);
   const [showExportModal, setShowExportModal] = useState(false);
+  const [showNewPaymentModal, setShowNewPaymentModal] = useState(false);
+  const [historyPayment, setHistoryPayment] = useState(null);
+  // { decision: 'approved' | 'rejected', ids } while the decision modal is open
+  const [decisionTarget, setDecisionTarget] = useState(null);
+  const [payoutPaymentIds, setPayoutPaymentIds] = useState([]);
+  const [showTdsSummary, setShowTdsSummary] = useState(false);
+  const [canApprove, setCanApprove] = useState(false);
   const [sortConfig, setSortConfig] = useState({ key: 'dueDate', direction: 'asc' });
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -59,32 +107,16 @@ const PaymentProcessingCenter = () => {
     { name: 'This Month Overdue', filters: { status: 'overdue', dateFrom: '2025-12-01' } }
   ]);
 
-  const userRole = 'Super Admin';
+  const navigate = useNavigate();
+  const { user, isSuperAdmin, isAdmin, isManager } = useAuth();
+  const canEdit = isSuperAdmin() || isAdmin() || isManager();
 
   const fetchPayments = async () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await campaignService?.getAll();
-      
-      // Transform Supabase data to match payment structure
-      const transformedData = data?.map(campaign => ({
-        id: campaign?.id,
-        creatorName: campaign?.creators?.name || 'N/A',
-        instagramHandle: campaign?.creators?.username || 'N/A',
-        campaignName: campaign?.name || 'N/A',
-        campaignId: campaign?.id,
-        amount: campaign?.amount || campaign?.agreed_amount || 0,
-        dueDate: campaign?.end_date || 'N/A',
-        delayDays: campaign?.end_date ? Math.max(0, Math.floor((new Date() - new Date(campaign?.end_date)) / (1000 * 60 * 60 * 24))) : 0,
-        paymentMethod: 'Bank Transfer', // Default value
-        status: campaign?.payment_status || 'pending',
-        referenceNumber: `REF-${campaign?.id?.slice(0, 8)}`,
-        gatewaySync: Math.random() > 0.5,
-        bankReconciled: campaign?.payment_status === 'paid'
-      }));
-
-      setPayments(transformedData);
+      const data = await paymentService?.getAll();
+      setPayments(data?.map(toPaymentRow));
     } catch (err) {
       console.error('Error fetching payments:', err);
       setError(err?.message || 'Failed to load payments from database');
@@ -104,10 +136,10 @@ const PaymentProcessingCenter = () => {
           if (payment?.amount < min) return false;
         }
       }
-      if (filters?.paymentMethod !== 'all' && payment?.paymentMethod?.toLowerCase()?.replace(' ', '_') !== filters?.paymentMethod) return false;
-      if (filters?.creator !== 'all' && payment?.instagramHandle?.replace('@', '')?.replace('_', '') !== filters?.creator?.replace('_', '')) return false;
-      if (filters?.dateFrom && new Date(payment.dueDate) < new Date(filters.dateFrom)) return false;
-      if (filters?.dateTo && new Date(payment.dueDate) > new Date(filters.dateTo)) return false;
+      if (filters?.paymentMethod !== 'all' && payment?.paymentMethodValue !== filters?.paymentMethod) return false;
+      if (filters?.creator !== 'all' && payment?.creatorId !== filters?.creator) return false;
+      if (filters?.dateFrom && (!payment?.dueDate || new Date(payment.dueDate) < new Date(filters.dateFrom))) return false;
+      if (filters?.dateTo && (!payment?.dueDate || new Date(payment.dueDate) > new Date(filters.dateTo))) return false;
       return true;
     });
   };
@@ -117,12 +149,12 @@ const PaymentProcessingCenter = () => {
       let aValue = a?.[sortConfig?.key];
       let bValue = b?.[sortConfig?.key];
 
-      if (sortConfig?.key === 'amount') {
+      if (sortConfig?.key === 'amount' || sortConfig?.key === 'netAmount') {
         aValue = parseFloat(aValue);
         bValue = parseFloat(bValue);
       } else if (sortConfig?.key === 'dueDate') {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
+        aValue = aValue ? new Date(aValue) : new Date(8640000000000000);
+        bValue = bValue ? new Date(bValue) : new Date(8640000000000000);
       }
 
       if (aValue < bValue) return sortConfig?.direction === 'asc' ? -1 : 1;
@@ -136,18 +168,32 @@ const PaymentProcessingCenter = () => {
 
   const statusCounts = {
     pending: payments?.filter(p => p?.status === 'pending')?.length,
+    awaiting_approval: payments?.filter(p => p?.status === 'awaiting_approval')?.length,
+    approved: payments?.filter(p => p?.status === 'approved')?.length,
     processing: payments?.filter(p => p?.status === 'processing')?.length,
     paid: payments?.filter(p => p?.status === 'paid')?.length,
-    overdue: payments?.filter(p => p?.status === 'overdue')?.length
+    overdue: payments?.filter(p => p?.status === 'overdue')?.length,
+    cancelled: payments?.filter(p => p?.status === 'cancelled')?.length
   };
 
   const statusTotals = {
-    pending: payments?.filter(p => p?.status === 'pending')?.reduce((sum, p) => sum + p?.amount, 0),
-    processing: payments?.filter(p => p?.status === 'processing')?.reduce((sum, p) => sum + p?.amount, 0),
-    paid: payments?.filter(p => p?.status === 'paid')?.reduce((sum, p) => sum + p?.amount, 0),
-    overdue: payments?.filter(p => p?.status === 'overdue')?.reduce((sum, p) => sum + p?.amount, 0)
+    pending: payments?.filter(p => p?.status === 'pending')?.reduce((sum, p) => sum + p?.netAmount, 0),
+    awaiting_approval: payments?.filter(p => p?.status === 'awaiting_approval')?.reduce((sum, p) => sum + p?.netAmount, 0),
+    approved: payments?.filter(p => p?.status === 'approved')?.reduce((sum, p) => sum + p?.netAmount, 0),
+    processing: payments?.filter(p => p?.status === 'processing')?.reduce((sum, p) => sum + p?.netAmount, 0),
+    paid: payments?.filter(p => p?.status === 'paid')?.reduce((sum, p) => sum + p?.netAmount, 0),
+    overdue: payments?.filter(p => p?.status === 'overdue')?.reduce((sum, p) => sum + p?.netAmount, 0),
+    cancelled: payments?.filter(p => p?.status === 'cancelled')?.reduce((sum, p) => sum + p?.netAmount, 0)
   };
 
+  const creatorOptions = useMemo(() => {
+    const byId = new Map();
+    payments?.forEach(p => {
+      if (p?.creatorId && !byId.has(p?.creatorId)) byId.set(p?.creatorId, { value: p?.creatorId, label: p?.creatorName });
+    });
+    return [...byId.values()]?.sort((a, b) => a?.label?.localeCompare(b?.label));
+  }, [payments]);
+
   const handleSelectAll = (checked) => {
     if (checked) {
       const visibleIds = sortedPayments?.slice(0, 100)?.map(p => p?.id);
@@ -166,30 +212,72 @@ const PaymentProcessingCenter = () => {
   };
 
   const handleUpdatePayment = async (id, updates) => {
+    // Row actions such as notify_creator are not ledger changes
+    if (updates?.action) return true;
+
+    const current = payments?.find(p => p?.id === id);
     try {
-      await campaignService?.update(id, {
-        payment_status: updates?.status,
-        amount: updates?.amount
-      });
-      
-      // Update local state
-      setPayments(prev => 
-        prev?.map(p => p?.id === id ? { ...p, ...updates } : p)
+      const updated = updates?.status && updates?.status !== current?.status
+        ? await paymentService?.transition(id, updates?.status, { utrNumber: updates?.utrNumber, note: updates?.note })
+        : await paymentService?.update(id, { utr_number: updates?.utrNumber?.trim() || null });
+
+      setPayments(prev =>
+        prev?.map(p => p?.id === id ? toPaymentRow(updated) : p)
       );
+      return true;
     } catch (err) {
       console.error('Error updating payment:', err);
       alert(`Failed to update payment: ${err?.message}`);
+      return false;
     }
   };
 
+  const reportFailures = (failed) => {
+    if (!failed?.length) return;
+    const references = failed?.map(f => payments?.find(p => p?.id === f?.id)?.referenceNumber || f?.id);
+    alert(`${failed?.length} payment${failed?.length !== 1 ? 's' : ''} could not be updated (${references?.join(', ')}): ${failed?.[0]?.message}`);
+  };
+
   const handleBulkAction = async (action) => {
+    const statusByAction = { mark_processing: 'processing', mark_paid: 'paid' };
     try {
-      if (action === 'mark_processing') {
-        await campaignService?.bulkUpdateStatus(selectedPayments, 'processing');
-      } else if (action === 'mark_paid') {
-        await campaignService?.bulkUpdateStatus(selectedPayments, 'paid');
+      if (action === 'approve' || action === 'reject') {
+        const eligible = payments
+          ?.filter(p => selectedPayments?.includes(p?.id) && p?.status === 'awaiting_approval' && p?.requestedBy !== user?.id)
+          ?.map(p => p?.id);
+        if (eligible?.length === 0) {
+          alert('None of the selected payments are awaiting your approval');
+          return;
+        }
+        setDecisionTarget({ decision: action === 'approve' ? 'approved' : 'rejected', ids: eligible });
+        return;
       }
-      
+
+      if (action === 'payout_file') {
+        setPayoutPaymentIds(selectedPayments);
+        return;
+      }
+
+      if (action === 'request_approval') {
+        const { failed } = await paymentService?.requestApproval(selectedPayments);
+        reportFailures(failed);
+      } else if (statusByAction?.[action]) {
+        // Same maker-checker rule as payments_before_write: approvers only, never on their own requests
+        const eligible = canApprove
+          ? payments?.filter(p => selectedPayments?.includes(p?.id) && p?.requestedBy !== user?.id)?.map(p => p?.id)
+          : [];
+        if (eligible?.length === 0) {
+          alert(canApprove
+            ? 'You requested all of the selected payments; a different approver must release them'
+            : 'Only payment approvers can mark payments as processing or paid');
+          return;
+        }
+        const { failed } = await paymentService?.bulkTransition(eligible, statusByAction?.[action]);
+        reportFailures(failed);
+        const skipped = selectedPayments?.length - eligible?.length;
+        if (skipped > 0) alert(`${skipped} payment${skipped !== 1 ? 's' : ''} you requested ${skipped !== 1 ? 'were' : 'was'} skipped; a different approver must release ${skipped !== 1 ? 'them' : 'it'}`);
+      }
+
       // Refresh payments
       await fetchPayments();
       setSelectedPayments([]);
@@ -199,6 +287,24 @@ const PaymentProcessingCenter = () => {
     }
   };
 
+  const handleDecision = async (comment) => {
+    const { failed } = await paymentService?.bulkDecide(decisionTarget?.ids, decisionTarget?.decision, comment);
+    // A single failed decision surfaces inside the modal
+    if (decisionTarget?.ids?.length === 1 && failed?.length === 1) {
+      throw new Error(failed?.[0]?.message);
+    }
+    reportFailures(failed);
+    await fetchPayments();
+    setSelectedPayments([]);
+  };
+
+  const handlePayoutCreated = async (batch) => {
+    setPayoutPaymentIds([]);
+    setSelectedPayments([]);
+    alert(`Payout batch ${batch?.batch_number} created: ${batch?.payment_count} payments moved to processing`);
+    await fetchPayments();
+  };
+
   const handleSort = (key) => {
     setSortConfig(prev => ({
       key,
@@ -272,22 +378,15 @@ const PaymentProcessingCenter = () => {
 
   useEffect(() => {
     fetchPayments();
+    paymentService?.canApprove()?.then(setCanApprove);
 
-    // Subscribe to real-time campaign changes
-    const campaignSubscription = realtimeService?.subscribeToCampaigns(
-      (newCampaign) => {
-        fetchPayments(); // Refresh on new campaign
-      },
-      (updatedCampaign) => {
-        fetchPayments(); // Refresh on update
-      },
-      (deletedId) => {
-        fetchPayments(); // Refresh on delete
-      }
-    );
+    // Subscribe to real-time ledger changes
+    const paymentSubscription = realtimeService?.subscribeToTable('payments', () => {
+      fetchPayments();
+    });
 
     return () => {
-      campaignSubscription?.unsubscribe();
+      paymentSubscription?.unsubscribe();
     };
   }, []);
 
@@ -295,10 +394,13 @@ const PaymentProcessingCenter = () => {
     const handleKeyPress = (e) => {
       if (e?.target?.tagName === 'INPUT' || e?.target?.tagName === 'TEXTAREA') return;
 
-      if (e?.key === 'p' && selectedPayments?.length > 0) {
+      if (e?.key === 'r' && selectedPayments?.length > 0) {
+        e?.preventDefault();
+        handleBulkAction('request_approval');
+      } else if (e?.key === 'p' && canApprove && selectedPayments?.length > 0) {
         e?.preventDefault();
         handleBulkAction('mark_processing');
-      } else if (e?.key === 'm' && selectedPayments?.length > 0) {
+      } else if (e?.key === 'm' && canApprove && selectedPayments?.length > 0) {
         e?.preventDefault();
         handleBulkAction('mark_paid');
       } else if (e?.key === 'e') {
@@ -311,7 +413,7 @@ const PaymentProcessingCenter = () => {
 
     document.addEventListener('keydown', handleKeyPress);
     return () => document.removeEventListener('keydown', handleKeyPress);
-  }, [selectedPayments]);
+  }, [selectedPayments, canApprove, payments, user?.id]);
 
   // Add loading state
   if (loading) {
@@ -376,6 +478,7 @@ const PaymentProcessingCenter = () => {
             onClearFilters={handleClearFilters}
             savedPresets={savedPresets}
             onSavePreset={handleSavePreset}
+            creatorOptions={creatorOptions}
           />
 
           <div className="flex-1 flex flex-col overflow-hidden">
@@ -388,6 +491,26 @@ const PaymentProcessingCenter = () => {
                   </p>
                 </div>
                 <div className="flex items-center gap-3">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    iconName="Landmark"
+                    iconPosition="left"
+                    onClick={() => navigate('/bank-reconciliation')}
+                  >
+                    Reconcile
+                  </Button>
+                  {canEdit && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      iconName="Percent"
+                      iconPosition="left"
+                      onClick={() => setShowTdsSummary(true)}
+                    >
+                      TDS Summary
+                    </Button>
+                  )}
                   <Button
                     variant="outline"
                     size="sm"
@@ -402,7 +525,7 @@ const PaymentProcessingCenter = () => {
                     size="sm"
                     iconName="Plus"
                     iconPosition="left"
-                    onClick={() => navigate('/campaign-management-center')}
+                    onClick={() => setShowNewPaymentModal(true)}
                   >
                     New Payment
                   </Button>
@@ -421,7 +544,9 @@ const PaymentProcessingCenter = () => {
               <BulkOperationsToolbar
                 selectedCount={selectedPayments?.length}
                 onBulkAction={handleBulkAction}
-                userRole={userRole}
+                canApprove={canApprove}
+                canCreatePayouts={canEdit}
+                isSuperAdmin={isSuperAdmin()}
               />
             )}
 
@@ -432,9 +557,13 @@ const PaymentProcessingCenter = () => {
                 onSelectAll={handleSelectAll}
                 onSelectPayment={handleSelectPayment}
                 onUpdatePayment={handleUpdatePayment}
+                onViewHistory={setHistoryPayment}
+                onDecide={(payment, decision) => setDecisionTarget({ decision, ids: [payment?.id] })}
                 sortConfig={sortConfig}
                 onSort={handleSort}
-                userRole={userRole}
+                canEdit={canEdit}
+                canApprove={canApprove}
+                currentUserId={user?.id}
               />
             </div>
 
@@ -444,11 +573,11 @@ const PaymentProcessingCenter = () => {
                   Showing {sortedPayments?.length} of {payments?.length} payments
                 </span>
                 <span>
-                  Total: {new Intl.NumberFormat('en-IN', {
+                  Net total: {new Intl.NumberFormat('en-IN', {
                     style: 'currency',
                     currency: 'INR',
                     maximumFractionDigits: 0
-                  })?.format(sortedPayments?.reduce((sum, p) => sum + p?.amount, 0))}
+                  })?.format(sortedPayments?.reduce((sum, p) => sum + p?.netAmount, 0))}
                 </span>
               </div>
             </div>
@@ -461,6 +590,30 @@ const PaymentProcessingCenter = () => {
         onExport={handleExport}
         payments={sortedPayments}
       />
+      <NewPaymentModal
+        isOpen={showNewPaymentModal}
+        onClose={() => setShowNewPaymentModal(false)}
+        onCreated={fetchPayments}
+      />
+      <PaymentHistoryModal
+        payment={historyPayment}
+        onClose={() => setHistoryPayment(null)}
+      />
+      <PaymentDecisionModal
+        decision={decisionTarget?.decision}
+        payments={payments?.filter(p => decisionTarget?.ids?.includes(p?.id))}
+        onClose={() => setDecisionTarget(null)}
+        onConfirm={handleDecision}
+      />
+      <PayoutFileModal
+        paymentIds={payoutPaymentIds}
+        onClose={() => setPayoutPaymentIds([])}
+        onCreated={handlePayoutCreated}
+      />
+      <TdsSummaryModal
+        isOpen={showTdsSummary}
+        onClose={() => setShowTdsSummary(false)}
+      />
       <KeyboardShortcutsHelper />
     </div>
   );
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import Icon from '../../components/AppIcon';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import { useToast } from '../../components/ui/ToastContainer';
+import { shortlistShareService } from '../../services/shortlistShareService';
+import { brandFacingProfile } from '../../utils/castingBoard';
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : null);
+
+/**
+ * Public, read-only shortlist a brand contact opens from a share link.
+ * No login: the token in the URL is checked by the database on every read
+ * and decision.
+ */
+const SharedShortlist = () => {
+  const { token } = useParams();
+  const [shortlist, setShortlist] = useState(null);
+  const [reviewerName, setReviewerName] = useState('');
+  const [comments, setComments] = useState({});
+  const [savingId, setSavingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { toast } = useToast();
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setLoading(true);
+        const data = await shortlistShareService?.getSharedShortlist(token);
+        setShortlist(data);
+        setReviewerName(data?.link?.contact_name || '');
+      } catch (err) {
+        setError(err?.message || 'This shortlist link has expired or is no longer available');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [token]);
+
+  const handleDecide = async (creator, decision) => {
+    setSavingId(creator.campaign_creator_id);
+    try {
+      const saved = await shortlistShareService?.decide(token, creator.campaign_creator_id, {
+        decision,
+        comment: comments[creator.campaign_creator_id] ?? '',
+        decidedByName: reviewerName
+      });
+      setShortlist(prev => ({
+        ...prev,
+        creators: prev.creators.map(c => (c.campaign_creator_id === creator.campaign_creator_id
+          ? { ...c, status: decision === 'approved' ? 'brand_approved' : 'brand_rejected', decision: saved }
+          : c))
+      }));
+      setComments(prev => ({ ...prev, [creator.campaign_creator_id]: undefined }));
+      toast.success(`${creator.name} ${decision === 'approved' ? 'approved' : 'rejected'}`);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save your decision');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="text-center">
+          <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-muted-foreground">Loading shortlist...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center p-4">
+        <div className="text-center max-w-md">
+          <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mx-auto mb-4">
+            <Icon name="Clock" size={32} color="var(--color-muted-foreground)" />
+          </div>
+          <h2 className="text-xl font-semibold text-foreground mb-2">Shortlist Unavailable</h2>
+          <p className="text-muted-foreground">{error}. Ask your agency contact for a new link.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { campaign, link, creators = [] } = shortlist || {};
+  const decidedCount = creators.filter(c => c.decision).length;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-6xl mx-auto p-6 space-y-6">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <p className="text-sm text-muted-foreground">Creator shortlist{campaign?.brand_name ? ` for ${campaign.brand_name}` : ''}</p>
+            <h1 className="text-2xl font-bold text-foreground">{campaign?.name}</h1>
+            <p className="text-sm text-muted-foreground">
+              {decidedCount} of {creators.length} reviewed • Link expires {formatDate(link?.expires_at)}
+            </p>
+          </div>
+          <div className="w-64">
+            <Input
+              label="Your name"
+              value={reviewerName}
+              onChange={(e) => setReviewerName(e?.target?.value)}
+              placeholder="Shown with your decisions"
+            />
+          </div>
+        </div>
+
+        {creators.length === 0 ? (
+          <p className="text-center text-muted-foreground py-12">There are no creators on this shortlist right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {creators.map(creator => {
+              const profile = brandFacingProfile(
+                creator,
+                {
+                  rates: creator.rates || [],
+                  past: {
+                    campaigns: creator.past?.campaigns || 0,
+                    engagementsPerCampaign: creator.past?.campaigns ? Math.round(creator.past.engagements / creator.past.campaigns) : 0
+                  }
+                },
+                { includeContact: link?.include_contact, includePrices: link?.include_prices }
+              );
+              const decision = creator.decision;
+              const busy = savingId === creator.campaign_creator_id;
+              return (
+                <div key={creator.campaign_creator_id} className="p-4 bg-card border border-border rounded-lg flex flex-col">
+                  <div className="flex items-center gap-3">
+                    {profile.avatar ? (
+                      <img src={profile.avatar} alt={profile.name} className="w-12 h-12 rounded-full object-cover" />
+                    ) : (
+                      <div className="w-12 h-12 rounded-full bg-primary/10 flex items-center justify-center text-lg font-semibold text-primary">
+                        {profile.name.charAt(0).toUpperCase()}
+                      </div>
+                    )}
+                    <div className="min-w-0">
+                      <div className="text-base font-semibold text-foreground truncate">{profile.name}</div>
+                      {profile.instagramLink ? (
+                        <a href={profile.instagramLink} target="_blank" rel="noopener noreferrer" className="text-sm text-primary hover:underline">
+                          {profile.handle || 'Instagram'}
+                        </a>
+                      ) : (
+                        <div className="text-sm text-muted-foreground">{profile.handle}</div>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-2 mt-4 text-center">
+                    <div>
+                      <div className="text-sm font-semibold text-foreground">{profile.followersLabel || '—'}</div>
+                      <div className="text-xs text-muted-foreground">Followers</div>
+                    </div>
+                    <div>
+                      <div className="text-sm font-semibold text-foreground">
+                        {profile.engagementRate !== null ? `${Number(profile.engagementRate).toFixed(1)}%` : '—'}
+                      </div>
+                      <div className="text-xs text-muted-foreground">Engagement</div>
+                    </div>
+                    <div>
+                      <div className="text-sm font-semibold text-foreground">{profile.pastCampaigns || '—'}</div>
+                      <div className="text-xs text-muted-foreground">Past campaigns</div>
+                    </div>
+                  </div>
+
+                  <div className="mt-3 text-sm text-muted-foreground space-y-0.5">
+                    {profile.category && <div>{profile.category}</div>}
+                    {profile.location && <div>{profile.location}</div>}
+                    {profile.pastEngagementsPerCampaign > 0 && (
+                      <div>~{new Intl.NumberFormat('en-IN').format(profile.pastEngagementsPerCampaign)} engagements per past campaign</div>
+                    )}
+                  </div>
+
+                  {profile.rates?.length > 0 && (
+                    <div className="mt-3 text-sm">
+                      <div className="font-medium text-foreground">Rates</div>
+                      {profile.rates.map(line => <div key={line} className="text-muted-foreground">{line}</div>)}
+                    </div>
+                  )}
+
+                  {(profile.email || profile.whatsapp) && (
+                    <div className="mt-3 text-sm text-muted-foreground space-y-0.5">
+                      {profile.email && <div>{profile.email}</div>}
+                      {profile.whatsapp && <div>WhatsApp {profile.whatsapp}</div>}
+                    </div>
+                  )}
+
+                  <div className="mt-auto pt-4 space-y-2">
+                    {decision && (
+                      <div className={`p-2 rounded-md text-sm ${decision.decision === 'approved' ? 'bg-success/10 text-success' : 'bg-error/10 text-error'}`}>
+                        {decision.decision === 'approved' ? 'Approved' : 'Rejected'}
+                        {decision.decided_by_name ? ` by ${decision.decided_by_name}` : ''}
+                        {decision.comment && <div className="text-muted-foreground mt-0.5">“{decision.comment}”</div>}
+                      </div>
+                    )}
+                    <textarea
+                      value={comments[creator.campaign_creator_id] ?? ''}
+                      onChange={(e) => setComments(prev => ({ ...prev, [creator.campaign_creator_id]: e?.target?.value }))}
+                      placeholder={decision ? 'Changed your mind? Add a comment' : 'Comment (optional)'}
+                      rows={2}
+                      className="w-full px-3 py-2 text-sm bg-background border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+                    />
+                    <div className="flex gap-2">
+                      <Button
+                        variant={decision?.decision === 'approved' ? 'default' : 'outline'}
+                        size="sm"
+                        iconName="ThumbsUp"
+                        iconPosition="left"
+                        onClick={() => handleDecide(creator, 'approved')}
+                        disabled={busy}
+                        fullWidth
+                      >
+                        Approve
+                      </Button>
+                      <Button
+                        variant={decision?.decision === 'rejected' ? 'default' : 'outline'}
+                        size="sm"
+                        iconName="ThumbsDown"
+                        iconPosition="left"
+                        onClick={() => handleDecide(creator, 'rejected')}
+                        disabled={busy}
+                        fullWidth
+                      >
+                        Reject
+                      </Button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedShortlist;
@@ -93,6 +93,18 @@ const AuditLogsPanel = () => {
               <option value="delete">Delete</option>
               <option value="login">Login</option>
               <option value="logout">Logout</option>
+              <option value="payment_status_changed">Payment Status Changed</option>
+              <option value="payment_approved">Payment Approved</option>
+              <option value="payment_rejected">Payment Rejected</option>
+              <option value="payment_reconciled">Payment Reconciled</option>
+              <option value="payout_batch_created">Payout Batch Created</option>
+              <option value="payment_document_issued">Invoice / Advice Issued</option>
+              <option value="bank_details_updated">Bank Details Updated</option>
+              <option value="bank_details_deleted">Bank Details Deleted</option>
+              <option value="tax_profile_updated">Tax Profile Updated</option>
+              <option value="tax_profile_deleted">Tax Profile Deleted</option>
+              <option value="deliverable_draft_approved">Draft Approved by Brand</option>
+              <option value="deliverable_draft_changes_requested">Draft Changes Requested</option>
             </select>
           </div>
 
@@ -110,6 +122,10 @@ const AuditLogsPanel = () => {
               <option value="campaign">Campaign</option>
               <option value="creator">Creator</option>
               <option value="brand">Brand</option>
+              <option value="payment">Payment</option>
+              <option value="payout_batch">Payout Batch</option>
+              <option value="payment_document">Payment Document</option>
+              <option value="deliverable">Deliverable</option>
               <option value="setting">Setting</option>
             </select>
           </div>
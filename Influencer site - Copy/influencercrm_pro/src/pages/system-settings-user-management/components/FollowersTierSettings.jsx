@@ -0,0 +1,322 @@
+// src/pages/system-settings-user-management/components/FollowersTierSettings.jsx
+
+import React, { useState, useEffect } from 'react';
+import { Users, Plus, Trash2, Save, RefreshCw, ArrowRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { followersTierService } from '../../../services/followersTierService';
+import { parseCount } from '../../../utils/importTransforms';
+import {
+  validateTiers,
+  tierForCount,
+  estimateCountFromTier,
+  formatFollowersCount
+} from '../../../utils/followersTiers';
+
+// Tier rows are edited as text so "10k" style input works; null max = open-ended
+const toRows = (tiers) => tiers.map(tier => ({
+  label: tier.label,
+  min: String(tier.min),
+  max: tier.max === null ? '' : String(tier.max)
+}));
+
+const fromRows = (rows) => rows.map(row => ({
+  label: row.label.trim(),
+  min: parseCount(row.min) ?? NaN,
+  max: row.max.trim() === '' ? null : (parseCount(row.max) ?? NaN)
+}));
+
+const FollowersTierSettings = () => {
+  const [rows, setRows] = useState([]);
+  const [savedTiers, setSavedTiers] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const [legacyTiers, setLegacyTiers] = useState([]);
+  const [estimates, setEstimates] = useState({});
+  const [legacyLoading, setLegacyLoading] = useState(false);
+  const [migrating, setMigrating] = useState(null);
+
+  const loadTiers = async () => {
+    try {
+      const tiers = await followersTierService.getTiers({ refresh: true });
+      setSavedTiers(tiers);
+      setRows(toRows(tiers));
+    } catch (error) {
+      toast.error('Failed to load follower tiers');
+    }
+  };
+
+  const loadLegacyTiers = async () => {
+    setLegacyLoading(true);
+    try {
+      const data = await followersTierService.getLegacyTiers();
+      setLegacyTiers(data);
+      setEstimates(Object.fromEntries(data.map(item => {
+        const estimate = estimateCountFromTier(item.followers_tier);
+        return [item.followers_tier, estimate === null ? '' : String(estimate)];
+      })));
+    } catch (error) {
+      toast.error('Failed to load legacy follower tiers');
+    } finally {
+      setLegacyLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTiers();
+    loadLegacyTiers();
+  }, []);
+
+  const tierErrors = validateTiers(fromRows(rows));
+
+  const handleRowChange = (index, key, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+
+  const handleAddRow = () => {
+    setRows(prev => {
+      const last = prev[prev.length - 1];
+      return [...prev, { label: '', min: last?.max || '', max: '' }];
+    });
+  };
+
+  const handleRemoveRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSaveTiers = async () => {
+    setSaving(true);
+    try {
+      const saved = await followersTierService.saveTiers(fromRows(rows));
+      setSavedTiers(saved);
+      setRows(toRows(saved));
+      toast.success('Follower tiers saved; creator tiers have been recalculated');
+    } catch (error) {
+      toast.error(error?.message || 'Failed to save follower tiers');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMigrate = async (items) => {
+    const ready = items.filter(item => parseCount(estimates[item.followers_tier]) !== null);
+    if (ready.length === 0) return;
+
+    const total = ready.reduce((sum, item) => sum + Number(item.creator_count || 0), 0);
+    if (!window.confirm(`Set follower counts for ${total} creator(s) across ${ready.length} tier value(s)?`)) {
+      return;
+    }
+
+    setMigrating(items.length === 1 ? items[0].followers_tier : 'all');
+    let updated = 0;
+    try {
+      for (const item of ready) {
+        updated += await followersTierService.migrateLegacyTier(
+          item.followers_tier,
+          parseCount(estimates[item.followers_tier])
+        );
+      }
+      toast.success(`${updated} creator(s) migrated`);
+    } catch (error) {
+      toast.error(error?.message || 'Migration failed');
+    } finally {
+      setMigrating(null);
+      await loadLegacyTiers();
+    }
+  };
+
+  const migratableCount = legacyTiers.filter(item => parseCount(estimates[item.followers_tier]) !== null).length;
+
+  return (
+    <div className="px-6 pb-6 space-y-6">
+      {/* Tier table */}
+      <div className="bg-card border border-border rounded-xl shadow-lg overflow-hidden">
+        <div className="bg-gradient-to-r from-green-500 to-green-600 p-4 text-white">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-white/20 rounded-lg backdrop-blur-sm">
+              <Users className="w-6 h-6" />
+            </div>
+            <div>
+              <h3 className="font-semibold text-lg">Follower Tiers</h3>
+              <p className="text-white/80 text-sm">
+                Each creator's tier is derived from their follower count. A tier covers counts from its minimum up to, but not including, its maximum.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <div className="grid grid-cols-12 gap-2 text-xs font-medium text-muted-foreground">
+            <span className="col-span-4">Label</span>
+            <span className="col-span-3">Minimum</span>
+            <span className="col-span-3">Maximum (blank = no limit)</span>
+          </div>
+          {rows.map((row, index) => (
+            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+              <input
+                type="text"
+                value={row.label}
+                onChange={(e) => handleRowChange(index, 'label', e.target.value)}
+                placeholder="e.g. 10K-50K"
+                className="col-span-4 px-2 py-1 border border-border rounded text-sm"
+              />
+              <input
+                type="text"
+                value={row.min}
+                onChange={(e) => handleRowChange(index, 'min', e.target.value)}
+                placeholder="10k"
+                className="col-span-3 px-2 py-1 border border-border rounded text-sm"
+              />
+              <input
+                type="text"
+                value={row.max}
+                onChange={(e) => handleRowChange(index, 'max', e.target.value)}
+                placeholder="50k"
+                className="col-span-3 px-2 py-1 border border-border rounded text-sm"
+              />
+              <button
+                onClick={() => handleRemoveRow(index)}
+                className="col-span-2 justify-self-start p-1 text-red-600 hover:text-red-700"
+                aria-label={`Remove tier ${row.label}`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+
+          {tierErrors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc pl-5">
+              {tierErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex items-center justify-between pt-2">
+            <button
+              onClick={handleAddRow}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+            >
+              <Plus size={16} />
+              Add tier
+            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setRows(toRows(savedTiers))}
+                disabled={saving}
+                className="px-3 py-1.5 text-sm border border-border rounded-lg hover:bg-muted disabled:opacity-50"
+              >
+                Reset
+              </button>
+              <button
+                onClick={handleSaveTiers}
+                disabled={saving || tierErrors.length > 0}
+                className="flex items-center gap-2 px-3 py-1.5 text-sm bg-primary text-primary-foreground rounded-lg hover:bg-primary/90 disabled:opacity-50"
+              >
+                <Save size={14} />
+                {saving ? 'Saving...' : 'Save Tiers'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Legacy tier migration */}
+      <div className="bg-card border border-border rounded-xl shadow-lg overflow-hidden">
+        <div className="flex items-center justify-between p-4 border-b border-border">
+          <div>
+            <h3 className="font-semibold text-foreground">Migrate Free-Text Tiers</h3>
+            <p className="text-sm text-muted-foreground">
+              Creators imported before follower counts were tracked only have a text tier. Ranges are stored as their lower bound; edit any estimate before applying.
+            </p>
+          </div>
+          <button
+            onClick={loadLegacyTiers}
+            disabled={legacyLoading}
+            className="p-2 text-muted-foreground hover:text-foreground disabled:opacity-50"
+            aria-label="Refresh legacy tiers"
+          >
+            <RefreshCw size={16} className={legacyLoading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {legacyLoading ? (
+            <p className="text-sm text-muted-foreground text-center py-6">Loading...</p>
+          ) : legacyTiers.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              Every creator with a tier has a follower count. Nothing to migrate.
+            </p>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground">
+                    <th className="py-2 font-medium">Stored tier</th>
+                    <th className="py-2 font-medium">Creators</th>
+                    <th className="py-2 font-medium">Follower count</th>
+                    <th className="py-2 font-medium">New tier</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border">
+                  {legacyTiers.map(item => {
+                    const estimate = parseCount(estimates[item.followers_tier]);
+                    return (
+                      <tr key={item.followers_tier}>
+                        <td className="py-2 font-mono text-xs">"{item.followers_tier}"</td>
+                        <td className="py-2">{item.creator_count ?? '—'}</td>
+                        <td className="py-2">
+                          <input
+                            type="text"
+                            value={estimates[item.followers_tier] ?? ''}
+                            onChange={(e) => setEstimates(prev => ({ ...prev, [item.followers_tier]: e.target.value }))}
+                            placeholder="Not parsed"
+                            className={`w-28 px-2 py-1 border rounded text-sm ${
+                              estimates[item.followers_tier] && estimate === null ? 'border-red-400' : 'border-border'
+                            }`}
+                          />
+                          {estimate !== null && (
+                            <span className="ml-2 text-xs text-muted-foreground">{formatFollowersCount(estimate)}</span>
+                          )}
+                        </td>
+                        <td className="py-2">
+                          {estimate !== null ? (
+                            <span className="inline-flex items-center gap-1">
+                              <ArrowRight size={12} className="text-muted-foreground" />
+                              {tierForCount(estimate, savedTiers) || '—'}
+                            </span>
+                          ) : (
+                            <span className="text-xs text-muted-foreground">Left as is</span>
+                          )}
+                        </td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => handleMigrate([item])}
+                            disabled={estimate === null || migrating !== null}
+                            className="px-2 py-1 text-xs border border-border rounded hover:bg-muted disabled:opacity-50"
+                          >
+                            {migrating === item.followers_tier ? 'Applying...' : 'Apply'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              <div className="flex justify-end pt-4">
+                <button
+                  onClick={() => handleMigrate(legacyTiers)}
+                  disabled={migratableCount === 0 || migrating !== null}
+                  className="px-3 py-1.5 text-sm bg-primary text-primary-foreground rounded-lg hover:bg-primary/90 disabled:opacity-50"
+                >
+                  {migrating === 'all' ? 'Migrating...' : `Apply all (${migratableCount})`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FollowersTierSettings;
@@ -2,9 +2,15 @@
 
 import React from 'react';
 import SettingsCardList from './SettingsCardList';
+import FollowersTierSettings from './FollowersTierSettings';
 
 const GlobalConfiguration = () => {
-  return <SettingsCardList />;
+  return (
+    <>
+      <SettingsCardList />
+      <FollowersTierSettings />
+    </>
+  );
 };
 
 export default GlobalConfiguration;
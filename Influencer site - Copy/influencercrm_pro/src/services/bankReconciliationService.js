@@ -0,0 +1,378 @@
+import { supabase } from '../lib/supabase';
+import { spreadsheetService } from './spreadsheetService';
+import {
+  detectStatementColumns,
+  findStatementHeaderRow,
+  validateStatementMapping,
+  normalizeStatementRows,
+  proposeMatches
+} from '../utils/bankStatement';
+
+/**
+ * Bank Reconciliation Service
+ * Imports bank statements (public.bank_statements / bank_statement_lines),
+ * proposes which payment each debit line settles, and confirms matches
+ * through reconcile_bank_line, which marks the payment paid and reconciled.
+ * Debit lines without a confirmed payment stay in the exceptions queue
+ * until they are matched by hand or resolved with a note.
+ */
+
+const LINE_SELECT = `
+  *,
+  statement:bank_statements(id, file_name, bank_format),
+  payment:payments(id, reference_number, net_amount, status, utr_number, due_date, paid_at, reconciled_at, creator:creators(id, name, username))
+`;
+
+// The same transaction in two imports: date, direction, amount, running balance and narration all agree
+const statementLineKey = ({ txnDate, direction, amount, balance, reference, description }) => [
+  txnDate,
+  direction,
+  Number(amount).toFixed(2),
+  balance === null || balance === undefined ? '' : Number(balance).toFixed(2),
+  reference || '',
+  description || ''
+].join('|');
+
+export const bankReconciliationService = {
+  /**
+   * Read a statement file into normalised lines. Bank exports carry an
+   * account summary above the transactions, so the header row is located by
+   * its column names rather than the generic detection.
+   * @param {File} file - CSV/XLS/XLSX export
+   * @param {Object} options
+   * @param {string} options.positiveAmounts - debit | credit, for a single amount column without Dr/Cr
+   * @returns {Promise<Object>} - { lines, bankFormat, mapping, periodFrom, periodTo, unknownDirectionCount }
+   */
+  async parseStatement(file, options = {}) {
+    const parsed = await spreadsheetService?.parseExcelFile(file, { rawText: true });
+    if (!parsed?.success) throw new Error(parsed?.error || 'Failed to read statement');
+
+    let { headers, data } = parsed;
+    let headerRow = findStatementHeaderRow(parsed?.rawRows);
+    if (headerRow !== -1 && headerRow !== parsed?.headerRow) {
+      ({ headers, data } = spreadsheetService?.processSheetData(parsed?.rawRows, headerRow));
+    } else {
+      headerRow = parsed?.headerRow || 0;
+    }
+
+    const { mapping, bankFormat } = detectStatementColumns(headers);
+    const problems = validateStatementMapping(mapping);
+    if (problems?.length) throw new Error(`Unrecognised statement layout: ${problems.join('; ')}`);
+
+    const lines = normalizeStatementRows(data, mapping, { positiveAmounts: options.positiveAmounts, headerRow });
+    if (!lines?.length) throw new Error('No transactions found in the statement');
+
+    const dates = lines.map(line => line.txnDate).sort();
+    return {
+      lines,
+      bankFormat,
+      mapping,
+      periodFrom: dates[0],
+      periodTo: dates[dates.length - 1],
+      // Lines the statement doesn't say are withdrawals or deposits
+      unknownDirectionCount: lines.filter(line => !line.direction).length
+    };
+  },
+
+  /**
+   * Payments sent to the bank but not yet matched to a statement line
+   * @returns {Promise<Array>}
+   */
+  async getReconcilablePayments() {
+    try {
+      const { data, error } = await supabase
+        ?.from('payments')
+        ?.select('id, reference_number, net_amount, status, utr_number, due_date, approved_at, paid_at, created_at, creator:creators(id, name, username), campaign:campaigns(id, name), payout_batch:payout_batches(batch_number)')
+        ?.in('status', ['processing', 'paid'])
+        ?.is('reconciled_at', null)
+        ?.order('due_date', { ascending: false, nullsFirst: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching reconcilable payments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check a parsed statement against earlier imports so the same
+   * transactions aren't queued or matched twice
+   * @param {Object} statement - { fileName, periodFrom, periodTo, lines }
+   * @returns {Promise<Object>} - { previousImport: { fileName, importedAt } | null, duplicateLineNumbers }
+   */
+  async findImportConflicts({ fileName, periodFrom, periodTo, lines = [] }) {
+    try {
+      const [{ data: existingLines, error }, { data: statements, error: statementsError }] = await Promise.all([
+        supabase
+          ?.from('bank_statement_lines')
+          ?.select('txn_date, direction, amount, balance, reference, description')
+          ?.gte('txn_date', periodFrom)
+          ?.lte('txn_date', periodTo),
+        supabase
+          ?.from('bank_statements')
+          ?.select('file_name, period_from, period_to, created_at')
+          ?.eq('file_name', fileName)
+          ?.order('created_at', { ascending: false })
+          ?.limit(1)
+      ]);
+
+      if (error) throw error;
+      if (statementsError) throw statementsError;
+
+      const existingKeys = new Set((existingLines || []).map(line => statementLineKey({
+        txnDate: line.txn_date,
+        direction: line.direction,
+        amount: line.amount,
+        balance: line.balance,
+        reference: line.reference,
+        description: line.description
+      })));
+
+      return {
+        previousImport: statements?.[0] ? { fileName: statements[0].file_name, importedAt: statements[0].created_at } : null,
+        duplicateLineNumbers: lines.filter(line => existingKeys.has(statementLineKey(line))).map(line => line.lineNumber)
+      };
+    } catch (error) {
+      console.error('Error checking earlier statement imports:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save a parsed statement with match proposals, skipping lines already
+   * imported (see findImportConflicts). Proposed debits await review,
+   * unmatched debits go to the exceptions queue and credits are stored as
+   * ignored.
+   * @param {Object} statement - { fileName, bankFormat, periodFrom, periodTo, lines }
+   * @param {Array<Object>} payments - From getReconcilablePayments
+   * @returns {Promise<Object>} - { statement, proposed, exceptions, ignored, skipped }
+   */
+  async importStatement({ fileName, bankFormat, periodFrom, periodTo, lines: parsedLines }, payments = []) {
+    try {
+      if (parsedLines?.some(line => !line.direction)) {
+        throw new Error('Choose whether positive amounts in this statement are withdrawals or deposits');
+      }
+
+      const { duplicateLineNumbers } = await this.findImportConflicts({ fileName, periodFrom, periodTo, lines: parsedLines });
+      const duplicates = new Set(duplicateLineNumbers);
+      const lines = parsedLines.filter(line => !duplicates.has(line.lineNumber));
+      if (!lines.length) throw new Error('Every line in this statement has already been imported');
+
+      const { data: { user } = {} } = await supabase?.auth?.getUser();
+      const proposals = proposeMatches(lines, payments);
+
+      const { data: statement, error } = await supabase
+        ?.from('bank_statements')
+        ?.insert({
+          file_name: fileName,
+          bank_format: bankFormat,
+          period_from: periodFrom,
+          period_to: periodTo,
+          line_count: lines?.length || 0,
+          created_by: user?.id,
+          created_by_email: user?.email
+        })
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+
+      const rows = lines.map(line => {
+        const proposal = proposals.get(line.lineNumber);
+        return {
+          statement_id: statement?.id,
+          line_number: line.lineNumber,
+          txn_date: line.txnDate,
+          description: line.description,
+          reference: line.reference,
+          utr: line.utr,
+          payee_name: line.payeeName,
+          amount: line.amount,
+          direction: line.direction,
+          balance: line.balance,
+          raw: line.raw,
+          status: line.direction === 'credit' ? 'ignored' : proposal ? 'proposed' : 'exception',
+          payment_id: proposal?.paymentId || null,
+          match_score: proposal?.score ?? null,
+          match_reasons: proposal?.reasons || [],
+          resolution_note: line.direction === 'credit' ? 'Credit' : null
+        };
+      });
+
+      const { error: linesError } = await supabase?.from('bank_statement_lines')?.insert(rows);
+      if (linesError) {
+        // Don't leave an empty statement behind
+        await supabase?.from('bank_statements')?.delete()?.eq('id', statement?.id);
+        throw linesError;
+      }
+
+      return {
+        statement,
+        proposed: rows.filter(row => row.status === 'proposed').length,
+        exceptions: rows.filter(row => row.status === 'exception').length,
+        ignored: rows.filter(row => row.status === 'ignored').length,
+        skipped: parsedLines.length - lines.length
+      };
+    } catch (error) {
+      console.error('Error importing bank statement:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Imported statements, newest first, with per-status line counts
+   * @returns {Promise<Array>}
+   */
+  async getStatements() {
+    try {
+      const { data, error } = await supabase
+        ?.from('bank_statements')
+        ?.select('*, lines:bank_statement_lines(status)')
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(({ lines, ...statement }) => ({
+        ...statement,
+        counts: (lines || []).reduce((acc, line) => {
+          acc[line.status] = (acc[line.status] || 0) + 1;
+          return acc;
+        }, {})
+      }));
+    } catch (error) {
+      console.error('Error fetching bank statements:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lines of one statement in file order
+   * @param {string} statementId
+   * @returns {Promise<Array>}
+   */
+  async getLines(statementId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('bank_statement_lines')
+        ?.select(LINE_SELECT)
+        ?.eq('statement_id', statementId)
+        ?.order('line_number', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching statement lines:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Unresolved debit lines across all statements, oldest transaction first
+   * @returns {Promise<Array>}
+   */
+  async getExceptions() {
+    try {
+      const { data, error } = await supabase
+        ?.from('bank_statement_lines')
+        ?.select(LINE_SELECT)
+        ?.eq('status', 'exception')
+        ?.order('txn_date', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching reconciliation exceptions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm a line settles a payment; the payment is marked paid and reconciled
+   * @param {string} lineId
+   * @param {string} paymentId
+   * @returns {Promise<Object>} - Updated line
+   */
+  async confirmMatch(lineId, paymentId) {
+    try {
+      const { data, error } = await supabase?.rpc('reconcile_bank_line', {
+        p_line_id: lineId,
+        p_payment_id: paymentId
+      });
+
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      console.error('Error reconciling bank line:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm several proposed lines; each succeeds or fails on its own
+   * @param {Array<Object>} lines - [{ id, payment_id }]
+   * @returns {Promise<Object>} - { updated: [line], failed: [{ id, message }] }
+   */
+  async confirmMatches(lines) {
+    const result = { updated: [], failed: [] };
+    for (const line of lines) {
+      try {
+        result.updated.push(await this.confirmMatch(line?.id, line?.payment_id));
+      } catch (error) {
+        result.failed.push({ id: line?.id, message: error?.message || 'Reconciliation failed' });
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Drop a proposed match; the line moves to the exceptions queue
+   * @param {string} lineId
+   * @returns {Promise<Object>}
+   */
+  async rejectMatch(lineId) {
+    return this.updateLine(lineId, {
+      status: 'exception',
+      payment_id: null,
+      match_score: null,
+      match_reasons: []
+    });
+  },
+
+  /**
+   * Close an exception without a payment, e.g. bank charges or transfers
+   * that aren't creator payouts
+   * @param {string} lineId
+   * @param {string} note - Why the line needs no payment
+   * @returns {Promise<Object>}
+   */
+  async resolveException(lineId, note) {
+    const { data: { user } = {} } = await supabase?.auth?.getUser();
+    return this.updateLine(lineId, {
+      status: 'ignored',
+      payment_id: null,
+      resolution_note: note?.trim() || null,
+      resolved_by: user?.id,
+      resolved_by_email: user?.email,
+      resolved_at: new Date()?.toISOString()
+    });
+  },
+
+  async updateLine(lineId, updates) {
+    try {
+      const { data, error } = await supabase
+        ?.from('bank_statement_lines')
+        ?.update(updates)
+        ?.eq('id', lineId)
+        ?.select(LINE_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating statement line:', error);
+      throw error;
+    }
+  }
+};
+
+export default bankReconciliationService;
@@ -35,10 +35,7 @@ export const brandService = {
     const { data, error } = await supabase?.from('brands')?.select(`
         *,
         contacts(*),
-        brand_campaigns(
-          campaign_id,
-          campaigns(*)
-        )
+        campaigns!campaigns_brand_id_fkey(*)
       `)?.eq('id', brandId)?.single();
     
     if (error) throw error;
@@ -69,7 +66,7 @@ export const brandService = {
         notes: c?.notes,
         createdAt: c?.created_at
       })),
-      campaigns: data?.brand_campaigns?.map(bc => bc?.campaigns) || [],
+      campaigns: data?.campaigns || [],
       createdBy: data?.created_by,
       createdAt: data?.created_at,
       updatedAt: data?.updated_at
@@ -140,6 +137,40 @@ export const brandService = {
     if (error) throw error;
   },
 
+  // Campaigns, spend, active creators and outstanding payables for a brand
+  async getPortfolio(brandId) {
+    const [{ data: summary, error }, { data: campaigns, error: campaignsError }] = await Promise.all([
+      supabase?.from('brand_portfolio')?.select('*')?.eq('brand_id', brandId)?.maybeSingle(),
+      supabase?.from('brand_campaign_portfolio')?.select('*')?.eq('brand_id', brandId)?.order('start_date', { ascending: false, nullsFirst: false })
+    ]);
+
+    if (error) throw error;
+    if (campaignsError) throw campaignsError;
+
+    return {
+      campaignCount: Number(summary?.campaign_count || 0),
+      activeCampaignCount: Number(summary?.active_campaign_count || 0),
+      totalBudget: Number(summary?.total_budget || 0),
+      committedAmount: Number(summary?.committed_amount || 0),
+      totalSpend: Number(summary?.total_spend || 0),
+      outstandingPayables: Number(summary?.outstanding_payables || 0),
+      activeCreatorCount: Number(summary?.active_creator_count || 0),
+      campaigns: (campaigns || [])?.map(row => ({
+        id: row?.campaign_id,
+        name: row?.name,
+        status: row?.status,
+        startDate: row?.start_date,
+        endDate: row?.end_date,
+        budget: Number(row?.budget || 0),
+        creatorCount: Number(row?.creator_count || 0),
+        activeCreatorCount: Number(row?.active_creator_count || 0),
+        committedAmount: Number(row?.committed_amount || 0),
+        paidAmount: Number(row?.paid_amount || 0),
+        outstandingAmount: Number(row?.outstanding_amount || 0)
+      }))
+    };
+  },
+
   // Search brands
   async search(query) {
     const { data, error } = await supabase?.from('brands')?.select('*')?.or(`name.ilike.%${query}%,industry.ilike.%${query}%,description.ilike.%${query}%`)?.order('created_at', { ascending: false });
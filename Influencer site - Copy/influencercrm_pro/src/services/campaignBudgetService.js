@@ -0,0 +1,190 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Campaign Budget Service
+ * Budget lines per category (public.campaign_budget_lines) and the
+ * production, ads and agency margin spend against them
+ * (public.campaign_expenses). Commitments and actuals per line are read
+ * from the campaign_budget_summary view; the database keeps
+ * campaigns.budget and actual_spend in step.
+ */
+
+export const campaignBudgetService = {
+  /**
+   * Allocated, committed and actual per category, in display order
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - campaign_budget_summary rows
+   */
+  async getSummary(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_budget_summary')
+        ?.select('*')
+        ?.eq('campaign_id', campaignId)
+        ?.order('sort_order', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaign budget:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Budget lines for several campaigns at once
+   * @param {Array<string>} campaignIds
+   * @returns {Promise<Object>} - { [campaignId]: campaign_budget_summary rows }
+   */
+  async getSummaries(campaignIds = []) {
+    if (!campaignIds?.length) return {};
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_budget_summary')
+        ?.select('*')
+        ?.in('campaign_id', campaignIds)
+        ?.order('sort_order', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).reduce((byCampaign, line) => {
+        (byCampaign[line.campaign_id] = byCampaign[line.campaign_id] || []).push(line);
+        return byCampaign;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching campaign budgets:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Paid amounts by day, oldest first, for the burn-down
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - [{ category, spent_on, amount }]
+   */
+  async getSpendEvents(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_spend_events')
+        ?.select('category, spent_on, amount')
+        ?.eq('campaign_id', campaignId)
+        ?.order('spent_on', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaign spend:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set the allocation for each category; categories left out are untouched
+   * @param {string} campaignId
+   * @param {Object} allocations - { creator_fees, production, ads, agency_margin }
+   * @returns {Promise<Array>} - The campaign_budget_lines rows
+   */
+  async saveAllocations(campaignId, allocations = {}) {
+    try {
+      const rows = Object.entries(allocations).map(([category, amount]) => ({
+        campaign_id: campaignId,
+        category,
+        allocated_amount: Math.max(0, Number(amount) || 0)
+      }));
+
+      const { data, error } = await supabase
+        ?.from('campaign_budget_lines')
+        ?.upsert(rows, { onConflict: 'campaign_id,category' })
+        ?.select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error saving budget allocation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - Newest first
+   */
+  async getExpenses(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_expenses')
+        ?.select('*')
+        ?.eq('campaign_id', campaignId)
+        ?.order('committed_on', { ascending: false })
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaign expenses:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record production, ads or agency margin spend
+   * @param {string} campaignId
+   * @param {Object} expense - { category, description, vendor, amount, committedOn, paidOn }
+   * @returns {Promise<Object>}
+   */
+  async addExpense(campaignId, expense) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_expenses')
+        ?.insert([{
+          campaign_id: campaignId,
+          category: expense?.category,
+          description: expense?.description?.trim(),
+          vendor: expense?.vendor?.trim() || null,
+          amount: Number(expense?.amount),
+          committed_on: expense?.committedOn || new Date().toISOString().slice(0, 10),
+          status: expense?.paidOn ? 'paid' : 'committed',
+          paid_on: expense?.paidOn || null
+        }])
+        ?.select('*')
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding campaign expense:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} id
+   * @param {Object} updates - campaign_expenses columns
+   * @returns {Promise<Object>}
+   */
+  async updateExpense(id, updates) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_expenses')
+        ?.update(updates)
+        ?.eq('id', id)
+        ?.select('*')
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating campaign expense:', error);
+      throw error;
+    }
+  },
+
+  async markExpensePaid(id, paidOn) {
+    return this.updateExpense(id, { status: 'paid', paid_on: paidOn || new Date().toISOString().slice(0, 10) });
+  },
+
+  async cancelExpense(id) {
+    return this.updateExpense(id, { status: 'cancelled' });
+  }
+};
+
+export default campaignBudgetService;
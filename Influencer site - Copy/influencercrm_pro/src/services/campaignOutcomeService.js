@@ -0,0 +1,237 @@
+import { supabase } from '../lib/supabase';
+import { spreadsheetService } from './spreadsheetService';
+import {
+  detectOutcomeColumns,
+  validateOutcomeMapping,
+  normalizeOutcomeRows
+} from '../utils/campaignOutcomes';
+import { isContractedStatus } from '../utils/castingBoard';
+
+/**
+ * Campaign Outcome Service
+ * Results a campaign drove (public.campaign_outcomes), entered by hand or
+ * imported from the CSV a brand sends, either per creator assignment or
+ * for the campaign as a whole. Cost, reach and engagement totals for ROI,
+ * CPE, CPM and CPA are read from the campaign_performance and
+ * campaign_creator_performance views.
+ */
+
+const toOutcomeRow = (campaignId, outcome, source = 'manual', sourceFile = null) => ({
+  campaign_id: campaignId,
+  campaign_creator_id: outcome?.campaignCreatorId || null,
+  period_start: outcome?.periodStart || null,
+  period_end: outcome?.periodEnd || null,
+  revenue: Math.max(0, Number(outcome?.revenue) || 0),
+  leads: Math.max(0, Math.round(Number(outcome?.leads) || 0)),
+  installs: Math.max(0, Math.round(Number(outcome?.installs) || 0)),
+  promo_redemptions: Math.max(0, Math.round(Number(outcome?.promo_redemptions) || 0)),
+  link_clicks: Math.max(0, Math.round(Number(outcome?.link_clicks) || 0)),
+  promo_code: outcome?.promoCode?.trim() || null,
+  notes: outcome?.notes?.trim() || null,
+  source,
+  source_file: sourceFile
+});
+
+// Imported rows without a matched creator are stored at campaign level with a note naming them
+const toImportRow = (campaignId, row, fileName) => toOutcomeRow(campaignId, {
+  ...row,
+  notes: row?.unmatched ? `Imported for "${row.creatorLabel}", not on this campaign` : null
+}, 'csv', fileName);
+
+// Campaign-level rows also key on the note so two unmatched creators don't collide
+const outcomeKey = (row) => [
+  row?.campaign_creator_id,
+  row?.period_start,
+  row?.period_end,
+  row?.promo_code,
+  row?.campaign_creator_id ? null : row?.notes
+].map(value => value ?? '').join('|');
+
+export const campaignOutcomeService = {
+  /**
+   * Campaign totals for one or more campaigns
+   * @param {Array<string>} campaignIds - All campaigns when omitted
+   * @returns {Promise<Array>} - campaign_performance rows
+   */
+  async getCampaignPerformance(campaignIds = null) {
+    try {
+      let query = supabase
+        ?.from('campaign_performance')
+        ?.select('*')
+        ?.order('created_at', { ascending: false });
+
+      if (campaignIds) query = query?.in('campaign_id', campaignIds);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaign performance:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Totals per creator assignment on a campaign
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - campaign_creator_performance rows
+   */
+  async getCreatorPerformance(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_creator_performance')
+        ?.select('*')
+        ?.eq('campaign_id', campaignId)
+        ?.order('revenue', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).filter(row => isContractedStatus(row.status));
+    } catch (error) {
+      console.error('Error fetching creator performance:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Recorded outcomes, newest first
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  async getOutcomes(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_outcomes')
+        ?.select('*, campaign_creator:campaign_creators(id, creator:creators(id, name))')
+        ?.eq('campaign_id', campaignId)
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaign outcomes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record outcomes by hand
+   * @param {string} campaignId
+   * @param {Object} outcome - { campaignCreatorId, revenue, leads, installs, promo_redemptions, link_clicks, periodStart, periodEnd, promoCode, notes }
+   * @returns {Promise<Object>}
+   */
+  async addOutcome(campaignId, outcome) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_outcomes')
+        ?.insert([toOutcomeRow(campaignId, outcome)])
+        ?.select('*')
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding campaign outcome:', error);
+      throw error;
+    }
+  },
+
+  async deleteOutcome(id) {
+    try {
+      const { error } = await supabase
+        ?.from('campaign_outcomes')
+        ?.delete()
+        ?.eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error deleting campaign outcome:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Read an outcome CSV/XLSX and match its rows to the campaign's creators
+   * @param {File} file
+   * @param {Array} assignments - [{ campaignCreatorId, name, instagram }]
+   * @returns {Promise<Object>} - { rows, mapping }
+   */
+  async parseOutcomeFile(file, assignments = []) {
+    const parsed = await spreadsheetService?.parseExcelFile(file, { rawText: true });
+    if (!parsed?.success) throw new Error(parsed?.error || 'Failed to read file');
+
+    const mapping = detectOutcomeColumns(parsed?.headers);
+    const problems = validateOutcomeMapping(mapping);
+    if (problems?.length) throw new Error(`Unrecognised outcome layout: ${problems.join('; ')}`);
+
+    const rows = normalizeOutcomeRows(parsed?.data, mapping, assignments, parsed?.headerRow);
+    if (!rows?.length) throw new Error('No outcomes found in the file');
+
+    return { rows, mapping };
+  },
+
+  /**
+   * Check parsed rows against earlier imports so a file isn't counted twice.
+   * A row is a duplicate when an imported outcome already exists for the same
+   * creator, period and promo code.
+   * @param {string} campaignId
+   * @param {Array} rows - From parseOutcomeFile
+   * @param {string} fileName
+   * @returns {Promise<Object>} - { previousImport: { importedAt, count } | null, duplicateRowNumbers }
+   */
+  async findImportConflicts(campaignId, rows = [], fileName = null) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_outcomes')
+        ?.select('campaign_creator_id, period_start, period_end, promo_code, notes, source_file, created_at')
+        ?.eq('campaign_id', campaignId)
+        ?.eq('source', 'csv');
+
+      if (error) throw error;
+
+      const existingKeys = new Set((data || []).map(outcomeKey));
+      const sameFile = fileName ? (data || []).filter(row => row.source_file === fileName) : [];
+
+      return {
+        previousImport: sameFile.length
+          ? { importedAt: sameFile.map(row => row.created_at).sort().pop(), count: sameFile.length }
+          : null,
+        duplicateRowNumbers: rows
+          .filter(row => existingKeys.has(outcomeKey(toImportRow(campaignId, row, fileName))))
+          .map(row => row.rowNumber)
+      };
+    } catch (error) {
+      console.error('Error checking earlier outcome imports:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save parsed rows, skipping any already imported (see findImportConflicts);
+   * rows without a matched creator are stored at campaign level
+   * @param {string} campaignId
+   * @param {Array} rows - From parseOutcomeFile
+   * @param {string} fileName
+   * @returns {Promise<Object>} - { saved, skipped }
+   */
+  async importOutcomes(campaignId, rows = [], fileName = null) {
+    try {
+      const { duplicateRowNumbers } = await this.findImportConflicts(campaignId, rows, fileName);
+      const duplicates = new Set(duplicateRowNumbers);
+      const newRows = rows.filter(row => !duplicates.has(row.rowNumber));
+      if (!newRows.length) throw new Error('Every row in this file has already been imported');
+
+      const { data, error } = await supabase
+        ?.from('campaign_outcomes')
+        ?.insert(newRows.map(row => toImportRow(campaignId, row, fileName)))
+        ?.select('*');
+
+      if (error) throw error;
+      return { saved: data || [], skipped: rows.length - newRows.length };
+    } catch (error) {
+      console.error('Error importing campaign outcomes:', error);
+      throw error;
+    }
+  }
+};
+
+export default campaignOutcomeService;
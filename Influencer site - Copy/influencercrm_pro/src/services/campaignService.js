@@ -1,10 +1,23 @@
 import { supabase } from '../lib/supabase';
+import { isProposalStatus } from '../utils/castingBoard';
 
 export const campaignService = {
   async getAll() {
     try {
       const { data, error } = await supabase?.from('campaigns')?.select(`
           *,
+          linked_brand:brands!campaigns_brand_id_fkey (
+            id,
+            name,
+            logo_url
+          ),
+          brand_contact:contacts (
+            id,
+            full_name,
+            email,
+            phone,
+            whatsapp
+          ),
           campaign_creators (
             id,
             status,
@@ -15,12 +28,16 @@ export const campaignService = {
             payment_status,
             paid_amount,
             deliverables,
-            completed_deliverables,
             actual_reach,
             actual_engagement,
             conversion_rate,
             notes,
             metadata,
+            campaign_deliverables (
+              id,
+              status,
+              due_date
+            ),
             creators (
               id,
               name,
@@ -60,6 +77,18 @@ export const campaignService = {
     try {
       const { data, error } = await supabase?.from('campaigns')?.select(`
           *,
+          linked_brand:brands!campaigns_brand_id_fkey (
+            id,
+            name,
+            logo_url
+          ),
+          brand_contact:contacts (
+            id,
+            full_name,
+            email,
+            phone,
+            whatsapp
+          ),
           campaign_creators (
             id,
             status,
@@ -70,12 +99,16 @@ export const campaignService = {
             payment_status,
             paid_amount,
             deliverables,
-            completed_deliverables,
             actual_reach,
             actual_engagement,
             conversion_rate,
             notes,
             metadata,
+            campaign_deliverables (
+              id,
+              status,
+              due_date
+            ),
             creators (
               id,
               name,
@@ -138,6 +171,91 @@ export const campaignService = {
     }
   },
 
+  /**
+   * Campaigns with a free-text brand name but no linked brand
+   * @returns {Promise<Array>} - { id, name, legacy_brand_name, status, start_date }
+   */
+  async getUnlinkedBrands() {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaigns')
+        ?.select('id, name, legacy_brand_name, status, start_date')
+        ?.is('brand_id', null)
+        ?.not('legacy_brand_name', 'is', null)
+        ?.order('legacy_brand_name', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaigns without a brand:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Link campaigns to a brand
+   * @param {Array<string>} campaignIds
+   * @param {string} brandId
+   * @returns {Promise<boolean>}
+   */
+  async linkBrand(campaignIds, brandId) {
+    try {
+      const { error } = await supabase
+        ?.from('campaigns')
+        ?.update({ brand_id: brandId })
+        ?.in('id', campaignIds);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error linking campaigns to brand:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Assign a creator to a campaign. A creator still being cast for it
+   * (longlist through brand approved) is contracted in place.
+   * @param {string} campaignId
+   * @param {string} creatorId
+   * @param {Object} terms - { fixedAmount, deliverables: [{ platform, deliverable_type, quantity, rate }] }
+   * @returns {Promise<Object>} - The campaign_creators row
+   */
+  async addCreator(campaignId, creatorId, { fixedAmount = null, deliverables = [] } = {}) {
+    try {
+      const terms = {
+        fixed_amount: fixedAmount,
+        total_value: fixedAmount,
+        deliverables
+      };
+
+      const { data: proposal, error: proposalError } = await supabase?.from('campaign_creators')
+        ?.select('id, status')
+        ?.eq('campaign_id', campaignId)
+        ?.eq('creator_id', creatorId)
+        ?.maybeSingle();
+
+      if (proposalError) throw proposalError;
+
+      const { data, error } = proposal && isProposalStatus(proposal.status)
+        ? await supabase?.from('campaign_creators')
+          ?.update({ ...terms, status: 'assigned' })
+          ?.eq('id', proposal.id)
+          ?.select()?.single()
+        : await supabase?.from('campaign_creators')?.insert([{
+          campaign_id: campaignId,
+          creator_id: creatorId,
+          ...terms
+        }])?.select()?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding creator to campaign:', error);
+      throw error;
+    }
+  },
+
   async bulkUpdateStatus(campaignIds, status) {
     try {
       const updates = campaignIds?.map(id => 
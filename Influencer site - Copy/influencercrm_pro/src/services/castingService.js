@@ -0,0 +1,249 @@
+import { supabase } from '../lib/supabase';
+import { creatorService } from './creatorService';
+import { toCreatorQueryFilters } from '../utils/creatorFilters';
+import { CASTING_STAGES, isContractedStatus } from '../utils/castingBoard';
+
+/**
+ * Casting Service
+ * Per-campaign casting board. Proposed creators are campaign_creators rows
+ * in a casting status (longlist, shortlisted, brand_approved); moving a
+ * card to contracted or live turns the row into an assignment with an
+ * agreed fee. Rate cards come from creator_current_rates and track record
+ * from campaign_creator_performance on the creator's other campaigns.
+ */
+
+const statusForStage = (stage) => CASTING_STAGES.find(s => s.value === stage)?.status || stage;
+
+// Most saved filters are narrower than this; it keeps one click from flooding the board
+export const SAVED_FILTER_ADD_LIMIT = 50;
+
+export const castingService = {
+  /**
+   * Every creator on the campaign, proposed or contracted
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - campaign_creators rows with creator
+   */
+  async getBoard(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_creators')
+        ?.select('*, creator:creators(*)')
+        ?.eq('campaign_id', campaignId)
+        ?.order('stage_changed_at', { ascending: false, nullsFirst: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching casting board:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Current rate cards for several creators
+   * @param {Array<string>} creatorIds
+   * @returns {Promise<Object>} - { [creatorId]: creator_current_rates rows }
+   */
+  async getRateCards(creatorIds = []) {
+    if (!creatorIds?.length) return {};
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_current_rates')
+        ?.select('*')
+        ?.in('creator_id', creatorIds);
+
+      if (error) throw error;
+      return (data || []).reduce((byCreator, rate) => {
+        (byCreator[rate.creator_id] = byCreator[rate.creator_id] || []).push(rate);
+        return byCreator;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching rate cards:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Results from each creator's contracted work on other campaigns
+   * @param {Array<string>} creatorIds
+   * @param {string} excludeCampaignId - The campaign being cast
+   * @returns {Promise<Object>} - { [creatorId]: campaign_creator_performance rows }
+   */
+  async getPastPerformance(creatorIds = [], excludeCampaignId = null) {
+    if (!creatorIds?.length) return {};
+    try {
+      let query = supabase
+        ?.from('campaign_creator_performance')
+        ?.select('*')
+        ?.in('creator_id', creatorIds)
+        ?.in('status', ['assigned', 'active', 'completed']);
+
+      if (excludeCampaignId) query = query?.neq('campaign_id', excludeCampaignId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).reduce((byCreator, row) => {
+        (byCreator[row.creator_id] = byCreator[row.creator_id] || []).push(row);
+        return byCreator;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching past performance:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Campaigns still casting or running, for pickers
+   * @returns {Promise<Array>} - [{ id, name, status }]
+   */
+  async getCastingCampaigns() {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaigns')
+        ?.select('id, name, status, linked_brand:brands!campaigns_brand_id_fkey(name)')
+        ?.in('status', ['planning', 'active', 'paused'])
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaigns for casting:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Put creators on the board. Creators we dropped earlier come back in the
+   * given stage; anyone else already on the campaign is left where they are.
+   * @param {string} campaignId
+   * @param {Array<string>} creatorIds
+   * @param {string} stage - longlist | shortlisted
+   * @returns {Promise<Object>} - { added, skipped }
+   */
+  async addCreators(campaignId, creatorIds = [], stage = 'longlist') {
+    try {
+      const uniqueIds = [...new Set(creatorIds.filter(Boolean))];
+      if (!uniqueIds.length) return { added: [], skipped: 0 };
+
+      const { data: existing, error: existingError } = await supabase
+        ?.from('campaign_creators')
+        ?.select('id, creator_id, status')
+        ?.eq('campaign_id', campaignId)
+        ?.in('creator_id', uniqueIds);
+
+      if (existingError) throw existingError;
+      const onBoard = new Set((existing || []).map(row => row.creator_id));
+      const toAdd = uniqueIds.filter(id => !onBoard.has(id));
+      const toRevive = (existing || []).filter(row => row.status === 'dropped').map(row => row.id);
+
+      let added = [];
+      if (toAdd.length) {
+        const { data, error } = await supabase
+          ?.from('campaign_creators')
+          ?.insert(toAdd.map(creatorId => ({
+            campaign_id: campaignId,
+            creator_id: creatorId,
+            status: statusForStage(stage)
+          })))
+          ?.select();
+
+        if (error) throw error;
+        added = data || [];
+      }
+
+      if (toRevive.length) {
+        const { data, error } = await supabase
+          ?.from('campaign_creators')
+          ?.update({ status: statusForStage(stage) })
+          ?.in('id', toRevive)
+          ?.select();
+
+        if (error) throw error;
+        added = [...added, ...(data || [])];
+      }
+
+      return { added, skipped: uniqueIds.length - added.length };
+    } catch (error) {
+      console.error('Error adding creators to casting board:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Put the creators matched by a saved filter on the board
+   * @param {string} campaignId
+   * @param {Object} savedFilter - creator_saved_filters row
+   * @param {Object} options - { stage, limit }
+   * @returns {Promise<Object>} - { added, skipped, matched, total }
+   */
+  async addFromSavedFilter(campaignId, savedFilter, { stage = 'longlist', limit = SAVED_FILTER_ADD_LIMIT } = {}) {
+    const result = await creatorService?.getPaginated({
+      page: 1,
+      pageSize: limit,
+      searchQuery: savedFilter?.search_query || '',
+      filters: toCreatorQueryFilters(savedFilter?.filters),
+      // Orders by followers_count with unknown counts last
+      sortColumn: 'followers_tier',
+      sortDirection: 'desc'
+    });
+    const matched = (result?.data || []).map(creator => creator.id);
+    const { added, skipped } = await this.addCreators(campaignId, matched, stage);
+    return { added, skipped, matched: matched.length, total: result?.total || 0 };
+  },
+
+  /**
+   * Move a card to another column. Entering contracted or live from a
+   * proposal needs the agreed fee.
+   * @param {Object} entry - campaign_creators row
+   * @param {string} stage - CASTING_STAGES value
+   * @param {Object} terms - { fixedAmount }
+   * @returns {Promise<Object>}
+   */
+  async moveToStage(entry, stage, { fixedAmount } = {}) {
+    try {
+      const updates = { status: statusForStage(stage) };
+      if (fixedAmount !== undefined && fixedAmount !== null && fixedAmount !== '') {
+        updates.fixed_amount = Number(fixedAmount);
+        updates.total_value = Number(fixedAmount);
+      }
+
+      const { data, error } = await supabase
+        ?.from('campaign_creators')
+        ?.update(updates)
+        ?.eq('id', entry?.id)
+        ?.select('*, creator:creators(*)')
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error moving creator on casting board:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Take a creator off the board: proposals are marked dropped, contracted
+   * creators cancelled, so the history stays
+   * @param {Object} entry - campaign_creators row
+   * @returns {Promise<Object>}
+   */
+  async drop(entry) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_creators')
+        ?.update({ status: isContractedStatus(entry?.status) ? 'cancelled' : 'dropped' })
+        ?.eq('id', entry?.id)
+        ?.select('*, creator:creators(*)')
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error dropping creator from casting board:', error);
+      throw error;
+    }
+  }
+};
+
+export default castingService;
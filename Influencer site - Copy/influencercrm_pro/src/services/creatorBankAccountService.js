@@ -0,0 +1,118 @@
+import { supabase } from '../lib/supabase';
+import { normalizeAccountNumber, normalizeIfsc } from '../utils/bankDetails';
+
+/**
+ * Creator Bank Account Service
+ * Payout bank details per creator (creator_bank_accounts). Only finance
+ * roles can read or change them; every change is written to audit_logs
+ * with the account number masked.
+ */
+export const creatorBankAccountService = {
+  /**
+   * @param {string} creatorId
+   * @returns {Promise<Object|null>}
+   */
+  async getByCreator(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_bank_accounts')
+        ?.select('*')
+        ?.eq('creator_id', creatorId)
+        ?.maybeSingle();
+
+      if (error) throw error;
+      return data || null;
+    } catch (error) {
+      console.error('Error fetching creator bank details:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Bank details for many creators at once
+   * @param {Array<string>} creatorIds
+   * @returns {Promise<Map<string, Object>>} - creator id -> row
+   */
+  async getByCreators(creatorIds) {
+    try {
+      const ids = [...new Set((creatorIds || []).filter(Boolean))];
+      if (!ids.length) return new Map();
+
+      const { data, error } = await supabase
+        ?.from('creator_bank_accounts')
+        ?.select('*')
+        ?.in('creator_id', ids);
+
+      if (error) throw error;
+      return new Map((data || []).map(row => [row.creator_id, row]));
+    } catch (error) {
+      console.error('Error fetching creator bank details:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add or replace a creator's bank details
+   * @param {string} creatorId
+   * @param {Object} details - { beneficiaryName, accountNumber, ifscCode, bankName, branchName, accountType, beneficiaryEmail }
+   * @returns {Promise<Object>}
+   */
+  async save(creatorId, details) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_bank_accounts')
+        ?.upsert({
+          creator_id: creatorId,
+          beneficiary_name: details?.beneficiaryName?.trim(),
+          account_number: normalizeAccountNumber(details?.accountNumber),
+          ifsc_code: normalizeIfsc(details?.ifscCode),
+          bank_name: details?.bankName?.trim() || null,
+          branch_name: details?.branchName?.trim() || null,
+          account_type: details?.accountType || 'savings',
+          beneficiary_email: details?.beneficiaryEmail?.trim() || null
+        }, { onConflict: 'creator_id' })
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving creator bank details:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} creatorId
+   */
+  async remove(creatorId) {
+    try {
+      const { error } = await supabase
+        ?.from('creator_bank_accounts')
+        ?.delete()
+        ?.eq('creator_id', creatorId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error removing creator bank details:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether the current user may see and edit bank details
+   * @returns {Promise<boolean>}
+   */
+  async canManage() {
+    try {
+      const { data, error } = await supabase?.rpc('can_manage_payouts');
+      if (error) throw error;
+      return Boolean(data);
+    } catch (error) {
+      console.error('Error checking payout permission:', error);
+      return false;
+    }
+  }
+};
+
+export default creatorBankAccountService;
@@ -0,0 +1,431 @@
+import { supabase } from '../lib/supabase';
+import { getSettingByKey } from './systemSettingsService';
+import { spreadsheetService } from './spreadsheetService';
+import { getCreatorKeys, instagramKey } from '../utils/creatorIdentity';
+import { validateCreator } from '../utils/creatorValidation';
+import { applyTransforms, normalizeFollowersTier, parseCount } from '../utils/importTransforms';
+import { parseTierRange } from '../utils/followersTiers';
+
+/**
+ * Creator Import Service
+ * Commits spreadsheet rows to the creators table: validation, duplicate
+ * detection against existing creators, skip/overwrite/merge resolution and
+ * a per-row result report.
+ */
+
+// Columns an import may write
+export const CREATOR_IMPORT_FIELDS = [
+  'name',
+  'username',
+  'instagram_link',
+  'followers_tier',
+  'followers_count',
+  'state',
+  'city',
+  'whatsapp',
+  'email',
+  'gender',
+  'sheet_source'
+];
+
+export const DUPLICATE_STRATEGIES = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  MERGE: 'merge'
+};
+
+export const DEFAULT_IMPORT_LIMIT = 5000;
+
+const LOOKUP_BATCH_SIZE = 200;
+const INSERT_BATCH_SIZE = 500;
+const UPDATE_CONCURRENCY = 10;
+
+const EXISTING_FIELDS = ['id', ...CREATOR_IMPORT_FIELDS, 'instagram_key', 'username_key', 'email_key', 'whatsapp_key'].join(',');
+
+const MATCH_LABELS = {
+  instagram: 'Instagram link',
+  username: 'username',
+  email: 'email',
+  whatsapp: 'WhatsApp number'
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const cleanValue = (value) => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return typeof value === 'string' ? value.trim() : String(value);
+};
+
+// Identity keys for a record; usernames and links are both Instagram handles
+const recordHandles = (keys) => [keys.instagram_key, keys.username_key].filter(Boolean);
+
+export const creatorImportService = {
+  /**
+   * Turn mapped spreadsheet rows into creator records
+   * @param {Array<string>} headers - Sheet headers
+   * @param {Array<Array>} rows - Row values aligned with headers
+   * @param {Object} mapping - { creatorField: header }
+   * @param {Object} options - Mapping profile settings
+   * @param {Object} options.valueTransforms - { creatorField: [transformId] }
+   * @param {string} options.defaultSheetSource - sheet_source for rows that have none
+   * @param {Object} options.followersTierMap - { rawTier: normalizedTier }
+   * @param {number} options.headerRow - 0-based header row index, so rowNumber matches the sheet
+   * @returns {Array<Object>} - [{ rowNumber, data, keys, errors }] with 1-based sheet row numbers
+   */
+  buildRecords(headers, rows, mapping, options = {}) {
+    const { valueTransforms = {}, defaultSheetSource, followersTierMap = {}, headerRow = 0 } = options;
+
+    const columnIndexes = Object.entries(mapping)
+      .filter(([field, header]) => CREATOR_IMPORT_FIELDS.includes(field) && header)
+      .map(([field, header]) => [field, headers.indexOf(header)])
+      .filter(([, index]) => index !== -1);
+
+    return rows.map((row, index) => {
+      const data = {};
+      columnIndexes.forEach(([field, columnIndex]) => {
+        data[field] = cleanValue(applyTransforms(row[columnIndex], valueTransforms[field]));
+      });
+
+      if (!isBlank(data.followers_count)) {
+        const count = parseCount(data.followers_count);
+        if (count !== null) {
+          data.followers_count = count;
+        } else if (isBlank(data.followers_tier) && parseTierRange(data.followers_count)) {
+          // A "Followers" column holding tiers such as "10K-50K"
+          data.followers_tier = data.followers_count;
+          data.followers_count = null;
+        }
+      }
+      if (!isBlank(data.followers_tier)) {
+        data.followers_tier = normalizeFollowersTier(data.followers_tier, followersTierMap);
+
+        // An exact figure in the tier column ("52K") is really a count
+        const range = parseTierRange(data.followers_tier);
+        if (isBlank(data.followers_count) && range && range.min === range.max) {
+          data.followers_count = range.min;
+        }
+      }
+      if (isBlank(data.sheet_source) && !isBlank(defaultSheetSource)) {
+        data.sheet_source = defaultSheetSource.trim();
+      }
+
+      // Sheets often carry only the profile link; derive the username from it
+      if (isBlank(data.username) && !isBlank(data.instagram_link)) {
+        data.username = instagramKey(data.instagram_link);
+      }
+
+      return {
+        rowNumber: headerRow + index + 2,
+        data,
+        keys: getCreatorKeys(data),
+        errors: validateCreator(data)
+      };
+    });
+  },
+
+  /**
+   * Read the max_import_limit system setting
+   * @returns {Promise<number>}
+   */
+  async getImportLimit() {
+    const { data } = await getSettingByKey('max_import_limit');
+    const limit = Number(data?.settingValue);
+    return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_IMPORT_LIMIT;
+  },
+
+  /**
+   * Fetch creators whose identity key column matches any of the given keys
+   */
+  async lookupByKeys(column, keys) {
+    const uniqueKeys = [...new Set(keys.filter(Boolean))];
+    const results = [];
+
+    for (const batch of chunk(uniqueKeys, LOOKUP_BATCH_SIZE)) {
+      const { data, error } = await supabase
+        ?.from('creators')
+        ?.select(EXISTING_FIELDS)
+        ?.in(column, batch);
+
+      if (error) throw error;
+      results.push(...(data || []));
+    }
+
+    return results;
+  },
+
+  /**
+   * Find duplicates for each record, both against existing creators and
+   * against earlier rows of the same file
+   * @param {Array<Object>} records - Output of buildRecords
+   * @returns {Promise<Array<Object>>} - [{ rowNumber, existing, matchedOn, duplicateOfRow }]
+   */
+  async findDuplicates(records) {
+    try {
+      const handles = records.flatMap(record => recordHandles(record.keys));
+      const emails = records.map(record => record.keys.email_key);
+      const phones = records.map(record => record.keys.whatsapp_key);
+
+      const [byInstagram, byUsername, byEmail, byPhone] = await Promise.all([
+        this.lookupByKeys('instagram_key', handles),
+        this.lookupByKeys('username_key', handles),
+        this.lookupByKeys('email_key', emails),
+        this.lookupByKeys('whatsapp_key', phones)
+      ]);
+
+      const handleIndex = new Map();
+      [...byInstagram, ...byUsername].forEach(creator => {
+        [creator.instagram_key, creator.username_key].filter(Boolean).forEach(key => {
+          if (!handleIndex.has(key)) handleIndex.set(key, creator);
+        });
+      });
+      const emailIndex = new Map(byEmail.map(creator => [creator.email_key, creator]));
+      const phoneIndex = new Map(byPhone.map(creator => [creator.whatsapp_key, creator]));
+
+      const seenInFile = new Map();
+      const duplicates = [];
+
+      records.forEach(record => {
+        const { keys } = record;
+        let existing = null;
+        let matchedOn = null;
+
+        if (keys.instagram_key && handleIndex.has(keys.instagram_key)) {
+          existing = handleIndex.get(keys.instagram_key);
+          matchedOn = 'instagram';
+        } else if (keys.username_key && handleIndex.has(keys.username_key)) {
+          existing = handleIndex.get(keys.username_key);
+          matchedOn = 'username';
+        } else if (keys.email_key && emailIndex.has(keys.email_key)) {
+          existing = emailIndex.get(keys.email_key);
+          matchedOn = 'email';
+        } else if (keys.whatsapp_key && phoneIndex.has(keys.whatsapp_key)) {
+          existing = phoneIndex.get(keys.whatsapp_key);
+          matchedOn = 'whatsapp';
+        }
+
+        const fileKeys = [
+          ...recordHandles(keys).map(key => `ig:${key}`),
+          keys.email_key && `email:${keys.email_key}`,
+          keys.whatsapp_key && `phone:${keys.whatsapp_key}`
+        ].filter(Boolean);
+        const earlierRow = fileKeys.map(key => seenInFile.get(key)).find(Boolean);
+        fileKeys.forEach(key => {
+          if (!seenInFile.has(key)) seenInFile.set(key, record.rowNumber);
+        });
+
+        if (existing || earlierRow) {
+          duplicates.push({
+            rowNumber: record.rowNumber,
+            existing,
+            matchedOn,
+            matchLabel: matchedOn ? MATCH_LABELS[matchedOn] : null,
+            duplicateOfRow: earlierRow || null
+          });
+        }
+      });
+
+      return duplicates;
+    } catch (error) {
+      console.error('Error checking for duplicate creators:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Changes to apply to an existing creator for a resolution strategy.
+   * Blank incoming values never erase existing data: overwrite replaces
+   * existing values, merge only fills fields that are empty today.
+   */
+  buildUpdate(existing, incoming, strategy) {
+    const changes = {};
+
+    Object.entries(incoming).forEach(([field, value]) => {
+      if (isBlank(value)) return;
+      if (strategy === DUPLICATE_STRATEGIES.MERGE && !isBlank(existing?.[field])) return;
+      if (existing?.[field] === value) return;
+      changes[field] = value;
+    });
+
+    return changes;
+  },
+
+  /**
+   * Insert one batch, falling back to row-by-row inserts so a single bad row
+   * only fails itself
+   */
+  async insertBatch(records) {
+    const { data, error } = await supabase
+      ?.from('creators')
+      ?.insert(records.map(record => record.data))
+      ?.select('id');
+
+    if (!error && data?.length === records.length) {
+      return records.map((record, index) => ({ record, id: data[index]?.id }));
+    }
+
+    return Promise.all(records.map(async (record) => {
+      const { data: row, error: rowError } = await supabase
+        ?.from('creators')
+        ?.insert([record.data])
+        ?.select('id')
+        ?.single();
+
+      return rowError
+        ? { record, error: rowError.message }
+        : { record, id: row?.id };
+    }));
+  },
+
+  /**
+   * Write records to the creators table
+   * @param {Array<Object>} records - Output of buildRecords
+   * @param {Object} options
+   * @param {Array<Object>} options.duplicates - Output of findDuplicates
+   * @param {string} options.defaultStrategy - skip | overwrite | merge
+   * @param {Object} options.resolutions - Per-row strategy overrides { rowNumber: strategy }
+   * @param {Function} options.onProgress - Called with (processed, total)
+   * @returns {Promise<Object>} - { rows, summary }
+   */
+  async commit(records, options = {}) {
+    const {
+      duplicates = [],
+      defaultStrategy = DUPLICATE_STRATEGIES.SKIP,
+      resolutions = {},
+      onProgress
+    } = options;
+
+    try {
+      const limit = await this.getImportLimit();
+      if (records.length > limit) {
+        throw new Error(`This import has ${records.length} rows, which exceeds the maximum of ${limit} rows per import`);
+      }
+
+      const duplicateByRow = new Map(duplicates.map(duplicate => [duplicate.rowNumber, duplicate]));
+      const results = [];
+      const toInsert = [];
+      const toUpdate = [];
+
+      records.forEach(record => {
+        const duplicate = duplicateByRow.get(record.rowNumber);
+
+        if (record.errors.length > 0) {
+          results.push({ record, status: 'failed', reason: record.errors.join('; ') });
+        } else if (duplicate?.duplicateOfRow && !duplicate.existing) {
+          results.push({ record, status: 'skipped', reason: `Duplicate of row ${duplicate.duplicateOfRow} in this file` });
+        } else if (duplicate?.existing) {
+          const strategy = resolutions[record.rowNumber] || defaultStrategy;
+          if (strategy === DUPLICATE_STRATEGIES.SKIP) {
+            results.push({
+              record,
+              status: 'skipped',
+              creatorId: duplicate.existing.id,
+              reason: `Already exists (matched on ${duplicate.matchLabel})`
+            });
+          } else {
+            toUpdate.push({ record, duplicate, strategy });
+          }
+        } else {
+          toInsert.push(record);
+        }
+      });
+
+      const total = records.length;
+      const reportProgress = () => onProgress?.(results.length, total);
+      reportProgress();
+
+      for (const batch of chunk(toInsert, INSERT_BATCH_SIZE)) {
+        const inserted = await this.insertBatch(batch);
+        inserted.forEach(({ record, id, error }) => {
+          results.push(error
+            ? { record, status: 'failed', reason: error }
+            : { record, status: 'inserted', creatorId: id, changes: record.data });
+        });
+        reportProgress();
+      }
+
+      for (const batch of chunk(toUpdate, UPDATE_CONCURRENCY)) {
+        const updated = await Promise.all(batch.map(async ({ record, duplicate, strategy }) => {
+          const { existing } = duplicate;
+          const changes = this.buildUpdate(existing, record.data, strategy);
+
+          if (Object.keys(changes).length === 0) {
+            return { record, status: 'skipped', creatorId: existing.id, reason: 'No new values to apply' };
+          }
+
+          const { error } = await supabase
+            ?.from('creators')
+            ?.update(changes)
+            ?.eq('id', existing.id);
+
+          if (error) {
+            return { record, status: 'failed', creatorId: existing.id, reason: error.message };
+          }
+
+          const previous = Object.fromEntries(Object.keys(changes).map(field => [field, existing[field] ?? null]));
+          return {
+            record,
+            status: 'updated',
+            creatorId: existing.id,
+            strategy,
+            changes,
+            previous,
+            reason: `${strategy === DUPLICATE_STRATEGIES.MERGE ? 'Merged' : 'Overwrote'} ${Object.keys(changes).join(', ')}`
+          };
+        }));
+        results.push(...updated);
+        reportProgress();
+      }
+
+      const rows = results
+        .map(({ record, ...result }) => ({
+          rowNumber: record.rowNumber,
+          name: record.data.name,
+          username: record.data.username,
+          instagramLink: record.data.instagram_link,
+          ...result
+        }))
+        .sort((a, b) => a.rowNumber - b.rowNumber);
+
+      const summary = rows.reduce((acc, row) => {
+        acc[row.status] = (acc[row.status] || 0) + 1;
+        return acc;
+      }, { total: rows.length, inserted: 0, updated: 0, skipped: 0, failed: 0 });
+
+      return { rows, summary };
+    } catch (error) {
+      console.error('Error committing creator import:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download the per-row import report as CSV
+   * @param {Object} report - Output of commit
+   * @param {string} fileName - Base name for the report file
+   */
+  async downloadReport(report, fileName = 'creator_import') {
+    const headers = ['Row', 'Status', 'Creator ID', 'Name', 'Username', 'Instagram Link', 'Reason'];
+    const data = report.rows.map(row => ({
+      'Row': row.rowNumber,
+      'Status': row.status,
+      'Creator ID': row.creatorId || '',
+      'Name': row.name || '',
+      'Username': row.username || '',
+      'Instagram Link': row.instagramLink || '',
+      'Reason': row.reason || ''
+    }));
+
+    await spreadsheetService.exportToCSV(data, headers, `${fileName}_report.csv`);
+  }
+};
+
+export default creatorImportService;
@@ -0,0 +1,201 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Creator Note Service
+ * Internal team notes on a creator (creator_notes). Replies hang off a
+ * top-level note via parent_id, @mentions are stored as auth user ids and
+ * turned into notifications by a database trigger, and every content edit
+ * keeps the previous text in creator_note_edits.
+ */
+
+/**
+ * Group a flat list of notes into threads: pinned notes first, then newest
+ * first, each with its replies oldest first
+ * @param {Array} notes - Rows from creator_notes
+ * @returns {Array} - Top-level notes with a replies array
+ */
+export function buildNoteThreads(notes = []) {
+  const repliesByParent = new Map();
+  notes.filter(note => note?.parent_id).forEach(note => {
+    const replies = repliesByParent.get(note.parent_id) || [];
+    replies.push(note);
+    repliesByParent.set(note.parent_id, replies);
+  });
+
+  const byDateAsc = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+  return notes
+    .filter(note => !note?.parent_id)
+    .map(note => ({ ...note, replies: (repliesByParent.get(note.id) || []).sort(byDateAsc) }))
+    .sort((a, b) => {
+      if (a.is_pinned !== b.is_pinned) return a.is_pinned ? -1 : 1;
+      if (a.is_pinned) return new Date(b.pinned_at) - new Date(a.pinned_at);
+      return byDateAsc(b, a);
+    });
+}
+
+export const creatorNoteService = {
+  /**
+   * All notes and replies for a creator
+   * @param {string} creatorId
+   * @returns {Promise<Array>} - Flat rows; see buildNoteThreads
+   */
+  async getByCreator(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_notes')
+        ?.select('*')
+        ?.eq('creator_id', creatorId)
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching creator notes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a note, or a reply when parentId is given. Author details are set
+   * by the database from the signed-in user.
+   * @param {Object} params - { creatorId, content, parentId, mentions }
+   * @returns {Promise<Object>}
+   */
+  async create({ creatorId, content, parentId = null, mentions = [] }) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_notes')
+        ?.insert([{
+          creator_id: creatorId,
+          parent_id: parentId,
+          content: content.trim(),
+          mentions
+        }])
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating creator note:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a note the current user wrote. The previous text is kept in the
+   * note's edit history, and newly added mentions are notified.
+   * @param {string} id
+   * @param {Object} params - { content, mentions }
+   * @returns {Promise<Object>}
+   */
+  async update(id, { content, mentions = [] }) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_notes')
+        ?.update({ content: content.trim(), mentions })
+        ?.eq('id', id)
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating creator note:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Pin or unpin a top-level note; any team member may do this
+   * @param {string} id
+   * @param {boolean} pinned
+   * @returns {Promise<Object>}
+   */
+  async setPinned(id, pinned) {
+    try {
+      const { data, error } = await supabase?.rpc('set_creator_note_pinned', {
+        note_id: id,
+        pinned
+      });
+
+      if (error) throw error;
+      if (!data?.length) throw new Error('Only top-level notes can be pinned');
+      return data[0];
+    } catch (error) {
+      console.error('Error pinning creator note:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a note and its replies. Row level security allows the author
+   * or an admin; anyone else gets an error rather than a silent no-op.
+   * @param {string} id
+   */
+  async delete(id) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_notes')
+        ?.delete()
+        ?.eq('id', id)
+        ?.select('id');
+
+      if (error) throw error;
+      if (!data?.length) throw new Error('You do not have permission to delete this note');
+      return true;
+    } catch (error) {
+      console.error('Error deleting creator note:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Previous versions of a note, newest first
+   * @param {string} noteId
+   * @returns {Promise<Array>}
+   */
+  async getEditHistory(noteId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_note_edits')
+        ?.select('*')
+        ?.eq('note_id', noteId)
+        ?.order('edited_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching note edit history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Active team members who can be @mentioned
+   * @returns {Promise<Array>} - [{ id (auth user id), name, email }]
+   */
+  async getMentionableUsers() {
+    try {
+      const { data, error } = await supabase
+        ?.from('users')
+        ?.select('auth_id, full_name, email')
+        ?.eq('is_active', true)
+        ?.not('auth_id', 'is', null)
+        ?.order('full_name', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).map(user => ({
+        id: user.auth_id,
+        name: user.full_name || user.email,
+        email: user.email
+      }));
+    } catch (error) {
+      console.error('Error fetching mentionable users:', error);
+      throw error;
+    }
+  }
+};
+
+export default creatorNoteService;
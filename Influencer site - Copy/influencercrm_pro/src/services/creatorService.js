@@ -1,5 +1,15 @@
 import { supabase } from '../lib/supabase';
 import { calculateCreatorsPerformance, getTopPerformers } from '../utils/performanceUtils';
+import { instagramKey, isInstagramHandle } from '../utils/creatorIdentity';
+import { validateCreator } from '../utils/creatorValidation';
+import { tiersToRanges } from '../utils/followersTiers';
+import { followersTierService } from './followersTierService';
+
+// Handles sent per search_creators_by_handles call / per fallback .in() query
+const HANDLE_RPC_BATCH_SIZE = 1000;
+const HANDLE_QUERY_BATCH_SIZE = 200;
+const IDENTITY_KEY_COLUMNS = ['instagram_key', 'username_key', 'email_key', 'whatsapp_key'];
+const STUB_INSERT_BATCH_SIZE = 500;
 
 export const creatorService = {
   async getCount() {
@@ -95,45 +105,6 @@ export const creatorService = {
     }
   },
 
-  // Debug function to check followers_tier distribution
-  async getFollowersTierDistribution() {
-    try {
-      console.log('Fetching followers_tier distribution...');
-      
-      // Get all creators with their followers_tier
-      const { data, error } = await supabase
-        ?.from('creators')
-        ?.select('followers_tier')
-        ?.not('followers_tier', 'is', null);
-
-      if (error) throw error;
-
-      // Count occurrences of each followers_tier
-      const distribution = {};
-      data?.forEach(creator => {
-        const tier = creator?.followers_tier?.trim() || 'Unknown';
-        distribution[tier] = (distribution[tier] || 0) + 1;
-      });
-
-      console.log('Followers tier distribution:', distribution);
-      
-      // Find all variations that might be "0-10k"
-      const variations = Object.keys(distribution).filter(key => 
-        key.toLowerCase().includes('0-10k') || 
-        key.toLowerCase().includes('10k') ||
-        key.toLowerCase().includes('0-10')
-      );
-
-      console.log('Possible 0-10k variations found:', variations);
-      console.log('Counts for variations:', variations.map(v => ({ [v]: distribution[v] })));
-
-      return distribution;
-    } catch (error) {
-      console.error('Error fetching followers tier distribution:', error);
-      throw error;
-    }
-  },
-
   /**
    * Get paginated creators with server-side filtering and sorting
    * @param {Object} options - Pagination, filtering, and sorting options
@@ -161,6 +132,340 @@ export const creatorService = {
     }
   },
 
+  /**
+   * Find creators for a pasted list of Instagram links
+   * @param {Array<string>} links - Profile URLs or handles, one per input line
+   * @returns {Promise<Object>} - { found, notFound, ambiguous, duplicates } (see searchByHandles)
+   */
+  async searchByInstagramLinks(links) {
+    return this.searchByHandles(links);
+  },
+
+  /**
+   * Find creators for a pasted list of usernames ("name", "@name" or a profile URL)
+   * @param {Array<string>} usernames
+   * @returns {Promise<Object>} - { found, notFound, ambiguous, duplicates } (see searchByHandles)
+   */
+  async searchByUsernames(usernames) {
+    return this.searchByHandles(usernames);
+  },
+
+  /**
+   * Bulk lookup by canonical Instagram handle. Inputs are canonicalized
+   * (host, query string, trailing slash and "@" removed, lower-cased) and
+   * de-duplicated, then matched against instagram_key and username_key in
+   * the database in batches.
+   * @param {Array<string>} inputs - Raw input lines
+   * @returns {Promise<Object>}
+   *   found: creators matched by exactly one input, each with `query` and `matchKey`
+   *   notFound: input lines with no match (or that are not a valid handle)
+   *   ambiguous: [{ query, matchKey, creators }] for inputs matching several creators
+   *   duplicates: [{ query, duplicateOf }] for repeated handles, or a link and a
+   *     username for the same creator; duplicateOf is the input they were counted under
+   */
+  async searchByHandles(inputs = []) {
+    try {
+      const queriesByKey = new Map();
+      const notFound = [];
+      const duplicates = [];
+
+      inputs.forEach(input => {
+        const key = instagramKey(input);
+        if (!isInstagramHandle(key)) {
+          notFound.push(input);
+        } else if (!queriesByKey.has(key)) {
+          queriesByKey.set(key, input);
+        } else {
+          duplicates.push({ query: input, duplicateOf: queriesByKey.get(key) });
+        }
+      });
+
+      const matchesByKey = await this.lookupCreatorsByHandles([...queriesByKey.keys()]);
+      const found = [];
+      const ambiguous = [];
+      const foundQueryById = new Map();
+
+      queriesByKey.forEach((query, matchKey) => {
+        const creators = matchesByKey.get(matchKey) || [];
+        if (creators.length === 0) {
+          notFound.push(query);
+        } else if (creators.length > 1) {
+          ambiguous.push({ query, matchKey, creators });
+        } else if (foundQueryById.has(creators[0].id)) {
+          // A link and a username for the same creator only list them once
+          duplicates.push({ query, duplicateOf: foundQueryById.get(creators[0].id) });
+        } else {
+          foundQueryById.set(creators[0].id, query);
+          found.push({ ...creators[0], query, matchKey });
+        }
+      });
+
+      return { found, notFound, ambiguous, duplicates };
+    } catch (error) {
+      console.error('Error searching creators by handle:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creators per canonical handle, via the search_creators_by_handles RPC
+   * with a batched .in() fallback when the function is not deployed
+   * @param {Array<string>} handles - Canonical handles
+   * @returns {Promise<Map<string, Array>>}
+   */
+  async lookupCreatorsByHandles(handles) {
+    const matchesByKey = new Map();
+    const addMatch = (key, creator) => {
+      const list = matchesByKey.get(key) || [];
+      if (!list.some(existing => existing.id === creator.id)) list.push(creator);
+      matchesByKey.set(key, list);
+    };
+
+    try {
+      for (let i = 0; i < handles.length; i += HANDLE_RPC_BATCH_SIZE) {
+        const { data, error } = await supabase
+          ?.rpc('search_creators_by_handles', { handles: handles.slice(i, i + HANDLE_RPC_BATCH_SIZE) });
+
+        if (error) throw error;
+        data?.forEach(row => addMatch(row.match_key, row.creator));
+      }
+      return matchesByKey;
+    } catch (rpcErr) {
+      console.log('RPC method failed, falling back to standard query');
+      matchesByKey.clear();
+    }
+
+    const stripKeys = (creator) => {
+      const result = { ...creator };
+      IDENTITY_KEY_COLUMNS.forEach(column => delete result[column]);
+      return result;
+    };
+
+    for (let i = 0; i < handles.length; i += HANDLE_QUERY_BATCH_SIZE) {
+      const batch = handles.slice(i, i + HANDLE_QUERY_BATCH_SIZE);
+      const [byLink, byUsername] = await Promise.all([
+        supabase?.from('creators')?.select('*')?.in('instagram_key', batch),
+        supabase?.from('creators')?.select('*')?.in('username_key', batch)
+      ]);
+
+      if (byLink.error) throw byLink.error;
+      if (byUsername.error) throw byUsername.error;
+
+      const batchKeys = new Set(batch);
+      [...(byLink.data || []), ...(byUsername.data || [])].forEach(creator => {
+        [creator.instagram_key, creator.username_key]
+          .filter(key => batchKeys.has(key))
+          .forEach(key => addMatch(key, stripKeys(creator)));
+      });
+    }
+
+    return matchesByKey;
+  },
+
+  /**
+   * Create minimal creator records for handles that are not in the database yet
+   * @param {Array<string>} inputs - Links or handles (e.g. the bulk processor's notFound list)
+   * @param {Object} options
+   * @param {string} options.sheetSource - sheet_source for every new creator
+   * @param {Array<string>} options.tags - Tags for every new creator
+   * @param {string} options.ownerId - public.users id of the owner
+   * @returns {Promise<Object>} - { created: [{ query, creator }], failed: [{ query, reason }] }
+   */
+  async createStubsFromHandles(inputs = [], { sheetSource = '', tags = [], ownerId = null } = {}) {
+    try {
+      const created = [];
+      const failed = [];
+      const queriesByKey = new Map();
+
+      inputs.forEach(input => {
+        const key = instagramKey(input);
+        if (!isInstagramHandle(key)) {
+          failed.push({ query: input, reason: 'Not a valid Instagram handle' });
+        } else if (!queriesByKey.has(key)) {
+          queriesByKey.set(key, input);
+        }
+      });
+
+      // Another user may have added some of these since the search ran
+      const existing = await this.lookupCreatorsByHandles([...queriesByKey.keys()]);
+      const pending = [];
+
+      queriesByKey.forEach((query, handle) => {
+        if (existing.has(handle)) {
+          failed.push({ query, reason: 'Creator already exists' });
+          return;
+        }
+
+        const record = {
+          name: handle,
+          username: handle,
+          instagram_link: `https://www.instagram.com/${handle}/`,
+          sheet_source: sheetSource?.trim() || null,
+          tags,
+          owner_id: ownerId || null
+        };
+
+        const errors = validateCreator(record);
+        if (errors.length > 0) {
+          failed.push({ query, reason: errors.join('; ') });
+        } else {
+          pending.push({ query, record });
+        }
+      });
+
+      for (let i = 0; i < pending.length; i += STUB_INSERT_BATCH_SIZE) {
+        const batch = pending.slice(i, i + STUB_INSERT_BATCH_SIZE);
+        const { data, error } = await supabase
+          ?.from('creators')
+          ?.insert(batch.map(item => item.record))
+          ?.select();
+
+        if (error) {
+          batch.forEach(item => failed.push({ query: item.query, reason: error.message }));
+          continue;
+        }
+
+        data?.forEach(creator => {
+          created.push({ query: queriesByKey.get(creator.username), creator });
+        });
+      }
+
+      return { created, failed };
+    } catch (error) {
+      console.error('Error creating creators from handles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Ranked search via the search_creators RPC (see
+   * supabase/migrations/20261019140000_creator_full_text_search.sql).
+   * The returned builder accepts the usual filters, order and range.
+   * @param {string} searchQuery - Raw search input
+   * @param {string} fields - Comma separated columns to select
+   */
+  searchQueryBuilder(searchQuery, fields) {
+    return supabase
+      ?.rpc('search_creators', { search_query: searchQuery }, { count: 'exact' })
+      ?.select(fields);
+  },
+
+  /**
+   * Plain ilike search used when the search RPC is unavailable. The term is
+   * double-quoted so commas and parentheses cannot break the or() filter.
+   * @param {string} searchQuery - Raw search input
+   * @returns {string} - PostgREST or() filter
+   */
+  buildIlikeSearchFilter(searchQuery) {
+    const quote = (term) => `"%${term.replace(/["\\]/g, '\\$&')}%"`;
+    const term = quote(searchQuery);
+    const handle = quote(searchQuery.replace(/^@+/, ''));
+
+    return [
+      `name.ilike.${term}`,
+      `username.ilike.${handle}`,
+      `instagram_link.ilike.${handle}`,
+      `city.ilike.${term}`,
+      `state.ilike.${term}`,
+      `email.ilike.${term}`,
+      `whatsapp.ilike.${term}`,
+      `sheet_source.ilike.${term}`
+    ].join(',');
+  },
+
+  /**
+   * Rank and highlighted snippet for a page of search results
+   * @param {string} searchQuery - Raw search input
+   * @param {string[]} ids - Creator IDs on the page
+   * @returns {Promise<Map>} - creator id -> { rank, snippet }
+   */
+  async getSearchSnippets(searchQuery, ids = []) {
+    const snippets = new Map();
+    if (!searchQuery || ids.length === 0) return snippets;
+
+    try {
+      const { data, error } = await supabase
+        ?.rpc('search_creator_snippets', { search_query: searchQuery, creator_ids: ids });
+
+      if (error) throw error;
+
+      (data || []).forEach(row => {
+        snippets.set(row.creator_id, { rank: row.rank, snippet: row.snippet });
+      });
+    } catch (error) {
+      console.log('Snippet RPC failed, showing results without highlights');
+    }
+
+    return snippets;
+  },
+
+  /**
+   * Quick creator search for pickers and GlobalSearch
+   * @param {string} searchQuery - Raw search input
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} - Creators, best match first, with search_rank / search_snippet
+   */
+  async search(searchQuery, { limit = 10 } = {}) {
+    if (!searchQuery?.trim()) return [];
+
+    const result = await this.getPaginated({
+      page: 1,
+      pageSize: limit,
+      searchQuery,
+      sortColumn: 'relevance'
+    });
+    return result.data;
+  },
+
+  /**
+   * Apply the creator database sidebar filters to a query
+   * @param {Object} query - Supabase query builder
+   * @param {Object} filters - { city, state, followers_tier (tier labels), followers_min, followers_max, sheet_source }
+   * @returns {Promise<Object>} - { query }; wrapped because the builder is
+   * thenable and returning it from an async function would execute it
+   */
+  async applyFilters(query, filters = {}) {
+    if (filters?.city && filters?.city?.length > 0) {
+      query = query?.in('city', filters?.city);
+    }
+
+    if (filters?.state && filters?.state?.length > 0) {
+      query = query?.in('state', filters?.state);
+    }
+
+    if (filters?.followers_tier && filters?.followers_tier?.length > 0) {
+      const tiers = await followersTierService.getTiers();
+      const { ranges, includeUnknown } = tiersToRanges(filters?.followers_tier, tiers);
+
+      const conditions = ranges.map(({ min, max }) => (
+        max === null
+          ? `followers_count.gte.${min}`
+          : `and(followers_count.gte.${min},followers_count.lt.${max})`
+      ));
+      if (includeUnknown) {
+        conditions.push('followers_count.is.null');
+      }
+
+      if (conditions.length > 0) {
+        query = query?.or(conditions.join(','));
+      }
+    }
+
+    if (Number.isFinite(filters?.followers_min)) {
+      query = query?.gte('followers_count', filters?.followers_min);
+    }
+
+    if (Number.isFinite(filters?.followers_max)) {
+      query = query?.lte('followers_count', filters?.followers_max);
+    }
+
+    if (filters?.sheet_source && filters?.sheet_source?.length > 0) {
+      query = query?.in('sheet_source', filters?.sheet_source);
+    }
+
+    return { query };
+  },
+
   async getPaginated(options = {}) {
     try {
       const {
@@ -173,6 +478,7 @@ export const creatorService = {
       } = options;
 
       const offset = (page - 1) * pageSize;
+      const searchTerm = searchQuery?.trim() || '';
       
       // Only select fields needed for table display
       const fields = [
@@ -181,6 +487,7 @@ export const creatorService = {
         'name',
         'instagram_link',
         'followers_tier',
+        'followers_count',
         'state',
         'city',
         'whatsapp',
@@ -190,139 +497,57 @@ export const creatorService = {
         'sheet_source'
       ].join(',');
 
-      // Build query
-      let query = supabase
-        ?.from('creators')
-        ?.select(fields, { count: 'exact' });
-
-      // Apply universal search query - search across ALL columns in table
-      if (searchQuery) {
-        // Remove @ symbol from search query for username matching
-        const cleanSearchQuery = searchQuery.replace('@', '');
-        query = query?.or(
-          `name.ilike.%${searchQuery}%,instagram_link.ilike.%${searchQuery}%,followers_tier.ilike.%${searchQuery}%,state.ilike.%${searchQuery}%,city.ilike.%${searchQuery}%,whatsapp.ilike.%${searchQuery}%,email.ilike.%${searchQuery}%,username.ilike.%${cleanSearchQuery}%,sheet_source.ilike.%${searchQuery}%`
-        );
-      }
+      const runQuery = async (useSearchIndex) => {
+        let query = searchTerm && useSearchIndex
+          ? this.searchQueryBuilder(searchTerm, fields)
+          : supabase?.from('creators')?.select(fields, { count: 'exact' });
 
-      // Apply filters
-      if (filters?.city && filters?.city?.length > 0) {
-        query = query?.in('city', filters?.city);
-      }
+        if (searchTerm && !useSearchIndex) {
+          query = query?.or(this.buildIlikeSearchFilter(searchTerm));
+        }
 
-      if (filters?.state && filters?.state?.length > 0) {
-        query = query?.in('state', filters?.state);
-      }
+        ({ query } = await this.applyFilters(query, filters));
 
-      if (filters?.followers_tier && filters?.followers_tier?.length > 0) {
-        console.log('Applying followers_tier filter:', filters?.followers_tier);
-        
-        // Check if "Not Found" is in filters to handle NULL values
-        const includesNotFound = filters?.followers_tier.some(val => 
-          val?.toLowerCase().trim() === 'not found'
-        );
-        
-        // Get all possible followers_tier values from database to check if all are selected
-        try {
-          const allPossibleValues = await this.getUniqueValues('followers_tier');
-          const normalizedFilters = filters?.followers_tier.map(val => val?.toLowerCase().trim());
-          const normalizedPossibleValues = allPossibleValues.map(val => val?.toLowerCase().trim()).filter(Boolean);
-          
-          // Add 'not found' to possible values if we're handling NULLs
-          if (includesNotFound) {
-            normalizedPossibleValues.push('not found');
-          }
-          
-          // Check if all possible values are selected (allowing for minor variations)
-          const allValuesSelected = normalizedPossibleValues.every(value => 
-            normalizedFilters.some(filter => filter === value || value.includes(filter) || filter.includes(value))
-          );
-          
-          console.log('All possible values:', normalizedPossibleValues);
-          console.log('Selected filters:', normalizedFilters);
-          console.log('All values selected:', allValuesSelected);
-          
-          // If all values are selected, don't apply filter to return complete dataset
-          if (allValuesSelected && normalizedPossibleValues.length > 0) {
-            console.log('All followers tiers selected - skipping filter to return all records');
-          } else {
-            // Build filter conditions for exact matching with case-insensitive comparison
-            const filterConditions = [];
-            
-            // Add non-null conditions
-            const nonNullFilters = normalizedFilters.filter(val => val !== 'not found');
-            if (nonNullFilters.length > 0) {
-              // Use exact matching with case-insensitive comparison
-              nonNullFilters.forEach(val => {
-                // Special handling for "0-10k" to catch variations
-                if (val === '0-10k') {
-                  filterConditions.push(`followers_tier.ilike.%0-10k%`);
-                  filterConditions.push(`followers_tier.ilike.%0-10 K%`);
-                  filterConditions.push(`followers_tier.ilike.%0-10K%`);
-                } else {
-                  filterConditions.push(`followers_tier.ilike.%${val}%`);
-                }
-              });
-            }
-            
-            // Add NULL condition if "Not Found" is selected
-            if (includesNotFound) {
-              filterConditions.push('followers_tier.is.null');
-            }
-            
-            if (filterConditions.length > 0) {
-              query = query?.or(filterConditions.join(','));
-              console.log('Applied filter conditions:', filterConditions);
-            }
+        // 'relevance' keeps the RPC's ranked order
+        if (sortColumn === 'relevance') {
+          if (!searchTerm || !useSearchIndex) {
+            query = query?.order('created_at', { ascending: false });
           }
-        } catch (error) {
-          console.log('Could not determine all possible values, applying filters normally');
-          // Fallback to original logic if we can't get all values
-          const normalizedFilters = filters?.followers_tier.map(val => val?.toLowerCase().trim());
-          const filterConditions = [];
-          
-          normalizedFilters.forEach(val => {
-            if (val === 'not found') {
-              filterConditions.push('followers_tier.is.null');
-            } else if (val === '0-10k') {
-              // Special handling for "0-10k" variations
-              filterConditions.push(`followers_tier.ilike.%0-10k%`);
-              filterConditions.push(`followers_tier.ilike.%0-10 K%`);
-              filterConditions.push(`followers_tier.ilike.%0-10K%`);
-            } else {
-              filterConditions.push(`followers_tier.ilike.%${val}%`);
-            }
-          });
-          
-          query = query?.or(filterConditions.join(','));
-          console.log('Fallback filter conditions:', filterConditions);
+        } else {
+          // Tier labels do not sort numerically; order by the count they derive from
+          query = sortColumn === 'followers_tier'
+            ? query?.order('followers_count', { ascending: sortDirection === 'asc', nullsFirst: false })
+            : query?.order(sortColumn, { ascending: sortDirection === 'asc' });
         }
-      }
 
-      if (filters?.sheet_source && filters?.sheet_source?.length > 0) {
-        query = query?.in('sheet_source', filters?.sheet_source);
-      }
+        return query?.range(offset, offset + pageSize - 1);
+      };
 
-      // Apply sorting
-      query = query?.order(sortColumn, { ascending: sortDirection === 'asc' });
+      let response = await runQuery(true);
+      let usedSearchIndex = Boolean(searchTerm);
 
-      // Apply pagination
-      query = query?.range(offset, offset + pageSize - 1);
+      if (response?.error && searchTerm) {
+        console.log('RPC method failed, falling back to standard query');
+        response = await runQuery(false);
+        usedSearchIndex = false;
+      }
 
-      const { data, error, count } = await query;
+      const { data, error, count } = response;
 
       if (error) throw error;
 
-      // Debug logging for filtering results
-      if (filters?.followers_tier && filters?.followers_tier?.length > 0) {
-        console.log('=== FILTERING DEBUG ===');
-        console.log('Applied filters:', filters?.followers_tier);
-        console.log('Query result count:', count);
-        console.log('Expected total count (from getCount):', await this.getCount());
-        console.log('====================');
+      let rows = data || [];
+      if (usedSearchIndex && rows.length > 0) {
+        const snippets = await this.getSearchSnippets(searchTerm, rows.map(row => row.id));
+        rows = rows.map(row => ({
+          ...row,
+          search_rank: snippets.get(row.id)?.rank ?? null,
+          search_snippet: snippets.get(row.id)?.snippet ?? null
+        }));
       }
 
       return {
-        data: data || [],
+        data: rows,
         total: count || 0,
         page,
         pageSize,
@@ -0,0 +1,272 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Deliverable Service
+ * Tracked deliverables (public.campaign_deliverables), one row per piece of
+ * content owed under a campaign assignment. Rows are created from the
+ * contracted terms when a creator is assigned, or added by hand. Drafts
+ * (deliverable_drafts) are versioned and sent to a brand contact; the
+ * database moves the deliverable through review as versions are submitted
+ * and decided, and only lets it go live once a draft is approved.
+ */
+
+const DELIVERABLE_SELECT = `
+  *,
+  creator:creators(id, name, username, instagram_handle, profile_image_url),
+  campaign:campaigns(*),
+  drafts:deliverable_drafts(id, version, status, reviewer_name, submitted_at)
+`;
+
+const DRAFT_SELECT = `
+  *,
+  reviewer:contacts(id, full_name, email, phone, whatsapp, designation)
+`;
+
+const METRIC_FIELDS = ['views', 'reach', 'likes', 'comments', 'shares', 'saves'];
+
+const toMetric = (value) => (value === '' || value == null ? null : Math.max(0, Math.round(Number(value)) || 0));
+
+export const deliverableService = {
+  /**
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - Soonest due first
+   */
+  async getByCampaign(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_deliverables')
+        ?.select(DELIVERABLE_SELECT)
+        ?.eq('campaign_id', campaignId)
+        ?.order('due_date', { ascending: true, nullsFirst: false })
+        ?.order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching campaign deliverables:', error);
+      throw error;
+    }
+  },
+
+  async getById(id) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_deliverables')
+        ?.select(DELIVERABLE_SELECT)
+        ?.eq('id', id)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching deliverable:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} creatorId
+   * @returns {Promise<Array>} - Soonest due first
+   */
+  async getByCreator(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_deliverables')
+        ?.select(DELIVERABLE_SELECT)
+        ?.eq('creator_id', creatorId)
+        ?.order('due_date', { ascending: true, nullsFirst: false })
+        ?.order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching creator deliverables:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a deliverable to an assignment
+   * @param {Object} deliverable - { campaignCreatorId, platform, deliverableType, title, brief, dueDate }
+   * @returns {Promise<Object>}
+   */
+  async create(deliverable) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_deliverables')
+        ?.insert([{
+          campaign_creator_id: deliverable?.campaignCreatorId,
+          platform: deliverable?.platform || 'instagram',
+          deliverable_type: deliverable?.deliverableType,
+          title: deliverable?.title?.trim() || null,
+          brief: deliverable?.brief?.trim() || null,
+          due_date: deliverable?.dueDate || null
+        }])
+        ?.select(DELIVERABLE_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating deliverable:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} id
+   * @param {Object} updates - campaign_deliverables columns
+   * @returns {Promise<Object>}
+   */
+  async update(id, updates) {
+    try {
+      const { data, error } = await supabase
+        ?.from('campaign_deliverables')
+        ?.update(updates)
+        ?.eq('id', id)
+        ?.select(DELIVERABLE_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating deliverable:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Every version of a deliverable's draft, newest first
+   * @param {string} deliverableId
+   * @returns {Promise<Array>}
+   */
+  async getDrafts(deliverableId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('deliverable_drafts')
+        ?.select(DRAFT_SELECT)
+        ?.eq('deliverable_id', deliverableId)
+        ?.order('version', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching deliverable drafts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Submit a new draft version for the brand's approval. Any version still
+   * under review is superseded.
+   * @param {string} deliverableId
+   * @param {Object} draft - { caption, mediaUrls, reviewerContactId }
+   * @returns {Promise<Object>} - The deliverable_drafts row
+   */
+  async submitDraft(deliverableId, { caption, mediaUrls = [], reviewerContactId }) {
+    try {
+      const { data, error } = await supabase
+        ?.from('deliverable_drafts')
+        ?.insert([{
+          deliverable_id: deliverableId,
+          // Assigned by the database
+          version: 0,
+          caption: caption?.trim() || null,
+          media_urls: mediaUrls.map(url => url?.trim()).filter(Boolean),
+          reviewer_contact_id: reviewerContactId || null
+        }])
+        ?.select(DRAFT_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error submitting draft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the brand contact's decision on a draft under review
+   * @param {string} draftId
+   * @param {boolean} approved
+   * @param {string} comment - Required when changes are requested
+   * @returns {Promise<Object>} - The deliverable_drafts row
+   */
+  async decideDraft(draftId, approved, comment = '') {
+    try {
+      const { data, error } = await supabase
+        ?.from('deliverable_drafts')
+        ?.update({
+          status: approved ? 'approved' : 'changes_requested',
+          decision_comment: comment?.trim() || null
+        })
+        ?.eq('id', draftId)
+        ?.select(DRAFT_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording draft decision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Brand contacts a campaign's drafts can be sent to. Contacts of the
+   * campaign's brand come first, its campaign contact at the top; the rest
+   * follow in case the brand is not linked yet.
+   * @param {Object} campaign - campaigns row, or { id, brand_id, brand_contact_id }
+   * @returns {Promise<Array>} - contacts rows with brand, and matchesCampaign
+   */
+  async getReviewers(campaign) {
+    try {
+      const { data: contacts, error } = await supabase
+        ?.from('contacts')
+        ?.select('id, full_name, email, phone, whatsapp, designation, is_primary, brand:brands(id, name)')
+        ?.order('is_primary', { ascending: false })
+        ?.order('full_name', { ascending: true });
+
+      if (error) throw error;
+      const rank = (contact) => (contact?.id === campaign?.brand_contact_id ? 2 : Number(contact.matchesCampaign));
+      return (contacts || [])
+        .map(contact => ({
+          ...contact,
+          matchesCampaign: !!campaign?.brand_id && contact?.brand?.id === campaign.brand_id
+        }))
+        .sort((a, b) => rank(b) - rank(a));
+    } catch (error) {
+      console.error('Error fetching brand reviewers:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} id
+   * @param {Object} goLive - { postLink, postedDate }
+   * @returns {Promise<Object>}
+   */
+  async markLive(id, { postLink, postedDate }) {
+    return this.update(id, { status: 'live', post_link: postLink, posted_date: postedDate || null });
+  },
+
+  /**
+   * Save metrics read off the live post
+   * @param {string} id
+   * @param {Object} metrics - { views, reach, likes, comments, shares, saves }
+   * @returns {Promise<Object>}
+   */
+  async captureMetrics(id, metrics) {
+    return this.update(id, {
+      ...Object.fromEntries(METRIC_FIELDS.map(field => [field, toMetric(metrics?.[field])])),
+      metrics_captured_at: new Date().toISOString()
+    });
+  },
+
+  async cancel(id) {
+    return this.update(id, { status: 'cancelled' });
+  }
+};
+
+export default deliverableService;
@@ -0,0 +1,143 @@
+import { supabase } from '../lib/supabase';
+import { getSettingByKey } from './systemSettingsService';
+import { updateSystemSetting } from './adminControlService';
+import {
+  FOLLOWERS_TIERS_SETTING,
+  DEFAULT_FOLLOWERS_TIERS,
+  validateTiers
+} from '../utils/followersTiers';
+
+/**
+ * Followers Tier Service
+ * The configurable tier table (followers_tiers system setting) and the
+ * one-time migration of legacy free-text followers_tier values into
+ * creators.followers_count. Saving the tier table re-derives every
+ * creator's tier in the database.
+ */
+
+const LEGACY_BATCH_SIZE = 1000;
+
+let tiersPromise = null;
+
+const normalizeTiers = (value) => {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  return value
+    .map(tier => ({
+      label: String(tier?.label || '').trim(),
+      min: Number(tier?.min),
+      max: tier?.max === null || tier?.max === undefined || tier?.max === '' ? null : Number(tier.max)
+    }))
+    .sort((a, b) => a.min - b.min);
+};
+
+export const followersTierService = {
+  /**
+   * Current tier table, cached for the session
+   * @param {Object} options - { refresh } bypasses the cache
+   * @returns {Promise<Array>} - [{ label, min, max }] sorted by min
+   */
+  async getTiers({ refresh = false } = {}) {
+    if (!tiersPromise || refresh) {
+      tiersPromise = getSettingByKey(FOLLOWERS_TIERS_SETTING).then(({ data }) => (
+        normalizeTiers(data?.settingValue) || DEFAULT_FOLLOWERS_TIERS
+      ));
+    }
+    return tiersPromise;
+  },
+
+  /**
+   * Save the tier table. The database re-derives followers_tier for every
+   * creator with a followers_count.
+   * @param {Array<Object>} tiers - [{ label, min, max }]
+   * @returns {Promise<Array>} - Saved tiers
+   */
+  async saveTiers(tiers) {
+    const normalized = normalizeTiers(tiers) || [];
+    const errors = validateTiers(normalized);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const { error } = await updateSystemSetting(FOLLOWERS_TIERS_SETTING, normalized);
+    if (error) throw error;
+
+    tiersPromise = Promise.resolve(normalized);
+    return normalized;
+  },
+
+  /**
+   * Distinct legacy followers_tier values on creators without a count
+   * @returns {Promise<Array>} - [{ followers_tier, creator_count }]
+   */
+  async getLegacyTiers() {
+    try {
+      try {
+        const { data, error } = await supabase?.rpc('get_legacy_followers_tiers');
+        if (!error && data) return data;
+      } catch (rpcErr) {
+        // fall through to the batched query
+      }
+      console.log('RPC method failed, falling back to standard query');
+
+      const counts = {};
+      let offset = 0;
+      let hasMore = true;
+
+      while (hasMore) {
+        const { data, error } = await supabase
+          ?.from('creators')
+          ?.select('followers_tier')
+          ?.is('followers_count', null)
+          ?.not('followers_tier', 'is', null)
+          ?.order('id', { ascending: true })
+          ?.range(offset, offset + LEGACY_BATCH_SIZE - 1);
+
+        if (error) throw error;
+
+        (data || []).forEach(({ followers_tier }) => {
+          if (followers_tier?.trim()) {
+            counts[followers_tier] = (counts[followers_tier] || 0) + 1;
+          }
+        });
+        offset += LEGACY_BATCH_SIZE;
+        hasMore = data?.length === LEGACY_BATCH_SIZE;
+      }
+
+      return Object.entries(counts)
+        .map(([followers_tier, creator_count]) => ({ followers_tier, creator_count }))
+        .sort((a, b) => b.creator_count - a.creator_count);
+    } catch (error) {
+      console.error('Error fetching legacy followers tiers:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Give every un-migrated creator with this exact legacy tier a follower
+   * count; the database then derives the canonical tier from it
+   * @param {string} legacyTier - followers_tier value as stored
+   * @param {number} followersCount - Count to store
+   * @returns {Promise<number>} - Creators updated
+   */
+  async migrateLegacyTier(legacyTier, followersCount) {
+    try {
+      if (!Number.isFinite(followersCount) || followersCount < 0) {
+        throw new Error(`Invalid follower count for "${legacyTier?.trim()}"`);
+      }
+
+      const { error, count } = await supabase
+        ?.from('creators')
+        ?.update({ followers_count: Math.round(followersCount) }, { count: 'exact' })
+        ?.eq('followers_tier', legacyTier)
+        ?.is('followers_count', null);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      console.error('Error migrating legacy followers tier:', error);
+      throw error;
+    }
+  }
+};
+
+export default followersTierService;
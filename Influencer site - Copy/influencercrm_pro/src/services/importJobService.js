@@ -0,0 +1,315 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Import Job Service
+ * Records each committed creator import together with the creators it
+ * inserted or updated (and their prior values), and rolls imports back.
+ */
+
+const ITEM_BATCH_SIZE = 500;
+const ROLLBACK_BATCH_SIZE = 200;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Values are compared as text since sheets and the database disagree on types
+const sameValue = (a, b) => (isBlank(a) && isBlank(b)) || String(a ?? '') === String(b ?? '');
+
+// Current auth user and the matching public.users id used by audit_logs
+const getCurrentUser = async () => {
+  const { data: { user } = {} } = await supabase?.auth?.getUser();
+  if (!user) return { authUser: null, userId: null };
+
+  const { data: profile } = await supabase
+    ?.from('users')
+    ?.select('id')
+    ?.eq('auth_id', user.id)
+    ?.maybeSingle();
+
+  return { authUser: user, userId: profile?.id || null };
+};
+
+export const importJobService = {
+  /**
+   * Save a completed import and the creators it touched
+   * @param {Object} params
+   * @param {Object} params.report - Output of creatorImportService.commit
+   * @param {string} params.sourceType - file | googlesheets
+   * @param {string} params.sourceName - File name or sheet URL
+   * @param {string} params.sheetName - Worksheet that was imported
+   * @param {Object} params.columnMapping - { creatorField: header }
+   * @param {string} params.duplicateStrategy - Global duplicate strategy
+   * @returns {Promise<Object>} - Created job
+   */
+  async recordJob({ report, sourceType, sourceName, sheetName, columnMapping, duplicateStrategy }) {
+    try {
+      const { authUser } = await getCurrentUser();
+      const touchedRows = report.rows.filter(row => row.status === 'inserted' || row.status === 'updated');
+      const sheetSources = [...new Set(report.rows.map(row => row.changes?.sheet_source).filter(value => !isBlank(value)))];
+
+      const { data: job, error } = await supabase
+        ?.from('creator_import_jobs')
+        ?.insert([{
+          source_type: sourceType === 'googlesheets' ? 'googlesheets' : 'file',
+          source_name: sourceName || null,
+          sheet_name: sheetName || null,
+          sheet_source: sheetSources.join(', ') || null,
+          column_mapping: columnMapping || {},
+          duplicate_strategy: duplicateStrategy || null,
+          total_rows: report.summary.total,
+          inserted_count: report.summary.inserted,
+          updated_count: report.summary.updated,
+          skipped_count: report.summary.skipped,
+          failed_count: report.summary.failed,
+          created_by: authUser?.id || null,
+          created_by_email: authUser?.email || null
+        }])
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+
+      const items = touchedRows.map(row => ({
+        job_id: job.id,
+        creator_id: row.creatorId,
+        row_number: row.rowNumber,
+        action: row.status,
+        previous_values: row.status === 'updated' ? row.previous : null,
+        new_values: row.changes || null
+      }));
+
+      for (const batch of chunk(items, ITEM_BATCH_SIZE)) {
+        const { error: itemsError } = await supabase
+          ?.from('creator_import_job_items')
+          ?.insert(batch);
+
+        if (itemsError) throw itemsError;
+      }
+
+      return job;
+    } catch (error) {
+      console.error('Error recording import job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List import jobs, newest first
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { jobs, total }
+   */
+  async getJobs({ page = 1, limit = 20 } = {}) {
+    try {
+      const from = (page - 1) * limit;
+      const { data, error, count } = await supabase
+        ?.from('creator_import_jobs')
+        ?.select('*', { count: 'exact' })
+        ?.order('created_at', { ascending: false })
+        ?.range(from, from + limit - 1);
+
+      if (error) throw error;
+      return { jobs: data || [], total: count || 0 };
+    } catch (error) {
+      console.error('Error fetching import jobs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creators touched by a job
+   * @param {string} jobId - Import job ID
+   * @returns {Promise<Array>}
+   */
+  async getJobItems(jobId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_import_job_items')
+        ?.select('*')
+        ?.eq('job_id', jobId)
+        ?.order('row_number', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching import job items:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Undo an import: restore updated creators to their prior values and
+   * delete inserted ones. Fields edited since the import are left alone, and
+   * inserted creators that have since been added to a campaign are kept.
+   * Every restore and delete is written to audit_logs.
+   * @param {string} jobId - Import job ID
+   * @returns {Promise<Object>} - { restored, deleted, kept: [{ creatorId, reason }], status }
+   */
+  async rollbackJob(jobId) {
+    try {
+      const { authUser, userId } = await getCurrentUser();
+      const items = (await this.getJobItems(jobId)).filter(item => !item.rolled_back_at);
+      const result = { restored: 0, deleted: 0, kept: [] };
+      const auditEntries = [];
+      const finished = [];
+
+      for (const batch of chunk(items, ROLLBACK_BATCH_SIZE)) {
+        const ids = batch.map(item => item.creator_id);
+        const { data: current, error } = await supabase
+          ?.from('creators')
+          ?.select('*')
+          ?.in('id', ids);
+
+        if (error) throw error;
+        const currentById = new Map((current || []).map(creator => [creator.id, creator]));
+
+        // Inserted creators: delete unless already gone or now on a campaign
+        const inserted = batch.filter(item => item.action === 'inserted');
+        const { data: assigned, error: assignedError } = inserted.length
+          ? await supabase
+            ?.from('campaign_creators')
+            ?.select('creator_id')
+            ?.in('creator_id', inserted.map(item => item.creator_id))
+          : { data: [] };
+
+        if (assignedError) throw assignedError;
+        const assignedIds = new Set((assigned || []).map(row => row.creator_id));
+
+        const toDelete = [];
+        inserted.forEach(item => {
+          if (!currentById.has(item.creator_id)) {
+            finished.push({ item, note: 'Already deleted' });
+          } else if (assignedIds.has(item.creator_id)) {
+            const reason = 'Kept: creator has been added to a campaign since the import';
+            result.kept.push({ creatorId: item.creator_id, reason });
+            finished.push({ item, note: reason });
+          } else {
+            toDelete.push(item);
+          }
+        });
+
+        if (toDelete.length > 0) {
+          const { error: deleteError } = await supabase
+            ?.from('creators')
+            ?.delete()
+            ?.in('id', toDelete.map(item => item.creator_id));
+
+          if (deleteError) throw deleteError;
+
+          toDelete.forEach(item => {
+            result.deleted += 1;
+            finished.push({ item, note: 'Deleted' });
+            auditEntries.push({
+              user_id: userId,
+              action: 'import_rollback_delete',
+              entity_type: 'creator',
+              entity_id: item.creator_id,
+              old_values: currentById.get(item.creator_id),
+              new_values: { import_job_id: jobId }
+            });
+          });
+        }
+
+        // Updated creators: restore fields that still hold the imported value
+        for (const item of batch.filter(entry => entry.action === 'updated')) {
+          const creator = currentById.get(item.creator_id);
+          if (!creator) {
+            result.kept.push({ creatorId: item.creator_id, reason: 'Creator no longer exists' });
+            finished.push({ item, note: 'Creator no longer exists' });
+            continue;
+          }
+
+          const restore = {};
+          const editedSince = [];
+          Object.entries(item.previous_values || {}).forEach(([field, previousValue]) => {
+            if (sameValue(creator[field], item.new_values?.[field])) {
+              restore[field] = previousValue;
+            } else {
+              editedSince.push(field);
+            }
+          });
+
+          if (Object.keys(restore).length > 0) {
+            const { error: updateError } = await supabase
+              ?.from('creators')
+              ?.update(restore)
+              ?.eq('id', item.creator_id);
+
+            if (updateError) throw updateError;
+
+            result.restored += 1;
+            auditEntries.push({
+              user_id: userId,
+              action: 'import_rollback_restore',
+              entity_type: 'creator',
+              entity_id: item.creator_id,
+              old_values: Object.fromEntries(Object.keys(restore).map(field => [field, creator[field] ?? null])),
+              new_values: { ...restore, import_job_id: jobId }
+            });
+          }
+
+          const note = editedSince.length > 0
+            ? `Restored except ${editedSince.join(', ')} (edited since the import)`
+            : 'Restored';
+          if (editedSince.length > 0) {
+            result.kept.push({ creatorId: item.creator_id, reason: note });
+          }
+          finished.push({ item, note });
+        }
+      }
+
+      if (auditEntries.length > 0) {
+        for (const batch of chunk(auditEntries, ITEM_BATCH_SIZE)) {
+          const { error: auditError } = await supabase
+            ?.from('audit_logs')
+            ?.insert(batch);
+
+          if (auditError) {
+            console.warn('Audit logging for import rollback failed:', auditError);
+          }
+        }
+      }
+
+      const rolledBackAt = new Date().toISOString();
+      const itemIdsByNote = finished.reduce((acc, { item, note }) => {
+        (acc[note] = acc[note] || []).push(item.id);
+        return acc;
+      }, {});
+
+      for (const [note, itemIds] of Object.entries(itemIdsByNote)) {
+        for (const batch of chunk(itemIds, ROLLBACK_BATCH_SIZE)) {
+          await supabase
+            ?.from('creator_import_job_items')
+            ?.update({ rolled_back_at: rolledBackAt, rollback_note: note })
+            ?.in('id', batch);
+        }
+      }
+
+      result.status = result.kept.length > 0 ? 'partially_rolled_back' : 'rolled_back';
+
+      const { error: jobError } = await supabase
+        ?.from('creator_import_jobs')
+        ?.update({
+          status: result.status,
+          rolled_back_at: rolledBackAt,
+          rolled_back_by: authUser?.id || null
+        })
+        ?.eq('id', jobId);
+
+      if (jobError) throw jobError;
+
+      return result;
+    } catch (error) {
+      console.error('Error rolling back import job:', error);
+      throw error;
+    }
+  }
+};
+
+export default importJobService;
@@ -0,0 +1,208 @@
+import { supabase } from '../lib/supabase';
+import { calculateSimilarity } from '../utils/fuzzyMatching';
+
+/**
+ * Mapping Profile Service
+ * Saved ImportWizard mappings for recurring sheet formats: header → field
+ * mapping, value transforms, default sheet_source and followers_tier
+ * normalization, matched to new sheets by header similarity.
+ */
+
+// Headers at or above this similarity (0-100) count as the same column
+const HEADER_MATCH_THRESHOLD = 85;
+// Profiles scoring below this (0-1) are not auto-selected
+export const PROFILE_MATCH_THRESHOLD = 0.6;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+
+// Best matching sheet header for a profile header, or null
+const matchHeader = (profileHeader, sheetHeaders) => {
+  const target = normalizeHeader(profileHeader);
+  let best = null;
+
+  for (const header of sheetHeaders) {
+    const score = normalizeHeader(header) === target ? 100 : calculateSimilarity(target, normalizeHeader(header));
+    if (score >= HEADER_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { header, score };
+      if (score === 100) break;
+    }
+  }
+
+  return best;
+};
+
+export const mappingProfileService = {
+  /**
+   * All profiles, most recently used first
+   * @returns {Promise<Array>}
+   */
+  async getProfiles() {
+    try {
+      const { data, error } = await supabase
+        ?.from('import_mapping_profiles')
+        ?.select('*')
+        ?.order('last_used_at', { ascending: false, nullsFirst: false })
+        ?.order('name', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching mapping profiles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a profile
+   * @param {Object} profile - { name, description, source_headers, header_mapping, value_transforms, default_sheet_source, followers_tier_map }
+   * @returns {Promise<Object>}
+   */
+  async createProfile(profile) {
+    try {
+      const { data, error } = await supabase
+        ?.from('import_mapping_profiles')
+        ?.insert([profile])
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating mapping profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a profile
+   * @param {string} id - Profile ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>}
+   */
+  async updateProfile(id, updates) {
+    try {
+      const { data, error } = await supabase
+        ?.from('import_mapping_profiles')
+        ?.update(updates)
+        ?.eq('id', id)
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating mapping profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteProfile(id) {
+    try {
+      const { error } = await supabase
+        ?.from('import_mapping_profiles')
+        ?.delete()
+        ?.eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting mapping profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stamp a profile as used so it sorts first next time
+   * @param {string} id - Profile ID
+   */
+  async markUsed(id) {
+    const { error } = await supabase
+      ?.from('import_mapping_profiles')
+      ?.update({ last_used_at: new Date().toISOString() })
+      ?.eq('id', id);
+
+    if (error) {
+      console.warn('Could not update mapping profile usage:', error);
+    }
+  },
+
+  /**
+   * Header similarity between a sheet and a profile (0-1, Dice coefficient
+   * over matched headers)
+   * @param {Array<string>} headers - Sheet headers
+   * @param {Object} profile - Mapping profile
+   * @returns {number}
+   */
+  scoreProfile(headers, profile) {
+    const profileHeaders = profile?.source_headers?.length
+      ? profile.source_headers
+      : Object.keys(profile?.header_mapping || {});
+    if (!headers.length || !profileHeaders.length) return 0;
+
+    const matched = profileHeaders.filter(header => matchHeader(header, headers)).length;
+    return (2 * matched) / (headers.length + profileHeaders.length);
+  },
+
+  /**
+   * Pick the profile whose headers best match the sheet
+   * @param {Array<string>} headers - Sheet headers
+   * @param {Array<Object>} profiles - Saved profiles
+   * @returns {Object|null} - { profile, score } or null when nothing is close enough
+   */
+  findBestProfile(headers, profiles = []) {
+    let best = null;
+
+    profiles.forEach(profile => {
+      const score = this.scoreProfile(headers, profile);
+      if (score >= PROFILE_MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { profile, score };
+      }
+    });
+
+    return best;
+  },
+
+  /**
+   * Resolve a profile's header mapping against a sheet's actual headers
+   * @param {Object} profile - Mapping profile
+   * @param {Array<string>} headers - Sheet headers
+   * @returns {Object} - { creatorField: sheetHeader }, the wizard's mapping shape
+   */
+  toColumnMapping(profile, headers) {
+    const mapping = {};
+
+    Object.entries(profile?.header_mapping || {}).forEach(([profileHeader, field]) => {
+      if (mapping[field]) return;
+      const match = matchHeader(profileHeader, headers);
+      if (match) mapping[field] = match.header;
+    });
+
+    return mapping;
+  },
+
+  /**
+   * Build profile fields from the wizard's current state
+   * @param {Object} params - { headers, columnMapping, valueTransforms, defaultSheetSource, followersTierMap }
+   * @returns {Object} - Columns for import_mapping_profiles
+   */
+  fromWizardState({ headers, columnMapping, valueTransforms, defaultSheetSource, followersTierMap }) {
+    return {
+      source_headers: headers,
+      header_mapping: Object.fromEntries(
+        Object.entries(columnMapping).filter(([, header]) => header).map(([field, header]) => [header, field])
+      ),
+      value_transforms: Object.fromEntries(
+        Object.entries(valueTransforms || {}).filter(([, transforms]) => transforms?.length)
+      ),
+      default_sheet_source: defaultSheetSource || null,
+      followers_tier_map: followersTierMap || {}
+    };
+  }
+};
+
+export default mappingProfileService;
@@ -0,0 +1,105 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Notification Service
+ * In-app notifications for the signed-in user (public.notifications).
+ * Rows are created by database triggers, e.g. when a teammate @mentions
+ * you in a creator note; the client only reads and dismisses them.
+ */
+export const notificationService = {
+  /**
+   * Most recent notifications for the current user
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>}
+   */
+  async getNotifications({ limit = 30 } = {}) {
+    try {
+      const { data, error } = await supabase
+        ?.from('notifications')
+        ?.select('*')
+        ?.order('created_at', { ascending: false })
+        ?.limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      throw error;
+    }
+  },
+
+  async markAsRead(id) {
+    try {
+      const { error } = await supabase
+        ?.from('notifications')
+        ?.update({ is_read: true })
+        ?.eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      throw error;
+    }
+  },
+
+  async markAllAsRead() {
+    try {
+      const { error } = await supabase
+        ?.from('notifications')
+        ?.update({ is_read: true })
+        ?.eq('is_read', false);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      throw error;
+    }
+  },
+
+  async clearAll() {
+    try {
+      const { data: { user } = {} } = await supabase?.auth?.getUser();
+      const { error } = await supabase
+        ?.from('notifications')
+        ?.delete()
+        ?.eq('recipient_id', user?.id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error clearing notifications:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Listen for notifications delivered to a user
+   * @param {string} userId - auth user id
+   * @param {Function} onInsert - Receives the new notification row
+   * @returns {Object} Channel object with unsubscribe method
+   */
+  subscribe(userId, onInsert) {
+    const channel = supabase?.channel(`notifications_${userId}`)?.on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'notifications',
+          filter: `recipient_id=eq.${userId}`
+        },
+        (payload) => {
+          if (onInsert) {
+            onInsert(payload?.new);
+          }
+        }
+      )?.subscribe();
+
+    return {
+      unsubscribe: () => supabase?.removeChannel(channel)
+    };
+  }
+};
+
+export default notificationService;
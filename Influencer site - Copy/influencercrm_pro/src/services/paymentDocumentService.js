@@ -0,0 +1,198 @@
+import { supabase } from '../lib/supabase';
+import { taxService } from './taxService';
+import {
+  buildDocumentDetails,
+  buildPaymentDocumentPdf,
+  documentFileName,
+  loadImageAsDataUrl,
+  downloadDocumentBlob
+} from '../utils/paymentDocument';
+
+/**
+ * Payment Document Service
+ * Issues creator invoices and payment advices (payment_documents) through
+ * issue_payment_document, which hands out the next number for the
+ * financial year. The PDF is archived in the payment-documents bucket;
+ * documents whose upload failed are rebuilt from their stored details.
+ */
+
+const BUCKET = 'payment-documents';
+
+const DOCUMENT_PAYMENT_SELECT = `
+  id, reference_number, creator_id, campaign_id, amount, gst_amount, tds_amount, net_amount,
+  status, utr_number, paid_at, campaign:campaigns(id, name)
+`;
+
+export const paymentDocumentService = {
+  /**
+   * Branding and company details printed on documents, from system settings
+   * @returns {Promise<Object>} - { name, legalName, address, state, gstin, pan, email, phone, logoUrl }
+   */
+  async getIssuer() {
+    try {
+      const { data, error } = await supabase
+        ?.from('system_settings')
+        ?.select('setting_key, setting_value')
+        ?.in('setting_key', ['platform_name', 'platform_logo_url', 'billing_profile']);
+
+      if (error) throw error;
+      const settings = Object.fromEntries((data || []).map(row => [row.setting_key, row.setting_value]));
+      const profile = settings.billing_profile || {};
+      return {
+        name: settings.platform_name || 'Uppal Media',
+        legalName: profile.legal_name || '',
+        address: profile.address || '',
+        state: profile.state || '',
+        gstin: profile.gstin || '',
+        pan: profile.pan || '',
+        email: profile.email || '',
+        phone: profile.phone || '',
+        logoUrl: settings.platform_logo_url || ''
+      };
+    } catch (error) {
+      console.error('Error fetching billing profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Issued documents for a creator, newest first
+   * @param {string} creatorId
+   * @returns {Promise<Array>}
+   */
+  async getByCreator(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('payment_documents')
+        ?.select('*, campaign:campaigns(id, name)')
+        ?.eq('creator_id', creatorId)
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching payment documents:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Issue a document, archive its PDF and return both
+   * @param {Object} options - { documentType, scope, payment } where payment is a payments row with id, creator_id, campaign_id
+   * @returns {Promise<Object>} - { document, blob }
+   */
+  async issue({ documentType, scope = 'payment', payment }) {
+    try {
+      let query = supabase?.from('payments')?.select(DOCUMENT_PAYMENT_SELECT);
+      query = scope === 'campaign'
+        ? query?.eq('creator_id', payment?.creator_id)?.eq('campaign_id', payment?.campaign_id)?.neq('status', 'cancelled')
+        : query?.eq('id', payment?.id);
+      if (documentType === 'payment_advice') query = query?.eq('status', 'paid');
+
+      const { data: payments, error } = await query?.order('created_at', { ascending: true });
+      if (error) throw error;
+      if (!payments?.length) {
+        throw new Error(documentType === 'payment_advice' ? 'There are no paid payments to include' : 'There are no payments to include');
+      }
+
+      const [{ data: creator, error: creatorError }, taxProfile, issuer] = await Promise.all([
+        supabase?.from('creators')?.select('id, name, username, email, city, state')?.eq('id', payment?.creator_id)?.single(),
+        taxService?.getProfile(payment?.creator_id),
+        this.getIssuer()
+      ]);
+      if (creatorError) throw creatorError;
+
+      const details = buildDocumentDetails({
+        documentType,
+        payments,
+        creator,
+        taxProfile,
+        campaign: payments[0]?.campaign,
+        issuer
+      });
+
+      const { data, error: issueError } = await supabase?.rpc('issue_payment_document', {
+        p_document_type: documentType,
+        p_payment_ids: payments.map(row => row.id),
+        p_scope: scope,
+        p_details: details
+      });
+      if (issueError) throw issueError;
+
+      const document = data?.[0];
+      const blob = await this.render(document);
+      return { document: await this.archive(document, blob), blob };
+    } catch (error) {
+      console.error('Error issuing payment document:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {Object} document - payment_documents row
+   * @returns {Promise<Blob>}
+   */
+  async render(document) {
+    const logo = await loadImageAsDataUrl(document?.details?.issuer?.logoUrl);
+    return buildPaymentDocumentPdf(document, { logo });
+  },
+
+  /**
+   * Upload the PDF and record where it lives. A failed upload is logged and
+   * the document stays unarchived; download rebuilds and retries it.
+   * @param {Object} document
+   * @param {Blob} blob
+   * @returns {Promise<Object>} - The document, with storage_path when archived
+   */
+  async archive(document, blob) {
+    const fileName = documentFileName(document);
+    const path = `${document?.financial_year}/${fileName}`;
+    try {
+      const { error: uploadError } = await supabase?.storage
+        ?.from(BUCKET)
+        ?.upload(path, blob, { contentType: 'application/pdf', upsert: true });
+      if (uploadError) throw uploadError;
+
+      const { data, error } = await supabase
+        ?.from('payment_documents')
+        ?.update({ storage_path: path, file_name: fileName })
+        ?.eq('id', document?.id)
+        ?.select('*, campaign:campaigns(id, name)')
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error archiving payment document:', error);
+      return document;
+    }
+  },
+
+  /**
+   * Download the archived PDF, rebuilding it when it was never archived
+   * @param {Object} document - payment_documents row
+   * @returns {Promise<Object>} - The document, possibly newly archived
+   */
+  async download(document) {
+    try {
+      let current = document;
+      let blob = null;
+      if (document?.storage_path) {
+        const { data, error } = await supabase?.storage?.from(BUCKET)?.download(document.storage_path);
+        if (error) console.error('Error downloading archived document:', error);
+        blob = data || null;
+      }
+      if (!blob) {
+        blob = await this.render(document);
+        if (!document?.storage_path) current = await this.archive(document, blob);
+      }
+      downloadDocumentBlob(blob, document?.file_name || documentFileName(document));
+      return current;
+    } catch (error) {
+      console.error('Error downloading payment document:', error);
+      throw error;
+    }
+  }
+};
+
+export default paymentDocumentService;
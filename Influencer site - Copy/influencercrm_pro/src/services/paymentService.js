@@ -0,0 +1,314 @@
+import { supabase } from '../lib/supabase';
+import { isContractedStatus } from '../utils/castingBoard';
+
+/**
+ * Payment Service
+ * Payments ledger (public.payments). Each row is a full or partial payment
+ * against a campaign_creators assignment. Status changes are validated by
+ * the database, which also records who made each transition in
+ * payment_status_history and audit_logs and rolls paid totals up to the
+ * assignment. Payments must be approved by a different user (maker-checker)
+ * before they can be processed.
+ */
+
+const PAYMENT_SELECT = `
+  *,
+  creator:creators(id, name, username),
+  campaign:campaigns(*, linked_brand:brands!campaigns_brand_id_fkey(id, name)),
+  assignment:campaign_creators(id, fixed_amount, paid_amount, payment_status),
+  payout_batch:payout_batches(id, batch_number)
+`;
+
+export const paymentService = {
+  /**
+   * All payments, newest due date first. Pending payments past their due
+   * date are flipped to overdue first.
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    try {
+      await this.refreshOverdue();
+
+      const { data, error } = await supabase
+        ?.from('payments')
+        ?.select(PAYMENT_SELECT)
+        ?.order('due_date', { ascending: false, nullsFirst: false })
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} creatorId
+   * @returns {Promise<Array>}
+   */
+  async getByCreator(creatorId) {
+    try {
+      await this.refreshOverdue();
+
+      const { data, error } = await supabase
+        ?.from('payments')
+        ?.select(PAYMENT_SELECT)
+        ?.eq('creator_id', creatorId)
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching creator payments:', error);
+      throw error;
+    }
+  },
+
+  async refreshOverdue() {
+    try {
+      const { error } = await supabase?.rpc('refresh_overdue_payments');
+      if (error) throw error;
+    } catch (error) {
+      // Non-critical; statuses catch up on the next load
+      console.error('Error refreshing overdue payments:', error);
+    }
+  },
+
+  /**
+   * Schedule a payment against a campaign assignment
+   * @param {Object} payment - { campaignCreatorId, amount, tdsAmount, gstAmount, tdsSection, tdsRate, gstRate, dueDate, paymentMethod, notes }
+   * @returns {Promise<Object>}
+   */
+  async create({ campaignCreatorId, amount, tdsAmount = 0, gstAmount = 0, tdsSection = null, tdsRate = null, gstRate = null, dueDate, paymentMethod = 'bank_transfer', notes }) {
+    try {
+      const { data: { user } = {} } = await supabase?.auth?.getUser();
+
+      const { data, error } = await supabase
+        ?.from('payments')
+        ?.insert([{
+          campaign_creator_id: campaignCreatorId,
+          amount,
+          tds_amount: tdsAmount || 0,
+          gst_amount: gstAmount || 0,
+          tds_section: tdsSection,
+          tds_rate: tdsRate,
+          gst_rate: gstRate,
+          due_date: dueDate || null,
+          payment_method: paymentMethod,
+          notes: notes?.trim() || null,
+          created_by: user?.id,
+          created_by_email: user?.email || null
+        }])
+        ?.select(PAYMENT_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating payment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update payment details (not status; see transition)
+   * @param {string} id
+   * @param {Object} updates - Column values, e.g. { utr_number, due_date }
+   * @returns {Promise<Object>}
+   */
+  async update(id, updates) {
+    try {
+      const { data, error } = await supabase
+        ?.from('payments')
+        ?.update(updates)
+        ?.eq('id', id)
+        ?.select(PAYMENT_SELECT)
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating payment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a payment to a new status. The database rejects transitions that
+   * are not allowed and requires a UTR before bank/UPI payments are paid.
+   * @param {string} id
+   * @param {string} status
+   * @param {Object} options - { utrNumber, note }
+   * @returns {Promise<Object>}
+   */
+  async transition(id, status, { utrNumber, note } = {}) {
+    const updates = { status, status_note: note?.trim() || null };
+    if (utrNumber !== undefined) updates.utr_number = utrNumber?.trim() || null;
+    return this.update(id, updates);
+  },
+
+  /**
+   * Apply one status to many payments; each succeeds or fails on its own
+   * @param {Array<string>} ids
+   * @param {string} status
+   * @param {Object} options - { note }
+   * @returns {Promise<Object>} - { updated: [row], failed: [{ id, message }] }
+   */
+  async bulkTransition(ids, status, { note } = {}) {
+    const results = await Promise.allSettled(ids.map(id => this.transition(id, status, { note })));
+    return results.reduce((acc, result, index) => {
+      if (result.status === 'fulfilled') acc.updated.push(result.value);
+      else acc.failed.push({ id: ids[index], message: result.reason?.message || 'Update failed' });
+      return acc;
+    }, { updated: [], failed: [] });
+  },
+
+  /**
+   * Send payments for approval. The database records the requester and how
+   * many approvers each payment needs from the payment_approval_thresholds
+   * setting.
+   * @param {Array<string>} ids
+   * @param {Object} options - { note }
+   * @returns {Promise<Object>} - { updated, failed }
+   */
+  async requestApproval(ids, { note } = {}) {
+    return this.bulkTransition(ids, 'awaiting_approval', { note });
+  },
+
+  /**
+   * Approve or reject a payment awaiting approval. Rejections need a comment.
+   * @param {string} id
+   * @param {string} decision - approved | rejected
+   * @param {string} comment
+   * @returns {Promise<Object>} - Updated payments row
+   */
+  async decide(id, decision, comment) {
+    try {
+      const { data, error } = await supabase?.rpc('decide_payment_approval', {
+        p_payment_id: id,
+        p_decision: decision,
+        p_comment: comment?.trim() || null
+      });
+
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      console.error('Error recording payment decision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply one decision to many payments; each succeeds or fails on its own
+   * @param {Array<string>} ids
+   * @param {string} decision - approved | rejected
+   * @param {string} comment
+   * @returns {Promise<Object>} - { updated: [row], failed: [{ id, message }] }
+   */
+  async bulkDecide(ids, decision, comment) {
+    // Sequential so notifications and audit entries keep their order
+    const result = { updated: [], failed: [] };
+    for (const id of ids) {
+      try {
+        result.updated.push(await this.decide(id, decision, comment));
+      } catch (error) {
+        result.failed.push({ id, message: error?.message || 'Decision failed' });
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Whether the current user may approve payments (super admins and roles
+   * granted payments.approve)
+   * @returns {Promise<boolean>}
+   */
+  async canApprove() {
+    try {
+      const { data, error } = await supabase?.rpc('can_approve_payments');
+      if (error) throw error;
+      return Boolean(data);
+    } catch (error) {
+      console.error('Error checking approval permission:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Approver decisions for a payment across all rounds, oldest first
+   * @param {string} paymentId
+   * @returns {Promise<Array>}
+   */
+  async getApprovals(paymentId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('payment_approvals')
+        ?.select('*')
+        ?.eq('payment_id', paymentId)
+        ?.order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching payment approvals:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Status transitions for a payment, oldest first
+   * @param {string} paymentId
+   * @returns {Promise<Array>}
+   */
+  async getStatusHistory(paymentId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('payment_status_history')
+        ?.select('*')
+        ?.eq('payment_id', paymentId)
+        ?.order('changed_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching payment history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Campaign assignments with their contracted and outstanding amounts,
+   * for scheduling new payments
+   * @returns {Promise<Array>} - [{ id, fixed_amount, paid_amount, scheduled_amount, unscheduled_amount, creator, campaign }]
+   */
+  async getPayableAssignments() {
+    try {
+      const [{ data: assignments, error }, { data: balances, error: balanceError }] = await Promise.all([
+        supabase
+          ?.from('campaign_creators')
+          ?.select('id, status, fixed_amount, creator:creators(id, name, username), campaign:campaigns(id, name)'),
+        supabase
+          ?.from('campaign_creator_balances')
+          ?.select('*')
+      ]);
+
+      if (error) throw error;
+      if (balanceError) throw balanceError;
+
+      const balanceById = new Map((balances || []).map(row => [row.campaign_creator_id, row]));
+      // Creators still on the casting board have nothing to pay yet
+      return (assignments || []).filter(assignment => isContractedStatus(assignment.status)).map(assignment => ({
+        ...assignment,
+        paid_amount: Number(balanceById.get(assignment.id)?.paid_amount || 0),
+        scheduled_amount: Number(balanceById.get(assignment.id)?.scheduled_amount || 0),
+        unscheduled_amount: Number(balanceById.get(assignment.id)?.unscheduled_amount || 0)
+      }));
+    } catch (error) {
+      console.error('Error fetching payable assignments:', error);
+      throw error;
+    }
+  }
+};
+
+export default paymentService;
@@ -0,0 +1,101 @@
+import { supabase } from '../lib/supabase';
+import { creatorBankAccountService } from './creatorBankAccountService';
+import { taxService } from './taxService';
+import { resolvePayoutLayouts, buildPayoutFile } from '../utils/payoutFile';
+
+/**
+ * Payout Batch Service
+ * Groups approved payments into a bulk NEFT/RTGS upload file
+ * (payout_batches). Creating a batch moves its payments to processing and
+ * tags them with the batch, whose number appears in the bank narration so
+ * reconciliation can match the debits back.
+ */
+
+const BATCH_PAYMENT_SELECT = `
+  id, reference_number, creator_id, net_amount, status, payment_method,
+  creator:creators(id, name, username)
+`;
+
+export const payoutBatchService = {
+  /**
+   * Built-in bank layouts merged with the payout_file_layouts setting
+   * @returns {Promise<Object>} - bank key -> layout
+   */
+  async getLayouts() {
+    try {
+      const { data, error } = await supabase
+        ?.from('system_settings')
+        ?.select('setting_value')
+        ?.eq('setting_key', 'payout_file_layouts')
+        ?.maybeSingle();
+
+      if (error) throw error;
+      return resolvePayoutLayouts(data?.setting_value);
+    } catch (error) {
+      // The built-in layouts still work without the overrides
+      console.error('Error fetching payout layouts:', error);
+      return resolvePayoutLayouts();
+    }
+  },
+
+  /**
+   * Selected payments with their creators' bank details and tax profiles,
+   * for review before a batch is created
+   * @param {Array<string>} paymentIds
+   * @returns {Promise<Array>} - [{ payment, bankAccount, taxProfile }]
+   */
+  async getEntries(paymentIds) {
+    try {
+      const { data, error } = await supabase
+        ?.from('payments')
+        ?.select(BATCH_PAYMENT_SELECT)
+        ?.in('id', paymentIds);
+
+      if (error) throw error;
+
+      const creatorIds = (data || []).map(payment => payment?.creator_id);
+      const [accounts, taxProfiles] = await Promise.all([
+        creatorBankAccountService?.getByCreators(creatorIds),
+        taxService?.getProfiles(creatorIds)
+      ]);
+      return (data || []).map(payment => ({
+        payment,
+        bankAccount: accounts.get(payment?.creator_id) || null,
+        taxProfile: taxProfiles.get(payment?.creator_id) || null
+      }));
+    } catch (error) {
+      console.error('Error fetching payout entries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a batch and build its file. All payments move to processing
+   * together, or none do.
+   * @param {Object} options - { bank, layout, variant, transferMode, valueDate, entries }
+   * @returns {Promise<Object>} - { batch, file }
+   */
+  async createBatch({ bank, layout, variant, transferMode, valueDate, entries }) {
+    try {
+      // Build once first so a broken layout fails before any payment moves
+      buildPayoutFile({ bank, layout, variant, batch: { batch_number: 'PB-PREVIEW', value_date: valueDate, transfer_mode: transferMode }, entries });
+
+      const { data, error } = await supabase?.rpc('create_payout_batch', {
+        p_payment_ids: entries.map(entry => entry?.payment?.id),
+        p_bank_format: bank,
+        p_file_format: variant,
+        p_transfer_mode: transferMode,
+        p_value_date: valueDate
+      });
+
+      if (error) throw error;
+      const batch = data?.[0];
+      return { batch, file: buildPayoutFile({ bank, layout, variant, batch, entries }) };
+    } catch (error) {
+      console.error('Error creating payout batch:', error);
+      throw error;
+    }
+  }
+};
+
+export default payoutBatchService;
@@ -0,0 +1,91 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Rate Card Service
+ * Creator prices per platform and deliverable (creator_rates). Entries are
+ * append-only: changing a price adds a row, so the table doubles as the
+ * price history. The database mirrors each entry onto
+ * creators.price_history and creators.pricing_tier.
+ */
+export const rateCardService = {
+  /**
+   * Every rate entry for a creator, oldest first
+   * @param {string} creatorId
+   * @returns {Promise<Array>}
+   */
+  async getHistory(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_rates')
+        ?.select('*')
+        ?.eq('creator_id', creatorId)
+        ?.order('effective_date', { ascending: true })
+        ?.order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching creator rate history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * The creator's current rate card: one row per platform and deliverable
+   * @param {string} creatorId
+   * @returns {Promise<Array>}
+   */
+  async getCurrentRates(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_current_rates')
+        ?.select('*')
+        ?.eq('creator_id', creatorId)
+        ?.order('platform', { ascending: true })
+        ?.order('deliverable_type', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching creator rate card:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a new price for one line of the rate card
+   * @param {string} creatorId
+   * @param {Object} rate - { deliverableType, platform, price, currency, effectiveDate, source, notes }
+   * @returns {Promise<Object>}
+   */
+  async addRate(creatorId, { deliverableType, platform, price, currency = 'INR', effectiveDate, source, notes }) {
+    try {
+      const { data: { user } = {} } = await supabase?.auth?.getUser();
+
+      const { data, error } = await supabase
+        ?.from('creator_rates')
+        ?.insert([{
+          creator_id: creatorId,
+          deliverable_type: deliverableType,
+          platform,
+          price,
+          currency,
+          effective_date: effectiveDate || undefined,
+          source,
+          notes: notes?.trim() || null,
+          created_by: user?.id,
+          created_by_email: user?.email || null
+        }])
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding creator rate:', error);
+      throw error;
+    }
+  }
+};
+
+export default rateCardService;
@@ -108,8 +108,9 @@ export const realtimeService = {
               id: payload?.new?.id,
               name: payload?.new?.name,
               campaignName: payload?.new?.campaign_name,
-              brand: payload?.new?.brand,
-              brandName: payload?.new?.brand_name,
+              brandId: payload?.new?.brand_id,
+              brandContactId: payload?.new?.brand_contact_id,
+              legacyBrandName: payload?.new?.legacy_brand_name,
               creatorId: payload?.new?.creator_id,
               amount: payload?.new?.amount,
               agreedAmount: payload?.new?.agreed_amount,
@@ -135,8 +136,9 @@ export const realtimeService = {
               id: payload?.new?.id,
               name: payload?.new?.name,
               campaignName: payload?.new?.campaign_name,
-              brand: payload?.new?.brand,
-              brandName: payload?.new?.brand_name,
+              brandId: payload?.new?.brand_id,
+              brandContactId: payload?.new?.brand_contact_id,
+              legacyBrandName: payload?.new?.legacy_brand_name,
               creatorId: payload?.new?.creator_id,
               amount: payload?.new?.amount,
               agreedAmount: payload?.new?.agreed_amount,
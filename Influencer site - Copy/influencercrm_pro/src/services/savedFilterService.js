@@ -0,0 +1,168 @@
+import { supabase } from '../lib/supabase';
+import { creatorService } from './creatorService';
+import { normalizeCreatorFilters, toCreatorQueryFilters } from '../utils/creatorFilters';
+
+/**
+ * Saved Filter Service
+ * Creator database filters saved per user in creator_saved_filters,
+ * optionally shared with the team and addressable by URL
+ * (/creator-database-management?filter=<id>).
+ */
+
+export const SAVED_FILTER_URL_PARAM = 'filter';
+
+export const savedFilterService = {
+  /**
+   * The current user's filters plus filters shared by teammates
+   * (row level security decides visibility), most recently used first
+   * @returns {Promise<Array>}
+   */
+  async getFilters() {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_saved_filters')
+        ?.select('*')
+        ?.order('last_used_at', { ascending: false, nullsFirst: false })
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching saved filters:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * A single saved filter, or null when it does not exist or is not shared
+   * with the current user
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getFilter(id) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_saved_filters')
+        ?.select('*')
+        ?.eq('id', id)
+        ?.maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching saved filter:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save the current filters
+   * @param {Object} params - { name, filters, searchQuery, isShared }
+   * @returns {Promise<Object>}
+   */
+  async createFilter({ name, filters, searchQuery = '', isShared = false }) {
+    try {
+      const { data: { user } = {} } = await supabase?.auth?.getUser();
+
+      const { data, error } = await supabase
+        ?.from('creator_saved_filters')
+        ?.insert([{
+          name: name.trim(),
+          filters: normalizeCreatorFilters(filters),
+          search_query: searchQuery?.trim() || null,
+          is_shared: isShared,
+          created_by: user?.id,
+          created_by_email: user?.email || null,
+          last_used_at: new Date().toISOString()
+        }])
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating saved filter:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a saved filter the current user owns
+   * @param {string} id
+   * @param {Object} updates - Column values, e.g. { is_shared: true }
+   * @returns {Promise<Object>}
+   */
+  async updateFilter(id, updates) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_saved_filters')
+        ?.update(updates)
+        ?.eq('id', id)
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating saved filter:', error);
+      throw error;
+    }
+  },
+
+  async deleteFilter(id) {
+    try {
+      const { error } = await supabase
+        ?.from('creator_saved_filters')
+        ?.delete()
+        ?.eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting saved filter:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that a filter was applied. Goes through an RPC so applying a
+   * teammate's shared filter also updates it.
+   * @param {string} id
+   */
+  async markUsed(id) {
+    try {
+      const { error } = await supabase?.rpc('touch_creator_saved_filter', { filter_id: id });
+      if (error) throw error;
+    } catch (error) {
+      // Non-critical; the filter has already been applied
+      console.error('Error updating saved filter usage:', error);
+    }
+  },
+
+  /**
+   * Live number of creators matching a saved filter
+   * @param {Object} savedFilter - Row from creator_saved_filters
+   * @returns {Promise<number>}
+   */
+  async getMatchCount(savedFilter) {
+    const result = await creatorService.getPaginated({
+      page: 1,
+      pageSize: 1,
+      searchQuery: savedFilter?.search_query || '',
+      filters: toCreatorQueryFilters(savedFilter?.filters),
+      sortColumn: 'relevance'
+    });
+    return result.total;
+  },
+
+  /**
+   * Link that opens the creator database with this filter applied
+   * @param {string} id
+   * @returns {string}
+   */
+  getShareUrl(id) {
+    return `${window.location.origin}/creator-database-management?${SAVED_FILTER_URL_PARAM}=${encodeURIComponent(id)}`;
+  }
+};
+
+export default savedFilterService;
@@ -0,0 +1,183 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Shortlist Share Service
+ * Expiring, read-only links that show a campaign's proposed creators to a
+ * brand contact (public.shortlist_share_links). The brand has no login:
+ * the public page reads and decides through get_shared_shortlist and
+ * decide_shared_shortlist, which check the token and move the creator to
+ * brand_approved or brand_rejected on the casting board.
+ */
+
+export const SHARE_LINK_EXPIRY_OPTIONS = [
+  { value: '3', label: '3 days' },
+  { value: '7', label: '7 days' },
+  { value: '14', label: '14 days' },
+  { value: '30', label: '30 days' }
+];
+
+/**
+ * Where a link stands, for the team's list of links
+ * @param {Object} link - shortlist_share_links row
+ * @returns {string} - active | expired | revoked
+ */
+export const shareLinkState = (link) => {
+  if (link?.revoked_at) return 'revoked';
+  if (new Date(link?.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+export const shortlistShareService = {
+  /**
+   * Links created for a campaign, newest first
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  async getLinks(campaignId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('shortlist_share_links')
+        ?.select('*')
+        ?.eq('campaign_id', campaignId)
+        ?.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching shortlist links:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a link for a brand contact
+   * @param {Object} params - { campaignId, contactId, contactName, stages, includeContact, includePrices, expiresInDays }
+   * @returns {Promise<Object>} - The shortlist_share_links row, with its token
+   */
+  async createLink({ campaignId, contactId = null, contactName = null, stages = ['shortlisted'], includeContact = false, includePrices = false, expiresInDays = 7 }) {
+    try {
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + Number(expiresInDays));
+
+      const { data, error } = await supabase
+        ?.from('shortlist_share_links')
+        ?.insert([{
+          campaign_id: campaignId,
+          contact_id: contactId,
+          contact_name: contactName,
+          stages,
+          include_contact: includeContact,
+          include_prices: includePrices,
+          expires_at: expiresAt.toISOString()
+        }])
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating shortlist link:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop a link working before it expires
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async revokeLink(id) {
+    try {
+      const { data, error } = await supabase
+        ?.from('shortlist_share_links')
+        ?.update({ revoked_at: new Date().toISOString() })
+        ?.eq('id', id)
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error revoking shortlist link:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Latest brand decision per assignment on a campaign
+   * @param {Array<string>} campaignCreatorIds
+   * @returns {Promise<Object>} - { [campaignCreatorId]: shortlist_decisions row }
+   */
+  async getLatestDecisions(campaignCreatorIds = []) {
+    if (!campaignCreatorIds?.length) return {};
+    try {
+      const { data, error } = await supabase
+        ?.from('shortlist_decisions')
+        ?.select('*')
+        ?.in('campaign_creator_id', campaignCreatorIds)
+        ?.order('decided_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).reduce((latest, decision) => {
+        if (!latest[decision.campaign_creator_id]) latest[decision.campaign_creator_id] = decision;
+        return latest;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching shortlist decisions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * The shortlist behind a token, as the brand sees it
+   * @param {string} token
+   * @returns {Promise<Object>} - { campaign, link, creators }
+   */
+  async getSharedShortlist(token) {
+    try {
+      const { data, error } = await supabase?.rpc('get_shared_shortlist', { p_token: token });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching shared shortlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Approve or reject a creator through a token
+   * @param {string} token
+   * @param {string} campaignCreatorId
+   * @param {Object} decision - { decision: approved | rejected, comment, decidedByName }
+   * @returns {Promise<Object>} - { decision, comment, decided_by_name, decided_at }
+   */
+  async decide(token, campaignCreatorId, { decision, comment = '', decidedByName = '' }) {
+    try {
+      const { data, error } = await supabase?.rpc('decide_shared_shortlist', {
+        p_token: token,
+        p_campaign_creator_id: campaignCreatorId,
+        p_decision: decision,
+        p_comment: comment,
+        p_decided_by_name: decidedByName
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording shortlist decision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Public page for a link
+   * @param {string} token
+   * @returns {string}
+   */
+  getShareUrl(token) {
+    return `${window.location.origin}/shortlist/${encodeURIComponent(token)}`;
+  }
+};
+
+export default shortlistShareService;
@@ -5,6 +5,7 @@
  */
 
 import axios from 'axios';
+import { getAuthToken } from '../lib/supabase';
 
 class SpreadsheetApiService {
   constructor() {
@@ -20,9 +21,9 @@ class SpreadsheetApiService {
 
     // Request interceptor for authentication
     this.client.interceptors.request.use(
-      (config) => {
-        // Add auth token if available
-        const token = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
+      async (config) => {
+        // The backend verifies the Supabase access token and derives the user from it
+        const token = await getAuthToken();
         if (token) {
           config.headers.Authorization = `Bearer ${token}`;
         }
@@ -67,7 +68,6 @@ class SpreadsheetApiService {
         headers: spreadsheetData.headers,
         metadata: spreadsheetData.metadata,
         timestamp: new Date().toISOString(),
-        userId: this.getCurrentUserId(),
       });
 
       return {
@@ -150,11 +150,7 @@ class SpreadsheetApiService {
    */
   async updateSpreadsheet(spreadsheetId, updateData) {
     try {
-      const response = await this.client.put(`/spreadsheet/${spreadsheetId}`, {
-        ...updateData,
-        updatedAt: new Date().toISOString(),
-        updatedBy: this.getCurrentUserId(),
-      });
+      const response = await this.client.put(`/spreadsheet/${spreadsheetId}`, updateData);
 
       return {
         success: true,
@@ -271,19 +267,6 @@ class SpreadsheetApiService {
     }
   }
 
-  /**
-   * Get current user ID from auth context or localStorage
-   * @returns {string|null} - User ID or null if not available
-   */
-  getCurrentUserId() {
-    // Try to get user ID from various sources
-    return (
-      localStorage.getItem('userId') ||
-      sessionStorage.getItem('userId') ||
-      null
-    );
-  }
-
   /**
    * Extract meaningful error message from error object
    * @param {Error} error - The error object
@@ -10,56 +10,40 @@ class SpreadsheetService {
   constructor() {
     this.supportedFormats = ['.xlsx', '.xls', '.csv'];
     this.maxFileSize = 50 * 1024 * 1024; // 50MB limit
+    this.headerScanLimit = 20; // Rows inspected when detecting the header row
   }
 
   /**
    * Parse Excel/CSV file and convert to JSON
    * @param {File} file - The uploaded file
+   * @param {Object} options - Parse options
+   * @param {string} options.sheetName - Sheet to parse (defaults to the first sheet)
+   * @param {number} options.headerRow - 0-based header row index (auto-detected when omitted)
+   * @param {boolean} options.rawText - Keep CSV cells as text instead of guessing dates/numbers
    * @returns {Promise<Object>} - Parsed data with metadata
    */
-  async parseExcelFile(file) {
+  async parseExcelFile(file, options = {}) {
     try {
-      // Validate file
-      this.validateFile(file);
-
-      // Read file using FileReader
-      const data = await this.readFileAsArrayBuffer(file);
-      
-      // Parse with XLSX library
-      const workbook = XLSX.read(data, {
-        type: 'array',
-        cellDates: true,
-        dateNF: 'yyyy-mm-dd'
-      });
-
-      // Get first sheet name
-      const firstSheetName = workbook.SheetNames[0];
-      if (!firstSheetName) {
-        throw new Error('No sheets found in the workbook');
-      }
-
-      // Convert first sheet to JSON
-      const worksheet = workbook.Sheets[firstSheetName];
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: null,
-        blankrows: false
-      });
-
-      // Process data structure
-      const processedData = this.processSheetData(jsonData);
+      const workbook = await this.loadWorkbook(file, { rawText: options.rawText });
+      const sheet = this.parseWorksheet(workbook, options);
 
       return {
         success: true,
-        data: processedData.data,
-        headers: processedData.headers,
+        workbook,
+        data: sheet.data,
+        headers: sheet.headers,
+        rawRows: sheet.rawRows,
+        headerRow: sheet.headerRow,
+        detectedHeaderRow: sheet.detectedHeaderRow,
+        sheetNames: workbook.SheetNames,
         metadata: {
           fileName: file.name,
           fileSize: file.size,
-          sheetName: firstSheetName,
+          sheetName: sheet.sheetName,
           totalSheets: workbook.SheetNames.length,
-          rowCount: processedData.data.length,
-          columnCount: processedData.headers.length,
+          headerRow: sheet.headerRow,
+          rowCount: sheet.data.length,
+          columnCount: sheet.headers.length,
           fileType: file.name.split('.').pop().toUpperCase()
         }
       };
@@ -73,12 +57,78 @@ class SpreadsheetService {
     }
   }
 
+  /**
+   * Read a file into an XLSX workbook
+   * @param {File} file - The uploaded file
+   * @param {Object} options - { rawText }: skip value guessing in plain-text files, e.g.
+   *   to stop day-first dates in CSV exports being read as month-first
+   * @returns {Promise<Object>} - XLSX workbook
+   */
+  async loadWorkbook(file, { rawText = false } = {}) {
+    // Validate file
+    this.validateFile(file);
+
+    // Read file using FileReader
+    const data = await this.readFileAsArrayBuffer(file);
+
+    // Parse with XLSX library
+    const workbook = XLSX.read(data, {
+      type: 'array',
+      cellDates: true,
+      dateNF: 'yyyy-mm-dd',
+      raw: rawText
+    });
+
+    if (!workbook.SheetNames.length) {
+      throw new Error('No sheets found in the workbook');
+    }
+
+    return workbook;
+  }
+
+  /**
+   * Convert one sheet of a loaded workbook into headers and rows
+   * @param {Object} workbook - XLSX workbook
+   * @param {Object} options - Parse options
+   * @param {string} options.sheetName - Sheet to parse (defaults to the first sheet)
+   * @param {number} options.headerRow - 0-based header row index (auto-detected when omitted)
+   * @returns {Object} - Sheet name, raw rows, header row and processed data
+   */
+  parseWorksheet(workbook, options = {}) {
+    const sheetName = options.sheetName || workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheetName}" not found in the workbook`);
+    }
+
+    const rawRows = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: null,
+      blankrows: false
+    });
+
+    const detectedHeaderRow = this.detectHeaderRow(rawRows);
+    const headerRow = Number.isInteger(options.headerRow) ? options.headerRow : detectedHeaderRow;
+    const processedData = this.processSheetData(rawRows, headerRow);
+
+    return {
+      sheetName,
+      rawRows,
+      headerRow,
+      detectedHeaderRow,
+      headers: processedData.headers,
+      data: processedData.data
+    };
+  }
+
   /**
    * Fetch and parse Google Sheets data
    * @param {string} sheetUrl - Google Sheets URL
+   * @param {Object} options - Parse options
+   * @param {number} options.headerRow - 0-based header row index (auto-detected when omitted)
    * @returns {Promise<Object>} - Parsed data with metadata
    */
-  async fetchGoogleSheet(sheetUrl) {
+  async fetchGoogleSheet(sheetUrl, options = {}) {
     try {
       // Validate and extract sheet ID
       const sheetId = this.extractGoogleSheetId(sheetUrl);
@@ -86,8 +136,9 @@ class SpreadsheetService {
         throw new Error('Invalid Google Sheets URL');
       }
 
-      // Fetch CSV export of the sheet
-      const csvUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=0`;
+      // Fetch CSV export of the tab the link points at (gid), or the first tab
+      const gid = this.extractGoogleSheetGid(sheetUrl) || '0';
+      const csvUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=${gid}`;
       const response = await fetch(csvUrl);
       
       if (!response.ok) {
@@ -103,27 +154,25 @@ class SpreadsheetService {
       
       // Parse CSV using XLSX
       const workbook = XLSX.read(csvText, { type: 'string' });
-      const firstSheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[firstSheetName];
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: null,
-        blankrows: false
-      });
-
-      // Process data structure
-      const processedData = this.processSheetData(jsonData);
+      const sheet = this.parseWorksheet(workbook, { headerRow: options.headerRow });
 
       return {
         success: true,
-        data: processedData.data,
-        headers: processedData.headers,
+        workbook,
+        data: sheet.data,
+        headers: sheet.headers,
+        rawRows: sheet.rawRows,
+        headerRow: sheet.headerRow,
+        detectedHeaderRow: sheet.detectedHeaderRow,
+        sheetNames: workbook.SheetNames,
         metadata: {
           sheetUrl: sheetUrl,
           sheetId: sheetId,
-          sheetName: firstSheetName,
-          rowCount: processedData.data.length,
-          columnCount: processedData.headers.length,
+          gid: gid,
+          sheetName: sheet.sheetName,
+          headerRow: sheet.headerRow,
+          rowCount: sheet.data.length,
+          columnCount: sheet.headers.length,
           fileType: 'GOOGLE_SHEETS'
         }
       };
@@ -140,23 +189,39 @@ class SpreadsheetService {
   /**
    * Process raw sheet data into structured format
    * @param {Array} rawData - Raw 2D array from XLSX
+   * @param {number} headerRow - 0-based index of the header row; rows above it are ignored
    * @returns {Object} - Processed data with headers and rows
    */
-  processSheetData(rawData) {
-    if (!rawData || rawData.length === 0) {
+  processSheetData(rawData, headerRow = 0) {
+    if (!rawData || rawData.length <= headerRow) {
       return { headers: [], data: [] };
     }
 
-    // First row as headers, clean them up
-    const headers = rawData[0].map(header => 
-      header && typeof header === 'string' ? header.trim() : `Column ${rawData[0].indexOf(header) + 1}`
+    const dataRows = rawData.slice(headerRow + 1);
+    // reduce rather than spreading into Math.max, which overflows the call stack on large sheets
+    const columnCount = dataRows.reduce(
+      (max, row) => Math.max(max, row.length),
+      rawData[headerRow].length
     );
 
+    // Header row cleaned up; blank and repeated headers get unique names
+    const seen = {};
+    const headers = Array.from({ length: columnCount }, (_, colIndex) => {
+      const value = rawData[headerRow][colIndex];
+      const label = value !== null && value !== undefined && String(value).trim() !== ''
+        ? String(value).trim()
+        : `Column ${colIndex + 1}`;
+
+      seen[label] = (seen[label] || 0) + 1;
+      return seen[label] > 1 ? `${label} (${seen[label]})` : label;
+    });
+
     // Process data rows
-    const data = rawData.slice(1).map((row, index) => {
+    const data = dataRows.map(row => {
       const rowObj = {};
       headers.forEach((header, colIndex) => {
-        rowObj[header] = row[colIndex] || null;
+        const value = row[colIndex];
+        rowObj[header] = value === undefined || value === '' ? null : value;
       });
       return rowObj;
     }).filter(row => Object.values(row).some(value => value !== null && value !== ''));
@@ -164,6 +229,44 @@ class SpreadsheetService {
     return { headers, data };
   }
 
+  /**
+   * Detect which of the first rows holds the column headers.
+   * Sheets often carry title or summary rows above the real header (our
+   * creators index, for example), so the header is taken to be the first
+   * well-filled row made up mostly of text labels.
+   * @param {Array} rawData - Raw 2D array from XLSX
+   * @returns {number} - 0-based header row index
+   */
+  detectHeaderRow(rawData) {
+    if (!rawData || rawData.length === 0) return 0;
+
+    const candidates = rawData.slice(0, this.headerScanLimit);
+    const isFilled = value => value !== null && value !== undefined && String(value).trim() !== '';
+    const isNumeric = value => typeof value === 'number' || /^[\d\s.,%+-]+$/.test(String(value).trim());
+
+    const stats = candidates.map(row => {
+      const cells = row.filter(isFilled);
+      const textCells = cells.filter(value => !(value instanceof Date) && !isNumeric(value));
+
+      return {
+        filled: cells.length,
+        textRatio: cells.length ? textCells.length / cells.length : 0
+      };
+    });
+
+    const maxFilled = Math.max(...stats.map(stat => stat.filled));
+    if (maxFilled === 0) return 0;
+
+    // A header spans most of the table's width and is almost entirely labels
+    const headerIndex = stats.findIndex(stat =>
+      stat.filled >= 2 &&
+      stat.filled >= maxFilled * 0.6 &&
+      stat.textRatio >= 0.7
+    );
+
+    return headerIndex === -1 ? 0 : headerIndex;
+  }
+
   /**
    * Validate uploaded file
    * @param {File} file - The file to validate
@@ -212,6 +315,16 @@ class SpreadsheetService {
     }
   }
 
+  /**
+   * Extract the tab id (gid) from a Google Sheets URL
+   * @param {string} url - Google Sheets URL
+   * @returns {string|null} - Tab gid or null if the link has none
+   */
+  extractGoogleSheetGid(url) {
+    const match = url.match(/[#&?]gid=(\d+)/);
+    return match ? match[1] : null;
+  }
+
   /**
    * Read file as ArrayBuffer
    * @param {File} file - The file to read
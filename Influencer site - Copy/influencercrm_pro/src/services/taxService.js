@@ -0,0 +1,229 @@
+import { supabase } from '../lib/supabase';
+import { exportService } from './exportService';
+import { normalizePan } from '../utils/bankDetails';
+import { normalizeGstin, resolveTaxRates, computeTax, financialYearOf, financialYearRange } from '../utils/taxEngine';
+
+/**
+ * Tax Service
+ * Creator tax profiles (creator_tax_profiles), the tax_rates setting and
+ * the TDS/GST computed for payments. Only finance roles can read tax
+ * profiles; without one a creator is treated as unregistered with no PAN.
+ */
+export const taxService = {
+  /**
+   * Rates from the tax_rates setting merged over the defaults
+   * @returns {Promise<Object>}
+   */
+  async getRates() {
+    try {
+      const { data, error } = await supabase
+        ?.from('system_settings')
+        ?.select('setting_value')
+        ?.eq('setting_key', 'tax_rates')
+        ?.maybeSingle();
+
+      if (error) throw error;
+      return resolveTaxRates(data?.setting_value);
+    } catch (error) {
+      // The default rates still apply without the setting
+      console.error('Error fetching tax rates:', error);
+      return resolveTaxRates();
+    }
+  },
+
+  /**
+   * @param {string} creatorId
+   * @returns {Promise<Object|null>}
+   */
+  async getProfile(creatorId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('creator_tax_profiles')
+        ?.select('*')
+        ?.eq('creator_id', creatorId)
+        ?.maybeSingle();
+
+      if (error) throw error;
+      return data || null;
+    } catch (error) {
+      console.error('Error fetching creator tax profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Tax profiles for many creators at once
+   * @param {Array<string>} creatorIds
+   * @returns {Promise<Map<string, Object>>} - creator id -> row
+   */
+  async getProfiles(creatorIds) {
+    try {
+      const ids = [...new Set((creatorIds || []).filter(Boolean))];
+      if (!ids.length) return new Map();
+
+      const { data, error } = await supabase
+        ?.from('creator_tax_profiles')
+        ?.select('*')
+        ?.in('creator_id', ids);
+
+      if (error) throw error;
+      return new Map((data || []).map(row => [row.creator_id, row]));
+    } catch (error) {
+      console.error('Error fetching creator tax profiles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add or replace a creator's tax profile
+   * @param {string} creatorId
+   * @param {Object} profile - { legalName, panNumber, entityType, gstin, tdsSection, lowerTdsRate, lowerTdsCertificate, lowerTdsValidUntil }
+   * @returns {Promise<Object>}
+   */
+  async saveProfile(creatorId, profile) {
+    try {
+      const hasLowerRate = profile?.lowerTdsRate !== '' && profile?.lowerTdsRate != null;
+      const { data, error } = await supabase
+        ?.from('creator_tax_profiles')
+        ?.upsert({
+          creator_id: creatorId,
+          legal_name: profile?.legalName?.trim() || null,
+          pan_number: normalizePan(profile?.panNumber) || null,
+          entity_type: profile?.entityType || 'individual',
+          gstin: normalizeGstin(profile?.gstin) || null,
+          tds_section: profile?.tdsSection || '194J',
+          lower_tds_rate: hasLowerRate ? Number(profile.lowerTdsRate) : null,
+          lower_tds_certificate: hasLowerRate ? profile?.lowerTdsCertificate?.trim() || null : null,
+          lower_tds_valid_until: hasLowerRate ? profile?.lowerTdsValidUntil || null : null
+        }, { onConflict: 'creator_id' })
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving creator tax profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * A creator's fees under a TDS section so far in a financial year,
+   * counted from payment creation and excluding cancelled payments
+   * @param {string} creatorId
+   * @param {string} section
+   * @param {string|Date} onDate - Any date in the financial year
+   * @param {string} excludePaymentId - Payment being edited
+   * @returns {Promise<number>}
+   */
+  async getSectionTotal(creatorId, section, onDate = new Date(), excludePaymentId = null) {
+    try {
+      const { from, to } = financialYearRange(financialYearOf(onDate));
+      let query = supabase
+        ?.from('payments')
+        ?.select('id, amount')
+        ?.eq('creator_id', creatorId)
+        ?.eq('tds_section', section)
+        ?.neq('status', 'cancelled')
+        ?.gte('created_at', `${from}T00:00:00+05:30`)
+        ?.lte('created_at', `${to}T23:59:59+05:30`);
+      if (excludePaymentId) query = query?.neq('id', excludePaymentId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).reduce((sum, row) => sum + Number(row?.amount || 0), 0);
+    } catch (error) {
+      console.error('Error fetching section total:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Everything computeTax needs for one creator, loaded once so the form
+   * can recompute as the amount changes
+   * @param {string} creatorId
+   * @returns {Promise<Object>} - { rates, profile, sectionTotals: { [section]: number } }
+   */
+  async getTaxContext(creatorId) {
+    const [rates, profile] = await Promise.all([this.getRates(), this.getProfile(creatorId)]);
+    const sections = Object.keys(rates.tds_sections);
+    const totals = await Promise.all(sections.map(section => this.getSectionTotal(creatorId, section)));
+    return {
+      rates,
+      profile,
+      sectionTotals: Object.fromEntries(sections.map((section, i) => [section, totals[i]]))
+    };
+  },
+
+  /**
+   * @param {Object} context - From getTaxContext
+   * @param {number} gross
+   * @param {string} section - Optional override of the profile's section
+   * @returns {Object} - computeTax result
+   */
+  compute(context, gross, section) {
+    const sectionKey = section || context?.profile?.tds_section || '194J';
+    return computeTax({
+      gross,
+      profile: context?.profile,
+      rates: context?.rates,
+      section: sectionKey,
+      priorGross: context?.sectionTotals?.[sectionKey] || 0
+    });
+  },
+
+  /**
+   * TDS deducted per creator and section in one quarter
+   * @param {string} financialYear - e.g. "2026-27"
+   * @param {string} quarter - Q1..Q4
+   * @returns {Promise<Array>}
+   */
+  async getQuarterlySummary(financialYear, quarter) {
+    try {
+      const { data, error } = await supabase
+        ?.from('tds_quarterly_summary')
+        ?.select('*')
+        ?.eq('financial_year', financialYear)
+        ?.eq('quarter', quarter)
+        ?.order('tds_section', { ascending: true })
+        ?.order('creator_name', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching TDS summary:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download a quarterly summary as a spreadsheet for the TDS return
+   * @param {Array} rows - From getQuarterlySummary
+   * @param {string} financialYear
+   * @param {string} quarter
+   * @returns {Promise<Object>} - exportService result
+   */
+  async exportQuarterlySummary(rows, financialYear, quarter) {
+    const headers = ['Deductee', 'Name as per PAN', 'PAN', 'Entity Type', 'Section', 'Payments', 'Amount Paid', 'TDS Deducted', 'TDS Rate (%)'];
+    const data = rows.map(row => ({
+      Deductee: row?.creator_name || '',
+      'Name as per PAN': row?.legal_name || '',
+      PAN: row?.pan_number || 'PANNOTAVBL',
+      'Entity Type': row?.entity_type || '',
+      Section: row?.tds_section || '',
+      Payments: Number(row?.payment_count || 0),
+      'Amount Paid': Number(row?.gross_amount || 0),
+      'TDS Deducted': Number(row?.tds_amount || 0),
+      'TDS Rate (%)': row?.min_tds_rate === row?.max_tds_rate
+        ? Number(row?.min_tds_rate || 0)
+        : `${row?.min_tds_rate}-${row?.max_tds_rate}`
+    }));
+
+    return exportService.exportToExcel(data, headers, {
+      filename: `tds-summary-${financialYear}-${quarter}.xlsx`,
+      sheetName: `TDS ${quarter} ${financialYear}`
+    });
+  }
+};
+
+export default taxService;
@@ -89,6 +89,25 @@ export const getAllUsers = async () => {
   }
 };
 
+/**
+ * Active users as lightweight options (id, name, email), e.g. for owner pickers
+ */
+export const getActiveUsers = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, full_name, email')
+      .eq('is_active', true)
+      .order('full_name', { ascending: true });
+
+    if (error) throw error;
+    return { data: data?.map(toCamelCase) || [], error: null };
+  } catch (error) {
+    console.error('Error fetching active users:', error);
+    return { data: null, error };
+  }
+};
+
 // Fetch all roles
 export const getAllRoles = async () => {
   try {
@@ -486,6 +505,7 @@ export const createAuditLog = async (logData) => {
 
 export default {
   getAllUsers,
+  getActiveUsers,
   getUserById,
   createUser,
   updateUser,
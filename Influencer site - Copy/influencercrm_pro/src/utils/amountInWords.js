@@ -0,0 +1,59 @@
+/**
+ * Rupee amounts in words using the Indian numbering system
+ * (thousand, lakh, crore), as printed on invoices and payment advices.
+ */
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' '));
+
+const belowThousand = (n) => [
+  n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : '',
+  belowHundred(n % 100)
+].filter(Boolean).join(' ');
+
+/**
+ * Whole number in words, e.g. 1234567 -> "Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven"
+ * @param {number} value - Non-negative integer
+ * @returns {string}
+ */
+export function numberToIndianWords(value) {
+  let n = Math.floor(Math.abs(Number(value) || 0));
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crores = Math.floor(n / 10000000);
+  n %= 10000000;
+  // Amounts of a hundred crore and more read as "<n> Crore"
+  if (crores) parts.push(`${numberToIndianWords(crores)} Crore`);
+
+  const lakhs = Math.floor(n / 100000);
+  n %= 100000;
+  if (lakhs) parts.push(`${belowHundred(lakhs)} Lakh`);
+
+  const thousands = Math.floor(n / 1000);
+  n %= 1000;
+  if (thousands) parts.push(`${belowHundred(thousands)} Thousand`);
+
+  if (n) parts.push(belowThousand(n));
+  return parts.join(' ');
+}
+
+/**
+ * @param {number} amount - Rupees, paise as decimals
+ * @returns {string} - e.g. "Rupees One Lakh Five Hundred and Fifty Paise Only"
+ */
+export function amountInWords(amount) {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  const words = [`Rupees ${numberToIndianWords(rupees)}`];
+  if (paise) words.push(`and ${belowHundred(paise)} Paise`);
+  return `${words.join(' ')} Only`;
+}
@@ -0,0 +1,72 @@
+/**
+ * Creator bank detail validation
+ * Same rules as the checks on public.creator_bank_accounts, so the form
+ * reports problems before the database rejects the row.
+ */
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const ACCOUNT_NUMBER_PATTERN = /^[0-9]{9,18}$/;
+
+export const ACCOUNT_TYPES = [
+  { value: 'savings', label: 'Savings' },
+  { value: 'current', label: 'Current' }
+];
+
+export const normalizeIfsc = (value) => String(value || '').trim().toUpperCase();
+export const normalizePan = (value) => String(value || '').trim().toUpperCase();
+export const normalizeAccountNumber = (value) => String(value || '').replace(/\s/g, '');
+
+export const isValidIfsc = (value) => IFSC_PATTERN.test(normalizeIfsc(value));
+export const isValidPan = (value) => PAN_PATTERN.test(normalizePan(value));
+export const isValidAccountNumber = (value) => ACCOUNT_NUMBER_PATTERN.test(normalizeAccountNumber(value));
+
+/**
+ * Show only the last four digits of an account number
+ * @param {string} accountNumber
+ * @returns {string}
+ */
+export const maskAccountNumber = (accountNumber) => {
+  const digits = normalizeAccountNumber(accountNumber);
+  return digits ? `XXXX${digits.slice(-4)}` : '';
+};
+
+/**
+ * Validate a bank details form
+ * @param {Object} details - { beneficiaryName, accountNumber, confirmAccountNumber, ifscCode }
+ * @returns {Object} - Field name -> message; empty when valid
+ */
+export function validateBankDetails(details = {}) {
+  const errors = {};
+
+  if (!details.beneficiaryName?.trim()) {
+    errors.beneficiaryName = 'Beneficiary name is required';
+  }
+
+  if (!isValidAccountNumber(details.accountNumber)) {
+    errors.accountNumber = 'Account number must be 9 to 18 digits';
+  } else if (
+    details.confirmAccountNumber !== undefined &&
+    normalizeAccountNumber(details.confirmAccountNumber) !== normalizeAccountNumber(details.accountNumber)
+  ) {
+    errors.confirmAccountNumber = 'Account numbers do not match';
+  }
+
+  if (!isValidIfsc(details.ifscCode)) {
+    errors.ifscCode = 'IFSC is 11 characters: 4 letters, 0, then 6 letters or digits (e.g. HDFC0001234)';
+  }
+
+  return errors;
+}
+
+export default {
+  ACCOUNT_TYPES,
+  normalizeIfsc,
+  normalizePan,
+  normalizeAccountNumber,
+  isValidIfsc,
+  isValidPan,
+  isValidAccountNumber,
+  maskAccountNumber,
+  validateBankDetails
+};
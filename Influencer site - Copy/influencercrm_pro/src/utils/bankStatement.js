@@ -0,0 +1,406 @@
+/**
+ * Bank statement parsing and payment matching
+ * Normalises CSV/XLSX exports from the common Indian banks into statement
+ * lines, pulls UTR and payee out of the narration, and proposes which
+ * outstanding payment each debit line settles.
+ */
+
+import { calculateSimilarity } from './fuzzyMatching';
+
+// Header names used by each bank's net-banking export, lower-cased
+const COLUMN_SYNONYMS = {
+  date: ['txn date', 'transaction date', 'tran date', 'date', 'value date', 'value dt', 'posting date'],
+  description: ['narration', 'description', 'particulars', 'transaction remarks', 'remarks', 'transaction details'],
+  reference: ['chq./ref.no.', 'chq/ref no', 'ref no./cheque no.', 'cheque no./ref. no.', 'chq no', 'cheque number', 'reference no', 'ref no', 'chq / ref number', 'utr number'],
+  debit: ['withdrawal amt.', 'withdrawal amount (inr )', 'withdrawal amount', 'withdrawals', 'debit', 'debit amount', 'dr amount', 'amount (dr)'],
+  credit: ['deposit amt.', 'deposit amount (inr )', 'deposit amount', 'deposits', 'credit', 'credit amount', 'cr amount', 'amount (cr)'],
+  amount: ['amount', 'transaction amount', 'amount (inr)'],
+  drCr: ['dr/cr', 'dr / cr', 'cr/dr', 'debit/credit', 'type'],
+  balance: ['closing balance', 'balance', 'balance (inr )', 'available balance', 'running balance']
+};
+
+// Headers that only one bank uses, to label the detected format
+const BANK_SIGNATURES = [
+  { bank: 'hdfc', headers: ['withdrawal amt.', 'deposit amt.', 'chq./ref.no.'] },
+  { bank: 'icici', headers: ['withdrawal amount (inr )', 'deposit amount (inr )', 'transaction remarks'] },
+  { bank: 'sbi', headers: ['ref no./cheque no.', 'txn date'] },
+  { bank: 'axis', headers: ['tran date', 'chq no', 'particulars'] },
+  { bank: 'kotak', headers: ['chq / ref number', 'dr / cr'] }
+];
+
+export const BANK_FORMAT_LABELS = {
+  hdfc: 'HDFC Bank',
+  icici: 'ICICI Bank',
+  sbi: 'State Bank of India',
+  axis: 'Axis Bank',
+  kotak: 'Kotak Mahindra Bank',
+  generic: 'Generic statement'
+};
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Map statement headers to the fields we read
+ * @param {Array<string>} headers - Sheet headers
+ * @returns {Object} - { mapping: { date, description, ... }, bankFormat }
+ */
+export function detectStatementColumns(headers = []) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  Object.entries(COLUMN_SYNONYMS).forEach(([field, synonyms]) => {
+    // Earlier synonyms win, so "txn date" beats "value date"
+    for (const synonym of synonyms) {
+      const index = normalized.indexOf(synonym);
+      if (index !== -1 && !Object.values(mapping).includes(headers[index])) {
+        mapping[field] = headers[index];
+        break;
+      }
+    }
+  });
+
+  const signature = BANK_SIGNATURES.find(({ headers: required }) => required.every(h => normalized.includes(h)));
+
+  return { mapping, bankFormat: signature?.bank || 'generic' };
+}
+
+/**
+ * Find the transaction table header below the account summary that bank
+ * exports put at the top of the sheet
+ * @param {Array<Array>} rawRows - Sheet rows as arrays
+ * @param {number} scanLimit - Rows to inspect
+ * @returns {number} - 0-based row index, or -1 when no row looks like a header
+ */
+export function findStatementHeaderRow(rawRows = [], scanLimit = 40) {
+  return rawRows.slice(0, scanLimit).findIndex(row => {
+    const cells = (row || []).map(normalizeHeader);
+    const has = field => COLUMN_SYNONYMS[field].some(synonym => cells.includes(synonym));
+    return has('date') && has('description') && (has('debit') || has('amount'));
+  });
+}
+
+/**
+ * Whether a column mapping has enough to build statement lines
+ * @param {Object} mapping
+ * @returns {Array<string>} - Problems; empty when usable
+ */
+export function validateStatementMapping(mapping = {}) {
+  const errors = [];
+  if (!mapping.date) errors.push('No transaction date column found');
+  if (!mapping.description) errors.push('No narration/description column found');
+  if (!mapping.debit && !mapping.amount) errors.push('No withdrawal/debit or amount column found');
+  return errors;
+}
+
+/**
+ * Parse a statement date: Date objects, dd/mm/yyyy, dd-mm-yy, dd-MMM-yyyy, dd MMM yyyy or ISO
+ * @param {*} value
+ * @returns {string|null} - yyyy-mm-dd
+ */
+export function parseStatementDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const toIso = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day));
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+  };
+
+  if (value instanceof Date) {
+    return isNaN(value) ? null : toIso(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const text = String(value).trim();
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return toIso(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  // Indian exports are day-first
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (numeric) {
+    const year = Number(numeric[3]) < 100 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+    return toIso(year, Number(numeric[2]) - 1, Number(numeric[1]));
+  }
+
+  const named = text.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/-](\d{2,4})$/);
+  if (named && MONTHS[named[2].toLowerCase()] !== undefined) {
+    const year = Number(named[3]) < 100 ? 2000 + Number(named[3]) : Number(named[3]);
+    return toIso(year, MONTHS[named[2].toLowerCase()], Number(named[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Parse an amount cell ("1,25,000.00", "5000 Dr", 5000)
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function parseStatementAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/[₹,\s]|INR|Dr|Cr/gi, '');
+  if (cleaned === '' || cleaned === '-') return null;
+  const amount = Number(cleaned);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Pull the UTR / RRN out of a NEFT, RTGS, IMPS or UPI narration
+ * @param {string} narration
+ * @returns {string|null}
+ */
+export function extractUtr(narration) {
+  const text = String(narration || '').toUpperCase();
+  if (!text) return null;
+
+  // NEFT/RTGS UTRs: 4-letter bank code, R/N/H, then digits (e.g. HDFCN52022101912345, UTIBR52022101900123456)
+  const bankUtr = text.match(/\b([A-Z]{4}[RNH]\d{10,18})\b/);
+  if (bankUtr) return bankUtr[1];
+
+  // UPI / IMPS reference numbers are 12 digits
+  const rrn = text.match(/(?:UPI|IMPS|MMT|P2A|P2M)[/:\-\s]*(?:[A-Z]+[/:\-\s]+)?(\d{12})\b/);
+  if (rrn) return rrn[1];
+
+  const twelveDigits = text.match(/\b(\d{12})\b/);
+  if (twelveDigits && /NEFT|RTGS|IMPS|UPI/.test(text)) return twelveDigits[1];
+
+  return null;
+}
+
+// Narration segments that are transfer codes, not names
+const NON_NAME_SEGMENT = /^(NEFT|RTGS|IMPS|UPI|MMT|P2A|P2M|INB|IB|TRF|TO|BY|DR|CR|TPT|FT|ACH|NACH|BIL|ONL|MOB|PAYMENT|SALARY|OK[A-Z]*|[A-Z]{4}0[A-Z0-9]{6})$/i;
+
+/**
+ * Best guess at the beneficiary name in a transfer narration, e.g.
+ * "NEFT DR-HDFC0001234-PRIYA SHARMA-NETBANK" or "UPI/412345678901/RAHUL VERMA/OKHDFC"
+ * @param {string} narration
+ * @returns {string|null}
+ */
+export function extractPayeeName(narration) {
+  const text = String(narration || '').trim();
+  if (!text) return null;
+
+  const candidates = text
+    .split(/[/|-]|\s{2,}|:/)
+    .map(segment => segment.trim().replace(/\s+/g, ' '))
+    .filter(segment =>
+      segment.length >= 3 &&
+      /[A-Za-z]{2}/.test(segment) &&
+      !/\d{4,}/.test(segment) &&
+      !segment.split(' ').every(word => NON_NAME_SEGMENT.test(word))
+    )
+    .map(segment => segment.split(' ').filter(word => !NON_NAME_SEGMENT.test(word)).join(' '))
+    .filter(segment => segment.length >= 3);
+
+  // Names usually have a space ("PRIYA SHARMA"); otherwise take the longest token
+  return candidates.find(segment => segment.includes(' ')) ||
+    candidates.sort((a, b) => b.length - a.length)[0] ||
+    null;
+}
+
+// How "NEFT DR-...", "TO TRANSFER", "BY CLEARING" style narrations read
+const DEBIT_NARRATION = /^(TO|DR)\b|\b(NEFT|RTGS|IMPS)[\s-]*DR\b|\b(WITHDRAWAL|DEBIT(ED)?)\b/i;
+const CREDIT_NARRATION = /^(BY|CR)\b|\b(NEFT|RTGS|IMPS)[\s-]*CR\b|\b(DEPOSIT|CREDIT(ED)?)\b/i;
+
+/**
+ * Direction a narration spells out, if any
+ * @param {string} narration
+ * @returns {string|null} - debit | credit
+ */
+export function narrationDirection(narration) {
+  const text = String(narration || '').trim();
+  if (DEBIT_NARRATION.test(text)) return 'debit';
+  if (CREDIT_NARRATION.test(text)) return 'credit';
+  return null;
+}
+
+/**
+ * Turn parsed sheet rows into statement lines.
+ * With a single amount column the direction comes from a Dr/Cr column or
+ * suffix, a minus sign, or the narration. If the column has no negative
+ * amounts at all, a plain positive amount is ambiguous: it takes
+ * options.positiveAmounts ('debit' | 'credit') and is left with a null
+ * direction when that isn't given, so the caller can ask.
+ * @param {Array<Object>} rows - spreadsheetService rows keyed by header
+ * @param {Object} mapping - From detectStatementColumns
+ * @param {Object} options
+ * @param {string} options.positiveAmounts - debit | credit
+ * @param {number} options.headerRow - 0-based header row index, so lineNumber is the 1-based sheet row
+ * @returns {Array<Object>} - [{ lineNumber, txnDate, description, reference, utr, payeeName, amount, direction, balance, raw }]
+ */
+export function normalizeStatementRows(rows = [], mapping = {}, options = {}) {
+  // Signed statements show withdrawals as negative, so positives are deposits
+  const signedAmounts = Boolean(mapping.amount) &&
+    rows.some(row => parseStatementAmount(row[mapping.amount]) < 0);
+  const positiveAmounts = signedAmounts ? 'credit' : options.positiveAmounts || null;
+  const headerRow = options.headerRow || 0;
+
+  return rows
+    .map((row, index) => {
+      const debit = mapping.debit ? parseStatementAmount(row[mapping.debit]) : null;
+      const credit = mapping.credit ? parseStatementAmount(row[mapping.credit]) : null;
+      let amount = null;
+      let direction = null;
+
+      if (debit) {
+        amount = Math.abs(debit);
+        direction = 'debit';
+      } else if (credit) {
+        amount = Math.abs(credit);
+        direction = 'credit';
+      } else if (mapping.amount) {
+        const signed = parseStatementAmount(row[mapping.amount]);
+        const marker = String(mapping.drCr ? row[mapping.drCr] : row[mapping.amount] || '').toUpperCase();
+        if (signed) {
+          amount = Math.abs(signed);
+          direction = /CR|CREDIT/.test(marker) ? 'credit'
+            : /DR|DEBIT/.test(marker) || signed < 0 ? 'debit'
+              : narrationDirection(row[mapping.description]) || positiveAmounts;
+        }
+      }
+
+      const description = row[mapping.description] ? String(row[mapping.description]).trim() : '';
+      const reference = mapping.reference && row[mapping.reference] != null
+        ? String(row[mapping.reference]).trim().replace(/^0+(?=[A-Z]{4}|\d{6})/i, '')
+        : null;
+
+      return {
+        lineNumber: headerRow + index + 2,
+        txnDate: parseStatementDate(row[mapping.date]),
+        description,
+        reference: reference || null,
+        utr: extractUtr(description) || extractUtr(reference),
+        payeeName: extractPayeeName(description),
+        amount,
+        direction,
+        balance: mapping.balance ? parseStatementAmount(row[mapping.balance]) : null,
+        raw: row
+      };
+    })
+    // Opening/closing balance and summary rows have no date or amount
+    .filter(line => line.txnDate && line.amount);
+}
+
+const daysBetween = (a, b) => Math.abs((new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24));
+
+// Date the money should have left the account: paid, approved, then due date
+const expectedPaymentDate = (payment) => (
+  payment?.paid_at || payment?.approved_at || payment?.due_date || payment?.created_at
+)?.slice(0, 10);
+
+// Whether a narration or reference cites one of our references (PAY-000012,
+// PB-000003). Banks often drop or change the separator, so "PAY000012" and
+// "PAY/000012" count too.
+const mentions = (line, reference) => {
+  const parts = String(reference || '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+  if (!parts.length) return false;
+  const pattern = new RegExp(`(^|[^A-Z])${parts.join('[^A-Z0-9]?')}(?![0-9])`);
+  return [line?.reference, line?.description].some(value => pattern.test(String(value || '').toUpperCase()));
+};
+
+/**
+ * Score how well a debit line matches a payment (0-100) and why.
+ * A UTR match, or the payment reference from a payout file with the right
+ * amount, is conclusive; otherwise the amount must match and the payout
+ * batch, date window and payee name similarity add confidence.
+ * @param {Object} line - Statement line
+ * @param {Object} payment - payments row with creator { name } and payout_batch { batch_number }
+ * @param {Object} options - { dateWindowDays, amountTolerance }
+ * @returns {Object} - { score, reasons }
+ */
+export function scoreMatch(line, payment, { dateWindowDays = 7, amountTolerance = 1 } = {}) {
+  const reasons = [];
+  const utr = payment?.utr_number?.trim()?.toUpperCase();
+
+  if (utr && [line?.utr, line?.reference, line?.description].some(value => String(value || '').toUpperCase().includes(utr))) {
+    return { score: 100, reasons: ['UTR'] };
+  }
+
+  if (Math.abs(Number(line?.amount) - Number(payment?.net_amount)) > amountTolerance) {
+    return { score: 0, reasons: [] };
+  }
+
+  if (mentions(line, payment?.reference_number)) {
+    return { score: 100, reasons: ['Reference', 'Amount'] };
+  }
+
+  let score = 50;
+  reasons.push('Amount');
+
+  const batchNumber = payment?.payout_batch?.batch_number;
+  if (batchNumber && mentions(line, batchNumber)) {
+    score += 15;
+    reasons.push(`Batch ${batchNumber}`);
+  }
+
+  const expected = expectedPaymentDate(payment);
+  if (line?.txnDate && expected) {
+    const gap = daysBetween(line.txnDate, expected);
+    if (gap <= dateWindowDays) {
+      score += Math.round(20 * (1 - gap / (dateWindowDays + 1)));
+      reasons.push(gap === 0 ? 'Same day' : `${Math.round(gap)}d from expected`);
+    } else {
+      score -= 10;
+    }
+  }
+
+  const payee = payment?.creator?.name;
+  if (line?.payeeName && payee) {
+    const similarity = calculateSimilarity(line.payeeName, payee);
+    if (similarity >= 60) {
+      score += Math.round(30 * similarity / 100);
+      reasons.push(`Payee ${similarity}%`);
+    }
+  }
+
+  return { score: Math.max(0, Math.min(score, 99)), reasons };
+}
+
+/**
+ * Propose one payment per debit line. Best-scoring pairs are taken first so
+ * each payment is proposed for at most one line.
+ * @param {Array<Object>} lines - Statement lines
+ * @param {Array<Object>} payments - Outstanding payments
+ * @param {Object} options - { minScore, dateWindowDays, amountTolerance }
+ * @returns {Map<number, Object>} - lineNumber -> { paymentId, score, reasons }
+ */
+export function proposeMatches(lines = [], payments = [], { minScore = 60, ...scoreOptions } = {}) {
+  const pairs = [];
+  lines
+    .filter(line => line.direction === 'debit')
+    .forEach(line => {
+      payments.forEach(payment => {
+        const { score, reasons } = scoreMatch(line, payment, scoreOptions);
+        if (score >= minScore) pairs.push({ line, payment, score, reasons });
+      });
+    });
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  const proposals = new Map();
+  const usedPayments = new Set();
+  pairs.forEach(({ line, payment, score, reasons }) => {
+    if (proposals.has(line.lineNumber) || usedPayments.has(payment.id)) return;
+    proposals.set(line.lineNumber, { paymentId: payment.id, score, reasons });
+    usedPayments.add(payment.id);
+  });
+
+  return proposals;
+}
+
+export default {
+  BANK_FORMAT_LABELS,
+  detectStatementColumns,
+  findStatementHeaderRow,
+  validateStatementMapping,
+  parseStatementDate,
+  parseStatementAmount,
+  extractUtr,
+  extractPayeeName,
+  narrationDirection,
+  normalizeStatementRows,
+  scoreMatch,
+  proposeMatches
+};
@@ -0,0 +1,124 @@
+/**
+ * Campaign budget helpers
+ * Categories mirror campaign_budget_lines in the campaign_budget migration.
+ * Creator fee commitments come from the assignments and actuals from paid
+ * payments; the other categories from campaign_expenses.
+ */
+
+export const BUDGET_CATEGORIES = [
+  { value: 'creator_fees', label: 'Creator Fees', color: 'var(--color-primary)' },
+  { value: 'production', label: 'Production', color: 'var(--color-chart-2)' },
+  { value: 'ads', label: 'Ads', color: 'var(--color-chart-3)' },
+  { value: 'agency_margin', label: 'Agency Margin', color: 'var(--color-chart-4)' }
+];
+
+// Categories tracked through campaign_expenses
+export const EXPENSE_CATEGORIES = BUDGET_CATEGORIES.filter(c => c.value !== 'creator_fees');
+
+export const budgetCategoryLabel = (category) => BUDGET_CATEGORIES.find(c => c.value === category)?.label || category;
+
+/**
+ * Totals across budget lines
+ * @param {Array} lines - campaign_budget_summary rows
+ * @param {number} fallbackBudget - campaigns.budget, used while no line is allocated
+ * @returns {Object} - { budget, allocated, committed, actual, remaining, overCommitted, overCommittedBy, burnPercent }
+ */
+export function summarizeBudget(lines = [], fallbackBudget = 0) {
+  const sum = (key) => lines.reduce((total, line) => total + Number(line?.[key] || 0), 0);
+  const allocated = sum('allocated_amount');
+  const committed = sum('committed_amount');
+  const actual = sum('actual_amount');
+  const budget = allocated > 0 ? allocated : Number(fallbackBudget || 0);
+  return {
+    budget,
+    allocated,
+    committed,
+    actual,
+    remaining: budget - actual,
+    overCommitted: budget > 0 && committed > budget,
+    overCommittedBy: Math.max(committed - budget, 0),
+    burnPercent: budget > 0 ? Math.round((actual / budget) * 100) : 0
+  };
+}
+
+/**
+ * Lines committed beyond their own allocation
+ * @param {Array} lines - campaign_budget_summary rows
+ * @returns {Array} - Rows with allocated_amount > 0 and committed_amount above it
+ */
+export const overCommittedLines = (lines = []) => lines.filter(line => Number(line?.allocated_amount) > 0
+  && Number(line?.committed_amount) > Number(line?.allocated_amount));
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Local midnight; plain YYYY-MM-DD dates are read as local, not UTC
+const toDay = (value) => {
+  const date = new Date(typeof value === 'string' && value.length === 10 ? `${value}T00:00:00` : value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const isoDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Remaining budget over the campaign, against an even burn from start to end.
+ * Daily points for campaigns up to two months, weekly after that.
+ * @param {Object} params - { budget, startDate, endDate, events: [{ spent_on, amount }], today }
+ * @returns {Array} - [{ date, label, remaining, ideal }]; remaining is null after today
+ */
+export function buildBurnDown({ budget, startDate, endDate, events = [], today = new Date() }) {
+  const total = Number(budget || 0);
+  if (!startDate || !endDate || total <= 0) return [];
+
+  const start = toDay(startDate);
+  const end = toDay(endDate);
+  if (end < start) return [];
+
+  const span = Math.round((end - start) / DAY);
+  const step = span > 62 ? 7 : 1;
+  const lastDay = toDay(today);
+  const sorted = [...events]
+    .filter(event => event?.spent_on)
+    .map(event => ({ day: toDay(event.spent_on), amount: Number(event?.amount || 0) }))
+    .sort((a, b) => a.day - b.day);
+
+  const points = [];
+  for (let offset = 0; offset <= span + step - 1; offset += step) {
+    const day = new Date(start.getTime() + Math.min(offset, span) * DAY);
+    const spent = sorted.filter(event => event.day <= day).reduce((sum, event) => sum + event.amount, 0);
+    points.push({
+      date: isoDay(day),
+      label: day.toLocaleDateString('en-IN', { day: '2-digit', month: 'short' }),
+      remaining: day <= lastDay ? Math.round(total - spent) : null,
+      ideal: Math.round(total * (1 - Math.min(offset, span) / Math.max(span, 1)))
+    });
+    if (offset >= span) break;
+  }
+
+  // Spend before the start date or after the end still counts
+  const outside = sorted.filter(event => event.day > end && event.day <= lastDay);
+  if (outside.length) {
+    const spent = sorted.filter(event => event.day <= lastDay).reduce((sum, event) => sum + event.amount, 0);
+    points.push({
+      date: isoDay(lastDay),
+      label: lastDay.toLocaleDateString('en-IN', { day: '2-digit', month: 'short' }),
+      remaining: Math.round(total - spent),
+      ideal: 0
+    });
+  }
+
+  return points;
+}
+
+export default {
+  BUDGET_CATEGORIES,
+  EXPENSE_CATEGORIES,
+  budgetCategoryLabel,
+  summarizeBudget,
+  overCommittedLines,
+  buildBurnDown
+};
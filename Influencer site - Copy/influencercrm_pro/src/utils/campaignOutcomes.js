@@ -0,0 +1,163 @@
+/**
+ * Campaign outcome helpers
+ * Fields mirror campaign_outcomes in the campaign_outcomes migration. The
+ * performance views supply totals; ROI, CPE, CPM and CPA are derived here
+ * so the campaign screens and the executive dashboard agree. Also reads
+ * outcome CSVs sent by brands and matches their rows to creators.
+ */
+
+import { instagramKey } from './creatorIdentity';
+import { parseStatementDate, parseStatementAmount } from './bankStatement';
+
+export const OUTCOME_FIELDS = [
+  { value: 'revenue', label: 'Revenue Attributed', currency: true },
+  { value: 'leads', label: 'Leads' },
+  { value: 'installs', label: 'Installs' },
+  { value: 'promo_redemptions', label: 'Promo Redemptions' },
+  { value: 'link_clicks', label: 'Link Clicks' }
+];
+
+export const outcomeFieldLabel = (field) => OUTCOME_FIELDS.find(f => f.value === field)?.label || field;
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+/**
+ * Acquisitions are the conversions a brand pays for: leads, installs and
+ * promo code redemptions
+ * @param {Object} row - campaign_performance or campaign_creator_performance row
+ * @returns {number}
+ */
+export const acquisitionsOf = (row) => ['leads', 'installs', 'promo_redemptions']
+  .reduce((sum, key) => sum + Number(row?.[key] || 0), 0);
+
+/**
+ * ROI and unit costs for a performance row. Each metric is null when its
+ * denominator is missing, e.g. ROI before any revenue is recorded.
+ * @param {Object} row - campaign_performance or campaign_creator_performance row
+ * @returns {Object} - { cost, revenue, acquisitions, roi (%), cpe, cpm, cpa }
+ */
+export function computeOutcomeMetrics(row = {}) {
+  const cost = Number(row?.cost || 0);
+  const revenue = Number(row?.revenue || 0);
+  const acquisitions = acquisitionsOf(row);
+  const roi = cost > 0 && revenue > 0 ? ((revenue - cost) / cost) * 100 : null;
+  const cpm = ratio(cost, Number(row?.impressions || 0));
+  return {
+    cost,
+    revenue,
+    acquisitions,
+    roi,
+    cpe: ratio(cost, Number(row?.engagements || 0)),
+    cpm: cpm === null ? null : cpm * 1000,
+    cpa: ratio(cost, acquisitions)
+  };
+}
+
+// Header names seen in brand and affiliate-network exports, lower-cased
+const COLUMN_SYNONYMS = {
+  creator: ['creator', 'influencer', 'creator name', 'influencer name', 'name', 'handle', 'instagram handle', 'instagram', 'username', 'affiliate'],
+  promoCode: ['promo code', 'coupon code', 'coupon', 'code', 'discount code', 'promo'],
+  periodStart: ['from', 'start date', 'period start', 'date from'],
+  periodEnd: ['to', 'end date', 'period end', 'date to', 'date'],
+  revenue: ['revenue', 'sales', 'gmv', 'revenue attributed', 'attributed revenue', 'order value', 'sales amount'],
+  leads: ['leads', 'signups', 'sign ups', 'registrations'],
+  installs: ['installs', 'app installs', 'downloads'],
+  promo_redemptions: ['redemptions', 'promo redemptions', 'coupon redemptions', 'orders', 'conversions'],
+  link_clicks: ['clicks', 'link clicks', 'swipe ups', 'link taps']
+};
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/**
+ * Map CSV headers to outcome fields
+ * @param {Array<string>} headers
+ * @returns {Object} - { creator, promoCode, periodStart, periodEnd, revenue, leads, ... } header names
+ */
+export function detectOutcomeColumns(headers = []) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  Object.entries(COLUMN_SYNONYMS).forEach(([field, synonyms]) => {
+    for (const synonym of synonyms) {
+      const index = normalized.indexOf(synonym);
+      if (index !== -1 && !Object.values(mapping).includes(headers[index])) {
+        mapping[field] = headers[index];
+        break;
+      }
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Whether a column mapping has at least one outcome to import
+ * @param {Object} mapping
+ * @returns {Array<string>} - Problems; empty when usable
+ */
+export function validateOutcomeMapping(mapping = {}) {
+  const hasMetric = OUTCOME_FIELDS.some(({ value }) => mapping[value]);
+  return hasMetric ? [] : ['No revenue, leads, installs, redemptions or clicks column found'];
+}
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find the assignment a CSV row belongs to by handle or creator name
+ * @param {string} value - Creator cell from the CSV
+ * @param {Array} assignments - [{ campaignCreatorId, name, instagram }]
+ * @returns {Object|null}
+ */
+export function matchAssignment(value, assignments = []) {
+  if (!value) return null;
+  const handle = instagramKey(value);
+  const name = normalizeName(value);
+  return assignments.find(a => handle && instagramKey(a?.instagram) === handle)
+    || assignments.find(a => normalizeName(a?.name) === name)
+    || null;
+}
+
+/**
+ * Turn parsed CSV rows into campaign_outcomes rows. Rows with a creator
+ * that isn't on the campaign are kept as unmatched so they can be reviewed
+ * or imported at campaign level; rows without any outcome are dropped.
+ * @param {Array<Object>} rows - Sheet rows keyed by header
+ * @param {Object} mapping - From detectOutcomeColumns
+ * @param {Array} assignments - [{ campaignCreatorId, name, instagram }]
+ * @param {number} headerRow - 0-based header row index, so rowNumber is the 1-based sheet row
+ * @returns {Array<Object>} - [{ rowNumber, creatorLabel, campaignCreatorId, unmatched, revenue, ..., periodStart, periodEnd, promoCode }]
+ */
+export function normalizeOutcomeRows(rows = [], mapping = {}, assignments = [], headerRow = 0) {
+  return rows
+    .map((row, index) => {
+      const creatorLabel = mapping.creator ? String(row[mapping.creator] ?? '').trim() : '';
+      const assignment = matchAssignment(creatorLabel, assignments);
+      const values = Object.fromEntries(OUTCOME_FIELDS.map(({ value }) => {
+        const amount = mapping[value] ? parseStatementAmount(row[mapping[value]]) : null;
+        return [value, Math.max(0, amount || 0)];
+      }));
+
+      return {
+        rowNumber: headerRow + index + 2,
+        creatorLabel,
+        campaignCreatorId: assignment?.campaignCreatorId || null,
+        unmatched: Boolean(creatorLabel) && !assignment,
+        ...values,
+        periodStart: mapping.periodStart ? parseStatementDate(row[mapping.periodStart]) : null,
+        periodEnd: mapping.periodEnd ? parseStatementDate(row[mapping.periodEnd]) : null,
+        promoCode: mapping.promoCode ? String(row[mapping.promoCode] ?? '').trim() || null : null
+      };
+    })
+    .filter(row => OUTCOME_FIELDS.some(({ value }) => row[value] > 0));
+}
+
+export default {
+  OUTCOME_FIELDS,
+  outcomeFieldLabel,
+  acquisitionsOf,
+  computeOutcomeMetrics,
+  detectOutcomeColumns,
+  validateOutcomeMapping,
+  matchAssignment,
+  normalizeOutcomeRows
+};
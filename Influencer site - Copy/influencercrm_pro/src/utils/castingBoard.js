@@ -0,0 +1,129 @@
+/**
+ * Casting board helpers
+ * Board columns are campaign_creators.status values (see the casting_board
+ * migration): creators are proposed through longlist, shortlisted and
+ * brand approved, then contracted (assigned) and live (active/completed).
+ * Also decides which creator fields a brand gets to see.
+ */
+
+import { computeOutcomeMetrics } from './campaignOutcomes';
+import { formatFollowersCount } from './followersTiers';
+import { rateLabel, formatPrice } from './rateCard';
+
+export const CASTING_STAGES = [
+  { value: 'longlist', label: 'Longlist', status: 'longlist', statuses: ['longlist'], color: 'bg-muted-foreground' },
+  { value: 'shortlisted', label: 'Shortlisted', status: 'shortlisted', statuses: ['shortlisted'], color: 'bg-secondary' },
+  { value: 'brand_approved', label: 'Brand Approved', status: 'brand_approved', statuses: ['brand_approved'], color: 'bg-accent' },
+  { value: 'contracted', label: 'Contracted', status: 'assigned', statuses: ['assigned'], color: 'bg-primary' },
+  { value: 'live', label: 'Live', status: 'active', statuses: ['active', 'completed'], color: 'bg-success' }
+];
+
+// Off the board: turned down by the brand, dropped by us, or cancelled after contract
+export const DROPPED_STATUSES = ['brand_rejected', 'dropped', 'cancelled'];
+
+export const PROPOSAL_STATUSES = ['longlist', 'shortlisted', 'brand_approved', 'brand_rejected', 'dropped'];
+
+/**
+ * Contracted creators carry fees, deliverables and payments; mirrors
+ * public.is_contracted_status
+ * @param {string} status - campaign_creators.status
+ * @returns {boolean}
+ */
+export const isContractedStatus = (status) => ['assigned', 'active', 'completed'].includes(status || 'assigned');
+
+export const isProposalStatus = (status) => PROPOSAL_STATUSES.includes(status);
+
+export const stageForStatus = (status) => CASTING_STAGES.find(stage => stage.statuses.includes(status || 'assigned'))?.value || null;
+
+export const castingStageLabel = (value) => CASTING_STAGES.find(stage => stage.value === value)?.label || value;
+
+/**
+ * Whether moving a card needs the agreed fee first: entering contracted or
+ * live from a proposal stage
+ * @param {string} fromStatus
+ * @param {string} toStage - CASTING_STAGES value
+ * @returns {boolean}
+ */
+export const needsContractTerms = (fromStatus, toStage) => !isContractedStatus(fromStatus)
+  && ['contracted', 'live'].includes(toStage);
+
+/**
+ * Track record from a creator's other contracted campaigns
+ * @param {Array} rows - campaign_creator_performance rows for one creator
+ * @returns {Object} - { campaigns, revenue, roi, engagementsPerCampaign, cpe }
+ */
+export function summarizePastPerformance(rows = []) {
+  const sum = (key) => rows.reduce((total, row) => total + Number(row?.[key] || 0), 0);
+  const totals = {
+    cost: sum('cost'),
+    revenue: sum('revenue'),
+    leads: sum('leads'),
+    installs: sum('installs'),
+    promo_redemptions: sum('promo_redemptions'),
+    impressions: sum('impressions'),
+    engagements: sum('engagements')
+  };
+  const metrics = computeOutcomeMetrics(totals);
+  return {
+    campaigns: rows.length,
+    revenue: totals.revenue,
+    roi: metrics.roi,
+    cpe: metrics.cpe,
+    engagementsPerCampaign: rows.length ? Math.round(totals.engagements / rows.length) : 0
+  };
+}
+
+/**
+ * Rate card lines as short labels, cheapest first
+ * @param {Array} rates - creator_current_rates rows
+ * @returns {Array<string>} - e.g. ["Instagram Reel · ₹25,000"]
+ */
+export const formatRateCard = (rates = []) => [...rates]
+  .sort((a, b) => Number(a?.price || 0) - Number(b?.price || 0))
+  .map(rate => `${rateLabel(rate)} · ${formatPrice(rate?.price, rate?.currency)}`);
+
+const handleOf = (creator) => {
+  const handle = creator?.username || String(creator?.instagram_link || '').replace(/^.*instagram\.com\//i, '').replace(/[/?#].*$/, '');
+  return handle ? `@${String(handle).replace(/^@/, '')}` : null;
+};
+
+/**
+ * The creator as a brand may see it. Contact details and prices are left
+ * out unless asked for.
+ * @param {Object} creator - creators row
+ * @param {Object} extras - { rates, past }
+ * @param {Object} options - { includeContact, includePrices }
+ * @returns {Object}
+ */
+export function brandFacingProfile(creator = {}, { rates = [], past = null } = {}, { includeContact = false, includePrices = false } = {}) {
+  return {
+    name: creator?.name || 'Unnamed creator',
+    handle: handleOf(creator),
+    instagramLink: creator?.instagram_link || null,
+    avatar: creator?.profile_image_url || creator?.profile_pic_url || null,
+    followers: creator?.followers_count ?? null,
+    followersLabel: formatFollowersCount(creator?.followers_count) || creator?.followers_tier || null,
+    location: [creator?.city, creator?.state].filter(Boolean).join(', ') || null,
+    category: creator?.category || creator?.niche || null,
+    engagementRate: creator?.engagement_rate ?? null,
+    pastCampaigns: past?.campaigns || 0,
+    pastEngagementsPerCampaign: past?.engagementsPerCampaign || 0,
+    email: includeContact ? creator?.email || null : undefined,
+    whatsapp: includeContact ? creator?.whatsapp || null : undefined,
+    rates: includePrices ? formatRateCard(rates) : undefined
+  };
+}
+
+export default {
+  CASTING_STAGES,
+  DROPPED_STATUSES,
+  PROPOSAL_STATUSES,
+  isContractedStatus,
+  isProposalStatus,
+  stageForStatus,
+  castingStageLabel,
+  needsContractTerms,
+  summarizePastPerformance,
+  formatRateCard,
+  brandFacingProfile
+};
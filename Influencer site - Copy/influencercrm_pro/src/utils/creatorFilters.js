@@ -0,0 +1,82 @@
+/**
+ * Creator database filter helpers
+ * The sidebar keeps its own filter shape (category, followers, followersMin...)
+ * while creatorService.getPaginated expects column-level filters. Saved
+ * filters store the sidebar shape, so both the page and the saved filters
+ * panel convert through here.
+ */
+
+import { parseCount } from './importTransforms';
+
+export const EMPTY_CREATOR_FILTERS = {
+  category: [],
+  city: [],
+  state: [],
+  followers: [],
+  followersMin: '',
+  followersMax: '',
+  engagement: [],
+  tags: [],
+  status: []
+};
+
+/**
+ * Sidebar filters → getPaginated filters
+ * @param {Object} filters - Sidebar filter state
+ * @returns {Object} - { city, state, followers_tier, followers_min, followers_max, sheet_source }
+ */
+export function toCreatorQueryFilters(filters = {}) {
+  return {
+    city: filters?.city || [],
+    state: filters?.state || [],
+    followers_tier: filters?.followers || [],
+    followers_min: parseCount(filters?.followersMin),
+    followers_max: parseCount(filters?.followersMax),
+    sheet_source: filters?.category || [] // Map category filter to sheet_source
+  };
+}
+
+/**
+ * Saved or URL-supplied filters merged over the empty shape, so missing
+ * keys (older saved filters) never leave the sidebar with undefined values
+ * @param {Object} filters
+ * @returns {Object}
+ */
+export function normalizeCreatorFilters(filters = {}) {
+  const normalized = { ...EMPTY_CREATOR_FILTERS };
+  Object.keys(EMPTY_CREATOR_FILTERS).forEach(key => {
+    const value = filters?.[key];
+    if (Array.isArray(EMPTY_CREATOR_FILTERS[key])) {
+      normalized[key] = Array.isArray(value) ? value : [];
+    } else {
+      normalized[key] = value === null || value === undefined ? '' : String(value);
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Human-readable chips for a filter set
+ * @param {Object} filters - Sidebar filter state
+ * @returns {Array<string>}
+ */
+export function describeCreatorFilters(filters = {}) {
+  const chips = [];
+  Object.entries(normalizeCreatorFilters(filters)).forEach(([key, value]) => {
+    if (Array.isArray(value)) chips.push(...value);
+  });
+
+  const { followersMin, followersMax } = normalizeCreatorFilters(filters);
+  if (followersMin && followersMax) chips.push(`${followersMin}–${followersMax} followers`);
+  else if (followersMin) chips.push(`≥ ${followersMin} followers`);
+  else if (followersMax) chips.push(`≤ ${followersMax} followers`);
+
+  return chips;
+}
+
+export default {
+  EMPTY_CREATOR_FILTERS,
+  toCreatorQueryFilters,
+  normalizeCreatorFilters,
+  describeCreatorFilters
+};
@@ -0,0 +1,90 @@
+/**
+ * Creator identity helpers
+ * Canonical keys used to recognise the same creator across sheets, imports
+ * and manual entry. These mirror the generated *_key columns on the
+ * creators table, so a key computed here can be looked up with `.in()`.
+ */
+
+const INSTAGRAM_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.|m\.)?(?:instagram\.com|instagr\.am)\//i;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Canonical Instagram handle from a profile URL, "@handle" or bare handle.
+ * Query strings, fragments, trailing slashes and mobile/short hosts are
+ * ignored and the result is lower-cased.
+ * @param {string} value - Instagram link or handle
+ * @returns {string|null} - Handle key or null when nothing usable remains
+ */
+export function instagramKey(value) {
+  if (isBlank(value)) return null;
+
+  const handle = String(value)
+    .trim()
+    .replace(INSTAGRAM_URL_PATTERN, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^@+/, '')
+    .toLowerCase();
+
+  return handle || null;
+}
+
+/**
+ * Whether a canonical key looks like a real Instagram handle
+ * (letters, digits, "." and "_", at most 30 characters)
+ * @param {string} key - Output of instagramKey
+ * @returns {boolean}
+ */
+export function isInstagramHandle(key) {
+  return typeof key === 'string' && /^[a-z0-9._]{1,30}$/.test(key);
+}
+
+/**
+ * Canonical email key (trimmed, lower-cased). "N/A" style placeholders are ignored.
+ * @param {string} value - Email address
+ * @returns {string|null}
+ */
+export function emailKey(value) {
+  if (isBlank(value)) return null;
+
+  const email = String(value).trim().toLowerCase();
+  if (!email.includes('@')) return null;
+  return email;
+}
+
+/**
+ * Canonical phone key: the last 10 digits of the first number listed.
+ * Sheets often hold several numbers separated by "/" or ",".
+ * @param {string|number} value - WhatsApp / phone number(s)
+ * @returns {string|null}
+ */
+export function phoneKey(value) {
+  if (isBlank(value)) return null;
+
+  const firstNumber = String(value).split(/[/,]/)[0];
+  const digits = firstNumber.replace(/\D/g, '');
+  if (digits.length < 10) return null;
+  return digits.slice(-10);
+}
+
+/**
+ * All identity keys for a creator-shaped record
+ * @param {Object} creator - Record with instagram_link, username, email, whatsapp
+ * @returns {Object} - { instagram_key, username_key, email_key, whatsapp_key }
+ */
+export function getCreatorKeys(creator = {}) {
+  return {
+    instagram_key: instagramKey(creator.instagram_link),
+    username_key: instagramKey(creator.username),
+    email_key: emailKey(creator.email),
+    whatsapp_key: phoneKey(creator.whatsapp)
+  };
+}
+
+export default {
+  instagramKey,
+  isInstagramHandle,
+  emailKey,
+  phoneKey,
+  getCreatorKeys
+};
@@ -0,0 +1,59 @@
+/**
+ * Creator field validation
+ * Shared by AddCreatorModal, spreadsheet imports and bulk creation so every
+ * path into the creators table accepts the same data.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^[\d\s\-\+\(\)]+$/;
+
+export function validateEmail(email) {
+  if (!email || String(email).toLowerCase() === 'n/a') return true; // Email is optional or N/A
+  return EMAIL_REGEX.test(String(email).trim());
+}
+
+export function validatePhone(phone) {
+  if (!phone) return true; // Phone is optional
+  // Allow multiple numbers separated by slash or comma
+  const phoneNumbers = String(phone).split(/[/,]/).map(p => p.trim());
+
+  // Check each phone number
+  return phoneNumbers.every(p => {
+    if (!p) return true; // Allow empty segments
+    return PHONE_REGEX.test(p) && p.replace(/\D/g, '').length >= 10;
+  });
+}
+
+/**
+ * Validate a creator record before it is written
+ * @param {Object} creator - Creator fields (snake_case, as stored)
+ * @returns {Array<string>} - Error messages; empty when the record is valid
+ */
+export function validateCreator(creator = {}) {
+  const errors = [];
+
+  if (!creator.name || !creator.username) {
+    errors.push('Name and username are required');
+  }
+
+  if (creator.email && !validateEmail(creator.email)) {
+    errors.push('Please enter a valid email address or N/A');
+  }
+
+  if (creator.whatsapp && !validatePhone(creator.whatsapp)) {
+    errors.push('Please enter valid phone number(s) (minimum 10 digits each)');
+  }
+
+  if (creator.followers_count !== null && creator.followers_count !== undefined &&
+      !(Number.isInteger(creator.followers_count) && creator.followers_count >= 0)) {
+    errors.push('Followers must be a number such as 25000, 25k or 1.2M');
+  }
+
+  return errors;
+}
+
+export default {
+  validateEmail,
+  validatePhone,
+  validateCreator
+};
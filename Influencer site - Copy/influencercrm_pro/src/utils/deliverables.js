@@ -0,0 +1,134 @@
+import { rateLabel } from './rateCard';
+
+/**
+ * Campaign deliverable helpers
+ * Statuses and transitions mirror deliverable_status_allowed() in the
+ * campaign_deliverables and deliverable_drafts migrations; platforms and
+ * types are the rate card's.
+ */
+
+export const DELIVERABLE_STATUSES = [
+  { value: 'pending', label: 'Pending', className: 'bg-muted text-muted-foreground border-border' },
+  { value: 'draft_submitted', label: 'Awaiting Approval', className: 'bg-warning/10 text-warning border-warning/20' },
+  { value: 'changes_requested', label: 'Changes Requested', className: 'bg-error/10 text-error border-error/20' },
+  { value: 'approved', label: 'Approved', className: 'bg-primary/10 text-primary border-primary/20' },
+  { value: 'live', label: 'Live', className: 'bg-success/10 text-success border-success/20' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-muted text-muted-foreground border-border line-through' }
+];
+
+const STATUS_TRANSITIONS = {
+  pending: ['draft_submitted', 'cancelled'],
+  draft_submitted: ['approved', 'changes_requested', 'cancelled'],
+  changes_requested: ['draft_submitted', 'cancelled'],
+  approved: ['live', 'draft_submitted', 'cancelled'],
+  live: ['approved'],
+  cancelled: ['pending']
+};
+
+export const canTransition = (from, to) => from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+export const deliverableStatusLabel = (status) => DELIVERABLE_STATUSES.find(s => s.value === status)?.label || status;
+
+export const deliverableStatusClass = (status) => DELIVERABLE_STATUSES.find(s => s.value === status)?.className
+  || 'bg-muted text-muted-foreground border-border';
+
+/**
+ * Display name, e.g. "Instagram Reel" or the deliverable's own title
+ * @param {Object} deliverable - campaign_deliverables row
+ * @returns {string}
+ */
+export const deliverableLabel = (deliverable) => deliverable?.title || rateLabel(deliverable);
+
+const CLOSED_STATUSES = ['live', 'cancelled'];
+
+/**
+ * Days past the due date for a deliverable that is not live yet; 0 when not late
+ * @param {Object} deliverable
+ * @param {Date} today
+ * @returns {number}
+ */
+export function daysOverdue(deliverable, today = new Date()) {
+  if (!deliverable?.due_date || CLOSED_STATUSES.includes(deliverable?.status)) return 0;
+  const due = new Date(`${deliverable.due_date}T23:59:59`);
+  return today > due ? Math.ceil((today - due) / (1000 * 60 * 60 * 24)) : 0;
+}
+
+export const isOverdue = (deliverable, today) => daysOverdue(deliverable, today) > 0;
+
+/**
+ * Likes, comments, shares and saves on a live deliverable
+ * @param {Object} deliverable
+ * @returns {number}
+ */
+export const engagementOf = (deliverable) => ['likes', 'comments', 'shares', 'saves']
+  .reduce((sum, key) => sum + Number(deliverable?.[key] || 0), 0);
+
+/**
+ * Progress counts for a set of deliverables; cancelled ones are left out
+ * @param {Array} deliverables - campaign_deliverables rows
+ * @returns {Object} - { total, live, overdue, awaitingApproval, changesRequested, percent, views, engagement }
+ */
+export function summarizeDeliverables(deliverables = []) {
+  const active = deliverables.filter(d => d?.status !== 'cancelled');
+  const live = active.filter(d => d?.status === 'live');
+  return {
+    total: active.length,
+    live: live.length,
+    overdue: active.filter(d => isOverdue(d)).length,
+    awaitingApproval: active.filter(d => d?.status === 'draft_submitted').length,
+    changesRequested: active.filter(d => d?.status === 'changes_requested').length,
+    percent: active.length ? Math.round((live.length / active.length) * 100) : 0,
+    views: live.reduce((sum, d) => sum + Number(d?.views || 0), 0),
+    engagement: live.reduce((sum, d) => sum + engagementOf(d), 0)
+  };
+}
+
+export const DRAFT_STATUSES = [
+  { value: 'pending_review', label: 'Under Review', className: 'bg-warning/10 text-warning border-warning/20' },
+  { value: 'approved', label: 'Approved', className: 'bg-success/10 text-success border-success/20' },
+  { value: 'changes_requested', label: 'Changes Requested', className: 'bg-error/10 text-error border-error/20' },
+  { value: 'superseded', label: 'Superseded', className: 'bg-muted text-muted-foreground border-border' }
+];
+
+export const draftStatusLabel = (status) => DRAFT_STATUSES.find(s => s.value === status)?.label || status;
+
+export const draftStatusClass = (status) => DRAFT_STATUSES.find(s => s.value === status)?.className
+  || 'bg-muted text-muted-foreground border-border';
+
+/**
+ * Message asking a brand contact to review a draft, for WhatsApp or email
+ * @param {Object} deliverable - campaign_deliverables row with creator and campaign
+ * @param {Object} draft - deliverable_drafts row
+ * @returns {string}
+ */
+export function draftReviewMessage(deliverable, draft) {
+  return [
+    `Hi${draft?.reviewer?.full_name ? ` ${draft.reviewer.full_name.split(' ')[0]}` : ''},`,
+    `Please review draft v${draft?.version} of ${deliverableLabel(deliverable)} by ${deliverable?.creator?.name || 'our creator'} for ${deliverable?.campaign?.name || 'the campaign'}.`,
+    draft?.caption ? `\nCaption:\n${draft.caption}` : '',
+    draft?.media_urls?.length ? `\nMedia:\n${draft.media_urls.join('\n')}` : '',
+    '\nReply "Approved" or let us know what to change.'
+  ].filter(Boolean).join('\n');
+}
+
+export const whatsappLink = (number, text) => `https://wa.me/${String(number || '').replace(/[^0-9]/g, '')}?text=${encodeURIComponent(text)}`;
+
+export const mailtoLink = (email, subject, body) => `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+export default {
+  DELIVERABLE_STATUSES,
+  canTransition,
+  deliverableStatusLabel,
+  deliverableStatusClass,
+  deliverableLabel,
+  daysOverdue,
+  isOverdue,
+  engagementOf,
+  summarizeDeliverables,
+  DRAFT_STATUSES,
+  draftStatusLabel,
+  draftStatusClass,
+  draftReviewMessage,
+  whatsappLink,
+  mailtoLink
+};
@@ -94,7 +94,7 @@ export const exportUtils = {
       if (includeFields?.includes('campaign')) {
         formatted['Campaign Name'] = campaign?.name || campaign?.campaignName || 'N/A';
         formatted['Campaign ID'] = campaign?.id || campaign?.campaignId || 'N/A';
-        formatted['Brand'] = campaign?.brand || 'N/A';
+        formatted['Brand'] = campaign?.linked_brand?.name || campaign?.brandName || campaign?.legacy_brand_name || 'N/A';
       }
       
       if (includeFields?.includes('amount')) {
@@ -129,7 +129,8 @@ export const exportUtils = {
       'Sr No': creator?.sr_no || 'N/A',
       'Name': creator?.name || 'N/A',
       'Instagram Link': creator?.instagram_link || 'N/A',
-      'Followers Tier': creator?.followers_tier || 'N/A',
+      'Followers Tier': creator?.followers_tier?.trim() || 'N/A',
+      'Followers': creator?.followers_count ?? 'N/A',
       'State': creator?.state || 'N/A',
       'City': creator?.city || 'N/A',
       'WhatsApp': creator?.whatsapp || 'N/A',
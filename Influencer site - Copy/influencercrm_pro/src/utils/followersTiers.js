@@ -0,0 +1,174 @@
+/**
+ * Follower tier helpers
+ * Tiers live in the followers_tiers system setting as
+ * [{ label, min, max }] where a tier covers min <= count < max and a null
+ * max is open-ended. The database derives creators.followers_tier from
+ * followers_count with the same rule (public.followers_tier_for).
+ */
+
+import { parseCount } from './importTransforms';
+
+export const FOLLOWERS_TIERS_SETTING = 'followers_tiers';
+
+// Label used by filters for creators without a follower count
+export const UNKNOWN_FOLLOWERS_TIER = 'Not Found';
+
+export const DEFAULT_FOLLOWERS_TIERS = [
+  { label: '0-10K', min: 0, max: 10000 },
+  { label: '10K-50K', min: 10000, max: 50000 },
+  { label: '50K-100K', min: 50000, max: 100000 },
+  { label: '100K-250K', min: 100000, max: 250000 },
+  { label: '250K-500K', min: 250000, max: 500000 },
+  { label: '500K-1M', min: 500000, max: 1000000 },
+  { label: '1M+', min: 1000000, max: null }
+];
+
+/**
+ * Format a follower count compactly: 12500 → "12.5K", 1000000 → "1M"
+ * @param {number} count
+ * @returns {string}
+ */
+export function formatFollowersCount(count) {
+  if (count === null || count === undefined || Number.isNaN(Number(count))) return '';
+  const value = Number(count);
+  if (value >= 1e6) return `${parseFloat((value / 1e6).toFixed(1))}M`;
+  if (value >= 1e3) return `${parseFloat((value / 1e3).toFixed(1))}K`;
+  return String(value);
+}
+
+/**
+ * Tier label for a follower count
+ * @param {number} count
+ * @param {Array<Object>} tiers - Tier table
+ * @returns {string|null}
+ */
+export function tierForCount(count, tiers = DEFAULT_FOLLOWERS_TIERS) {
+  if (count === null || count === undefined || count === '') return null;
+  const value = Number(count);
+  if (!Number.isFinite(value)) return null;
+
+  const tier = [...tiers]
+    .sort((a, b) => b.min - a.min)
+    .find(t => value >= t.min && (t.max === null || t.max === undefined || value < t.max));
+  return tier?.label || null;
+}
+
+/**
+ * Check a tier table before it is saved
+ * @param {Array<Object>} tiers
+ * @returns {Array<string>} - Error messages; empty when valid
+ */
+export function validateTiers(tiers = []) {
+  const errors = [];
+  if (tiers.length === 0) {
+    errors.push('Add at least one tier');
+    return errors;
+  }
+
+  const labels = new Set();
+  tiers.forEach((tier, index) => {
+    const row = `Tier ${index + 1}`;
+    if (!tier.label?.trim()) errors.push(`${row}: label is required`);
+    if (labels.has(tier.label?.trim().toLowerCase())) errors.push(`${row}: duplicate label "${tier.label}"`);
+    labels.add(tier.label?.trim().toLowerCase());
+
+    if (!Number.isFinite(tier.min) || tier.min < 0) errors.push(`${row}: minimum must be 0 or more`);
+    if (tier.max !== null && (!Number.isFinite(tier.max) || tier.max <= tier.min)) {
+      errors.push(`${row}: maximum must be greater than the minimum`);
+    }
+    if (tier.max === null && index !== tiers.length - 1) {
+      errors.push(`${row}: only the last tier can be open-ended`);
+    }
+
+    const previous = tiers[index - 1];
+    if (previous && previous.max !== null && tier.min < previous.max) {
+      errors.push(`${row}: overlaps ${previous.label || `tier ${index}`}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parse a legacy free-text tier ("        0-10k", "10K - 50K", "1M+",
+ * "25k", "100K+") into a count range
+ * @param {string} value
+ * @returns {{min: number, max: number|null}|null} - null when unparseable
+ */
+export function parseTierRange(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value)
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/followers?/g, '');
+  if (!text) return null;
+
+  // Repeat the upper bound's suffix on a bare lower bound: "10-50k" → 10k-50k
+  const range = text.match(/^([\d.,]+)([a-z]*)(?:-|to|–)([\d.,]+)([a-z]*)$/);
+  if (range) {
+    const [, fromNumber, fromSuffix, toNumber, toSuffix] = range;
+    const min = parseCount(`${fromNumber}${fromSuffix || (Number(fromNumber) === 0 ? '' : toSuffix)}`);
+    const max = parseCount(`${toNumber}${toSuffix}`);
+    return min !== null && max !== null && max > min ? { min, max } : null;
+  }
+
+  const openEnded = text.match(/^(.+)\+$/) || text.match(/^(?:above|over|>)(.+)$/);
+  if (openEnded) {
+    const min = parseCount(openEnded[1]);
+    return min !== null ? { min, max: null } : null;
+  }
+
+  const exact = parseCount(text);
+  return exact !== null ? { min: exact, max: exact } : null;
+}
+
+/**
+ * Follower count to store for a legacy tier string. Ranges use their lower
+ * bound, which lands in the same tier when the tier table shares its
+ * boundaries; an exact number is used as-is.
+ * @param {string} value - Legacy followers_tier
+ * @returns {number|null}
+ */
+export function estimateCountFromTier(value) {
+  return parseTierRange(value)?.min ?? null;
+}
+
+/**
+ * Selected tier labels as merged numeric ranges, so selecting adjacent tiers
+ * (or all of them) becomes a single range condition
+ * @param {Array<string>} labels - Selected tier labels
+ * @param {Array<Object>} tiers - Tier table
+ * @returns {{ranges: Array<{min: number, max: number|null}>, includeUnknown: boolean}}
+ */
+export function tiersToRanges(labels = [], tiers = DEFAULT_FOLLOWERS_TIERS) {
+  const selected = new Set(labels.map(label => String(label).trim().toLowerCase()));
+  const includeUnknown = selected.has(UNKNOWN_FOLLOWERS_TIER.toLowerCase());
+
+  const ranges = tiers
+    .filter(tier => selected.has(tier.label.trim().toLowerCase()))
+    .map(tier => ({ min: tier.min, max: tier.max ?? null }))
+    .sort((a, b) => a.min - b.min)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && last.max !== null && range.min <= last.max) {
+        last.max = range.max === null ? null : Math.max(last.max, range.max);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+
+  return { ranges, includeUnknown };
+}
+
+export default {
+  FOLLOWERS_TIERS_SETTING,
+  UNKNOWN_FOLLOWERS_TIER,
+  DEFAULT_FOLLOWERS_TIERS,
+  formatFollowersCount,
+  tierForCount,
+  validateTiers,
+  parseTierRange,
+  estimateCountFromTier,
+  tiersToRanges
+};
@@ -0,0 +1,95 @@
+/**
+ * Import value transforms
+ * Named, serialisable cell transforms that mapping profiles attach to
+ * creator fields, plus followers_tier normalization.
+ */
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, l: 1e5, lac: 1e5, lakh: 1e5, cr: 1e7, crore: 1e7 };
+
+/**
+ * Parse human follower counts: "10k" → 10000, "1.2M" → 1200000,
+ * "2.5 lakh" → 250000, "1,00,000" → 100000. Returns null when unparseable.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export function parseCount(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+
+  const match = String(value)
+    .toLowerCase()
+    .replace(/,/g, '')
+    .replace(/\+$/, '')
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(k|m|b|l|lac|lakh|cr|crore)?$/);
+
+  if (!match) return null;
+  const multiplier = match[2] ? COUNT_SUFFIXES[match[2]] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Transform registry: id → { label, apply }
+export const VALUE_TRANSFORMS = {
+  strip_at: {
+    label: 'Strip "@"',
+    apply: (value) => String(value).trim().replace(/^@+/, '')
+  },
+  parse_count: {
+    label: 'Parse counts (10k → 10000)',
+    apply: (value) => {
+      const count = parseCount(value);
+      return count === null ? value : count;
+    }
+  },
+  lowercase: {
+    label: 'Lowercase',
+    apply: (value) => String(value).toLowerCase()
+  },
+  titlecase: {
+    label: 'Title Case',
+    apply: (value) => String(value).toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase())
+  },
+  digits_only: {
+    label: 'Digits only',
+    apply: (value) => String(value).replace(/\D/g, '')
+  }
+};
+
+/**
+ * Apply a list of transform ids to a value, in order. Blank values and
+ * unknown transform ids pass through untouched.
+ * @param {*} value - Cell value
+ * @param {Array<string>} transformIds
+ * @returns {*}
+ */
+export function applyTransforms(value, transformIds = []) {
+  if (isBlank(value)) return value;
+  return transformIds.reduce((current, id) => {
+    const transform = VALUE_TRANSFORMS[id];
+    return transform ? transform.apply(current) : current;
+  }, value);
+}
+
+/**
+ * Normalize a followers_tier value with a profile's tier table
+ * ({ "10-50k": "10K-50K", "micro": "10K-50K" }). Keys match case-insensitively;
+ * unmatched values are returned unchanged.
+ * @param {string} value - Raw tier from the sheet
+ * @param {Object} tierMap - { raw: normalized }
+ * @returns {string}
+ */
+export function normalizeFollowersTier(value, tierMap = {}) {
+  if (isBlank(value)) return value;
+  const key = String(value).trim().toLowerCase();
+  const match = Object.entries(tierMap).find(([raw]) => raw.trim().toLowerCase() === key);
+  return match ? match[1] : value;
+}
+
+export default {
+  parseCount,
+  VALUE_TRANSFORMS,
+  applyTransforms,
+  normalizeFollowersTier
+};
@@ -0,0 +1,321 @@
+import { jsPDF } from 'jspdf';
+import { amountInWords } from './amountInWords';
+import { gstStateName } from './taxEngine';
+
+/**
+ * Creator invoice and payment advice documents
+ * Numbers, dates and totals come from the payment_documents row issued by
+ * issue_payment_document; parties, line items and the GST split are kept
+ * in its details so an archived document can be rebuilt as printed.
+ */
+
+export const DOCUMENT_TYPES = [
+  { value: 'invoice', label: 'Invoice', description: 'Self-billed invoice for the creator\'s fee' },
+  { value: 'payment_advice', label: 'Payment Advice', description: 'Remittance advice for paid amounts' }
+];
+
+export const DOCUMENT_SCOPES = [
+  { value: 'payment', label: 'This payment' },
+  { value: 'campaign', label: 'All payments for this campaign' }
+];
+
+export const documentTypeLabel = (type) => DOCUMENT_TYPES.find(t => t.value === type)?.label || type;
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase();
+
+/**
+ * Split GST into CGST + SGST when supplier and recipient are in the same
+ * state, IGST otherwise. An unknown state is treated as inter-state.
+ * @param {number} gstAmount
+ * @param {string} supplierState
+ * @param {string} recipientState
+ * @returns {Object} - { type: 'intra'|'inter', cgst, sgst, igst }
+ */
+export function gstBreakup(gstAmount, supplierState, recipientState) {
+  const total = Math.round(Number(gstAmount || 0) * 100);
+  const sameState = normalizeState(supplierState) && normalizeState(supplierState) === normalizeState(recipientState);
+  if (!sameState) return { type: 'inter', cgst: 0, sgst: 0, igst: total / 100 };
+
+  // Any odd paisa goes to CGST so the halves add back to the total
+  const sgst = Math.floor(total / 2);
+  return { type: 'intra', cgst: (total - sgst) / 100, sgst: sgst / 100, igst: 0 };
+}
+
+/**
+ * Snapshot of everything printed besides the number and date
+ * @param {Object} options - { documentType, payments, creator, taxProfile, campaign, issuer }
+ * @returns {Object}
+ */
+export function buildDocumentDetails({ documentType, payments = [], creator, taxProfile, campaign, issuer = {} }) {
+  const gst = payments.reduce((sum, payment) => sum + Number(payment?.gst_amount || 0), 0);
+  // A GSTIN fixes the state of registration; otherwise use the stated one
+  const supplierState = gstStateName(taxProfile?.gstin) || creator?.state;
+  const recipientState = gstStateName(issuer?.gstin) || issuer?.state;
+
+  return {
+    issuer,
+    creator: {
+      name: taxProfile?.legal_name || creator?.name || '',
+      username: creator?.username || '',
+      email: creator?.email || '',
+      city: creator?.city || '',
+      state: supplierState || '',
+      pan: taxProfile?.pan_number || '',
+      gstin: taxProfile?.gstin || ''
+    },
+    campaign: campaign ? { id: campaign.id, name: campaign.name } : null,
+    lines: payments.map(payment => ({
+      paymentId: payment?.id,
+      reference: payment?.reference_number,
+      description: documentType === 'payment_advice'
+        ? [payment?.campaign?.name, payment?.utr_number && `UTR ${payment.utr_number}`].filter(Boolean).join(' - ')
+        : ['Influencer marketing services', payment?.campaign?.name].filter(Boolean).join(' - '),
+      paidAt: payment?.paid_at || null,
+      gross: Number(payment?.amount || 0),
+      gst: Number(payment?.gst_amount || 0),
+      tds: Number(payment?.tds_amount || 0),
+      net: Number(payment?.net_amount || 0)
+    })),
+    gst: gstBreakup(gst, supplierState, recipientState)
+  };
+}
+
+/**
+ * File name for an archived document, e.g. INV-2026-27-000001.pdf
+ * @param {Object} document - payment_documents row
+ * @returns {string}
+ */
+export const documentFileName = (document) => `${String(document?.document_number || 'document').replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+
+/**
+ * Load an image as a PNG data URL for the PDF. Resolves null when the image
+ * can't be loaded (missing, or served without CORS headers).
+ * @param {string} url
+ * @returns {Promise<string|null>}
+ */
+export function loadImageAsDataUrl(url) {
+  if (!url) return Promise.resolve(null);
+  return new Promise(resolve => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        resolve(canvas.toDataURL('image/png'));
+      } catch (error) {
+        resolve(null);
+      }
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+// The PDF core fonts have no rupee sign
+const formatMoney = (amount) => `Rs. ${new Intl.NumberFormat('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(Number(amount || 0))}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '');
+
+const PAGE = { width: 210, height: 297, margin: 15 };
+
+const COLUMNS = [
+  { key: 'index', label: '#', width: 8 },
+  { key: 'reference', label: 'Reference', width: 30 },
+  { key: 'description', label: 'Description', width: 58 },
+  { key: 'gross', label: 'Fee', width: 22, align: 'right' },
+  { key: 'gst', label: 'GST', width: 20, align: 'right' },
+  { key: 'tds', label: 'TDS', width: 20, align: 'right' },
+  { key: 'net', label: 'Net', width: 22, align: 'right' }
+];
+
+/**
+ * Render an issued document as a PDF
+ * @param {Object} document - payment_documents row with details
+ * @param {Object} options - { logo } PNG data URL from loadImageAsDataUrl
+ * @returns {Blob}
+ */
+export function buildPaymentDocumentPdf(document, { logo = null } = {}) {
+  const { issuer = {}, creator = {}, campaign, lines = [], gst = {} } = document?.details || {};
+  const isInvoice = document?.document_type === 'invoice';
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.margin;
+
+  const text = (value, x, top, options = {}) => {
+    pdf.setFont('helvetica', options.bold ? 'bold' : 'normal');
+    pdf.setFontSize(options.size || 9);
+    pdf.text(String(value ?? ''), x, top, { align: options.align || 'left', maxWidth: options.maxWidth });
+  };
+
+  // Header: branding on the left, document title and number on the right
+  let headerLeft = left;
+  if (logo) {
+    try {
+      const { width, height } = pdf.getImageProperties(logo);
+      const logoHeight = 14;
+      const logoWidth = Math.min(40, (width / height) * logoHeight);
+      pdf.addImage(logo, 'PNG', left, y, logoWidth, logoHeight);
+      headerLeft = left + logoWidth + 4;
+    } catch (error) {
+      // Print without the logo rather than failing the document
+    }
+  }
+  text(issuer.name || issuer.legalName, headerLeft, y + 5, { bold: true, size: 14 });
+  const issuerLines = [
+    issuer.legalName && issuer.legalName !== issuer.name ? issuer.legalName : null,
+    ...pdf.splitTextToSize(issuer.address || '', 90),
+    [issuer.gstin && `GSTIN: ${issuer.gstin}`, issuer.pan && `PAN: ${issuer.pan}`].filter(Boolean).join('   '),
+    [issuer.email, issuer.phone].filter(Boolean).join('   ')
+  ].filter(Boolean);
+  issuerLines.forEach((line, i) => text(line, headerLeft, y + 10 + i * 4, { size: 8 }));
+
+  text(isInvoice ? 'INVOICE' : 'PAYMENT ADVICE', right, y + 5, { bold: true, size: 14, align: 'right' });
+  text(`No. ${document?.document_number}`, right, y + 11, { align: 'right' });
+  text(`Date: ${formatDate(document?.issue_date)}`, right, y + 15, { align: 'right' });
+  text(`FY ${document?.financial_year}`, right, y + 19, { align: 'right', size: 8 });
+
+  y += Math.max(24, 12 + issuerLines.length * 4);
+  pdf.setDrawColor(200);
+  pdf.line(left, y, right, y);
+  y += 7;
+
+  // Parties: the creator supplies the service, we are billed / we pay
+  const creatorLines = [
+    creator.name,
+    creator.username && `@${String(creator.username).replace(/^@/, '')}`,
+    [creator.city, creator.state].filter(Boolean).join(', '),
+    creator.pan && `PAN: ${creator.pan}`,
+    creator.gstin && `GSTIN: ${creator.gstin}`,
+    creator.email
+  ].filter(Boolean);
+  text(isInvoice ? 'Supplier' : 'Paid to', left, y, { bold: true, size: 8 });
+  creatorLines.forEach((line, i) => text(line, left, y + 5 + i * 4, { bold: i === 0 }));
+
+  const middle = PAGE.width / 2 + 5;
+  const recipientLines = isInvoice
+    ? [issuer.legalName || issuer.name, issuer.state && `State: ${issuer.state}`, issuer.gstin && `GSTIN: ${issuer.gstin}`].filter(Boolean)
+    : [campaign?.name, `${lines.length} payment${lines.length === 1 ? '' : 's'}`].filter(Boolean);
+  text(isInvoice ? 'Billed to' : 'Campaign', middle, y, { bold: true, size: 8 });
+  recipientLines.forEach((line, i) => text(line, middle, y + 5 + i * 4, { bold: i === 0 }));
+  if (isInvoice && campaign?.name) {
+    text(`Campaign: ${campaign.name}`, middle, y + 5 + recipientLines.length * 4);
+  }
+
+  y += 8 + Math.max(creatorLines.length, recipientLines.length + 1) * 4;
+
+  // Line items
+  const drawTableHeader = () => {
+    pdf.setFillColor(243, 244, 246);
+    pdf.rect(left, y - 4.5, right - left, 7, 'F');
+    let x = left;
+    COLUMNS.forEach(column => {
+      text(column.label, column.align === 'right' ? x + column.width - 1 : x + 1, y, { bold: true, size: 8, align: column.align });
+      x += column.width;
+    });
+    y += 6;
+  };
+  drawTableHeader();
+
+  lines.forEach((line, index) => {
+    const description = pdf.splitTextToSize(line.description || '', COLUMNS[2].width - 2);
+    const rowHeight = Math.max(1, description.length) * 4 + 2;
+    if (y + rowHeight > PAGE.height - 60) {
+      pdf.addPage();
+      y = PAGE.margin + 5;
+      drawTableHeader();
+    }
+    const values = {
+      index: String(index + 1),
+      reference: String(line.reference || ''),
+      description,
+      gross: formatMoney(line.gross).replace('Rs. ', ''),
+      gst: formatMoney(line.gst).replace('Rs. ', ''),
+      tds: formatMoney(line.tds).replace('Rs. ', ''),
+      net: formatMoney(line.net).replace('Rs. ', '')
+    };
+    let x = left;
+    COLUMNS.forEach(column => {
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(8);
+      pdf.text(values[column.key], column.align === 'right' ? x + column.width - 1 : x + 1, y, { align: column.align || 'left' });
+      x += column.width;
+    });
+    y += rowHeight;
+    pdf.setDrawColor(229);
+    pdf.line(left, y - 3, right, y - 3);
+  });
+
+  // Totals
+  y += 3;
+  const totals = [
+    ['Fee (taxable value)', document?.gross_amount],
+    ...(gst.type === 'intra'
+      ? [['CGST', gst.cgst], ['SGST', gst.sgst]]
+      : [['IGST', gst.igst ?? document?.gst_amount]]),
+    ['Invoice value', Number(document?.gross_amount || 0) + Number(document?.gst_amount || 0)],
+    ['Less: TDS deducted', -Number(document?.tds_amount || 0)],
+    [isInvoice ? 'Net payable' : 'Net amount paid', document?.net_amount]
+  ];
+  totals.forEach(([label, amount], i) => {
+    const isLast = i === totals.length - 1;
+    if (isLast) {
+      pdf.setDrawColor(200);
+      pdf.line(right - 80, y - 3.5, right, y - 3.5);
+    }
+    text(label, right - 80, y, { bold: isLast });
+    text(amount < 0 ? `- ${formatMoney(-amount)}` : formatMoney(amount), right, y, { bold: isLast, align: 'right' });
+    y += 5;
+  });
+
+  y += 3;
+  const wordsAmount = isInvoice ? Number(document?.gross_amount || 0) + Number(document?.gst_amount || 0) : document?.net_amount;
+  text(isInvoice ? 'Invoice value in words' : 'Amount paid in words', left, y, { bold: true, size: 8 });
+  pdf.splitTextToSize(amountInWords(wordsAmount), right - left).forEach((line, i) => text(line, left, y + 5 + i * 4));
+  y += 14;
+
+  // Notes
+  const notes = [
+    isInvoice && `Self-billed invoice prepared by ${issuer.name || issuer.legalName || 'the agency'} on behalf of the supplier.`,
+    Number(document?.tds_amount) > 0 && 'TDS deducted is deposited against the supplier\'s PAN and reflected in Form 26AS.',
+    'This is a computer-generated document and does not require a signature.'
+  ].filter(Boolean);
+  notes.forEach((note, i) => text(note, left, Math.min(y + i * 4, PAGE.height - 20), { size: 7 }));
+
+  return pdf.output('blob');
+}
+
+/**
+ * Save a PDF blob in the browser
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadDocumentBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  DOCUMENT_TYPES,
+  DOCUMENT_SCOPES,
+  documentTypeLabel,
+  gstBreakup,
+  buildDocumentDetails,
+  documentFileName,
+  loadImageAsDataUrl,
+  buildPaymentDocumentPdf,
+  downloadDocumentBlob
+};
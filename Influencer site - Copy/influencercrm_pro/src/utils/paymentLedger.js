@@ -0,0 +1,85 @@
+/**
+ * Payments ledger helpers
+ * Methods and status rules mirror the CHECK constraints and
+ * payment_status_allowed() in the payments_ledger and payment_approvals
+ * migrations.
+ */
+
+export const PAYMENT_METHODS = [
+  { value: 'bank_transfer', label: 'Bank Transfer', icon: 'Building2' },
+  { value: 'upi', label: 'UPI', icon: 'Smartphone' },
+  { value: 'cheque', label: 'Cheque', icon: 'FileText' },
+  { value: 'cash', label: 'Cash', icon: 'Banknote' },
+  { value: 'wallet', label: 'Digital Wallet', icon: 'Wallet' }
+];
+
+export const PAYMENT_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'awaiting_approval', label: 'Awaiting Approval' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'paid', label: 'Paid' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+// Transitions a user can make by editing the status. Approving and rejecting
+// (awaiting_approval -> approved / pending) go through decide_payment_approval;
+// awaiting_approval -> pending directly is the requester withdrawing the request.
+const STATUS_TRANSITIONS = {
+  pending: ['awaiting_approval', 'overdue', 'cancelled'],
+  overdue: ['awaiting_approval', 'cancelled'],
+  awaiting_approval: ['pending', 'cancelled'],
+  approved: ['processing', 'cancelled'],
+  processing: ['paid', 'approved', 'cancelled'],
+  paid: [],
+  cancelled: []
+};
+
+// Moving money (to the bank, or marked paid) needs approver rights and
+// can't be done by the payment's requester; see payments_before_write
+export const RELEASE_STATUSES = ['processing', 'paid'];
+
+/**
+ * Statuses a payment may be edited to next (including staying where it is)
+ * @param {string} status
+ * @returns {Array<string>}
+ */
+export const allowedNextStatuses = (status) => [status, ...(STATUS_TRANSITIONS[status] || [])];
+
+export const canTransition = (from, to) => allowedNextStatuses(from).includes(to);
+
+// Bank transfers and UPI need a UTR before they can be marked paid
+export const requiresUtr = (method) => method === 'bank_transfer' || method === 'upi';
+
+export const paymentMethodLabel = (method) => PAYMENT_METHODS.find(m => m.value === method)?.label || method || '—';
+
+export const paymentMethodIcon = (method) => PAYMENT_METHODS.find(m => m.value === method)?.icon || 'CreditCard';
+
+export const paymentStatusLabel = (status) => PAYMENT_STATUSES.find(s => s.value === status)?.label || status;
+
+/**
+ * Days past the due date for an unpaid payment; 0 when not late
+ * @param {Object} payment - payments row
+ * @returns {number}
+ */
+export function daysOverdue(payment) {
+  if (!payment?.due_date || ['paid', 'cancelled'].includes(payment?.status)) return 0;
+  const due = new Date(`${payment.due_date}T00:00:00`);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.max(0, Math.floor((today - due) / (1000 * 60 * 60 * 24)));
+}
+
+export default {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  RELEASE_STATUSES,
+  allowedNextStatuses,
+  canTransition,
+  requiresUtr,
+  paymentMethodLabel,
+  paymentMethodIcon,
+  paymentStatusLabel,
+  daysOverdue
+};
@@ -0,0 +1,373 @@
+/**
+ * Bulk payout files
+ * Built-in NEFT/RTGS bulk-upload layouts for the common Indian banks, in
+ * CSV and fixed-width variants, and the builder that turns a payout batch
+ * into a file. Layouts can be overridden or added per bank through the
+ * payout_file_layouts system setting.
+ */
+
+import { isValidIfsc, isValidAccountNumber } from './bankDetails';
+
+// RBI: RTGS is for ₹2,00,000 and above
+export const RTGS_MINIMUM = 200000;
+
+export const TRANSFER_MODES = [
+  { value: 'auto', label: 'Auto', description: `RTGS from ₹2,00,000, NEFT below` },
+  { value: 'NEFT', label: 'NEFT', description: 'All payments by NEFT' },
+  { value: 'RTGS', label: 'RTGS', description: 'All payments by RTGS (₹2,00,000 minimum each)' }
+];
+
+export const FILE_VARIANTS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'fixed_width', label: 'Fixed width' }
+];
+
+/*
+ * A field is { label, key, constant, width, align, pad, format, truncate }.
+ * key reads from the row built by buildPayoutRow; constant is written as-is;
+ * neither leaves the column blank. width/align/pad apply to fixed-width files.
+ * A value longer than its width is an error unless the field sets truncate,
+ * which only free text such as names and narrations should.
+ */
+export const PAYOUT_LAYOUTS = {
+  generic: {
+    label: 'Generic NEFT/RTGS',
+    transferCodes: { NEFT: 'NEFT', RTGS: 'RTGS' },
+    csv: {
+      header: true,
+      fields: [
+        { label: 'Transfer Mode', key: 'transferCode' },
+        { label: 'Beneficiary Name', key: 'beneficiaryName' },
+        { label: 'Beneficiary Account Number', key: 'accountNumber' },
+        { label: 'IFSC', key: 'ifsc' },
+        { label: 'Amount', key: 'amount', format: 'amount' },
+        { label: 'Value Date', key: 'valueDate', format: 'dd/mm/yyyy' },
+        { label: 'Debit Account Number', key: 'debitAccount' },
+        { label: 'Payment Reference', key: 'reference' },
+        { label: 'Batch Reference', key: 'batchNumber' },
+        { label: 'Beneficiary Email', key: 'email' }
+      ]
+    },
+    fixedWidth: {
+      fields: [
+        { label: 'Transfer Mode', key: 'transferCode', width: 4 },
+        { label: 'Beneficiary Account Number', key: 'accountNumber', width: 18 },
+        { label: 'IFSC', key: 'ifsc', width: 11 },
+        { label: 'Beneficiary Name', key: 'beneficiaryName', width: 35, truncate: true },
+        { label: 'Amount', key: 'amount', width: 15, align: 'right', pad: '0', format: 'amount' },
+        { label: 'Value Date', key: 'valueDate', width: 8, format: 'ddmmyyyy' },
+        { label: 'Payment Reference', key: 'reference', width: 20 },
+        { label: 'Batch Reference', key: 'batchNumber', width: 16 }
+      ]
+    }
+  },
+  hdfc: {
+    label: 'HDFC Bank (ENet)',
+    transferCodes: { NEFT: 'N', RTGS: 'R' },
+    csv: {
+      header: false,
+      fields: [
+        { label: 'Transaction Type', key: 'transferCode' },
+        { label: 'Beneficiary Code', key: 'beneficiaryCode' },
+        { label: 'Beneficiary Account Number', key: 'accountNumber' },
+        { label: 'Instrument Amount', key: 'amount', format: 'amount' },
+        { label: 'Beneficiary Name', key: 'beneficiaryName' },
+        { label: 'Drawee Location' },
+        { label: 'Print Location' },
+        { label: 'Bene Address 1' },
+        { label: 'Bene Address 2' },
+        { label: 'Bene Address 3' },
+        { label: 'Bene Address 4' },
+        { label: 'Bene Address 5' },
+        { label: 'Instruction Reference Number', key: 'reference' },
+        { label: 'Customer Reference Number', key: 'batchNumber' },
+        { label: 'Payment Details 1', key: 'narration' },
+        { label: 'Payment Details 2' },
+        { label: 'Payment Details 3' },
+        { label: 'Payment Details 4' },
+        { label: 'Payment Details 5' },
+        { label: 'Payment Details 6' },
+        { label: 'Payment Details 7' },
+        { label: 'Cheque Number' },
+        { label: 'Chq / Trn Date', key: 'valueDate', format: 'dd/mm/yyyy' },
+        { label: 'MICR Number' },
+        { label: 'IFSC Code', key: 'ifsc' },
+        { label: 'Bene Bank Name', key: 'bankName' },
+        { label: 'Bene Bank Branch Name' },
+        { label: 'Beneficiary Email ID', key: 'email' }
+      ]
+    }
+  },
+  icici: {
+    label: 'ICICI Bank (CIB)',
+    transferCodes: { NEFT: 'NEFT', RTGS: 'RTGS' },
+    csv: {
+      header: true,
+      fields: [
+        { label: 'PYMT_PROD_TYPE_CODE', constant: 'PAB_VENDOR' },
+        { label: 'PYMT_MODE', key: 'transferCode' },
+        { label: 'DEBIT_ACC_NO', key: 'debitAccount' },
+        { label: 'BNF_NAME', key: 'beneficiaryName' },
+        { label: 'BENE_ACC_NO', key: 'accountNumber' },
+        { label: 'BENE_IFSC', key: 'ifsc' },
+        { label: 'AMOUNT', key: 'amount', format: 'amount' },
+        { label: 'DEBIT_NARR', key: 'batchNumber' },
+        { label: 'CREDIT_NARR', key: 'narration' },
+        { label: 'MOBILE_NUM' },
+        { label: 'EMAIL_ID', key: 'email' },
+        { label: 'REMARK', key: 'reference' },
+        { label: 'PYMT_DATE', key: 'valueDate', format: 'dd-mm-yyyy' },
+        { label: 'REF_NO', key: 'reference' }
+      ]
+    }
+  },
+  sbi: {
+    label: 'State Bank of India (CINB)',
+    transferCodes: { NEFT: 'NEFT', RTGS: 'RTGS' },
+    csv: {
+      header: true,
+      fields: [
+        { label: 'Beneficiary Account No', key: 'accountNumber' },
+        { label: 'IFSC Code', key: 'ifsc' },
+        { label: 'Beneficiary Name', key: 'beneficiaryName' },
+        { label: 'Amount', key: 'amount', format: 'amount' },
+        { label: 'Mode', key: 'transferCode' },
+        { label: 'Reference', key: 'reference' },
+        { label: 'Narration', key: 'narration' },
+        { label: 'Value Date', key: 'valueDate', format: 'dd/mm/yyyy' }
+      ]
+    },
+    fixedWidth: {
+      fields: [
+        { label: 'Debit Account Number', key: 'debitAccount', width: 17 },
+        { label: 'Beneficiary Account Number', key: 'accountNumber', width: 18 },
+        { label: 'IFSC Code', key: 'ifsc', width: 11 },
+        { label: 'Beneficiary Name', key: 'beneficiaryName', width: 35, truncate: true },
+        { label: 'Amount (paise)', key: 'amount', width: 15, align: 'right', pad: '0', format: 'paise' },
+        { label: 'Mode', key: 'transferCode', width: 4 },
+        { label: 'Reference', key: 'reference', width: 16 },
+        { label: 'Narration', key: 'narration', width: 30, truncate: true },
+        { label: 'Value Date', key: 'valueDate', width: 8, format: 'ddmmyyyy' }
+      ]
+    }
+  },
+  axis: {
+    label: 'Axis Bank (Corporate Connect)',
+    transferCodes: { NEFT: 'N', RTGS: 'R' },
+    csv: {
+      header: true,
+      fields: [
+        { label: 'Payment Method Name', key: 'transferCode' },
+        { label: 'Payment Amount', key: 'amount', format: 'amount' },
+        { label: 'Activation Date', key: 'valueDate', format: 'dd-mm-yyyy' },
+        { label: 'Beneficiary Name', key: 'beneficiaryName' },
+        { label: 'Account No', key: 'accountNumber' },
+        { label: 'Debit Account No', key: 'debitAccount' },
+        { label: 'CRN No', key: 'reference' },
+        { label: 'Receiver IFSC', key: 'ifsc' },
+        { label: 'Remarks', key: 'narration' },
+        { label: 'Email ID', key: 'email' }
+      ]
+    }
+  }
+};
+
+/**
+ * Built-in layouts with overrides from the payout_file_layouts setting.
+ * An override replaces the top-level keys it sets, so a bank's csv or
+ * fixedWidth field list is swapped whole; unknown bank keys add layouts.
+ * @param {Object} overrides - { [bank]: { label, debitAccountNumber, transferCodes, csv, fixedWidth } }
+ * @returns {Object}
+ */
+export function resolvePayoutLayouts(overrides = {}) {
+  const layouts = { ...PAYOUT_LAYOUTS };
+  Object.entries(overrides || {}).forEach(([bank, override]) => {
+    layouts[bank] = { label: bank.toUpperCase(), transferCodes: PAYOUT_LAYOUTS.generic.transferCodes, ...layouts[bank], ...override };
+  });
+  return layouts;
+}
+
+/**
+ * File variants a layout supports
+ * @param {Object} layout
+ * @returns {Array<Object>} - Subset of FILE_VARIANTS
+ */
+export const layoutVariants = (layout) => FILE_VARIANTS.filter(variant =>
+  variant.value === 'csv' ? layout?.csv?.fields?.length : layout?.fixedWidth?.fields?.length
+);
+
+/**
+ * NEFT or RTGS for one payment
+ * @param {number} amount
+ * @param {string} mode - auto | NEFT | RTGS
+ * @returns {string}
+ */
+export const resolveTransferMode = (amount, mode = 'auto') => {
+  if (mode === 'NEFT' || mode === 'RTGS') return mode;
+  return Number(amount) >= RTGS_MINIMUM ? 'RTGS' : 'NEFT';
+};
+
+/**
+ * Why each payment can't go into a payout file
+ * @param {Array<Object>} entries - [{ payment, bankAccount, taxProfile }]
+ * @param {string} transferMode - auto | NEFT | RTGS
+ * @param {Object} file - { layout, variant, valueDate }, to check values fit fixed-width columns
+ * @returns {Map<string, string>} - payment id -> problem
+ */
+export function validatePayoutEntries(entries = [], transferMode = 'auto', { layout, variant, valueDate } = {}) {
+  const problems = new Map();
+  const fixedFields = variant === 'fixed_width' ? layout?.fixedWidth?.fields || [] : [];
+  entries.forEach(({ payment, bankAccount, taxProfile }) => {
+    let problem = null;
+    if (payment?.status !== 'approved') problem = `Payment is ${payment?.status?.replace(/_/g, ' ')}, not approved`;
+    else if (payment?.payment_method !== 'bank_transfer') problem = 'Not a bank transfer';
+    else if (!bankAccount) problem = 'No bank details on file';
+    else if (!isValidAccountNumber(bankAccount?.account_number)) problem = 'Invalid account number';
+    else if (!isValidIfsc(bankAccount?.ifsc_code)) problem = 'Invalid IFSC';
+    else if (Number(payment?.net_amount) <= 0) problem = 'Nothing to pay';
+    else if (resolveTransferMode(payment?.net_amount, transferMode) === 'RTGS' && Number(payment?.net_amount) < RTGS_MINIMUM) {
+      problem = 'Below the RTGS minimum of ₹2,00,000';
+    } else if (fixedFields.length) {
+      const row = buildPayoutRow(payment, bankAccount, { value_date: valueDate, transfer_mode: transferMode }, layout, taxProfile);
+      const field = fixedFields.find(item => overflowsColumn(cellValue(row, item), item));
+      if (field) problem = `${field.label} is longer than its ${field.width}-character column`;
+    }
+    if (problem) problems.set(payment?.id, problem);
+  });
+  return problems;
+}
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const formatValue = (value, format) => {
+  if (value === null || value === undefined) return '';
+  switch (format) {
+    case 'amount':
+      return Number(value).toFixed(2);
+    case 'paise':
+      return String(Math.round(Number(value) * 100));
+    case 'dd/mm/yyyy':
+    case 'dd-mm-yyyy':
+    case 'ddmmyyyy':
+    case 'yyyymmdd': {
+      // Plain yyyy-mm-dd is a calendar date, not UTC midnight
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+      const [dd, mm, yyyy] = [pad2(date.getDate()), pad2(date.getMonth() + 1), date.getFullYear()];
+      if (format === 'yyyymmdd') return `${yyyy}${mm}${dd}`;
+      const separator = format === 'ddmmyyyy' ? '' : format.charAt(2);
+      return [dd, mm, yyyy].join(separator);
+    }
+    default:
+      return String(value);
+  }
+};
+
+const csvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+const cellValue = (row, field) => formatValue(field.constant ?? (field.key ? row[field.key] : ''), field.format);
+
+const fixedText = (value) => value.replace(/[^A-Za-z0-9 ./-]/g, ' ').replace(/\s+/g, ' ').toUpperCase();
+
+// Cutting an account number or amount short would pay the wrong account or sum
+const overflowsColumn = (value, { width = 0, truncate = false }) => !truncate && fixedText(value).length > width;
+
+// Fixed-width files take plain upper-case text; only truncate fields are cut to the column width
+const fixedCell = (value, field, reference) => {
+  const { width = 0, align = 'left', pad = ' ' } = field;
+  if (overflowsColumn(value, field)) {
+    throw new Error(`Payment ${reference}: ${field.label} "${value}" does not fit its ${width}-character column`);
+  }
+  const text = fixedText(value).slice(0, width);
+  return align === 'right' ? text.padStart(width, pad) : text.padEnd(width, pad);
+};
+
+/**
+ * The values a layout can read for one payment
+ * @param {Object} payment - payments row with creator join
+ * @param {Object} bankAccount - creator_bank_accounts row
+ * @param {Object} batch - { batch_number, value_date, transfer_mode }
+ * @param {Object} layout
+ * @param {Object} taxProfile - creator_tax_profiles row, for the PAN
+ * @returns {Object}
+ */
+export function buildPayoutRow(payment, bankAccount, batch, layout, taxProfile = null) {
+  const transferMode = resolveTransferMode(payment?.net_amount, batch?.transfer_mode);
+  return {
+    transferMode,
+    transferCode: layout?.transferCodes?.[transferMode] || transferMode,
+    beneficiaryCode: (payment?.creator?.username || payment?.creator_id || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 13).toUpperCase(),
+    beneficiaryName: bankAccount?.beneficiary_name,
+    accountNumber: bankAccount?.account_number,
+    ifsc: bankAccount?.ifsc_code,
+    bankName: bankAccount?.bank_name,
+    email: bankAccount?.beneficiary_email,
+    pan: taxProfile?.pan_number,
+    amount: Number(payment?.net_amount || 0),
+    debitAccount: layout?.debitAccountNumber || '',
+    reference: payment?.reference_number,
+    batchNumber: batch?.batch_number,
+    narration: `${batch?.batch_number} ${payment?.reference_number}`,
+    valueDate: batch?.value_date
+  };
+}
+
+/**
+ * Render a payout batch as a bank upload file
+ * @param {Object} options - { bank, layout, variant, batch, entries: [{ payment, bankAccount, taxProfile }] }
+ * @returns {Object} - { content, fileName, mimeType }
+ */
+export function buildPayoutFile({ bank, layout, variant = 'csv', batch, entries = [] }) {
+  const spec = variant === 'fixed_width' ? layout?.fixedWidth : layout?.csv;
+  if (!spec?.fields?.length) throw new Error(`${layout?.label || bank} has no ${variant === 'fixed_width' ? 'fixed-width' : 'CSV'} layout`);
+
+  const rows = entries.map(({ payment, bankAccount, taxProfile }) => {
+    const row = buildPayoutRow(payment, bankAccount, batch, layout, taxProfile);
+    return spec.fields.map(field => {
+      const value = cellValue(row, field);
+      return variant === 'fixed_width' ? fixedCell(value, field, payment?.reference_number) : csvCell(value);
+    });
+  });
+
+  const lines = variant === 'fixed_width'
+    ? rows.map(cells => cells.join(''))
+    : [...(spec.header ? [spec.fields.map(field => csvCell(field.label)).join(',')] : []), ...rows.map(cells => cells.join(','))];
+
+  const date = formatValue(batch?.value_date || new Date(), 'yyyymmdd');
+  return {
+    // Bank portals expect Windows line endings
+    content: `${lines.join('\r\n')}\r\n`,
+    fileName: `${batch?.batch_number}_${bank}_${date}.${variant === 'fixed_width' ? 'txt' : 'csv'}`,
+    mimeType: variant === 'fixed_width' ? 'text/plain;charset=utf-8;' : 'text/csv;charset=utf-8;'
+  };
+}
+
+/**
+ * Save a built payout file in the browser
+ * @param {Object} file - From buildPayoutFile
+ */
+export function downloadPayoutFile({ content, fileName, mimeType }) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  RTGS_MINIMUM,
+  TRANSFER_MODES,
+  FILE_VARIANTS,
+  PAYOUT_LAYOUTS,
+  resolvePayoutLayouts,
+  layoutVariants,
+  resolveTransferMode,
+  validatePayoutEntries,
+  buildPayoutRow,
+  buildPayoutFile,
+  downloadPayoutFile
+};
@@ -0,0 +1,96 @@
+/**
+ * Creator rate card helpers
+ * Option lists mirror the CHECK constraints on public.creator_rates.
+ */
+
+export const DELIVERABLE_TYPES = [
+  { value: 'post', label: 'Post' },
+  { value: 'reel', label: 'Reel' },
+  { value: 'story', label: 'Story' },
+  { value: 'carousel', label: 'Carousel' },
+  { value: 'video', label: 'Video' },
+  { value: 'short', label: 'Short' },
+  { value: 'live', label: 'Live' },
+  { value: 'other', label: 'Other' }
+];
+
+export const RATE_PLATFORMS = [
+  { value: 'instagram', label: 'Instagram' },
+  { value: 'youtube', label: 'YouTube' },
+  { value: 'facebook', label: 'Facebook' },
+  { value: 'linkedin', label: 'LinkedIn' },
+  { value: 'twitter', label: 'Twitter / X' },
+  { value: 'other', label: 'Other' }
+];
+
+export const RATE_SOURCES = [
+  { value: 'negotiated', label: 'Negotiated' },
+  { value: 'quoted', label: 'Quoted' },
+  { value: 'listed', label: 'Listed' }
+];
+
+export const RATE_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED'];
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+/**
+ * Key for one line of the rate card, e.g. "instagram_reel"
+ */
+export const rateKey = (rate) => `${rate?.platform}_${rate?.deliverable_type}`;
+
+/**
+ * Display name for one line of the rate card, e.g. "Instagram Reel"
+ */
+export const rateLabel = (rate) => `${labelFor(RATE_PLATFORMS, rate?.platform)} ${labelFor(DELIVERABLE_TYPES, rate?.deliverable_type)}`;
+
+export const rateSourceLabel = (source) => labelFor(RATE_SOURCES, source);
+
+/**
+ * @param {number} amount
+ * @param {string} currency - ISO code, defaults to INR
+ * @returns {string}
+ */
+export function formatPrice(amount, currency = 'INR') {
+  if (amount === null || amount === undefined || isNaN(Number(amount))) return '—';
+  try {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: currency || 'INR',
+      maximumFractionDigits: 0
+    }).format(Number(amount));
+  } catch (error) {
+    return `${currency} ${Number(amount).toLocaleString('en-IN')}`;
+  }
+}
+
+/**
+ * Campaign fixed amount for a set of deliverables priced from the current
+ * rate card. Lines without a current rate are skipped.
+ * @param {Array} currentRates - Rows from creator_current_rates
+ * @param {Array} deliverables - [{ platform, deliverable_type, quantity }]
+ * @returns {number|null} - null when nothing could be priced
+ */
+export function calculateFixedAmount(currentRates = [], deliverables = []) {
+  const ratesByKey = new Map(currentRates.map(rate => [rateKey(rate), rate]));
+  let total = null;
+
+  deliverables.forEach(item => {
+    const rate = ratesByKey.get(rateKey(item));
+    if (!rate) return;
+    total = (total || 0) + Number(rate.price) * (Number(item.quantity) || 1);
+  });
+
+  return total;
+}
+
+export default {
+  DELIVERABLE_TYPES,
+  RATE_PLATFORMS,
+  RATE_SOURCES,
+  RATE_CURRENCIES,
+  rateKey,
+  rateLabel,
+  rateSourceLabel,
+  formatPrice,
+  calculateFixedAmount
+};
@@ -0,0 +1,129 @@
+/**
+ * Brand-facing shortlist deck
+ * A landscape PDF with a cover page and one card per proposed creator,
+ * built from brandFacingProfile so internal fields never reach the brand.
+ */
+
+import { jsPDF } from 'jspdf';
+
+const PAGE = { width: 297, height: 210, margin: 14 };
+const GRID = { columns: 3, rows: 2, gap: 6 };
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+// The PDF core fonts have no rupee sign
+const pdfSafe = (value) => String(value ?? '').replace(/₹/g, 'Rs. ');
+
+export const shortlistDeckFileName = (campaignName) => `${String(campaignName || 'campaign').replace(/[^A-Za-z0-9-]+/g, '-')}-shortlist.pdf`;
+
+/**
+ * Render the shortlist deck
+ * @param {Object} params
+ * @param {Object} params.campaign - { name, brandName }
+ * @param {Array} params.profiles - brandFacingProfile results, each with avatarDataUrl from loadImageAsDataUrl
+ * @param {Object} params.options - { includePrices, includeContact, preparedBy }
+ * @returns {Blob}
+ */
+export function buildShortlistDeckPdf({ campaign = {}, profiles = [], options = {} }) {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' });
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+
+  const text = (value, x, top, opts = {}) => {
+    pdf.setFont('helvetica', opts.bold ? 'bold' : 'normal');
+    pdf.setFontSize(opts.size || 9);
+    pdf.setTextColor(...(opts.color || [17, 24, 39]));
+    pdf.text(pdfSafe(value), x, top, { align: opts.align || 'left', maxWidth: opts.maxWidth });
+  };
+
+  // Cover
+  text('Creator Shortlist', left, 70, { bold: true, size: 30 });
+  text(campaign.name, left, 84, { size: 18 });
+  if (campaign.brandName) text(`Prepared for ${campaign.brandName}`, left, 94, { size: 12, color: [107, 114, 128] });
+  text(
+    `${profiles.length} creator${profiles.length === 1 ? '' : 's'} • ${formatDate(new Date())}`,
+    left, 104, { size: 10, color: [107, 114, 128] }
+  );
+  if (options.preparedBy) text(`Prepared by ${options.preparedBy}`, left, PAGE.height - PAGE.margin, { size: 9, color: [107, 114, 128] });
+
+  const cardWidth = (right - left - GRID.gap * (GRID.columns - 1)) / GRID.columns;
+  const cardHeight = (PAGE.height - PAGE.margin * 2 - 10 - GRID.gap * (GRID.rows - 1)) / GRID.rows;
+  const perPage = GRID.columns * GRID.rows;
+
+  profiles.forEach((profile, index) => {
+    const slot = index % perPage;
+    if (slot === 0) {
+      pdf.addPage();
+      text(campaign.name, left, PAGE.margin, { bold: true, size: 11 });
+      text(`${index + 1}-${Math.min(index + perPage, profiles.length)} of ${profiles.length}`, right, PAGE.margin, { size: 9, align: 'right', color: [107, 114, 128] });
+    }
+
+    const x = left + (slot % GRID.columns) * (cardWidth + GRID.gap);
+    const top = PAGE.margin + 6 + Math.floor(slot / GRID.columns) * (cardHeight + GRID.gap);
+    const inner = x + 5;
+    const innerWidth = cardWidth - 10;
+
+    pdf.setDrawColor(229, 231, 235);
+    pdf.roundedRect(x, top, cardWidth, cardHeight, 2, 2, 'S');
+
+    let textLeft = inner;
+    if (profile.avatarDataUrl) {
+      try {
+        pdf.addImage(profile.avatarDataUrl, 'PNG', inner, top + 5, 16, 16);
+        textLeft = inner + 20;
+      } catch (error) {
+        // Card without the picture rather than failing the deck
+      }
+    }
+    text(profile.name, textLeft, top + 11, { bold: true, size: 12, maxWidth: innerWidth - (textLeft - inner) });
+    if (profile.handle) text(profile.handle, textLeft, top + 17, { size: 9, color: [107, 114, 128] });
+
+    let y = top + 29;
+    const stats = [
+      ['Followers', profile.followersLabel || '-'],
+      ['Engagement', profile.engagementRate !== null && profile.engagementRate !== undefined ? `${Number(profile.engagementRate).toFixed(1)}%` : '-'],
+      ['Past campaigns', profile.pastCampaigns ? String(profile.pastCampaigns) : 'New to us']
+    ];
+    const statWidth = innerWidth / stats.length;
+    stats.forEach(([label, value], i) => {
+      text(value, inner + i * statWidth, y, { bold: true, size: 11 });
+      text(label, inner + i * statWidth, y + 4.5, { size: 7, color: [107, 114, 128] });
+    });
+    y += 13;
+
+    const details = [
+      profile.category,
+      profile.location,
+      profile.pastEngagementsPerCampaign ? `~${new Intl.NumberFormat('en-IN').format(profile.pastEngagementsPerCampaign)} engagements per past campaign` : null,
+      profile.instagramLink
+    ].filter(Boolean);
+    details.forEach(line => {
+      pdf.splitTextToSize(pdfSafe(line), innerWidth).slice(0, 2).forEach(part => {
+        text(part, inner, y, { size: 8 });
+        y += 4;
+      });
+    });
+
+    if (options.includePrices && profile.rates?.length) {
+      y += 2;
+      text('Rates', inner, y, { bold: true, size: 8 });
+      y += 4;
+      profile.rates.slice(0, 4).forEach(line => {
+        text(line, inner, y, { size: 8, maxWidth: innerWidth });
+        y += 4;
+      });
+    }
+
+    if (options.includeContact) {
+      const contact = [profile.email, profile.whatsapp && `WhatsApp ${profile.whatsapp}`].filter(Boolean);
+      contact.forEach((line, i) => text(line, inner, top + cardHeight - 4 - (contact.length - 1 - i) * 4, { size: 8, color: [107, 114, 128], maxWidth: innerWidth }));
+    }
+  });
+
+  return pdf.output('blob');
+}
+
+export default {
+  shortlistDeckFileName,
+  buildShortlistDeckPdf
+};
@@ -0,0 +1,213 @@
+import { isValidPan, normalizePan } from './bankDetails';
+
+/**
+ * TDS and GST computation for creator payments
+ * Rates and thresholds come from the tax_rates system setting; the
+ * defaults below match the value seeded by the creator_tax_profiles
+ * migration. Profiles are creator_tax_profiles rows.
+ */
+
+export const DEFAULT_TAX_RATES = {
+  gst_rate: 18,
+  no_pan_tds_rate: 20,
+  tds_sections: {
+    '194J': { label: '194J - Fees for professional services', rates: { default: 10 }, single_threshold: null, annual_threshold: 50000 },
+    '194C': { label: '194C - Contract work', rates: { individual: 1, huf: 1, default: 2 }, single_threshold: 30000, annual_threshold: 100000 },
+    '194R': { label: '194R - Benefit or perquisite (barter)', rates: { default: 10 }, single_threshold: null, annual_threshold: 20000 }
+  }
+};
+
+export const ENTITY_TYPES = [
+  { value: 'individual', label: 'Individual' },
+  { value: 'huf', label: 'HUF' },
+  { value: 'firm', label: 'Partnership firm' },
+  { value: 'llp', label: 'LLP' },
+  { value: 'company', label: 'Company' },
+  { value: 'other', label: 'Other' }
+];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export const normalizeGstin = (value) => String(value || '').trim().toUpperCase();
+export const isValidGstin = (value) => GSTIN_PATTERN.test(normalizeGstin(value));
+
+// State codes that open a GSTIN
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+/**
+ * State a GSTIN is registered in
+ * @param {string} gstin
+ * @returns {string|null}
+ */
+export const gstStateName = (gstin) => GST_STATE_CODES[normalizeGstin(gstin).slice(0, 2)] || null;
+
+/**
+ * Validate a tax profile form; same rules as the checks on
+ * public.creator_tax_profiles
+ * @param {Object} profile - { panNumber, gstin, lowerTdsRate }
+ * @returns {Object} - Field name -> message; empty when valid
+ */
+export function validateTaxProfile(profile = {}) {
+  const errors = {};
+
+  if (profile.panNumber?.trim() && !isValidPan(profile.panNumber)) {
+    errors.panNumber = 'PAN is 10 characters, e.g. ABCDE1234F';
+  }
+
+  if (profile.gstin?.trim()) {
+    if (!isValidGstin(profile.gstin)) {
+      errors.gstin = 'GSTIN is 15 characters, e.g. 27ABCDE1234F1Z5';
+    } else if (profile.panNumber?.trim() && normalizeGstin(profile.gstin).slice(2, 12) !== normalizePan(profile.panNumber)) {
+      errors.gstin = 'GSTIN does not contain this PAN';
+    }
+  }
+
+  const lowerRate = profile.lowerTdsRate;
+  if (lowerRate !== '' && lowerRate != null && (Number.isNaN(Number(lowerRate)) || Number(lowerRate) < 0 || Number(lowerRate) > 100)) {
+    errors.lowerTdsRate = 'Enter a rate between 0 and 100';
+  }
+
+  return errors;
+}
+
+/**
+ * Merge the tax_rates setting over the defaults, section by section
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+export function resolveTaxRates(overrides = {}) {
+  return {
+    ...DEFAULT_TAX_RATES,
+    ...overrides,
+    tds_sections: { ...DEFAULT_TAX_RATES.tds_sections, ...(overrides?.tds_sections || {}) }
+  };
+}
+
+/**
+ * Section options for a select, plus "No TDS"
+ * @param {Object} rates - From resolveTaxRates
+ * @returns {Array<Object>}
+ */
+export const tdsSectionOptions = (rates = DEFAULT_TAX_RATES) => [
+  ...Object.entries(rates.tds_sections).map(([value, section]) => ({ value, label: section.label || value })),
+  { value: 'none', label: 'No TDS' }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a lower deduction certificate applies on a date
+ * @param {Object} profile
+ * @param {string|Date} onDate
+ * @returns {boolean}
+ */
+const hasLowerDeduction = (profile, onDate) => profile?.lower_tds_rate != null
+  && (!profile?.lower_tds_valid_until || new Date(`${profile.lower_tds_valid_until}T23:59:59`) >= new Date(onDate));
+
+/**
+ * Compute TDS, GST and net for one payment. TDS is on the fee excluding
+ * GST and rounded to the rupee; GST applies when the creator has a GSTIN.
+ * @param {Object} options
+ * @param {number} options.gross - Fee before tax
+ * @param {Object} options.profile - creator_tax_profiles row, or null
+ * @param {Object} options.rates - From resolveTaxRates
+ * @param {string} options.section - Override of the profile's section
+ * @param {number} options.priorGross - Creator's earlier fees under the section this financial year
+ * @param {string|Date} options.onDate - Payment date, for the lower deduction certificate
+ * @returns {Object} - { section, tdsRate, tdsAmount, gstRate, gstAmount, net, notes }
+ */
+export function computeTax({ gross, profile = null, rates = DEFAULT_TAX_RATES, section, priorGross = 0, onDate = new Date() }) {
+  const amount = Number(gross) || 0;
+  const notes = [];
+  const sectionKey = section || profile?.tds_section || '194J';
+  const config = rates?.tds_sections?.[sectionKey];
+
+  let tdsRate = 0;
+  if (sectionKey === 'none' || !config) {
+    if (sectionKey !== 'none') notes.push(`Unknown TDS section ${sectionKey}`);
+  } else {
+    const overSingle = config.single_threshold != null && amount > Number(config.single_threshold);
+    const overAnnual = config.annual_threshold != null && Number(priorGross) + amount > Number(config.annual_threshold);
+    const noThresholds = config.single_threshold == null && config.annual_threshold == null;
+
+    if (overSingle || overAnnual || noThresholds) {
+      tdsRate = Number(config.rates?.[profile?.entity_type] ?? config.rates?.default ?? 0);
+      if (!profile?.pan_number) {
+        // Section 206AA: the higher of twice the rate and the no-PAN rate
+        tdsRate = Math.max(tdsRate * 2, Number(rates.no_pan_tds_rate) || 0);
+        notes.push('No PAN on file, higher TDS rate applied');
+      } else if (hasLowerDeduction(profile, onDate)) {
+        tdsRate = Number(profile.lower_tds_rate);
+        notes.push(`Lower deduction certificate${profile.lower_tds_certificate ? ` ${profile.lower_tds_certificate}` : ''}`);
+      }
+    } else {
+      notes.push(`Below the ${sectionKey} threshold for this financial year`);
+    }
+  }
+
+  const gstRate = profile?.gstin ? Number(rates?.gst_rate) || 0 : 0;
+  const tdsAmount = Math.round(amount * tdsRate / 100);
+  const gstAmount = round2(amount * gstRate / 100);
+
+  return {
+    section: sectionKey,
+    tdsRate,
+    tdsAmount,
+    gstRate,
+    gstAmount,
+    net: round2(amount + gstAmount - tdsAmount),
+    notes
+  };
+}
+
+/**
+ * Financial year (April-March) a date falls in, e.g. "2026-27"
+ * @param {string|Date} value
+ * @returns {string}
+ */
+export function financialYearOf(value = new Date()) {
+  const date = new Date(value);
+  const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * First and last day of a financial year
+ * @param {string} financialYear - e.g. "2026-27"
+ * @returns {Object} - { from: 'YYYY-04-01', to: 'YYYY-03-31' }
+ */
+export function financialYearRange(financialYear) {
+  const start = Number(String(financialYear).slice(0, 4));
+  return { from: `${start}-04-01`, to: `${start + 1}-03-31` };
+}
+
+export const TDS_QUARTERS = [
+  { value: 'Q1', label: 'Q1 (Apr-Jun)' },
+  { value: 'Q2', label: 'Q2 (Jul-Sep)' },
+  { value: 'Q3', label: 'Q3 (Oct-Dec)' },
+  { value: 'Q4', label: 'Q4 (Jan-Mar)' }
+];
+
+export default {
+  DEFAULT_TAX_RATES,
+  ENTITY_TYPES,
+  TDS_QUARTERS,
+  normalizeGstin,
+  isValidGstin,
+  gstStateName,
+  validateTaxProfile,
+  resolveTaxRates,
+  tdsSectionOptions,
+  computeTax,
+  financialYearOf,
+  financialYearRange
+};
@@ -0,0 +1,62 @@
+-- Location: supabase/migrations/20261019090000_creator_identity_keys.sql
+-- Schema Analysis: creators table stores instagram_link, username, email and whatsapp as free text
+-- Integration Type: enhancement - adding generated, indexed identity keys for duplicate detection
+-- Dependencies: public.creators table
+-- Keep the expressions in sync with src/utils/creatorIdentity.js
+
+-- 1. Canonical Instagram handle from the profile link
+--    (scheme, www./m. prefixes, instagram.com / instagr.am host, query string, trailing slash and @ removed)
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS instagram_key TEXT GENERATED ALWAYS AS (
+    NULLIF(lower(
+        regexp_replace(
+            regexp_replace(
+                regexp_replace(btrim(COALESCE(instagram_link::text, '')), '^(https?://)?(www\.|m\.)?(instagram\.com|instagr\.am)/', '', 'i'),
+                '[/?#].*$', ''
+            ),
+            '^@+', ''
+        )
+    ), '')
+) STORED;
+
+-- 2. Canonical handle from the username column
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS username_key TEXT GENERATED ALWAYS AS (
+    NULLIF(lower(
+        regexp_replace(
+            regexp_replace(
+                regexp_replace(btrim(COALESCE(username::text, '')), '^(https?://)?(www\.|m\.)?(instagram\.com|instagr\.am)/', '', 'i'),
+                '[/?#].*$', ''
+            ),
+            '^@+', ''
+        )
+    ), '')
+) STORED;
+
+-- 3. Lower-cased email (placeholders without "@" are ignored)
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS email_key TEXT GENERATED ALWAYS AS (
+    CASE
+        WHEN position('@' IN COALESCE(email::text, '')) > 0 THEN lower(btrim(email::text))
+    END
+) STORED;
+
+-- 4. Last 10 digits of the first WhatsApp number listed
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS whatsapp_key TEXT GENERATED ALWAYS AS (
+    CASE
+        WHEN length(regexp_replace(split_part(regexp_replace(COALESCE(whatsapp::text, ''), ',', '/', 'g'), '/', 1), '\D', '', 'g')) >= 10
+        THEN right(regexp_replace(split_part(regexp_replace(COALESCE(whatsapp::text, ''), ',', '/', 'g'), '/', 1), '\D', '', 'g'), 10)
+    END
+) STORED;
+
+-- 5. Indexes for batched .in() lookups
+CREATE INDEX IF NOT EXISTS idx_creators_instagram_key ON public.creators(instagram_key);
+CREATE INDEX IF NOT EXISTS idx_creators_username_key ON public.creators(username_key);
+CREATE INDEX IF NOT EXISTS idx_creators_email_key ON public.creators(email_key);
+CREATE INDEX IF NOT EXISTS idx_creators_whatsapp_key ON public.creators(whatsapp_key);
+
+COMMENT ON COLUMN public.creators.instagram_key IS 'Generated: canonical Instagram handle parsed from instagram_link, used for duplicate detection';
+COMMENT ON COLUMN public.creators.username_key IS 'Generated: canonical handle from username, used for duplicate detection';
+COMMENT ON COLUMN public.creators.email_key IS 'Generated: lower-cased email, used for duplicate detection';
+COMMENT ON COLUMN public.creators.whatsapp_key IS 'Generated: last 10 digits of the first WhatsApp number, used for duplicate detection';
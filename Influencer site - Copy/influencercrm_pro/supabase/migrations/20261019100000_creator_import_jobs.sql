@@ -0,0 +1,90 @@
+-- Location: supabase/migrations/20261019100000_creator_import_jobs.sql
+-- Schema Analysis: creators are bulk loaded from spreadsheets with no record of what each import changed
+-- Integration Type: addition - import job history with per-creator before/after values for rollback
+-- Dependencies: public.creators, public.audit_logs, auth.users
+
+-- 1. One row per committed import
+CREATE TABLE IF NOT EXISTS public.creator_import_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source_type TEXT NOT NULL DEFAULT 'file' CHECK (source_type IN ('file', 'googlesheets')),
+    source_name TEXT,
+    sheet_name TEXT,
+    sheet_source TEXT,
+    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    duplicate_strategy TEXT,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    inserted_count INTEGER NOT NULL DEFAULT 0,
+    updated_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'rolled_back', 'partially_rolled_back')),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    rolled_back_at TIMESTAMPTZ,
+    rolled_back_by UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+-- 2. One row per creator the import inserted or updated.
+--    creator_id has no foreign key so the history survives rollback deletes.
+CREATE TABLE IF NOT EXISTS public.creator_import_job_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL REFERENCES public.creator_import_jobs(id) ON DELETE CASCADE,
+    creator_id UUID NOT NULL,
+    row_number INTEGER,
+    action TEXT NOT NULL CHECK (action IN ('inserted', 'updated')),
+    previous_values JSONB,
+    new_values JSONB,
+    rolled_back_at TIMESTAMPTZ,
+    rollback_note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_import_jobs_created ON public.creator_import_jobs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_creator_import_jobs_created_by ON public.creator_import_jobs(created_by);
+CREATE INDEX IF NOT EXISTS idx_creator_import_job_items_job ON public.creator_import_job_items(job_id);
+CREATE INDEX IF NOT EXISTS idx_creator_import_job_items_creator ON public.creator_import_job_items(creator_id);
+
+-- 3. RLS: same authenticated read/write pattern as creators
+ALTER TABLE public.creator_import_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.creator_import_job_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_import_jobs"
+ON public.creator_import_jobs
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_import_jobs"
+ON public.creator_import_jobs
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_update_import_jobs"
+ON public.creator_import_jobs
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_view_import_job_items"
+ON public.creator_import_job_items
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_import_job_items"
+ON public.creator_import_job_items
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_update_import_job_items"
+ON public.creator_import_job_items
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE public.creator_import_jobs IS 'History of spreadsheet imports into creators';
+COMMENT ON TABLE public.creator_import_job_items IS 'Creators inserted or updated by an import, with prior values for rollback';
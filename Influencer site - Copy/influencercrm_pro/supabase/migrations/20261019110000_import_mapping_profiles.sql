@@ -0,0 +1,60 @@
+-- Location: supabase/migrations/20261019110000_import_mapping_profiles.sql
+-- Schema Analysis: ImportWizard column mappings are guessed per import and never saved
+-- Integration Type: addition - named mapping profiles for recurring vendor sheet formats
+-- Dependencies: auth.users
+-- A deployment serves one organisation, so profiles are shared by all authenticated users
+
+CREATE TABLE IF NOT EXISTS public.import_mapping_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    -- Sheet headers the profile was built from, used for header similarity matching
+    source_headers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- { "Sheet Header": "creators_field" }
+    header_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- { "creators_field": ["strip_at", "parse_count"] }
+    value_transforms JSONB NOT NULL DEFAULT '{}'::jsonb,
+    default_sheet_source TEXT,
+    -- { "raw tier as written in the sheet": "normalized tier" }
+    followers_tier_map JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_mapping_profiles_last_used ON public.import_mapping_profiles(last_used_at DESC NULLS LAST);
+
+CREATE TRIGGER update_import_mapping_profiles_updated_at
+    BEFORE UPDATE ON public.import_mapping_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.import_mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_mapping_profiles"
+ON public.import_mapping_profiles
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_mapping_profiles"
+ON public.import_mapping_profiles
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_update_mapping_profiles"
+ON public.import_mapping_profiles
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_delete_mapping_profiles"
+ON public.import_mapping_profiles
+FOR DELETE
+TO authenticated
+USING (true);
+
+COMMENT ON TABLE public.import_mapping_profiles IS 'Saved ImportWizard column mappings, value transforms and tier normalization per recurring sheet format';
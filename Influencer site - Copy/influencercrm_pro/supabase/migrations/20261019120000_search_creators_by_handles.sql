@@ -0,0 +1,34 @@
+-- Location: supabase/migrations/20261019120000_search_creators_by_handles.sql
+-- Schema Analysis: creators.instagram_key / username_key are generated, indexed canonical handles
+-- Integration Type: addition - set-based handle lookup for the Bulk Instagram Processor
+-- Dependencies: public.creators, 20261019090000_creator_identity_keys.sql
+
+-- Returns one row per (input handle, matching creator). Handles must already be
+-- canonical (see src/utils/creatorIdentity.js); a handle matching several
+-- creators returns several rows so the caller can report it as ambiguous.
+CREATE OR REPLACE FUNCTION public.search_creators_by_handles(handles TEXT[])
+RETURNS TABLE (match_key TEXT, creator JSONB)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH input AS (
+        SELECT DISTINCT handle FROM unnest(handles) AS h(handle) WHERE handle IS NOT NULL
+    ),
+    matches AS (
+        SELECT input.handle, c.id
+        FROM input
+        JOIN public.creators c ON c.instagram_key = input.handle
+        UNION
+        SELECT input.handle, c.id
+        FROM input
+        JOIN public.creators c ON c.username_key = input.handle
+    )
+    SELECT matches.handle, to_jsonb(c) - 'instagram_key' - 'username_key' - 'email_key' - 'whatsapp_key'
+    FROM matches
+    JOIN public.creators c ON c.id = matches.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_creators_by_handles(TEXT[]) TO authenticated;
+
+COMMENT ON FUNCTION public.search_creators_by_handles(TEXT[]) IS 'Bulk lookup of creators by canonical Instagram handle (instagram_key or username_key)';
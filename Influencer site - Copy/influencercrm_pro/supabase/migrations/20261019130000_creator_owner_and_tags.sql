@@ -0,0 +1,17 @@
+-- Location: supabase/migrations/20261019130000_creator_owner_and_tags.sql
+-- Schema Analysis: creators.tags is written by BulkTagsModal but not guaranteed by a migration; no owner column
+-- Integration Type: enhancement - owner assignment and tags for creators
+-- Dependencies: public.creators, public.users
+
+-- 1. Tags (no-op where the column already exists)
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+-- 2. Team member responsible for the creator
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES public.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_creators_owner ON public.creators(owner_id);
+CREATE INDEX IF NOT EXISTS idx_creators_tags ON public.creators USING GIN (tags);
+
+COMMENT ON COLUMN public.creators.owner_id IS 'Team member (public.users) who owns the creator relationship';
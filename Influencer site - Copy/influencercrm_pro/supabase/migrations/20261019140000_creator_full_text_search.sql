@@ -0,0 +1,128 @@
+-- Location: supabase/migrations/20261019140000_creator_full_text_search.sql
+-- Schema Analysis: creators search used a nine-column ilike '%q%' filter; no search index, no bio column
+-- Integration Type: enhancement - indexed, ranked, typo-tolerant creator search with snippets
+-- Dependencies: public.creators, 20261019130000_creator_owner_and_tags.sql (tags)
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 1. Searchable columns
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS bio TEXT;
+
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+COMMENT ON COLUMN public.creators.search_vector IS 'Weighted tsvector over name/username (A), city/state/tags (B), link/email/whatsapp (C), bio (D)';
+COMMENT ON COLUMN public.creators.search_text IS 'Lower-cased concatenation of the searchable fields, trigram indexed for substring and typo matching';
+
+-- 2. Keep the search document in sync. A trigger rather than generated columns
+-- because array_to_string() is not immutable.
+CREATE OR REPLACE FUNCTION public.creators_search_document()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('simple', concat_ws(' ', NEW.name, NEW.username)), 'A') ||
+        setweight(to_tsvector('simple', concat_ws(' ', NEW.city, NEW.state, array_to_string(NEW.tags, ' '))), 'B') ||
+        setweight(to_tsvector('simple', concat_ws(' ', NEW.instagram_link, NEW.email, NEW.whatsapp)), 'C') ||
+        setweight(to_tsvector('simple', coalesce(NEW.bio, '')), 'D');
+
+    NEW.search_text := lower(concat_ws(' ',
+        NEW.name, NEW.username, NEW.instagram_link, NEW.city, NEW.state,
+        NEW.email, NEW.whatsapp, array_to_string(NEW.tags, ' '), NEW.bio
+    ));
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS creators_search_document ON public.creators;
+CREATE TRIGGER creators_search_document
+BEFORE INSERT OR UPDATE OF name, username, instagram_link, city, state, email, whatsapp, tags, bio
+ON public.creators
+FOR EACH ROW
+EXECUTE FUNCTION public.creators_search_document();
+
+-- Backfill existing rows through the trigger
+UPDATE public.creators SET name = name;
+
+CREATE INDEX IF NOT EXISTS idx_creators_search_vector ON public.creators USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_creators_search_text_trgm ON public.creators USING GIN (search_text gin_trgm_ops);
+
+-- 3. Query helpers
+-- Every whitespace-separated term becomes a prefix match ("pri mum" finds
+-- "Priya, Mumbai"); a leading "@" is ignored so handles can be pasted as-is.
+CREATE OR REPLACE FUNCTION public.creator_search_tsquery(search_query TEXT)
+RETURNS TSQUERY
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT to_tsquery('simple', string_agg(quote_literal(ltrim(term, '@')) || ':*', ' & '))
+    FROM regexp_split_to_table(lower(btrim(coalesce(search_query, ''))), '\s+') AS t(term)
+    WHERE ltrim(term, '@') <> '';
+$$;
+
+-- Matches on the tsvector, on a substring of the search text (partial phone
+-- numbers, emails) or on trigram word similarity (typos). Rows come back
+-- best match first, so callers that do not apply their own order get
+-- relevance order. Returning SETOF creators lets PostgREST apply the usual
+-- column selection, filters, ordering, range and exact count on top.
+CREATE OR REPLACE FUNCTION public.search_creators(search_query TEXT)
+RETURNS SETOF public.creators
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH q AS (
+        SELECT public.creator_search_tsquery(search_query) AS tsq,
+               ltrim(lower(btrim(coalesce(search_query, ''))), '@') AS term
+    )
+    SELECT c.*
+    FROM public.creators c, q
+    WHERE q.term <> ''
+      AND (
+          c.search_vector @@ q.tsq
+          OR c.search_text LIKE '%' || replace(replace(replace(q.term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+          OR q.term <% c.search_text
+      )
+    ORDER BY coalesce(ts_rank(c.search_vector, q.tsq), 0) + word_similarity(q.term, c.search_text) DESC, c.id;
+$$;
+
+-- Rank and highlighted snippet for a page of results. Kept separate from
+-- search_creators so ts_headline only runs for the rows being displayed.
+-- Highlights are wrapped in ⟦ ⟧ (see src/components/ui/SearchSnippet.jsx)
+-- so the client never has to render HTML from creator data.
+CREATE OR REPLACE FUNCTION public.search_creator_snippets(search_query TEXT, creator_ids UUID[])
+RETURNS TABLE (creator_id UUID, rank REAL, snippet TEXT)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH q AS (
+        SELECT public.creator_search_tsquery(search_query) AS tsq,
+               ltrim(lower(btrim(coalesce(search_query, ''))), '@') AS term
+    )
+    SELECT
+        c.id,
+        (coalesce(ts_rank(c.search_vector, q.tsq), 0) + word_similarity(q.term, c.search_text))::REAL,
+        ts_headline(
+            'simple',
+            concat_ws(' · ', c.name, c.username, c.city, c.state, c.email, c.whatsapp,
+                      array_to_string(c.tags, ', '), c.bio),
+            q.tsq,
+            'StartSel=⟦, StopSel=⟧, MinWords=4, MaxWords=14, MaxFragments=2, FragmentDelimiter=" … "'
+        )
+    FROM public.creators c, q
+    WHERE c.id = ANY(creator_ids);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.creator_search_tsquery(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.search_creators(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.search_creator_snippets(TEXT, UUID[]) TO authenticated;
+
+COMMENT ON FUNCTION public.search_creators(TEXT) IS 'Ranked full-text + trigram creator search over name, username, instagram_link, city, state, email, whatsapp, tags and bio';
+COMMENT ON FUNCTION public.search_creator_snippets(TEXT, UUID[]) IS 'Relevance rank and highlighted snippet for the given creators';
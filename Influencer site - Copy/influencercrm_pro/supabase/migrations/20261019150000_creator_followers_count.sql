@@ -0,0 +1,112 @@
+-- Location: supabase/migrations/20261019150000_creator_followers_count.sql
+-- Schema Analysis: creators.followers_tier is free text ("        0-10k", "10K-50K", "0-10 K"...); no numeric follower count
+-- Integration Type: enhancement - canonical followers_count with followers_tier derived from a configurable tier table
+-- Dependencies: public.creators, public.system_settings
+
+-- 1. Canonical follower count
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS followers_count BIGINT CHECK (followers_count IS NULL OR followers_count >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_creators_followers_count ON public.creators(followers_count);
+
+COMMENT ON COLUMN public.creators.followers_count IS 'Instagram follower count; followers_tier is derived from it via the followers_tiers setting';
+
+-- 2. Tier table. Each tier covers min <= followers_count < max; a null max is open-ended.
+INSERT INTO public.system_settings (setting_key, setting_value, setting_category, description, is_public) VALUES
+    ('followers_tiers', '[
+        {"label": "0-10K", "min": 0, "max": 10000},
+        {"label": "10K-50K", "min": 10000, "max": 50000},
+        {"label": "50K-100K", "min": 50000, "max": 100000},
+        {"label": "100K-250K", "min": 100000, "max": 250000},
+        {"label": "250K-500K", "min": 250000, "max": 500000},
+        {"label": "500K-1M", "min": 500000, "max": 1000000},
+        {"label": "1M+", "min": 1000000, "max": null}
+    ]'::jsonb, 'general', 'Follower tiers used to derive creators.followers_tier from followers_count', true)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- 3. Tier lookup. SECURITY DEFINER so the trigger works for every role that
+-- can write creators, regardless of system_settings policies.
+CREATE OR REPLACE FUNCTION public.followers_tier_for(count BIGINT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT tier->>'label'
+    FROM public.system_settings s,
+         jsonb_array_elements(s.setting_value) AS tier
+    WHERE s.setting_key = 'followers_tiers'
+      AND count IS NOT NULL
+      AND count >= (tier->>'min')::BIGINT
+      AND (tier->>'max' IS NULL OR count < (tier->>'max')::BIGINT)
+    ORDER BY (tier->>'min')::BIGINT DESC
+    LIMIT 1;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.followers_tier_for(BIGINT) TO authenticated;
+
+-- Rows without a count keep their legacy free-text tier until migrated
+CREATE OR REPLACE FUNCTION public.creators_derive_followers_tier()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.followers_count IS NOT NULL THEN
+        NEW.followers_tier := public.followers_tier_for(NEW.followers_count);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS creators_derive_followers_tier ON public.creators;
+CREATE TRIGGER creators_derive_followers_tier
+BEFORE INSERT OR UPDATE OF followers_count, followers_tier
+ON public.creators
+FOR EACH ROW
+EXECUTE FUNCTION public.creators_derive_followers_tier();
+
+-- 4. Re-derive every tier when the tier table is edited
+CREATE OR REPLACE FUNCTION public.refresh_creator_followers_tiers()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.setting_key = 'followers_tiers' AND NEW.setting_value IS DISTINCT FROM OLD.setting_value THEN
+        UPDATE public.creators
+        SET followers_tier = public.followers_tier_for(followers_count)
+        WHERE followers_count IS NOT NULL
+          AND followers_tier IS DISTINCT FROM public.followers_tier_for(followers_count);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS refresh_creator_followers_tiers ON public.system_settings;
+CREATE TRIGGER refresh_creator_followers_tiers
+AFTER UPDATE OF setting_value
+ON public.system_settings
+FOR EACH ROW
+EXECUTE FUNCTION public.refresh_creator_followers_tiers();
+
+-- 5. Legacy tier strings still waiting for a count, for the migration tool
+CREATE OR REPLACE FUNCTION public.get_legacy_followers_tiers()
+RETURNS TABLE (followers_tier TEXT, creator_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT c.followers_tier, COUNT(*)
+    FROM public.creators c
+    WHERE c.followers_count IS NULL
+      AND c.followers_tier IS NOT NULL
+      AND btrim(c.followers_tier) <> ''
+    GROUP BY c.followers_tier
+    ORDER BY COUNT(*) DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_legacy_followers_tiers() TO authenticated;
+
+COMMENT ON FUNCTION public.get_legacy_followers_tiers() IS 'Distinct free-text followers_tier values on creators without a followers_count';
@@ -0,0 +1,72 @@
+-- Location: supabase/migrations/20261019160000_creator_saved_filters.sql
+-- Schema Analysis: SavedFiltersPanel kept saved filters in React state only; no table
+-- Integration Type: addition - per-user saved creator filters, optionally shared with the team
+-- Dependencies: auth.users
+
+CREATE TABLE IF NOT EXISTS public.creator_saved_filters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    -- Creator database sidebar state: { city: [], state: [], followers: [], followersMin, followersMax, category: [], ... }
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    search_query TEXT,
+    is_shared BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_saved_filters_owner ON public.creator_saved_filters(created_by);
+CREATE INDEX IF NOT EXISTS idx_creator_saved_filters_shared ON public.creator_saved_filters(is_shared) WHERE is_shared;
+
+CREATE TRIGGER update_creator_saved_filters_updated_at
+    BEFORE UPDATE ON public.creator_saved_filters
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.creator_saved_filters ENABLE ROW LEVEL SECURITY;
+
+-- Owners see their own filters; everyone sees shared ones
+CREATE POLICY "users_can_view_own_or_shared_saved_filters"
+ON public.creator_saved_filters
+FOR SELECT
+TO authenticated
+USING (created_by = auth.uid() OR is_shared);
+
+CREATE POLICY "users_can_create_own_saved_filters"
+ON public.creator_saved_filters
+FOR INSERT
+TO authenticated
+WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "users_can_update_own_saved_filters"
+ON public.creator_saved_filters
+FOR UPDATE
+TO authenticated
+USING (created_by = auth.uid())
+WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "users_can_delete_own_saved_filters"
+ON public.creator_saved_filters
+FOR DELETE
+TO authenticated
+USING (created_by = auth.uid());
+
+-- Applying a teammate's shared filter also bumps last_used_at, which the
+-- update policy above would not allow
+CREATE OR REPLACE FUNCTION public.touch_creator_saved_filter(filter_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE public.creator_saved_filters
+    SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = filter_id
+      AND (created_by = auth.uid() OR is_shared);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.touch_creator_saved_filter(UUID) TO authenticated;
+
+COMMENT ON TABLE public.creator_saved_filters IS 'Saved creator database filters; shared filters are visible to every authenticated user and addressable by URL (?filter=<id>)';
@@ -0,0 +1,283 @@
+-- Location: supabase/migrations/20261019170000_creator_notes.sql
+-- Schema Analysis: creator-profile-details NotesTab had no backing table; NotificationCenter used hard-coded data
+-- Integration Type: addition - threaded creator notes with mentions, pinning and edit history; per-user notifications
+-- Dependencies: public.creators, public.users, public.user_roles, auth.users
+
+-- ============================================================
+-- 1. NOTIFICATIONS
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    recipient_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT,
+    link TEXT,
+    entity_type TEXT,
+    entity_id UUID,
+    is_read BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON public.notifications(recipient_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON public.notifications(recipient_id) WHERE NOT is_read;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- Rows are written by SECURITY DEFINER triggers; users only read and dismiss their own
+CREATE POLICY "users_can_view_own_notifications"
+ON public.notifications
+FOR SELECT
+TO authenticated
+USING (recipient_id = auth.uid());
+
+CREATE POLICY "users_can_update_own_notifications"
+ON public.notifications
+FOR UPDATE
+TO authenticated
+USING (recipient_id = auth.uid())
+WITH CHECK (recipient_id = auth.uid());
+
+CREATE POLICY "users_can_delete_own_notifications"
+ON public.notifications
+FOR DELETE
+TO authenticated
+USING (recipient_id = auth.uid());
+
+-- NotificationCenter listens for new rows
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.notifications;
+    END IF;
+END $$;
+
+-- ============================================================
+-- 2. CREATOR NOTES
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.creator_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_id UUID NOT NULL REFERENCES public.creators(id) ON DELETE CASCADE,
+    -- Replies point at their top-level note; threads are one level deep
+    parent_id UUID REFERENCES public.creator_notes(id) ON DELETE CASCADE,
+    content TEXT NOT NULL CHECK (length(trim(content)) > 0),
+    -- auth.users ids of teammates @mentioned in content
+    mentions UUID[] NOT NULL DEFAULT '{}',
+    is_pinned BOOLEAN NOT NULL DEFAULT false,
+    pinned_at TIMESTAMPTZ,
+    pinned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    author_name TEXT,
+    author_email TEXT,
+    edited_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_notes_creator ON public.creator_notes(creator_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_creator_notes_parent ON public.creator_notes(parent_id);
+
+CREATE TABLE IF NOT EXISTS public.creator_note_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    note_id UUID NOT NULL REFERENCES public.creator_notes(id) ON DELETE CASCADE,
+    previous_content TEXT NOT NULL,
+    edited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    edited_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_note_edits_note ON public.creator_note_edits(note_id, edited_at DESC);
+
+CREATE TRIGGER update_creator_notes_updated_at
+    BEFORE UPDATE ON public.creator_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Author details come from the team directory so the client cannot spoof them
+CREATE OR REPLACE FUNCTION public.creator_notes_set_author()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.created_by := auth.uid();
+    SELECT u.full_name, u.email
+    INTO NEW.author_name, NEW.author_email
+    FROM public.users u
+    WHERE u.auth_id = auth.uid()
+    LIMIT 1;
+
+    NEW.author_email := COALESCE(NEW.author_email, auth.email());
+    NEW.author_name := COALESCE(NEW.author_name, NEW.author_email);
+
+    -- Replies to a reply attach to the top-level note
+    IF NEW.parent_id IS NOT NULL THEN
+        SELECT COALESCE(n.parent_id, n.id) INTO NEW.parent_id
+        FROM public.creator_notes n
+        WHERE n.id = NEW.parent_id;
+        NEW.is_pinned := false;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER creator_notes_set_author
+    BEFORE INSERT ON public.creator_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_notes_set_author();
+
+-- Keep the previous text whenever content changes
+CREATE OR REPLACE FUNCTION public.creator_notes_record_edit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.content IS DISTINCT FROM OLD.content THEN
+        INSERT INTO public.creator_note_edits (note_id, previous_content, edited_by)
+        VALUES (OLD.id, OLD.content, auth.uid());
+        NEW.edited_at := CURRENT_TIMESTAMP;
+    END IF;
+
+    -- Ownership and thread placement never change after insert
+    NEW.created_by := OLD.created_by;
+    NEW.creator_id := OLD.creator_id;
+    NEW.parent_id := OLD.parent_id;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER creator_notes_record_edit
+    BEFORE UPDATE ON public.creator_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_notes_record_edit();
+
+-- Newly mentioned teammates and the author of the note being replied to get a notification
+CREATE OR REPLACE FUNCTION public.creator_notes_notify()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    creator_name TEXT;
+    parent_author UUID;
+    new_mentions UUID[];
+BEGIN
+    SELECT c.name INTO creator_name FROM public.creators c WHERE c.id = NEW.creator_id;
+
+    new_mentions := ARRAY(
+        SELECT DISTINCT m
+        FROM unnest(NEW.mentions) AS m
+        WHERE m IS DISTINCT FROM NEW.created_by
+          AND (TG_OP = 'INSERT' OR NOT m = ANY(OLD.mentions))
+    );
+
+    INSERT INTO public.notifications (recipient_id, type, title, message, link, entity_type, entity_id, created_by)
+    SELECT
+        m,
+        'mention',
+        COALESCE(NEW.author_name, 'A teammate') || ' mentioned you on ' || COALESCE(creator_name, 'a creator'),
+        left(NEW.content, 200),
+        '/creator-profile-details/' || NEW.creator_id,
+        'creator_note',
+        NEW.id,
+        NEW.created_by
+    FROM unnest(new_mentions) AS m
+    WHERE EXISTS (SELECT 1 FROM auth.users au WHERE au.id = m);
+
+    IF TG_OP = 'INSERT' AND NEW.parent_id IS NOT NULL THEN
+        SELECT n.created_by INTO parent_author FROM public.creator_notes n WHERE n.id = NEW.parent_id;
+
+        IF parent_author IS NOT NULL
+           AND parent_author IS DISTINCT FROM NEW.created_by
+           AND NOT parent_author = ANY(new_mentions) THEN
+            INSERT INTO public.notifications (recipient_id, type, title, message, link, entity_type, entity_id, created_by)
+            VALUES (
+                parent_author,
+                'reply',
+                COALESCE(NEW.author_name, 'A teammate') || ' replied to your note on ' || COALESCE(creator_name, 'a creator'),
+                left(NEW.content, 200),
+                '/creator-profile-details/' || NEW.creator_id,
+                'creator_note',
+                NEW.id,
+                NEW.created_by
+            );
+        END IF;
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER creator_notes_notify
+    AFTER INSERT OR UPDATE OF mentions ON public.creator_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_notes_notify();
+
+ALTER TABLE public.creator_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.creator_note_edits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_creator_notes"
+ON public.creator_notes
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_creator_notes"
+ON public.creator_notes
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authors_can_edit_creator_notes"
+ON public.creator_notes
+FOR UPDATE
+TO authenticated
+USING (created_by = auth.uid())
+WITH CHECK (created_by = auth.uid());
+
+-- Authors delete their own notes; admins can delete any note
+CREATE POLICY "authors_and_admins_can_delete_creator_notes"
+ON public.creator_notes
+FOR DELETE
+TO authenticated
+USING (
+    created_by = auth.uid()
+    OR EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin')
+    )
+);
+
+CREATE POLICY "authenticated_users_can_view_creator_note_edits"
+ON public.creator_note_edits
+FOR SELECT
+TO authenticated
+USING (true);
+
+-- Pinning is a team action, so it bypasses the author-only update policy
+CREATE OR REPLACE FUNCTION public.set_creator_note_pinned(note_id UUID, pinned BOOLEAN)
+RETURNS SETOF public.creator_notes
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE public.creator_notes
+    SET is_pinned = pinned,
+        pinned_at = CASE WHEN pinned THEN CURRENT_TIMESTAMP ELSE NULL END,
+        pinned_by = CASE WHEN pinned THEN auth.uid() ELSE NULL END
+    WHERE id = note_id
+      AND parent_id IS NULL
+      AND auth.uid() IS NOT NULL
+    RETURNING *;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.set_creator_note_pinned(UUID, BOOLEAN) TO authenticated;
+
+COMMENT ON TABLE public.creator_notes IS 'Internal team notes on a creator; replies reference a top-level note via parent_id';
+COMMENT ON TABLE public.creator_note_edits IS 'Previous versions of creator_notes.content, written by trigger on edit';
+COMMENT ON TABLE public.notifications IS 'Per-user in-app notifications shown in the header NotificationCenter';
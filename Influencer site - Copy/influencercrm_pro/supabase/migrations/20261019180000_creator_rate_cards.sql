@@ -0,0 +1,116 @@
+-- Location: supabase/migrations/20261019180000_creator_rate_cards.sql
+-- Schema Analysis: creators has price_history JSONB and pricing_tier JSONB but nothing writes them; PriceHistoryTab always received []
+-- Integration Type: addition - append-only creator rate entries; current rate card view; price_history/pricing_tier kept in sync
+-- Dependencies: public.creators, auth.users
+
+-- 1. Columns the rate card keeps in sync (no-op where they already exist)
+ALTER TABLE public.creators
+ADD COLUMN IF NOT EXISTS price_history JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS pricing_tier JSONB DEFAULT '{}'::jsonb;
+
+-- 2. Rate entries. A change is a new row, never an update, so the table is
+-- the full price history; the current rate is the latest effective row.
+CREATE TABLE IF NOT EXISTS public.creator_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_id UUID NOT NULL REFERENCES public.creators(id) ON DELETE CASCADE,
+    deliverable_type TEXT NOT NULL CHECK (deliverable_type IN ('post', 'reel', 'story', 'carousel', 'video', 'short', 'live', 'other')),
+    platform TEXT NOT NULL DEFAULT 'instagram' CHECK (platform IN ('instagram', 'youtube', 'facebook', 'linkedin', 'twitter', 'other')),
+    price NUMERIC(12,2) NOT NULL CHECK (price >= 0),
+    currency TEXT NOT NULL DEFAULT 'INR' CHECK (currency ~ '^[A-Z]{3}$'),
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    source TEXT NOT NULL CHECK (source IN ('negotiated', 'quoted', 'listed')),
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_rates_lookup
+    ON public.creator_rates(creator_id, platform, deliverable_type, effective_date DESC, created_at DESC);
+
+ALTER TABLE public.creator_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_creator_rates"
+ON public.creator_rates
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_add_creator_rates"
+ON public.creator_rates
+FOR INSERT
+TO authenticated
+WITH CHECK (created_by = auth.uid());
+
+-- 3. Current rate card: latest entry per platform and deliverable that is already in effect
+CREATE OR REPLACE VIEW public.creator_current_rates
+WITH (security_invoker = true) AS
+SELECT DISTINCT ON (r.creator_id, r.platform, r.deliverable_type)
+    r.*
+FROM public.creator_rates r
+WHERE r.effective_date <= CURRENT_DATE
+ORDER BY r.creator_id, r.platform, r.deliverable_type, r.effective_date DESC, r.created_at DESC;
+
+GRANT SELECT ON public.creator_current_rates TO authenticated;
+
+-- 4. Mirror each entry onto the creator: append to price_history and
+-- rebuild pricing_tier ({ "instagram_reel": { price, currency, ... } })
+CREATE OR REPLACE FUNCTION public.creator_rates_sync_creator()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous_price NUMERIC(12,2);
+BEGIN
+    SELECT r.price INTO previous_price
+    FROM public.creator_rates r
+    WHERE r.creator_id = NEW.creator_id
+      AND r.platform = NEW.platform
+      AND r.deliverable_type = NEW.deliverable_type
+      AND r.id <> NEW.id
+      AND (r.effective_date, r.created_at) < (NEW.effective_date, NEW.created_at)
+    ORDER BY r.effective_date DESC, r.created_at DESC
+    LIMIT 1;
+
+    UPDATE public.creators c
+    SET price_history = COALESCE(c.price_history, '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+            'rate_id', NEW.id,
+            'date', NEW.effective_date,
+            'platform', NEW.platform,
+            'deliverable_type', NEW.deliverable_type,
+            'price', NEW.price,
+            'previous_price', previous_price,
+            'currency', NEW.currency,
+            'source', NEW.source,
+            'notes', NEW.notes,
+            'updated_by', NEW.created_by_email,
+            'recorded_at', NEW.created_at
+        )),
+        pricing_tier = COALESCE((
+            SELECT jsonb_object_agg(
+                cr.platform || '_' || cr.deliverable_type,
+                jsonb_build_object(
+                    'price', cr.price,
+                    'currency', cr.currency,
+                    'effective_date', cr.effective_date,
+                    'source', cr.source
+                )
+            )
+            FROM public.creator_current_rates cr
+            WHERE cr.creator_id = NEW.creator_id
+        ), '{}'::jsonb)
+    WHERE c.id = NEW.creator_id;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER creator_rates_sync_creator
+    AFTER INSERT ON public.creator_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_rates_sync_creator();
+
+COMMENT ON TABLE public.creator_rates IS 'Append-only creator rate entries; the latest effective entry per platform/deliverable is the current rate card';
+COMMENT ON VIEW public.creator_current_rates IS 'Current rate card: latest creator_rates row per creator, platform and deliverable with effective_date <= today';
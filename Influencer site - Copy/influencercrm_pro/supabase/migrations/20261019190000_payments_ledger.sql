@@ -0,0 +1,306 @@
+-- Location: supabase/migrations/20261019190000_payments_ledger.sql
+-- Schema Analysis: payment pages derived payments from campaign rows; executive dashboard queried a payments table no migration created
+-- Integration Type: addition - payments ledger per campaign assignment with partial payments, deductions and audited status transitions
+-- Dependencies: public.campaign_creators, public.campaigns, public.creators, auth.users
+
+-- ============================================================
+-- 1. ASSIGNMENT COLUMNS THE LEDGER ROLLS UP INTO (no-op where present)
+-- ============================================================
+ALTER TABLE public.campaign_creators
+ADD COLUMN IF NOT EXISTS fixed_amount NUMERIC(12,2),
+ADD COLUMN IF NOT EXISTS paid_amount NUMERIC(12,2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS payment_status TEXT DEFAULT 'pending';
+
+-- ============================================================
+-- 2. PAYMENTS
+-- ============================================================
+CREATE SEQUENCE IF NOT EXISTS public.payment_reference_seq;
+
+CREATE TABLE IF NOT EXISTS public.payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reference_number TEXT UNIQUE NOT NULL DEFAULT ('PAY-' || lpad(nextval('public.payment_reference_seq')::text, 6, '0')),
+    -- One assignment can be settled by several (partial) payments
+    campaign_creator_id UUID NOT NULL REFERENCES public.campaign_creators(id) ON DELETE RESTRICT,
+    -- Copied from the assignment so payments can be joined to creators and campaigns directly
+    campaign_id UUID REFERENCES public.campaigns(id) ON DELETE SET NULL,
+    creator_id UUID REFERENCES public.creators(id) ON DELETE SET NULL,
+    -- Gross fee; GST is added on top and TDS withheld, so the creator receives net_amount
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    tds_amount NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (tds_amount >= 0),
+    gst_amount NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (gst_amount >= 0),
+    net_amount NUMERIC(12,2) GENERATED ALWAYS AS (amount + gst_amount - tds_amount) STORED,
+    currency TEXT NOT NULL DEFAULT 'INR',
+    due_date DATE,
+    payment_method TEXT NOT NULL DEFAULT 'bank_transfer'
+        CHECK (payment_method IN ('bank_transfer', 'upi', 'cheque', 'cash', 'wallet')),
+    utr_number TEXT,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'paid', 'overdue', 'cancelled')),
+    -- Reason recorded with the next status change
+    status_note TEXT,
+    paid_at TIMESTAMPTZ,
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT payments_tds_within_amount CHECK (tds_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_assignment ON public.payments(campaign_creator_id);
+CREATE INDEX IF NOT EXISTS idx_payments_creator ON public.payments(creator_id);
+CREATE INDEX IF NOT EXISTS idx_payments_campaign ON public.payments(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status_due ON public.payments(status, due_date);
+
+-- Who moved each payment between statuses, and why
+CREATE TABLE IF NOT EXISTS public.payment_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    note TEXT,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    changed_by_email TEXT,
+    changed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_status_history_payment ON public.payment_status_history(payment_id, changed_at);
+
+CREATE TRIGGER update_payments_updated_at
+    BEFORE UPDATE ON public.payments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================
+-- 3. STATUS RULES
+-- ============================================================
+-- pending    -> processing, overdue, cancelled
+-- overdue    -> processing, cancelled
+-- processing -> paid, pending (bank rejected), cancelled
+-- paid, cancelled are final
+CREATE OR REPLACE FUNCTION public.payment_status_allowed(from_status TEXT, to_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT from_status = to_status OR (from_status, to_status) IN (
+        ('pending', 'processing'), ('pending', 'overdue'), ('pending', 'cancelled'),
+        ('overdue', 'processing'), ('overdue', 'cancelled'),
+        ('processing', 'paid'), ('processing', 'pending'), ('processing', 'cancelled')
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION public.payments_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    assignment RECORD;
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.campaign_creator_id IS DISTINCT FROM OLD.campaign_creator_id THEN
+        SELECT cc.campaign_id, cc.creator_id INTO assignment
+        FROM public.campaign_creators cc
+        WHERE cc.id = NEW.campaign_creator_id;
+
+        NEW.campaign_id := assignment.campaign_id;
+        NEW.creator_id := assignment.creator_id;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.status NOT IN ('pending', 'overdue') THEN
+            RAISE EXCEPTION 'New payments start as pending';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NOT public.payment_status_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'Payment % cannot move from % to %', OLD.reference_number, OLD.status, NEW.status;
+    END IF;
+
+    -- A note belongs to one transition; don't carry the last one forward
+    IF NEW.status IS DISTINCT FROM OLD.status AND NEW.status_note IS NOT DISTINCT FROM OLD.status_note THEN
+        NEW.status_note := NULL;
+    END IF;
+
+    IF OLD.status IN ('paid', 'cancelled')
+       AND (NEW.amount, NEW.tds_amount, NEW.gst_amount, NEW.campaign_creator_id)
+           IS DISTINCT FROM (OLD.amount, OLD.tds_amount, OLD.gst_amount, OLD.campaign_creator_id) THEN
+        RAISE EXCEPTION 'Payment % is % and can no longer be changed', OLD.reference_number, OLD.status;
+    END IF;
+
+    IF NEW.status = 'paid' AND OLD.status <> 'paid' THEN
+        IF NEW.payment_method IN ('bank_transfer', 'upi') AND COALESCE(trim(NEW.utr_number), '') = '' THEN
+            RAISE EXCEPTION 'A UTR number is required to mark payment % as paid', OLD.reference_number;
+        END IF;
+        NEW.paid_at := COALESCE(NEW.paid_at, CURRENT_TIMESTAMP);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER payments_before_write
+    BEFORE INSERT OR UPDATE ON public.payments
+    FOR EACH ROW
+    EXECUTE FUNCTION public.payments_before_write();
+
+-- Record each transition and roll paid totals up to the assignment
+CREATE OR REPLACE FUNCTION public.payments_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_assignment UUID;
+    contracted NUMERIC(12,2);
+    paid_total NUMERIC(12,2);
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        target_assignment := OLD.campaign_creator_id;
+    ELSE
+        target_assignment := NEW.campaign_creator_id;
+
+        IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+            INSERT INTO public.payment_status_history (payment_id, from_status, to_status, note, changed_by, changed_by_email)
+            VALUES (
+                NEW.id,
+                CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+                NEW.status,
+                NEW.status_note,
+                auth.uid(),
+                auth.email()
+            );
+        END IF;
+    END IF;
+
+    SELECT cc.fixed_amount INTO contracted
+    FROM public.campaign_creators cc
+    WHERE cc.id = target_assignment;
+
+    SELECT COALESCE(sum(p.amount), 0) INTO paid_total
+    FROM public.payments p
+    WHERE p.campaign_creator_id = target_assignment
+      AND p.status = 'paid';
+
+    UPDATE public.campaign_creators
+    SET paid_amount = paid_total,
+        payment_status = CASE
+            WHEN paid_total = 0 THEN 'pending'
+            WHEN contracted IS NOT NULL AND paid_total < contracted THEN 'partial'
+            ELSE 'paid'
+        END
+    WHERE id = target_assignment;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER payments_after_write
+    AFTER INSERT OR UPDATE OR DELETE ON public.payments
+    FOR EACH ROW
+    EXECUTE FUNCTION public.payments_after_write();
+
+-- Pending payments past their due date become overdue. Called by the
+-- payment pages before loading; safe to schedule with pg_cron as well.
+CREATE OR REPLACE FUNCTION public.refresh_overdue_payments()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    updated_count INTEGER;
+BEGIN
+    UPDATE public.payments
+    SET status = 'overdue',
+        status_note = 'Past due date'
+    WHERE status = 'pending'
+      AND due_date < CURRENT_DATE;
+
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.refresh_overdue_payments() TO authenticated;
+
+-- ============================================================
+-- 4. OUTSTANDING BALANCE PER ASSIGNMENT
+-- ============================================================
+CREATE OR REPLACE VIEW public.campaign_creator_balances
+WITH (security_invoker = true) AS
+SELECT
+    cc.id AS campaign_creator_id,
+    cc.campaign_id,
+    cc.creator_id,
+    cc.fixed_amount,
+    COALESCE(sum(p.amount) FILTER (WHERE p.status = 'paid'), 0) AS paid_amount,
+    COALESCE(sum(p.amount) FILTER (WHERE p.status IN ('pending', 'processing', 'overdue')), 0) AS scheduled_amount,
+    GREATEST(
+        COALESCE(cc.fixed_amount, 0) - COALESCE(sum(p.amount) FILTER (WHERE p.status <> 'cancelled'), 0),
+        0
+    ) AS unscheduled_amount
+FROM public.campaign_creators cc
+LEFT JOIN public.payments p ON p.campaign_creator_id = cc.id
+GROUP BY cc.id, cc.campaign_id, cc.creator_id, cc.fixed_amount;
+
+GRANT SELECT ON public.campaign_creator_balances TO authenticated;
+
+-- ============================================================
+-- 5. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payment_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_payments"
+ON public.payments
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_payments"
+ON public.payments
+FOR INSERT
+TO authenticated
+WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "authenticated_users_can_update_payments"
+ON public.payments
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+-- Only unpaid payments can be removed, and only by admins
+CREATE POLICY "admins_can_delete_unpaid_payments"
+ON public.payments
+FOR DELETE
+TO authenticated
+USING (
+    status IN ('pending', 'overdue', 'cancelled')
+    AND EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin')
+    )
+);
+
+CREATE POLICY "authenticated_users_can_view_payment_status_history"
+ON public.payment_status_history
+FOR SELECT
+TO authenticated
+USING (true);
+
+-- Payment processing center refreshes on ledger changes
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.payments;
+    END IF;
+END $$;
+
+COMMENT ON TABLE public.payments IS 'Payments ledger: one row per (partial) payment against a campaign_creators assignment';
+COMMENT ON TABLE public.payment_status_history IS 'Audit trail of payment status transitions, written by trigger';
+COMMENT ON VIEW public.campaign_creator_balances IS 'Contracted, paid, scheduled and not-yet-scheduled amounts per campaign assignment';
@@ -0,0 +1,448 @@
+-- Location: supabase/migrations/20261019200000_payment_approvals.sql
+-- Schema Analysis: any logged-in user could move a payment straight to processing or paid; nothing was written to audit_logs
+-- Integration Type: modification - maker-checker approval step on public.payments with amount-based approver counts
+-- Dependencies: public.payments, public.payment_status_history, public.system_settings, public.users, public.user_roles, public.audit_logs, public.notifications
+
+-- ============================================================
+-- 1. APPROVAL THRESHOLDS
+-- ============================================================
+-- Payments whose net amount is at least min_amount need that many distinct
+-- approvers. The highest matching tier wins.
+INSERT INTO public.system_settings (setting_key, setting_value, setting_category, description, is_public) VALUES
+    ('payment_approval_thresholds', '[
+        {"min_amount": 0, "approvals": 1},
+        {"min_amount": 100000, "approvals": 2}
+    ]'::jsonb, 'payment', 'Number of distinct approvers required by payment net amount (INR)', true)
+ON CONFLICT (setting_key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.payment_required_approvals(net_amount NUMERIC)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE((
+        SELECT GREATEST((tier->>'approvals')::INTEGER, 1)
+        FROM public.system_settings s,
+             jsonb_array_elements(s.setting_value) AS tier
+        WHERE s.setting_key = 'payment_approval_thresholds'
+          AND net_amount >= (tier->>'min_amount')::NUMERIC
+        ORDER BY (tier->>'min_amount')::NUMERIC DESC
+        LIMIT 1
+    ), 1);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.payment_required_approvals(NUMERIC) TO authenticated;
+
+-- Approvers are super admins or roles granted payments.approve
+CREATE OR REPLACE FUNCTION public.can_approve_payments()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+          AND u.is_active IS NOT FALSE
+          AND (ur.role_name = 'super_admin' OR ur.permissions ? 'all' OR ur.permissions ? 'payments.approve')
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_approve_payments() TO authenticated;
+
+UPDATE public.user_roles
+SET permissions = permissions || '["payments.approve"]'::jsonb
+WHERE role_name = 'admin'
+  AND NOT permissions ? 'payments.approve';
+
+-- ============================================================
+-- 2. PAYMENT COLUMNS AND STATUSES
+-- ============================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS requested_by_email TEXT,
+ADD COLUMN IF NOT EXISTS requested_at TIMESTAMPTZ,
+-- Bumped each time the payment is sent for approval; approvals only count for the current round
+ADD COLUMN IF NOT EXISTS approval_round INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS required_approvals INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS approval_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ;
+
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE public.payments ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('pending', 'awaiting_approval', 'approved', 'processing', 'paid', 'overdue', 'cancelled'));
+
+CREATE TABLE IF NOT EXISTS public.payment_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    approval_round INTEGER NOT NULL,
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    comment TEXT,
+    approver_id UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    approver_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT payment_approvals_one_per_approver UNIQUE (payment_id, approval_round, approver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_approvals_payment ON public.payment_approvals(payment_id, created_at);
+
+-- ============================================================
+-- 3. STATUS RULES
+-- ============================================================
+-- pending           -> awaiting_approval, overdue, cancelled
+-- overdue           -> awaiting_approval, cancelled
+-- awaiting_approval -> approved (decide_payment_approval only),
+--                      pending (rejected, or withdrawn by the requester), cancelled
+-- approved          -> processing (approvers other than the requester), cancelled
+-- processing        -> paid (approvers other than the requester), approved (bank rejected), cancelled
+-- paid, cancelled are final
+CREATE OR REPLACE FUNCTION public.payment_status_allowed(from_status TEXT, to_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT from_status = to_status OR (from_status, to_status) IN (
+        ('pending', 'awaiting_approval'), ('pending', 'overdue'), ('pending', 'cancelled'),
+        ('overdue', 'awaiting_approval'), ('overdue', 'cancelled'),
+        ('awaiting_approval', 'approved'), ('awaiting_approval', 'pending'), ('awaiting_approval', 'cancelled'),
+        ('approved', 'processing'), ('approved', 'cancelled'),
+        ('processing', 'paid'), ('processing', 'approved'), ('processing', 'cancelled')
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION public.payments_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    assignment RECORD;
+    -- Set by decide_payment_approval for the duration of its transaction
+    deciding BOOLEAN := COALESCE(current_setting('app.payment_decision', true), '') = 'on';
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.campaign_creator_id IS DISTINCT FROM OLD.campaign_creator_id THEN
+        SELECT cc.campaign_id, cc.creator_id INTO assignment
+        FROM public.campaign_creators cc
+        WHERE cc.id = NEW.campaign_creator_id;
+
+        NEW.campaign_id := assignment.campaign_id;
+        NEW.creator_id := assignment.creator_id;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.status NOT IN ('pending', 'overdue') THEN
+            RAISE EXCEPTION 'New payments start as pending';
+        END IF;
+        NEW.approval_round := 0;
+        NEW.approval_count := 0;
+        RETURN NEW;
+    END IF;
+
+    IF NOT public.payment_status_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'Payment % cannot move from % to %', OLD.reference_number, OLD.status, NEW.status;
+    END IF;
+
+    IF OLD.status = 'awaiting_approval' AND NEW.status = 'approved' AND NOT deciding THEN
+        RAISE EXCEPTION 'Payment % must be approved through the approval workflow', OLD.reference_number;
+    END IF;
+
+    -- Releasing money is a checker step too: sending to the bank (processing) and
+    -- marking paid need the same permission as approving, and never by the
+    -- requester. Service-role jobs (no auth.uid()) are not gated.
+    IF NEW.status IN ('processing', 'paid') AND NEW.status IS DISTINCT FROM OLD.status AND auth.uid() IS NOT NULL THEN
+        IF NOT public.can_approve_payments() THEN
+            RAISE EXCEPTION 'You do not have permission to mark payment % as %', OLD.reference_number, NEW.status;
+        END IF;
+        IF auth.uid() IS NOT DISTINCT FROM OLD.requested_by THEN
+            RAISE EXCEPTION 'Payment % was requested by you; a different user must mark it as %', OLD.reference_number, NEW.status;
+        END IF;
+    END IF;
+
+    IF OLD.status = 'awaiting_approval' AND NEW.status = 'pending'
+       AND NOT deciding AND auth.uid() IS DISTINCT FROM OLD.requested_by THEN
+        RAISE EXCEPTION 'Only the requester can withdraw payment %; approvers must reject it with a comment', OLD.reference_number;
+    END IF;
+
+    -- Approval state is owned by the workflow, not by direct updates
+    IF NOT deciding THEN
+        NEW.approval_round := OLD.approval_round;
+        NEW.approval_count := OLD.approval_count;
+        NEW.required_approvals := OLD.required_approvals;
+        NEW.approved_at := OLD.approved_at;
+        NEW.requested_by := OLD.requested_by;
+        NEW.requested_by_email := OLD.requested_by_email;
+        NEW.requested_at := OLD.requested_at;
+    END IF;
+
+    -- A note belongs to one transition; don't carry the last one forward
+    IF NEW.status IS DISTINCT FROM OLD.status AND NEW.status_note IS NOT DISTINCT FROM OLD.status_note THEN
+        NEW.status_note := NULL;
+    END IF;
+
+    -- What was approved is what gets paid
+    IF OLD.status NOT IN ('pending', 'overdue')
+       AND (NEW.amount, NEW.tds_amount, NEW.gst_amount, NEW.campaign_creator_id, NEW.payment_method)
+           IS DISTINCT FROM (OLD.amount, OLD.tds_amount, OLD.gst_amount, OLD.campaign_creator_id, OLD.payment_method) THEN
+        RAISE EXCEPTION 'Payment % is % and its amounts can no longer be changed', OLD.reference_number, OLD.status;
+    END IF;
+
+    IF NEW.status = 'awaiting_approval' AND OLD.status <> 'awaiting_approval' THEN
+        NEW.requested_by := auth.uid();
+        NEW.requested_by_email := auth.email();
+        NEW.requested_at := CURRENT_TIMESTAMP;
+        NEW.approval_round := OLD.approval_round + 1;
+        NEW.approval_count := 0;
+        NEW.approved_at := NULL;
+        -- net_amount is generated after BEFORE triggers run
+        NEW.required_approvals := public.payment_required_approvals(NEW.amount + NEW.gst_amount - NEW.tds_amount);
+    END IF;
+
+    IF NEW.status = 'paid' AND OLD.status <> 'paid' THEN
+        IF NEW.payment_method IN ('bank_transfer', 'upi') AND COALESCE(trim(NEW.utr_number), '') = '' THEN
+            RAISE EXCEPTION 'A UTR number is required to mark payment % as paid', OLD.reference_number;
+        END IF;
+        NEW.paid_at := COALESCE(NEW.paid_at, CURRENT_TIMESTAMP);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Record each transition in the payment history and audit_logs, and roll
+-- paid totals up to the assignment
+CREATE OR REPLACE FUNCTION public.payments_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_assignment UUID;
+    contracted NUMERIC(12,2);
+    paid_total NUMERIC(12,2);
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        target_assignment := OLD.campaign_creator_id;
+
+        INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values)
+        VALUES (
+            (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+            'payment_deleted',
+            'payment',
+            OLD.id,
+            jsonb_build_object('reference_number', OLD.reference_number, 'status', OLD.status, 'amount', OLD.amount)
+        );
+    ELSE
+        target_assignment := NEW.campaign_creator_id;
+
+        IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+            INSERT INTO public.payment_status_history (payment_id, from_status, to_status, note, changed_by, changed_by_email)
+            VALUES (
+                NEW.id,
+                CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+                NEW.status,
+                NEW.status_note,
+                auth.uid(),
+                auth.email()
+            );
+
+            INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+            VALUES (
+                (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+                CASE WHEN TG_OP = 'INSERT' THEN 'payment_created' ELSE 'payment_status_changed' END,
+                'payment',
+                NEW.id,
+                CASE WHEN TG_OP = 'UPDATE' THEN jsonb_build_object('status', OLD.status) END,
+                jsonb_build_object(
+                    'reference_number', NEW.reference_number,
+                    'status', NEW.status,
+                    'net_amount', NEW.net_amount,
+                    'note', NEW.status_note,
+                    'approval_round', NEW.approval_round,
+                    'required_approvals', NEW.required_approvals
+                )
+            );
+        END IF;
+    END IF;
+
+    SELECT cc.fixed_amount INTO contracted
+    FROM public.campaign_creators cc
+    WHERE cc.id = target_assignment;
+
+    SELECT COALESCE(sum(p.amount), 0) INTO paid_total
+    FROM public.payments p
+    WHERE p.campaign_creator_id = target_assignment
+      AND p.status = 'paid';
+
+    UPDATE public.campaign_creators
+    SET paid_amount = paid_total,
+        payment_status = CASE
+            WHEN paid_total = 0 THEN 'pending'
+            WHEN contracted IS NOT NULL AND paid_total < contracted THEN 'partial'
+            ELSE 'paid'
+        END
+    WHERE id = target_assignment;
+
+    RETURN NULL;
+END;
+$$;
+
+-- ============================================================
+-- 4. APPROVE / REJECT
+-- ============================================================
+-- Records one approver's decision for the current round. Rejections need a
+-- comment and send the payment back to pending; approvals move it to
+-- approved once required_approvals distinct approvers have signed off.
+-- The requester can never approve their own payment.
+CREATE OR REPLACE FUNCTION public.decide_payment_approval(p_payment_id UUID, p_decision TEXT, p_comment TEXT DEFAULT NULL)
+RETURNS SETOF public.payments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target public.payments%ROWTYPE;
+    approvals_so_far INTEGER;
+    clean_comment TEXT := NULLIF(trim(COALESCE(p_comment, '')), '');
+BEGIN
+    IF p_decision NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Decision must be approved or rejected';
+    END IF;
+
+    IF NOT public.can_approve_payments() THEN
+        RAISE EXCEPTION 'You do not have permission to approve payments';
+    END IF;
+
+    SELECT * INTO target FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found';
+    END IF;
+
+    IF target.status <> 'awaiting_approval' THEN
+        RAISE EXCEPTION 'Payment % is not awaiting approval', target.reference_number;
+    END IF;
+
+    IF target.requested_by = auth.uid() THEN
+        RAISE EXCEPTION 'Payment % was requested by you; a different user must approve it', target.reference_number;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.payment_approvals pa
+        WHERE pa.payment_id = target.id
+          AND pa.approval_round = target.approval_round
+          AND pa.approver_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'You have already approved payment %', target.reference_number;
+    END IF;
+
+    IF p_decision = 'rejected' AND clean_comment IS NULL THEN
+        RAISE EXCEPTION 'A comment is required to reject payment %', target.reference_number;
+    END IF;
+
+    INSERT INTO public.payment_approvals (payment_id, approval_round, decision, comment, approver_id, approver_email)
+    VALUES (target.id, target.approval_round, p_decision, clean_comment, auth.uid(), auth.email());
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        'payment_' || p_decision,
+        'payment',
+        target.id,
+        jsonb_build_object(
+            'reference_number', target.reference_number,
+            'approval_round', target.approval_round,
+            'comment', clean_comment
+        )
+    );
+
+    PERFORM set_config('app.payment_decision', 'on', true);
+
+    IF p_decision = 'rejected' THEN
+        UPDATE public.payments
+        SET status = 'pending',
+            approval_count = 0,
+            status_note = 'Rejected: ' || clean_comment
+        WHERE id = target.id;
+    ELSE
+        SELECT count(*) INTO approvals_so_far
+        FROM public.payment_approvals pa
+        WHERE pa.payment_id = target.id
+          AND pa.approval_round = target.approval_round
+          AND pa.decision = 'approved';
+
+        IF approvals_so_far >= target.required_approvals THEN
+            UPDATE public.payments
+            SET status = 'approved',
+                approval_count = approvals_so_far,
+                approved_at = CURRENT_TIMESTAMP,
+                status_note = COALESCE(clean_comment, 'Approved')
+            WHERE id = target.id;
+        ELSE
+            UPDATE public.payments
+            SET approval_count = approvals_so_far,
+                status_note = format('Approval %s of %s', approvals_so_far, target.required_approvals)
+            WHERE id = target.id;
+        END IF;
+    END IF;
+
+    PERFORM set_config('app.payment_decision', 'off', true);
+
+    -- Tell the requester once the payment is approved or sent back
+    IF target.requested_by IS NOT NULL
+       AND (p_decision = 'rejected' OR approvals_so_far >= target.required_approvals) THEN
+        INSERT INTO public.notifications (recipient_id, type, title, message, link, entity_type, entity_id)
+        VALUES (
+            target.requested_by,
+            'payment_' || p_decision,
+            format('Payment %s %s', target.reference_number, p_decision),
+            COALESCE(clean_comment, ''),
+            '/payment-processing-center',
+            'payment',
+            target.id
+        );
+    END IF;
+
+    RETURN QUERY SELECT * FROM public.payments WHERE id = target.id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.decide_payment_approval(UUID, TEXT, TEXT) TO authenticated;
+
+-- ============================================================
+-- 5. BALANCES: anything not paid or cancelled is scheduled
+-- ============================================================
+CREATE OR REPLACE VIEW public.campaign_creator_balances
+WITH (security_invoker = true) AS
+SELECT
+    cc.id AS campaign_creator_id,
+    cc.campaign_id,
+    cc.creator_id,
+    cc.fixed_amount,
+    COALESCE(sum(p.amount) FILTER (WHERE p.status = 'paid'), 0) AS paid_amount,
+    COALESCE(sum(p.amount) FILTER (WHERE p.status NOT IN ('paid', 'cancelled')), 0) AS scheduled_amount,
+    GREATEST(
+        COALESCE(cc.fixed_amount, 0) - COALESCE(sum(p.amount) FILTER (WHERE p.status <> 'cancelled'), 0),
+        0
+    ) AS unscheduled_amount
+FROM public.campaign_creators cc
+LEFT JOIN public.payments p ON p.campaign_creator_id = cc.id
+GROUP BY cc.id, cc.campaign_id, cc.creator_id, cc.fixed_amount;
+
+-- ============================================================
+-- 6. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.payment_approvals ENABLE ROW LEVEL SECURITY;
+
+-- Written only by decide_payment_approval
+CREATE POLICY "authenticated_users_can_view_payment_approvals"
+ON public.payment_approvals
+FOR SELECT
+TO authenticated
+USING (true);
+
+COMMENT ON TABLE public.payment_approvals IS 'Approver decisions per payment and approval round (maker-checker)';
+COMMENT ON COLUMN public.payments.required_approvals IS 'Distinct approvers needed for the current round, from the payment_approval_thresholds setting';
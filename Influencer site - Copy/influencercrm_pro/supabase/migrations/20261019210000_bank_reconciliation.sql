@@ -0,0 +1,195 @@
+-- Location: supabase/migrations/20261019210000_bank_reconciliation.sql
+-- Schema Analysis: payments showed a "bank reconciled" flag that only mirrored status = 'paid'; no bank data was stored
+-- Integration Type: addition - imported bank statements, per-line match proposals, confirmed reconciliation and an exceptions queue
+-- Dependencies: public.payments, public.audit_logs, public.users, auth.users
+
+-- ============================================================
+-- 1. STATEMENTS AND LINES
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.bank_statements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_name TEXT NOT NULL,
+    -- Detected export layout, e.g. hdfc, icici, sbi, axis, kotak, generic
+    bank_format TEXT,
+    period_from DATE,
+    period_to DATE,
+    line_count INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS public.bank_statement_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    statement_id UUID NOT NULL REFERENCES public.bank_statements(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    txn_date DATE,
+    description TEXT,
+    reference TEXT,
+    utr TEXT,
+    payee_name TEXT,
+    amount NUMERIC(14,2) NOT NULL,
+    direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+    balance NUMERIC(14,2),
+    raw JSONB,
+    -- proposed: matcher suggested payment_id; reconciled: confirmed;
+    -- exception: debit with no confirmed payment; ignored: resolved without a payment
+    status TEXT NOT NULL DEFAULT 'exception'
+        CHECK (status IN ('proposed', 'reconciled', 'exception', 'ignored')),
+    payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+    match_score INTEGER,
+    match_reasons TEXT[] NOT NULL DEFAULT '{}',
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_by_email TEXT,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT bank_statement_lines_reconciled_has_payment CHECK (status <> 'reconciled' OR payment_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_statement ON public.bank_statement_lines(statement_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_status ON public.bank_statement_lines(status);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_utr ON public.bank_statement_lines(utr) WHERE utr IS NOT NULL;
+-- A payment is reconciled against at most one bank line
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_statement_lines_one_per_payment
+    ON public.bank_statement_lines(payment_id) WHERE status = 'reconciled';
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS reconciled_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS bank_statement_line_id UUID REFERENCES public.bank_statement_lines(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- 2. CONFIRM A MATCH
+-- ============================================================
+-- Ties a debit line to a payment. A payment still in processing is marked
+-- paid, taking the UTR from the bank line when none was recorded.
+CREATE OR REPLACE FUNCTION public.reconcile_bank_line(p_line_id UUID, p_payment_id UUID)
+RETURNS SETOF public.bank_statement_lines
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    line public.bank_statement_lines%ROWTYPE;
+    target public.payments%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to reconcile payments';
+    END IF;
+
+    SELECT * INTO line FROM public.bank_statement_lines WHERE id = p_line_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Bank statement line not found';
+    END IF;
+    IF line.status = 'reconciled' THEN
+        RAISE EXCEPTION 'Bank line % is already reconciled', line.line_number;
+    END IF;
+    IF line.direction <> 'debit' THEN
+        RAISE EXCEPTION 'Only debit lines can be reconciled against payments';
+    END IF;
+
+    SELECT * INTO target FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment not found';
+    END IF;
+    IF target.reconciled_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Payment % is already reconciled', target.reference_number;
+    END IF;
+    IF target.status NOT IN ('processing', 'paid') THEN
+        RAISE EXCEPTION 'Payment % is % and has not been sent to the bank', target.reference_number, target.status;
+    END IF;
+
+    UPDATE public.payments
+    SET status = 'paid',
+        utr_number = COALESCE(NULLIF(trim(utr_number), ''), line.utr, line.reference),
+        paid_at = COALESCE(paid_at, line.txn_date::TIMESTAMPTZ),
+        status_note = CASE WHEN status = 'processing' THEN 'Confirmed by bank statement' ELSE status_note END,
+        reconciled_at = CURRENT_TIMESTAMP,
+        reconciled_by = auth.uid(),
+        bank_statement_line_id = line.id
+    WHERE id = target.id;
+
+    UPDATE public.bank_statement_lines
+    SET status = 'reconciled',
+        payment_id = target.id,
+        resolved_by = auth.uid(),
+        resolved_by_email = auth.email(),
+        resolved_at = CURRENT_TIMESTAMP
+    WHERE id = line.id;
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        'payment_reconciled',
+        'payment',
+        target.id,
+        jsonb_build_object(
+            'reference_number', target.reference_number,
+            'bank_statement_line_id', line.id,
+            'utr', line.utr,
+            'amount', line.amount,
+            'txn_date', line.txn_date,
+            'match_score', line.match_score
+        )
+    );
+
+    RETURN QUERY SELECT * FROM public.bank_statement_lines WHERE id = line.id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.reconcile_bank_line(UUID, UUID) TO authenticated;
+
+-- ============================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.bank_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.bank_statement_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_bank_statements"
+ON public.bank_statements
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_import_bank_statements"
+ON public.bank_statements
+FOR INSERT
+TO authenticated
+WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "admins_can_delete_bank_statements"
+ON public.bank_statements
+FOR DELETE
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin')
+    )
+);
+
+CREATE POLICY "authenticated_users_can_view_bank_statement_lines"
+ON public.bank_statement_lines
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_import_bank_statement_lines"
+ON public.bank_statement_lines
+FOR INSERT
+TO authenticated
+WITH CHECK (status <> 'reconciled');
+
+-- Review actions (reject a proposal, resolve an exception); reconciling goes through reconcile_bank_line
+CREATE POLICY "authenticated_users_can_review_bank_statement_lines"
+ON public.bank_statement_lines
+FOR UPDATE
+TO authenticated
+USING (status <> 'reconciled')
+WITH CHECK (status <> 'reconciled');
+
+COMMENT ON TABLE public.bank_statements IS 'Imported bank statement files used for payment reconciliation';
+COMMENT ON TABLE public.bank_statement_lines IS 'Bank statement transactions with proposed or confirmed payment matches; debit lines left unmatched form the exceptions queue';
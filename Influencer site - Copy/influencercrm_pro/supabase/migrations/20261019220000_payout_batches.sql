@@ -0,0 +1,277 @@
+-- Location: supabase/migrations/20261019220000_payout_batches.sql
+-- Schema Analysis: creators had no bank details, so every approved payment was keyed into the bank portal by hand
+-- Integration Type: addition - creator bank accounts, payout batches and a batch RPC that moves approved payments to processing
+-- Dependencies: public.creators, public.payments, public.system_settings, public.users, public.user_roles, public.audit_logs
+
+-- ============================================================
+-- 1. WHO HANDLES PAYOUTS
+-- ============================================================
+-- Bank details and payout files are restricted to finance-facing roles
+CREATE OR REPLACE FUNCTION public.can_manage_payouts()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+          AND u.is_active IS NOT FALSE
+          AND ur.role_name IN ('super_admin', 'admin', 'manager')
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_manage_payouts() TO authenticated;
+
+-- ============================================================
+-- 2. CREATOR BANK ACCOUNTS
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.creator_bank_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_id UUID NOT NULL UNIQUE REFERENCES public.creators(id) ON DELETE CASCADE,
+    beneficiary_name TEXT NOT NULL CHECK (length(trim(beneficiary_name)) > 0),
+    account_number TEXT NOT NULL CHECK (account_number ~ '^[0-9]{9,18}$'),
+    -- 4-letter bank code, a literal 0, then a 6-character branch code
+    ifsc_code TEXT NOT NULL CHECK (ifsc_code ~ '^[A-Z]{4}0[A-Z0-9]{6}$'),
+    bank_name TEXT,
+    branch_name TEXT,
+    account_type TEXT NOT NULL DEFAULT 'savings' CHECK (account_type IN ('savings', 'current')),
+    pan_number TEXT CHECK (pan_number IS NULL OR pan_number ~ '^[A-Z]{5}[0-9]{4}[A-Z]$'),
+    beneficiary_email TEXT,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    updated_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION public.creator_bank_accounts_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.beneficiary_name := trim(NEW.beneficiary_name);
+    NEW.account_number := regexp_replace(NEW.account_number, '\s', '', 'g');
+    NEW.ifsc_code := upper(trim(NEW.ifsc_code));
+    NEW.pan_number := NULLIF(upper(trim(NEW.pan_number)), '');
+    NEW.updated_by := auth.uid();
+    NEW.updated_by_email := auth.email();
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS creator_bank_accounts_before_write ON public.creator_bank_accounts;
+CREATE TRIGGER creator_bank_accounts_before_write
+    BEFORE INSERT OR UPDATE ON public.creator_bank_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_bank_accounts_before_write();
+
+-- Changing where money goes is audited; account and PAN numbers are logged masked
+CREATE OR REPLACE FUNCTION public.creator_bank_accounts_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    masked_old JSONB;
+    masked_new JSONB;
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        masked_old := jsonb_build_object(
+            'account_number', 'XXXX' || right(OLD.account_number, 4),
+            'ifsc_code', OLD.ifsc_code,
+            'beneficiary_name', OLD.beneficiary_name,
+            'pan_number', 'XXXXXX' || right(OLD.pan_number, 4)
+        );
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        masked_new := jsonb_build_object(
+            'account_number', 'XXXX' || right(NEW.account_number, 4),
+            'ifsc_code', NEW.ifsc_code,
+            'beneficiary_name', NEW.beneficiary_name,
+            'pan_number', 'XXXXXX' || right(NEW.pan_number, 4)
+        );
+    END IF;
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        CASE TG_OP WHEN 'DELETE' THEN 'bank_details_deleted' ELSE 'bank_details_updated' END,
+        'creator',
+        COALESCE(NEW.creator_id, OLD.creator_id),
+        masked_old,
+        masked_new
+    );
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS creator_bank_accounts_after_write ON public.creator_bank_accounts;
+CREATE TRIGGER creator_bank_accounts_after_write
+    AFTER INSERT OR UPDATE OR DELETE ON public.creator_bank_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_bank_accounts_after_write();
+
+-- ============================================================
+-- 3. PAYOUT BATCHES
+-- ============================================================
+CREATE SEQUENCE IF NOT EXISTS public.payout_batch_seq;
+
+CREATE TABLE IF NOT EXISTS public.payout_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_number TEXT UNIQUE NOT NULL DEFAULT ('PB-' || lpad(nextval('public.payout_batch_seq')::text, 6, '0')),
+    -- Key of the bank upload layout used, e.g. hdfc, icici, sbi, generic
+    bank_format TEXT NOT NULL,
+    file_format TEXT NOT NULL CHECK (file_format IN ('csv', 'fixed_width')),
+    -- auto: RTGS from the RTGS minimum upwards, NEFT below it
+    transfer_mode TEXT NOT NULL DEFAULT 'auto' CHECK (transfer_mode IN ('auto', 'NEFT', 'RTGS')),
+    value_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    payment_count INTEGER NOT NULL DEFAULT 0,
+    total_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS payout_batch_id UUID REFERENCES public.payout_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_payout_batch ON public.payments(payout_batch_id) WHERE payout_batch_id IS NOT NULL;
+
+-- Layout overrides per bank key (merged over the built-in layouts in the
+-- app), e.g. {"hdfc": {"debitAccountNumber": "50200012345678"}}
+INSERT INTO public.system_settings (setting_key, setting_value, setting_category, description, is_public) VALUES
+    ('payout_file_layouts', '{}'::jsonb, 'payment', 'Bulk payout file layout overrides and debit account per bank', false)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Puts approved bank-transfer payments into one batch and moves them to
+-- processing together; if any payment is not ready, nothing changes.
+CREATE OR REPLACE FUNCTION public.create_payout_batch(
+    p_payment_ids UUID[],
+    p_bank_format TEXT,
+    p_file_format TEXT,
+    p_transfer_mode TEXT DEFAULT 'auto',
+    p_value_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS SETOF public.payout_batches
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    batch public.payout_batches%ROWTYPE;
+    blocked RECORD;
+BEGIN
+    IF NOT public.can_manage_payouts() THEN
+        RAISE EXCEPTION 'You do not have permission to create payout files';
+    END IF;
+    IF COALESCE(array_length(p_payment_ids, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'Select at least one payment';
+    END IF;
+
+    PERFORM 1 FROM public.payments WHERE id = ANY(p_payment_ids) FOR UPDATE;
+
+    SELECT p.reference_number,
+           CASE
+               WHEN p.status <> 'approved' THEN 'is ' || p.status || ', not approved'
+               WHEN p.payment_method <> 'bank_transfer' THEN 'is not a bank transfer'
+               WHEN ba.id IS NULL THEN 'has no creator bank details'
+           END AS reason
+    INTO blocked
+    FROM public.payments p
+    LEFT JOIN public.creator_bank_accounts ba ON ba.creator_id = p.creator_id
+    WHERE p.id = ANY(p_payment_ids)
+      AND (p.status <> 'approved' OR p.payment_method <> 'bank_transfer' OR ba.id IS NULL)
+    LIMIT 1;
+
+    IF FOUND THEN
+        RAISE EXCEPTION 'Payment % %', blocked.reference_number, blocked.reason;
+    END IF;
+
+    INSERT INTO public.payout_batches (bank_format, file_format, transfer_mode, value_date, created_by_email, payment_count, total_amount)
+    SELECT p_bank_format, p_file_format, COALESCE(p_transfer_mode, 'auto'), COALESCE(p_value_date, CURRENT_DATE), auth.email(),
+           count(*), COALESCE(sum(net_amount), 0)
+    FROM public.payments
+    WHERE id = ANY(p_payment_ids)
+    RETURNING * INTO batch;
+
+    IF batch.payment_count <> array_length(p_payment_ids, 1) THEN
+        RAISE EXCEPTION 'Some selected payments no longer exist';
+    END IF;
+
+    UPDATE public.payments
+    SET status = 'processing',
+        status_note = 'Payout batch ' || batch.batch_number,
+        payout_batch_id = batch.id
+    WHERE id = ANY(p_payment_ids);
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        'payout_batch_created',
+        'payout_batch',
+        batch.id,
+        jsonb_build_object(
+            'batch_number', batch.batch_number,
+            'bank_format', batch.bank_format,
+            'file_format', batch.file_format,
+            'payment_count', batch.payment_count,
+            'total_amount', batch.total_amount
+        )
+    );
+
+    RETURN NEXT batch;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.create_payout_batch(UUID[], TEXT, TEXT, TEXT, DATE) TO authenticated;
+
+-- ============================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.creator_bank_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payout_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "payout_managers_can_view_creator_bank_accounts"
+ON public.creator_bank_accounts
+FOR SELECT
+TO authenticated
+USING (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_add_creator_bank_accounts"
+ON public.creator_bank_accounts
+FOR INSERT
+TO authenticated
+WITH CHECK (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_update_creator_bank_accounts"
+ON public.creator_bank_accounts
+FOR UPDATE
+TO authenticated
+USING (public.can_manage_payouts())
+WITH CHECK (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_delete_creator_bank_accounts"
+ON public.creator_bank_accounts
+FOR DELETE
+TO authenticated
+USING (public.can_manage_payouts());
+
+CREATE POLICY "authenticated_users_can_view_payout_batches"
+ON public.payout_batches
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "payout_managers_can_create_payout_batches"
+ON public.payout_batches
+FOR INSERT
+TO authenticated
+WITH CHECK (public.can_manage_payouts());
+
+COMMENT ON TABLE public.creator_bank_accounts IS 'Creator payout bank account, IFSC and PAN used for bulk NEFT/RTGS files';
+COMMENT ON TABLE public.payout_batches IS 'Bulk payout files sent to the bank; payments carry payout_batch_id while processing';
@@ -0,0 +1,253 @@
+-- Location: supabase/migrations/20261019230000_payment_documents.sql
+-- Schema Analysis: payments had no invoices or payment advices; creators were sent hand-made documents with ad-hoc numbers
+-- Integration Type: addition - creator invoices and payment advices numbered per financial year and archived against payments
+-- Dependencies: public.payments, public.creators, public.campaigns, public.system_settings, public.users, public.audit_logs, public.can_manage_payouts(), storage.buckets
+
+-- ============================================================
+-- 1. NUMBERING
+-- ============================================================
+-- Indian financial year (April to March) a date falls in, e.g. 2026-27
+CREATE OR REPLACE FUNCTION public.financial_year_label(p_date DATE)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN extract(month FROM p_date) >= 4
+            THEN extract(year FROM p_date)::int || '-' || lpad(((extract(year FROM p_date)::int + 1) % 100)::text, 2, '0')
+        ELSE (extract(year FROM p_date)::int - 1) || '-' || lpad((extract(year FROM p_date)::int % 100)::text, 2, '0')
+    END;
+$$;
+
+-- Last number issued per document type and financial year. Numbers come
+-- from a row update rather than a sequence so a rolled-back issue leaves
+-- no gap and each year starts again at 1.
+CREATE TABLE IF NOT EXISTS public.document_number_sequences (
+    document_type TEXT NOT NULL,
+    financial_year TEXT NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (document_type, financial_year)
+);
+
+-- ============================================================
+-- 2. PAYMENT DOCUMENTS
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.payment_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- INV/2026-27/000001 or PA/2026-27/000001
+    document_number TEXT UNIQUE NOT NULL,
+    document_type TEXT NOT NULL CHECK (document_type IN ('invoice', 'payment_advice')),
+    financial_year TEXT NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    -- payment: one payment; campaign: all of a creator's payments for a campaign
+    scope TEXT NOT NULL DEFAULT 'payment' CHECK (scope IN ('payment', 'campaign')),
+    creator_id UUID NOT NULL REFERENCES public.creators(id) ON DELETE RESTRICT,
+    campaign_id UUID REFERENCES public.campaigns(id) ON DELETE SET NULL,
+    payment_ids UUID[] NOT NULL CHECK (array_length(payment_ids, 1) > 0),
+    issue_date DATE NOT NULL,
+    gross_amount NUMERIC(14,2) NOT NULL,
+    gst_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+    tds_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+    net_amount NUMERIC(14,2) NOT NULL,
+    -- Parties, line items and tax breakup as printed, so the PDF can be rebuilt exactly
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Archived PDF in the payment-documents storage bucket
+    storage_path TEXT,
+    file_name TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_type, financial_year, sequence_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_documents_creator ON public.payment_documents(creator_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_documents_payment_ids ON public.payment_documents USING GIN (payment_ids);
+
+-- Issued documents are immutable apart from attaching the archived file
+CREATE OR REPLACE FUNCTION public.payment_documents_before_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF (to_jsonb(NEW) - 'storage_path' - 'file_name') IS DISTINCT FROM (to_jsonb(OLD) - 'storage_path' - 'file_name') THEN
+        RAISE EXCEPTION 'Issued document % cannot be changed', OLD.document_number;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_documents_before_update ON public.payment_documents;
+CREATE TRIGGER payment_documents_before_update
+    BEFORE UPDATE ON public.payment_documents
+    FOR EACH ROW
+    EXECUTE FUNCTION public.payment_documents_before_update();
+
+-- Issues the next number for the financial year of today's date (IST) and
+-- records the document. Amounts are summed from the payments themselves.
+CREATE OR REPLACE FUNCTION public.issue_payment_document(
+    p_document_type TEXT,
+    p_payment_ids UUID[],
+    p_scope TEXT DEFAULT 'payment',
+    p_details JSONB DEFAULT '{}'::jsonb
+)
+RETURNS SETOF public.payment_documents
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    doc public.payment_documents%ROWTYPE;
+    today DATE := (now() AT TIME ZONE 'Asia/Kolkata')::date;
+    fy TEXT := public.financial_year_label((now() AT TIME ZONE 'Asia/Kolkata')::date);
+    next_value INTEGER;
+    totals RECORD;
+BEGIN
+    IF NOT public.can_manage_payouts() THEN
+        RAISE EXCEPTION 'You do not have permission to issue payment documents';
+    END IF;
+    IF p_document_type NOT IN ('invoice', 'payment_advice') THEN
+        RAISE EXCEPTION 'Unknown document type %', p_document_type;
+    END IF;
+    IF COALESCE(array_length(p_payment_ids, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'Select at least one payment';
+    END IF;
+
+    SELECT count(*) AS payment_count,
+           count(DISTINCT creator_id) AS creator_count,
+           count(DISTINCT campaign_id) AS campaign_count,
+           min(creator_id::text)::uuid AS creator_id,
+           min(campaign_id::text)::uuid AS campaign_id,
+           count(*) FILTER (WHERE status = 'cancelled') AS cancelled_count,
+           count(*) FILTER (WHERE status <> 'paid') AS unpaid_count,
+           COALESCE(sum(amount), 0) AS gross_amount,
+           COALESCE(sum(gst_amount), 0) AS gst_amount,
+           COALESCE(sum(tds_amount), 0) AS tds_amount,
+           COALESCE(sum(net_amount), 0) AS net_amount
+    INTO totals
+    FROM public.payments
+    WHERE id = ANY(p_payment_ids);
+
+    IF totals.payment_count <> array_length(p_payment_ids, 1) THEN
+        RAISE EXCEPTION 'Some selected payments no longer exist';
+    END IF;
+    IF totals.creator_count > 1 OR totals.campaign_count > 1 THEN
+        RAISE EXCEPTION 'A document can only cover one creator and one campaign';
+    END IF;
+    IF totals.cancelled_count > 0 THEN
+        RAISE EXCEPTION 'Cancelled payments cannot be invoiced';
+    END IF;
+    IF p_document_type = 'payment_advice' AND totals.unpaid_count > 0 THEN
+        RAISE EXCEPTION 'A payment advice can only be issued for paid payments';
+    END IF;
+
+    INSERT INTO public.document_number_sequences (document_type, financial_year, last_value)
+    VALUES (p_document_type, fy, 1)
+    ON CONFLICT (document_type, financial_year)
+    DO UPDATE SET last_value = public.document_number_sequences.last_value + 1
+    RETURNING last_value INTO next_value;
+
+    INSERT INTO public.payment_documents (
+        document_number, document_type, financial_year, sequence_number, scope,
+        creator_id, campaign_id, payment_ids, issue_date,
+        gross_amount, gst_amount, tds_amount, net_amount, details, created_by_email
+    )
+    VALUES (
+        CASE p_document_type WHEN 'invoice' THEN 'INV' ELSE 'PA' END || '/' || fy || '/' || lpad(next_value::text, 6, '0'),
+        p_document_type, fy, next_value, COALESCE(p_scope, 'payment'),
+        totals.creator_id, totals.campaign_id, p_payment_ids, today,
+        totals.gross_amount, totals.gst_amount, totals.tds_amount, totals.net_amount,
+        COALESCE(p_details, '{}'::jsonb), auth.email()
+    )
+    RETURNING * INTO doc;
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        'payment_document_issued',
+        'payment_document',
+        doc.id,
+        jsonb_build_object(
+            'document_number', doc.document_number,
+            'document_type', doc.document_type,
+            'payment_ids', to_jsonb(doc.payment_ids),
+            'net_amount', doc.net_amount
+        )
+    );
+
+    RETURN NEXT doc;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.issue_payment_document(TEXT, UUID[], TEXT, JSONB) TO authenticated;
+
+-- ============================================================
+-- 3. BRANDING AND BILLING SETTINGS
+-- ============================================================
+-- Printed on invoices and advices; state decides CGST+SGST versus IGST
+INSERT INTO public.system_settings (setting_key, setting_value, setting_category, description, is_public) VALUES
+    ('platform_logo_url', '""'::jsonb, 'general', 'Logo image URL shown on generated documents', true),
+    ('billing_profile', '{
+        "legal_name": "",
+        "address": "",
+        "state": "",
+        "gstin": "",
+        "pan": "",
+        "email": "",
+        "phone": ""
+    }'::jsonb, 'payment', 'Company details printed on creator invoices and payment advices', false)
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- ============================================================
+-- 4. ARCHIVE BUCKET
+-- ============================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('payment-documents', 'payment-documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "payout_managers_can_read_payment_document_files"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING (bucket_id = 'payment-documents' AND public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_archive_payment_document_files"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK (bucket_id = 'payment-documents' AND public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_replace_payment_document_files"
+ON storage.objects
+FOR UPDATE
+TO authenticated
+USING (bucket_id = 'payment-documents' AND public.can_manage_payouts())
+WITH CHECK (bucket_id = 'payment-documents' AND public.can_manage_payouts());
+
+-- ============================================================
+-- 5. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.document_number_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payment_documents ENABLE ROW LEVEL SECURITY;
+
+-- document_number_sequences is only written through issue_payment_document
+CREATE POLICY "payout_managers_can_view_document_number_sequences"
+ON public.document_number_sequences
+FOR SELECT
+TO authenticated
+USING (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_view_payment_documents"
+ON public.payment_documents
+FOR SELECT
+TO authenticated
+USING (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_attach_payment_document_files"
+ON public.payment_documents
+FOR UPDATE
+TO authenticated
+USING (public.can_manage_payouts())
+WITH CHECK (public.can_manage_payouts());
+
+COMMENT ON TABLE public.payment_documents IS 'Creator invoices and payment advices, numbered per financial year and archived in the payment-documents bucket';
+COMMENT ON FUNCTION public.issue_payment_document(TEXT, UUID[], TEXT, JSONB) IS 'Assigns the next INV/PA number for the current financial year and records the document';
@@ -0,0 +1,240 @@
+-- Location: supabase/migrations/20261020000000_creator_tax_profiles.sql
+-- Schema Analysis: payments carried TDS/GST amounts typed in by hand; creators had a PAN on their bank details but no GSTIN, entity type or TDS section
+-- Integration Type: addition - creator tax profiles, configurable TDS/GST rates, the section and rates applied per payment, and a quarterly TDS summary
+-- Dependencies: public.creators, public.creator_bank_accounts, public.payments, public.system_settings, public.audit_logs, public.can_manage_payouts(), public.financial_year_label()
+
+-- ============================================================
+-- 1. CREATOR TAX PROFILES
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.creator_tax_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_id UUID NOT NULL UNIQUE REFERENCES public.creators(id) ON DELETE CASCADE,
+    -- Name as printed on the PAN card, reported in TDS returns
+    legal_name TEXT,
+    pan_number TEXT CHECK (pan_number IS NULL OR pan_number ~ '^[A-Z]{5}[0-9]{4}[A-Z]$'),
+    entity_type TEXT NOT NULL DEFAULT 'individual'
+        CHECK (entity_type IN ('individual', 'huf', 'firm', 'llp', 'company', 'other')),
+    -- Registered creators charge GST; the first two digits are the state code
+    gstin TEXT CHECK (gstin IS NULL OR gstin ~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$'),
+    -- Section TDS is deducted under by default; 'none' for creators paid without TDS
+    tds_section TEXT NOT NULL DEFAULT '194J' CHECK (tds_section IN ('194J', '194C', '194R', 'none')),
+    -- Lower deduction certificate (section 197)
+    lower_tds_rate NUMERIC(5,2) CHECK (lower_tds_rate IS NULL OR lower_tds_rate BETWEEN 0 AND 100),
+    lower_tds_certificate TEXT,
+    lower_tds_valid_until DATE,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    updated_by_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    -- Characters 3-12 of a GSTIN are the holder's PAN
+    CONSTRAINT creator_tax_profiles_gstin_matches_pan CHECK (
+        gstin IS NULL OR pan_number IS NULL OR substring(gstin FROM 3 FOR 10) = pan_number
+    )
+);
+
+CREATE OR REPLACE FUNCTION public.creator_tax_profiles_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.legal_name := NULLIF(trim(NEW.legal_name), '');
+    NEW.pan_number := NULLIF(upper(trim(NEW.pan_number)), '');
+    NEW.gstin := NULLIF(upper(trim(NEW.gstin)), '');
+    NEW.lower_tds_certificate := NULLIF(trim(NEW.lower_tds_certificate), '');
+    NEW.updated_by := auth.uid();
+    NEW.updated_by_email := auth.email();
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS creator_tax_profiles_before_write ON public.creator_tax_profiles;
+CREATE TRIGGER creator_tax_profiles_before_write
+    BEFORE INSERT OR UPDATE ON public.creator_tax_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_tax_profiles_before_write();
+
+-- Tax profile changes are audited with PAN and GSTIN masked, like bank account numbers
+CREATE OR REPLACE FUNCTION public.creator_tax_profiles_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        CASE TG_OP WHEN 'DELETE' THEN 'tax_profile_deleted' ELSE 'tax_profile_updated' END,
+        'creator',
+        COALESCE(NEW.creator_id, OLD.creator_id),
+        CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) - 'id' - 'created_at' - 'updated_at' - 'updated_by'
+            || jsonb_build_object('pan_number', 'XXXXXX' || right(OLD.pan_number, 4), 'gstin', 'XXXXXXXXXXX' || right(OLD.gstin, 4)) END,
+        CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) - 'id' - 'created_at' - 'updated_at' - 'updated_by'
+            || jsonb_build_object('pan_number', 'XXXXXX' || right(NEW.pan_number, 4), 'gstin', 'XXXXXXXXXXX' || right(NEW.gstin, 4)) END
+    );
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS creator_tax_profiles_after_write ON public.creator_tax_profiles;
+CREATE TRIGGER creator_tax_profiles_after_write
+    AFTER INSERT OR UPDATE OR DELETE ON public.creator_tax_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.creator_tax_profiles_after_write();
+
+-- ============================================================
+-- 2. MOVE PAN OFF BANK DETAILS
+-- ============================================================
+-- PAN belongs to the tax profile; bank details keep only where money goes
+INSERT INTO public.creator_tax_profiles (creator_id, legal_name, pan_number)
+SELECT ba.creator_id, ba.beneficiary_name, ba.pan_number
+FROM public.creator_bank_accounts ba
+WHERE ba.pan_number IS NOT NULL
+ON CONFLICT (creator_id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.creator_bank_accounts_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.beneficiary_name := trim(NEW.beneficiary_name);
+    NEW.account_number := regexp_replace(NEW.account_number, '\s', '', 'g');
+    NEW.ifsc_code := upper(trim(NEW.ifsc_code));
+    NEW.updated_by := auth.uid();
+    NEW.updated_by_email := auth.email();
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.creator_bank_accounts_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    masked_old JSONB;
+    masked_new JSONB;
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        masked_old := jsonb_build_object(
+            'account_number', 'XXXX' || right(OLD.account_number, 4),
+            'ifsc_code', OLD.ifsc_code,
+            'beneficiary_name', OLD.beneficiary_name
+        );
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        masked_new := jsonb_build_object(
+            'account_number', 'XXXX' || right(NEW.account_number, 4),
+            'ifsc_code', NEW.ifsc_code,
+            'beneficiary_name', NEW.beneficiary_name
+        );
+    END IF;
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+    VALUES (
+        (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+        CASE TG_OP WHEN 'DELETE' THEN 'bank_details_deleted' ELSE 'bank_details_updated' END,
+        'creator',
+        COALESCE(NEW.creator_id, OLD.creator_id),
+        masked_old,
+        masked_new
+    );
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+ALTER TABLE public.creator_bank_accounts DROP COLUMN IF EXISTS pan_number;
+
+-- ============================================================
+-- 3. RATES AND PER-PAYMENT TAX
+-- ============================================================
+-- Rates are percentages. A payment is subject to TDS once it exceeds the
+-- single-payment threshold or takes the creator's financial-year total
+-- for the section past the annual threshold (null: no such limit).
+INSERT INTO public.system_settings (setting_key, setting_value, setting_category, description, is_public) VALUES
+    ('tax_rates', '{
+        "gst_rate": 18,
+        "no_pan_tds_rate": 20,
+        "tds_sections": {
+            "194J": {"label": "194J - Fees for professional services", "rates": {"default": 10}, "single_threshold": null, "annual_threshold": 50000},
+            "194C": {"label": "194C - Contract work", "rates": {"individual": 1, "huf": 1, "default": 2}, "single_threshold": 30000, "annual_threshold": 100000},
+            "194R": {"label": "194R - Benefit or perquisite (barter)", "rates": {"default": 10}, "single_threshold": null, "annual_threshold": 20000}
+        }
+    }'::jsonb, 'payment', 'TDS rates and thresholds per section, GST rate and the no-PAN TDS rate', false)
+ON CONFLICT (setting_key) DO NOTHING;
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS tds_section TEXT CHECK (tds_section IS NULL OR tds_section IN ('194J', '194C', '194R', 'none')),
+ADD COLUMN IF NOT EXISTS tds_rate NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5,2);
+
+-- ============================================================
+-- 4. QUARTERLY TDS SUMMARY
+-- ============================================================
+-- TDS is reported for the quarter it was deducted in, i.e. when paid
+CREATE OR REPLACE VIEW public.tds_quarterly_summary
+WITH (security_invoker = true) AS
+SELECT
+    p.creator_id,
+    c.name AS creator_name,
+    tp.legal_name,
+    tp.pan_number,
+    tp.entity_type,
+    p.tds_section,
+    public.financial_year_label((p.paid_at AT TIME ZONE 'Asia/Kolkata')::date) AS financial_year,
+    -- Q1 April-June ... Q4 January-March
+    'Q' || (((extract(month FROM p.paid_at AT TIME ZONE 'Asia/Kolkata')::int + 8) % 12) / 3 + 1) AS quarter,
+    count(*) AS payment_count,
+    sum(p.amount) AS gross_amount,
+    sum(p.tds_amount) AS tds_amount,
+    min(p.tds_rate) AS min_tds_rate,
+    max(p.tds_rate) AS max_tds_rate
+FROM public.payments p
+LEFT JOIN public.creators c ON c.id = p.creator_id
+LEFT JOIN public.creator_tax_profiles tp ON tp.creator_id = p.creator_id
+WHERE p.status = 'paid'
+  AND p.tds_amount > 0
+  AND p.paid_at IS NOT NULL
+GROUP BY p.creator_id, c.name, tp.legal_name, tp.pan_number, tp.entity_type, p.tds_section,
+         public.financial_year_label((p.paid_at AT TIME ZONE 'Asia/Kolkata')::date),
+         'Q' || (((extract(month FROM p.paid_at AT TIME ZONE 'Asia/Kolkata')::int + 8) % 12) / 3 + 1);
+
+GRANT SELECT ON public.tds_quarterly_summary TO authenticated;
+
+-- ============================================================
+-- 5. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.creator_tax_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "payout_managers_can_view_creator_tax_profiles"
+ON public.creator_tax_profiles
+FOR SELECT
+TO authenticated
+USING (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_add_creator_tax_profiles"
+ON public.creator_tax_profiles
+FOR INSERT
+TO authenticated
+WITH CHECK (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_update_creator_tax_profiles"
+ON public.creator_tax_profiles
+FOR UPDATE
+TO authenticated
+USING (public.can_manage_payouts())
+WITH CHECK (public.can_manage_payouts());
+
+CREATE POLICY "payout_managers_can_delete_creator_tax_profiles"
+ON public.creator_tax_profiles
+FOR DELETE
+TO authenticated
+USING (public.can_manage_payouts());
+
+COMMENT ON TABLE public.creator_tax_profiles IS 'Creator PAN, GSTIN, entity type and default TDS section used to compute tax on payments';
+COMMENT ON VIEW public.tds_quarterly_summary IS 'TDS deducted per creator, section, financial year and quarter for TDS returns';
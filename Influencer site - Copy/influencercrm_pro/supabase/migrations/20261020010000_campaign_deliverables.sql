@@ -0,0 +1,306 @@
+-- Location: supabase/migrations/20261020010000_campaign_deliverables.sql
+-- Schema Analysis: deliverables lived as untyped JSONB on campaign_creators (deliverables, completed_deliverables); realtimeService and the executive dashboard subscribed to a campaign_deliverables table no migration created
+-- Integration Type: addition - one tracked row per deliverable with type, due date, draft, brand approval, go-live link and captured metrics
+-- Dependencies: public.campaign_creators, public.campaigns, public.creators, auth.users
+
+-- ============================================================
+-- 1. CAMPAIGN DELIVERABLES
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.campaign_deliverables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_creator_id UUID NOT NULL REFERENCES public.campaign_creators(id) ON DELETE CASCADE,
+    -- Copied from the assignment so deliverables can be joined to creators and campaigns directly
+    campaign_id UUID REFERENCES public.campaigns(id) ON DELETE CASCADE,
+    creator_id UUID REFERENCES public.creators(id) ON DELETE CASCADE,
+    -- Same platform/type pairs as the rate card (creator_rates)
+    platform TEXT NOT NULL DEFAULT 'instagram'
+        CHECK (platform IN ('instagram', 'youtube', 'facebook', 'linkedin', 'twitter', 'other')),
+    deliverable_type TEXT NOT NULL
+        CHECK (deliverable_type IN ('post', 'reel', 'story', 'carousel', 'video', 'short', 'live', 'other')),
+    title TEXT,
+    brief TEXT,
+    due_date DATE,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'draft_submitted', 'changes_requested', 'approved', 'live', 'cancelled')),
+    -- Draft shared with the brand for approval
+    draft_url TEXT,
+    draft_submitted_at TIMESTAMPTZ,
+    -- Brand decision on the latest draft
+    approval_note TEXT,
+    approved_at TIMESTAMPTZ,
+    approved_by_email TEXT,
+    revision_required BOOLEAN NOT NULL DEFAULT false,
+    revision_count INTEGER NOT NULL DEFAULT 0,
+    -- Go-live
+    post_link TEXT,
+    posted_date DATE,
+    -- Metrics captured from the live post
+    views BIGINT CHECK (views IS NULL OR views >= 0),
+    reach BIGINT CHECK (reach IS NULL OR reach >= 0),
+    likes BIGINT CHECK (likes IS NULL OR likes >= 0),
+    comments BIGINT CHECK (comments IS NULL OR comments >= 0),
+    shares BIGINT CHECK (shares IS NULL OR shares >= 0),
+    saves BIGINT CHECK (saves IS NULL OR saves >= 0),
+    metrics_captured_at TIMESTAMPTZ,
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_assignment ON public.campaign_deliverables(campaign_creator_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_campaign ON public.campaign_deliverables(campaign_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_creator ON public.campaign_deliverables(creator_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_campaign_deliverables_status ON public.campaign_deliverables(status, due_date);
+
+CREATE TRIGGER update_campaign_deliverables_updated_at
+    BEFORE UPDATE ON public.campaign_deliverables
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================
+-- 2. STATUS RULES
+-- ============================================================
+-- pending           -> draft_submitted, live, cancelled
+-- draft_submitted   -> approved, changes_requested, cancelled
+-- changes_requested -> draft_submitted, cancelled
+-- approved          -> live, draft_submitted (new cut), cancelled
+-- live              -> approved (link taken down)
+-- cancelled         -> pending
+CREATE OR REPLACE FUNCTION public.deliverable_status_allowed(from_status TEXT, to_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT from_status = to_status OR (from_status, to_status) IN (
+        ('pending', 'draft_submitted'), ('pending', 'live'), ('pending', 'cancelled'),
+        ('draft_submitted', 'approved'), ('draft_submitted', 'changes_requested'), ('draft_submitted', 'cancelled'),
+        ('changes_requested', 'draft_submitted'), ('changes_requested', 'cancelled'),
+        ('approved', 'live'), ('approved', 'draft_submitted'), ('approved', 'cancelled'),
+        ('live', 'approved'),
+        ('cancelled', 'pending')
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION public.campaign_deliverables_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    assignment RECORD;
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.campaign_creator_id IS DISTINCT FROM OLD.campaign_creator_id THEN
+        SELECT cc.campaign_id, cc.creator_id INTO assignment
+        FROM public.campaign_creators cc
+        WHERE cc.id = NEW.campaign_creator_id;
+
+        NEW.campaign_id := assignment.campaign_id;
+        NEW.creator_id := assignment.creator_id;
+    END IF;
+
+    NEW.draft_url := NULLIF(trim(NEW.draft_url), '');
+    NEW.post_link := NULLIF(trim(NEW.post_link), '');
+
+    IF TG_OP = 'UPDATE' AND NOT public.deliverable_status_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'Deliverable cannot move from % to %', OLD.status, NEW.status;
+    END IF;
+
+    IF NEW.status = 'draft_submitted' AND (TG_OP = 'INSERT' OR OLD.status <> 'draft_submitted') THEN
+        IF NEW.draft_url IS NULL THEN
+            RAISE EXCEPTION 'A draft link is required to submit a draft';
+        END IF;
+        NEW.draft_submitted_at := CURRENT_TIMESTAMP;
+        NEW.approved_at := NULL;
+        NEW.approved_by_email := NULL;
+    END IF;
+
+    IF NEW.status = 'changes_requested' AND (TG_OP = 'INSERT' OR OLD.status <> 'changes_requested') THEN
+        NEW.revision_count := COALESCE(NEW.revision_count, 0) + 1;
+    END IF;
+
+    IF NEW.status = 'approved' AND (TG_OP = 'INSERT' OR OLD.status NOT IN ('approved', 'live')) THEN
+        NEW.approved_at := CURRENT_TIMESTAMP;
+        NEW.approved_by_email := COALESCE(NEW.approved_by_email, auth.email());
+    END IF;
+
+    IF NEW.status = 'live' THEN
+        IF NEW.post_link IS NULL THEN
+            RAISE EXCEPTION 'A go-live link is required to mark a deliverable live';
+        END IF;
+        NEW.posted_date := COALESCE(NEW.posted_date, CURRENT_DATE);
+    END IF;
+
+    NEW.revision_required := NEW.status = 'changes_requested';
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER campaign_deliverables_before_write
+    BEFORE INSERT OR UPDATE ON public.campaign_deliverables
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_deliverables_before_write();
+
+-- ============================================================
+-- 3. EXPAND CONTRACTED TERMS INTO TRACKED DELIVERABLES
+-- ============================================================
+-- campaign_creators.deliverables stays as the contracted terms
+-- ([{ platform, deliverable_type, quantity, rate }]); each unit becomes a
+-- tracked row due on the campaign's end date. Quantities that are not whole
+-- numbers are rounded, unreadable ones count as 1, and legacy entries that
+-- are plain text or numbers become one 'other' row carrying the original
+-- text, so a bad term never aborts the insert or the backfill.
+CREATE OR REPLACE FUNCTION public.expand_assignment_deliverables(p_campaign_creator_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    inserted_count INTEGER;
+BEGIN
+    INSERT INTO public.campaign_deliverables (campaign_creator_id, platform, deliverable_type, due_date, notes, created_by)
+    SELECT
+        cc.id,
+        CASE WHEN jsonb_typeof(term) <> 'object' THEN 'other'
+             WHEN term->>'platform' IN ('instagram', 'youtube', 'facebook', 'linkedin', 'twitter', 'other')
+             THEN term->>'platform' ELSE 'instagram' END,
+        CASE WHEN term->>'deliverable_type' IN ('post', 'reel', 'story', 'carousel', 'video', 'short', 'live', 'other')
+             THEN term->>'deliverable_type' ELSE 'other' END,
+        c.end_date,
+        CASE WHEN jsonb_typeof(term) <> 'object' THEN 'Legacy term: ' || (term #>> '{}') END,
+        auth.uid()
+    FROM public.campaign_creators cc
+    JOIN public.campaigns c ON c.id = cc.campaign_id
+    CROSS JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(cc.deliverables) = 'array' THEN cc.deliverables ELSE '[]'::jsonb END
+    ) AS term
+    -- ->> on a non-object element is NULL, so those fall through to 1
+    CROSS JOIN LATERAL (
+        SELECT CASE
+            WHEN jsonb_typeof(term->'quantity') = 'number' THEN round((term->>'quantity')::NUMERIC)
+            WHEN trim(term->>'quantity') ~ '^[0-9]+(\.[0-9]+)?$' THEN round(trim(term->>'quantity')::NUMERIC)
+            ELSE 1
+        END AS quantity
+    ) parsed
+    CROSS JOIN LATERAL generate_series(1, GREATEST(LEAST(parsed.quantity, 1000), 1)::INTEGER)
+    WHERE cc.id = p_campaign_creator_id
+      AND jsonb_typeof(term) <> 'null';
+
+    GET DIAGNOSTICS inserted_count = ROW_COUNT;
+    RETURN inserted_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.campaign_creators_after_insert_deliverables()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM public.expand_assignment_deliverables(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS campaign_creators_after_insert_deliverables ON public.campaign_creators;
+CREATE TRIGGER campaign_creators_after_insert_deliverables
+    AFTER INSERT ON public.campaign_creators
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_creators_after_insert_deliverables();
+
+-- ============================================================
+-- 4. BACKFILL FROM THE LEGACY JSONB
+-- ============================================================
+-- Existing assignments get one row per contracted unit; as many of them as
+-- completed_deliverables had entries are treated as already live
+DO $$
+DECLARE
+    assignment RECORD;
+BEGIN
+    FOR assignment IN
+        SELECT cc.id FROM public.campaign_creators cc
+        WHERE NOT EXISTS (SELECT 1 FROM public.campaign_deliverables d WHERE d.campaign_creator_id = cc.id)
+    LOOP
+        PERFORM public.expand_assignment_deliverables(assignment.id);
+    END LOOP;
+END $$;
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'campaign_creators' AND column_name = 'completed_deliverables'
+    ) THEN
+        -- Legacy completions had no link; bypass the go-live link check for them
+        ALTER TABLE public.campaign_deliverables DISABLE TRIGGER campaign_deliverables_before_write;
+
+        UPDATE public.campaign_deliverables d
+        SET status = 'live',
+            posted_date = ranked.due_date,
+            notes = 'Marked complete before deliverables were tracked'
+        FROM (
+            SELECT d2.id, d2.due_date,
+                   row_number() OVER (PARTITION BY d2.campaign_creator_id ORDER BY d2.created_at, d2.id) AS position,
+                   CASE WHEN jsonb_typeof(cc.completed_deliverables) = 'array'
+                        THEN jsonb_array_length(cc.completed_deliverables) ELSE 0 END AS completed_count
+            FROM public.campaign_deliverables d2
+            JOIN public.campaign_creators cc ON cc.id = d2.campaign_creator_id
+        ) ranked
+        WHERE d.id = ranked.id
+          AND ranked.position <= ranked.completed_count;
+
+        ALTER TABLE public.campaign_deliverables ENABLE TRIGGER campaign_deliverables_before_write;
+
+        COMMENT ON COLUMN public.campaign_creators.completed_deliverables IS 'Superseded by campaign_deliverables.status; kept for reference only';
+    END IF;
+END $$;
+
+COMMENT ON COLUMN public.campaign_creators.deliverables IS 'Contracted terms [{ platform, deliverable_type, quantity, rate }]; tracked in campaign_deliverables';
+
+-- ============================================================
+-- 5. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.campaign_deliverables ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_campaign_deliverables"
+ON public.campaign_deliverables
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_campaign_deliverables"
+ON public.campaign_deliverables
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_update_campaign_deliverables"
+ON public.campaign_deliverables
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "admins_can_delete_campaign_deliverables"
+ON public.campaign_deliverables
+FOR DELETE
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin', 'manager')
+    )
+);
+
+-- Executive dashboard and campaign pages refresh on deliverable changes
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.campaign_deliverables;
+    END IF;
+END $$;
+
+COMMENT ON TABLE public.campaign_deliverables IS 'One row per deliverable owed under a campaign assignment, from brief to go-live and captured metrics';
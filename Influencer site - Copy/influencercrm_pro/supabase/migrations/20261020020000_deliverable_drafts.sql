@@ -0,0 +1,310 @@
+-- Location: supabase/migrations/20261020020000_deliverable_drafts.sql
+-- Schema Analysis: campaign_deliverables held a single draft link and the brand's decision was typed in by the team; approvals given over WhatsApp were not recorded and deliverables could go live without one
+-- Integration Type: addition - versioned drafts (caption and media links) routed to a brand contact, recorded decisions with comments, and approval required before go-live
+-- Dependencies: public.campaign_deliverables, public.deliverable_status_allowed(), public.contacts, public.brands, public.audit_logs, auth.users
+
+-- ============================================================
+-- 1. DRAFT VERSIONS
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.deliverable_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    deliverable_id UUID NOT NULL REFERENCES public.campaign_deliverables(id) ON DELETE CASCADE,
+    -- 1, 2, 3... per deliverable, assigned on insert
+    version INTEGER NOT NULL,
+    caption TEXT,
+    media_urls TEXT[] NOT NULL DEFAULT '{}',
+    -- Brand contact the draft was sent to for approval
+    reviewer_contact_id UUID REFERENCES public.contacts(id) ON DELETE SET NULL,
+    reviewer_name TEXT,
+    status TEXT NOT NULL DEFAULT 'pending_review'
+        CHECK (status IN ('pending_review', 'approved', 'changes_requested', 'superseded')),
+    decision_comment TEXT,
+    decided_at TIMESTAMPTZ,
+    -- Team member who recorded the contact's decision
+    decided_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    decided_by_email TEXT,
+    submitted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    submitted_by_email TEXT,
+    submitted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT deliverable_drafts_has_content CHECK (COALESCE(trim(caption), '') <> '' OR cardinality(media_urls) > 0),
+    CONSTRAINT deliverable_drafts_changes_need_comment CHECK (status <> 'changes_requested' OR COALESCE(trim(decision_comment), '') <> ''),
+    UNIQUE (deliverable_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliverable_drafts_deliverable ON public.deliverable_drafts(deliverable_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_deliverable_drafts_pending ON public.deliverable_drafts(reviewer_contact_id) WHERE status = 'pending_review';
+
+-- Deliverables already under review keep their draft link as version 1
+INSERT INTO public.deliverable_drafts (deliverable_id, version, media_urls, status, decision_comment, decided_at, submitted_at)
+SELECT cd.id, 1, ARRAY[cd.draft_url],
+       CASE cd.status WHEN 'draft_submitted' THEN 'pending_review' WHEN 'changes_requested' THEN 'changes_requested' ELSE 'approved' END,
+       CASE WHEN cd.status = 'changes_requested' THEN COALESCE(cd.approval_note, 'Changes requested') ELSE cd.approval_note END,
+       CASE WHEN cd.status <> 'draft_submitted' THEN COALESCE(cd.approved_at, cd.updated_at) END,
+       COALESCE(cd.draft_submitted_at, cd.created_at)
+FROM public.campaign_deliverables cd
+WHERE cd.draft_url IS NOT NULL
+  AND cd.status IN ('draft_submitted', 'changes_requested', 'approved', 'live')
+  AND NOT EXISTS (SELECT 1 FROM public.deliverable_drafts d WHERE d.deliverable_id = cd.id);
+
+-- Numbering, authorship and the rules for recording a decision
+CREATE OR REPLACE FUNCTION public.deliverable_drafts_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        SELECT COALESCE(max(d.version), 0) + 1 INTO NEW.version
+        FROM public.deliverable_drafts d
+        WHERE d.deliverable_id = NEW.deliverable_id;
+
+        IF EXISTS (
+            SELECT 1 FROM public.campaign_deliverables cd
+            WHERE cd.id = NEW.deliverable_id AND cd.status IN ('live', 'cancelled')
+        ) THEN
+            RAISE EXCEPTION 'Drafts cannot be submitted for a deliverable that is live or cancelled';
+        END IF;
+
+        NEW.caption := NULLIF(trim(NEW.caption), '');
+        NEW.media_urls := ARRAY(SELECT trim(u) FROM unnest(NEW.media_urls) AS u WHERE trim(u) <> '');
+        NEW.status := 'pending_review';
+        NEW.decision_comment := NULL;
+        NEW.decided_at := NULL;
+        NEW.submitted_by := auth.uid();
+        NEW.submitted_by_email := auth.email();
+        NEW.submitted_at := CURRENT_TIMESTAMP;
+    ELSE
+        -- A draft is a record of what was sent; only its review can change
+        IF (NEW.deliverable_id, NEW.version, NEW.caption, NEW.media_urls)
+           IS DISTINCT FROM (OLD.deliverable_id, OLD.version, OLD.caption, OLD.media_urls) THEN
+            RAISE EXCEPTION 'Submitted drafts cannot be edited; submit a new version instead';
+        END IF;
+
+        IF NEW.status IS DISTINCT FROM OLD.status THEN
+            IF OLD.status <> 'pending_review' THEN
+                RAISE EXCEPTION 'Version % has already been %', OLD.version, replace(OLD.status, '_', ' ');
+            END IF;
+            IF NEW.status IN ('approved', 'changes_requested') THEN
+                NEW.decided_at := CURRENT_TIMESTAMP;
+                NEW.decided_by := auth.uid();
+                NEW.decided_by_email := auth.email();
+                NEW.decision_comment := NULLIF(trim(NEW.decision_comment), '');
+            END IF;
+        END IF;
+    END IF;
+
+    IF NEW.reviewer_contact_id IS NOT NULL
+       AND (TG_OP = 'INSERT' OR NEW.reviewer_contact_id IS DISTINCT FROM OLD.reviewer_contact_id) THEN
+        SELECT c.full_name INTO NEW.reviewer_name
+        FROM public.contacts c
+        WHERE c.id = NEW.reviewer_contact_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER deliverable_drafts_before_write
+    BEFORE INSERT OR UPDATE ON public.deliverable_drafts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.deliverable_drafts_before_write();
+
+-- A new version supersedes the one still under review and puts the
+-- deliverable back in the approval queue; a decision moves the deliverable
+-- to approved or changes requested and is written to the audit trail
+CREATE OR REPLACE FUNCTION public.deliverable_drafts_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE public.deliverable_drafts
+        SET status = 'superseded'
+        WHERE deliverable_id = NEW.deliverable_id
+          AND id <> NEW.id
+          AND status = 'pending_review';
+
+        UPDATE public.campaign_deliverables
+        SET status = 'draft_submitted',
+            draft_url = NEW.media_urls[1],
+            draft_submitted_at = NEW.submitted_at,
+            approval_note = NULL
+        WHERE id = NEW.deliverable_id;
+
+        RETURN NULL;
+    END IF;
+
+    IF NEW.status IN ('approved', 'changes_requested') AND OLD.status = 'pending_review' THEN
+        UPDATE public.campaign_deliverables
+        SET status = NEW.status,
+            approval_note = NEW.decision_comment,
+            approved_by_email = CASE WHEN NEW.status = 'approved' THEN COALESCE(NEW.reviewer_name, NEW.decided_by_email) END
+        WHERE id = NEW.deliverable_id;
+
+        INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+        VALUES (
+            (SELECT u.id FROM public.users u WHERE u.auth_id = auth.uid() LIMIT 1),
+            CASE NEW.status WHEN 'approved' THEN 'deliverable_draft_approved' ELSE 'deliverable_draft_changes_requested' END,
+            'deliverable',
+            NEW.deliverable_id,
+            jsonb_build_object('status', OLD.status),
+            jsonb_build_object(
+                'draft_id', NEW.id,
+                'version', NEW.version,
+                'status', NEW.status,
+                'reviewer_contact_id', NEW.reviewer_contact_id,
+                'reviewer_name', NEW.reviewer_name,
+                'comment', NEW.decision_comment
+            )
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER deliverable_drafts_after_write
+    AFTER INSERT OR UPDATE ON public.deliverable_drafts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.deliverable_drafts_after_write();
+
+-- ============================================================
+-- 2. APPROVAL BEFORE GO-LIVE
+-- ============================================================
+-- pending can no longer go straight to live
+CREATE OR REPLACE FUNCTION public.deliverable_status_allowed(from_status TEXT, to_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT from_status = to_status OR (from_status, to_status) IN (
+        ('pending', 'draft_submitted'), ('pending', 'cancelled'),
+        ('draft_submitted', 'approved'), ('draft_submitted', 'changes_requested'), ('draft_submitted', 'cancelled'),
+        ('changes_requested', 'draft_submitted'), ('changes_requested', 'cancelled'),
+        ('approved', 'live'), ('approved', 'draft_submitted'), ('approved', 'cancelled'),
+        ('live', 'approved'),
+        ('cancelled', 'pending')
+    );
+$$;
+
+-- A draft may be caption only, so the draft link is no longer required
+CREATE OR REPLACE FUNCTION public.campaign_deliverables_before_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    assignment RECORD;
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.campaign_creator_id IS DISTINCT FROM OLD.campaign_creator_id THEN
+        SELECT cc.campaign_id, cc.creator_id INTO assignment
+        FROM public.campaign_creators cc
+        WHERE cc.id = NEW.campaign_creator_id;
+
+        NEW.campaign_id := assignment.campaign_id;
+        NEW.creator_id := assignment.creator_id;
+    END IF;
+
+    NEW.draft_url := NULLIF(trim(NEW.draft_url), '');
+    NEW.post_link := NULLIF(trim(NEW.post_link), '');
+
+    IF TG_OP = 'INSERT' AND NEW.status <> 'pending' THEN
+        RAISE EXCEPTION 'New deliverables start as pending';
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NOT public.deliverable_status_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'Deliverable cannot move from % to %', OLD.status, NEW.status;
+    END IF;
+
+    IF NEW.status = 'draft_submitted' AND (TG_OP = 'INSERT' OR OLD.status <> 'draft_submitted') THEN
+        NEW.draft_submitted_at := COALESCE(NEW.draft_submitted_at, CURRENT_TIMESTAMP);
+        NEW.approved_at := NULL;
+        NEW.approved_by_email := NULL;
+    END IF;
+
+    IF NEW.status = 'changes_requested' AND (TG_OP = 'INSERT' OR OLD.status <> 'changes_requested') THEN
+        NEW.revision_count := COALESCE(NEW.revision_count, 0) + 1;
+    END IF;
+
+    IF NEW.status = 'approved' AND (TG_OP = 'INSERT' OR OLD.status NOT IN ('approved', 'live')) THEN
+        NEW.approved_at := CURRENT_TIMESTAMP;
+        NEW.approved_by_email := COALESCE(NEW.approved_by_email, auth.email());
+    END IF;
+
+    IF NEW.status = 'live' THEN
+        IF NEW.post_link IS NULL THEN
+            RAISE EXCEPTION 'A go-live link is required to mark a deliverable live';
+        END IF;
+        NEW.posted_date := COALESCE(NEW.posted_date, CURRENT_DATE);
+    END IF;
+
+    NEW.revision_required := NEW.status = 'changes_requested';
+    RETURN NEW;
+END;
+$$;
+
+-- Review states follow the drafts: submitting, approving and requesting
+-- changes are only possible through deliverable_drafts
+CREATE OR REPLACE FUNCTION public.campaign_deliverables_check_drafts()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    latest RECORD;
+BEGIN
+    IF NEW.status IS NOT DISTINCT FROM OLD.status
+       OR NEW.status NOT IN ('draft_submitted', 'approved', 'changes_requested', 'live')
+       OR (OLD.status = 'live' AND NEW.status = 'approved') THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT d.status, d.version INTO latest
+    FROM public.deliverable_drafts d
+    WHERE d.deliverable_id = NEW.id
+      AND d.status <> 'superseded'
+    ORDER BY d.version DESC
+    LIMIT 1;
+
+    IF NEW.status = 'draft_submitted' AND latest.status IS DISTINCT FROM 'pending_review' THEN
+        RAISE EXCEPTION 'Submit a draft version to send this deliverable for approval';
+    ELSIF NEW.status IN ('approved', 'live') AND latest.status IS DISTINCT FROM 'approved' THEN
+        RAISE EXCEPTION 'The brand has not approved a draft of this deliverable yet';
+    ELSIF NEW.status = 'changes_requested' AND latest.status IS DISTINCT FROM 'changes_requested' THEN
+        RAISE EXCEPTION 'Record the requested changes on the draft under review';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Runs after campaign_deliverables_before_write (triggers fire by name)
+CREATE TRIGGER campaign_deliverables_check_drafts
+    BEFORE UPDATE ON public.campaign_deliverables
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_deliverables_check_drafts();
+
+-- ============================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.deliverable_drafts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_deliverable_drafts"
+ON public.deliverable_drafts
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_submit_deliverable_drafts"
+ON public.deliverable_drafts
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_record_draft_decisions"
+ON public.deliverable_drafts
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE public.deliverable_drafts IS 'Versioned drafts of a campaign deliverable and the brand contact''s decision on each';
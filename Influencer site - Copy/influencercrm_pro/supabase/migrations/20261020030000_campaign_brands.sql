@@ -0,0 +1,165 @@
+-- Location: supabase/migrations/20261020030000_campaign_brands.sql
+-- Schema Analysis: campaigns had no brand column; the UI read brand/brand_name fields that only some deployments had as free text, while brand pages joined through brand_campaigns, which campaign creation never wrote to
+-- Integration Type: addition - campaigns.brand_id and brand_contact_id as real relations, legacy brand names kept for matching, and brand portfolio views (campaigns, spend, active creators, outstanding payables)
+-- Dependencies: public.campaigns, public.brands, public.contacts, public.brand_campaigns, public.campaign_creators, public.campaign_creator_balances
+
+-- ============================================================
+-- 1. BRAND AND BRAND CONTACT ON CAMPAIGNS
+-- ============================================================
+ALTER TABLE public.campaigns
+ADD COLUMN IF NOT EXISTS brand_id UUID,
+ADD COLUMN IF NOT EXISTS brand_contact_id UUID REFERENCES public.contacts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS legacy_brand_name TEXT;
+
+-- Named so the API can tell this relation apart from the brand_campaigns junction
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'campaigns_brand_id_fkey') THEN
+        ALTER TABLE public.campaigns
+        ADD CONSTRAINT campaigns_brand_id_fkey FOREIGN KEY (brand_id) REFERENCES public.brands(id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_brand ON public.campaigns(brand_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_unlinked_brand ON public.campaigns(legacy_brand_name) WHERE brand_id IS NULL;
+
+-- ============================================================
+-- 2. BACKFILL
+-- ============================================================
+-- Free-text brand columns exist only on some deployments
+DO $$
+DECLARE
+    col TEXT;
+BEGIN
+    FOREACH col IN ARRAY ARRAY['brand_name', 'brand'] LOOP
+        IF EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = 'campaigns' AND column_name = col
+        ) THEN
+            EXECUTE format(
+                'UPDATE public.campaigns SET legacy_brand_name = NULLIF(trim(%I::text), '''') WHERE legacy_brand_name IS NULL',
+                col
+            );
+        END IF;
+    END LOOP;
+END $$;
+
+-- Campaigns already linked through the junction keep their earliest link
+UPDATE public.campaigns c
+SET brand_id = link.brand_id
+FROM (
+    SELECT DISTINCT ON (campaign_id) campaign_id, brand_id
+    FROM public.brand_campaigns
+    WHERE brand_id IS NOT NULL
+    ORDER BY campaign_id, created_at
+) link
+WHERE link.campaign_id = c.id
+AND c.brand_id IS NULL;
+
+-- Legacy names that match exactly one brand, ignoring case and spacing;
+-- anything else is left for the backfill tool on the brands page
+UPDATE public.campaigns c
+SET brand_id = match.brand_id
+FROM (
+    SELECT lower(trim(b.name)) AS brand_key, (array_agg(b.id))[1] AS brand_id
+    FROM public.brands b
+    GROUP BY lower(trim(b.name))
+    HAVING count(*) = 1
+) match
+WHERE c.brand_id IS NULL
+AND lower(trim(c.legacy_brand_name)) = match.brand_key;
+
+-- ============================================================
+-- 3. CONTACT MUST BELONG TO THE BRAND
+-- ============================================================
+CREATE OR REPLACE FUNCTION public.campaigns_check_brand_contact()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    contact_brand UUID;
+BEGIN
+    -- Changing the brand drops a contact that was not changed with it
+    IF TG_OP = 'UPDATE'
+       AND NEW.brand_id IS DISTINCT FROM OLD.brand_id
+       AND NEW.brand_contact_id IS NOT DISTINCT FROM OLD.brand_contact_id THEN
+        NEW.brand_contact_id := NULL;
+    END IF;
+
+    IF NEW.brand_contact_id IS NOT NULL THEN
+        SELECT c.brand_id INTO contact_brand FROM public.contacts c WHERE c.id = NEW.brand_contact_id;
+
+        IF NEW.brand_id IS NULL THEN
+            NEW.brand_id := contact_brand;
+        ELSIF contact_brand IS DISTINCT FROM NEW.brand_id THEN
+            RAISE EXCEPTION 'The brand contact must belong to the campaign''s brand';
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS campaigns_check_brand_contact ON public.campaigns;
+CREATE TRIGGER campaigns_check_brand_contact
+    BEFORE INSERT OR UPDATE OF brand_id, brand_contact_id ON public.campaigns
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaigns_check_brand_contact();
+
+-- ============================================================
+-- 4. BRAND PORTFOLIO
+-- ============================================================
+-- One row per linked campaign; outstanding is contracted fees not yet paid
+CREATE OR REPLACE VIEW public.brand_campaign_portfolio
+WITH (security_invoker = true) AS
+SELECT
+    c.id AS campaign_id,
+    c.brand_id,
+    c.name,
+    c.status,
+    c.start_date,
+    c.end_date,
+    c.budget,
+    count(cc.id) AS creator_count,
+    count(cc.id) FILTER (WHERE COALESCE(cc.status, 'assigned') NOT IN ('completed', 'cancelled')) AS active_creator_count,
+    COALESCE(sum(b.fixed_amount), 0) AS committed_amount,
+    COALESCE(sum(b.paid_amount), 0) AS paid_amount,
+    COALESCE(sum(GREATEST(COALESCE(b.fixed_amount, 0) - b.paid_amount, 0)), 0) AS outstanding_amount
+FROM public.campaigns c
+LEFT JOIN public.campaign_creators cc ON cc.campaign_id = c.id
+LEFT JOIN public.campaign_creator_balances b ON b.campaign_creator_id = cc.id
+WHERE c.brand_id IS NOT NULL
+GROUP BY c.id;
+
+-- One row per brand; active creators are counted once across its active campaigns
+CREATE OR REPLACE VIEW public.brand_portfolio
+WITH (security_invoker = true) AS
+SELECT
+    br.id AS brand_id,
+    br.name AS brand_name,
+    count(p.campaign_id) AS campaign_count,
+    count(p.campaign_id) FILTER (WHERE p.status = 'active') AS active_campaign_count,
+    COALESCE(sum(p.budget), 0) AS total_budget,
+    COALESCE(sum(p.committed_amount), 0) AS committed_amount,
+    COALESCE(sum(p.paid_amount), 0) AS total_spend,
+    COALESCE(sum(p.outstanding_amount), 0) AS outstanding_payables,
+    (
+        SELECT count(DISTINCT cc.creator_id)
+        FROM public.campaign_creators cc
+        JOIN public.campaigns c ON c.id = cc.campaign_id
+        WHERE c.brand_id = br.id
+        AND c.status = 'active'
+        AND COALESCE(cc.status, 'assigned') NOT IN ('completed', 'cancelled')
+    ) AS active_creator_count
+FROM public.brands br
+LEFT JOIN public.brand_campaign_portfolio p ON p.brand_id = br.id
+GROUP BY br.id, br.name;
+
+GRANT SELECT ON public.brand_campaign_portfolio TO authenticated;
+GRANT SELECT ON public.brand_portfolio TO authenticated;
+
+COMMENT ON COLUMN public.campaigns.brand_id IS 'Brand the campaign is run for';
+COMMENT ON COLUMN public.campaigns.brand_contact_id IS 'Brand-side contact for the campaign; must belong to brand_id';
+COMMENT ON COLUMN public.campaigns.legacy_brand_name IS 'Free-text brand name from before brand_id; matched to a brand by the backfill tool';
+COMMENT ON TABLE public.brand_campaigns IS 'Superseded by campaigns.brand_id; kept for reference';
+COMMENT ON VIEW public.brand_portfolio IS 'Per-brand campaign counts, spend (paid), active creators and outstanding payables';
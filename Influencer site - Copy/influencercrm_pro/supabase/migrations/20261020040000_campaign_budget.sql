@@ -0,0 +1,270 @@
+-- Location: supabase/migrations/20261020040000_campaign_budget.sql
+-- Schema Analysis: campaigns.budget and actual_spend were single numbers typed in by hand; actual_spend never moved with creator fees or payments
+-- Integration Type: addition - budget lines per category (creator fees, production, ads, agency margin), non-creator expenses, commitments and actuals rolled up per line, and actual_spend kept current
+-- Dependencies: public.campaigns, public.campaign_creators, public.payments, auth.users
+
+-- ============================================================
+-- 1. BUDGET LINES
+-- ============================================================
+-- Creator fee commitments come from the assignments; total_value is
+-- written alongside fixed_amount when a creator is assigned
+ALTER TABLE public.campaign_creators
+ADD COLUMN IF NOT EXISTS total_value NUMERIC(12,2);
+
+CREATE TABLE IF NOT EXISTS public.campaign_budget_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES public.campaigns(id) ON DELETE CASCADE,
+    category TEXT NOT NULL
+        CHECK (category IN ('creator_fees', 'production', 'ads', 'agency_margin')),
+    allocated_amount NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (allocated_amount >= 0),
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_budget_lines_campaign ON public.campaign_budget_lines(campaign_id);
+
+CREATE TRIGGER update_campaign_budget_lines_updated_at
+    BEFORE UPDATE ON public.campaign_budget_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================
+-- 2. EXPENSES OUTSIDE CREATOR FEES
+-- ============================================================
+-- Creator fees are paid through public.payments; production, ads and the
+-- agency margin are recorded here, committed first and paid later
+CREATE TABLE IF NOT EXISTS public.campaign_expenses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES public.campaigns(id) ON DELETE CASCADE,
+    category TEXT NOT NULL
+        CHECK (category IN ('production', 'ads', 'agency_margin')),
+    description TEXT NOT NULL,
+    vendor TEXT,
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    status TEXT NOT NULL DEFAULT 'committed'
+        CHECK (status IN ('committed', 'paid', 'cancelled')),
+    committed_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    paid_on DATE,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT campaign_expenses_paid_has_date CHECK (status <> 'paid' OR paid_on IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_expenses_campaign ON public.campaign_expenses(campaign_id, category);
+
+CREATE TRIGGER update_campaign_expenses_updated_at
+    BEFORE UPDATE ON public.campaign_expenses
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================
+-- 3. COMMITMENTS AND ACTUALS PER LINE
+-- ============================================================
+-- Every category for every campaign, allocated or not
+CREATE OR REPLACE VIEW public.campaign_budget_summary
+WITH (security_invoker = true) AS
+WITH categories(category, sort_order) AS (
+    VALUES ('creator_fees', 1), ('production', 2), ('ads', 3), ('agency_margin', 4)
+),
+creator_fees AS (
+    SELECT
+        cc.campaign_id,
+        COALESCE(sum(COALESCE(cc.total_value, cc.fixed_amount)) FILTER (WHERE COALESCE(cc.status, 'assigned') <> 'cancelled'), 0) AS committed_amount
+    FROM public.campaign_creators cc
+    GROUP BY cc.campaign_id
+),
+creator_payments AS (
+    SELECT p.campaign_id, sum(p.amount) AS actual_amount
+    FROM public.payments p
+    WHERE p.status = 'paid'
+    GROUP BY p.campaign_id
+),
+expenses AS (
+    SELECT
+        e.campaign_id,
+        e.category,
+        sum(e.amount) FILTER (WHERE e.status <> 'cancelled') AS committed_amount,
+        sum(e.amount) FILTER (WHERE e.status = 'paid') AS actual_amount
+    FROM public.campaign_expenses e
+    GROUP BY e.campaign_id, e.category
+)
+SELECT
+    c.id AS campaign_id,
+    cat.category,
+    cat.sort_order,
+    COALESCE(l.allocated_amount, 0) AS allocated_amount,
+    CASE WHEN cat.category = 'creator_fees' THEN COALESCE(cf.committed_amount, 0) ELSE COALESCE(e.committed_amount, 0) END AS committed_amount,
+    CASE WHEN cat.category = 'creator_fees' THEN COALESCE(cp.actual_amount, 0) ELSE COALESCE(e.actual_amount, 0) END AS actual_amount,
+    l.notes
+FROM public.campaigns c
+CROSS JOIN categories cat
+LEFT JOIN public.campaign_budget_lines l ON l.campaign_id = c.id AND l.category = cat.category
+LEFT JOIN creator_fees cf ON cf.campaign_id = c.id
+LEFT JOIN creator_payments cp ON cp.campaign_id = c.id
+LEFT JOIN expenses e ON e.campaign_id = c.id AND e.category = cat.category;
+
+-- Paid amounts by day, for the burn-down
+CREATE OR REPLACE VIEW public.campaign_spend_events
+WITH (security_invoker = true) AS
+SELECT p.campaign_id, 'creator_fees'::text AS category, (p.paid_at AT TIME ZONE 'Asia/Kolkata')::date AS spent_on, p.amount
+FROM public.payments p
+WHERE p.status = 'paid' AND p.campaign_id IS NOT NULL AND p.paid_at IS NOT NULL
+UNION ALL
+SELECT e.campaign_id, e.category, e.paid_on AS spent_on, e.amount
+FROM public.campaign_expenses e
+WHERE e.status = 'paid';
+
+GRANT SELECT ON public.campaign_budget_summary TO authenticated;
+GRANT SELECT ON public.campaign_spend_events TO authenticated;
+
+-- ============================================================
+-- 4. KEEP campaigns.budget AND actual_spend CURRENT
+-- ============================================================
+-- Budget is the total of the lines once a campaign has any; actual spend
+-- is everything paid, creator fees and expenses alike
+CREATE OR REPLACE FUNCTION public.refresh_campaign_budget(p_campaign_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    line_total NUMERIC(15,2);
+    spent NUMERIC(15,2);
+BEGIN
+    IF p_campaign_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT sum(l.allocated_amount) INTO line_total
+    FROM public.campaign_budget_lines l
+    WHERE l.campaign_id = p_campaign_id;
+
+    SELECT
+        COALESCE((SELECT sum(p.amount) FROM public.payments p WHERE p.campaign_id = p_campaign_id AND p.status = 'paid'), 0)
+        + COALESCE((SELECT sum(e.amount) FROM public.campaign_expenses e WHERE e.campaign_id = p_campaign_id AND e.status = 'paid'), 0)
+    INTO spent;
+
+    UPDATE public.campaigns
+    SET budget = COALESCE(line_total, budget),
+        actual_spend = spent
+    WHERE id = p_campaign_id
+    AND (budget IS DISTINCT FROM COALESCE(line_total, budget) OR actual_spend IS DISTINCT FROM spent);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.campaign_budget_after_write()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM public.refresh_campaign_budget(OLD.campaign_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.campaign_id IS DISTINCT FROM OLD.campaign_id) THEN
+        PERFORM public.refresh_campaign_budget(NEW.campaign_id);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER campaign_budget_lines_refresh_budget
+    AFTER INSERT OR UPDATE OR DELETE ON public.campaign_budget_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_budget_after_write();
+
+CREATE TRIGGER campaign_expenses_refresh_budget
+    AFTER INSERT OR UPDATE OR DELETE ON public.campaign_expenses
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_budget_after_write();
+
+CREATE TRIGGER payments_refresh_campaign_budget
+    AFTER INSERT OR UPDATE OF status, amount, campaign_id OR DELETE ON public.payments
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_budget_after_write();
+
+-- Bring actual_spend in line with the payments already made
+DO $$
+DECLARE
+    campaign_row RECORD;
+BEGIN
+    FOR campaign_row IN SELECT id FROM public.campaigns LOOP
+        PERFORM public.refresh_campaign_budget(campaign_row.id);
+    END LOOP;
+END $$;
+
+-- ============================================================
+-- 5. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.campaign_budget_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.campaign_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_campaign_budget_lines"
+ON public.campaign_budget_lines
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "managers_can_manage_campaign_budget_lines"
+ON public.campaign_budget_lines
+FOR ALL
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin', 'manager')
+    )
+)
+WITH CHECK (
+    EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin', 'manager')
+    )
+);
+
+CREATE POLICY "authenticated_users_can_view_campaign_expenses"
+ON public.campaign_expenses
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_campaign_expenses"
+ON public.campaign_expenses
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_update_campaign_expenses"
+ON public.campaign_expenses
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "admins_can_delete_campaign_expenses"
+ON public.campaign_expenses
+FOR DELETE
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin', 'manager')
+    )
+);
+
+COMMENT ON TABLE public.campaign_budget_lines IS 'Budget allocated per category; campaigns.budget is their total once any exist';
+COMMENT ON TABLE public.campaign_expenses IS 'Production, ads and agency margin spend; creator fees are paid through payments';
+COMMENT ON VIEW public.campaign_budget_summary IS 'Allocated, committed and actual per campaign and category; creator fee commitments from campaign_creators.total_value, actuals from paid payments';
+COMMENT ON COLUMN public.campaigns.actual_spend IS 'Paid creator fees plus paid expenses, kept current by refresh_campaign_budget()';
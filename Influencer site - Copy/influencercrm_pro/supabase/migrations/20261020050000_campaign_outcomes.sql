@@ -0,0 +1,234 @@
+-- Location: supabase/migrations/20261020050000_campaign_outcomes.sql
+-- Schema Analysis: campaigns had no record of what they achieved; "ROI" on the executive dashboard was (budget - actual_spend) / actual_spend, which only measures unspent budget
+-- Integration Type: addition - outcomes (attributed revenue, leads, installs, promo code redemptions, link clicks) entered by hand or imported from brand CSVs, per assignment or per campaign, rolled up with cost, reach and engagement for ROI, CPE, CPM and CPA
+-- Dependencies: public.campaigns, public.campaign_creators, public.campaign_deliverables, public.campaign_expenses, public.payments, public.creators, auth.users
+
+-- ============================================================
+-- 1. CAMPAIGN OUTCOMES
+-- ============================================================
+-- One row per report: a brand may send weekly numbers, so rows add up.
+-- Rows without campaign_creator_id are campaign-level results that can't
+-- be attributed to a single creator.
+CREATE TABLE IF NOT EXISTS public.campaign_outcomes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES public.campaigns(id) ON DELETE CASCADE,
+    campaign_creator_id UUID REFERENCES public.campaign_creators(id) ON DELETE CASCADE,
+    period_start DATE,
+    period_end DATE,
+    revenue NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (revenue >= 0),
+    leads INTEGER NOT NULL DEFAULT 0 CHECK (leads >= 0),
+    installs INTEGER NOT NULL DEFAULT 0 CHECK (installs >= 0),
+    promo_redemptions INTEGER NOT NULL DEFAULT 0 CHECK (promo_redemptions >= 0),
+    link_clicks INTEGER NOT NULL DEFAULT 0 CHECK (link_clicks >= 0),
+    promo_code TEXT,
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv')),
+    source_file TEXT,
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT campaign_outcomes_period_order CHECK (period_start IS NULL OR period_end IS NULL OR period_end >= period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_outcomes_campaign ON public.campaign_outcomes(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_outcomes_campaign_creator ON public.campaign_outcomes(campaign_creator_id);
+
+CREATE TRIGGER update_campaign_outcomes_updated_at
+    BEFORE UPDATE ON public.campaign_outcomes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Creator-level rows take their campaign from the assignment
+CREATE OR REPLACE FUNCTION public.campaign_outcomes_set_campaign()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    assignment_campaign UUID;
+BEGIN
+    IF NEW.campaign_creator_id IS NOT NULL THEN
+        SELECT cc.campaign_id INTO assignment_campaign
+        FROM public.campaign_creators cc
+        WHERE cc.id = NEW.campaign_creator_id;
+
+        IF NEW.campaign_id IS NULL THEN
+            NEW.campaign_id := assignment_campaign;
+        ELSIF assignment_campaign IS DISTINCT FROM NEW.campaign_id THEN
+            RAISE EXCEPTION 'Creator assignment % does not belong to campaign %', NEW.campaign_creator_id, NEW.campaign_id;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER campaign_outcomes_set_campaign
+    BEFORE INSERT OR UPDATE OF campaign_id, campaign_creator_id ON public.campaign_outcomes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_outcomes_set_campaign();
+
+-- ============================================================
+-- 2. PERFORMANCE PER CREATOR AND PER CAMPAIGN
+-- ============================================================
+-- Totals only; ROI, CPE, CPM and CPA are derived in src/utils/campaignOutcomes.js
+-- so the app and the dashboard use one definition.
+--   cost        - creator: committed fee, or what was paid if more
+--                 campaign: committed creator fees plus non-cancelled expenses, or actual_spend if more
+--   impressions - views on live deliverables, reach where views weren't captured
+--   engagements - likes + comments + shares + saves on live deliverables
+CREATE OR REPLACE VIEW public.campaign_creator_performance
+WITH (security_invoker = true) AS
+WITH outcomes AS (
+    SELECT
+        o.campaign_creator_id,
+        count(*) AS outcome_count,
+        sum(o.revenue) AS revenue,
+        sum(o.leads) AS leads,
+        sum(o.installs) AS installs,
+        sum(o.promo_redemptions) AS promo_redemptions,
+        sum(o.link_clicks) AS link_clicks
+    FROM public.campaign_outcomes o
+    WHERE o.campaign_creator_id IS NOT NULL
+    GROUP BY o.campaign_creator_id
+),
+reach AS (
+    SELECT
+        d.campaign_creator_id,
+        sum(COALESCE(d.views, d.reach, 0)) AS impressions,
+        sum(COALESCE(d.likes, 0) + COALESCE(d.comments, 0) + COALESCE(d.shares, 0) + COALESCE(d.saves, 0)) AS engagements
+    FROM public.campaign_deliverables d
+    WHERE d.status = 'live'
+    GROUP BY d.campaign_creator_id
+),
+paid AS (
+    SELECT p.campaign_creator_id, sum(p.amount) AS paid_amount
+    FROM public.payments p
+    WHERE p.status = 'paid' AND p.campaign_creator_id IS NOT NULL
+    GROUP BY p.campaign_creator_id
+)
+SELECT
+    cc.id AS campaign_creator_id,
+    cc.campaign_id,
+    cc.creator_id,
+    cr.name AS creator_name,
+    cr.username AS creator_username,
+    cc.status,
+    GREATEST(
+        CASE WHEN COALESCE(cc.status, 'assigned') = 'cancelled' THEN 0 ELSE COALESCE(cc.total_value, cc.fixed_amount, 0) END,
+        COALESCE(pd.paid_amount, 0)
+    ) AS cost,
+    COALESCE(o.outcome_count, 0) AS outcome_count,
+    COALESCE(o.revenue, 0) AS revenue,
+    COALESCE(o.leads, 0) AS leads,
+    COALESCE(o.installs, 0) AS installs,
+    COALESCE(o.promo_redemptions, 0) AS promo_redemptions,
+    COALESCE(o.link_clicks, 0) AS link_clicks,
+    COALESCE(r.impressions, 0) AS impressions,
+    COALESCE(r.engagements, 0) AS engagements
+FROM public.campaign_creators cc
+LEFT JOIN public.creators cr ON cr.id = cc.creator_id
+LEFT JOIN outcomes o ON o.campaign_creator_id = cc.id
+LEFT JOIN reach r ON r.campaign_creator_id = cc.id
+LEFT JOIN paid pd ON pd.campaign_creator_id = cc.id;
+
+-- Campaign totals include campaign-level outcomes as well as every creator's
+CREATE OR REPLACE VIEW public.campaign_performance
+WITH (security_invoker = true) AS
+WITH outcomes AS (
+    SELECT
+        o.campaign_id,
+        count(*) AS outcome_count,
+        sum(o.revenue) AS revenue,
+        sum(o.leads) AS leads,
+        sum(o.installs) AS installs,
+        sum(o.promo_redemptions) AS promo_redemptions,
+        sum(o.link_clicks) AS link_clicks
+    FROM public.campaign_outcomes o
+    GROUP BY o.campaign_id
+),
+creator_totals AS (
+    SELECT
+        ccp.campaign_id,
+        sum(ccp.cost) AS creator_cost,
+        sum(ccp.impressions) AS impressions,
+        sum(ccp.engagements) AS engagements
+    FROM public.campaign_creator_performance ccp
+    GROUP BY ccp.campaign_id
+),
+expenses AS (
+    SELECT e.campaign_id, sum(e.amount) AS expense_cost
+    FROM public.campaign_expenses e
+    WHERE e.status <> 'cancelled'
+    GROUP BY e.campaign_id
+)
+SELECT
+    c.id AS campaign_id,
+    c.name,
+    c.status,
+    c.start_date,
+    c.end_date,
+    c.created_at,
+    c.budget,
+    c.actual_spend,
+    GREATEST(
+        COALESCE(cr.creator_cost, 0) + COALESCE(e.expense_cost, 0),
+        COALESCE(c.actual_spend, 0)
+    ) AS cost,
+    COALESCE(o.outcome_count, 0) AS outcome_count,
+    COALESCE(o.revenue, 0) AS revenue,
+    COALESCE(o.leads, 0) AS leads,
+    COALESCE(o.installs, 0) AS installs,
+    COALESCE(o.promo_redemptions, 0) AS promo_redemptions,
+    COALESCE(o.link_clicks, 0) AS link_clicks,
+    COALESCE(cr.impressions, 0) AS impressions,
+    COALESCE(cr.engagements, 0) AS engagements
+FROM public.campaigns c
+LEFT JOIN outcomes o ON o.campaign_id = c.id
+LEFT JOIN creator_totals cr ON cr.campaign_id = c.id
+LEFT JOIN expenses e ON e.campaign_id = c.id;
+
+GRANT SELECT ON public.campaign_creator_performance TO authenticated;
+GRANT SELECT ON public.campaign_performance TO authenticated;
+
+-- ============================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================
+ALTER TABLE public.campaign_outcomes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_campaign_outcomes"
+ON public.campaign_outcomes
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_campaign_outcomes"
+ON public.campaign_outcomes
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_update_campaign_outcomes"
+ON public.campaign_outcomes
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "admins_can_delete_campaign_outcomes"
+ON public.campaign_outcomes
+FOR DELETE
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.users u
+        JOIN public.user_roles ur ON u.role_id = ur.id
+        WHERE u.auth_id = auth.uid()
+        AND ur.role_name IN ('super_admin', 'admin', 'manager')
+    )
+);
+
+COMMENT ON TABLE public.campaign_outcomes IS 'Results attributed to a campaign or one creator assignment: revenue, leads, installs, promo code redemptions and link clicks';
+COMMENT ON COLUMN public.campaign_outcomes.campaign_creator_id IS 'NULL for campaign-level results not attributed to a single creator';
+COMMENT ON VIEW public.campaign_creator_performance IS 'Cost, outcomes, impressions and engagement per creator assignment';
+COMMENT ON VIEW public.campaign_performance IS 'Cost, outcomes, impressions and engagement per campaign, including campaign-level outcomes';
@@ -0,0 +1,217 @@
+-- Location: supabase/migrations/20261020060000_casting_board.sql
+-- Schema Analysis: campaign_creators rows only existed once a creator was assigned (status assigned/active/completed/cancelled, free text); shortlisting happened outside the CRM
+-- Integration Type: extension - casting stages before contract (longlist, shortlisted, brand approved/rejected, dropped) on campaign_creators.status, stage timestamps, and the budget, brand and performance rollups limited to contracted creators
+-- Dependencies: public.campaign_creators, public.campaigns, public.payments, public.creators, public.campaign_creator_balances, public.campaign_expenses, public.campaign_outcomes, public.campaign_deliverables, public.campaign_budget_lines
+
+-- ============================================================
+-- 1. CASTING STAGES ON THE ASSIGNMENT
+-- ============================================================
+-- Board columns map onto status:
+--   longlist -> longlist, shortlisted -> shortlisted, brand-approved -> brand_approved,
+--   contracted -> assigned, live -> active (and completed).
+-- brand_rejected, dropped and cancelled sit off the board.
+ALTER TABLE public.campaign_creators
+ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+
+-- NOT VALID: existing rows keep whatever free text they hold; new writes are checked
+ALTER TABLE public.campaign_creators
+ADD CONSTRAINT campaign_creators_status_check CHECK (
+    status IN ('longlist', 'shortlisted', 'brand_approved', 'brand_rejected', 'dropped',
+               'assigned', 'active', 'completed', 'cancelled')
+) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_campaign_creators_campaign_status ON public.campaign_creators(campaign_id, status);
+
+-- Contracted creators carry commitments, deliverables and payments; the
+-- stages before that are only proposals
+CREATE OR REPLACE FUNCTION public.is_contracted_status(p_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(p_status, 'assigned') IN ('assigned', 'active', 'completed');
+$$;
+
+CREATE OR REPLACE FUNCTION public.campaign_creators_stage_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+        RETURN NEW;
+    END IF;
+
+    NEW.stage_changed_at := CURRENT_TIMESTAMP;
+
+    -- Moving a contracted creator back to a proposal would orphan their payments
+    IF TG_OP = 'UPDATE'
+       AND public.is_contracted_status(OLD.status)
+       AND NOT public.is_contracted_status(NEW.status)
+       AND NEW.status <> 'cancelled'
+       AND EXISTS (
+           SELECT 1 FROM public.payments p
+           WHERE p.campaign_creator_id = NEW.id
+           AND p.status <> 'cancelled'
+       ) THEN
+        RAISE EXCEPTION 'Creator has payments on this campaign; cancel them before moving the creator back to casting';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER campaign_creators_stage_change
+    BEFORE INSERT OR UPDATE OF status ON public.campaign_creators
+    FOR EACH ROW
+    EXECUTE FUNCTION public.campaign_creators_stage_change();
+
+-- ============================================================
+-- 2. ROLLUPS COUNT CONTRACTED CREATORS ONLY
+-- ============================================================
+-- Same columns as before; a longlisted creator is not a commitment
+CREATE OR REPLACE VIEW public.campaign_budget_summary
+WITH (security_invoker = true) AS
+WITH categories(category, sort_order) AS (
+    VALUES ('creator_fees', 1), ('production', 2), ('ads', 3), ('agency_margin', 4)
+),
+creator_fees AS (
+    SELECT
+        cc.campaign_id,
+        COALESCE(sum(COALESCE(cc.total_value, cc.fixed_amount)) FILTER (WHERE public.is_contracted_status(cc.status)), 0) AS committed_amount
+    FROM public.campaign_creators cc
+    GROUP BY cc.campaign_id
+),
+creator_payments AS (
+    SELECT p.campaign_id, sum(p.amount) AS actual_amount
+    FROM public.payments p
+    WHERE p.status = 'paid'
+    GROUP BY p.campaign_id
+),
+expenses AS (
+    SELECT
+        e.campaign_id,
+        e.category,
+        sum(e.amount) FILTER (WHERE e.status <> 'cancelled') AS committed_amount,
+        sum(e.amount) FILTER (WHERE e.status = 'paid') AS actual_amount
+    FROM public.campaign_expenses e
+    GROUP BY e.campaign_id, e.category
+)
+SELECT
+    c.id AS campaign_id,
+    cat.category,
+    cat.sort_order,
+    COALESCE(l.allocated_amount, 0) AS allocated_amount,
+    CASE WHEN cat.category = 'creator_fees' THEN COALESCE(cf.committed_amount, 0) ELSE COALESCE(e.committed_amount, 0) END AS committed_amount,
+    CASE WHEN cat.category = 'creator_fees' THEN COALESCE(cp.actual_amount, 0) ELSE COALESCE(e.actual_amount, 0) END AS actual_amount,
+    l.notes
+FROM public.campaigns c
+CROSS JOIN categories cat
+LEFT JOIN public.campaign_budget_lines l ON l.campaign_id = c.id AND l.category = cat.category
+LEFT JOIN creator_fees cf ON cf.campaign_id = c.id
+LEFT JOIN creator_payments cp ON cp.campaign_id = c.id
+LEFT JOIN expenses e ON e.campaign_id = c.id AND e.category = cat.category;
+
+CREATE OR REPLACE VIEW public.brand_campaign_portfolio
+WITH (security_invoker = true) AS
+SELECT
+    c.id AS campaign_id,
+    c.brand_id,
+    c.name,
+    c.status,
+    c.start_date,
+    c.end_date,
+    c.budget,
+    count(cc.id) AS creator_count,
+    count(cc.id) FILTER (WHERE cc.status IS NULL OR cc.status IN ('assigned', 'active')) AS active_creator_count,
+    COALESCE(sum(b.fixed_amount), 0) AS committed_amount,
+    COALESCE(sum(b.paid_amount), 0) AS paid_amount,
+    COALESCE(sum(GREATEST(COALESCE(b.fixed_amount, 0) - b.paid_amount, 0)), 0) AS outstanding_amount
+FROM public.campaigns c
+LEFT JOIN public.campaign_creators cc ON cc.campaign_id = c.id AND public.is_contracted_status(cc.status)
+LEFT JOIN public.campaign_creator_balances b ON b.campaign_creator_id = cc.id
+WHERE c.brand_id IS NOT NULL
+GROUP BY c.id;
+
+CREATE OR REPLACE VIEW public.brand_portfolio
+WITH (security_invoker = true) AS
+SELECT
+    br.id AS brand_id,
+    br.name AS brand_name,
+    count(p.campaign_id) AS campaign_count,
+    count(p.campaign_id) FILTER (WHERE p.status = 'active') AS active_campaign_count,
+    COALESCE(sum(p.budget), 0) AS total_budget,
+    COALESCE(sum(p.committed_amount), 0) AS committed_amount,
+    COALESCE(sum(p.paid_amount), 0) AS total_spend,
+    COALESCE(sum(p.outstanding_amount), 0) AS outstanding_payables,
+    (
+        SELECT count(DISTINCT cc.creator_id)
+        FROM public.campaign_creators cc
+        JOIN public.campaigns c ON c.id = cc.campaign_id
+        WHERE c.brand_id = br.id
+        AND c.status = 'active'
+        AND (cc.status IS NULL OR cc.status IN ('assigned', 'active'))
+    ) AS active_creator_count
+FROM public.brands br
+LEFT JOIN public.brand_campaign_portfolio p ON p.brand_id = br.id
+GROUP BY br.id, br.name;
+
+CREATE OR REPLACE VIEW public.campaign_creator_performance
+WITH (security_invoker = true) AS
+WITH outcomes AS (
+    SELECT
+        o.campaign_creator_id,
+        count(*) AS outcome_count,
+        sum(o.revenue) AS revenue,
+        sum(o.leads) AS leads,
+        sum(o.installs) AS installs,
+        sum(o.promo_redemptions) AS promo_redemptions,
+        sum(o.link_clicks) AS link_clicks
+    FROM public.campaign_outcomes o
+    WHERE o.campaign_creator_id IS NOT NULL
+    GROUP BY o.campaign_creator_id
+),
+reach AS (
+    SELECT
+        d.campaign_creator_id,
+        sum(COALESCE(d.views, d.reach, 0)) AS impressions,
+        sum(COALESCE(d.likes, 0) + COALESCE(d.comments, 0) + COALESCE(d.shares, 0) + COALESCE(d.saves, 0)) AS engagements
+    FROM public.campaign_deliverables d
+    WHERE d.status = 'live'
+    GROUP BY d.campaign_creator_id
+),
+paid AS (
+    SELECT p.campaign_creator_id, sum(p.amount) AS paid_amount
+    FROM public.payments p
+    WHERE p.status = 'paid' AND p.campaign_creator_id IS NOT NULL
+    GROUP BY p.campaign_creator_id
+)
+SELECT
+    cc.id AS campaign_creator_id,
+    cc.campaign_id,
+    cc.creator_id,
+    cr.name AS creator_name,
+    cr.username AS creator_username,
+    cc.status,
+    GREATEST(
+        CASE WHEN public.is_contracted_status(cc.status) THEN COALESCE(cc.total_value, cc.fixed_amount, 0) ELSE 0 END,
+        COALESCE(pd.paid_amount, 0)
+    ) AS cost,
+    COALESCE(o.outcome_count, 0) AS outcome_count,
+    COALESCE(o.revenue, 0) AS revenue,
+    COALESCE(o.leads, 0) AS leads,
+    COALESCE(o.installs, 0) AS installs,
+    COALESCE(o.promo_redemptions, 0) AS promo_redemptions,
+    COALESCE(o.link_clicks, 0) AS link_clicks,
+    COALESCE(r.impressions, 0) AS impressions,
+    COALESCE(r.engagements, 0) AS engagements
+FROM public.campaign_creators cc
+LEFT JOIN public.creators cr ON cr.id = cc.creator_id
+LEFT JOIN outcomes o ON o.campaign_creator_id = cc.id
+LEFT JOIN reach r ON r.campaign_creator_id = cc.id
+LEFT JOIN paid pd ON pd.campaign_creator_id = cc.id;
+
+COMMENT ON COLUMN public.campaign_creators.status IS 'Casting stage before contract (longlist, shortlisted, brand_approved, brand_rejected, dropped), then assignment status (assigned, active, completed, cancelled)';
+COMMENT ON COLUMN public.campaign_creators.stage_changed_at IS 'When status last changed; how long a creator has sat in a casting stage';
+COMMENT ON FUNCTION public.is_contracted_status(TEXT) IS 'Whether an assignment status counts as contracted: commitments, deliverables and payments';
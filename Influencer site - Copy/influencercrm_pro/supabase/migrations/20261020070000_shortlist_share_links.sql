@@ -0,0 +1,292 @@
+-- Location: supabase/migrations/20261020070000_shortlist_share_links.sql
+-- Schema Analysis: brands saw proposed creators only as an Excel export emailed from the creator database; their approvals came back by email and were moved on the casting board by hand
+-- Integration Type: addition - tokenised, expiring, read-only shortlist links for a campaign, brand decisions with comments that move campaign_creators.status to brand_approved / brand_rejected
+-- Dependencies: public.campaigns, public.campaign_creators, public.is_contracted_status(), public.creators, public.creator_current_rates, public.campaign_creator_performance, public.brands, public.contacts, public.audit_logs, auth.users
+
+-- ============================================================
+-- 1. SHARE LINKS
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.shortlist_share_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES public.campaigns(id) ON DELETE CASCADE,
+    -- 64 hex characters; the only credential the brand holds
+    token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+    -- Brand contact the link was sent to
+    contact_id UUID REFERENCES public.contacts(id) ON DELETE SET NULL,
+    contact_name TEXT,
+    -- Casting stages whose creators the brand is asked about
+    stages TEXT[] NOT NULL DEFAULT ARRAY['shortlisted'],
+    include_contact BOOLEAN NOT NULL DEFAULT false,
+    include_prices BOOLEAN NOT NULL DEFAULT false,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_by_email TEXT DEFAULT auth.email(),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT shortlist_share_links_stages CHECK (
+        cardinality(stages) > 0 AND stages <@ ARRAY['longlist', 'shortlisted', 'brand_approved']
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_shortlist_share_links_campaign ON public.shortlist_share_links(campaign_id, created_at DESC);
+
+-- ============================================================
+-- 2. BRAND DECISIONS
+-- ============================================================
+CREATE TABLE IF NOT EXISTS public.shortlist_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    share_link_id UUID NOT NULL REFERENCES public.shortlist_share_links(id) ON DELETE CASCADE,
+    campaign_creator_id UUID NOT NULL REFERENCES public.campaign_creators(id) ON DELETE CASCADE,
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    comment TEXT,
+    -- Typed by whoever opened the link; the brand has no login
+    decided_by_name TEXT,
+    decided_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shortlist_decisions_assignment ON public.shortlist_decisions(campaign_creator_id, decided_at DESC);
+
+-- ============================================================
+-- 3. PUBLIC ACCESS THROUGH THE TOKEN
+-- ============================================================
+-- The link row, or an error when the token is unknown, revoked or expired
+CREATE OR REPLACE FUNCTION public.shortlist_share_link_for(p_token TEXT)
+RETURNS public.shortlist_share_links
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    link public.shortlist_share_links;
+BEGIN
+    SELECT * INTO link FROM public.shortlist_share_links WHERE token = p_token;
+
+    IF link.id IS NULL OR link.revoked_at IS NOT NULL OR link.expires_at <= CURRENT_TIMESTAMP THEN
+        RAISE EXCEPTION 'This shortlist link has expired or is no longer available';
+    END IF;
+
+    RETURN link;
+END;
+$$;
+
+-- Campaign and creators as the brand may see them. Contact details and
+-- rate card prices are only returned when the link was created with them.
+CREATE OR REPLACE FUNCTION public.get_shared_shortlist(p_token TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    link public.shortlist_share_links;
+    result JSONB;
+BEGIN
+    link := public.shortlist_share_link_for(p_token);
+
+    UPDATE public.shortlist_share_links
+    SET view_count = view_count + 1,
+        last_viewed_at = CURRENT_TIMESTAMP
+    WHERE id = link.id;
+
+    SELECT jsonb_build_object(
+        'campaign', jsonb_build_object(
+            'name', c.name,
+            'brand_name', COALESCE(b.name, c.legacy_brand_name),
+            'start_date', c.start_date,
+            'end_date', c.end_date
+        ),
+        'link', jsonb_build_object(
+            'contact_name', link.contact_name,
+            'expires_at', link.expires_at,
+            'include_contact', link.include_contact,
+            'include_prices', link.include_prices
+        ),
+        'creators', COALESCE((
+            SELECT jsonb_agg(entry ORDER BY entry->>'name')
+            FROM (
+                SELECT jsonb_build_object(
+                    'campaign_creator_id', cc.id,
+                    'status', cc.status,
+                    -- Whitelisted fields only; read through jsonb so optional columns may be absent
+                    'name', cr.j->>'name',
+                    'username', cr.j->>'username',
+                    'instagram_link', cr.j->>'instagram_link',
+                    'profile_image_url', cr.j->>'profile_image_url',
+                    'followers_count', cr.j->'followers_count',
+                    'followers_tier', cr.j->>'followers_tier',
+                    'city', cr.j->>'city',
+                    'state', cr.j->>'state',
+                    'category', COALESCE(cr.j->>'category', cr.j->>'niche'),
+                    'engagement_rate', cr.j->'engagement_rate',
+                    'email', CASE WHEN link.include_contact THEN cr.j->>'email' END,
+                    'whatsapp', CASE WHEN link.include_contact THEN cr.j->>'whatsapp' END,
+                    'rates', CASE WHEN link.include_prices THEN (
+                        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                            'platform', r.platform,
+                            'deliverable_type', r.deliverable_type,
+                            'price', r.price,
+                            'currency', r.currency
+                        )), '[]'::jsonb)
+                        FROM public.creator_current_rates r
+                        WHERE r.creator_id = cc.creator_id
+                    ) END,
+                    'past', (
+                        SELECT jsonb_build_object(
+                            'campaigns', count(*),
+                            'engagements', COALESCE(sum(p.engagements), 0)
+                        )
+                        FROM public.campaign_creator_performance p
+                        WHERE p.creator_id = cc.creator_id
+                        AND p.campaign_id <> cc.campaign_id
+                        AND public.is_contracted_status(p.status)
+                    ),
+                    'decision', (
+                        SELECT jsonb_build_object(
+                            'decision', d.decision,
+                            'comment', d.comment,
+                            'decided_by_name', d.decided_by_name,
+                            'decided_at', d.decided_at
+                        )
+                        FROM public.shortlist_decisions d
+                        WHERE d.campaign_creator_id = cc.id
+                        ORDER BY d.decided_at DESC
+                        LIMIT 1
+                    )
+                ) AS entry
+                FROM public.campaign_creators cc
+                CROSS JOIN LATERAL (
+                    SELECT to_jsonb(x) AS j FROM public.creators x WHERE x.id = cc.creator_id
+                ) cr
+                WHERE cc.campaign_id = link.campaign_id
+                -- Creators the brand already decided on stay visible so they can change their mind
+                AND (cc.status = ANY(link.stages) OR cc.status IN ('brand_approved', 'brand_rejected'))
+            ) visible
+        ), '[]'::jsonb)
+    )
+    INTO result
+    FROM public.campaigns c
+    LEFT JOIN public.brands b ON b.id = c.brand_id
+    WHERE c.id = link.campaign_id;
+
+    RETURN result;
+END;
+$$;
+
+-- Record the brand's decision and move the creator on the casting board
+CREATE OR REPLACE FUNCTION public.decide_shared_shortlist(
+    p_token TEXT,
+    p_campaign_creator_id UUID,
+    p_decision TEXT,
+    p_comment TEXT DEFAULT NULL,
+    p_decided_by_name TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    link public.shortlist_share_links;
+    entry public.campaign_creators;
+    decision_row public.shortlist_decisions;
+BEGIN
+    link := public.shortlist_share_link_for(p_token);
+
+    IF p_decision NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Decision must be approved or rejected';
+    END IF;
+
+    SELECT * INTO entry
+    FROM public.campaign_creators
+    WHERE id = p_campaign_creator_id
+    AND campaign_id = link.campaign_id
+    FOR UPDATE;
+
+    IF entry.id IS NULL
+       OR NOT (entry.status = ANY(link.stages) OR entry.status IN ('brand_approved', 'brand_rejected')) THEN
+        RAISE EXCEPTION 'This creator is not on the shortlist';
+    END IF;
+
+    INSERT INTO public.shortlist_decisions (share_link_id, campaign_creator_id, decision, comment, decided_by_name)
+    VALUES (
+        link.id,
+        entry.id,
+        p_decision,
+        NULLIF(trim(p_comment), ''),
+        COALESCE(NULLIF(trim(p_decided_by_name), ''), link.contact_name)
+    )
+    RETURNING * INTO decision_row;
+
+    UPDATE public.campaign_creators
+    SET status = CASE p_decision WHEN 'approved' THEN 'brand_approved' ELSE 'brand_rejected' END
+    WHERE id = entry.id;
+
+    INSERT INTO public.audit_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+    VALUES (
+        NULL,
+        CASE p_decision WHEN 'approved' THEN 'shortlist_creator_approved' ELSE 'shortlist_creator_rejected' END,
+        'campaign_creator',
+        entry.id,
+        jsonb_build_object('status', entry.status),
+        jsonb_build_object(
+            'share_link_id', link.id,
+            'decision', p_decision,
+            'comment', decision_row.comment,
+            'decided_by_name', decision_row.decided_by_name
+        )
+    );
+
+    RETURN jsonb_build_object(
+        'decision', decision_row.decision,
+        'comment', decision_row.comment,
+        'decided_by_name', decision_row.decided_by_name,
+        'decided_at', decision_row.decided_at
+    );
+END;
+$$;
+
+-- The link page is public: anyone holding a valid token may read and decide
+REVOKE EXECUTE ON FUNCTION public.shortlist_share_link_for(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_shared_shortlist(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.decide_shared_shortlist(TEXT, UUID, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- ============================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================
+-- No policies for anon: the brand only ever goes through the functions above
+ALTER TABLE public.shortlist_share_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shortlist_decisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "authenticated_users_can_view_shortlist_share_links"
+ON public.shortlist_share_links
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE POLICY "authenticated_users_can_create_shortlist_share_links"
+ON public.shortlist_share_links
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_revoke_shortlist_share_links"
+ON public.shortlist_share_links
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "authenticated_users_can_view_shortlist_decisions"
+ON public.shortlist_decisions
+FOR SELECT
+TO authenticated
+USING (true);
+
+COMMENT ON TABLE public.shortlist_share_links IS 'Read-only links that show a campaign''s proposed creators to a brand contact until they expire or are revoked';
+COMMENT ON COLUMN public.shortlist_share_links.stages IS 'Casting stages whose creators the link shows; creators the brand has decided on stay visible';
+COMMENT ON TABLE public.shortlist_decisions IS 'Brand approvals and rejections given through a shortlist link; the latest one sets campaign_creators.status';
+COMMENT ON FUNCTION public.get_shared_shortlist(TEXT) IS 'Public shortlist for a share token: campaign, whitelisted creator fields, optional contact details and prices, latest decisions';
+COMMENT ON FUNCTION public.decide_shared_shortlist(TEXT, UUID, TEXT, TEXT, TEXT) IS 'Record a brand contact''s approval or rejection through a share token and move the creator to brand_approved or brand_rejected';